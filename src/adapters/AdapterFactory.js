@@ -5,8 +5,38 @@
 
 // fum_library/adapters/AdapterFactory.js
 import UniswapV3Adapter from "./UniswapV3Adapter.js";
+import UniswapV4Adapter from "./UniswapV4Adapter.js";
+import SushiSwapV3Adapter from "./SushiSwapV3Adapter.js";
+import PancakeSwapV3Adapter from "./PancakeSwapV3Adapter.js";
+import CamelotV3Adapter from "./CamelotV3Adapter.js";
+import UniswapV2Adapter from "./UniswapV2Adapter.js";
+import SushiSwapV2Adapter from "./SushiSwapV2Adapter.js";
+import CurveAdapter from "./CurveAdapter.js";
+import PlatformAdapter from "./PlatformAdapter.js";
+import platforms from "../configs/platforms.js";
 import { getChainConfig, lookupChainPlatformIds } from "../helpers/chainHelpers.js";
 
+/**
+ * Capabilities an adapter can declare in its static `capabilities` manifest
+ *
+ * Capabilities that also appear in a platform's `features` in configs/platforms.js
+ * must agree with that config.
+ *
+ * @type {ReadonlyArray<string>}
+ */
+export const ADAPTER_CAPABILITIES = Object.freeze([
+  'concentratedLiquidity', // Positions cover a tick range
+  'multipleFeeTiers',      // Several pools per pair, one per fee tier
+  'dynamicFees',           // Each pool sets its own fee
+  'fullRange',             // Positions are LP balances over the whole price curve
+  'hooks',                 // Pools can carry a hooks contract
+  'nativeCurrency',        // Pools can hold native ETH directly
+  'stableSwap',            // StableSwap invariant for pegged coins
+  'permit2Swaps',          // Swaps are authorized through Permit2
+  'exactOutput',           // Swaps can fix the output amount
+  'multiHopSwaps'          // Swaps can route through several pools along an explicit path
+]);
+
 /**
  * Factory class for creating and managing platform adapters
  *
@@ -20,10 +50,22 @@ export default class AdapterFactory {
    */
   static #PLATFORM_ADAPTERS = {
     uniswapV3: UniswapV3Adapter,
+    uniswapV4: UniswapV4Adapter,
+    sushiswapV3: SushiSwapV3Adapter,
+    pancakeswapV3: PancakeSwapV3Adapter,
+    camelotV3: CamelotV3Adapter,
+    uniswapV2: UniswapV2Adapter,
+    sushiswapV2: SushiSwapV2Adapter,
+    curve: CurveAdapter,
     // Add more adapters here as they are implemented
-    // Example: sushiswap: SushiswapAdapter,
   };
 
+  /**
+   * Map of plugin platform IDs to the chain IDs they were registered for
+   * @private
+   */
+  static #PLUGIN_CHAINS = {};
+
   /**
    * Gets all available adapters for a specific chain
    *
@@ -33,6 +75,8 @@ export default class AdapterFactory {
    *
    * @param {number} chainId - Chain ID
    * @param {Object} provider - Ethers provider instance
+   * @param {Object} [options] - Options
+   * @param {Array<string>} [options.capabilities] - Only return adapters that declare all of these capabilities
    *
    * @returns {Object} Result object containing adapters and failures
    * @returns {Array} result.adapters - Array of successfully created platform adapter instances
@@ -45,9 +89,14 @@ export default class AdapterFactory {
    *   console.warn('Failed to create some adapters:', result.failures);
    * }
    *
+   * // Only full-range platforms
+   * const { adapters } = AdapterFactory.getAdaptersForChain(42161, provider, { capabilities: ['fullRange'] });
+   *
+   * @throws {Error} If chainId is invalid or a required capability is unknown
+   *
    * @since 1.0.0
    */
-  static getAdaptersForChain(chainId, provider) {
+  static getAdaptersForChain(chainId, provider, { capabilities = [] } = {}) {
     const adapters = [];
     const failures = [];
 
@@ -56,20 +105,36 @@ export default class AdapterFactory {
       throw new Error("chainId must be a valid number");
     }
 
+    // Validate required capabilities
+    if (!Array.isArray(capabilities)) {
+      throw new Error("capabilities must be an array of capability names");
+    }
+    capabilities.forEach(capability => {
+      if (!ADAPTER_CAPABILITIES.includes(capability)) {
+        throw new Error(`Unknown capability: ${capability}`);
+      }
+    });
+
     // Check if chain is supported
     const chainConfig = getChainConfig(chainId);
     if (!chainConfig) {
       return { adapters, failures };
     }
 
-    // Get all enabled platform IDs for this chain
+    // Get all enabled platform IDs for this chain, then any plugins registered for it
     const platformIds = lookupChainPlatformIds(chainId);
+    Object.entries(this.#PLUGIN_CHAINS).forEach(([platformId, chainIds]) => {
+      if (chainIds.includes(chainId) && !platformIds.includes(platformId)) {
+        platformIds.push(platformId);
+      }
+    });
 
     // Create an adapter for each supported platform on the chain
     platformIds.forEach(platformId => {
       const AdapterClass = this.#PLATFORM_ADAPTERS[platformId];
 
-      if (AdapterClass) {
+      // Skip adapters missing a required capability before instantiating them
+      if (AdapterClass && capabilities.every(capability => AdapterClass.capabilities?.[capability] === true)) {
         try {
           adapters.push(new AdapterClass(chainId, provider));
         } catch (error) {
@@ -149,11 +214,126 @@ export default class AdapterFactory {
   }
 
   /**
-   * Register a new adapter class
+   * Get the capabilities manifest of a registered adapter
+   *
+   * @param {string} platformId - Platform ID
+   * @returns {Object<string, boolean>} Every known capability mapped to whether the adapter declares it
+   * @throws {Error} If no adapter is registered for the platform
+   *
+   * @example
+   * AdapterFactory.getAdapterCapabilities('curve').stableSwap; // true
+   */
+  static getAdapterCapabilities(platformId) {
+    const AdapterClass = this.#PLATFORM_ADAPTERS[platformId];
+
+    if (!AdapterClass) {
+      throw new Error(`No adapter available for platform: ${platformId}`);
+    }
+
+    return Object.fromEntries(
+      ADAPTER_CAPABILITIES.map(capability => [capability, AdapterClass.capabilities?.[capability] === true])
+    );
+  }
+
+  /**
+   * Validate an adapter class's capabilities manifest
+   *
+   * The manifest may only use known capabilities, each set to a boolean. If the
+   * platform is configured in configs/platforms.js, every capability that also
+   * appears in its `features` must match the configured value (an omitted
+   * capability counts as false).
+   *
+   * Called by registerAdapter; exposed so adapter authors can check a manifest
+   * (for example from the conformance suite) without registering the adapter.
+   *
+   * @param {string} platformId - Platform ID
+   * @param {class} AdapterClass - Adapter class
+   * @throws {Error} If the manifest is malformed or disagrees with the platform config
+   */
+  static validateCapabilities(platformId, AdapterClass) {
+    const manifest = AdapterClass.capabilities;
+
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+      throw new Error(`Adapter for ${platformId} must declare a static capabilities object`);
+    }
+
+    Object.entries(manifest).forEach(([capability, supported]) => {
+      if (!ADAPTER_CAPABILITIES.includes(capability)) {
+        throw new Error(`Unknown capability in ${platformId} manifest: ${capability}`);
+      }
+      if (typeof supported !== 'boolean') {
+        throw new Error(`Capability ${capability} in ${platformId} manifest must be a boolean`);
+      }
+    });
+
+    const features = platforms[platformId]?.features;
+    if (!features) {
+      return;
+    }
+
+    ADAPTER_CAPABILITIES.forEach(capability => {
+      if (capability in features && features[capability] !== (manifest[capability] ?? false)) {
+        throw new Error(`Capability ${capability} in ${platformId} manifest does not match platform config (expected ${features[capability]})`);
+      }
+    });
+  }
+
+  /**
+   * Register an adapter class for a platform
+   *
+   * This is the plugin API: the class must extend PlatformAdapter and declare a
+   * static `capabilities` manifest, which is checked against the platform's
+   * features in configs/platforms.js. Platforms configured for a chain in
+   * configs/chains.js are picked up by getAdaptersForChain automatically; other
+   * plugins list the chains they support in `chainIds`. Registrations are not
+   * persistent and are lost when the application restarts.
+   *
+   * @param {string} platformId - Platform ID
+   * @param {class} AdapterClass - Adapter class extending PlatformAdapter
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.replace=false] - Replace an adapter already registered for the platform
+   * @param {Array<number>} [options.chainIds=[]] - Chains getAdaptersForChain should return the adapter for
+   * @throws {Error} If the arguments are invalid, the manifest fails validation, or the platform is already registered
+   *
+   * @example
+   * class MyDexAdapter extends PlatformAdapter {
+   *   static capabilities = { fullRange: true };
+   * }
+   * AdapterFactory.registerAdapter('myDex', MyDexAdapter, { chainIds: [42161] });
+   */
+  static registerAdapter(platformId, AdapterClass, { replace = false, chainIds = [] } = {}) {
+    if (!platformId || typeof platformId !== 'string') {
+      throw new Error("Platform ID must be a valid string");
+    }
+
+    if (typeof AdapterClass !== 'function' || !(AdapterClass.prototype instanceof PlatformAdapter)) {
+      throw new Error(`Adapter for ${platformId} must be a class extending PlatformAdapter`);
+    }
+
+    if (platformId in this.#PLATFORM_ADAPTERS && !replace) {
+      throw new Error(`An adapter is already registered for platform: ${platformId}`);
+    }
+
+    if (!Array.isArray(chainIds) || !chainIds.every(chainId => Number.isInteger(chainId) && chainId > 0)) {
+      throw new Error("chainIds must be an array of chain IDs");
+    }
+
+    this.validateCapabilities(platformId, AdapterClass);
+
+    this.#PLATFORM_ADAPTERS[platformId] = AdapterClass;
+    if (chainIds.length > 0) {
+      this.#PLUGIN_CHAINS[platformId] = [...chainIds];
+    } else {
+      delete this.#PLUGIN_CHAINS[platformId];
+    }
+  }
+
+  /**
+   * Register a new adapter class without validation
    *
-   * NOTE: This is intended ONLY for testing and plugin scenarios. Registered adapters
-   * are not persistent and will be lost when the application restarts. For production
-   * adapters, add them directly to the PLATFORM_ADAPTERS object in this file.
+   * NOTE: This is intended ONLY for testing. It skips the class and capabilities
+   * checks done by registerAdapter, and silently replaces existing registrations.
+   * Adapters without a manifest are treated as having no capabilities.
    *
    * @param {string} platformId - Platform ID
    * @param {class} AdapterClass - Adapter class
@@ -0,0 +1,1044 @@
+/**
+ * CamelotV3Adapter - Camelot V3 (Algebra) Protocol Integration
+ *
+ * Camelot V3 runs on Algebra, a concentrated liquidity AMM derived from Uniswap V3.
+ * The tick math, position NFT flow and fee growth accounting match V3, so this
+ * adapter runs on the shared V3 engine with these differences:
+ * - One pool per token pair - pools are not keyed by fee
+ * - Dynamic fees: each pool adjusts its own fee from volatility, read from globalState()
+ * - Fixed tick spacing (configured on the platform, not derived from a fee tier)
+ * - Pools are CREATE2-deployed by the AlgebraPoolDeployer with salt keccak256(token0, token1)
+ * - Algebra naming for pool state (globalState, totalFeeGrowth*, outerFeeGrowth*)
+ * - Position manager positions() and mint() have no fee field
+ * - SwapRouter/Quoter single-hop calls take no fee and use limitSqrtPrice
+ *
+ * Pool and tick state is normalized to the V3 field names (sqrtPriceX96,
+ * feeGrowthGlobal0X128, feeGrowthOutside0X128, ...) so the shared fee and
+ * token amount math works unchanged.
+ *
+ * @module adapters/CamelotV3Adapter
+ */
+
+import { ethers } from "ethers";
+import UniswapV3BaseAdapter from "./UniswapV3BaseAdapter.js";
+import { getPlatformTickSpacing } from "../helpers/platformHelpers.js";
+import { getTokenByAddress } from "../helpers/tokenHelpers.js";
+import { resolvePoolStateBlock } from "../blockchain/poolStateCache.js";
+
+// Algebra pool - only the reads this adapter uses, plus the Swap event (same signature as V3)
+const AlgebraPoolABI = [
+  "function globalState() view returns (uint160 price, int24 tick, uint16 feeZto, uint16 feeOtz, uint16 timepointIndex, uint8 communityFeeToken0, uint8 communityFeeToken1, bool unlocked)",
+  "function liquidity() view returns (uint128)",
+  "function tickSpacing() view returns (int24)",
+  "function totalFeeGrowth0Token() view returns (uint256)",
+  "function totalFeeGrowth1Token() view returns (uint256)",
+  "function ticks(int24 tick) view returns (uint128 liquidityTotal, int128 liquidityDelta, uint256 outerFeeGrowth0Token, uint256 outerFeeGrowth1Token, int56 outerTickCumulative, uint160 outerSecondsPerLiquidity, uint32 outerSecondsSpent, bool initialized)",
+  "function token0() view returns (address)",
+  "function token1() view returns (address)",
+  "event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 price, uint128 liquidity, int24 tick)"
+];
+
+const AlgebraFactoryABI = [
+  "function poolByPair(address tokenA, address tokenB) view returns (address pool)"
+];
+
+// Algebra NonfungiblePositionManager - increaseLiquidity, decreaseLiquidity, collect and
+// multicall match V3 exactly, so SDK calldata for those calls is reused as-is
+const AlgebraPositionManagerABI = [
+  "function balanceOf(address owner) view returns (uint256)",
+  "function tokenOfOwnerByIndex(address owner, uint256 index) view returns (uint256)",
+  "function ownerOf(uint256 tokenId) view returns (address)",
+  "function positions(uint256 tokenId) view returns (uint96 nonce, address operator, address token0, address token1, int24 tickLower, int24 tickUpper, uint128 liquidity, uint256 feeGrowthInside0LastX128, uint256 feeGrowthInside1LastX128, uint128 tokensOwed0, uint128 tokensOwed1)",
+  "function mint((address token0, address token1, int24 tickLower, int24 tickUpper, uint256 amount0Desired, uint256 amount1Desired, uint256 amount0Min, uint256 amount1Min, address recipient, uint256 deadline) params) payable returns (uint256 tokenId, uint128 liquidity, uint256 amount0, uint256 amount1)",
+  "function increaseLiquidity((uint256 tokenId, uint256 amount0Desired, uint256 amount1Desired, uint256 amount0Min, uint256 amount1Min, uint256 deadline) params) payable returns (uint128 liquidity, uint256 amount0, uint256 amount1)",
+  "function decreaseLiquidity((uint256 tokenId, uint128 liquidity, uint256 amount0Min, uint256 amount1Min, uint256 deadline) params) payable returns (uint256 amount0, uint256 amount1)",
+  "function collect((uint256 tokenId, address recipient, uint128 amount0Max, uint128 amount1Max) params) payable returns (uint256 amount0, uint256 amount1)",
+  "function burn(uint256 tokenId) payable",
+  "function multicall(bytes[] data) payable returns (bytes[] results)"
+];
+
+const AlgebraSwapRouterABI = [
+  "function exactInputSingle((address tokenIn, address tokenOut, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 limitSqrtPrice) params) payable returns (uint256 amountOut)",
+  "function exactOutputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum, uint160 limitSqrtPrice) params) payable returns (uint256 amountIn)",
+  "function exactInput((bytes path, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum) params) payable returns (uint256 amountOut)",
+  "function exactOutput((bytes path, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum) params) payable returns (uint256 amountIn)",
+  "function multicall(bytes[] data) payable returns (bytes[] results)"
+];
+
+// Algebra Quoter is non-view (it reverts with the result) - call through callStatic
+const AlgebraQuoterABI = [
+  "function quoteExactInputSingle(address tokenIn, address tokenOut, uint256 amountIn, uint160 limitSqrtPrice) returns (uint256 amountOut, uint16 fee)",
+  "function quoteExactOutputSingle(address tokenIn, address tokenOut, uint256 amountOut, uint160 limitSqrtPrice) returns (uint256 amountIn, uint16 fee)",
+  "function quoteExactInput(bytes path, uint256 amountIn) returns (uint256 amountOut, uint16[] fees)",
+  "function quoteExactOutput(bytes path, uint256 amountOut) returns (uint256 amountIn, uint16[] fees)"
+];
+
+/**
+ * Adapter for Camelot V3 platform
+ *
+ * Methods inherited from the V3 engine keep their signatures. Where they take a
+ * `fee` to pick a pool (getPoolAddress, checkPoolExists, fetchPoolData), the fee
+ * is ignored and may be null. Pool data reports the pool's current dynamic fee.
+ *
+ * @example
+ * // Create adapter for Arbitrum
+ * const adapter = new CamelotV3Adapter(42161, provider);
+ *
+ * // Find the pool for a pair - no fee tier needed
+ * const [pool] = await adapter.discoverAvailablePools(wethAddress, usdcAddress, provider);
+ * console.log(pool.address, pool.fee); // current dynamic fee in hundredths of a bip
+ */
+export default class CamelotV3Adapter extends UniswapV3BaseAdapter {
+  /**
+   * Capabilities manifest - one dynamic-fee pool per pair
+   * @type {Object<string, boolean>}
+   */
+  static capabilities = Object.freeze({
+    concentratedLiquidity: true,
+    dynamicFees: true,
+    exactOutput: true,
+    multiHopSwaps: true
+  });
+
+  /**
+   * Constructor
+   * @param {number} chainId - Chain ID for the adapter
+   * @param {Object} provider - Ethers provider instance
+   */
+  constructor(chainId, provider) {
+    super(chainId, provider, "camelotV3", "Camelot V3");
+
+    // Fixed tick spacing from the platform's dynamic fee model
+    this.tickSpacing = getPlatformTickSpacing(this.platformId);
+
+    // Swap the V3 ABIs for their Algebra equivalents
+    this.uniswapV3PoolABI = AlgebraPoolABI;
+    this.nonfungiblePositionManagerABI = AlgebraPositionManagerABI;
+    this.swapRouterABI = AlgebraSwapRouterABI;
+    this.quoterABI = AlgebraQuoterABI;
+
+    this.poolInterface = new ethers.utils.Interface(this.uniswapV3PoolABI);
+    this.positionManagerInterface = new ethers.utils.Interface(this.nonfungiblePositionManagerABI);
+    this.swapRouterInterface = new ethers.utils.Interface(this.swapRouterABI);
+    this.quoterInterface = new ethers.utils.Interface(this.quoterABI);
+  }
+
+  /**
+   * Create SDK Pool instance from pool state
+   *
+   * Built with the spacing read from the pool (poolData.tickSpacing), falling back to the
+   * platform's configured spacing for pool data that does not carry it. The SDK pool's fee
+   * is a stand-in (see `_buildSdkPool`) - read the real fee from poolData.
+   *
+   * @param {Token} token0 - Sorted SDK token0
+   * @param {Token} token1 - Sorted SDK token1
+   * @param {Object} poolData - Pool state with sqrtPriceX96, liquidity, tick and optionally tickSpacing
+   * @returns {Pool} SDK Pool instance
+   * @private
+   */
+  _createPool(token0, token1, poolData) {
+    return this._buildSdkPool(token0, token1, poolData, poolData.tickSpacing ?? this.tickSpacing);
+  }
+
+  /**
+   * Get the address pools are CREATE2-deployed from
+   * @returns {string} AlgebraPoolDeployer address
+   * @protected
+   */
+  _getPoolDeployerAddress() {
+    return this.addresses.poolDeployerAddress;
+  }
+
+  /**
+   * Normalize an Algebra globalState() result to V3 slot0 field names
+   * @param {Object} globalState - Raw globalState() result
+   * @returns {Object} Pool state with sqrtPriceX96, tick and the current dynamic fee
+   * @private
+   */
+  _normalizeGlobalState(globalState) {
+    return {
+      sqrtPriceX96: globalState.price.toString(),
+      tick: Number(globalState.tick),
+      // Camelot charges a direction-dependent fee; report the token0 -> token1 fee as the pool fee
+      fee: Number(globalState.feeZto),
+      feeZto: Number(globalState.feeZto),
+      feeOtz: Number(globalState.feeOtz),
+      timepointIndex: Number(globalState.timepointIndex),
+      communityFeeToken0: Number(globalState.communityFeeToken0),
+      communityFeeToken1: Number(globalState.communityFeeToken1),
+      unlocked: globalState.unlocked
+    };
+  }
+
+  /**
+   * Normalize an Algebra ticks() result to V3 tick field names
+   * @param {Object} tickData - Raw ticks() result
+   * @returns {Object} Tick data in the shape calculateUncollectedFees expects
+   * @protected
+   */
+  _normalizeTickData(tickData) {
+    return {
+      liquidityGross: tickData.liquidityTotal.toString(),
+      liquidityNet: tickData.liquidityDelta.toString(),
+      feeGrowthOutside0X128: tickData.outerFeeGrowth0Token.toString(),
+      feeGrowthOutside1X128: tickData.outerFeeGrowth1Token.toString(),
+      tickCumulativeOutside: tickData.outerTickCumulative.toString(),
+      secondsPerLiquidityOutsideX128: tickData.outerSecondsPerLiquidity.toString(),
+      secondsOutside: Number(tickData.outerSecondsSpent),
+      initialized: tickData.initialized,
+    };
+  }
+
+  /**
+   * Compute a pool address offline from the pool deployer and init code hash
+   * @param {string} token0Address - Address of first token
+   * @param {string} token1Address - Address of second token
+   * @returns {string} Deterministic pool address (the pool may not be deployed)
+   * @throws {Error} If parameters are invalid
+   */
+  computePoolAddress(token0Address, token1Address) {
+    // Validate token0 address
+    if (!token0Address) {
+      throw new Error("Token0 address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(token0Address);
+    } catch (error) {
+      throw new Error(`Invalid token0 address: ${token0Address}`);
+    }
+
+    // Validate token1 address
+    if (!token1Address) {
+      throw new Error("Token1 address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(token1Address);
+    } catch (error) {
+      throw new Error(`Invalid token1 address: ${token1Address}`);
+    }
+
+    if (!this.poolInitCodeHash) {
+      throw new Error(`No pool init code hash configured for ${this.platformName}`);
+    }
+
+    const { sortedToken0, sortedToken1 } = this.sortTokens({ address: token0Address }, { address: token1Address });
+    const salt = ethers.utils.keccak256(
+      ethers.utils.defaultAbiCoder.encode(
+        ['address', 'address'],
+        [sortedToken0.address, sortedToken1.address]
+      )
+    );
+
+    return ethers.utils.getCreate2Address(this._getPoolDeployerAddress(), salt, this.poolInitCodeHash);
+  }
+
+  /**
+   * Get pool address from factory contract
+   * @param {string} token0Address - Address of first token
+   * @param {string} token1Address - Address of second token
+   * @param {number|null} fee - Ignored - Algebra has one pool per pair
+   * @param {Object} provider - Ethers provider instance
+   * @returns {Promise<string>} Pool address (AddressZero if the pool does not exist)
+   */
+  async getPoolAddress(token0Address, token1Address, fee, provider) {
+    // Validate token0 address
+    if (!token0Address) {
+      throw new Error("Token0 address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(token0Address);
+    } catch (error) {
+      throw new Error(`Invalid token0 address: ${token0Address}`);
+    }
+
+    // Validate token1 address
+    if (!token1Address) {
+      throw new Error("Token1 address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(token1Address);
+    } catch (error) {
+      throw new Error(`Invalid token1 address: ${token1Address}`);
+    }
+
+    // Validate provider
+    await this._validateProviderChain(provider);
+
+    if (!this.addresses?.factoryAddress) {
+      throw new Error(`No ${this.platformName} factory address found for chainId: ${this.chainId}`);
+    }
+
+    const factoryContract = new ethers.Contract(this.addresses.factoryAddress, AlgebraFactoryABI, provider);
+    return await factoryContract.poolByPair(token0Address, token1Address);
+  }
+
+  /**
+   * Check if a pool exists for the given tokens
+   * @param {Object} token0 - First token object
+   * @param {string} token0.address - Token contract address
+   * @param {number} token0.decimals - Token decimals
+   * @param {Object} token1 - Second token object
+   * @param {string} token1.address - Token contract address
+   * @param {number} token1.decimals - Token decimals
+   * @param {number|null} fee - Ignored - Algebra has one pool per pair
+   * @param {Object} provider - Ethers provider instance
+   * @returns {Promise<{exists: boolean, poolAddress: string|null, slot0: Object|null}>} Pool existence check result
+   *   (`slot0` holds the normalized globalState)
+   */
+  async checkPoolExists(token0, token1, fee, provider) {
+    // Validate token0
+    if (!token0) {
+      throw new Error("Token0 parameter is required");
+    }
+    if (!token0.address) {
+      throw new Error("Token0 address is required");
+    }
+    try {
+      ethers.utils.getAddress(token0.address);
+    } catch (error) {
+      throw new Error(`Invalid token0 address: ${token0.address}`);
+    }
+    if (token0.decimals === null || token0.decimals === undefined) {
+      throw new Error("Token0 decimals is required");
+    }
+    if (typeof token0.decimals !== 'number' || !Number.isFinite(token0.decimals)) {
+      throw new Error("Token0 decimals must be a valid number");
+    }
+
+    // Validate token1
+    if (!token1) {
+      throw new Error("Token1 parameter is required");
+    }
+    if (!token1.address) {
+      throw new Error("Token1 address is required");
+    }
+    try {
+      ethers.utils.getAddress(token1.address);
+    } catch (error) {
+      throw new Error(`Invalid token1 address: ${token1.address}`);
+    }
+    if (token1.decimals === null || token1.decimals === undefined) {
+      throw new Error("Token1 decimals is required");
+    }
+    if (typeof token1.decimals !== 'number' || !Number.isFinite(token1.decimals)) {
+      throw new Error("Token1 decimals must be a valid number");
+    }
+
+    const poolAddress = await this.getPoolAddress(token0.address, token1.address, null, provider);
+    if (poolAddress === ethers.constants.AddressZero) {
+      return { exists: false, poolAddress: null, slot0: null };
+    }
+
+    const poolContract = new ethers.Contract(poolAddress, this.uniswapV3PoolABI, provider);
+
+    try {
+      const globalState = await poolContract.globalState();
+      return { exists: true, poolAddress, slot0: this._normalizeGlobalState(globalState) };
+    } catch (error) {
+      // If the call fails, the pool likely doesn't exist
+      return { exists: false, poolAddress: null, slot0: null };
+    }
+  }
+
+  /**
+   * Fetch pool state data
+   * @param {string} token0Address - Token0 contract address
+   * @param {string} token1Address - Token1 contract address
+   * @param {number|null} fee - Ignored - the pool's current dynamic fee is returned as `fee`
+   * @param {Object} provider - Ethers provider
+   * @returns {Promise<Object>} Pool state data at the latest block, with its `blockNumber`
+   */
+  async fetchPoolData(token0Address, token1Address, fee, provider) {
+    // Validate token0 address
+    if (!token0Address) {
+      throw new Error("Token0 address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(token0Address);
+    } catch (error) {
+      throw new Error(`Invalid token0 address: ${token0Address}`);
+    }
+
+    // Validate token1 address
+    if (!token1Address) {
+      throw new Error("Token1 address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(token1Address);
+    } catch (error) {
+      throw new Error(`Invalid token1 address: ${token1Address}`);
+    }
+
+    // Validate provider
+    await this._validateProviderChain(provider);
+
+    // Get token data from config
+    const token0Config = getTokenByAddress(token0Address, this.chainId);
+    if (!token0Config) {
+      throw new Error(`Unsupported token: ${token0Address} on chain ${this.chainId}`);
+    }
+
+    const token1Config = getTokenByAddress(token1Address, this.chainId);
+    if (!token1Config) {
+      throw new Error(`Unsupported token: ${token1Address} on chain ${this.chainId}`);
+    }
+
+    // Create token data objects
+    const token0Data = {
+      address: token0Address,
+      decimals: token0Config.decimals,
+      symbol: token0Config.symbol,
+      chainId: this.chainId
+    };
+
+    const token1Data = {
+      address: token1Address,
+      decimals: token1Config.decimals,
+      symbol: token1Config.symbol,
+      chainId: this.chainId
+    };
+
+    const poolAddress = await this.getPoolAddress(token0Data.address, token1Data.address, null, provider);
+    if (poolAddress === ethers.constants.AddressZero) {
+      throw new Error(`No ${this.platformName} pool for ${token0Config.symbol}/${token1Config.symbol}`);
+    }
+
+    try {
+      const [{ poolData, error }] = await this._readPoolStates(
+        [{ poolAddress, token0: token0Data, token1: token1Data, ticks: [] }],
+        provider,
+        { blockTag: await resolvePoolStateBlock(this.chainId, provider) }
+      );
+      if (error) {
+        throw error;
+      }
+
+      return poolData;
+    } catch (error) {
+      throw new Error(`Failed to fetch pool data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read full pool state (the fetchPoolData shape) for several pools, with their tick data
+   * @param {Array<Object>} pools - Pools to read (`{ poolAddress, token0, token1, ticks }`)
+   * @param {Object} provider - Ethers provider instance
+   * @param {Object} readOptions - Options for multicall()
+   * @returns {Promise<Array<{poolData?: Object, error?: Error}>>} Pool data or the read error, per pool
+   * @protected
+   */
+  async _readPoolStates(pools, provider, readOptions) {
+    const reads = await this._batchPoolReads(
+      pools,
+      ['globalState', 'liquidity', 'totalFeeGrowth0Token', 'totalFeeGrowth1Token', 'tickSpacing'],
+      provider,
+      readOptions
+    );
+
+    return reads.map((read, index) => {
+      if (read.error) {
+        return { error: read.error };
+      }
+
+      const { poolAddress, token0, token1 } = pools[index];
+      return {
+        poolData: {
+          poolAddress,
+          token0,
+          token1,
+          ...this._normalizeGlobalState(read.state.globalState),
+          liquidity: read.state.liquidity[0].toString(),
+          feeGrowthGlobal0X128: read.state.totalFeeGrowth0Token[0].toString(),
+          feeGrowthGlobal1X128: read.state.totalFeeGrowth1Token[0].toString(),
+          tickSpacing: Number(read.state.tickSpacing[0]),
+          ticks: read.ticks,
+          ...(typeof readOptions.blockTag === 'number' && { blockNumber: readOptions.blockTag })
+        }
+      };
+    });
+  }
+
+  /**
+   * Get pool data by address with optional tick data and token information
+   * @param {string} poolAddress - Pool contract address
+   * @param {Object} options - Options object for additional data to include (required)
+   * @param {Array<number>} [options.includeTicks] - Array of tick indices to fetch data for (must be integers)
+   * @param {boolean} [options.includeTokens] - Whether to fetch token0 and token1 addresses
+   * @param {boolean} [options.multicall] - Batch the reads through Multicall3 (defaults to the configured setting)
+   * @param {number} [options.batchSize] - Maximum number of reads per Multicall3 call
+   * @param {number|string} [options.blockTag] - Block to read at (defaults to the latest block)
+   * @param {Object} provider - Ethers provider instance
+   * @returns {Promise<Object>} Complete pool data with requested additional fields, and the `blockNumber` read at
+   * @throws {Error} If parameters are invalid or pool data cannot be retrieved
+   */
+  async getPoolData(poolAddress, options, provider) {
+    // Validate options parameter
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error("Options parameter must be an object");
+    }
+
+    // Validate includeTicks if provided
+    if (options.includeTicks !== undefined) {
+      if (!Array.isArray(options.includeTicks)) {
+        throw new Error("includeTicks must be an array");
+      }
+      if (!options.includeTicks.every(tick => typeof tick === 'number' && Number.isInteger(tick))) {
+        throw new Error("All includeTicks values must be integers");
+      }
+    }
+
+    // Validate includeTokens if provided
+    if (options.includeTokens !== undefined) {
+      if (typeof options.includeTokens !== 'boolean') {
+        throw new Error("includeTokens must be a boolean");
+      }
+    }
+
+    const { includeTicks = [], includeTokens = false } = options;
+    const readOptions = this._getReadOptions(options);
+
+    // Validate pool address
+    if (!poolAddress) {
+      throw new Error("Pool address parameter is required");
+    }
+
+    let normalizedAddress;
+    try {
+      normalizedAddress = ethers.utils.getAddress(poolAddress);
+    } catch (error) {
+      throw new Error(`Invalid pool address: ${poolAddress}`);
+    }
+
+    // Validate provider
+    if (!provider || !(provider instanceof ethers.providers.Provider)) {
+      throw new Error("Provider parameter is required");
+    }
+
+    try {
+      // Pin the snapshot to one block
+      readOptions.blockTag = await resolvePoolStateBlock(this.chainId, provider, readOptions.blockTag);
+
+      // Read pool state, ticks and tokens in one batch
+      const methods = ['globalState', 'liquidity', 'totalFeeGrowth0Token', 'totalFeeGrowth1Token'];
+      if (includeTokens) {
+        methods.push('token0', 'token1');
+      }
+      const [read] = await this._batchPoolReads(
+        [{ poolAddress: normalizedAddress, ticks: includeTicks }],
+        methods,
+        provider,
+        readOptions
+      );
+      if (read.error) {
+        throw read.error;
+      }
+
+      const poolData = {
+        address: normalizedAddress,
+        ...this._normalizeGlobalState(read.state.globalState),
+        liquidity: read.state.liquidity[0].toString(),
+        feeGrowthGlobal0X128: read.state.totalFeeGrowth0Token[0].toString(),
+        feeGrowthGlobal1X128: read.state.totalFeeGrowth1Token[0].toString(),
+        blockNumber: readOptions.blockTag,
+        lastUpdated: Date.now()
+      };
+
+      // Add tick data if requested
+      if (includeTicks.length > 0) {
+        poolData.ticks = {};
+        for (const tick of includeTicks) {
+          poolData.ticks[tick.toString()] = {
+            ...read.ticks[tick],
+            lastUpdated: Date.now()
+          };
+        }
+      }
+
+      // Add token addresses if requested
+      if (includeTokens) {
+        poolData.token0 = read.state.token0[0];
+        poolData.token1 = read.state.token1[0];
+      }
+
+      return poolData;
+    } catch (error) {
+      throw new Error(`Failed to get pool data for ${normalizedAddress}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get current tick for a Camelot V3 pool
+   * @param {string} poolAddress - Pool contract address
+   * @param {Object} provider - Ethers provider instance
+   * @returns {Promise<number>} Current tick value
+   * @throws {Error} If parameters invalid or pool query fails
+   */
+  async getCurrentTick(poolAddress, provider) {
+    if (!poolAddress) {
+      throw new Error("Pool address parameter is required");
+    }
+
+    try {
+      ethers.utils.getAddress(poolAddress);
+    } catch (error) {
+      throw new Error(`Invalid pool address: ${poolAddress}`);
+    }
+
+    // Provider validation
+    await this._validateProviderChain(provider);
+
+    try {
+      const [read] = await this._batchPoolReads(
+        [{ poolAddress, ticks: [] }],
+        ['globalState'],
+        provider,
+        { blockTag: await resolvePoolStateBlock(this.chainId, provider) }
+      );
+      if (read.error) {
+        throw read.error;
+      }
+
+      return Number(read.state.globalState.tick);
+    } catch (error) {
+      throw new Error(`Failed to get current tick for pool ${poolAddress}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the fee a swap through the pool pays - Camelot charges a different fee in each direction
+   * @param {Object} poolData - Pool state with `feeZto` and `feeOtz` (falls back to `fee`)
+   * @param {boolean} zeroForOne - Swap direction (token0 -> token1)
+   * @returns {number} Fee in hundredths of a bip
+   * @protected
+   */
+  _getSwapFee(poolData, zeroForOne) {
+    return (zeroForOne ? poolData.feeZto : poolData.feeOtz) ?? poolData.fee;
+  }
+
+  /**
+   * Algebra pools keep initialized ticks in a tickTable rather than a tickBitmap, so they cannot be loaded here;
+   * pass the ticks to simulateSwap from another source (e.g. a subgraph)
+   * @throws {Error} Always
+   */
+  async fetchSwapTickData() {
+    throw new Error(`fetchSwapTickData is not supported on ${this.platformName}: Algebra pools have no tickBitmap`);
+  }
+
+  /**
+   * Get the current dynamic fee of a pool
+   * @param {string} poolAddress - Pool contract address
+   * @param {Object} provider - Ethers provider instance
+   * @returns {Promise<{fee: number, feeZto: number, feeOtz: number}>} Current fees in hundredths of a bip
+   *   (`feeZto` applies to token0 -> token1 swaps, `feeOtz` to token1 -> token0)
+   * @throws {Error} If parameters invalid or pool query fails
+   */
+  async getCurrentFee(poolAddress, provider) {
+    if (!poolAddress) {
+      throw new Error("Pool address parameter is required");
+    }
+
+    try {
+      ethers.utils.getAddress(poolAddress);
+    } catch (error) {
+      throw new Error(`Invalid pool address: ${poolAddress}`);
+    }
+
+    // Provider validation
+    await this._validateProviderChain(provider);
+
+    const poolContract = new ethers.Contract(poolAddress, this.uniswapV3PoolABI, provider);
+
+    try {
+      const { fee, feeZto, feeOtz } = this._normalizeGlobalState(await poolContract.globalState());
+      return { fee, feeZto, feeOtz };
+    } catch (error) {
+      throw new Error(`Failed to get current fee for pool ${poolAddress}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Assemble position data from contract data and pool data
+   *
+   * Algebra positions carry no fee, so the position reports its pool's current dynamic fee.
+   *
+   * @param {string} tokenId - Position token ID
+   * @param {Object} positionData - Raw position data from contract
+   * @param {Object} poolData - Pool data containing token and pool information
+   * @returns {Object} Assembled position object
+   * @private
+   */
+  _assemblePositionData(tokenId, positionData, poolData) {
+    return {
+      ...super._assemblePositionData(tokenId, positionData, poolData),
+      fee: poolData.fee
+    };
+  }
+
+  /**
+   * Discover the pool for a token pair
+   *
+   * Algebra has a single pool per pair, so at most one entry is returned. Its
+   * `fee` is the pool's current dynamic fee.
+   *
+   * @param {string} token0Address - Address of first token
+   * @param {string} token1Address - Address of second token
+   * @param {Object} provider - Ethers provider instance
+   * @returns {Promise<Array>} Array of pool information objects (empty if no pool)
+   */
+  async discoverAvailablePools(token0Address, token1Address, provider) {
+    // Validate token0 address
+    if (!token0Address) {
+      throw new Error("Token0 address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(token0Address);
+    } catch (error) {
+      throw new Error(`Invalid token0 address: ${token0Address}`);
+    }
+
+    // Validate token1 address
+    if (!token1Address) {
+      throw new Error("Token1 address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(token1Address);
+    } catch (error) {
+      throw new Error(`Invalid token1 address: ${token1Address}`);
+    }
+
+    // Validate provider
+    await this._validateProviderChain(provider);
+
+    const poolAddress = await this.getPoolAddress(token0Address, token1Address, null, provider);
+
+    if (poolAddress === ethers.constants.AddressZero) {
+      return []; // Expected - no pool for this pair
+    }
+
+    const poolContract = new ethers.Contract(poolAddress, this.uniswapV3PoolABI, provider);
+
+    let poolData;
+    try {
+      poolData = await Promise.all([
+        poolContract.globalState(),
+        poolContract.liquidity()
+      ]);
+    } catch (firstError) {
+      // Log transient error for monitoring (retry will follow)
+      console.warn(`Pool ${poolAddress} initial fetch failed, retrying:`, firstError.message);
+
+      // Retry once after delay for transient errors
+      await new Promise(resolve => setTimeout(resolve, 1000)); // 1 second delay
+      try {
+        poolData = await Promise.all([
+          poolContract.globalState(),
+          poolContract.liquidity()
+        ]);
+      } catch (secondError) {
+        throw new Error(`Pool ${poolAddress} failed after retry: ${secondError.message}`);
+      }
+    }
+
+    const [globalState, liquidity] = poolData;
+    const { sqrtPriceX96, tick, fee } = this._normalizeGlobalState(globalState);
+
+    return [{
+      address: poolAddress,
+      fee,
+      liquidity: liquidity.toString(),
+      sqrtPriceX96,
+      tick
+    }];
+  }
+
+  /**
+   * Encode the position manager call that mints a new position
+   *
+   * Algebra's MintParams has no fee field, so the SDK encoder cannot be used.
+   *
+   * @param {Position} position - SDK Position to mint
+   * @param {Object} mintOptions - SDK MintOptions (recipient, deadline, slippageTolerance)
+   * @returns {{calldata: string, value: string}} Encoded mint call
+   * @protected
+   */
+  _buildMintCallParameters(position, mintOptions) {
+    const { amount0: amount0Desired, amount1: amount1Desired } = position.mintAmounts;
+    const { amount0: amount0Min, amount1: amount1Min } = position.mintAmountsWithSlippage(mintOptions.slippageTolerance);
+
+    const calldata = this.positionManagerInterface.encodeFunctionData("mint", [{
+      token0: position.pool.token0.address,
+      token1: position.pool.token1.address,
+      tickLower: position.tickLower,
+      tickUpper: position.tickUpper,
+      amount0Desired: amount0Desired.toString(),
+      amount1Desired: amount1Desired.toString(),
+      amount0Min: amount0Min.toString(),
+      amount1Min: amount1Min.toString(),
+      recipient: mintOptions.recipient,
+      deadline: mintOptions.deadline.toString()
+    }]);
+
+    return { calldata, value: "0x00" };
+  }
+
+  /**
+   * Encode an Algebra SwapRouter exactInputSingle or exactOutputSingle call
+   *
+   * Algebra's ExactInputSingleParams has no fee field and names the price limit `limitSqrtPrice`.
+   * ExactOutputSingleParams keeps a fee field that the router does not read; it is sent as 0.
+   *
+   * @param {Object} swapParams - V3 exactInputSingle or exactOutputSingle parameters (fee is ignored)
+   * @returns {string} Encoded swap call
+   * @protected
+   */
+  _buildSwapCallParameters(swapParams) {
+    const { tokenIn, tokenOut, recipient, deadline, amountIn, amountOutMinimum, sqrtPriceLimitX96 } = swapParams;
+
+    if (swapParams.amountOut !== undefined) {
+      return this.swapRouterInterface.encodeFunctionData("exactOutputSingle", [{
+        tokenIn,
+        tokenOut,
+        fee: 0,
+        recipient,
+        deadline,
+        amountOut: swapParams.amountOut,
+        amountInMaximum: swapParams.amountInMaximum,
+        limitSqrtPrice: sqrtPriceLimitX96
+      }]);
+    }
+
+    return this.swapRouterInterface.encodeFunctionData("exactInputSingle", [{
+      tokenIn,
+      tokenOut,
+      recipient,
+      deadline,
+      amountIn,
+      amountOutMinimum,
+      limitSqrtPrice: sqrtPriceLimitX96
+    }]);
+  }
+
+  /**
+   * Encode a swap path for the router and quoter
+   *
+   * Algebra paths are packed token addresses only - each hop goes through the pair's single pool.
+   *
+   * @param {Object} path - Swap path (fees are ignored)
+   * @param {boolean} exactOutput - Pack the path for an exact-output swap
+   * @returns {string} Packed path
+   * @protected
+   */
+  _encodeSwapPath(path, exactOutput) {
+    const tokens = exactOutput ? [...path.tokens].reverse() : path.tokens;
+    return ethers.utils.solidityPack(tokens.map(() => 'address'), tokens);
+  }
+
+  /**
+   * Path fees are not used - each pool sets its own fee
+   * @protected
+   */
+  _validatePathFees() {}
+
+  /**
+   * Get expected output amount for a swap using the Algebra Quoter
+   * @param {Object} params - Parameters for getting swap quote
+   * @param {string} params.tokenInAddress - Address of input token
+   * @param {string} params.tokenOutAddress - Address of output token
+   * @param {string} [params.amountIn] - Amount of input tokens (in wei string)
+   * @param {string} [params.amountOut] - Amount of output tokens (in wei string), instead of amountIn
+   * @param {Object} [params.path] - Multi-hop path `{ tokens }`, instead of tokenInAddress and tokenOutAddress
+   * @param {Object} params.provider - Ethers provider instance
+   * @returns {Promise<string>} Expected output amount (input amount for exact output) in wei string
+   * @throws {Error} If quote cannot be calculated
+   */
+  async getSwapQuote(params) {
+    if (params?.path !== undefined) {
+      return this._getPathSwapQuote(params);
+    }
+
+    const { tokenInAddress, tokenOutAddress, amountIn, amountOut, provider } = params;
+
+    // Validate tokenIn address
+    if (!tokenInAddress) {
+      throw new Error("TokenIn address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(tokenInAddress);
+    } catch (error) {
+      throw new Error(`Invalid tokenIn address: ${tokenInAddress}`);
+    }
+
+    // Validate tokenOut address
+    if (!tokenOutAddress) {
+      throw new Error("TokenOut address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(tokenOutAddress);
+    } catch (error) {
+      throw new Error(`Invalid tokenOut address: ${tokenOutAddress}`);
+    }
+
+    // Validate amounts - amountIn for exact input, or amountOut for exact output
+    const { exactOutput, amount } = this._validateSwapAmounts(amountIn, amountOut);
+
+    // Validate provider
+    await this._validateProviderChain(provider);
+
+    if (!this.addresses?.quoterAddress) {
+      throw new Error(`No ${this.platformName} quoter address found for chainId: ${this.chainId}`);
+    }
+
+    try {
+      const quoterContract = new ethers.Contract(this.addresses.quoterAddress, this.quoterABI, provider);
+
+      // No price limit (0)
+      const result = exactOutput
+        ? await quoterContract.callStatic.quoteExactOutputSingle(tokenInAddress, tokenOutAddress, amount, 0)
+        : await quoterContract.callStatic.quoteExactInputSingle(tokenInAddress, tokenOutAddress, amount, 0);
+
+      // Algebra Quoter returns [amountOut, fee], or [amountIn, fee] for exact output
+      return result[0].toString();
+    } catch (error) {
+      throw new Error(`Failed to get swap quote: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate swap transaction data through the Algebra SwapRouter
+   * @param {Object} params - Parameters for swap
+   * @param {string} params.tokenIn - Address of input token
+   * @param {string} params.tokenOut - Address of output token
+   * @param {string} params.recipient - Address to receive output tokens
+   * @param {string} [params.amountIn] - Amount of input tokens (in wei)
+   * @param {string} [params.amountOut] - Amount of output tokens (in wei), instead of amountIn
+   * @param {Object} [params.path] - Multi-hop path `{ tokens }`, instead of tokenIn and tokenOut
+   * @param {number} params.slippageTolerance - Slippage tolerance percentage (0-100)
+   * @param {string} params.sqrtPriceLimitX96 - Price limit (0 for no limit) - sent as Algebra's limitSqrtPrice
+   * @param {number} params.deadlineMinutes - Transaction deadline in minutes
+   * @param {Object} params.provider - Ethers provider
+   * @returns {Promise<Object>} Transaction data with to, data, and value
+   * @throws {Error} If parameters are invalid or transaction data cannot be generated
+   */
+  async generateSwapData(params) {
+    if (params?.path !== undefined) {
+      return this._generatePathSwapData(params);
+    }
+
+    const {
+      tokenIn,
+      tokenOut,
+      recipient,
+      amountIn,
+      amountOut,
+      slippageTolerance,
+      sqrtPriceLimitX96,
+      deadlineMinutes,
+      provider
+    } = params;
+
+    // Validate tokenIn address
+    if (!tokenIn) {
+      throw new Error("TokenIn address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(tokenIn);
+    } catch (error) {
+      throw new Error(`Invalid tokenIn address: ${tokenIn}`);
+    }
+
+    // Validate tokenOut address
+    if (!tokenOut) {
+      throw new Error("TokenOut address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(tokenOut);
+    } catch (error) {
+      throw new Error(`Invalid tokenOut address: ${tokenOut}`);
+    }
+
+    // Validate recipient address
+    if (!recipient) {
+      throw new Error("Recipient address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(recipient);
+    } catch (error) {
+      throw new Error(`Invalid recipient address: ${recipient}`);
+    }
+
+    // Validate amounts - amountIn for exact input, or amountOut for exact output
+    const { exactOutput, amount } = this._validateSwapAmounts(amountIn, amountOut);
+
+    // Validate slippage tolerance
+    if (slippageTolerance === null || slippageTolerance === undefined) {
+      throw new Error("Slippage tolerance is required");
+    }
+    if (!Number.isFinite(slippageTolerance)) {
+      throw new Error("Slippage tolerance must be a finite number");
+    }
+    if (slippageTolerance < 0 || slippageTolerance > 100) {
+      throw new Error("Slippage tolerance must be between 0 and 100");
+    }
+
+    // Validate sqrtPriceLimitX96
+    if (sqrtPriceLimitX96 === null || sqrtPriceLimitX96 === undefined) {
+      throw new Error("sqrtPriceLimitX96 parameter is required");
+    }
+    if (typeof sqrtPriceLimitX96 !== 'string') {
+      throw new Error("sqrtPriceLimitX96 must be a string");
+    }
+    if (!/^\d+$/.test(sqrtPriceLimitX96)) {
+      throw new Error("sqrtPriceLimitX96 must be a positive numeric string");
+    }
+
+    // Validate deadlineMinutes
+    if (deadlineMinutes === null || deadlineMinutes === undefined) {
+      throw new Error("Deadline minutes is required");
+    }
+    if (!Number.isFinite(deadlineMinutes) || deadlineMinutes < 0) {
+      throw new Error("Deadline minutes must be a non-negative number");
+    }
+
+    // Validate provider
+    await this._validateProviderChain(provider);
+
+    if (!this.addresses?.routerAddress) {
+      throw new Error(`No ${this.platformName} router address found for chainId: ${this.chainId}`);
+    }
+
+    const routerAddress = this.addresses.routerAddress;
+
+    try {
+      // Get quote for the swap
+      const quote = await this.getSwapQuote({
+        tokenInAddress: tokenIn,
+        tokenOutAddress: tokenOut,
+        [exactOutput ? 'amountOut' : 'amountIn']: amount,
+        provider
+      });
+
+      // Minimum amount out, or maximum amount in for exact output, with slippage
+      const bound = this._applySwapSlippage(quote, slippageTolerance, exactOutput);
+
+      const data = this._buildSwapCallParameters({
+        tokenIn,
+        tokenOut,
+        recipient,
+        deadline: this._createDeadline(deadlineMinutes),
+        ...(exactOutput
+          ? { amountOut: amount, amountInMaximum: bound }
+          : { amountIn: amount, amountOutMinimum: bound }),
+        sqrtPriceLimitX96
+      });
+
+      return {
+        to: routerAddress,
+        data,
+        value: "0x00"
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to generate swap data: ${error.message}`);
+    }
+  }
+}
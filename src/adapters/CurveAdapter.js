@@ -0,0 +1,1284 @@
+/**
+ * CurveAdapter - Curve StableSwap Integration
+ *
+ * Curve StableSwap pools hold two or more pegged coins on a curve that stays
+ * close to constant-sum around the peg, giving much lower slippage than
+ * constant-product or concentrated liquidity for stablecoin pairs. This adapter
+ * covers the two stable pool families deployed by Curve factories:
+ * - Plain pools from the legacy stable factory (fixed-size coin arrays)
+ * - Stableswap-NG pools from the NG factory (dynamic coin arrays)
+ * Metapools are skipped.
+ *
+ * The pool contract is also the LP token, so a position is an LP balance keyed
+ * by pool address. Fees accrue to the pool's virtual price instead of being
+ * collected, LP tokens are always "in range", and liquidity and swap
+ * transactions are sent straight to the pool. Tick-based methods throw an
+ * "Unsupported capability" error.
+ *
+ * @module adapters/CurveAdapter
+ */
+
+import { ethers } from "ethers";
+import PlatformAdapter from "./PlatformAdapter.js";
+import { getPlatformAddresses, getChainConfig } from "../helpers/chainHelpers.js";
+import { getTokenByAddress, getTokensByChain } from "../helpers/tokenHelpers.js";
+import { multicall, validateBlockTag, resolveBlockTag } from "../blockchain/multicall.js";
+
+const StableFactoryABI = [
+  "function find_pool_for_coins(address _from, address _to, uint256 i) view returns (address)",
+  "function get_n_coins(address _pool) view returns (uint256)",
+  "function is_meta(address _pool) view returns (bool)"
+];
+
+const StablePoolABI = [
+  "function coins(uint256 i) view returns (address)",
+  "function balances(uint256 i) view returns (uint256)",
+  "function get_virtual_price() view returns (uint256)",
+  "function fee() view returns (uint256)",
+  "function A() view returns (uint256)",
+  "function totalSupply() view returns (uint256)",
+  "function balanceOf(address owner) view returns (uint256)",
+  "function get_dy(int128 i, int128 j, uint256 dx) view returns (uint256)",
+  "function calc_withdraw_one_coin(uint256 _burn_amount, int128 i) view returns (uint256)",
+  "function exchange(int128 i, int128 j, uint256 _dx, uint256 _min_dy, address _receiver) returns (uint256)",
+  "function remove_liquidity_one_coin(uint256 _burn_amount, int128 i, uint256 _min_received, address _receiver) returns (uint256)",
+  "event TokenExchange(address indexed buyer, int128 sold_id, uint256 tokens_sold, int128 bought_id, uint256 tokens_bought)"
+];
+
+// Stableswap-NG pools take dynamic arrays
+const NgLiquidityABI = [
+  "function add_liquidity(uint256[] _amounts, uint256 _min_mint_amount, address _receiver) returns (uint256)",
+  "function calc_token_amount(uint256[] _amounts, bool _is_deposit) view returns (uint256)"
+];
+
+const ERC20ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)"
+];
+
+// Curve fees are fractions of 1e10; platform fees are in hundredths of a bip (1e6)
+const CURVE_FEE_TO_PLATFORM_FEE = 10_000;
+
+// Upper bound on pools checked per token pair and factory
+const MAX_POOLS_PER_PAIR = 10;
+
+// Stableswap-NG supports up to 8 coins; plain pools up to 4
+const MAX_COINS = 8;
+
+/**
+ * Adapter for Curve StableSwap (plain and NG) pools
+ *
+ * Liquidity and swap transactions pull tokens from the sender, so the sending
+ * wallet/vault must approve the pool for each deposited or sold token. Removing
+ * liquidity burns LP tokens held by the sender and needs no approval.
+ *
+ * Note: Methods requiring blockchain interaction accept a provider parameter
+ * rather than storing one in the adapter instance.
+ *
+ * @example
+ * const adapter = new CurveAdapter(42161, provider);
+ *
+ * // Find the stable pools for USDC/USDT and quote a swap across them
+ * const pools = await adapter.discoverAvailablePools(usdcAddress, usdtAddress, provider);
+ * const amountOut = await adapter.getSwapQuote({ tokenInAddress: usdcAddress, tokenOutAddress: usdtAddress, amountIn: '1000000', provider });
+ */
+export default class CurveAdapter extends PlatformAdapter {
+  /**
+   * Capabilities manifest
+   * @type {Object<string, boolean>}
+   */
+  static capabilities = Object.freeze({
+    fullRange: true,
+    stableSwap: true,
+    dynamicFees: true
+  });
+
+  /**
+   * Constructor
+   * @param {number} chainId - Chain ID for the adapter
+   * @param {Object} provider - Ethers provider instance
+   */
+  constructor(chainId, provider) {
+    super(chainId, "curve", "Curve");
+
+    // Cache platform addresses (getPlatformAddresses throws if not configured)
+    this.addresses = getPlatformAddresses(chainId, this.platformId);
+    this.chainConfig = getChainConfig(chainId);
+
+    // Every pool sets its own fee, so there are no fee tiers
+    this.feeTiers = [];
+
+    // Store the ABIs
+    this.factoryABI = StableFactoryABI;
+    this.poolABI = StablePoolABI;
+    this.ngLiquidityABI = NgLiquidityABI;
+
+    // Pre-create contract interfaces for better performance
+    this.factoryInterface = new ethers.utils.Interface(this.factoryABI);
+    this.poolInterface = new ethers.utils.Interface(this.poolABI);
+    this.ngLiquidityInterface = new ethers.utils.Interface(this.ngLiquidityABI);
+    this.erc20Interface = new ethers.utils.Interface(ERC20ABI);
+
+    // Plain pool liquidity interfaces are sized to the coin count, built on demand
+    this._plainLiquidityInterfaces = {};
+
+    this.provider = provider;
+  }
+
+  /**
+   * Build the error thrown by tick-based methods
+   * @param {string} method - Name of the unsupported method
+   * @returns {Error} Unsupported capability error
+   * @private
+   */
+  _unsupportedCapability(method) {
+    return new Error(`Unsupported capability: ${method} is not available on ${this.platformName} (StableSwap pools have no ticks)`);
+  }
+
+  /**
+   * Get the Curve pool swap event signature
+   * @returns {string} The Curve TokenExchange event signature
+   */
+  getSwapEventSignature() {
+    return 'TokenExchange(address,int128,uint256,int128,uint256)';
+  }
+
+  /**
+   * Get the stable pool ABI
+   * @returns {Array} Pool ABI (state, LP token, swap and single-coin withdrawal)
+   */
+  getPoolABI() {
+    return this.poolABI;
+  }
+
+  /**
+   * Get the ABI of the contract that manages positions
+   *
+   * Curve pools mint and burn their own LP tokens, so positions are managed on the pool.
+   *
+   * @returns {Array} Pool ABI
+   */
+  getPositionManagerABI() {
+    return this.poolABI;
+  }
+
+  /**
+   * Get the add liquidity interface for a pool
+   * @param {string} poolType - 'ng' or 'plain'
+   * @param {number} nCoins - Number of coins in the pool
+   * @returns {ethers.utils.Interface} Interface encoding add_liquidity and calc_token_amount
+   * @private
+   */
+  _getLiquidityInterface(poolType, nCoins) {
+    if (poolType === 'ng') {
+      return this.ngLiquidityInterface;
+    }
+
+    if (!this._plainLiquidityInterfaces[nCoins]) {
+      this._plainLiquidityInterfaces[nCoins] = new ethers.utils.Interface([
+        `function add_liquidity(uint256[${nCoins}] _amounts, uint256 _min_mint_amount, address _receiver) returns (uint256)`,
+        `function calc_token_amount(uint256[${nCoins}] _amounts, bool _is_deposit) view returns (uint256)`
+      ]);
+    }
+    return this._plainLiquidityInterfaces[nCoins];
+  }
+
+  /**
+   * Validate and normalize slippage tolerance
+   * @param {number} slippageTolerance - Slippage tolerance percentage (0-100)
+   * @returns {number} Validated slippage tolerance
+   * @throws {Error} If slippage tolerance is invalid
+   */
+  _validateSlippageTolerance(slippageTolerance) {
+    if (slippageTolerance === null || slippageTolerance === undefined) {
+      throw new Error("Slippage tolerance is required");
+    }
+    if (!Number.isFinite(slippageTolerance)) {
+      throw new Error("Slippage tolerance must be a finite number");
+    }
+    if (slippageTolerance < 0 || slippageTolerance > 100) {
+      throw new Error("Slippage tolerance must be between 0 and 100");
+    }
+
+    return slippageTolerance;
+  }
+
+  /**
+   * Apply slippage tolerance to an amount
+   * @param {bigint} amount - Expected amount
+   * @param {number} slippageTolerance - Slippage tolerance percentage (0-100)
+   * @returns {bigint} Minimum acceptable amount
+   * @private
+   */
+  _applySlippage(amount, slippageTolerance) {
+    const validatedSlippage = this._validateSlippageTolerance(slippageTolerance);
+    return amount * BigInt(Math.floor((100 - validatedSlippage) * 100)) / 10_000n;
+  }
+
+  /**
+   * Validate an address parameter
+   * @param {string} address - Address to validate
+   * @param {string} label - Label for error reporting (e.g., "Token0")
+   * @returns {string} Checksummed address
+   * @throws {Error} If the address is missing or invalid
+   * @private
+   */
+  _validateAddress(address, label) {
+    if (!address) {
+      throw new Error(`${label} address parameter is required`);
+    }
+    try {
+      return ethers.utils.getAddress(address);
+    } catch (error) {
+      throw new Error(`Invalid ${label.toLowerCase()} address: ${address}`);
+    }
+  }
+
+  /**
+   * Validate an amount in wei
+   * @param {string} amount - Amount to validate
+   * @param {string} label - Label for error reporting (e.g., "AmountIn")
+   * @throws {Error} If the amount is not a non-negative numeric string
+   * @private
+   */
+  _validateAmount(amount, label) {
+    if (typeof amount !== 'string') {
+      throw new Error(`${label} must be a string`);
+    }
+    if (!/^\d+$/.test(amount)) {
+      throw new Error(`${label} must be a positive numeric string`);
+    }
+  }
+
+  /**
+   * Validate pool data as returned by getPoolData / fetchPoolData
+   * @param {Object} poolData - Pool data with address, poolType, coins, balances and totalSupply
+   * @throws {Error} If pool data is invalid
+   * @private
+   */
+  _validatePoolData(poolData) {
+    if (poolData === null || poolData === undefined) {
+      throw new Error("Pool data parameter is required");
+    }
+    if (typeof poolData !== 'object' || Array.isArray(poolData)) {
+      throw new Error("Pool data must be an object");
+    }
+    this._validateAddress(poolData.address, "Pool");
+    if (poolData.poolType !== 'ng' && poolData.poolType !== 'plain') {
+      throw new Error(`Pool data poolType must be 'ng' or 'plain', got: ${poolData.poolType}`);
+    }
+    if (!Array.isArray(poolData.coins) || poolData.coins.length < 2) {
+      throw new Error("Pool data coins must be an array of at least 2 coins");
+    }
+    if (!Array.isArray(poolData.balances) || poolData.balances.length !== poolData.coins.length) {
+      throw new Error("Pool data balances must have one entry per coin");
+    }
+    poolData.balances.forEach((balance, index) => {
+      if (typeof balance !== 'string' || !/^\d+$/.test(balance)) {
+        throw new Error(`Pool data balances[${index}] must be a non-negative numeric string`);
+      }
+    });
+    if (typeof poolData.totalSupply !== 'string' || !/^\d+$/.test(poolData.totalSupply)) {
+      throw new Error("Pool data totalSupply must be a non-negative numeric string");
+    }
+  }
+
+  /**
+   * Find a coin's index in a pool
+   * @param {Object} poolData - Pool data with coins (addresses or token objects)
+   * @param {string} tokenAddress - Token address to look up
+   * @returns {number} Coin index
+   * @throws {Error} If the token is not one of the pool's coins
+   * @private
+   */
+  _getCoinIndex(poolData, tokenAddress) {
+    const target = tokenAddress.toLowerCase();
+    const index = poolData.coins.findIndex(coin => (coin.address || coin).toLowerCase() === target);
+
+    if (index === -1) {
+      throw new Error(`Token ${tokenAddress} is not a coin of pool ${poolData.address}`);
+    }
+    return index;
+  }
+
+  /**
+   * Validate that provider is on the correct chain
+   * @param {Object} provider - Ethers provider instance
+   * @throws {Error} If provider is invalid or on wrong chain
+   */
+  async _validateProviderChain(provider) {
+    if (!(provider instanceof ethers.providers.Provider)) {
+      throw new Error('Invalid provider. Must be an ethers provider instance.');
+    }
+
+    try {
+      const network = await provider.getNetwork();
+
+      if (!network || network.chainId === undefined) {
+        throw new Error('Provider returned invalid network data');
+      }
+
+      const providerChainId = Number(network.chainId);
+
+      if (providerChainId !== this.chainId) {
+        throw new Error(`Provider chain ${providerChainId} doesn't match adapter chain ${this.chainId}`);
+      }
+    } catch (error) {
+      if (error.message.includes("doesn't match adapter chain")) {
+        throw error;
+      }
+      throw new Error(`Failed to validate provider chain: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the configured stable pool factories, NG first
+   * @param {Object} provider - Ethers provider instance
+   * @returns {Array<{poolType: string, factory: ethers.Contract}>} Factory contracts by pool type
+   * @private
+   */
+  _getFactories(provider) {
+    const factories = [];
+
+    if (this.addresses.factoryAddress) {
+      factories.push({ poolType: 'ng', factory: new ethers.Contract(this.addresses.factoryAddress, this.factoryABI, provider) });
+    }
+    if (this.addresses.plainFactoryAddress) {
+      factories.push({ poolType: 'plain', factory: new ethers.Contract(this.addresses.plainFactoryAddress, this.factoryABI, provider) });
+    }
+
+    if (factories.length === 0) {
+      throw new Error(`No ${this.platformName} factories configured for chain ${this.chainId}`);
+    }
+    return factories;
+  }
+
+  /**
+   * Find the plain and NG stable pools that hold both tokens
+   * @param {string} tokenA - First token address
+   * @param {string} tokenB - Second token address
+   * @param {Object} provider - Ethers provider instance
+   * @param {Object} [overrides={}] - Call overrides, such as `{ blockTag }`
+   * @returns {Promise<Array<{address: string, poolType: string}>>} Pools in factory order (NG first)
+   * @private
+   */
+  async _findPools(tokenA, tokenB, provider, overrides = {}) {
+    const pools = [];
+
+    for (const { poolType, factory } of this._getFactories(provider)) {
+      for (let i = 0; i < MAX_POOLS_PER_PAIR; i++) {
+        const poolAddress = await factory.find_pool_for_coins(tokenA, tokenB, i, overrides);
+        if (poolAddress === ethers.constants.AddressZero) {
+          break;
+        }
+
+        // Metapools pair a coin with another pool's LP token - not a stable pool of their own
+        if (await factory.is_meta(poolAddress, overrides)) {
+          continue;
+        }
+
+        pools.push({ address: ethers.utils.getAddress(poolAddress), poolType });
+      }
+    }
+
+    return pools;
+  }
+
+  /**
+   * Work out which factory deployed a pool and how many coins it holds
+   * @param {string} poolAddress - Pool address
+   * @param {Object} provider - Ethers provider instance
+   * @param {Object} [overrides={}] - Call overrides, such as `{ blockTag }`
+   * @returns {Promise<{poolType: string, nCoins: number}>} Pool type and coin count
+   * @throws {Error} If the pool is not a plain or NG stable pool
+   * @private
+   */
+  async _resolvePool(poolAddress, provider, overrides = {}) {
+    for (const { poolType, factory } of this._getFactories(provider)) {
+      const nCoins = Number(await factory.get_n_coins(poolAddress, overrides));
+      if (nCoins === 0) {
+        continue;
+      }
+      if (await factory.is_meta(poolAddress, overrides)) {
+        throw new Error(`Pool ${poolAddress} is a metapool, which is not supported`);
+      }
+      return { poolType, nCoins };
+    }
+
+    throw new Error(`Pool ${poolAddress} is not a ${this.platformName} plain or NG stable pool`);
+  }
+
+  /**
+   * Read a pool's coins, balances, virtual price, fee, amplification and LP supply
+   * @param {string} poolAddress - Pool address
+   * @param {Object} provider - Ethers provider instance
+   * @param {Object} [overrides={}] - Call overrides, such as `{ blockTag }`
+   * @returns {Promise<Object>} Raw pool state with string values and coin addresses
+   * @private
+   */
+  async _readPoolState(poolAddress, provider, overrides = {}) {
+    const { poolType, nCoins } = await this._resolvePool(poolAddress, provider, overrides);
+
+    if (nCoins > MAX_COINS) {
+      throw new Error(`Pool ${poolAddress} reports ${nCoins} coins, more than the supported ${MAX_COINS}`);
+    }
+
+    const pool = new ethers.Contract(poolAddress, this.poolABI, provider);
+    const indices = [...Array(nCoins).keys()];
+
+    const [coins, balances, virtualPrice, fee, A, totalSupply] = await Promise.all([
+      Promise.all(indices.map(i => pool.coins(i, overrides))),
+      Promise.all(indices.map(i => pool.balances(i, overrides))),
+      pool.get_virtual_price(overrides),
+      pool.fee(overrides),
+      pool.A(overrides),
+      pool.totalSupply(overrides)
+    ]);
+
+    return {
+      address: ethers.utils.getAddress(poolAddress),
+      poolType,
+      coins: coins.map(coin => ethers.utils.getAddress(coin)),
+      balances: balances.map(balance => balance.toString()),
+      virtualPrice: virtualPrice.toString(),
+      fee: Number(fee.toString()) / CURVE_FEE_TO_PLATFORM_FEE,
+      feeRaw: fee.toString(),
+      A: A.toString(),
+      totalSupply: totalSupply.toString()
+    };
+  }
+
+  /**
+   * Resolve token metadata for pool coins
+   *
+   * Uses the token config where available and reads symbol/decimals on-chain for
+   * coins that are not configured.
+   *
+   * @param {Array<string>} coinAddresses - Coin addresses
+   * @param {Object} provider - Ethers provider instance
+   * @param {Object} [overrides={}] - Call overrides, such as `{ blockTag }`
+   * @returns {Promise<Array<Object>>} Token data with address, decimals, symbol and chainId
+   * @private
+   */
+  async _getCoinData(coinAddresses, provider, overrides = {}) {
+    return Promise.all(coinAddresses.map(async (address) => {
+      let config = null;
+      try {
+        config = getTokenByAddress(address, this.chainId);
+      } catch (error) {
+        // Not configured - read from the token contract below
+      }
+
+      if (config) {
+        return { address, decimals: config.decimals, symbol: config.symbol, chainId: this.chainId };
+      }
+
+      const token = new ethers.Contract(address, ERC20ABI, provider);
+      const [symbol, decimals] = await Promise.all([token.symbol(overrides), token.decimals(overrides)]);
+      return { address, decimals: Number(decimals), symbol, chainId: this.chainId };
+    }));
+  }
+
+  /**
+   * Get the first stable pool holding both tokens
+   *
+   * Pools from the NG factory are returned before plain pools.
+   *
+   * @param {string} token0Address - Address of first token
+   * @param {string} token1Address - Address of second token
+   * @param {number} [fee] - Ignored: every pool sets its own fee
+   * @param {Object} provider - Ethers provider instance
+   * @returns {Promise<string>} Pool address (AddressZero if no pool exists)
+   */
+  async getPoolAddress(token0Address, token1Address, fee, provider) {
+    const address0 = this._validateAddress(token0Address, "Token0");
+    const address1 = this._validateAddress(token1Address, "Token1");
+
+    await this._validateProviderChain(provider);
+
+    try {
+      const pools = await this._findPools(address0, address1, provider);
+      return pools.length > 0 ? pools[0].address : ethers.constants.AddressZero;
+    } catch (error) {
+      throw new Error(`Failed to get pool address: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check if a stable pool exists for the given tokens
+   * @param {Object} token0 - First token object
+   * @param {string} token0.address - Token contract address
+   * @param {number} token0.decimals - Token decimals
+   * @param {Object} token1 - Second token object
+   * @param {string} token1.address - Token contract address
+   * @param {number} token1.decimals - Token decimals
+   * @param {number} [fee] - Ignored: every pool sets its own fee
+   * @param {Object} provider - Ethers provider instance
+   * @returns {Promise<{exists: boolean, poolAddress: string|null, poolType: string|null}>} Pool existence check result
+   */
+  async checkPoolExists(token0, token1, fee, provider) {
+    if (!token0) {
+      throw new Error("Token0 parameter is required");
+    }
+    if (!token0.address) {
+      throw new Error("Token0 address is required");
+    }
+    if (!Number.isFinite(token0.decimals)) {
+      throw new Error("Token0 decimals must be a valid number");
+    }
+    if (!token1) {
+      throw new Error("Token1 parameter is required");
+    }
+    if (!token1.address) {
+      throw new Error("Token1 address is required");
+    }
+    if (!Number.isFinite(token1.decimals)) {
+      throw new Error("Token1 decimals must be a valid number");
+    }
+
+    const address0 = this._validateAddress(token0.address, "Token0");
+    const address1 = this._validateAddress(token1.address, "Token1");
+
+    await this._validateProviderChain(provider);
+
+    try {
+      const pools = await this._findPools(address0, address1, provider);
+
+      if (pools.length === 0) {
+        return { exists: false, poolAddress: null, poolType: null };
+      }
+      return { exists: true, poolAddress: pools[0].address, poolType: pools[0].poolType };
+    } catch (error) {
+      throw new Error(`Failed to check pool existence: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fetch pool state for a token pair
+   * @param {string} token0Address - Address of first token
+   * @param {string} token1Address - Address of second token
+   * @param {number} [fee] - Ignored: every pool sets its own fee
+   * @param {Object} provider - Ethers provider
+   * @returns {Promise<Object>} Pool data with coin token data (see getPoolData)
+   * @throws {Error} If no pool holds both tokens
+   */
+  async fetchPoolData(token0Address, token1Address, fee, provider) {
+    const poolAddress = await this.getPoolAddress(token0Address, token1Address, fee, provider);
+
+    if (poolAddress === ethers.constants.AddressZero) {
+      throw new Error(`No ${this.platformName} pool found for ${token0Address}/${token1Address}`);
+    }
+
+    try {
+      return await this.getPoolData(poolAddress, { includeTokens: true }, provider);
+    } catch (error) {
+      throw new Error(`Failed to fetch pool data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get pool data by address with optional token information
+   * @param {string} poolAddress - Pool contract address
+   * @param {Object} options - Options object for additional data to include (required)
+   * @param {Array<number>} [options.includeTicks] - Not supported: must be omitted or empty
+   * @param {boolean} [options.includeTokens] - Whether to resolve coin token data (symbol, decimals)
+   * @param {number|string} [options.blockTag] - Block to read at (defaults to the latest block)
+   * @param {Object} provider - Ethers provider instance
+   * @returns {Promise<Object>} Pool data with address, poolType, coins, balances, virtualPrice, fee, feeRaw, A and totalSupply
+   * @throws {Error} If parameters are invalid or pool data cannot be retrieved
+   */
+  async getPoolData(poolAddress, options, provider) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error("Options parameter must be an object");
+    }
+
+    if (options.includeTicks !== undefined) {
+      if (!Array.isArray(options.includeTicks)) {
+        throw new Error("includeTicks must be an array");
+      }
+      if (options.includeTicks.length > 0) {
+        throw this._unsupportedCapability('getPoolData includeTicks');
+      }
+    }
+
+    if (options.includeTokens !== undefined && typeof options.includeTokens !== 'boolean') {
+      throw new Error("includeTokens must be a boolean");
+    }
+
+    if (options.blockTag !== undefined) {
+      validateBlockTag(options.blockTag);
+    }
+    const overrides = options.blockTag !== undefined ? { blockTag: options.blockTag } : {};
+
+    const address = this._validateAddress(poolAddress, "Pool");
+
+    if (!provider || !(provider instanceof ethers.providers.Provider)) {
+      throw new Error("Provider parameter is required");
+    }
+
+    try {
+      const state = await this._readPoolState(address, provider, overrides);
+
+      return {
+        ...state,
+        ...(options.includeTokens === true ? { coins: await this._getCoinData(state.coins, provider, overrides) } : {}),
+        platform: this.platformId,
+        lastUpdated: Date.now()
+      };
+    } catch (error) {
+      throw new Error(`Failed to get pool data for ${address}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Discover the plain and NG stable pools for two tokens
+   * @param {string} token0Address - Address of first token
+   * @param {string} token1Address - Address of second token
+   * @param {Object} provider - Ethers provider instance
+   * @returns {Promise<Array>} Array of pool objects with { address, poolType, fee, coins, balances, virtualPrice, A, totalSupply }
+   */
+  async discoverAvailablePools(token0Address, token1Address, provider) {
+    const address0 = this._validateAddress(token0Address, "Token0");
+    const address1 = this._validateAddress(token1Address, "Token1");
+
+    await this._validateProviderChain(provider);
+
+    let pools;
+    try {
+      pools = await this._findPools(address0, address1, provider);
+    } catch (error) {
+      throw new Error(`Failed to discover pools: ${error.message}`);
+    }
+
+    const results = [];
+    for (const { address } of pools) {
+      try {
+        const { feeRaw, ...state } = await this._readPoolState(address, provider);
+        results.push(state);
+      } catch (error) {
+        throw new Error(`Pool ${address} query failed: ${error.message}`);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Get positions (LP token balances) held by an address
+   *
+   * Checks every plain and NG pool between the stablecoins configured for this
+   * chain and returns those with a non-zero LP balance, with the holder's share
+   * of each coin balance and the LP value at the pool's virtual price. Every read is
+   * pinned to one block, reported as `blockNumber`; the LP balances are read in one
+   * Multicall3 batch.
+   *
+   * @param {string} address - User's wallet or vault address
+   * @param {Object} provider - Ethers provider instance
+   * @param {Object} [options] - Read options
+   * @param {number|string} [options.blockTag] - Block to read at (defaults to the latest block)
+   * @returns {Promise<{positions: Object, poolData: Object, blockNumber: number}>} Position data and pool data, both
+   *   keyed by pool address
+   */
+  async getPositions(address, provider, options = {}) {
+    if (!address) {
+      throw new Error("Address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(address);
+    } catch (error) {
+      throw new Error(`Invalid address: ${address}`);
+    }
+
+    // Validate provider
+    await this._validateProviderChain(provider);
+
+    // Validate options
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error("Options parameter must be an object");
+    }
+    if (options.blockTag !== undefined) {
+      validateBlockTag(options.blockTag);
+    }
+
+    try {
+      const blockNumber = await resolveBlockTag(provider, options.blockTag);
+      const overrides = { blockTag: blockNumber };
+
+      const stablecoinAddresses = getTokensByChain(this.chainId)
+        .filter(token => token.isStablecoin)
+        .map(token => token.addresses[this.chainId]);
+
+      // Collect each pool once, even when it holds several configured pairs
+      const pools = new Map();
+      for (let i = 0; i < stablecoinAddresses.length; i++) {
+        for (let j = i + 1; j < stablecoinAddresses.length; j++) {
+          for (const pool of await this._findPools(stablecoinAddresses[i], stablecoinAddresses[j], provider, overrides)) {
+            pools.set(pool.address, pool);
+          }
+        }
+      }
+
+      const poolAddresses = [...pools.keys()];
+      const balanceResults = await multicall(
+        poolAddresses.map(poolAddress => ({ target: poolAddress, iface: this.poolInterface, method: 'balanceOf', args: [address] })),
+        provider,
+        overrides
+      );
+
+      const positions = {};
+      const poolDataMap = {};
+      const processingErrors = [];
+
+      for (const [index, poolAddress] of poolAddresses.entries()) {
+        try {
+          const { success, result, error } = balanceResults[index];
+          if (!success) {
+            throw error;
+          }
+          const balance = result[0];
+
+          if (balance.isZero()) {
+            continue;
+          }
+
+          const poolData = await this.getPoolData(poolAddress, { includeTokens: true, blockTag: blockNumber }, provider);
+          poolDataMap[poolAddress] = poolData;
+
+          const lpBalance = BigInt(balance.toString());
+          const totalSupply = BigInt(poolData.totalSupply);
+
+          positions[poolAddress] = {
+            id: poolAddress,
+            tokenPair: poolData.coins.map(coin => coin.symbol).join('/'),
+            pool: poolAddress,
+            poolType: poolData.poolType,
+            fee: poolData.fee,
+            liquidity: lpBalance.toString(),
+            balances: poolData.balances.map(coinBalance => (lpBalance * BigInt(coinBalance) / totalSupply).toString()),
+            virtualPrice: poolData.virtualPrice,
+            value: this.calculateLpValue(lpBalance.toString(), poolData.virtualPrice),
+            fullRange: true,
+            platform: this.platformId,
+            platformName: this.platformName
+          };
+        } catch (error) {
+          processingErrors.push(`Pool ${poolAddress}: ${error.message}`);
+        }
+      }
+
+      if (processingErrors.length > 0) {
+        throw new Error(`Failed to process ${processingErrors.length} position(s): ${processingErrors.join('; ')}`);
+      }
+
+      return {
+        positions,
+        poolData: poolDataMap,
+        blockNumber
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to fetch ${this.platformName} positions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get positions formatted for VaultDataService
+   * @param {string} address - Vault address
+   * @param {Object} provider - Ethers provider instance
+   * @returns {Promise<{positions: Object, poolData: Object}>} Normalized position data and pool data
+   */
+  async getPositionsForVDS(address, provider) {
+    if (!address) {
+      throw new Error("Address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(address);
+    } catch (error) {
+      throw new Error(`Invalid address: ${address}`);
+    }
+
+    if (!provider || typeof provider.getNetwork !== 'function') {
+      throw new Error("Valid provider parameter is required");
+    }
+
+    try {
+      const result = await this.getPositions(address, provider);
+
+      const normalizedPositions = {};
+      Object.values(result.positions).forEach(position => {
+        normalizedPositions[position.id] = {
+          id: position.id,
+          pool: position.pool,
+          liquidity: position.liquidity,
+          fullRange: true,
+          lastUpdated: Date.now()
+        };
+      });
+
+      const metadataPoolData = {};
+      for (const [poolAddress, poolInfo] of Object.entries(result.poolData)) {
+        metadataPoolData[poolAddress] = {
+          poolAddress,
+          poolType: poolInfo.poolType,
+          coinSymbols: poolInfo.coins.map(coin => coin.symbol),
+          fee: poolInfo.fee,
+          platform: this.platformId
+        };
+      }
+
+      return {
+        positions: normalizedPositions,
+        poolData: metadataPoolData
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to fetch positions for VDS: ${error.message}`);
+    }
+  }
+
+  /**
+   * Value an LP token amount at the pool's virtual price
+   * @param {string} lpAmount - LP token amount (18 decimals)
+   * @param {string} virtualPrice - Pool virtual price (18 decimals)
+   * @returns {string} Value in units of the pool's peg, with 18 decimals
+   * @throws {Error} If amounts are not numeric strings
+   */
+  calculateLpValue(lpAmount, virtualPrice) {
+    this._validateAmount(lpAmount, "LP amount");
+    this._validateAmount(virtualPrice, "Virtual price");
+
+    return (BigInt(lpAmount) * BigInt(virtualPrice) / 10n ** 18n).toString();
+  }
+
+  /**
+   * Check if a position is in range (active)
+   *
+   * StableSwap liquidity covers the whole curve, so this always returns true.
+   *
+   * @returns {boolean} Always true
+   */
+  isPositionInRange() {
+    return true;
+  }
+
+  /**
+   * Calculate uncollected fees for a position
+   *
+   * Curve fees raise the pool's virtual price and are already included in the
+   * position's token amounts, so nothing is left to collect separately.
+   *
+   * @param {Object} position - Position data (as returned by getPositions)
+   * @param {Object} poolData - Pool data
+   * @returns {[bigint, bigint]} Always [0n, 0n]
+   * @throws {Error} If parameters are missing
+   */
+  calculateUncollectedFees(position, poolData) {
+    if (!position) {
+      throw new Error("Position parameter is required");
+    }
+    if (!poolData) {
+      throw new Error("poolData parameter is required");
+    }
+
+    return [0n, 0n];
+  }
+
+  /**
+   * Calculate a position's share of two of the pool's coin balances
+   * @param {Object} position - Position object
+   * @param {string} position.liquidity - LP token balance
+   * @param {Object} poolData - Pool data with address, poolType, coins, balances and totalSupply
+   * @param {Object} token0Data - First token data with address
+   * @param {Object} token1Data - Second token data with address
+   * @returns {Promise<Array<bigint>>} Array of [token0Raw, token1Raw] amounts in the order requested
+   */
+  async calculateTokenAmounts(position, poolData, token0Data, token1Data) {
+    if (!position) {
+      throw new Error("position parameter is required");
+    }
+    if (typeof position.liquidity !== 'string') {
+      throw new Error("position.liquidity must be a string");
+    }
+    if (!/^\d+$/.test(position.liquidity)) {
+      throw new Error('Invalid position.liquidity: must be a valid positive numeric string');
+    }
+
+    this._validatePoolData(poolData);
+    const index0 = this._getCoinIndex(poolData, this._validateAddress(token0Data?.address, "Token0"));
+    const index1 = this._getCoinIndex(poolData, this._validateAddress(token1Data?.address, "Token1"));
+
+    const liquidity = BigInt(position.liquidity);
+    if (liquidity === 0n) {
+      return [0n, 0n];
+    }
+
+    const totalSupply = BigInt(poolData.totalSupply);
+    if (liquidity > totalSupply) {
+      throw new Error(`Position liquidity ${liquidity} exceeds pool total supply ${totalSupply}`);
+    }
+
+    return [
+      liquidity * BigInt(poolData.balances[index0]) / totalSupply,
+      liquidity * BigInt(poolData.balances[index1]) / totalSupply
+    ];
+  }
+
+  /**
+   * Not supported: StableSwap pools have no ticks
+   * @throws {Error} Unsupported capability
+   */
+  async getCurrentTick() {
+    throw this._unsupportedCapability('getCurrentTick');
+  }
+
+  /**
+   * Not supported: StableSwap pools have no ticks
+   * @throws {Error} Unsupported capability
+   */
+  async fetchTickData() {
+    throw this._unsupportedCapability('fetchTickData');
+  }
+
+  /**
+   * Not supported: StableSwap pools have no sqrtPriceX96 (use getSwapQuote)
+   * @throws {Error} Unsupported capability
+   */
+  calculatePriceFromSqrtPrice() {
+    throw this._unsupportedCapability('calculatePriceFromSqrtPrice');
+  }
+
+  /**
+   * Not supported: StableSwap pools have no ticks
+   * @throws {Error} Unsupported capability
+   */
+  tickToPrice() {
+    throw this._unsupportedCapability('tickToPrice');
+  }
+
+  /**
+   * Not supported: StableSwap pools have no ticks
+   * @throws {Error} Unsupported capability
+   */
+  priceToTick() {
+    throw this._unsupportedCapability('priceToTick');
+  }
+
+  /**
+   * Not supported: StableSwap liquidity always covers the whole curve
+   * @throws {Error} Unsupported capability
+   */
+  calculateTickRangeFromPercentages() {
+    throw this._unsupportedCapability('calculateTickRangeFromPercentages');
+  }
+
+  /**
+   * Not supported: Curve fees accrue to the virtual price and are withdrawn with liquidity
+   * @throws {Error} Unsupported capability
+   */
+  async generateClaimFeesData() {
+    throw new Error(`Unsupported capability: generateClaimFeesData is not available on ${this.platformName} (fees accrue to the pool's virtual price and are withdrawn with liquidity)`);
+  }
+
+  /**
+   * Encode a pool add_liquidity call
+   * @param {Object} params - Add liquidity parameters (see generateCreatePositionData)
+   * @returns {Promise<Object>} Transaction data object with `to`, `data`, `value` properties and `quote`
+   * @private
+   */
+  async _buildAddLiquidityData(params) {
+    const { provider, walletAddress, poolData, token0Data, token1Data, token0Amount, token1Amount, slippageTolerance } = params;
+
+    this._validateAddress(walletAddress, "Wallet");
+    this._validatePoolData(poolData);
+    this._validateAmount(token0Amount, "Token0 amount");
+    this._validateAmount(token1Amount, "Token1 amount");
+    this._validateSlippageTolerance(slippageTolerance);
+
+    const index0 = this._getCoinIndex(poolData, this._validateAddress(token0Data?.address, "Token0"));
+    const index1 = this._getCoinIndex(poolData, this._validateAddress(token1Data?.address, "Token1"));
+
+    if (index0 === index1) {
+      throw new Error("Token0 and token1 addresses cannot be the same");
+    }
+    if (BigInt(token0Amount) === 0n && BigInt(token1Amount) === 0n) {
+      throw new Error("At least one token amount must be greater than 0");
+    }
+
+    await this._validateProviderChain(provider);
+
+    // Curve accepts any mix of coins, including single-sided deposits
+    const amounts = poolData.coins.map(() => 0n);
+    amounts[index0] = BigInt(token0Amount);
+    amounts[index1] = BigInt(token1Amount);
+
+    const liquidityInterface = this._getLiquidityInterface(poolData.poolType, poolData.coins.length);
+    const pool = new ethers.Contract(poolData.address, liquidityInterface, provider);
+    const expectedLp = BigInt((await pool.calc_token_amount(amounts, true)).toString());
+
+    const data = liquidityInterface.encodeFunctionData('add_liquidity', [
+      amounts,
+      this._applySlippage(expectedLp, slippageTolerance),
+      walletAddress
+    ]);
+
+    return {
+      to: ethers.utils.getAddress(poolData.address),
+      data,
+      value: "0x00",
+      quote: {
+        amounts,
+        liquidity: expectedLp
+      }
+    };
+  }
+
+  /**
+   * Generate transaction data for opening a position (adding liquidity to a pool)
+   *
+   * Encodes a pool `add_liquidity` call, with the minimum LP amount taken from
+   * `calc_token_amount` less the slippage tolerance. Other pool coins are deposited as 0.
+   *
+   * @param {Object} params - Parameters for generating create position data
+   * @param {Object} params.poolData - Pool data (from getPoolData/fetchPoolData)
+   * @param {string} params.token0Amount - Amount of token0 to deposit (in wei string, may be "0")
+   * @param {string} params.token1Amount - Amount of token1 to deposit (in wei string, may be "0")
+   * @param {Object} params.token0Data - Token0 data with address
+   * @param {Object} params.token1Data - Token1 data with address
+   * @param {Object} params.provider - Ethers provider
+   * @param {string} params.walletAddress - Depositor and recipient of the LP tokens
+   * @param {number} params.slippageTolerance - Slippage tolerance percentage (0-100)
+   * @returns {Promise<Object>} Transaction data object with `to`, `data`, `value` properties and `quote`
+   * @throws {Error} If parameters are invalid or transaction data cannot be generated
+   */
+  async generateCreatePositionData(params) {
+    try {
+      return await this._buildAddLiquidityData(params);
+    } catch (error) {
+      throw new Error(`Failed to generate create position data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate transaction data for adding liquidity to an existing position
+   *
+   * Identical to generateCreatePositionData: an LP balance grows by adding more
+   * liquidity to the same pool.
+   *
+   * @param {Object} params - Parameters for generating add liquidity data (see generateCreatePositionData)
+   * @returns {Promise<Object>} Transaction data object with `to`, `data`, `value` properties and `quote`
+   * @throws {Error} If parameters are invalid or transaction data cannot be generated
+   */
+  async generateAddLiquidityData(params) {
+    try {
+      return await this._buildAddLiquidityData(params);
+    } catch (error) {
+      throw new Error(`Failed to generate add liquidity data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate transaction data for removing liquidity into a single coin
+   *
+   * Encodes a pool `remove_liquidity_one_coin` call for a percentage of the LP
+   * balance currently held by walletAddress, with the minimum output taken from
+   * `calc_withdraw_one_coin` less the slippage tolerance.
+   *
+   * @param {Object} params - Parameters for generating remove liquidity data
+   * @param {Object} params.position - Position object with id (the pool address)
+   * @param {number} params.percentage - Percentage of liquidity to remove (1-100)
+   * @param {string} params.tokenOut - Address of the pool coin to withdraw
+   * @param {Object} params.provider - Ethers provider instance
+   * @param {string} params.walletAddress - LP token holder and recipient of the withdrawn coin
+   * @param {Object} params.poolData - Pool data (from getPoolData/fetchPoolData)
+   * @param {number} params.slippageTolerance - Slippage tolerance percentage (0-100)
+   * @returns {Promise<Object>} Transaction data object with `to`, `data`, `value` properties and `quote`
+   * @throws {Error} If parameters are invalid or transaction data cannot be generated
+   */
+  async generateRemoveLiquidityData(params) {
+    const { position, percentage, tokenOut, provider, walletAddress, poolData, slippageTolerance } = params;
+
+    if (position === null || position === undefined) {
+      throw new Error("Position parameter is required");
+    }
+    if (typeof position !== 'object' || Array.isArray(position)) {
+      throw new Error("Position must be an object");
+    }
+    const poolAddress = this._validateAddress(position.id, "Position");
+
+    if (!Number.isFinite(percentage)) {
+      throw new Error("Percentage must be a finite number");
+    }
+    if (percentage <= 0 || percentage > 100) {
+      throw new Error("Percentage must be between 1 and 100");
+    }
+
+    this._validateAddress(walletAddress, "Wallet");
+    this._validatePoolData(poolData);
+    if (poolData.address.toLowerCase() !== poolAddress.toLowerCase()) {
+      throw new Error(`Pool data is for ${poolData.address}, not position pool ${poolAddress}`);
+    }
+    const coinIndex = this._getCoinIndex(poolData, this._validateAddress(tokenOut, "TokenOut"));
+    this._validateSlippageTolerance(slippageTolerance);
+
+    await this._validateProviderChain(provider);
+
+    try {
+      const pool = new ethers.Contract(poolAddress, this.poolABI, provider);
+
+      // Read the live LP balance so the percentage applies to the current position
+      const balance = BigInt((await pool.balanceOf(walletAddress)).toString());
+      if (balance === 0n) {
+        throw new Error(`${walletAddress} holds no ${this.platformName} LP tokens for pool ${poolAddress}`);
+      }
+
+      // Percent is applied in basis points so fractional percentages are honoured
+      const burnAmount = balance * BigInt(Math.round(percentage * 100)) / 10_000n;
+      const expectedOut = BigInt((await pool.calc_withdraw_one_coin(burnAmount, coinIndex)).toString());
+
+      const data = this.poolInterface.encodeFunctionData('remove_liquidity_one_coin', [
+        burnAmount,
+        coinIndex,
+        this._applySlippage(expectedOut, slippageTolerance),
+        walletAddress
+      ]);
+
+      return {
+        to: poolAddress,
+        data,
+        value: "0x00",
+        quote: {
+          liquidity: burnAmount,
+          amountOut: expectedOut
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to generate remove liquidity data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the pool giving the best get_dy output for a swap
+   * @param {string} tokenIn - Input token address (checksummed)
+   * @param {string} tokenOut - Output token address (checksummed)
+   * @param {string} amountIn - Input amount (in wei string)
+   * @param {string|undefined} poolAddress - Pool to use; all pools for the pair are compared if omitted
+   * @param {Object} provider - Ethers provider instance
+   * @returns {Promise<{poolAddress: string, i: number, j: number, amountOut: bigint}>} Best route
+   * @private
+   */
+  async _findBestSwap(tokenIn, tokenOut, amountIn, poolAddress, provider) {
+    const candidates = poolAddress
+      ? [this._validateAddress(poolAddress, "Pool")]
+      : (await this._findPools(tokenIn, tokenOut, provider)).map(pool => pool.address);
+
+    if (candidates.length === 0) {
+      throw new Error(`No ${this.platformName} pool found for ${tokenIn}/${tokenOut}`);
+    }
+
+    let best = null;
+    for (const candidate of candidates) {
+      const state = await this._readPoolState(candidate, provider);
+      const i = this._getCoinIndex(state, tokenIn);
+      const j = this._getCoinIndex(state, tokenOut);
+
+      const pool = new ethers.Contract(candidate, this.poolABI, provider);
+      const amountOut = BigInt((await pool.get_dy(i, j, amountIn)).toString());
+
+      if (!best || amountOut > best.amountOut) {
+        best = { poolAddress: candidate, i, j, amountOut };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Get expected output amount for a swap from the pool's get_dy
+   * @param {Object} params - Parameters for getting swap quote
+   * @param {string} params.tokenInAddress - Address of input token
+   * @param {string} params.tokenOutAddress - Address of output token
+   * @param {string} params.amountIn - Amount of input tokens (in wei string)
+   * @param {string} [params.poolAddress] - Pool to quote; the best pool for the pair is used if omitted
+   * @param {Object} params.provider - Ethers provider instance
+   * @returns {Promise<string>} Expected output amount in wei string
+   * @throws {Error} If quote cannot be calculated
+   */
+  async getSwapQuote(params) {
+    const { tokenInAddress, tokenOutAddress, amountIn, poolAddress, provider } = params;
+
+    const tokenIn = this._validateAddress(tokenInAddress, "TokenIn");
+    const tokenOut = this._validateAddress(tokenOutAddress, "TokenOut");
+
+    this._validateAmount(amountIn, "AmountIn");
+    if (amountIn === '0') {
+      throw new Error("AmountIn cannot be zero");
+    }
+
+    await this._validateProviderChain(provider);
+
+    try {
+      const { amountOut } = await this._findBestSwap(tokenIn, tokenOut, amountIn, poolAddress, provider);
+      return amountOut.toString();
+    } catch (error) {
+      throw new Error(`Failed to get swap quote: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate swap transaction data
+   *
+   * Encodes a pool `exchange` call on the given pool, or on the pool with the
+   * best `get_dy` output for the pair.
+   *
+   * @param {Object} params - Parameters for swap
+   * @param {string} params.tokenIn - Address of input token
+   * @param {string} params.tokenOut - Address of output token
+   * @param {string} params.recipient - Address to receive output tokens
+   * @param {string} params.amountIn - Amount of input tokens (in wei string)
+   * @param {number} params.slippageTolerance - Slippage tolerance percentage (0-100)
+   * @param {string} [params.poolAddress] - Pool to swap through; the best pool for the pair is used if omitted
+   * @param {Object} params.provider - Ethers provider
+   * @returns {Promise<Object>} Transaction data with to, data, value and quote
+   * @throws {Error} If parameters are invalid or transaction data cannot be generated
+   */
+  async generateSwapData(params) {
+    const { tokenIn, tokenOut, recipient, amountIn, slippageTolerance, poolAddress, provider } = params;
+
+    const tokenInAddress = this._validateAddress(tokenIn, "TokenIn");
+    const tokenOutAddress = this._validateAddress(tokenOut, "TokenOut");
+    this._validateAddress(recipient, "Recipient");
+
+    this._validateAmount(amountIn, "AmountIn");
+    if (amountIn === '0') {
+      throw new Error("AmountIn cannot be zero");
+    }
+
+    this._validateSlippageTolerance(slippageTolerance);
+
+    await this._validateProviderChain(provider);
+
+    try {
+      const route = await this._findBestSwap(tokenInAddress, tokenOutAddress, amountIn, poolAddress, provider);
+
+      const data = this.poolInterface.encodeFunctionData('exchange', [
+        route.i,
+        route.j,
+        amountIn,
+        this._applySlippage(route.amountOut, slippageTolerance),
+        recipient
+      ]);
+
+      return {
+        to: route.poolAddress,
+        data,
+        value: "0x00",
+        quote: {
+          poolAddress: route.poolAddress,
+          amountOut: route.amountOut
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to generate swap data: ${error.message}`);
+    }
+  }
+}
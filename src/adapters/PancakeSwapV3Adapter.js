@@ -0,0 +1,67 @@
+/**
+ * PancakeSwapV3Adapter - PancakeSwap V3 Protocol Integration
+ *
+ * PancakeSwap V3 is a Uniswap V3 fork. It runs on the shared V3 engine with
+ * these quirks:
+ * - 2500 (0.25%, tick spacing 50) fee tier in place of Uniswap's 3000
+ * - Pools are CREATE2-deployed by a separate PoolDeployer contract
+ * - slot0.feeProtocol is a uint32 (two packed uint16 values)
+ * - The Swap event carries the protocol fees taken from each side
+ *
+ * @module adapters/PancakeSwapV3Adapter
+ */
+
+import { ethers } from "ethers";
+import UniswapV3BaseAdapter from "./UniswapV3BaseAdapter.js";
+
+/**
+ * Adapter for PancakeSwap V3 platform
+ *
+ * @example
+ * // Create adapter for Arbitrum
+ * const adapter = new PancakeSwapV3Adapter(42161, provider);
+ *
+ * // Get live pool data for the 0.25% tier (makes blockchain calls)
+ * const poolData = await adapter.fetchPoolData(token0Address, token1Address, 2500, provider);
+ */
+export default class PancakeSwapV3Adapter extends UniswapV3BaseAdapter {
+  /**
+   * Constructor
+   * @param {number} chainId - Chain ID for the adapter
+   * @param {Object} provider - Ethers provider instance
+   */
+  constructor(chainId, provider) {
+    super(chainId, provider, "pancakeswapV3", "PancakeSwap V3");
+
+    // PancakeV3Pool widens slot0.feeProtocol to uint32 - patch the shared pool ABI
+    this.uniswapV3PoolABI = this.uniswapV3PoolABI.map(fragment => {
+      if (fragment.type !== 'function' || fragment.name !== 'slot0') {
+        return fragment;
+      }
+      return {
+        ...fragment,
+        outputs: fragment.outputs.map(output =>
+          output.name === 'feeProtocol' ? { ...output, internalType: 'uint32', type: 'uint32' } : output
+        )
+      };
+    });
+    this.poolInterface = new ethers.utils.Interface(this.uniswapV3PoolABI);
+  }
+
+  /**
+   * Get the PancakeSwap V3 swap event signature
+   * @returns {string} The PancakeSwap V3 Swap event signature (includes protocol fees)
+   */
+  getSwapEventSignature() {
+    return 'Swap(address,address,int256,int256,uint160,uint128,int24,uint128,uint128)';
+  }
+
+  /**
+   * Get the address pools are CREATE2-deployed from
+   * @returns {string} PancakeV3PoolDeployer address
+   * @protected
+   */
+  _getPoolDeployerAddress() {
+    return this.addresses.poolDeployerAddress;
+  }
+}
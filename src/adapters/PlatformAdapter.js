@@ -5,6 +5,17 @@
  * and implement all required methods.
  */
 export default class PlatformAdapter {
+  /**
+   * Capabilities manifest
+   *
+   * Declares what the adapter supports, keyed by capability name (see
+   * ADAPTER_CAPABILITIES in AdapterFactory). Capabilities that are not listed
+   * are unsupported. Subclasses override this with their own manifest.
+   *
+   * @type {Object<string, boolean>}
+   */
+  static capabilities = Object.freeze({});
+
   /**
    * Constructor for the platform adapter
    * @param {number} chainId - Chain ID for the adapter
@@ -102,11 +113,16 @@ export default class PlatformAdapter {
 
   /**
    * Get positions for the connected user
+   *
+   * Every read is made at `options.blockTag`, resolved to one block number and reported as `blockNumber`.
+   *
    * @param {string} address - User's wallet address
-   * @param {number} chainId - Chain ID
-   * @returns {Promise<{positions: Array, poolData: Object, tokenData: Object}>} Position data
+   * @param {Object} provider - Ethers provider instance
+   * @param {Object} [options] - Read options
+   * @param {number|string} [options.blockTag] - Block to read at (defaults to the latest block)
+   * @returns {Promise<{positions: Object, poolData: Object, blockNumber: number}>} Position data
    */
-  async getPositions(address, chainId) {
+  async getPositions(address, provider, options = {}) {
     throw new Error("getPositions must be implemented by subclasses");
   }
 
@@ -0,0 +1,32 @@
+/**
+ * SushiSwapV2Adapter - SushiSwap V2 Protocol Integration
+ *
+ * SushiSwap V2 is a Uniswap V2 fork with its own factory, router and pair
+ * bytecode (and therefore pair init code hash), so it runs entirely on the
+ * shared V2 engine with SushiSwap's configuration.
+ *
+ * @module adapters/SushiSwapV2Adapter
+ */
+
+import UniswapV2BaseAdapter from "./UniswapV2BaseAdapter.js";
+
+/**
+ * Adapter for SushiSwap V2 platform
+ *
+ * @example
+ * // Create adapter for Arbitrum
+ * const adapter = new SushiSwapV2Adapter(42161, provider);
+ *
+ * // Get live pair data (makes blockchain calls)
+ * const poolData = await adapter.fetchPoolData(token0Address, token1Address, null, provider);
+ */
+export default class SushiSwapV2Adapter extends UniswapV2BaseAdapter {
+  /**
+   * Constructor
+   * @param {number} chainId - Chain ID for the adapter
+   * @param {Object} provider - Ethers provider instance
+   */
+  constructor(chainId, provider) {
+    super(chainId, provider, "sushiswapV2", "SushiSwap V2");
+  }
+}
@@ -0,0 +1,32 @@
+/**
+ * SushiSwapV3Adapter - SushiSwap V3 Protocol Integration
+ *
+ * SushiSwap V3 is an unmodified Uniswap V3 deployment with its own factory,
+ * position manager, router and quoter, so it runs entirely on the shared V3
+ * engine with SushiSwap's addresses and fee tiers.
+ *
+ * @module adapters/SushiSwapV3Adapter
+ */
+
+import UniswapV3BaseAdapter from "./UniswapV3BaseAdapter.js";
+
+/**
+ * Adapter for SushiSwap V3 platform
+ *
+ * @example
+ * // Create adapter for Arbitrum
+ * const adapter = new SushiSwapV3Adapter(42161, provider);
+ *
+ * // Get live pool data (makes blockchain calls)
+ * const poolData = await adapter.fetchPoolData(token0Address, token1Address, 500, provider);
+ */
+export default class SushiSwapV3Adapter extends UniswapV3BaseAdapter {
+  /**
+   * Constructor
+   * @param {number} chainId - Chain ID for the adapter
+   * @param {Object} provider - Ethers provider instance
+   */
+  constructor(chainId, provider) {
+    super(chainId, provider, "sushiswapV3", "SushiSwap V3");
+  }
+}
@@ -0,0 +1,32 @@
+/**
+ * UniswapV2Adapter - Uniswap V2 Protocol Integration
+ *
+ * Full-range constant-product liquidity on Uniswap V2 pairs. Positions are LP
+ * token balances; everything runs on the shared V2 engine with Uniswap's
+ * factory, router and pair init code hash.
+ *
+ * @module adapters/UniswapV2Adapter
+ */
+
+import UniswapV2BaseAdapter from "./UniswapV2BaseAdapter.js";
+
+/**
+ * Adapter for Uniswap V2 platform
+ *
+ * @example
+ * // Create adapter for Arbitrum
+ * const adapter = new UniswapV2Adapter(42161, provider);
+ *
+ * // Get live pair data (makes blockchain calls)
+ * const poolData = await adapter.fetchPoolData(token0Address, token1Address, null, provider);
+ */
+export default class UniswapV2Adapter extends UniswapV2BaseAdapter {
+  /**
+   * Constructor
+   * @param {number} chainId - Chain ID for the adapter
+   * @param {Object} provider - Ethers provider instance
+   */
+  constructor(chainId, provider) {
+    super(chainId, provider, "uniswapV2", "Uniswap V2");
+  }
+}
@@ -0,0 +1,1361 @@
+/**
+ * UniswapV2BaseAdapter - Shared engine for Uniswap V2 and its forks
+ *
+ * V2-style pairs provide full-range, constant-product liquidity: every LP owns a
+ * share of the pair's reserves, fees compound into those reserves, and liquidity
+ * is always in range. This base class maps that model onto the PlatformAdapter
+ * interface:
+ * - A position is an LP token balance; its ID and pool are the pair address
+ * - Token amounts are the position's share of the pair reserves
+ * - Liquidity and swap transactions are encoded for the V2 router
+ * - Tick-based methods throw an "Unsupported capability" error
+ *
+ * Fork adapters (SushiSwap V2, ...) only supply their platform ID, which selects
+ * addresses, fee and pair init code hash from config.
+ *
+ * @module adapters/UniswapV2BaseAdapter
+ */
+
+import { ethers } from "ethers";
+import PlatformAdapter from "./PlatformAdapter.js";
+import { getPlatformFeeTiers, getPlatformMetadata } from "../helpers/platformHelpers.js";
+import { getPlatformAddresses, getChainConfig } from "../helpers/chainHelpers.js";
+import { getTokenByAddress, getTokensByChain } from "../helpers/tokenHelpers.js";
+import { multicall, validateBlockTag, resolveBlockTag } from "../blockchain/multicall.js";
+import { Token, Price } from '@uniswap/sdk-core';
+
+const PairABI = [
+  "function token0() view returns (address)",
+  "function token1() view returns (address)",
+  "function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)",
+  "function totalSupply() view returns (uint256)",
+  "function balanceOf(address owner) view returns (uint256)",
+  "event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)"
+];
+
+const FactoryABI = [
+  "function getPair(address tokenA, address tokenB) view returns (address pair)"
+];
+
+const RouterABI = [
+  "function addLiquidity(address tokenA, address tokenB, uint256 amountADesired, uint256 amountBDesired, uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline) returns (uint256 amountA, uint256 amountB, uint256 liquidity)",
+  "function removeLiquidity(address tokenA, address tokenB, uint256 liquidity, uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline) returns (uint256 amountA, uint256 amountB)",
+  "function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline) returns (uint256[] amounts)",
+  "function getAmountsOut(uint256 amountIn, address[] path) view returns (uint256[] amounts)"
+];
+
+/**
+ * Base adapter for Uniswap V2-style (full-range, constant-product) platforms
+ *
+ * Caches platform addresses, the pair fee and chain configuration during
+ * construction. Not registered with AdapterFactory directly - each platform
+ * registers its own subclass.
+ *
+ * Liquidity and swap transactions pull tokens through the router, so the sending
+ * wallet/vault must approve the router for each token (and for the pair's LP
+ * token before removing liquidity).
+ *
+ * Note: Methods requiring blockchain interaction accept a provider parameter
+ * rather than storing one in the adapter instance.
+ *
+ * @example
+ * // Define a fork adapter
+ * class MyForkV2Adapter extends UniswapV2BaseAdapter {
+ *   constructor(chainId, provider) {
+ *     super(chainId, provider, "myForkV2", "MyFork V2");
+ *   }
+ * }
+ */
+export default class UniswapV2BaseAdapter extends PlatformAdapter {
+  /**
+   * Capabilities manifest shared by V2 forks
+   * @type {Object<string, boolean>}
+   */
+  static capabilities = Object.freeze({
+    fullRange: true
+  });
+
+  /**
+   * Constructor
+   * @param {number} chainId - Chain ID for the adapter
+   * @param {Object} provider - Ethers provider instance
+   * @param {string} platformId - Platform identifier (selects addresses and fee from config)
+   * @param {string} platformName - Human-readable platform name
+   */
+  constructor(chainId, provider, platformId, platformName) {
+    super(chainId, platformId, platformName);
+
+    // Cache platform addresses (getPlatformAddresses throws if not configured)
+    this.addresses = getPlatformAddresses(chainId, platformId);
+
+    // Cache platform configuration data - full-range platforms have exactly one fee
+    this.feeTiers = getPlatformFeeTiers(platformId);
+    this.fee = this.feeTiers[0];
+    this.poolInitCodeHash = getPlatformMetadata(platformId).poolInitCodeHash;
+    this.chainConfig = getChainConfig(chainId);
+
+    // Store the ABIs
+    this.pairABI = PairABI;
+    this.factoryABI = FactoryABI;
+    this.routerABI = RouterABI;
+
+    // Pre-create contract interfaces for better performance
+    this.pairInterface = new ethers.utils.Interface(this.pairABI);
+    this.factoryInterface = new ethers.utils.Interface(this.factoryABI);
+    this.routerInterface = new ethers.utils.Interface(this.routerABI);
+
+    this.provider = provider;
+  }
+
+  /**
+   * Build the error thrown by tick-based methods
+   * @param {string} method - Name of the unsupported method
+   * @returns {Error} Unsupported capability error
+   * @private
+   */
+  _unsupportedCapability(method) {
+    return new Error(`Unsupported capability: ${method} is not available on ${this.platformName} (full-range pools have no ticks)`);
+  }
+
+  /**
+   * Get the V2 pair swap event signature
+   * @returns {string} The Uniswap V2 Swap event signature
+   */
+  getSwapEventSignature() {
+    return 'Swap(address,uint256,uint256,uint256,uint256,address)';
+  }
+
+  /**
+   * Get the pair ABI
+   * @returns {Array} Pair ABI (reserves, LP token balance and Swap event)
+   */
+  getPoolABI() {
+    return this.pairABI;
+  }
+
+  /**
+   * Get the ABI of the contract that manages positions
+   *
+   * V2 has no position manager; liquidity is added and removed through the router.
+   *
+   * @returns {Array} Router ABI
+   */
+  getPositionManagerABI() {
+    return this.routerABI;
+  }
+
+  /**
+   * Validate and normalize slippage tolerance
+   * @param {number} slippageTolerance - Slippage tolerance percentage (0-100)
+   * @returns {number} Validated slippage tolerance
+   * @throws {Error} If slippage tolerance is invalid
+   */
+  _validateSlippageTolerance(slippageTolerance) {
+    if (!Number.isFinite(slippageTolerance) || slippageTolerance < 0 || slippageTolerance > 100) {
+      throw new Error(`Invalid slippage tolerance: ${slippageTolerance}. Must be between 0 and 100.`);
+    }
+
+    return slippageTolerance;
+  }
+
+  /**
+   * Create deadline timestamp from minutes offset
+   * @param {number} deadlineMinutes - Minutes from now
+   * @returns {number} Unix timestamp
+   * @throws {Error} If deadlineMinutes is invalid
+   */
+  _createDeadline(deadlineMinutes) {
+    if (!Number.isFinite(deadlineMinutes) || deadlineMinutes < 0) {
+      throw new Error(`Invalid deadline minutes: ${deadlineMinutes}. Must be a non-negative number.`);
+    }
+
+    return Math.floor(Date.now() / 1000) + (deadlineMinutes * 60);
+  }
+
+  /**
+   * Apply slippage tolerance to an amount
+   * @param {bigint} amount - Expected amount
+   * @param {number} slippageTolerance - Slippage tolerance percentage (0-100)
+   * @returns {bigint} Minimum acceptable amount
+   * @private
+   */
+  _applySlippage(amount, slippageTolerance) {
+    const validatedSlippage = this._validateSlippageTolerance(slippageTolerance);
+    return amount * BigInt(Math.floor((100 - validatedSlippage) * 100)) / 10_000n;
+  }
+
+  /**
+   * Validate common transaction parameters
+   * @param {Object} params - Parameters containing slippageTolerance and deadlineMinutes
+   * @throws {Error} If parameters are invalid
+   * @private
+   */
+  _validateTxSettings({ slippageTolerance, deadlineMinutes }) {
+    if (slippageTolerance === null || slippageTolerance === undefined) {
+      throw new Error("Slippage tolerance is required");
+    }
+    if (!Number.isFinite(slippageTolerance)) {
+      throw new Error("Slippage tolerance must be a finite number");
+    }
+    if (slippageTolerance < 0 || slippageTolerance > 100) {
+      throw new Error("Slippage tolerance must be between 0 and 100");
+    }
+
+    if (deadlineMinutes === null || deadlineMinutes === undefined) {
+      throw new Error("Deadline minutes is required");
+    }
+    if (!Number.isFinite(deadlineMinutes)) {
+      throw new Error("Deadline minutes must be a finite number");
+    }
+    if (deadlineMinutes <= 0) {
+      throw new Error("Deadline minutes must be greater than 0");
+    }
+  }
+
+  /**
+   * Validate an address parameter
+   * @param {string} address - Address to validate
+   * @param {string} label - Label for error reporting (e.g., "Token0")
+   * @returns {string} Checksummed address
+   * @throws {Error} If the address is missing or invalid
+   * @private
+   */
+  _validateAddress(address, label) {
+    if (!address) {
+      throw new Error(`${label} address parameter is required`);
+    }
+    try {
+      return ethers.utils.getAddress(address);
+    } catch (error) {
+      throw new Error(`Invalid ${label.toLowerCase()} address: ${address}`);
+    }
+  }
+
+  /**
+   * Validate token data object
+   * @param {Object} tokenData - Token data with address and decimals
+   * @param {string} label - Label for error reporting (e.g., "Token0")
+   * @throws {Error} If token data is invalid
+   * @private
+   */
+  _validateTokenData(tokenData, label) {
+    if (tokenData === null || tokenData === undefined) {
+      throw new Error(`${label} data parameter is required`);
+    }
+    if (typeof tokenData !== 'object' || Array.isArray(tokenData)) {
+      throw new Error(`${label} data must be an object`);
+    }
+    if (!tokenData.address || typeof tokenData.address !== 'string') {
+      throw new Error(`${label} address is required`);
+    }
+    try {
+      ethers.utils.getAddress(tokenData.address);
+    } catch (error) {
+      throw new Error(`Invalid ${label.toLowerCase()} address: ${tokenData.address}`);
+    }
+    if (!Number.isFinite(tokenData.decimals) || tokenData.decimals < 0 || tokenData.decimals > 255) {
+      throw new Error(`${label} decimals must be a finite number between 0 and 255`);
+    }
+  }
+
+  /**
+   * Validate pair reserve data
+   * @param {Object} poolData - Pool data with reserve0, reserve1 and totalSupply
+   * @throws {Error} If pool data is invalid
+   * @private
+   */
+  _validatePoolData(poolData) {
+    if (poolData === null || poolData === undefined) {
+      throw new Error("Pool data parameter is required");
+    }
+    if (typeof poolData !== 'object' || Array.isArray(poolData)) {
+      throw new Error("Pool data must be an object");
+    }
+    for (const field of ['reserve0', 'reserve1', 'totalSupply']) {
+      if (typeof poolData[field] !== 'string' || !/^\d+$/.test(poolData[field])) {
+        throw new Error(`Pool data ${field} must be a non-negative numeric string`);
+      }
+    }
+  }
+
+  /**
+   * Sort tokens according to Uniswap rules (lower address first)
+   * @param {Object} token0 - First token object
+   * @param {string} token0.address - Token contract address
+   * @param {Object} token1 - Second token object
+   * @param {string} token1.address - Token contract address
+   * @returns {{sortedToken0: Object, sortedToken1: Object, tokensSwapped: boolean}} Sorted tokens and swap flag
+   */
+  sortTokens(token0, token1) {
+    if (!token0?.address || !token1?.address) {
+      throw new Error("Both tokens must have valid addresses");
+    }
+
+    const tokensSwapped = token0.address.toLowerCase() > token1.address.toLowerCase();
+
+    return tokensSwapped
+      ? { sortedToken0: token1, sortedToken1: token0, tokensSwapped: true }
+      : { sortedToken0: token0, sortedToken1: token1, tokensSwapped: false };
+  }
+
+  /**
+   * Validate that provider is on the correct chain
+   * @param {Object} provider - Ethers provider instance
+   * @throws {Error} If provider is invalid or on wrong chain
+   */
+  async _validateProviderChain(provider) {
+    if (!(provider instanceof ethers.providers.Provider)) {
+      throw new Error('Invalid provider. Must be an ethers provider instance.');
+    }
+
+    try {
+      const network = await provider.getNetwork();
+
+      if (!network || network.chainId === undefined) {
+        throw new Error('Provider returned invalid network data');
+      }
+
+      const providerChainId = Number(network.chainId);
+
+      if (providerChainId !== this.chainId) {
+        throw new Error(`Provider chain ${providerChainId} doesn't match adapter chain ${this.chainId}`);
+      }
+    } catch (error) {
+      if (error.message.includes("doesn't match adapter chain")) {
+        throw error;
+      }
+      throw new Error(`Failed to validate provider chain: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get factory contract instance
+   * @param {Object} provider - Ethers provider instance
+   * @returns {ethers.Contract} Factory contract instance
+   * @private
+   */
+  _getFactory(provider) {
+    if (!provider) {
+      throw new Error('Provider is required');
+    }
+
+    if (!this.addresses?.factoryAddress) {
+      throw new Error(`Factory not available for chain ${this.chainId}`);
+    }
+
+    return new ethers.Contract(this.addresses.factoryAddress, this.factoryABI, provider);
+  }
+
+  /**
+   * Compute a pair address offline from the factory's CREATE2 parameters
+   * @param {string} token0Address - Address of first token
+   * @param {string} token1Address - Address of second token
+   * @returns {string} Checksummed pair address
+   * @throws {Error} If token addresses are invalid
+   */
+  computePoolAddress(token0Address, token1Address) {
+    if (!token0Address) {
+      throw new Error("Token0 address parameter is required");
+    }
+    if (!token1Address) {
+      throw new Error("Token1 address parameter is required");
+    }
+
+    let address0, address1;
+    try {
+      address0 = ethers.utils.getAddress(token0Address);
+    } catch (error) {
+      throw new Error(`Invalid token0 address: ${token0Address}`);
+    }
+    try {
+      address1 = ethers.utils.getAddress(token1Address);
+    } catch (error) {
+      throw new Error(`Invalid token1 address: ${token1Address}`);
+    }
+
+    const [sorted0, sorted1] = address0.toLowerCase() < address1.toLowerCase()
+      ? [address0, address1]
+      : [address1, address0];
+
+    // V2 salts the pair with the packed (not ABI-encoded) token addresses
+    const salt = ethers.utils.solidityKeccak256(['address', 'address'], [sorted0, sorted1]);
+
+    return ethers.utils.getCreate2Address(this.addresses.factoryAddress, salt, this.poolInitCodeHash);
+  }
+
+  /**
+   * Get the pair address for two tokens from the factory
+   * @param {string} token0Address - Address of first token
+   * @param {string} token1Address - Address of second token
+   * @param {number} [fee] - Ignored: every pair charges the platform fee
+   * @param {Object} provider - Ethers provider instance
+   * @returns {Promise<string>} Pair address (AddressZero if the pair does not exist)
+   */
+  async getPoolAddress(token0Address, token1Address, fee, provider) {
+    const address0 = this._validateAddress(token0Address, "Token0");
+    const address1 = this._validateAddress(token1Address, "Token1");
+
+    await this._validateProviderChain(provider);
+
+    try {
+      const factory = this._getFactory(provider);
+      return await factory.getPair(address0, address1);
+    } catch (error) {
+      throw new Error(`Failed to get pool address: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build token data for a configured token
+   * @param {string} tokenAddress - Token contract address
+   * @returns {{address: string, decimals: number, symbol: string, chainId: number}} Token data
+   * @throws {Error} If the token is not configured for this chain
+   * @private
+   */
+  _getTokenData(tokenAddress) {
+    const tokenConfig = getTokenByAddress(tokenAddress, this.chainId);
+
+    return {
+      address: ethers.utils.getAddress(tokenAddress),
+      decimals: tokenConfig.decimals,
+      symbol: tokenConfig.symbol,
+      chainId: this.chainId
+    };
+  }
+
+  /**
+   * Read reserves, LP supply and (optionally) token addresses from a pair
+   * @param {string} pairAddress - Pair contract address
+   * @param {Object} provider - Ethers provider instance
+   * @param {boolean} [includeTokens=false] - Whether to read token0 and token1
+   * @returns {Promise<Object>} Raw pair state with string values
+   * @private
+   */
+  async _readPairState(pairAddress, provider, includeTokens = false) {
+    const pair = new ethers.Contract(pairAddress, this.pairABI, provider);
+
+    const [reserves, totalSupply, token0, token1] = await Promise.all([
+      pair.getReserves(),
+      pair.totalSupply(),
+      includeTokens ? pair.token0() : undefined,
+      includeTokens ? pair.token1() : undefined
+    ]);
+
+    return {
+      reserve0: reserves.reserve0.toString(),
+      reserve1: reserves.reserve1.toString(),
+      blockTimestampLast: Number(reserves.blockTimestampLast),
+      totalSupply: totalSupply.toString(),
+      ...(includeTokens ? { token0, token1 } : {})
+    };
+  }
+
+  /**
+   * Check if a pair exists for the given tokens
+   * @param {Object} token0 - First token object
+   * @param {string} token0.address - Token contract address
+   * @param {number} token0.decimals - Token decimals
+   * @param {Object} token1 - Second token object
+   * @param {string} token1.address - Token contract address
+   * @param {number} token1.decimals - Token decimals
+   * @param {number} [fee] - Ignored: every pair charges the platform fee
+   * @param {Object} provider - Ethers provider instance
+   * @returns {Promise<{exists: boolean, poolAddress: string|null, reserves: Object|null}>} Pair existence check result
+   */
+  async checkPoolExists(token0, token1, fee, provider) {
+    if (!token0) {
+      throw new Error("Token0 parameter is required");
+    }
+    if (!token0.address) {
+      throw new Error("Token0 address is required");
+    }
+    if (!Number.isFinite(token0.decimals)) {
+      throw new Error("Token0 decimals must be a valid number");
+    }
+    if (!token1) {
+      throw new Error("Token1 parameter is required");
+    }
+    if (!token1.address) {
+      throw new Error("Token1 address is required");
+    }
+    if (!Number.isFinite(token1.decimals)) {
+      throw new Error("Token1 decimals must be a valid number");
+    }
+
+    const pairAddress = await this.getPoolAddress(token0.address, token1.address, fee, provider);
+
+    if (pairAddress === ethers.constants.AddressZero) {
+      return { exists: false, poolAddress: null, reserves: null };
+    }
+
+    const { reserve0, reserve1, totalSupply } = await this._readPairState(pairAddress, provider);
+
+    return { exists: true, poolAddress: pairAddress, reserves: { reserve0, reserve1, totalSupply } };
+  }
+
+  /**
+   * Fetch pair state for a token pair
+   * @param {string} token0Address - Address of first token
+   * @param {string} token1Address - Address of second token
+   * @param {number} [fee] - Ignored: every pair charges the platform fee
+   * @param {Object} provider - Ethers provider
+   * @returns {Promise<Object>} Pool data with reserves, LP supply and token data
+   * @throws {Error} If the pair does not exist or its tokens are not configured
+   */
+  async fetchPoolData(token0Address, token1Address, fee, provider) {
+    const pairAddress = await this.getPoolAddress(token0Address, token1Address, fee, provider);
+
+    if (pairAddress === ethers.constants.AddressZero) {
+      throw new Error(`No ${this.platformName} pair found for ${token0Address}/${token1Address}`);
+    }
+
+    const { sortedToken0, sortedToken1 } = this.sortTokens({ address: token0Address }, { address: token1Address });
+
+    // Resolve token data (throws for tokens missing from config)
+    const token0 = this._getTokenData(sortedToken0.address);
+    const token1 = this._getTokenData(sortedToken1.address);
+
+    try {
+      const state = await this._readPairState(pairAddress, provider);
+
+      return {
+        poolAddress: pairAddress,
+        token0,
+        token1,
+        ...state,
+        fee: this.fee,
+        platform: this.platformId
+      };
+    } catch (error) {
+      throw new Error(`Failed to fetch pool data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get pair data by address with optional token information
+   * @param {string} poolAddress - Pair contract address
+   * @param {Object} options - Options object for additional data to include (required)
+   * @param {Array<number>} [options.includeTicks] - Not supported: must be omitted or empty
+   * @param {boolean} [options.includeTokens] - Whether to fetch token0 and token1 addresses
+   * @param {Object} provider - Ethers provider instance
+   * @returns {Promise<Object>} Pool data with reserves, LP supply and fee
+   * @throws {Error} If parameters are invalid or pool data cannot be retrieved
+   */
+  async getPoolData(poolAddress, options, provider) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error("Options parameter must be an object");
+    }
+
+    if (options.includeTicks !== undefined) {
+      if (!Array.isArray(options.includeTicks)) {
+        throw new Error("includeTicks must be an array");
+      }
+      if (options.includeTicks.length > 0) {
+        throw this._unsupportedCapability('getPoolData includeTicks');
+      }
+    }
+
+    if (options.includeTokens !== undefined && typeof options.includeTokens !== 'boolean') {
+      throw new Error("includeTokens must be a boolean");
+    }
+
+    const pairAddress = this._validateAddress(poolAddress, "Pool");
+
+    if (!provider || !(provider instanceof ethers.providers.Provider)) {
+      throw new Error("Provider parameter is required");
+    }
+
+    try {
+      const state = await this._readPairState(pairAddress, provider, options.includeTokens === true);
+
+      return {
+        address: pairAddress,
+        ...state,
+        fee: this.fee,
+        lastUpdated: Date.now()
+      };
+    } catch (error) {
+      throw new Error(`Failed to get pool data for ${pairAddress}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Discover the pair for two tokens
+   *
+   * V2 has one pair per token pair and no fee tiers, so at most one pool is returned.
+   *
+   * @param {string} token0Address - Address of first token
+   * @param {string} token1Address - Address of second token
+   * @param {Object} provider - Ethers provider instance
+   * @returns {Promise<Array>} Array of pool information objects with { address, fee, reserve0, reserve1, totalSupply }
+   */
+  async discoverAvailablePools(token0Address, token1Address, provider) {
+    const pairAddress = await this.getPoolAddress(token0Address, token1Address, this.fee, provider);
+
+    if (pairAddress === ethers.constants.AddressZero) {
+      return [];
+    }
+
+    let state;
+    try {
+      state = await this._readPairState(pairAddress, provider);
+    } catch (error) {
+      throw new Error(`Pair ${pairAddress} query failed: ${error.message}`);
+    }
+
+    return [{
+      address: pairAddress,
+      fee: this.fee,
+      reserve0: state.reserve0,
+      reserve1: state.reserve1,
+      totalSupply: state.totalSupply
+    }];
+  }
+
+  /**
+   * Get positions (LP token balances) held by an address
+   *
+   * Checks every pair between the tokens configured for this chain and returns
+   * those with a non-zero LP balance. The pair lookups, LP balances and pair
+   * states are read in Multicall3 batches pinned to one block, reported as `blockNumber`.
+   *
+   * @param {string} address - User's wallet or vault address
+   * @param {Object} provider - Ethers provider instance
+   * @param {Object} [options] - Read options
+   * @param {number|string} [options.blockTag] - Block to read at (defaults to the latest block)
+   * @returns {Promise<{positions: Object, poolData: Object, blockNumber: number}>} Position data and pool data,
+   *   both keyed by pair address
+   */
+  async getPositions(address, provider, options = {}) {
+    if (!address) {
+      throw new Error("Address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(address);
+    } catch (error) {
+      throw new Error(`Invalid address: ${address}`);
+    }
+
+    // Validate provider
+    await this._validateProviderChain(provider);
+
+    // Validate options
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error("Options parameter must be an object");
+    }
+    if (options.blockTag !== undefined) {
+      validateBlockTag(options.blockTag);
+    }
+
+    try {
+      const blockNumber = await resolveBlockTag(provider, options.blockTag);
+      const readOptions = { blockTag: blockNumber };
+
+      const tokenAddresses = getTokensByChain(this.chainId).map(token => token.addresses[this.chainId]);
+      const tokenPairs = [];
+      for (let i = 0; i < tokenAddresses.length; i++) {
+        for (let j = i + 1; j < tokenAddresses.length; j++) {
+          tokenPairs.push([tokenAddresses[i], tokenAddresses[j]]);
+        }
+      }
+
+      const pairResults = await multicall(
+        tokenPairs.map(pair => ({ target: this.addresses.factoryAddress, iface: this.factoryInterface, method: 'getPair', args: pair })),
+        provider,
+        readOptions
+      );
+      const pairs = [];
+      pairResults.forEach(({ success, result, error }, i) => {
+        if (!success) {
+          throw error;
+        }
+        if (result[0] !== ethers.constants.AddressZero) {
+          pairs.push({ pairAddress: result[0], tokens: tokenPairs[i] }); // No pair for these tokens is expected
+        }
+      });
+
+      const balanceResults = await multicall(
+        pairs.map(({ pairAddress }) => ({ target: pairAddress, iface: this.pairInterface, method: 'balanceOf', args: [address] })),
+        provider,
+        readOptions
+      );
+
+      const processingErrors = [];
+      const held = [];
+      pairs.forEach((pair, i) => {
+        const { success, result, error } = balanceResults[i];
+        if (!success) {
+          processingErrors.push(`Pair ${pair.pairAddress}: ${error.message}`);
+        } else if (!result[0].isZero()) {
+          held.push({ ...pair, balance: result[0] });
+        }
+      });
+
+      const stateResults = await multicall(
+        held.flatMap(({ pairAddress }) => [
+          { target: pairAddress, iface: this.pairInterface, method: 'getReserves' },
+          { target: pairAddress, iface: this.pairInterface, method: 'totalSupply' }
+        ]),
+        provider,
+        readOptions
+      );
+
+      const positions = {};
+      const poolDataMap = {};
+      held.forEach(({ pairAddress, tokens: [tokenA, tokenB], balance }, i) => {
+        try {
+          const [reserves, totalSupply] = [stateResults[2 * i], stateResults[2 * i + 1]].map(({ success, result, error }) => {
+            if (!success) {
+              throw error;
+            }
+            return result;
+          });
+
+          const { sortedToken0, sortedToken1 } = this.sortTokens({ address: tokenA }, { address: tokenB });
+          const poolData = {
+            poolAddress: pairAddress,
+            token0: this._getTokenData(sortedToken0.address),
+            token1: this._getTokenData(sortedToken1.address),
+            reserve0: reserves.reserve0.toString(),
+            reserve1: reserves.reserve1.toString(),
+            blockTimestampLast: Number(reserves.blockTimestampLast),
+            totalSupply: totalSupply[0].toString(),
+            fee: this.fee,
+            platform: this.platformId
+          };
+          poolDataMap[pairAddress] = poolData;
+
+          positions[pairAddress] = {
+            id: pairAddress,
+            tokenPair: `${poolData.token0.symbol}/${poolData.token1.symbol}`,
+            pool: pairAddress,
+            fee: this.fee,
+            liquidity: balance.toString(),
+            fullRange: true,
+            platform: this.platformId,
+            platformName: this.platformName
+          };
+        } catch (error) {
+          processingErrors.push(`Pair ${pairAddress}: ${error.message}`);
+        }
+      });
+
+      if (processingErrors.length > 0) {
+        throw new Error(`Failed to process ${processingErrors.length} position(s): ${processingErrors.join('; ')}`);
+      }
+
+      return {
+        positions,
+        poolData: poolDataMap,
+        blockNumber
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to fetch ${this.platformName} positions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get positions formatted for VaultDataService
+   * @param {string} address - Vault address
+   * @param {Object} provider - Ethers provider instance
+   * @returns {Promise<{positions: Object, poolData: Object}>} Normalized position data and pool data
+   */
+  async getPositionsForVDS(address, provider) {
+    if (!address) {
+      throw new Error("Address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(address);
+    } catch (error) {
+      throw new Error(`Invalid address: ${address}`);
+    }
+
+    if (!provider || typeof provider.getNetwork !== 'function') {
+      throw new Error("Valid provider parameter is required");
+    }
+
+    try {
+      const result = await this.getPositions(address, provider);
+
+      const normalizedPositions = {};
+      Object.values(result.positions).forEach(position => {
+        normalizedPositions[position.id] = {
+          id: position.id,
+          pool: position.pool,
+          liquidity: position.liquidity,
+          fullRange: true,
+          lastUpdated: Date.now()
+        };
+      });
+
+      const metadataPoolData = {};
+      for (const [pairAddress, poolInfo] of Object.entries(result.poolData)) {
+        metadataPoolData[pairAddress] = {
+          poolAddress: pairAddress,
+          token0Symbol: poolInfo.token0?.symbol,
+          token1Symbol: poolInfo.token1?.symbol,
+          fee: poolInfo.fee,
+          platform: this.platformId
+        };
+      }
+
+      return {
+        positions: normalizedPositions,
+        poolData: metadataPoolData
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to fetch positions for VDS: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check if a position is in range (active)
+   *
+   * Full-range liquidity is always in range, so this always returns true.
+   *
+   * @returns {boolean} Always true
+   */
+  isPositionInRange() {
+    return true;
+  }
+
+  /**
+   * Calculate uncollected fees for a position
+   *
+   * V2 fees are added to the pair reserves and are already included in the
+   * position's token amounts, so nothing is ever left to collect separately.
+   *
+   * @param {Object} position - Position data (as returned by getPositions)
+   * @param {Object} poolData - Pool data
+   * @returns {[bigint, bigint]} Always [0n, 0n]
+   * @throws {Error} If parameters are missing
+   */
+  calculateUncollectedFees(position, poolData) {
+    if (!position) {
+      throw new Error("Position parameter is required");
+    }
+    if (!poolData) {
+      throw new Error("poolData parameter is required");
+    }
+
+    return [0n, 0n];
+  }
+
+  /**
+   * Calculate the underlying token amounts of an LP token balance
+   * @param {Object} position - Position object
+   * @param {string} position.liquidity - LP token balance
+   * @param {Object} poolData - Pool data with reserve0, reserve1 and totalSupply
+   * @param {Object} token0Data - Token0 data with address and decimals
+   * @param {Object} token1Data - Token1 data with address and decimals
+   * @returns {Promise<Array<bigint>>} Array of [token0Raw, token1Raw] amounts in pair token order
+   */
+  async calculateTokenAmounts(position, poolData, token0Data, token1Data) {
+    if (!position) {
+      throw new Error("position parameter is required");
+    }
+    if (typeof position.liquidity !== 'string') {
+      throw new Error("position.liquidity must be a string");
+    }
+    if (!/^\d+$/.test(position.liquidity)) {
+      throw new Error('Invalid position.liquidity: must be a valid positive numeric string');
+    }
+
+    if (BigInt(position.liquidity) === 0n) {
+      return [0n, 0n];
+    }
+
+    this._validatePoolData(poolData);
+    this._validateTokenData(token0Data, "Token0");
+    this._validateTokenData(token1Data, "Token1");
+
+    const liquidity = BigInt(position.liquidity);
+    const totalSupply = BigInt(poolData.totalSupply);
+
+    if (liquidity > totalSupply) {
+      throw new Error(`Position liquidity ${liquidity} exceeds pair total supply ${totalSupply}`);
+    }
+
+    return [
+      liquidity * BigInt(poolData.reserve0) / totalSupply,
+      liquidity * BigInt(poolData.reserve1) / totalSupply
+    ];
+  }
+
+  /**
+   * Calculate the pair price from its reserves
+   * @param {string} reserve0 - Reserve of pair token0
+   * @param {string} reserve1 - Reserve of pair token1
+   * @param {Object} baseToken - Base token (token0 unless inverted)
+   * @param {string} baseToken.address - Token address
+   * @param {number} baseToken.decimals - Token decimals
+   * @param {Object} quoteToken - Quote token (token1 unless inverted)
+   * @param {string} quoteToken.address - Token address
+   * @param {number} quoteToken.decimals - Token decimals
+   * @returns {Price} Uniswap SDK Price object with methods like toFixed(), toSignificant(), etc.
+   */
+  calculatePriceFromReserves(reserve0, reserve1, baseToken, quoteToken) {
+    for (const [name, value] of [['reserve0', reserve0], ['reserve1', reserve1]]) {
+      if (typeof value !== 'string' || !/^\d+$/.test(value) || BigInt(value) === 0n) {
+        throw new Error(`Invalid ${name}: must be a positive numeric string`);
+      }
+    }
+
+    this._validateTokenData(baseToken, "Base token");
+    this._validateTokenData(quoteToken, "Quote token");
+
+    const base = new Token(this.chainId, ethers.utils.getAddress(baseToken.address), baseToken.decimals);
+    const quote = new Token(this.chainId, ethers.utils.getAddress(quoteToken.address), quoteToken.decimals);
+
+    if (base.equals(quote)) {
+      throw new Error("Base and quote token addresses cannot be the same");
+    }
+
+    // Reserves are in pair order; the price is quote units per base unit
+    const baseIsToken0 = base.sortsBefore(quote);
+    const baseReserve = baseIsToken0 ? reserve0 : reserve1;
+    const quoteReserve = baseIsToken0 ? reserve1 : reserve0;
+
+    return new Price(base, quote, baseReserve, quoteReserve);
+  }
+
+  /**
+   * Not supported: V2 pairs have no ticks
+   * @throws {Error} Unsupported capability
+   */
+  async getCurrentTick() {
+    throw this._unsupportedCapability('getCurrentTick');
+  }
+
+  /**
+   * Not supported: V2 pairs have no ticks
+   * @throws {Error} Unsupported capability
+   */
+  async fetchTickData() {
+    throw this._unsupportedCapability('fetchTickData');
+  }
+
+  /**
+   * Not supported: V2 pairs track reserves, not sqrtPriceX96 (use calculatePriceFromReserves)
+   * @throws {Error} Unsupported capability
+   */
+  calculatePriceFromSqrtPrice() {
+    throw this._unsupportedCapability('calculatePriceFromSqrtPrice');
+  }
+
+  /**
+   * Not supported: V2 pairs have no ticks
+   * @throws {Error} Unsupported capability
+   */
+  tickToPrice() {
+    throw this._unsupportedCapability('tickToPrice');
+  }
+
+  /**
+   * Not supported: V2 pairs have no ticks
+   * @throws {Error} Unsupported capability
+   */
+  priceToTick() {
+    throw this._unsupportedCapability('priceToTick');
+  }
+
+  /**
+   * Not supported: V2 liquidity always covers the full price range
+   * @throws {Error} Unsupported capability
+   */
+  calculateTickRangeFromPercentages() {
+    throw this._unsupportedCapability('calculateTickRangeFromPercentages');
+  }
+
+  /**
+   * Not supported: V2 fees compound into the reserves and are withdrawn with liquidity
+   * @throws {Error} Unsupported capability
+   */
+  async generateClaimFeesData() {
+    throw new Error(`Unsupported capability: generateClaimFeesData is not available on ${this.platformName} (fees compound into the pair reserves and are withdrawn with liquidity)`);
+  }
+
+  /**
+   * Get the deposit amounts the router will actually use for an add liquidity call
+   *
+   * Mirrors UniswapV2Router02._addLiquidity: an existing pair accepts tokens only
+   * in its current reserve ratio, so one of the desired amounts is scaled down.
+   *
+   * @param {Object} params - Parameters for getting add liquidity quote
+   * @param {string} params.token0Amount - Desired amount of token0 (in wei string)
+   * @param {string} params.token1Amount - Desired amount of token1 (in wei string)
+   * @param {Object} params.poolData - Pool data with reserve0, reserve1 and totalSupply (zero reserves for a new pair)
+   * @param {Object} params.token0Data - Token0 data with address and decimals
+   * @param {Object} params.token1Data - Token1 data with address and decimals
+   * @returns {Promise<Object>} { amount0, amount1, liquidity, tokensSwapped, sortedToken0, sortedToken1 } with bigint amounts in pair order
+   * @throws {Error} If parameters are invalid
+   */
+  async getAddLiquidityQuote(params) {
+    const { token0Amount, token1Amount, poolData, token0Data, token1Data } = params;
+
+    if (typeof token0Amount !== 'string' || !/^\d+$/.test(token0Amount)) {
+      throw new Error("Token0 amount must be a positive numeric string");
+    }
+    if (typeof token1Amount !== 'string' || !/^\d+$/.test(token1Amount)) {
+      throw new Error("Token1 amount must be a positive numeric string");
+    }
+    if (BigInt(token0Amount) === 0n || BigInt(token1Amount) === 0n) {
+      throw new Error("Both token amounts must be greater than 0 for full-range liquidity");
+    }
+
+    this._validatePoolData(poolData);
+    this._validateTokenData(token0Data, "Token0");
+    this._validateTokenData(token1Data, "Token1");
+
+    if (token0Data.address.toLowerCase() === token1Data.address.toLowerCase()) {
+      throw new Error("Token0 and token1 addresses cannot be the same");
+    }
+
+    const { sortedToken0, sortedToken1, tokensSwapped } = this.sortTokens(token0Data, token1Data);
+    const desired0 = BigInt(tokensSwapped ? token1Amount : token0Amount);
+    const desired1 = BigInt(tokensSwapped ? token0Amount : token1Amount);
+
+    const reserve0 = BigInt(poolData.reserve0);
+    const reserve1 = BigInt(poolData.reserve1);
+    const totalSupply = BigInt(poolData.totalSupply);
+
+    let amount0 = desired0;
+    let amount1 = desired1;
+    if (reserve0 > 0n && reserve1 > 0n) {
+      const amount1Optimal = desired0 * reserve1 / reserve0;
+      if (amount1Optimal <= desired1) {
+        amount1 = amount1Optimal;
+      } else {
+        amount0 = desired1 * reserve0 / reserve1;
+      }
+    }
+
+    // LP tokens minted: min of each side's share, or sqrt(k) for a new pair (before MINIMUM_LIQUIDITY is locked)
+    let liquidity;
+    if (totalSupply === 0n) {
+      liquidity = this._sqrt(amount0 * amount1);
+    } else {
+      const liquidity0 = amount0 * totalSupply / reserve0;
+      const liquidity1 = amount1 * totalSupply / reserve1;
+      liquidity = liquidity0 < liquidity1 ? liquidity0 : liquidity1;
+    }
+
+    return {
+      amount0,
+      amount1,
+      liquidity,
+      tokensSwapped,
+      sortedToken0,
+      sortedToken1
+    };
+  }
+
+  /**
+   * Integer square root
+   * @param {bigint} value - Non-negative value
+   * @returns {bigint} floor(sqrt(value))
+   * @private
+   */
+  _sqrt(value) {
+    if (value < 2n) {
+      return value;
+    }
+    let x = value;
+    let y = (x + 1n) / 2n;
+    while (y < x) {
+      x = y;
+      y = (x + value / x) / 2n;
+    }
+    return x;
+  }
+
+  /**
+   * Encode a router addLiquidity call
+   * @param {Object} params - Add liquidity parameters (see generateCreatePositionData)
+   * @returns {Promise<Object>} Transaction data object with `to`, `data`, `value` properties and `quote`
+   * @private
+   */
+  async _buildAddLiquidityData(params) {
+    const { provider, walletAddress, poolData, token0Data, token1Data, token0Amount, token1Amount } = params;
+
+    if (!walletAddress || typeof walletAddress !== 'string') {
+      throw new Error("Wallet address is required");
+    }
+    try {
+      ethers.utils.getAddress(walletAddress);
+    } catch (error) {
+      throw new Error(`Invalid wallet address: ${walletAddress}`);
+    }
+
+    this._validateTxSettings(params);
+
+    await this._validateProviderChain(provider);
+
+    const quote = await this.getAddLiquidityQuote({ token0Amount, token1Amount, poolData, token0Data, token1Data });
+
+    const data = this.routerInterface.encodeFunctionData('addLiquidity', [
+      quote.sortedToken0.address,
+      quote.sortedToken1.address,
+      quote.amount0,
+      quote.amount1,
+      this._applySlippage(quote.amount0, params.slippageTolerance),
+      this._applySlippage(quote.amount1, params.slippageTolerance),
+      walletAddress,
+      this._createDeadline(params.deadlineMinutes)
+    ]);
+
+    return {
+      to: this.addresses.routerAddress,
+      data,
+      value: "0x00",
+      quote
+    };
+  }
+
+  /**
+   * Generate transaction data for opening a position (adding liquidity to a pair)
+   *
+   * Encodes a router `addLiquidity` call. If the pair does not exist yet the
+   * router creates it at the deposited ratio.
+   *
+   * @param {Object} params - Parameters for generating create position data
+   * @param {string} params.token0Amount - Desired amount of token0 (in wei string)
+   * @param {string} params.token1Amount - Desired amount of token1 (in wei string)
+   * @param {Object} params.provider - Ethers provider
+   * @param {string} params.walletAddress - Recipient of the LP tokens
+   * @param {Object} params.poolData - Pool data with reserve0, reserve1 and totalSupply
+   * @param {Object} params.token0Data - Token0 data with address and decimals
+   * @param {Object} params.token1Data - Token1 data with address and decimals
+   * @param {number} params.slippageTolerance - Slippage tolerance percentage (0-100)
+   * @param {number} params.deadlineMinutes - Transaction deadline in minutes
+   * @returns {Promise<Object>} Transaction data object with `to`, `data`, `value` properties and `quote`
+   * @throws {Error} If parameters are invalid or transaction data cannot be generated
+   */
+  async generateCreatePositionData(params) {
+    try {
+      return await this._buildAddLiquidityData(params);
+    } catch (error) {
+      throw new Error(`Failed to generate create position data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate transaction data for adding liquidity to an existing position
+   *
+   * Identical to generateCreatePositionData: an LP balance grows by adding more
+   * liquidity to the same pair.
+   *
+   * @param {Object} params - Parameters for generating add liquidity data (see generateCreatePositionData)
+   * @returns {Promise<Object>} Transaction data object with `to`, `data`, `value` properties and `quote`
+   * @throws {Error} If parameters are invalid or transaction data cannot be generated
+   */
+  async generateAddLiquidityData(params) {
+    try {
+      return await this._buildAddLiquidityData(params);
+    } catch (error) {
+      throw new Error(`Failed to generate add liquidity data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate transaction data for removing liquidity from a position
+   *
+   * Encodes a router `removeLiquidity` call for a percentage of the LP balance
+   * currently held by walletAddress. The router pulls the LP tokens, so the
+   * holder must have approved the router on the pair.
+   *
+   * @param {Object} params - Parameters for generating remove liquidity data
+   * @param {Object} params.position - Position object with id (the pair address)
+   * @param {number} params.percentage - Percentage of liquidity to remove (1-100)
+   * @param {Object} params.provider - Ethers provider instance
+   * @param {string} params.walletAddress - LP token holder and recipient of the withdrawn tokens
+   * @param {Object} params.poolData - Pool data with reserve0, reserve1 and totalSupply
+   * @param {Object} params.token0Data - Token0 data with address and decimals
+   * @param {Object} params.token1Data - Token1 data with address and decimals
+   * @param {number} params.slippageTolerance - Slippage tolerance percentage (0-100)
+   * @param {number} params.deadlineMinutes - Transaction deadline in minutes
+   * @returns {Promise<Object>} Transaction data object with `to`, `data`, `value` properties
+   * @throws {Error} If parameters are invalid or transaction data cannot be generated
+   */
+  async generateRemoveLiquidityData(params) {
+    const { position, percentage, provider, walletAddress, poolData, token0Data, token1Data } = params;
+
+    if (position === null || position === undefined) {
+      throw new Error("Position parameter is required");
+    }
+    if (typeof position !== 'object' || Array.isArray(position)) {
+      throw new Error("Position must be an object");
+    }
+    const pairAddress = this._validateAddress(position.id, "Position");
+
+    if (!Number.isFinite(percentage)) {
+      throw new Error("Percentage must be a finite number");
+    }
+    if (percentage <= 0 || percentage > 100) {
+      throw new Error("Percentage must be between 1 and 100");
+    }
+
+    if (!walletAddress || typeof walletAddress !== 'string') {
+      throw new Error("Wallet address is required");
+    }
+    try {
+      ethers.utils.getAddress(walletAddress);
+    } catch (error) {
+      throw new Error(`Invalid wallet address: ${walletAddress}`);
+    }
+
+    this._validatePoolData(poolData);
+    this._validateTokenData(token0Data, "Token0");
+    this._validateTokenData(token1Data, "Token1");
+    this._validateTxSettings(params);
+
+    await this._validateProviderChain(provider);
+
+    try {
+      // Read the live LP balance so the percentage applies to the current position
+      const pair = new ethers.Contract(pairAddress, this.pairABI, provider);
+      const balance = BigInt((await pair.balanceOf(walletAddress)).toString());
+
+      if (balance === 0n) {
+        throw new Error(`${walletAddress} holds no ${this.platformName} LP tokens for pair ${pairAddress}`);
+      }
+
+      // Percent is applied in basis points so fractional percentages are honoured
+      const liquidityToRemove = balance * BigInt(Math.round(percentage * 100)) / 10_000n;
+      const [amount0, amount1] = await this.calculateTokenAmounts(
+        { liquidity: liquidityToRemove.toString() },
+        poolData,
+        token0Data,
+        token1Data
+      );
+
+      const { sortedToken0, sortedToken1 } = this.sortTokens(token0Data, token1Data);
+
+      const data = this.routerInterface.encodeFunctionData('removeLiquidity', [
+        sortedToken0.address,
+        sortedToken1.address,
+        liquidityToRemove,
+        this._applySlippage(amount0, params.slippageTolerance),
+        this._applySlippage(amount1, params.slippageTolerance),
+        walletAddress,
+        this._createDeadline(params.deadlineMinutes)
+      ]);
+
+      return {
+        to: this.addresses.routerAddress,
+        data,
+        value: "0x00"
+      };
+    } catch (error) {
+      throw new Error(`Failed to generate remove liquidity data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get expected output amount for a single-pair swap from the router
+   * @param {Object} params - Parameters for getting swap quote
+   * @param {string} params.tokenInAddress - Address of input token
+   * @param {string} params.tokenOutAddress - Address of output token
+   * @param {string} params.amountIn - Amount of input tokens (in wei string)
+   * @param {Object} params.provider - Ethers provider instance
+   * @returns {Promise<string>} Expected output amount in wei string
+   * @throws {Error} If quote cannot be calculated
+   */
+  async getSwapQuote(params) {
+    const { tokenInAddress, tokenOutAddress, amountIn, provider } = params;
+
+    const tokenIn = this._validateAddress(tokenInAddress, "TokenIn");
+    const tokenOut = this._validateAddress(tokenOutAddress, "TokenOut");
+
+    if (typeof amountIn !== 'string') {
+      throw new Error("AmountIn must be a string");
+    }
+    if (!/^\d+$/.test(amountIn)) {
+      throw new Error("AmountIn must be a positive numeric string");
+    }
+    if (amountIn === '0') {
+      throw new Error("AmountIn cannot be zero");
+    }
+
+    await this._validateProviderChain(provider);
+
+    try {
+      const router = new ethers.Contract(this.addresses.routerAddress, this.routerABI, provider);
+      const amounts = await router.getAmountsOut(amountIn, [tokenIn, tokenOut]);
+
+      return amounts[1].toString();
+    } catch (error) {
+      throw new Error(`Failed to get swap quote: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate swap transaction data for a single pair
+   *
+   * Encodes a router `swapExactTokensForTokens` call with a one-hop path.
+   *
+   * @param {Object} params - Parameters for swap
+   * @param {string} params.tokenIn - Address of input token
+   * @param {string} params.tokenOut - Address of output token
+   * @param {string} params.recipient - Address to receive output tokens
+   * @param {string} params.amountIn - Amount of input tokens (in wei string)
+   * @param {number} params.slippageTolerance - Slippage tolerance percentage (0-100)
+   * @param {number} params.deadlineMinutes - Transaction deadline in minutes
+   * @param {Object} params.provider - Ethers provider
+   * @returns {Promise<Object>} Transaction data with to, data, and value
+   * @throws {Error} If parameters are invalid or transaction data cannot be generated
+   */
+  async generateSwapData(params) {
+    const { tokenIn, tokenOut, recipient, amountIn, slippageTolerance, deadlineMinutes, provider } = params;
+
+    const tokenInAddress = this._validateAddress(tokenIn, "TokenIn");
+    const tokenOutAddress = this._validateAddress(tokenOut, "TokenOut");
+
+    if (!recipient) {
+      throw new Error("Recipient address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(recipient);
+    } catch (error) {
+      throw new Error(`Invalid recipient address: ${recipient}`);
+    }
+
+    if (typeof amountIn !== 'string' || !/^\d+$/.test(amountIn)) {
+      throw new Error("AmountIn must be a positive numeric string");
+    }
+    if (amountIn === '0') {
+      throw new Error("AmountIn cannot be zero");
+    }
+
+    this._validateTxSettings({ slippageTolerance, deadlineMinutes });
+
+    await this._validateProviderChain(provider);
+
+    try {
+      const expectedAmountOut = await this.getSwapQuote({
+        tokenInAddress,
+        tokenOutAddress,
+        amountIn,
+        provider
+      });
+
+      const data = this.routerInterface.encodeFunctionData('swapExactTokensForTokens', [
+        amountIn,
+        this._applySlippage(BigInt(expectedAmountOut), slippageTolerance),
+        [tokenInAddress, tokenOutAddress],
+        recipient,
+        this._createDeadline(deadlineMinutes)
+      ]);
+
+      return {
+        to: this.addresses.routerAddress,
+        data,
+        value: "0x00"
+      };
+    } catch (error) {
+      throw new Error(`Failed to generate swap data: ${error.message}`);
+    }
+  }
+}
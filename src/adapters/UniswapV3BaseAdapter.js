@@ -0,0 +1,5074 @@
+/**
+ * UniswapV3BaseAdapter - Shared engine for Uniswap V3 and its forks
+ *
+ * Uniswap V3 forks (SushiSwap V3, PancakeSwap V3, ...) share the pool, position
+ * manager, quoter and swap router interfaces. This base class holds the V3 math
+ * and calldata generation so that a fork adapter only has to supply its platform
+ * ID (which selects addresses and fee tiers from config) and override any quirks:
+ * - Fetch pool and position data
+ * - Calculate position values and uncollected fees
+ * - Generate swap and liquidity management transactions
+ * - Handle price calculations and tick conversions
+ *
+ * @module adapters/UniswapV3BaseAdapter
+ */
+
+import { ethers } from "ethers";
+import PlatformAdapter from "./PlatformAdapter.js";
+import { getPlatformFeeTiers, getPlatformTickSpacing, getPlatformTickBounds, getPlatformMetadata } from "../helpers/platformHelpers.js";
+import { getPlatformAddresses, getChainConfig } from "../helpers/chainHelpers.js";
+import { getTokenByAddress } from "../helpers/tokenHelpers.js";
+import { multicall, validateBlockTag, resolveBlockTag } from "../blockchain/multicall.js";
+import { readPoolState, resolvePoolStateBlock } from "../blockchain/poolStateCache.js";
+import { getVaultStrategyParameters } from "../blockchain/contracts.js";
+import { encodeV3Path } from "../blockchain/universalRouter.js";
+import { Position, Pool, NonfungiblePositionManager, TICK_SPACINGS, tickToPrice, priceToClosestTick, TickMath, SwapMath, LiquidityMath } from '@uniswap/v3-sdk';
+import { Percent, Token, CurrencyAmount, Price } from '@uniswap/sdk-core';
+import JSBI from "jsbi";
+
+// Import ABIs from Uniswap and OpenZeppelin libraries
+import NonfungiblePositionManagerARTIFACT from '@uniswap/v3-periphery/artifacts/contracts/NonfungiblePositionManager.sol/NonfungiblePositionManager.json' with { type: 'json' };
+import IUniswapV3PoolARTIFACT from '@uniswap/v3-core/artifacts/contracts/interfaces/IUniswapV3Pool.sol/IUniswapV3Pool.json' with { type: 'json' };
+import SwapRouterARTIFACT from '@uniswap/v3-periphery/artifacts/contracts/SwapRouter.sol/SwapRouter.json' with { type: 'json' };
+import QuoterARTIFACT from '@uniswap/v3-periphery/artifacts/contracts/lens/QuoterV2.sol/QuoterV2.json' with { type: 'json' };
+import ERC20ARTIFACT from '@openzeppelin/contracts/build/contracts/ERC20.json' with { type: 'json' };
+
+const NonfungiblePositionManagerABI = NonfungiblePositionManagerARTIFACT.abi;
+const IUniswapV3PoolABI = IUniswapV3PoolARTIFACT.abi;
+const SwapRouterABI = SwapRouterARTIFACT.abi;
+const QuoterABI = QuoterARTIFACT.abi;
+const ERC20ABI = ERC20ARTIFACT.abi;
+
+// Define MaxUint128 constant (2^128 - 1) as JSBI for Uniswap SDK compatibility
+// Pool state read for every pool in one batch (the last observation is read once slot0 gives its index)
+const POOL_STATE_METHODS = [
+  'slot0',
+  'liquidity',
+  'feeGrowthGlobal0X128',
+  'feeGrowthGlobal1X128',
+  'protocolFees',
+  'tickSpacing',
+  'fee',
+  'maxLiquidityPerTick'
+];
+
+const MaxUint128 = JSBI.subtract(JSBI.exponentiate(JSBI.BigInt(2), JSBI.BigInt(128)), JSBI.BigInt(1));
+
+/**
+ * Base adapter for Uniswap V3-style platforms
+ *
+ * This adapter is designed for single-chain operation and caches all necessary
+ * configuration data during construction for optimal performance:
+ * - Platform contract addresses (factory, position manager, router)
+ * - Supported fee tiers and chain configuration
+ * - Token lookup maps for fast address/symbol resolution
+ * - Pre-compiled contract interfaces for transaction encoding
+ *
+ * Not registered with AdapterFactory directly - each platform registers its own subclass.
+ *
+ * Note: Methods requiring blockchain interaction accept a provider parameter
+ * rather than storing one in the adapter instance.
+ *
+ * @example
+ * // Define a fork adapter
+ * class MyForkV3Adapter extends UniswapV3BaseAdapter {
+ *   constructor(chainId, provider) {
+ *     super(chainId, provider, "myForkV3", "MyFork V3");
+ *   }
+ * }
+ */
+export default class UniswapV3BaseAdapter extends PlatformAdapter {
+  /**
+   * Capabilities manifest shared by V3 forks
+   * @type {Object<string, boolean>}
+   */
+  static capabilities = Object.freeze({
+    concentratedLiquidity: true,
+    multipleFeeTiers: true,
+    exactOutput: true,
+    multiHopSwaps: true
+  });
+
+  /**
+   * Constructor
+   * @param {number} chainId - Chain ID for the adapter
+   * @param {Object} provider - Ethers provider instance
+   * @param {string} platformId - Platform identifier (selects addresses and fee tiers from config)
+   * @param {string} platformName - Human-readable platform name
+   */
+  constructor(chainId, provider, platformId, platformName) {
+    super(chainId, platformId, platformName);
+
+    // Cache platform addresses (getPlatformAddresses throws if not configured)
+    this.addresses = getPlatformAddresses(chainId, platformId);
+
+    // Cache platform configuration data
+    this.feeTiers = getPlatformFeeTiers(platformId);
+    this.poolInitCodeHash = getPlatformMetadata(platformId).poolInitCodeHash;
+    this.chainConfig = getChainConfig(chainId);
+
+    // Store the imported ABIs
+    this.nonfungiblePositionManagerABI = NonfungiblePositionManagerABI;
+    this.uniswapV3PoolABI = IUniswapV3PoolABI;
+    this.swapRouterABI = SwapRouterABI;
+    this.quoterABI = QuoterABI;
+    this.erc20ABI = ERC20ABI;
+
+    // Pre-create contract interfaces for better performance
+    this.swapRouterInterface = new ethers.utils.Interface(this.swapRouterABI);
+    this.positionManagerInterface = new ethers.utils.Interface(this.nonfungiblePositionManagerABI);
+    this.poolInterface = new ethers.utils.Interface(this.uniswapV3PoolABI);
+    this.quoterInterface = new ethers.utils.Interface(this.quoterABI);
+    this.erc20Interface = new ethers.utils.Interface(this.erc20ABI);
+
+    this.provider = provider;
+  }
+
+  /**
+   * Create SDK Pool instance from pool state
+   *
+   * Fee tiers the SDK knows keep their own spacing; a fee tier that only exists on a
+   * fork (e.g. PancakeSwap's 2500) takes the platform's configured spacing.
+   *
+   * @param {Token} token0 - Sorted SDK token0
+   * @param {Token} token1 - Sorted SDK token1
+   * @param {Object} poolData - Pool state with fee, sqrtPriceX96, liquidity and tick
+   * @returns {Pool} SDK Pool instance
+   * @private
+   */
+  _createPool(token0, token1, poolData) {
+    const tickSpacing = TICK_SPACINGS[poolData.fee] ?? getPlatformTickSpacing(this.platformId, poolData.fee);
+    return this._buildSdkPool(token0, token1, poolData, tickSpacing);
+  }
+
+  /**
+   * Build an SDK Pool with a given tick spacing
+   *
+   * The V3 SDK derives tick spacing from Uniswap's own fee table, including for the
+   * pools it re-creates inside Position and NonfungiblePositionManager. When the pool's
+   * fee does not give its spacing, the SDK pool is built at the stand-in fee from
+   * `_getSdkFee` and the real spacing is pinned on the returned instance. Read the
+   * real fee from poolData.
+   *
+   * @param {Token} token0 - Sorted SDK token0
+   * @param {Token} token1 - Sorted SDK token1
+   * @param {Object} poolData - Pool state with fee, sqrtPriceX96, liquidity and tick
+   * @param {number} tickSpacing - The pool's tick spacing
+   * @returns {Pool} SDK Pool instance
+   * @protected
+   */
+  _buildSdkPool(token0, token1, poolData, tickSpacing) {
+    const pool = new Pool(
+      token0,
+      token1,
+      TICK_SPACINGS[poolData.fee] === tickSpacing ? poolData.fee : this._getSdkFee(tickSpacing),
+      poolData.sqrtPriceX96,
+      poolData.liquidity,
+      poolData.tick
+    );
+
+    if (pool.tickSpacing !== tickSpacing) {
+      Object.defineProperty(pool, 'tickSpacing', { value: tickSpacing });
+    }
+
+    return pool;
+  }
+
+  /**
+   * Get the Uniswap fee tier to build an SDK pool with a given tick spacing at
+   *
+   * Picks the tier with the widest tick spacing that divides the pool's, so every tick
+   * valid in the pool passes the SDK's tick checks. Position amounts do not depend on the fee.
+   *
+   * @param {number} tickSpacing - The pool's tick spacing
+   * @returns {number} Fee tier the SDK has a tick spacing for
+   * @throws {Error} If no SDK tick spacing divides the pool's spacing
+   * @private
+   */
+  _getSdkFee(tickSpacing) {
+    const sdkFee = Object.keys(TICK_SPACINGS)
+      .filter(fee => tickSpacing % TICK_SPACINGS[fee] === 0)
+      .sort((a, b) => TICK_SPACINGS[b] - TICK_SPACINGS[a])[0];
+    if (sdkFee === undefined) {
+      throw new Error(`No Uniswap SDK fee tier fits tick spacing ${tickSpacing}`);
+    }
+    return Number(sdkFee);
+  }
+
+  /**
+   * Get the address pools are CREATE2-deployed from
+   * @returns {string} Pool deployer address (the factory for Uniswap V3)
+   * @protected
+   */
+  _getPoolDeployerAddress() {
+    return this.addresses.factoryAddress;
+  }
+
+  /**
+   * Compute a pool address offline from the platform's deployer and init code hash
+   * @param {string} token0Address - Address of first token
+   * @param {string} token1Address - Address of second token
+   * @param {number} fee - Fee tier (must be one of the platform's fee tiers)
+   * @returns {string} Deterministic pool address (the pool may not be deployed)
+   * @throws {Error} If parameters are invalid
+   */
+  computePoolAddress(token0Address, token1Address, fee) {
+    // Validate token0 address
+    if (!token0Address) {
+      throw new Error("Token0 address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(token0Address);
+    } catch (error) {
+      throw new Error(`Invalid token0 address: ${token0Address}`);
+    }
+
+    // Validate token1 address
+    if (!token1Address) {
+      throw new Error("Token1 address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(token1Address);
+    } catch (error) {
+      throw new Error(`Invalid token1 address: ${token1Address}`);
+    }
+
+    // Validate fee
+    if (!this.feeTiers.includes(fee)) {
+      throw new Error(`Unsupported fee tier ${fee} for ${this.platformName}`);
+    }
+
+    if (!this.poolInitCodeHash) {
+      throw new Error(`No pool init code hash configured for ${this.platformName}`);
+    }
+
+    const { sortedToken0, sortedToken1 } = this.sortTokens({ address: token0Address }, { address: token1Address });
+    const salt = ethers.utils.keccak256(
+      ethers.utils.defaultAbiCoder.encode(
+        ['address', 'address', 'uint24'],
+        [sortedToken0.address, sortedToken1.address, fee]
+      )
+    );
+
+    return ethers.utils.getCreate2Address(this._getPoolDeployerAddress(), salt, this.poolInitCodeHash);
+  }
+
+  /**
+   * Encode the position manager call that mints a new position
+   *
+   * Encoded directly rather than through the SDK, which would send the SDK pool's
+   * fee - a stand-in for fork-only fee tiers (see `_createPool`).
+   *
+   * @param {Position} position - SDK Position to mint
+   * @param {Object} mintOptions - SDK MintOptions (recipient, deadline, slippageTolerance)
+   * @param {number} fee - Pool fee tier
+   * @returns {{calldata: string, value: string}} Encoded mint call
+   * @protected
+   */
+  _buildMintCallParameters(position, mintOptions, fee) {
+    const { amount0: amount0Desired, amount1: amount1Desired } = position.mintAmounts;
+    const { amount0: amount0Min, amount1: amount1Min } = position.mintAmountsWithSlippage(mintOptions.slippageTolerance);
+
+    const calldata = this.positionManagerInterface.encodeFunctionData("mint", [{
+      token0: position.pool.token0.address,
+      token1: position.pool.token1.address,
+      fee,
+      tickLower: position.tickLower,
+      tickUpper: position.tickUpper,
+      amount0Desired: amount0Desired.toString(),
+      amount1Desired: amount1Desired.toString(),
+      amount0Min: amount0Min.toString(),
+      amount1Min: amount1Min.toString(),
+      recipient: mintOptions.recipient,
+      deadline: mintOptions.deadline.toString()
+    }]);
+
+    return { calldata, value: "0x00" };
+  }
+
+  /**
+   * Encode the router call that swaps through one pool
+   * @param {Object} swapParams - exactInputSingle parameters (tokenIn, tokenOut, fee, recipient, deadline, amountIn,
+   *   amountOutMinimum, sqrtPriceLimitX96), or exactOutputSingle parameters with amountOut and amountInMaximum instead
+   *   of amountIn and amountOutMinimum
+   * @returns {string} Encoded swap call
+   * @protected
+   */
+  _buildSwapCallParameters(swapParams) {
+    const method = swapParams.amountOut !== undefined ? "exactOutputSingle" : "exactInputSingle";
+    return this.swapRouterInterface.encodeFunctionData(method, [swapParams]);
+  }
+
+  /**
+   * Encode a swap path for the router and quoter
+   *
+   * Paths are packed as token, fee, token, fee, ..., token. Exact-output paths are packed from the output
+   * token back to the input token.
+   *
+   * @param {Object} path - Swap path
+   * @param {Array<string>} path.tokens - Token addresses from input to output
+   * @param {Array<number>} path.fees - Fee tier of each hop
+   * @param {boolean} exactOutput - Pack the path for an exact-output swap
+   * @returns {string} Packed path
+   * @protected
+   */
+  _encodeSwapPath(path, exactOutput) {
+    return encodeV3Path(path, exactOutput);
+  }
+
+  /**
+   * Validate the fees of a swap path
+   * @param {Array<number>} fees - Fee tier of each hop
+   * @param {number} hops - Number of hops in the path
+   * @throws {Error} If the fees do not match the hops or are not valid fee tiers
+   * @protected
+   */
+  _validatePathFees(fees, hops) {
+    if (!Array.isArray(fees) || fees.length !== hops) {
+      throw new Error(`Path fees must be an array with one fee per hop (${hops})`);
+    }
+    fees.forEach(fee => {
+      if (!this.feeTiers.includes(fee)) {
+        throw new Error(`Invalid fee tier: ${fee}. Must be one of: ${this.feeTiers.join(', ')}`);
+      }
+    });
+  }
+
+  /**
+   * Validate a swap amount
+   * @param {any} amount - Amount to validate (in wei string)
+   * @param {string} name - Parameter name used in error messages
+   * @throws {Error} If the amount is not a positive integer string
+   * @protected
+   */
+  _validateSwapAmount(amount, name) {
+    if (typeof amount !== 'string') {
+      throw new Error(`${name} must be a string`);
+    }
+    if (!/^\d+$/.test(amount)) {
+      throw new Error(`${name} must be a positive numeric string`);
+    }
+    if (/^0+$/.test(amount)) {
+      throw new Error(`${name} cannot be zero`);
+    }
+  }
+
+  /**
+   * Validate the amounts of a swap: exactly one of amountIn (exact input) or amountOut (exact output)
+   * @param {string} [amountIn] - Amount of input tokens (in wei string)
+   * @param {string} [amountOut] - Amount of output tokens (in wei string)
+   * @returns {{exactOutput: boolean, amount: string}} Whether the output amount is fixed, and the fixed amount
+   * @throws {Error} If neither or both amounts are given, or the given amount is invalid
+   * @private
+   */
+  _validateSwapAmounts(amountIn, amountOut) {
+    const hasAmountIn = Boolean(amountIn);
+    const hasAmountOut = Boolean(amountOut);
+    if (hasAmountIn && hasAmountOut) {
+      throw new Error("Exactly one of amountIn or amountOut is required");
+    }
+    if (!hasAmountIn && !hasAmountOut) {
+      throw new Error("AmountIn parameter is required (or amountOut for an exact-output swap)");
+    }
+
+    if (hasAmountOut) {
+      this._validateSwapAmount(amountOut, 'AmountOut');
+      return { exactOutput: true, amount: amountOut };
+    }
+    this._validateSwapAmount(amountIn, 'AmountIn');
+    return { exactOutput: false, amount: amountIn };
+  }
+
+  /**
+   * Bound the quoted side of a swap by the slippage tolerance
+   * @param {string} quote - Quoted output (exact input) or input (exact output) amount
+   * @param {number} slippageTolerance - Slippage tolerance percentage (0-100)
+   * @param {boolean} exactOutput - Whether the output amount is fixed
+   * @returns {string} Minimum output (quote less slippage), or maximum input (quote plus slippage, rounded up)
+   * @private
+   */
+  _applySwapSlippage(quote, slippageTolerance, exactOutput) {
+    if (exactOutput) {
+      const slippageMultiplier = BigInt(Math.ceil((100 + slippageTolerance) * 100));
+      return ((BigInt(quote) * slippageMultiplier + 9999n) / 10000n).toString();
+    }
+    const slippageMultiplier = BigInt(Math.floor((100 - slippageTolerance) * 100));
+    return (BigInt(quote) * slippageMultiplier / 10000n).toString();
+  }
+
+  /**
+   * Validate the path and fixed amount of a path swap
+   * @param {Object} params - Swap parameters
+   * @param {Array<string>} singlePoolKeys - Single-pool parameters that cannot be combined with a path
+   * @returns {{exactOutput: boolean, amount: string}} Whether the output amount is fixed, and the fixed amount
+   * @throws {Error} If the path or amounts are invalid
+   * @protected
+   */
+  _validatePathSwap(params, singlePoolKeys) {
+    const { path, amountIn, amountOut } = params;
+
+    const conflicting = singlePoolKeys.filter(key => params[key] !== undefined && params[key] !== null);
+    if (conflicting.length > 0) {
+      throw new Error(`Path swaps take their tokens and fees from path; remove ${conflicting.join(', ')}`);
+    }
+
+    // Validate path
+    if (!path || typeof path !== 'object' || Array.isArray(path)) {
+      throw new Error("Path must be an object with tokens and fees");
+    }
+    if (!Array.isArray(path.tokens) || path.tokens.length < 2) {
+      throw new Error("Path tokens must be an array of at least 2 addresses");
+    }
+    path.tokens.forEach((token, index) => {
+      try {
+        ethers.utils.getAddress(token);
+      } catch (error) {
+        throw new Error(`Invalid path token address: ${token}`);
+      }
+      if (index > 0 && token.toLowerCase() === path.tokens[index - 1].toLowerCase()) {
+        throw new Error(`Path hop ${index - 1} swaps ${token} for itself`);
+      }
+    });
+    this._validatePathFees(path.fees, path.tokens.length - 1);
+
+    return this._validateSwapAmounts(amountIn, amountOut);
+  }
+
+  /**
+   * Get the V3 pool swap event signature
+   * @returns {string} The Uniswap V3 Swap event signature (forks with a different event override this)
+   */
+  getSwapEventSignature() {
+    return 'Swap(address,address,int256,int256,uint160,uint128,int24)';
+  }
+
+  /**
+   * Validate and normalize slippage tolerance
+   * @param {number} slippageTolerance - Slippage tolerance percentage (0-100)
+   * @returns {number} Validated slippage tolerance
+   * @throws {Error} If slippage tolerance is invalid
+   */
+  _validateSlippageTolerance(slippageTolerance) {
+    if (!Number.isFinite(slippageTolerance) || slippageTolerance < 0 || slippageTolerance > 100) {
+      throw new Error(`Invalid slippage tolerance: ${slippageTolerance}. Must be between 0 and 100.`);
+    }
+
+    return slippageTolerance;
+  }
+
+  /**
+   * Create deadline timestamp from minutes offset
+   * @param {number} deadlineMinutes - Minutes from now
+   * @returns {number} Unix timestamp
+   * @throws {Error} If deadlineMinutes is invalid
+   */
+  _createDeadline(deadlineMinutes) {
+    if (!Number.isFinite(deadlineMinutes) || deadlineMinutes < 0) {
+      throw new Error(`Invalid deadline minutes: ${deadlineMinutes}. Must be a non-negative number.`);
+    }
+
+    return Math.floor(Date.now() / 1000) + (deadlineMinutes * 60);
+  }
+
+  /**
+   * Estimate gas for a transaction with buffer
+   * @param {ethers.Contract} contract - Contract instance
+   * @param {string} method - Method name
+   * @param {Array} args - Method arguments
+   * @param {Object} [overrides] - Transaction overrides
+   * @returns {Promise<number>} Estimated gas limit
+   * @throws {Error} If gas estimation fails (indicating transaction would likely revert)
+   */
+  async _estimateGas(contract, method, args, overrides = {}) {
+    // Validate inputs
+    if (!contract || typeof contract !== 'object') {
+      throw new Error('Invalid contract instance');
+    }
+
+    if (!method || typeof method !== 'string') {
+      throw new Error('Method must be a non-empty string');
+    }
+
+    if (!contract[method]) {
+      throw new Error(`Method '${method}' does not exist or cannot estimate gas`);
+    }
+
+    if (!Array.isArray(args)) {
+      throw new Error('Args must be an array');
+    }
+
+    if (overrides !== undefined && (typeof overrides !== 'object' || overrides === null)) {
+      throw new Error('Overrides must be an object if provided');
+    }
+
+    try {
+      const estimatedGas = await contract.estimateGas[method](...args, overrides);
+      return Number(estimatedGas);
+    } catch (error) {
+      // In DeFi, gas estimation failure usually means transaction will revert
+      // Better to fail fast than waste user's money on a doomed transaction
+      throw new Error(
+        `Gas estimation failed for ${method}. This usually indicates the transaction would revert. ` +
+        `Possible causes: insufficient balance, excessive slippage, or invalid parameters. ` +
+        `Original error: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Estimate gas from transaction data with buffer
+   * @param {ethers.Signer} signer - Signer instance
+   * @param {Object} txData - Transaction data object
+   * @returns {Promise<number>} Estimated gas limit
+   * @throws {Error} If gas estimation fails (indicating transaction would likely revert)
+   */
+  async _estimateGasFromTxData(signer, txData) {
+    // Validate signer
+    if (!signer || typeof signer !== 'object') {
+      throw new Error('Invalid signer instance');
+    }
+
+    if (typeof signer.estimateGas !== 'function') {
+      throw new Error('Signer must have estimateGas method');
+    }
+
+    // Validate txData
+    if (!txData || typeof txData !== 'object') {
+      throw new Error('Transaction data must be an object');
+    }
+
+    // Require 'to' field for all transactions
+    if (txData.to === null || txData.to === undefined) {
+      throw new Error("Transaction data must include 'to' field");
+    }
+
+    // Validate 'to' address format
+    try {
+      ethers.utils.getAddress(txData.to); // This will throw if invalid
+    } catch (error) {
+      throw new Error(`Invalid 'to' address: ${txData.to}`);
+    }
+
+    // Validate data field if provided
+    if (txData.data !== undefined && typeof txData.data !== 'string') {
+      throw new Error('Transaction data field must be a string');
+    }
+
+    // Validate value field if provided
+    if (txData.value !== undefined && typeof txData.value !== 'bigint' && typeof txData.value !== 'string' && typeof txData.value !== 'number') {
+      throw new Error('Transaction value must be a valid bigint, string, or number');
+    }
+
+    try {
+      const estimatedGas = await signer.estimateGas(txData);
+      return Number(estimatedGas);
+    } catch (error) {
+      // In DeFi, gas estimation failure usually means transaction will revert
+      // Better to fail fast than waste user's money on a doomed transaction
+      throw new Error(
+        `Gas estimation failed. This usually indicates the transaction would revert. ` +
+        `Possible causes: insufficient balance, excessive slippage, insufficient allowance, or invalid parameters. ` +
+        `Original error: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Create standardized slippage tolerance Percent object
+   * @param {number} slippageTolerance - Slippage tolerance percentage
+   * @returns {Percent} Uniswap SDK Percent object
+   */
+  _createSlippagePercent(slippageTolerance) {
+    const validatedSlippage = this._validateSlippageTolerance(slippageTolerance);
+    return new Percent(Math.floor(validatedSlippage * 100), 10_000);
+  }
+
+  /**
+   * Sort tokens according to Uniswap V3 rules (lower address first)
+   * @param {Object} token0 - First token object
+   * @param {string} token0.address - Token contract address
+   * @param {Object} token1 - Second token object
+   * @param {string} token1.address - Token contract address
+   * @returns {{sortedToken0: Object, sortedToken1: Object, tokensSwapped: boolean}} Sorted tokens and swap flag
+   */
+  sortTokens(token0, token1) {
+    if (!token0?.address || !token1?.address) {
+      throw new Error("Both tokens must have valid addresses");
+    }
+
+    const tokensSwapped = token0.address.toLowerCase() > token1.address.toLowerCase();
+
+    return tokensSwapped
+      ? { sortedToken0: token1, sortedToken1: token0, tokensSwapped: true }
+      : { sortedToken0: token0, sortedToken1: token1, tokensSwapped: false };
+  }
+
+  /**
+   * Calculate tick range from percentage parameters
+   * @static
+   * @param {number} currentTick - Current tick of the pool
+   * @param {number} upperPercent - Upper range in percentage (e.g., 10 for 10%)
+   * @param {number} lowerPercent - Lower range in percentage (e.g., 10 for 10%)
+   * @param {number} fee - Fee tier (100, 500, 3000, or 10000)
+   * @returns {{tickLower: number, tickUpper: number}} Tick range aligned to tick spacing
+   * @throws {Error} If fee tier is invalid
+   */
+  calculateTickRangeFromPercentages(currentTick, upperPercent, lowerPercent, fee) {
+    // Validate currentTick
+    if (!Number.isFinite(currentTick)) {
+      throw new Error(`Invalid currentTick: ${currentTick}. Must be a finite number.`);
+    }
+
+    // Validate upperPercent
+    if (!Number.isFinite(upperPercent)) {
+      throw new Error(`Invalid upperPercent: ${upperPercent}. Must be a finite number.`);
+    }
+    if (upperPercent <= 0 || upperPercent > 100) {
+      throw new Error(`Invalid upperPercent: ${upperPercent}. Must be between 0 and 100 (exclusive of 0).`);
+    }
+
+    // Validate lowerPercent
+    if (!Number.isFinite(lowerPercent)) {
+      throw new Error(`Invalid lowerPercent: ${lowerPercent}. Must be a finite number.`);
+    }
+    if (lowerPercent <= 0 || lowerPercent > 100) {
+      throw new Error(`Invalid lowerPercent: ${lowerPercent}. Must be between 0 and 100 (exclusive of 0).`);
+    }
+
+    // Validate fee
+    if (!Number.isFinite(fee)) {
+      throw new Error(`Invalid fee: ${fee}. Must be a finite number.`);
+    }
+
+    // Get tick spacing from platform configuration
+    const tickSpacing = getPlatformTickSpacing(this.platformId, fee);
+
+    // Convert percentages to tick offsets
+    // Formula: 1% price change ≈ 100 ticks (since 1.0001^100 ≈ 1.01)
+    const ticksPerPercent = Math.round(Math.log(1.01) / Math.log(1.0001));
+    const upperOffset = Math.round(upperPercent * ticksPerPercent);
+    const lowerOffset = Math.round(lowerPercent * ticksPerPercent);
+
+    // Calculate raw tick positions
+    const rawUpperTick = currentTick + upperOffset;
+    const rawLowerTick = currentTick - lowerOffset;
+
+    // Align ticks to tick spacing boundaries
+    // Upper tick: round up to next valid tick
+    // Lower tick: round down to previous valid tick
+    let tickUpper = Math.ceil(rawUpperTick / tickSpacing) * tickSpacing;
+    let tickLower = Math.floor(rawLowerTick / tickSpacing) * tickSpacing;
+
+    // Convert -0 to +0 for consistency (JavaScript distinguishes between them)
+    if (Object.is(tickUpper, -0)) tickUpper = 0;
+    if (Object.is(tickLower, -0)) tickLower = 0;
+
+    // Validate against platform tick bounds
+    const { minTick, maxTick } = getPlatformTickBounds(this.platformId);
+
+    if (tickLower < minTick || tickLower > maxTick) {
+      throw new Error(`Invalid tickLower: ${tickLower}. Must be between ${minTick} and ${maxTick}.`);
+    }
+    if (tickUpper < minTick || tickUpper > maxTick) {
+      throw new Error(`Invalid tickUpper: ${tickUpper}. Must be between ${minTick} and ${maxTick}.`);
+    }
+
+    // Ensure valid range (tickLower must be less than tickUpper)
+    if (tickLower >= tickUpper) {
+      throw new Error(`Invalid tick range: tickLower (${tickLower}) must be less than tickUpper (${tickUpper})`);
+    }
+
+    return { tickLower, tickUpper };
+  }
+
+  /**
+   * Validate that provider is on the correct chain
+   * @param {Object} provider - Ethers provider instance
+   * @throws {Error} If provider is invalid or on wrong chain
+   */
+  async _validateProviderChain(provider) {
+    // Validate provider using ethers pattern
+    if (!(provider instanceof ethers.providers.Provider)) {
+      throw new Error('Invalid provider. Must be an ethers provider instance.');
+    }
+
+    try {
+      const network = await provider.getNetwork();
+
+      if (!network || network.chainId === undefined) {
+        throw new Error('Provider returned invalid network data');
+      }
+
+      // In ethers v6, chainId is always a bigint
+      const providerChainId = Number(network.chainId);
+
+      if (providerChainId !== this.chainId) {
+        throw new Error(`Provider chain ${providerChainId} doesn't match adapter chain ${this.chainId}`);
+      }
+    } catch (error) {
+      if (error.message.includes("doesn't match adapter chain")) {
+        throw error; // Re-throw chain mismatch errors as-is
+      }
+      throw new Error(`Failed to validate provider chain: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get pool address from factory contract
+   * @param {string} token0Address - Address of first token
+   * @param {string} token1Address - Address of second token
+   * @param {number} fee - Fee tier (e.g., 500, 3000, 10000)
+   * @param {Object} provider - Ethers provider instance
+   * @returns {Promise<string>} Pool address
+   */
+  async getPoolAddress(token0Address, token1Address, fee, provider) {
+    // Validate token0 address
+    if (!token0Address) {
+      throw new Error("Token0 address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(token0Address);
+    } catch (error) {
+      throw new Error(`Invalid token0 address: ${token0Address}`);
+    }
+
+    // Validate token1 address
+    if (!token1Address) {
+      throw new Error("Token1 address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(token1Address);
+    } catch (error) {
+      throw new Error(`Invalid token1 address: ${token1Address}`);
+    }
+
+    // Validate fee
+    if (fee === null || fee === undefined) {
+      throw new Error("Fee parameter is required");
+    }
+    if (typeof fee !== 'number' || !Number.isFinite(fee)) {
+      throw new Error("Fee must be a valid number");
+    }
+
+    // Validate provider
+    await this._validateProviderChain(provider);
+
+    if (!this.addresses?.factoryAddress) {
+      throw new Error(`No ${this.platformName} factory address found for chainId: ${this.chainId}`);
+    }
+
+    const factoryABI = [
+      "function getPool(address tokenA, address tokenB, uint24 fee) external view returns (address pool)"
+    ];
+
+    const factoryContract = new ethers.Contract(this.addresses.factoryAddress, factoryABI, provider);
+    return await factoryContract.getPool(token0Address, token1Address, fee);
+  }
+
+  /**
+   * Check if a pool exists for the given tokens and fee tier
+   * @param {Object} token0 - First token object
+   * @param {string} token0.address - Token contract address
+   * @param {number} token0.decimals - Token decimals
+   * @param {Object} token1 - Second token object
+   * @param {string} token1.address - Token contract address
+   * @param {number} token1.decimals - Token decimals
+   * @param {number} fee - Fee tier (e.g., 500, 3000, 10000)
+   * @param {Object} provider - Ethers provider instance
+   * @returns {Promise<{exists: boolean, poolAddress: string|null, slot0: Object|null}>} Pool existence check result
+   */
+  async checkPoolExists(token0, token1, fee, provider) {
+    // Validate token0
+    if (!token0) {
+      throw new Error("Token0 parameter is required");
+    }
+    if (!token0.address) {
+      throw new Error("Token0 address is required");
+    }
+    try {
+      ethers.utils.getAddress(token0.address);
+    } catch (error) {
+      throw new Error(`Invalid token0 address: ${token0.address}`);
+    }
+    if (token0.decimals === null || token0.decimals === undefined) {
+      throw new Error("Token0 decimals is required");
+    }
+    if (typeof token0.decimals !== 'number' || !Number.isFinite(token0.decimals)) {
+      throw new Error("Token0 decimals must be a valid number");
+    }
+
+    // Validate token1
+    if (!token1) {
+      throw new Error("Token1 parameter is required");
+    }
+    if (!token1.address) {
+      throw new Error("Token1 address is required");
+    }
+    try {
+      ethers.utils.getAddress(token1.address);
+    } catch (error) {
+      throw new Error(`Invalid token1 address: ${token1.address}`);
+    }
+    if (token1.decimals === null || token1.decimals === undefined) {
+      throw new Error("Token1 decimals is required");
+    }
+    if (typeof token1.decimals !== 'number' || !Number.isFinite(token1.decimals)) {
+      throw new Error("Token1 decimals must be a valid number");
+    }
+
+    // Validate fee
+    if (fee === null || fee === undefined) {
+      throw new Error("Fee parameter is required");
+    }
+    if (typeof fee !== 'number' || !Number.isFinite(fee)) {
+      throw new Error("Fee must be a valid number");
+    }
+
+    // Validate provider is on correct chain
+    await this._validateProviderChain(provider);
+
+    try {
+      const poolAddress = await this.getPoolAddress(token0.address, token1.address, fee, provider);
+
+      // Use the full pool ABI that we already have at the class level
+      const poolContract = new ethers.Contract(poolAddress, this.uniswapV3PoolABI, provider);
+
+      try {
+        // Try to call slot0() to see if the pool exists
+        const slot0 = await poolContract.slot0();
+        return { exists: true, poolAddress, slot0 };
+      } catch (error) {
+        // If the call fails, the pool likely doesn't exist
+        return { exists: false, poolAddress: null, slot0: null };
+      }
+    } catch (error) {
+      // If getPoolAddress fails, propagate the error (could be validation or network error)
+      throw error;
+    }
+  }
+
+  /**
+   * Get position manager contract instance
+   * @param {Object} provider - Ethers provider instance
+   * @returns {ethers.Contract} Position manager contract instance
+   * @private
+   */
+  _getPositionManager(provider) {
+    if (!provider) {
+      throw new Error('Provider is required');
+    }
+
+    if (!this.addresses?.positionManagerAddress) {
+      throw new Error(`Position manager not available for chain ${this.chainId}`);
+    }
+
+    return new ethers.Contract(
+      this.addresses.positionManagerAddress,
+      this.nonfungiblePositionManagerABI,
+      provider
+    );
+  }
+
+  /**
+   * Format a ticks() result for fee calculations
+   * @param {Object} tickData - Raw ticks() result
+   * @returns {Object} Tick data in the shape calculateUncollectedFees expects
+   * @protected
+   */
+  _normalizeTickData(tickData) {
+    return {
+      liquidityGross: tickData.liquidityGross.toString(),
+      liquidityNet: tickData.liquidityNet.toString(),
+      feeGrowthOutside0X128: tickData.feeGrowthOutside0X128.toString(),
+      feeGrowthOutside1X128: tickData.feeGrowthOutside1X128.toString(),
+      tickCumulativeOutside: tickData.tickCumulativeOutside.toString(),
+      secondsPerLiquidityOutsideX128: tickData.secondsPerLiquidityOutsideX128.toString(),
+      secondsOutside: Number(tickData.secondsOutside),
+      initialized: tickData.initialized,
+    };
+  }
+
+  /**
+   * Validate the batched read options accepted by getPositions and getPoolData
+   * @param {Object} options - Options object
+   * @param {boolean} [options.multicall] - Batch reads through Multicall3 (`false` for per-call reads)
+   * @param {number} [options.batchSize] - Maximum number of reads per Multicall3 call
+   * @param {number|string} [options.blockTag] - Block to read at (defaults to the latest block)
+   * @returns {{enabled: boolean|undefined, batchSize: number|undefined, blockTag: number|string|undefined}}
+   *   Options for multicall()
+   * @throws {Error} If an option is invalid
+   * @private
+   */
+  _getReadOptions(options) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error("Options parameter must be an object");
+    }
+    if (options.multicall !== undefined && typeof options.multicall !== 'boolean') {
+      throw new Error("multicall must be a boolean");
+    }
+    if (options.batchSize !== undefined &&
+        (typeof options.batchSize !== 'number' || !Number.isInteger(options.batchSize) || options.batchSize < 1)) {
+      throw new Error("batchSize must be a positive integer");
+    }
+    if (options.blockTag !== undefined) {
+      validateBlockTag(options.blockTag);
+    }
+
+    return { enabled: options.multicall, batchSize: options.batchSize, blockTag: options.blockTag };
+  }
+
+  /**
+   * Build token data for a configured token
+   * @param {string} tokenAddress - Token contract address
+   * @returns {{address: string, decimals: number, symbol: string, chainId: number}} Token data
+   * @throws {Error} If the token is not configured for this chain
+   * @private
+   */
+  _getTokenData(tokenAddress) {
+    const tokenConfig = getTokenByAddress(tokenAddress, this.chainId);
+    if (!tokenConfig) {
+      throw new Error(`Unsupported token: ${tokenAddress} on chain ${this.chainId}`);
+    }
+
+    return {
+      address: tokenAddress,
+      decimals: tokenConfig.decimals,
+      symbol: tokenConfig.symbol,
+      chainId: this.chainId
+    };
+  }
+
+  /**
+   * Fetch user's position token IDs
+   *
+   * The token IDs are read in one batch when the position manager is connected to a provider;
+   * otherwise each is read with its own call.
+   *
+   * @param {string} address - User's wallet address
+   * @param {ethers.Contract} positionManager - Position manager contract
+   * @param {Object} [readOptions] - Options for multicall() (`{ enabled, batchSize, blockTag }`)
+   * @returns {Promise<string[]>} Array of position token IDs
+   * @private
+   */
+  async _fetchUserPositionIds(address, positionManager, readOptions = {}) {
+    // Validate address parameter
+    if (!address) {
+      throw new Error("Address parameter is required");
+    }
+
+    // Validate address format
+    try {
+      ethers.utils.getAddress(address); // This will throw if invalid
+    } catch (error) {
+      throw new Error("Invalid Ethereum address");
+    }
+
+    // Validate positionManager parameter
+    if (!positionManager) {
+      throw new Error("Position manager parameter is required");
+    }
+
+    // Check if positionManager has required methods
+    if (typeof positionManager.balanceOf !== 'function' ||
+        typeof positionManager.tokenOfOwnerByIndex !== 'function') {
+      throw new Error("Invalid position manager contract - missing required methods");
+    }
+
+    // Contract call overrides pinning the per-call reads to the snapshot block
+    const overrides = readOptions.blockTag !== undefined ? [{ blockTag: readOptions.blockTag }] : [];
+
+    const balance = Number(await positionManager.balanceOf(address, ...overrides));
+    const tokenIds = [];
+
+    if (positionManager.provider instanceof ethers.providers.Provider) {
+      const results = await multicall(
+        Array.from({ length: balance }, (_, i) => ({
+          target: positionManager.address,
+          iface: positionManager.interface,
+          method: 'tokenOfOwnerByIndex',
+          args: [address, i]
+        })),
+        positionManager.provider,
+        readOptions
+      );
+
+      for (const { success, result, error } of results) {
+        if (!success) {
+          throw error;
+        }
+        tokenIds.push(String(result[0]));
+      }
+      return tokenIds;
+    }
+
+    for (let i = 0; i < balance; i++) {
+      const tokenId = await positionManager.tokenOfOwnerByIndex(address, i, ...overrides);
+      tokenIds.push(String(tokenId));
+    }
+
+    return tokenIds;
+  }
+
+  /**
+   * Read pool state and tick data for several pools in batches, through the pool state cache
+   * @param {Array<Object>} pools - Pools to read
+   * @param {string} pools[].poolAddress - Pool contract address
+   * @param {Array<number>} pools[].ticks - Ticks to read
+   * @param {Array<string>} methods - Pool state view functions to read for every pool
+   * @param {Object} provider - Ethers provider instance
+   * @param {Object} readOptions - Options for multicall()
+   * @returns {Promise<Array<{state: Object, ticks: Object, error?: Error}>>} Raw results per pool, keyed by
+   *   method name and tick
+   * @private
+   */
+  async _batchPoolReads(pools, methods, provider, readOptions) {
+    const calls = pools.flatMap(({ poolAddress, ticks }) => [
+      ...methods.map(method => ({ target: poolAddress, iface: this.poolInterface, method })),
+      ...ticks.map(tick => ({ target: poolAddress, iface: this.poolInterface, method: 'ticks', args: [tick] }))
+    ]);
+    const results = await readPoolState(this.chainId, calls, provider, readOptions);
+
+    let offset = 0;
+    return pools.map(({ ticks }) => {
+      const read = { state: {}, ticks: {} };
+      methods.forEach(method => {
+        const { success, result, error } = results[offset++];
+        if (!success) {
+          read.error = read.error || error;
+        } else {
+          read.state[method] = result;
+        }
+      });
+      ticks.forEach(tick => {
+        const { success, result, error } = results[offset++];
+        if (!success) {
+          read.error = read.error || error;
+        } else {
+          read.ticks[tick] = this._normalizeTickData(result);
+        }
+      });
+      return read;
+    });
+  }
+
+  /**
+   * Read full pool state (the fetchPoolData shape) for several pools, with their tick data
+   * @param {Array<Object>} pools - Pools to read
+   * @param {string} pools[].poolAddress - Pool contract address
+   * @param {Object} pools[].token0 - Token0 data
+   * @param {Object} pools[].token1 - Token1 data
+   * @param {Array<number>} pools[].ticks - Ticks to include in `poolData.ticks`
+   * @param {Object} provider - Ethers provider instance
+   * @param {Object} readOptions - Options for multicall(); a numeric `blockTag` is reported as `poolData.blockNumber`
+   * @returns {Promise<Array<{poolData?: Object, error?: Error}>>} Pool data or the read error, per pool
+   * @protected
+   */
+  async _readPoolStates(pools, provider, readOptions) {
+    const reads = await this._batchPoolReads(pools, POOL_STATE_METHODS, provider, readOptions);
+
+    // The last observation's index is only known once slot0 has been read
+    const observed = reads.filter(read => !read.error);
+    const observations = await readPoolState(
+      this.chainId,
+      observed.map(read => ({
+        target: pools[reads.indexOf(read)].poolAddress,
+        iface: this.poolInterface,
+        method: 'observations',
+        args: [Number(read.state.slot0.observationIndex)]
+      })),
+      provider,
+      readOptions
+    );
+    observed.forEach((read, index) => {
+      if (!observations[index].success) {
+        read.error = observations[index].error;
+      } else {
+        read.state.observations = observations[index].result;
+      }
+    });
+
+    return reads.map((read, index) => {
+      if (read.error) {
+        return { error: read.error };
+      }
+
+      const { poolAddress, token0, token1 } = pools[index];
+      const { slot0, protocolFees, observations: lastObservation } = read.state;
+      return {
+        poolData: {
+          poolAddress,
+          token0,
+          token1,
+          sqrtPriceX96: slot0.sqrtPriceX96.toString(),
+          tick: Number(slot0.tick),
+          observationIndex: Number(slot0.observationIndex),
+          observationCardinality: Number(slot0.observationCardinality),
+          observationCardinalityNext: Number(slot0.observationCardinalityNext),
+          feeProtocol: Number(slot0.feeProtocol),
+          unlocked: slot0.unlocked,
+          liquidity: read.state.liquidity[0].toString(),
+          feeGrowthGlobal0X128: read.state.feeGrowthGlobal0X128[0].toString(),
+          feeGrowthGlobal1X128: read.state.feeGrowthGlobal1X128[0].toString(),
+          protocolFeeToken0: protocolFees[0].toString(),
+          protocolFeeToken1: protocolFees[1].toString(),
+          tickSpacing: Number(read.state.tickSpacing[0]),
+          fee: Number(read.state.fee[0]),
+          maxLiquidityPerTick: read.state.maxLiquidityPerTick[0].toString(),
+          lastObservation: {
+            blockTimestamp: Number(lastObservation.blockTimestamp),
+            tickCumulative: lastObservation.tickCumulative.toString(),
+            secondsPerLiquidityCumulativeX128: lastObservation.secondsPerLiquidityCumulativeX128.toString(),
+            initialized: lastObservation.initialized,
+          },
+          ticks: read.ticks,
+          ...(typeof readOptions.blockTag === 'number' && { blockNumber: readOptions.blockTag })
+        }
+      };
+    });
+  }
+
+  /**
+   * Fetch pool state data
+   * @param {string} token0Address - Token0 contract address
+   * @param {string} token1Address - Token1 contract address
+   * @param {number} fee - Pool fee tier
+   * @param {Object} provider - Ethers provider
+   * @returns {Promise<Object>} Pool state data at the latest block, with its `blockNumber`
+   */
+  async fetchPoolData(token0Address, token1Address, fee, provider) {
+    // Validate token0 address
+    if (!token0Address) {
+      throw new Error("Token0 address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(token0Address);
+    } catch (error) {
+      throw new Error(`Invalid token0 address: ${token0Address}`);
+    }
+
+    // Validate token1 address
+    if (!token1Address) {
+      throw new Error("Token1 address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(token1Address);
+    } catch (error) {
+      throw new Error(`Invalid token1 address: ${token1Address}`);
+    }
+
+    // Validate fee
+    if (fee === null || fee === undefined) {
+      throw new Error("Fee parameter is required");
+    }
+    if (typeof fee !== 'number' || !Number.isFinite(fee)) {
+      throw new Error("Fee must be a valid number");
+    }
+
+    // Validate provider
+    await this._validateProviderChain(provider);
+
+    // Get token data from config
+    const token0Data = this._getTokenData(token0Address);
+    const token1Data = this._getTokenData(token1Address);
+
+    // Calculate pool address
+    const poolAddress = await this.getPoolAddress(token0Data.address, token1Data.address, fee, provider);
+
+    try {
+      const [{ poolData, error }] = await this._readPoolStates(
+        [{ poolAddress, token0: token0Data, token1: token1Data, ticks: [] }],
+        provider,
+        { blockTag: await resolvePoolStateBlock(this.chainId, provider) }
+      );
+      if (error) {
+        throw error;
+      }
+
+      return poolData;
+    } catch (error) {
+      throw new Error(`Failed to fetch pool data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get pool data by address with optional tick data and token information
+   * @param {string} poolAddress - Pool contract address
+   * @param {Object} options - Options object for additional data to include (required)
+   * @param {Array<number>} [options.includeTicks] - Array of tick indices to fetch data for (must be integers)
+   * @param {boolean} [options.includeTokens] - Whether to fetch token0 and token1 addresses
+   * @param {boolean} [options.multicall] - Batch the reads through Multicall3 (defaults to the configured setting)
+   * @param {number} [options.batchSize] - Maximum number of reads per Multicall3 call
+   * @param {number|string} [options.blockTag] - Block to read at (defaults to the latest block)
+   * @param {Object} provider - Ethers provider instance
+   * @returns {Promise<Object>} Complete pool data with requested additional fields, and the `blockNumber` read at
+   * @throws {Error} If parameters are invalid or pool data cannot be retrieved
+   */
+  async getPoolData(poolAddress, options, provider) {
+    // Validate options parameter
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error("Options parameter must be an object");
+    }
+
+    // Validate includeTicks if provided
+    if (options.includeTicks !== undefined) {
+      if (!Array.isArray(options.includeTicks)) {
+        throw new Error("includeTicks must be an array");
+      }
+      if (!options.includeTicks.every(tick => typeof tick === 'number' && Number.isInteger(tick))) {
+        throw new Error("All includeTicks values must be integers");
+      }
+    }
+
+    // Validate includeTokens if provided
+    if (options.includeTokens !== undefined) {
+      if (typeof options.includeTokens !== 'boolean') {
+        throw new Error("includeTokens must be a boolean");
+      }
+    }
+
+    const { includeTicks = [], includeTokens = false } = options;
+    const readOptions = this._getReadOptions(options);
+
+    // Validate pool address
+    if (!poolAddress) {
+      throw new Error("Pool address parameter is required");
+    }
+
+    let normalizedAddress;
+    try {
+      normalizedAddress = ethers.utils.getAddress(poolAddress);
+    } catch (error) {
+      throw new Error(`Invalid pool address: ${poolAddress}`);
+    }
+
+    // Validate provider
+    if (!provider || !(provider instanceof ethers.providers.Provider)) {
+      throw new Error("Provider parameter is required");
+    }
+
+    try {
+      // Pin the snapshot to one block
+      readOptions.blockTag = await resolvePoolStateBlock(this.chainId, provider, readOptions.blockTag);
+
+      // Read pool state, ticks and tokens in one batch
+      const methods = ['slot0', 'liquidity', 'feeGrowthGlobal0X128', 'feeGrowthGlobal1X128', 'fee'];
+      if (includeTokens) {
+        methods.push('token0', 'token1');
+      }
+      const [read] = await this._batchPoolReads(
+        [{ poolAddress: normalizedAddress, ticks: includeTicks }],
+        methods,
+        provider,
+        readOptions
+      );
+      if (read.error) {
+        throw read.error;
+      }
+
+      const { slot0 } = read.state;
+
+      // Build base pool data object
+      const poolData = {
+        address: normalizedAddress,
+        sqrtPriceX96: slot0.sqrtPriceX96.toString(),
+        tick: Number(slot0.tick),
+        observationIndex: Number(slot0.observationIndex),
+        observationCardinality: Number(slot0.observationCardinality),
+        observationCardinalityNext: Number(slot0.observationCardinalityNext),
+        feeProtocol: Number(slot0.feeProtocol),
+        unlocked: slot0.unlocked,
+        liquidity: read.state.liquidity[0].toString(),
+        feeGrowthGlobal0X128: read.state.feeGrowthGlobal0X128[0].toString(),
+        feeGrowthGlobal1X128: read.state.feeGrowthGlobal1X128[0].toString(),
+        fee: Number(read.state.fee[0]),
+        blockNumber: readOptions.blockTag,
+        lastUpdated: Date.now()
+      };
+
+      // Add tick data if requested
+      if (includeTicks.length > 0) {
+        poolData.ticks = {};
+        for (const tick of includeTicks) {
+          poolData.ticks[tick.toString()] = {
+            ...read.ticks[tick],
+            lastUpdated: Date.now()
+          };
+        }
+      }
+
+      // Add token addresses if requested
+      if (includeTokens) {
+        poolData.token0 = read.state.token0[0];
+        poolData.token1 = read.state.token1[0];
+      }
+
+      return poolData;
+    } catch (error) {
+      throw new Error(`Failed to get pool data for ${normalizedAddress}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fetch tick-specific data for fee calculations
+   * @param {string} poolAddress - Pool contract address
+   * @param {number} tickLower - Lower tick of the position
+   * @param {number} tickUpper - Upper tick of the position
+   * @param {Object} provider - Ethers provider instance
+   * @param {Object} [options] - Read options
+   * @param {number|string} [options.blockTag] - Block to read at (defaults to the latest block)
+   * @returns {Promise<{tickLower: Object, tickUpper: Object, blockNumber: number}>} Tick data and the block read at
+   */
+  async fetchTickData(poolAddress, tickLower, tickUpper, provider, options = {}) {
+    // Validate pool address
+    if (!poolAddress) {
+      throw new Error("Pool address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(poolAddress);
+    } catch (error) {
+      throw new Error(`Invalid pool address: ${poolAddress}`);
+    }
+
+    // Validate tickLower
+    if (tickLower === null || tickLower === undefined) {
+      throw new Error("tickLower parameter is required");
+    }
+    if (typeof tickLower !== 'number' || !Number.isFinite(tickLower)) {
+      throw new Error("tickLower must be a valid number");
+    }
+
+    // Validate tickUpper
+    if (tickUpper === null || tickUpper === undefined) {
+      throw new Error("tickUpper parameter is required");
+    }
+    if (typeof tickUpper !== 'number' || !Number.isFinite(tickUpper)) {
+      throw new Error("tickUpper must be a valid number");
+    }
+
+    // Validate provider
+    await this._validateProviderChain(provider);
+
+    // Validate options
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error("Options parameter must be an object");
+    }
+    if (options.blockTag !== undefined) {
+      validateBlockTag(options.blockTag);
+    }
+
+    const poolContract = new ethers.Contract(poolAddress, this.uniswapV3PoolABI, provider);
+
+    try {
+      // Read both ticks at the same block
+      const blockTag = await resolveBlockTag(provider, options.blockTag);
+      const [lowerTickData, upperTickData] = await Promise.all([
+        poolContract.ticks(tickLower, { blockTag }),
+        poolContract.ticks(tickUpper, { blockTag })
+      ]);
+
+      return {
+        tickLower: this._normalizeTickData(lowerTickData),
+        tickUpper: this._normalizeTickData(upperTickData),
+        blockNumber: blockTag
+      };
+    } catch (error) {
+      throw new Error(`Failed to fetch tick data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get current tick for a V3 pool
+   * @param {string} poolAddress - Pool contract address
+   * @param {Object} provider - Ethers provider instance
+   * @returns {Promise<number>} Current tick value
+   * @throws {Error} If parameters invalid or pool query fails
+   */
+  async getCurrentTick(poolAddress, provider) {
+    // Parameter validation (follows fetchTickData pattern)
+    if (!poolAddress) {
+      throw new Error("Pool address parameter is required");
+    }
+
+    try {
+      ethers.utils.getAddress(poolAddress);
+    } catch (error) {
+      throw new Error(`Invalid pool address: ${poolAddress}`);
+    }
+
+    // Provider validation
+    await this._validateProviderChain(provider);
+
+    try {
+      const [read] = await this._batchPoolReads(
+        [{ poolAddress, ticks: [] }],
+        ['slot0'],
+        provider,
+        { blockTag: await resolvePoolStateBlock(this.chainId, provider) }
+      );
+      if (read.error) {
+        throw read.error;
+      }
+
+      return Number(read.state.slot0.tick);
+    } catch (error) {
+      throw new Error(`Failed to get current tick for pool ${poolAddress}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the pool contract ABI
+   * @returns {Array} Pool contract ABI
+   */
+  getPoolABI() {
+    return this.uniswapV3PoolABI;
+  }
+
+  /**
+   * Get the NonfungiblePositionManager ABI
+   * @returns {Array} Position manager ABI
+   */
+  getPositionManagerABI() {
+    return this.nonfungiblePositionManagerABI;
+  }
+
+  /**
+   * Assemble position data from contract data and pool data
+   * @param {string} tokenId - Position token ID
+   * @param {Object} positionData - Raw position data from contract
+   * @param {Object} poolData - Pool data containing token and pool information
+   * @returns {Object} Assembled position object
+   * @private
+   */
+  _assemblePositionData(tokenId, positionData, poolData) {
+    const {
+      nonce,
+      operator,
+      fee,
+      tickLower,
+      tickUpper,
+      liquidity,
+      feeGrowthInside0LastX128,
+      feeGrowthInside1LastX128,
+      tokensOwed0,
+      tokensOwed1
+    } = positionData;
+
+    // Get token data and pool address from poolData
+    const { token0, token1, poolAddress } = poolData;
+    const tokenPair = `${token0.symbol}/${token1.symbol}`;
+
+    return {
+      id: String(tokenId),
+      tokenPair,
+      pool: poolAddress,
+      nonce: Number(nonce),
+      operator,
+      fee: Number(fee),
+      tickLower: Number(tickLower),
+      tickUpper: Number(tickUpper),
+      liquidity: liquidity.toString(),
+      feeGrowthInside0LastX128: feeGrowthInside0LastX128.toString(),
+      feeGrowthInside1LastX128: feeGrowthInside1LastX128.toString(),
+      tokensOwed0: tokensOwed0.toString(),
+      tokensOwed1: tokensOwed1.toString(),
+      platform: this.platformId,
+      platformName: this.platformName
+    };
+  }
+
+  /**
+   * Get positions for the connected user
+   *
+   * Reads are batched through Multicall3: the token IDs, then every position, then the state and
+   * position ticks of each distinct pool, then each pool's last observation. Every read is pinned to
+   * one block, reported as `blockNumber`.
+   *
+   * @param {string} address - User's wallet address
+   * @param {Object} provider - Ethers provider instance
+   * @param {Object} [options] - Read options
+   * @param {boolean} [options.multicall] - Batch reads through Multicall3 (defaults to the configured setting)
+   * @param {number} [options.batchSize] - Maximum number of reads per Multicall3 call
+   * @param {number|string} [options.blockTag] - Block to read at (defaults to the latest block)
+   * @returns {Promise<{positions: Array, poolData: Object, blockNumber: number}>} Position data
+   */
+  async getPositions(address, provider, options = {}) {
+    // Validate address
+    if (!address) {
+      throw new Error("Address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(address);
+    } catch (error) {
+      throw new Error(`Invalid address: ${address}`);
+    }
+
+    // Validate provider
+    await this._validateProviderChain(provider);
+
+    // Validate options
+    const readOptions = this._getReadOptions(options);
+
+    try {
+      // Get position manager contract
+      const positionManager = this._getPositionManager(provider);
+
+      // Pin every read of the snapshot to one block
+      const blockNumber = await resolvePoolStateBlock(this.chainId, provider, readOptions.blockTag);
+      readOptions.blockTag = blockNumber;
+
+      // Fetch user's position token IDs
+      const tokenIds = await this._fetchUserPositionIds(address, positionManager, readOptions);
+
+      if (tokenIds.length === 0) {
+        return { positions: {}, poolData: {}, blockNumber };
+      }
+
+      const positions = {};
+      const poolDataMap = {};
+      const processingErrors = [];
+
+      // Get position data from contract
+      const positionResults = await multicall(
+        tokenIds.map(tokenId => ({
+          target: positionManager.address,
+          iface: this.positionManagerInterface,
+          method: 'positions',
+          args: [tokenId]
+        })),
+        provider,
+        readOptions
+      );
+
+      // Group positions by canonical pool address so each pool and tick is read once
+      const pools = new Map();
+      const pending = [];
+      tokenIds.forEach((tokenId, index) => {
+        const { success, result: positionData, error } = positionResults[index];
+        try {
+          if (!success) {
+            throw error;
+          }
+          const { token0, token1, fee, tickLower, tickUpper } = positionData;
+          const poolAddress = this.computePoolAddress(token0, token1, Number(fee));
+
+          if (!pools.has(poolAddress)) {
+            pools.set(poolAddress, {
+              poolAddress,
+              token0: this._getTokenData(token0),
+              token1: this._getTokenData(token1),
+              ticks: new Set()
+            });
+          }
+          pools.get(poolAddress).ticks.add(Number(tickLower)).add(Number(tickUpper));
+          pending.push({ tokenId, positionData, poolAddress });
+        } catch (error) {
+          processingErrors.push(`Position ${tokenId}: ${error.message}`);
+        }
+      });
+
+      // Fetch pool data (with the position ticks) for every pool
+      const poolList = [...pools.values()].map(pool => ({ ...pool, ticks: [...pool.ticks] }));
+      const poolStates = await this._readPoolStates(poolList, provider, readOptions);
+      const poolErrors = {};
+      poolList.forEach(({ poolAddress }, index) => {
+        const { poolData, error } = poolStates[index];
+        if (error) {
+          poolErrors[poolAddress] = error;
+        } else {
+          poolDataMap[poolAddress] = poolData;
+        }
+      });
+
+      // Assemble position data
+      for (const { tokenId, positionData, poolAddress } of pending) {
+        if (poolErrors[poolAddress]) {
+          processingErrors.push(`Position ${tokenId}: Failed to fetch pool data: ${poolErrors[poolAddress].message}`);
+          continue;
+        }
+        const position = this._assemblePositionData(tokenId, positionData, poolDataMap[poolAddress]);
+        positions[position.id] = { ...position, blockNumber };
+      }
+
+      // If any positions failed to process, throw error with all failures
+      if (processingErrors.length > 0) {
+        throw new Error(`Failed to process ${processingErrors.length} position(s): ${processingErrors.join('; ')}`);
+      }
+
+      return {
+        positions,
+        poolData: poolDataMap,
+        blockNumber
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to fetch ${this.platformName} positions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get positions formatted for VaultDataService
+   * @param {string} address - Vault address
+   * @param {Object} provider - Ethers provider instance
+   * @param {Object} [options] - Read options, passed to getPositions
+   * @returns {Promise<{positions: Object, poolData: Object, blockNumber: number}>} Normalized position data and
+   *   pool data, and the block read at
+   */
+  async getPositionsForVDS(address, provider, options = {}) {
+    // Validate address
+    if (!address) {
+      throw new Error("Address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(address);
+    } catch (error) {
+      throw new Error(`Invalid address: ${address}`);
+    }
+
+    // Validate provider
+    if (!provider || typeof provider.getNetwork !== 'function') {
+      throw new Error("Valid provider parameter is required");
+    }
+
+    try {
+      // Call the existing getPositions method
+      const result = await this.getPositions(address, provider, options);
+
+      // Normalize positions to VDS format - pare down to essential fields only
+      const normalizedPositions = {};
+      if (result.positions && Object.keys(result.positions).length > 0) {
+        Object.values(result.positions).forEach(position => {
+          // Skip positions with zero liquidity (closed positions)
+          if (BigInt(position.liquidity) === 0n) {
+            return;
+          }
+          normalizedPositions[position.id] = {
+            id: position.id,
+            pool: position.pool,
+            tickLower: position.tickLower,
+            tickUpper: position.tickUpper,
+            liquidity: position.liquidity,
+            lastUpdated: Date.now()
+          };
+        });
+      }
+
+      // Extract only essential metadata from poolData (no time-sensitive data)
+      const metadataPoolData = {};
+      if (result.poolData) {
+        for (const [poolAddress, poolInfo] of Object.entries(result.poolData)) {
+          metadataPoolData[poolAddress] = {
+            // Only stable metadata - no time-sensitive data
+            poolAddress: poolAddress,
+            token0Symbol: poolInfo.token0?.symbol,
+            token1Symbol: poolInfo.token1?.symbol,
+            fee: poolInfo.fee,
+            platform: this.platformId
+          };
+        }
+      }
+
+      return {
+        positions: normalizedPositions,
+        poolData: metadataPoolData,
+        blockNumber: result.blockNumber
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to fetch positions for VDS: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check if a position is in range (active)
+   * @param {number} currentTick - Current tick of the pool
+   * @param {number} tickLower - Lower tick of the position
+   * @param {number} tickUpper - Upper tick of the position
+   * @returns {boolean} - Whether the position is in range
+   * @throws {Error} - If parameters are invalid
+   */
+  isPositionInRange(currentTick, tickLower, tickUpper) {
+    if (typeof currentTick !== 'number' || !isFinite(currentTick)) {
+      throw new Error('Invalid currentTick: must be a number');
+    }
+    if (typeof tickLower !== 'number' || !isFinite(tickLower)) {
+      throw new Error('Invalid tickLower: must be a number');
+    }
+    if (typeof tickUpper !== 'number' || !isFinite(tickUpper)) {
+      throw new Error('Invalid tickUpper: must be a number');
+    }
+
+    if (tickLower >= tickUpper) {
+      throw new Error('Invalid tick range: tickLower must be less than tickUpper');
+    }
+
+    return currentTick >= tickLower && currentTick <= tickUpper;
+  }
+
+  /**
+   * Calculate price from sqrtPriceX96 using the Uniswap V3 SDK
+   * @param {string} sqrtPriceX96 - Square root price in X96 format
+   * @param {Object} baseToken - Base token (token0 unless inverted)
+   * @param {string} baseToken.address - Token address
+   * @param {number} baseToken.decimals - Token decimals
+   * @param {Object} quoteToken - Quote token (token1 unless inverted)
+   * @param {string} quoteToken.address - Token address
+   * @param {number} quoteToken.decimals - Token decimals
+   * @returns {Price} Uniswap SDK Price object with methods like toFixed(), toSignificant(), etc.
+   */
+  calculatePriceFromSqrtPrice(sqrtPriceX96, baseToken, quoteToken) {
+    // Validate sqrtPriceX96 is a string
+    if (typeof sqrtPriceX96 !== 'string') {
+      throw new Error('sqrtPriceX96 must be a string');
+    }
+
+    if (!sqrtPriceX96 || sqrtPriceX96 === "0") {
+      throw new Error("Invalid sqrtPriceX96 value");
+    }
+
+    if (!baseToken || !quoteToken) {
+      throw new Error("Missing required token information");
+    }
+
+    // Validate addresses
+    if (!baseToken.address) {
+      throw new Error("baseToken.address is required");
+    }
+    if (!quoteToken.address) {
+      throw new Error("quoteToken.address is required");
+    }
+
+    let validatedBaseAddress, validatedQuoteAddress;
+    try {
+      validatedBaseAddress = ethers.utils.getAddress(baseToken.address);
+    } catch (error) {
+      throw new Error(`Invalid baseToken.address: ${baseToken.address}`);
+    }
+
+    try {
+      validatedQuoteAddress = ethers.utils.getAddress(quoteToken.address);
+    } catch (error) {
+      throw new Error(`Invalid quoteToken.address: ${quoteToken.address}`);
+    }
+
+    // Validate tokens are not the same
+    if (validatedBaseAddress.toLowerCase() === validatedQuoteAddress.toLowerCase()) {
+      throw new Error("Base and quote token addresses cannot be the same");
+    }
+
+    // Validate decimals
+    if (!Number.isFinite(baseToken.decimals) || baseToken.decimals < 0 || baseToken.decimals > 255) {
+      throw new Error("baseToken.decimals must be a finite number between 0 and 255");
+    }
+    if (!Number.isFinite(quoteToken.decimals) || quoteToken.decimals < 0 || quoteToken.decimals > 255) {
+      throw new Error("quoteToken.decimals must be a finite number between 0 and 255");
+    }
+
+    try {
+      // Create Token instances
+      const base = new Token(
+        this.chainId,
+        validatedBaseAddress,
+        baseToken.decimals
+      );
+
+      const quote = new Token(
+        this.chainId,
+        validatedQuoteAddress,
+        quoteToken.decimals
+      );
+
+      // Convert sqrtPriceX96 to JSBI BigInt
+      let sqrtRatioX96;
+      try {
+        sqrtRatioX96 = JSBI.BigInt(sqrtPriceX96);
+      } catch (error) {
+        throw new Error('Invalid sqrtPriceX96: must be a valid numeric string');
+      }
+
+      // Validate that sqrtPriceX96 is positive
+      if (JSBI.lessThanOrEqual(sqrtRatioX96, JSBI.BigInt(0))) {
+        throw new Error('Invalid sqrtPriceX96: must be a valid numeric string');
+      }
+
+      // Get the tick at this sqrt ratio
+      const tick = TickMath.getTickAtSqrtRatio(sqrtRatioX96);
+
+      // Use SDK's tickToPrice to get the price
+      const price = tickToPrice(base, quote, tick);
+
+      // Return the raw Price object - let consumers decide how to format
+      return price;
+    } catch (error) {
+      throw new Error(`Failed to calculate price: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert a tick value to a corresponding price using the Uniswap V3 SDK
+   * @param {number} tick - The tick value
+   * @param {Object} baseToken - Base token (token0 unless inverted)
+   * @param {string} baseToken.address - Token address
+   * @param {number} baseToken.decimals - Token decimals
+   * @param {Object} quoteToken - Quote token (token1 unless inverted)
+   * @param {string} quoteToken.address - Token address
+   * @param {number} quoteToken.decimals - Token decimals
+   * @returns {Price} Uniswap SDK Price object with methods like toFixed(), toSignificant(), etc.
+   */
+  tickToPrice(tick, baseToken, quoteToken) {
+    if (!Number.isFinite(tick)) {
+      throw new Error("Invalid tick value");
+    }
+
+    if (!baseToken || !quoteToken) {
+      throw new Error("Missing required token information");
+    }
+
+    // Validate addresses
+    if (!baseToken.address) {
+      throw new Error("baseToken.address is required");
+    }
+    if (!quoteToken.address) {
+      throw new Error("quoteToken.address is required");
+    }
+
+    let validatedBaseAddress, validatedQuoteAddress;
+    try {
+      validatedBaseAddress = ethers.utils.getAddress(baseToken.address);
+    } catch (error) {
+      throw new Error(`Invalid baseToken.address: ${baseToken.address}`);
+    }
+
+    try {
+      validatedQuoteAddress = ethers.utils.getAddress(quoteToken.address);
+    } catch (error) {
+      throw new Error(`Invalid quoteToken.address: ${quoteToken.address}`);
+    }
+
+    // Validate tokens are not the same
+    if (validatedBaseAddress.toLowerCase() === validatedQuoteAddress.toLowerCase()) {
+      throw new Error("Base and quote token addresses cannot be the same");
+    }
+
+    // Validate decimals
+    if (!Number.isFinite(baseToken.decimals) || baseToken.decimals < 0 || baseToken.decimals > 255) {
+      throw new Error("baseToken.decimals must be a finite number between 0 and 255");
+    }
+    if (!Number.isFinite(quoteToken.decimals) || quoteToken.decimals < 0 || quoteToken.decimals > 255) {
+      throw new Error("quoteToken.decimals must be a finite number between 0 and 255");
+    }
+
+    try {
+      // Create Token instances
+      const base = new Token(
+        this.chainId,
+        validatedBaseAddress,
+        baseToken.decimals
+      );
+
+      const quote = new Token(
+        this.chainId,
+        validatedQuoteAddress,
+        quoteToken.decimals
+      );
+
+      // Use SDK's tickToPrice function
+      const price = tickToPrice(base, quote, tick);
+
+      // Return the raw Price object - let consumers decide how to format
+      return price;
+    } catch (error) {
+      console.error("Error converting tick to price:", error);
+      throw new Error(`Failed to convert tick to price: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert a human-readable price to a tick value
+   * @param {number} price - Human-readable price (quoteToken per baseToken)
+   * @param {Object} baseToken - Base token (denominator)
+   * @param {string} baseToken.address - Token address
+   * @param {number} baseToken.decimals - Token decimals
+   * @param {Object} quoteToken - Quote token (numerator)
+   * @param {string} quoteToken.address - Token address
+   * @param {number} quoteToken.decimals - Token decimals
+   * @returns {number} The closest valid tick for this price
+   */
+  priceToTick(price, baseToken, quoteToken) {
+    if (!Number.isFinite(price) || price <= 0) {
+      throw new Error("Invalid price value: must be a positive finite number");
+    }
+
+    if (!baseToken || !quoteToken) {
+      throw new Error("Missing required token information");
+    }
+
+    // Validate addresses
+    if (!baseToken.address) {
+      throw new Error("baseToken.address is required");
+    }
+    if (!quoteToken.address) {
+      throw new Error("quoteToken.address is required");
+    }
+
+    let validatedBaseAddress, validatedQuoteAddress;
+    try {
+      validatedBaseAddress = ethers.utils.getAddress(baseToken.address);
+    } catch (error) {
+      throw new Error(`Invalid baseToken.address: ${baseToken.address}`);
+    }
+
+    try {
+      validatedQuoteAddress = ethers.utils.getAddress(quoteToken.address);
+    } catch (error) {
+      throw new Error(`Invalid quoteToken.address: ${quoteToken.address}`);
+    }
+
+    // Validate that base and quote tokens are different
+    if (validatedBaseAddress === validatedQuoteAddress) {
+      throw new Error('Base and quote token addresses cannot be the same');
+    }
+
+    // Validate decimals
+    if (!Number.isFinite(baseToken.decimals) || baseToken.decimals < 0 || baseToken.decimals > 255) {
+      throw new Error("baseToken.decimals must be a finite number between 0 and 255");
+    }
+    if (!Number.isFinite(quoteToken.decimals) || quoteToken.decimals < 0 || quoteToken.decimals > 255) {
+      throw new Error("quoteToken.decimals must be a finite number between 0 and 255");
+    }
+
+    try {
+
+      // Create Token instances
+      const base = new Token(this.chainId, validatedBaseAddress, baseToken.decimals);
+      const quote = new Token(this.chainId, validatedQuoteAddress, quoteToken.decimals);
+
+      // Create a Price object from the human-readable price
+      // The SDK's Price class stores RAW ratios, not decimal-adjusted prices.
+      // Human price = rawRatio * 10^(baseDecimals - quoteDecimals)
+      // So: rawRatio = humanPrice * 10^(quoteDecimals - baseDecimals)
+      //
+      // Example: 1 WETH per USDC (base=USDC 6dec, quote=WETH 18dec)
+      // rawRatio = 1 * 10^(18-6) = 10^12
+      // We express this as numerator/denominator where:
+      //   denominator = 10^baseDecimals
+      //   numerator = humanPrice * 10^quoteDecimals
+
+      const denominator = (10n ** BigInt(base.decimals)).toString();
+      const numerator = BigInt(Math.floor(price * Math.pow(10, quote.decimals))).toString();
+
+      const priceObj = new Price(base, quote, denominator, numerator);
+
+      // Convert Price object to tick using SDK function
+      const tick = priceToClosestTick(priceObj);
+
+      return tick;
+    } catch (error) {
+      console.error("Error converting price to tick:", error);
+      throw new Error(`Failed to convert price to tick: ${error.message}`);
+    }
+  }
+
+  /**
+   * Calculate the original tick where a position was created based on its tick range
+   *
+   * This method reverse-engineers the tick at position creation time by analyzing
+   * the tick range boundaries and the target range percentages used. This is useful
+   * for tracking price movements from the original position creation point.
+   *
+   * @param {Object} position - Position data
+   * @param {number} position.tickLower - Lower tick boundary of the position
+   * @param {number} position.tickUpper - Upper tick boundary of the position
+   * @param {number} position.fee - Fee tier (used to get tick spacing)
+   * @param {number} targetRangeUpper - Target range upper percentage (0-100)
+   * @param {number} targetRangeLower - Target range lower percentage (0-100)
+   * @returns {number} Estimated original tick where position was created
+   * @throws {Error} If position data is invalid or missing required fields
+   * @throws {Error} If target range percentages are invalid
+   *
+   * @example
+   * const originalTick = adapter.calculateOriginalTick(
+   *   { tickLower: 195000, tickUpper: 205000, fee: 500 },
+   *   10, // 10% upper range
+   *   10  // 10% lower range
+   * );
+   * // Returns: 200000 (the original tick)
+   * @since 1.0.0
+   */
+  calculateOriginalTick(position, targetRangeUpper, targetRangeLower) {
+    // Parameter validation following adapter patterns
+    if (!position) {
+      throw new Error("Position parameter is required");
+    }
+
+    if (!Number.isFinite(position.tickLower)) {
+      throw new Error("position.tickLower must be a finite number");
+    }
+
+    if (!Number.isFinite(position.tickUpper)) {
+      throw new Error("position.tickUpper must be a finite number");
+    }
+
+    if (position.tickLower >= position.tickUpper) {
+      throw new Error("position.tickLower must be less than position.tickUpper");
+    }
+
+    if (!Number.isFinite(position.fee)) {
+      throw new Error("position.fee must be a finite number");
+    }
+
+    if (!Number.isFinite(targetRangeUpper) || targetRangeUpper < 0 || targetRangeUpper > 100) {
+      throw new Error("targetRangeUpper must be a number between 0 and 100");
+    }
+
+    if (!Number.isFinite(targetRangeLower) || targetRangeLower < 0 || targetRangeLower > 100) {
+      throw new Error("targetRangeLower must be a number between 0 and 100");
+    }
+
+    // Get tick spacing for the fee tier
+    const tickSpacing = getPlatformTickSpacing(this.platformId, position.fee);
+
+    // Calculate ticks per percent (approximately 100 ticks = 1% price movement)
+    const ticksPerPercent = Math.round(Math.log(1.01) / Math.log(1.0001));
+
+    // Calculate expected tick distances from original price
+    const expectedUpperTicks = Math.round(targetRangeUpper * ticksPerPercent);
+    const expectedLowerTicks = Math.round(targetRangeLower * ticksPerPercent);
+
+    // For symmetric ranges, the original tick is the midpoint
+    if (targetRangeUpper === targetRangeLower) {
+      const midpoint = (position.tickLower + position.tickUpper) / 2;
+      return Math.round(midpoint);
+    }
+
+    // For asymmetric ranges, calculate based on the proportion
+    // The original tick divides the range proportionally to the target percentages
+    const totalRange = expectedUpperTicks + expectedLowerTicks;
+    const actualRange = position.tickUpper - position.tickLower;
+
+    // Account for tick spacing alignment
+    // The actual range might be slightly different due to tick spacing rounding
+    // We estimate the original tick based on the proportional split
+    const lowerProportion = expectedLowerTicks / totalRange;
+    const originalTick = Math.round(
+      position.tickLower + (lowerProportion * actualRange)
+    );
+
+    return originalTick;
+  }
+
+  /**
+   * Calculate uncollected fees for a V3 position
+   *
+   * This method implements the Uniswap V3 fee calculation logic, which requires
+   * on-chain data that the SDK doesn't fetch. The calculation accounts for:
+   * - Global fee growth since the position was last updated
+   * - Fee growth inside/outside the position's price range
+   * - The position's liquidity and tick range
+   *
+   * @param {Object} position - Position data
+   * @param {string} position.liquidity - Position liquidity (large value, must be string)
+   * @param {string} position.feeGrowthInside0LastX128 - Fee growth inside for token0 at last action (large value, must be string)
+   * @param {string} position.feeGrowthInside1LastX128 - Fee growth inside for token1 at last action (large value, must be string)
+   * @param {number} position.tickLower - Lower tick of the position
+   * @param {number} position.tickUpper - Upper tick of the position
+   * @param {string} position.tokensOwed0 - Already accumulated fees for token0 (large value, must be string)
+   * @param {string} position.tokensOwed1 - Already accumulated fees for token1 (large value, must be string)
+   * @param {Object} poolData - Current pool state data
+   * @param {number} poolData.tick - Current pool tick
+   * @param {string} poolData.feeGrowthGlobal0X128 - Current global fee growth for token0 (large value, must be string)
+   * @param {string} poolData.feeGrowthGlobal1X128 - Current global fee growth for token1 (large value, must be string)
+   * @param {Object} poolData.ticks - Object containing tick data for the position's ticks
+   * @param {Object} poolData.ticks[tickLower] - Lower tick data with feeGrowthOutside values
+   * @param {Object} poolData.ticks[tickUpper] - Upper tick data with feeGrowthOutside values
+   * @param {number} [poolData.blockNumber] - Block the pool data was read at; must match `position.blockNumber`
+   *   when both are set
+   * @returns {[bigint, bigint]} Array with [token0Fees, token1Fees] as raw bigint values
+   * @throws {Error} If required pool or token data is missing, or position and pool data come from different blocks
+   */
+  calculateUncollectedFees(position, poolData) {
+    // Validate position exists
+    if (!position) {
+      throw new Error("Position parameter is required");
+    }
+
+    // Validate position required properties exist
+    if (!position.liquidity) {
+      throw new Error("position.liquidity is required");
+    }
+    if (!position.feeGrowthInside0LastX128) {
+      throw new Error("position.feeGrowthInside0LastX128 is required");
+    }
+    if (!position.feeGrowthInside1LastX128) {
+      throw new Error("position.feeGrowthInside1LastX128 is required");
+    }
+    if (!position.tokensOwed0) {
+      throw new Error("position.tokensOwed0 is required");
+    }
+    if (!position.tokensOwed1) {
+      throw new Error("position.tokensOwed1 is required");
+    }
+    if (position.tickLower === undefined || position.tickLower === null) {
+      throw new Error("position.tickLower is required");
+    }
+    if (position.tickUpper === undefined || position.tickUpper === null) {
+      throw new Error("position.tickUpper is required");
+    }
+
+    // Validate position property types
+    if (typeof position.liquidity !== 'string') {
+      throw new Error("position.liquidity must be a string");
+    }
+    if (typeof position.feeGrowthInside0LastX128 !== 'string') {
+      throw new Error("position.feeGrowthInside0LastX128 must be a string");
+    }
+    if (typeof position.feeGrowthInside1LastX128 !== 'string') {
+      throw new Error("position.feeGrowthInside1LastX128 must be a string");
+    }
+    if (typeof position.tokensOwed0 !== 'string') {
+      throw new Error("position.tokensOwed0 must be a string");
+    }
+    if (typeof position.tokensOwed1 !== 'string') {
+      throw new Error("position.tokensOwed1 must be a string");
+    }
+    if (!Number.isFinite(position.tickLower)) {
+      throw new Error("position.tickLower must be a finite number");
+    }
+    if (!Number.isFinite(position.tickUpper)) {
+      throw new Error("position.tickUpper must be a finite number");
+    }
+
+    // Validate poolData exists
+    if (!poolData) {
+      throw new Error("poolData parameter is required");
+    }
+
+    // Position and pool state must come from the same snapshot
+    if (position.blockNumber !== undefined && poolData.blockNumber !== undefined &&
+        position.blockNumber !== poolData.blockNumber) {
+      throw new Error(`position (block ${position.blockNumber}) and poolData (block ${poolData.blockNumber}) must be read at the same block`);
+    }
+
+    // Validate poolData required properties exist
+    if (poolData.tick === undefined || poolData.tick === null) {
+      throw new Error("poolData.tick is required");
+    }
+    if (!poolData.feeGrowthGlobal0X128) {
+      throw new Error("poolData.feeGrowthGlobal0X128 is required");
+    }
+    if (!poolData.feeGrowthGlobal1X128) {
+      throw new Error("poolData.feeGrowthGlobal1X128 is required");
+    }
+    if (!poolData.ticks) {
+      throw new Error("poolData.ticks is required");
+    }
+
+    // Validate poolData property types
+    if (!Number.isFinite(poolData.tick)) {
+      throw new Error("poolData.tick must be a finite number");
+    }
+    if (typeof poolData.feeGrowthGlobal0X128 !== 'string') {
+      throw new Error("poolData.feeGrowthGlobal0X128 must be a string");
+    }
+    if (typeof poolData.feeGrowthGlobal1X128 !== 'string') {
+      throw new Error("poolData.feeGrowthGlobal1X128 must be a string");
+    }
+
+    // Validate tick data exists
+    if (!poolData.ticks[position.tickLower]) {
+      throw new Error(`Missing tick data for tickLower ${position.tickLower}`);
+    }
+    if (!poolData.ticks[position.tickUpper]) {
+      throw new Error(`Missing tick data for tickUpper ${position.tickUpper}`);
+    }
+
+    const tickLowerData = poolData.ticks[position.tickLower];
+    const tickUpperData = poolData.ticks[position.tickUpper];
+
+    // Internal calculation with all parameters
+    return this._calculateUncollectedFeesInternal({
+      position,
+      currentTick: poolData.tick,
+      feeGrowthGlobal0X128: poolData.feeGrowthGlobal0X128,
+      feeGrowthGlobal1X128: poolData.feeGrowthGlobal1X128,
+      tickLowerData,
+      tickUpperData
+    });
+  }
+
+  /**
+   * Internal implementation of fee calculation logic
+   * @private
+   */
+  _calculateUncollectedFeesInternal({
+    position,
+    currentTick,
+    feeGrowthGlobal0X128,
+    feeGrowthGlobal1X128,
+    tickLowerData,
+    tickUpperData,
+  }) {
+    // Position data extraction with validation
+    let liquidity, feeGrowthInside0LastX128, feeGrowthInside1LastX128, tokensOwed0, tokensOwed1;
+
+    // Validate liquidity is decimal-only string
+    if (!/^\d+$/.test(position.liquidity)) {
+      throw new Error('Invalid position.liquidity: must be a valid numeric string');
+    }
+    try {
+      liquidity = BigInt(position.liquidity);
+    } catch (error) {
+      throw new Error('Invalid position.liquidity: must be a valid numeric string');
+    }
+
+    // Validate feeGrowthInside0LastX128 is decimal-only string
+    if (!/^\d+$/.test(position.feeGrowthInside0LastX128)) {
+      throw new Error('Invalid position.feeGrowthInside0LastX128: must be a valid numeric string');
+    }
+    try {
+      feeGrowthInside0LastX128 = BigInt(position.feeGrowthInside0LastX128);
+    } catch (error) {
+      throw new Error('Invalid position.feeGrowthInside0LastX128: must be a valid numeric string');
+    }
+
+    // Validate feeGrowthInside1LastX128 is decimal-only string
+    if (!/^\d+$/.test(position.feeGrowthInside1LastX128)) {
+      throw new Error('Invalid position.feeGrowthInside1LastX128: must be a valid numeric string');
+    }
+    try {
+      feeGrowthInside1LastX128 = BigInt(position.feeGrowthInside1LastX128);
+    } catch (error) {
+      throw new Error('Invalid position.feeGrowthInside1LastX128: must be a valid numeric string');
+    }
+
+    // Validate tokensOwed0 is decimal-only string
+    if (!/^\d+$/.test(position.tokensOwed0)) {
+      throw new Error('Invalid position.tokensOwed0: must be a valid numeric string');
+    }
+    try {
+      tokensOwed0 = BigInt(position.tokensOwed0);
+    } catch (error) {
+      throw new Error('Invalid position.tokensOwed0: must be a valid numeric string');
+    }
+
+    // Validate tokensOwed1 is decimal-only string
+    if (!/^\d+$/.test(position.tokensOwed1)) {
+      throw new Error('Invalid position.tokensOwed1: must be a valid numeric string');
+    }
+    try {
+      tokensOwed1 = BigInt(position.tokensOwed1);
+    } catch (error) {
+      throw new Error('Invalid position.tokensOwed1: must be a valid numeric string');
+    }
+
+    // Tick data extraction with validation
+    let lowerTickData, upperTickData;
+
+    // Validate tick lower data fee growth values are decimal-only strings
+    if (!/^\d+$/.test(tickLowerData.feeGrowthOutside0X128) || !/^\d+$/.test(tickLowerData.feeGrowthOutside1X128)) {
+      throw new Error('Invalid tickLowerData fee growth values: must be valid numeric strings');
+    }
+    try {
+      lowerTickData = {
+        feeGrowthOutside0X128: BigInt(tickLowerData.feeGrowthOutside0X128),
+        feeGrowthOutside1X128: BigInt(tickLowerData.feeGrowthOutside1X128),
+        initialized: Boolean(tickLowerData.initialized)
+      };
+    } catch (error) {
+      throw new Error('Invalid tickLowerData fee growth values: must be valid numeric strings');
+    }
+
+    // Validate tick upper data fee growth values are decimal-only strings
+    if (!/^\d+$/.test(tickUpperData.feeGrowthOutside0X128) || !/^\d+$/.test(tickUpperData.feeGrowthOutside1X128)) {
+      throw new Error('Invalid tickUpperData fee growth values: must be valid numeric strings');
+    }
+    try {
+      upperTickData = {
+        feeGrowthOutside0X128: BigInt(tickUpperData.feeGrowthOutside0X128),
+        feeGrowthOutside1X128: BigInt(tickUpperData.feeGrowthOutside1X128),
+        initialized: Boolean(tickUpperData.initialized)
+      };
+    } catch (error) {
+      throw new Error('Invalid tickUpperData fee growth values: must be valid numeric strings');
+    }
+
+    // Convert global fee growth with validation
+    let feeGrowthGlobal0X128BigInt, feeGrowthGlobal1X128BigInt;
+
+    // Validate feeGrowthGlobal0X128 is decimal-only string
+    if (!/^\d+$/.test(feeGrowthGlobal0X128)) {
+      throw new Error('Invalid feeGrowthGlobal0X128: must be a valid numeric string');
+    }
+    try {
+      feeGrowthGlobal0X128BigInt = BigInt(feeGrowthGlobal0X128);
+    } catch (error) {
+      throw new Error('Invalid feeGrowthGlobal0X128: must be a valid numeric string');
+    }
+
+    // Validate feeGrowthGlobal1X128 is decimal-only string
+    if (!/^\d+$/.test(feeGrowthGlobal1X128)) {
+      throw new Error('Invalid feeGrowthGlobal1X128: must be a valid numeric string');
+    }
+    try {
+      feeGrowthGlobal1X128BigInt = BigInt(feeGrowthGlobal1X128);
+    } catch (error) {
+      throw new Error('Invalid feeGrowthGlobal1X128: must be a valid numeric string');
+    }
+
+    // Calculate current fee growth inside the position's range
+    let feeGrowthInside0X128, feeGrowthInside1X128;
+
+    if (currentTick < position.tickLower) {
+      // Current tick is below the position's range
+      feeGrowthInside0X128 = lowerTickData.feeGrowthOutside0X128 - upperTickData.feeGrowthOutside0X128;
+      feeGrowthInside1X128 = lowerTickData.feeGrowthOutside1X128 - upperTickData.feeGrowthOutside1X128;
+    } else if (currentTick >= position.tickUpper) {
+      // Current tick is at or above the position's range
+      feeGrowthInside0X128 = upperTickData.feeGrowthOutside0X128 - lowerTickData.feeGrowthOutside0X128;
+      feeGrowthInside1X128 = upperTickData.feeGrowthOutside1X128 - lowerTickData.feeGrowthOutside1X128;
+    } else {
+      // Current tick is within the position's range
+      feeGrowthInside0X128 = feeGrowthGlobal0X128BigInt - lowerTickData.feeGrowthOutside0X128 - upperTickData.feeGrowthOutside0X128;
+      feeGrowthInside1X128 = feeGrowthGlobal1X128BigInt - lowerTickData.feeGrowthOutside1X128 - upperTickData.feeGrowthOutside1X128;
+    }
+
+    // Handle negative values by adding 2^256
+    const MAX_UINT256 = 2n ** 256n;
+    const ZERO = 0n;
+
+    if (feeGrowthInside0X128 < ZERO) {
+      feeGrowthInside0X128 = feeGrowthInside0X128 + MAX_UINT256;
+    }
+
+    if (feeGrowthInside1X128 < ZERO) {
+      feeGrowthInside1X128 = feeGrowthInside1X128 + MAX_UINT256;
+    }
+
+    // Calculate fee growth since last position update
+    let feeGrowthDelta0 = feeGrowthInside0X128 - feeGrowthInside0LastX128;
+    let feeGrowthDelta1 = feeGrowthInside1X128 - feeGrowthInside1LastX128;
+
+    // Handle underflow
+    if (feeGrowthDelta0 < ZERO) {
+      feeGrowthDelta0 = feeGrowthDelta0 + MAX_UINT256;
+    }
+
+    if (feeGrowthDelta1 < ZERO) {
+      feeGrowthDelta1 = feeGrowthDelta1 + MAX_UINT256;
+    }
+
+    // Calculate uncollected fees
+    // The formula is: tokensOwed + (liquidity * feeGrowthDelta) / 2^128
+    const DENOMINATOR = 2n ** 128n;
+
+    const uncollectedFees0Raw = tokensOwed0 + (liquidity * feeGrowthDelta0) / DENOMINATOR;
+    const uncollectedFees1Raw = tokensOwed1 + (liquidity * feeGrowthDelta1) / DENOMINATOR;
+
+    // Return raw bigint values
+    return [uncollectedFees0Raw, uncollectedFees1Raw];
+  }
+
+  /**
+   * Calculate token amounts for a position (if it were to be closed)
+   * @param {Object} position - Position object
+   * @param {string} position.liquidity - Position liquidity (large value, must be string)
+   * @param {number} position.tickLower - Lower tick of the position
+   * @param {number} position.tickUpper - Upper tick of the position
+   * @param {Object} poolData - Pool data
+   * @param {number} poolData.fee - Pool fee tier
+   * @param {string} poolData.sqrtPriceX96 - Square root price X96
+   * @param {string} poolData.liquidity - Pool liquidity
+   * @param {number} poolData.tick - Current pool tick
+   * @param {Object} token0Data - Token0 data
+   * @param {string} token0Data.address - Token contract address
+   * @param {number} token0Data.decimals - Token decimals
+   * @param {Object} token1Data - Token1 data
+   * @param {string} token1Data.address - Token contract address
+   * @param {number} token1Data.decimals - Token decimals
+   * @returns {Promise<Array<bigint>>} Array of [token0Raw, token1Raw] amounts
+   */
+  async calculateTokenAmounts(position, poolData, token0Data, token1Data) {
+    // Validate position parameter
+    if (!position) {
+      throw new Error("position parameter is required");
+    }
+
+    // Validate position properties
+    if (position.liquidity === null || position.liquidity === undefined) {
+      throw new Error("position.liquidity is required");
+    }
+    if (typeof position.liquidity !== 'string') {
+      throw new Error("position.liquidity must be a string");
+    }
+
+    // Validate liquidity is a valid positive decimal numeric string
+    // Only allow positive decimal strings (no hex, octal, negative, etc.)
+    if (!/^\d+$/.test(position.liquidity)) {
+      throw new Error('Invalid position.liquidity: must be a valid positive numeric string');
+    }
+
+    let liquidityBigInt;
+    try {
+      liquidityBigInt = BigInt(position.liquidity);
+    } catch (error) {
+      throw new Error('Invalid position.liquidity: must be a valid positive numeric string');
+    }
+
+    if (liquidityBigInt === 0n) {
+      return [0n, 0n];
+    }
+
+    if (position.tickLower === null || position.tickLower === undefined) {
+      throw new Error("position.tickLower is required");
+    }
+    if (typeof position.tickLower !== 'number' || !Number.isFinite(position.tickLower)) {
+      throw new Error("position.tickLower must be a valid number");
+    }
+
+    if (position.tickUpper === null || position.tickUpper === undefined) {
+      throw new Error("position.tickUpper is required");
+    }
+    if (typeof position.tickUpper !== 'number' || !Number.isFinite(position.tickUpper)) {
+      throw new Error("position.tickUpper must be a valid number");
+    }
+
+    // Validate poolData parameter
+    if (!poolData) {
+      throw new Error("poolData parameter is required");
+    }
+
+    // Validate poolData properties
+    if (poolData.fee === null || poolData.fee === undefined) {
+      throw new Error("poolData.fee is required");
+    }
+    if (typeof poolData.fee !== 'number' || !Number.isFinite(poolData.fee)) {
+      throw new Error("poolData.fee must be a valid number");
+    }
+
+    if (!poolData.sqrtPriceX96) {
+      throw new Error("poolData.sqrtPriceX96 is required");
+    }
+    if (typeof poolData.sqrtPriceX96 !== 'string') {
+      throw new Error("poolData.sqrtPriceX96 must be a string");
+    }
+
+    if (!poolData.liquidity) {
+      throw new Error("poolData.liquidity is required");
+    }
+    if (typeof poolData.liquidity !== 'string') {
+      throw new Error("poolData.liquidity must be a string");
+    }
+
+    if (poolData.tick === null || poolData.tick === undefined) {
+      throw new Error("poolData.tick is required");
+    }
+    if (typeof poolData.tick !== 'number' || !Number.isFinite(poolData.tick)) {
+      throw new Error("poolData.tick must be a valid number");
+    }
+
+    // Validate token0Data
+    if (!token0Data) {
+      throw new Error("token0Data parameter is required");
+    }
+    if (!token0Data.address) {
+      throw new Error("token0Data.address is required");
+    }
+    try {
+      ethers.utils.getAddress(token0Data.address);
+    } catch (error) {
+      throw new Error(`Invalid token0Data.address: ${token0Data.address}`);
+    }
+    if (token0Data.decimals === null || token0Data.decimals === undefined) {
+      throw new Error("token0Data.decimals is required");
+    }
+    if (typeof token0Data.decimals !== 'number' || !Number.isFinite(token0Data.decimals)) {
+      throw new Error("token0Data.decimals must be a valid number");
+    }
+
+    // Validate token1Data
+    if (!token1Data) {
+      throw new Error("token1Data parameter is required");
+    }
+    if (!token1Data.address) {
+      throw new Error("token1Data.address is required");
+    }
+    try {
+      ethers.utils.getAddress(token1Data.address);
+    } catch (error) {
+      throw new Error(`Invalid token1Data.address: ${token1Data.address}`);
+    }
+    if (token1Data.decimals === null || token1Data.decimals === undefined) {
+      throw new Error("token1Data.decimals is required");
+    }
+    if (typeof token1Data.decimals !== 'number' || !Number.isFinite(token1Data.decimals)) {
+      throw new Error("token1Data.decimals must be a valid number");
+    }
+
+    try {
+
+      // Create Token objects - use chainId from instance
+      const token0 = new Token(
+        this.chainId,
+        token0Data.address,
+        token0Data.decimals
+      );
+
+      const token1 = new Token(
+        this.chainId,
+        token1Data.address,
+        token1Data.decimals
+      );
+
+      // Create Pool instance
+      const pool = this._createPool(token0, token1, poolData);
+
+      // Create Position instance
+      const positionInstance = new Position({
+        pool,
+        liquidity: position.liquidity,
+        tickLower: position.tickLower,
+        tickUpper: position.tickUpper
+      });
+
+      // Get token amounts
+      const amount0 = positionInstance.amount0;
+      const amount1 = positionInstance.amount1;
+
+      return [
+        BigInt(amount0.quotient.toString()),
+        BigInt(amount1.quotient.toString())
+      ];
+    } catch (error) {
+      console.error("Error calculating token amounts:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Discover available pools for a token pair across all fee tiers
+   * @param {string} token0Address - Address of first token
+   * @param {string} token1Address - Address of second token
+   * @param {Object} provider - Ethers provider instance
+   * @returns {Promise<Array>} Array of pool information objects
+   */
+  async discoverAvailablePools(token0Address, token1Address, provider) {
+    // Validate token0 address
+    if (!token0Address) {
+      throw new Error("Token0 address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(token0Address);
+    } catch (error) {
+      throw new Error(`Invalid token0 address: ${token0Address}`);
+    }
+
+    // Validate token1 address
+    if (!token1Address) {
+      throw new Error("Token1 address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(token1Address);
+    } catch (error) {
+      throw new Error(`Invalid token1 address: ${token1Address}`);
+    }
+
+    // Validate provider
+    await this._validateProviderChain(provider);
+
+    const feeTiers = this.feeTiers;
+    const pools = [];
+
+    for (const fee of feeTiers) {
+      const poolAddress = await this.getPoolAddress(token0Address, token1Address, fee, provider);
+
+      if (poolAddress === ethers.constants.AddressZero) {
+        continue; // Expected - no pool for this fee tier
+      }
+
+      const poolContract = new ethers.Contract(poolAddress, this.uniswapV3PoolABI, provider);
+
+      let poolData;
+      try {
+        poolData = await Promise.all([
+          poolContract.slot0(),
+          poolContract.liquidity()
+        ]);
+      } catch (firstError) {
+        // Log transient error for monitoring (retry will follow)
+        console.warn(`Pool ${poolAddress} (fee: ${fee}) initial fetch failed, retrying:`, firstError.message);
+
+        // Retry once after delay for transient errors
+        await new Promise(resolve => setTimeout(resolve, 1000)); // 1 second delay
+        try {
+          poolData = await Promise.all([
+            poolContract.slot0(),
+            poolContract.liquidity()
+          ]);
+        } catch (secondError) {
+          throw new Error(`Pool ${poolAddress} (fee: ${fee}) failed after retry: ${secondError.message}`);
+        }
+      }
+
+      const [slot0, liquidity] = poolData;
+
+      pools.push({
+        address: poolAddress,
+        fee,
+        liquidity: liquidity.toString(),
+        sqrtPriceX96: slot0.sqrtPriceX96.toString(),
+        tick: slot0.tick
+      });
+    }
+
+    return pools;
+  }
+
+  /**
+   * Generate transaction data for claiming fees from a position
+   * @param {Object} params - Parameters for generating claim fees data
+   * @param {string|number} params.positionId - Position NFT token ID
+   * @param {Object} params.provider - Ethers provider
+   * @param {string} params.walletAddress - User's wallet address
+   * @param {string} params.token0Address - Token0 address
+   * @param {string} params.token1Address - Token1 address
+   * @param {number} params.token0Decimals - Token0 decimals
+   * @param {number} params.token1Decimals - Token1 decimals
+   * @returns {Object} Transaction data object with `to`, `data`, `value` properties
+   * @throws {Error} If parameters are invalid or transaction data cannot be generated
+   */
+  async generateClaimFeesData(params) {
+    const { positionId, provider, walletAddress, token0Address, token1Address, token0Decimals, token1Decimals } = params;
+
+    // Input validation
+    if (positionId === null || positionId === undefined) {
+      throw new Error("Position ID is required");
+    }
+
+    // Validate positionId is a numeric string
+    if (typeof positionId !== 'string') {
+      throw new Error('positionId must be a string');
+    }
+    if (!/^\d+$/.test(positionId)) {
+      throw new Error('positionId must be a numeric string');
+    }
+
+    // Validate token0 address
+    if (!token0Address) {
+      throw new Error("Token0 address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(token0Address);
+    } catch (error) {
+      throw new Error(`Invalid token0 address: ${token0Address}`);
+    }
+
+    // Validate token1 address
+    if (!token1Address) {
+      throw new Error("Token1 address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(token1Address);
+    } catch (error) {
+      throw new Error(`Invalid token1 address: ${token1Address}`);
+    }
+
+    // Validate wallet address
+    if (!walletAddress) {
+      throw new Error("Wallet address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(walletAddress);
+    } catch (error) {
+      throw new Error(`Invalid wallet address: ${walletAddress}`);
+    }
+
+    // Validate token decimals
+    if (token0Decimals === null || token0Decimals === undefined) {
+      throw new Error("Token0 decimals is required");
+    }
+    if (typeof token0Decimals !== 'number' || !Number.isFinite(token0Decimals)) {
+      throw new Error("Token0 decimals must be a valid number");
+    }
+
+    if (token1Decimals === null || token1Decimals === undefined) {
+      throw new Error("Token1 decimals is required");
+    }
+    if (typeof token1Decimals !== 'number' || !Number.isFinite(token1Decimals)) {
+      throw new Error("Token1 decimals must be a valid number");
+    }
+
+    // Validate provider
+    await this._validateProviderChain(provider);
+
+    try {
+      // Get position manager address from cached addresses
+      if (!this.addresses?.positionManagerAddress) {
+        throw new Error(`No position manager address found for chainId: ${this.chainId}`);
+      }
+      const positionManagerAddress = this.addresses.positionManagerAddress;
+
+
+      // Create Token instances for the SDK
+      const token0 = new Token(
+        this.chainId,
+        token0Address,
+        token0Decimals
+      );
+
+      const token1 = new Token(
+        this.chainId,
+        token1Address,
+        token1Decimals
+      );
+
+      // Create collectOptions object to collect ALL available fees
+      const collectOptions = {
+        tokenId: positionId,
+        expectedCurrencyOwed0: CurrencyAmount.fromRawAmount(
+          token0,
+          MaxUint128
+        ),
+        expectedCurrencyOwed1: CurrencyAmount.fromRawAmount(
+          token1,
+          MaxUint128
+        ),
+        recipient: walletAddress
+      };
+
+      // Use SDK to generate calldata and value
+      const { calldata, value } = NonfungiblePositionManager.collectCallParameters(collectOptions);
+
+      // Return transaction data
+      return {
+        to: positionManagerAddress,
+        data: calldata,
+        value: value
+      };
+    } catch (error) {
+      throw new Error(`Failed to generate claim fees data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate transaction data for removing liquidity from a position
+   * @param {Object} params - Parameters for generating remove liquidity data
+   * @param {Object} params.position - Position object with required properties
+   * @param {string} params.position.id - Position NFT token ID
+   * @param {number} params.position.tickLower - Lower tick boundary of the position
+   * @param {number} params.position.tickUpper - Upper tick boundary of the position
+   * @param {number} params.percentage - Percentage of liquidity to remove (1-100)
+   * @param {Object} params.provider - Ethers provider instance
+   * @param {string} params.walletAddress - User's wallet address (recipient of tokens and fees)
+   * @param {Object} params.poolData - Current pool state data
+   * @param {number} params.poolData.fee - Pool fee tier (e.g., 500, 3000, 10000)
+   * @param {string} params.poolData.sqrtPriceX96 - Current pool price as sqrt(price) * 2^96
+   * @param {string} params.poolData.liquidity - Current pool liquidity
+   * @param {number} params.poolData.tick - Current pool tick
+   * @param {Object} params.token0Data - First token data (will be sorted by address)
+   * @param {string} params.token0Data.address - Token contract address
+   * @param {number} params.token0Data.decimals - Token decimal places
+   * @param {Object} params.token1Data - Second token data (will be sorted by address)
+   * @param {string} params.token1Data.address - Token contract address
+   * @param {number} params.token1Data.decimals - Token decimal places
+   * @param {number} params.slippageTolerance - Slippage tolerance percentage (e.g., 0.5 for 0.5%)
+   * @param {number} params.deadlineMinutes - Transaction deadline in minutes from now
+   * @returns {Object} Transaction data object with `to`, `data`, `value` properties
+   * @throws {Error} If parameters are invalid or transaction data cannot be generated
+   */
+  async generateRemoveLiquidityData(params) {
+    const {
+      position,
+      percentage,
+      provider,
+      walletAddress,
+      poolData,
+      token0Data,
+      token1Data,
+      slippageTolerance,
+      deadlineMinutes
+    } = params;
+
+    // Input validation
+    if (position === null || position === undefined) {
+      throw new Error("Position parameter is required");
+    }
+    if (typeof position !== 'object' || Array.isArray(position)) {
+      throw new Error("Position must be an object");
+    }
+    if (position.id === null || position.id === undefined) {
+      throw new Error("Position ID is required");
+    }
+    if (typeof position.id !== 'string') {
+      throw new Error('Position ID must be a string');
+    }
+    if (!/^\d+$/.test(position.id)) {
+      throw new Error('Position ID must be a numeric string');
+    }
+    if (position.tickLower === null || position.tickLower === undefined) {
+      throw new Error("Position tickLower is required");
+    }
+    if (!Number.isFinite(position.tickLower)) {
+      throw new Error("Position tickLower must be a finite number");
+    }
+    if (position.tickUpper === null || position.tickUpper === undefined) {
+      throw new Error("Position tickUpper is required");
+    }
+    if (!Number.isFinite(position.tickUpper)) {
+      throw new Error("Position tickUpper must be a finite number");
+    }
+    if (position.tickLower >= position.tickUpper) {
+      throw new Error("Position tickLower must be less than tickUpper");
+    }
+
+    if (percentage === null || percentage === undefined) {
+      throw new Error("Percentage parameter is required");
+    }
+    if (!Number.isFinite(percentage)) {
+      throw new Error("Percentage must be a finite number");
+    }
+    if (percentage <= 0 || percentage > 100) {
+      throw new Error("Percentage must be between 1 and 100");
+    }
+
+    if (provider === null || provider === undefined) {
+      throw new Error("Provider is required");
+    }
+    if (typeof provider !== 'object' || Array.isArray(provider)) {
+      throw new Error("Provider must be an ethers provider object");
+    }
+
+    if (walletAddress === null || walletAddress === undefined || walletAddress === '') {
+      throw new Error("Wallet address is required");
+    }
+    if (typeof walletAddress !== 'string') {
+      throw new Error("Wallet address must be a string");
+    }
+    try {
+      ethers.utils.getAddress(walletAddress);
+    } catch (error) {
+      throw new Error(`Invalid wallet address: ${walletAddress}`);
+    }
+
+    if (poolData === null || poolData === undefined) {
+      throw new Error("Pool data parameter is required");
+    }
+    if (typeof poolData !== 'object' || Array.isArray(poolData)) {
+      throw new Error("Pool data must be an object");
+    }
+    if (poolData.fee === null || poolData.fee === undefined) {
+      throw new Error("Pool data fee is required");
+    }
+    if (!Number.isFinite(poolData.fee) || poolData.fee < 0) {
+      throw new Error("Pool data fee must be a non-negative finite number");
+    }
+    if (!poolData.sqrtPriceX96) {
+      throw new Error("Pool data sqrtPriceX96 is required");
+    }
+    if (typeof poolData.sqrtPriceX96 !== 'string') {
+      throw new Error("Pool data sqrtPriceX96 must be a string");
+    }
+    if (!/^\d+$/.test(poolData.sqrtPriceX96)) {
+      throw new Error("Pool data sqrtPriceX96 must be a positive numeric string");
+    }
+    if (!poolData.liquidity) {
+      throw new Error("Pool data liquidity is required");
+    }
+    if (typeof poolData.liquidity !== 'string') {
+      throw new Error("Pool data liquidity must be a string");
+    }
+    if (!/^\d+$/.test(poolData.liquidity)) {
+      throw new Error("Pool data liquidity must be a positive numeric string");
+    }
+    if (poolData.tick === null || poolData.tick === undefined) {
+      throw new Error("Pool data tick is required");
+    }
+    if (!Number.isFinite(poolData.tick)) {
+      throw new Error("Pool data tick must be a finite number");
+    }
+
+    if (token0Data === null || token0Data === undefined) {
+      throw new Error("Token0 data parameter is required");
+    }
+    if (typeof token0Data !== 'object' || Array.isArray(token0Data)) {
+      throw new Error("Token0 data must be an object");
+    }
+    if (token0Data.address === null || token0Data.address === undefined || token0Data.address === '') {
+      throw new Error("Token0 address is required");
+    }
+    if (typeof token0Data.address !== 'string') {
+      throw new Error("Token0 address must be a string");
+    }
+    try {
+      ethers.utils.getAddress(token0Data.address);
+    } catch (error) {
+      throw new Error(`Invalid token0 address: ${token0Data.address}`);
+    }
+    if (token0Data.decimals === null || token0Data.decimals === undefined) {
+      throw new Error("Token0 decimals is required");
+    }
+    if (!Number.isFinite(token0Data.decimals) || token0Data.decimals < 0 || token0Data.decimals > 255) {
+      throw new Error("Token0 decimals must be a finite number between 0 and 255");
+    }
+
+    if (token1Data === null || token1Data === undefined) {
+      throw new Error("Token1 data parameter is required");
+    }
+    if (typeof token1Data !== 'object' || Array.isArray(token1Data)) {
+      throw new Error("Token1 data must be an object");
+    }
+    if (token1Data.address === null || token1Data.address === undefined || token1Data.address === '') {
+      throw new Error("Token1 address is required");
+    }
+    if (typeof token1Data.address !== 'string') {
+      throw new Error("Token1 address must be a string");
+    }
+    try {
+      ethers.utils.getAddress(token1Data.address);
+    } catch (error) {
+      throw new Error(`Invalid token1 address: ${token1Data.address}`);
+    }
+    if (token1Data.decimals === null || token1Data.decimals === undefined) {
+      throw new Error("Token1 decimals is required");
+    }
+    if (!Number.isFinite(token1Data.decimals) || token1Data.decimals < 0 || token1Data.decimals > 255) {
+      throw new Error("Token1 decimals must be a finite number between 0 and 255");
+    }
+
+    if (token0Data.address.toLowerCase() === token1Data.address.toLowerCase()) {
+      throw new Error("Token0 and token1 addresses cannot be the same");
+    }
+
+    if (slippageTolerance === null || slippageTolerance === undefined) {
+      throw new Error("Slippage tolerance is required");
+    }
+    if (!Number.isFinite(slippageTolerance)) {
+      throw new Error("Slippage tolerance must be a finite number");
+    }
+    if (slippageTolerance < 0 || slippageTolerance > 100) {
+      throw new Error("Slippage tolerance must be between 0 and 100");
+    }
+
+    if (deadlineMinutes === null || deadlineMinutes === undefined) {
+      throw new Error("Deadline minutes is required");
+    }
+    if (!Number.isFinite(deadlineMinutes)) {
+      throw new Error("Deadline minutes must be a finite number");
+    }
+    if (deadlineMinutes <= 0) {
+      throw new Error("Deadline minutes must be greater than 0");
+    }
+
+    try {
+      // Get position manager address from cached addresses
+      if (!this.addresses?.positionManagerAddress) {
+        throw new Error(`No position manager address found for chainId: ${this.chainId}`);
+      }
+      const positionManagerAddress = this.addresses.positionManagerAddress;
+
+      // Get current position data from contract FIRST to ensure correct token order
+      const nftManager = new ethers.Contract(
+        positionManagerAddress,
+        this.nonfungiblePositionManagerABI,
+        provider
+      );
+
+      const positionData = await nftManager.positions(position.id);
+
+      // Use sortTokens to get correct Uniswap token ordering
+      const { sortedToken0, sortedToken1 } = this.sortTokens(token0Data, token1Data);
+
+      // Verify the sorted tokens match the position's token order
+      if (positionData.token0.toLowerCase() !== sortedToken0.address.toLowerCase() ||
+          positionData.token1.toLowerCase() !== sortedToken1.address.toLowerCase()) {
+        throw new Error(`Token mismatch: position tokens (${positionData.token0}, ${positionData.token1}) don't match provided tokens (${token0Data.address}, ${token1Data.address})`);
+      }
+
+      // Create Token instances for the SDK with correct order
+      const token0 = new Token(
+        this.chainId,
+        sortedToken0.address,
+        sortedToken0.decimals
+      );
+
+      const token1 = new Token(
+        this.chainId,
+        sortedToken1.address,
+        sortedToken1.decimals
+      );
+
+
+      // Create Pool instance
+      const pool = this._createPool(token0, token1, poolData);
+
+      // Create a Position instance using the current position data
+
+      const currentPosition = new Position({
+        pool,
+        liquidity: positionData.liquidity.toString(),
+        tickLower: position.tickLower,
+        tickUpper: position.tickUpper
+      });
+
+      // Always collect all available fees when removing liquidity
+      const expectedCurrencyOwed0 = CurrencyAmount.fromRawAmount(token0, MaxUint128);
+      const expectedCurrencyOwed1 = CurrencyAmount.fromRawAmount(token1, MaxUint128);
+
+      // Create CollectOptions to collect fees in the same transaction
+      const collectOptions = {
+        expectedCurrencyOwed0,
+        expectedCurrencyOwed1,
+        recipient: walletAddress
+      };
+
+      // Create slippage tolerance using standardized method
+      const slippageTolerancePercent = this._createSlippagePercent(slippageTolerance);
+
+      // Create liquidity percentage Percent
+      const liquidityPercentage = new Percent(percentage, 100);
+
+      // Create RemoveLiquidityOptions
+      const removeLiquidityOptions = {
+        deadline: this._createDeadline(deadlineMinutes), // Use provided deadline
+        slippageTolerance: slippageTolerancePercent,
+        tokenId: position.id,
+        // Percentage of liquidity to remove
+        liquidityPercentage: liquidityPercentage,
+        collectOptions,
+      };
+
+      // Generate the calldata using the SDK
+
+      const { calldata, value } = NonfungiblePositionManager.removeCallParameters(
+        currentPosition,
+        removeLiquidityOptions
+      );
+
+      // Return transaction data
+      return {
+        to: positionManagerAddress,
+        data: calldata,
+        value: value
+      };
+    } catch (error) {
+      console.error("Error generating remove liquidity data:", error);
+      throw new Error(`Failed to generate remove liquidity data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate transaction data for adding liquidity to an existing position
+   * @param {Object} params - Parameters for generating add liquidity data
+   * @param {Object} params.position - Position object with ID and tick range
+   * @param {string} params.position.id - Position NFT token ID
+   * @param {number} params.position.tickLower - Lower tick of the position range
+   * @param {number} params.position.tickUpper - Upper tick of the position range
+   * @param {string} params.token0Amount - Amount of token0 to add (in human readable format)
+   * @param {string} params.token1Amount - Amount of token1 to add (in human readable format)
+   * @param {Object} params.provider - Ethers provider
+   * @param {Object} params.poolData - Pool data for the position
+   * @param {number} params.poolData.fee - Pool fee tier (100, 500, 3000, 10000)
+   * @param {string} params.poolData.sqrtPriceX96 - Current pool price in sqrt format
+   * @param {string} params.poolData.liquidity - Current pool liquidity
+   * @param {number} params.poolData.tick - Current pool tick
+   * @param {Object} params.token0Data - Token0 data
+   * @param {string} params.token0Data.address - Token0 contract address
+   * @param {number} params.token0Data.decimals - Token0 decimal places
+   * @param {Object} params.token1Data - Token1 data
+   * @param {string} params.token1Data.address - Token1 contract address
+   * @param {number} params.token1Data.decimals - Token1 decimal places
+   * @param {number} params.slippageTolerance - Slippage tolerance percentage (0-100)
+   * @param {number} [params.deadlineMinutes=20] - Transaction deadline in minutes
+   * @returns {Object} Transaction data object with `to`, `data`, `value` properties and `quote` with full getAddLiquidityQuote result
+   * @throws {Error} If parameters are invalid or transaction data cannot be generated
+   */
+  async generateAddLiquidityData(params) {
+    const {
+      position,
+      token0Amount,
+      token1Amount,
+      provider,
+      poolData,
+      token0Data,
+      token1Data,
+      slippageTolerance,
+      deadlineMinutes
+    } = params;
+
+    // Input validation
+    if (position === null || position === undefined) {
+      throw new Error("Position parameter is required");
+    }
+    if (typeof position !== 'object' || Array.isArray(position)) {
+      throw new Error("Position must be an object");
+    }
+    if (position.id === null || position.id === undefined) {
+      throw new Error("Position ID is required");
+    }
+    if (typeof position.id !== 'string') {
+      throw new Error('Position ID must be a string');
+    }
+    if (!/^\d+$/.test(position.id)) {
+      throw new Error('Position ID must be a numeric string');
+    }
+    if (position.tickLower === null || position.tickLower === undefined) {
+      throw new Error("Position tickLower is required");
+    }
+    if (!Number.isFinite(position.tickLower)) {
+      throw new Error("Position tickLower must be a finite number");
+    }
+    if (position.tickUpper === null || position.tickUpper === undefined) {
+      throw new Error("Position tickUpper is required");
+    }
+    if (!Number.isFinite(position.tickUpper)) {
+      throw new Error("Position tickUpper must be a finite number");
+    }
+    if (position.tickLower >= position.tickUpper) {
+      throw new Error("Position tickLower must be less than tickUpper");
+    }
+
+    if (token0Amount === null || token0Amount === undefined) {
+      throw new Error("Token0 amount is required");
+    }
+    if (typeof token0Amount !== 'string') {
+      throw new Error("Token0 amount must be a string");
+    }
+    if (!/^\d+$/.test(token0Amount)) {
+      throw new Error("Token0 amount must be a positive numeric string");
+    }
+
+    if (token1Amount === null || token1Amount === undefined) {
+      throw new Error("Token1 amount is required");
+    }
+    if (typeof token1Amount !== 'string') {
+      throw new Error("Token1 amount must be a string");
+    }
+    if (!/^\d+$/.test(token1Amount)) {
+      throw new Error("Token1 amount must be a positive numeric string");
+    }
+
+    if (parseInt(token0Amount) === 0 && parseInt(token1Amount) === 0) {
+      throw new Error("At least one token amount must be greater than 0");
+    }
+
+    // Validate provider using existing method
+    await this._validateProviderChain(provider);
+
+    if (poolData === null || poolData === undefined) {
+      throw new Error("Pool data parameter is required");
+    }
+    if (typeof poolData !== 'object' || Array.isArray(poolData)) {
+      throw new Error("Pool data must be an object");
+    }
+    if (poolData.fee === null || poolData.fee === undefined) {
+      throw new Error("Pool data fee is required");
+    }
+    if (!Number.isFinite(poolData.fee) || poolData.fee < 0) {
+      throw new Error("Pool data fee must be a non-negative finite number");
+    }
+    if (!poolData.sqrtPriceX96) {
+      throw new Error("Pool data sqrtPriceX96 is required");
+    }
+    if (typeof poolData.sqrtPriceX96 !== 'string') {
+      throw new Error("Pool data sqrtPriceX96 must be a string");
+    }
+    if (!/^\d+$/.test(poolData.sqrtPriceX96)) {
+      throw new Error("Pool data sqrtPriceX96 must be a positive numeric string");
+    }
+    if (!poolData.liquidity) {
+      throw new Error("Pool data liquidity is required");
+    }
+    if (typeof poolData.liquidity !== 'string') {
+      throw new Error("Pool data liquidity must be a string");
+    }
+    if (!/^\d+$/.test(poolData.liquidity)) {
+      throw new Error("Pool data liquidity must be a positive numeric string");
+    }
+    if (poolData.tick === null || poolData.tick === undefined) {
+      throw new Error("Pool data tick is required");
+    }
+    if (!Number.isFinite(poolData.tick)) {
+      throw new Error("Pool data tick must be a finite number");
+    }
+
+    if (token0Data === null || token0Data === undefined) {
+      throw new Error("Token0 data parameter is required");
+    }
+    if (typeof token0Data !== 'object' || Array.isArray(token0Data)) {
+      throw new Error("Token0 data must be an object");
+    }
+    if (token0Data.address === null || token0Data.address === undefined || token0Data.address === '') {
+      throw new Error("Token0 address is required");
+    }
+    if (typeof token0Data.address !== 'string') {
+      throw new Error("Token0 address must be a string");
+    }
+    try {
+      ethers.utils.getAddress(token0Data.address);
+    } catch (error) {
+      throw new Error(`Invalid token0 address: ${token0Data.address}`);
+    }
+    if (token0Data.decimals === null || token0Data.decimals === undefined) {
+      throw new Error("Token0 decimals is required");
+    }
+    if (!Number.isFinite(token0Data.decimals) || token0Data.decimals < 0 || token0Data.decimals > 255) {
+      throw new Error("Token0 decimals must be a finite number between 0 and 255");
+    }
+
+    if (token1Data === null || token1Data === undefined) {
+      throw new Error("Token1 data parameter is required");
+    }
+    if (typeof token1Data !== 'object' || Array.isArray(token1Data)) {
+      throw new Error("Token1 data must be an object");
+    }
+    if (token1Data.address === null || token1Data.address === undefined || token1Data.address === '') {
+      throw new Error("Token1 address is required");
+    }
+    if (typeof token1Data.address !== 'string') {
+      throw new Error("Token1 address must be a string");
+    }
+    try {
+      ethers.utils.getAddress(token1Data.address);
+    } catch (error) {
+      throw new Error(`Invalid token1 address: ${token1Data.address}`);
+    }
+    if (token1Data.decimals === null || token1Data.decimals === undefined) {
+      throw new Error("Token1 decimals is required");
+    }
+    if (!Number.isFinite(token1Data.decimals) || token1Data.decimals < 0 || token1Data.decimals > 255) {
+      throw new Error("Token1 decimals must be a finite number between 0 and 255");
+    }
+
+    if (token0Data.address.toLowerCase() === token1Data.address.toLowerCase()) {
+      throw new Error("Token0 and token1 addresses cannot be the same");
+    }
+
+    if (slippageTolerance === null || slippageTolerance === undefined) {
+      throw new Error("Slippage tolerance is required");
+    }
+    if (!Number.isFinite(slippageTolerance)) {
+      throw new Error("Slippage tolerance must be a finite number");
+    }
+    if (slippageTolerance < 0 || slippageTolerance > 100) {
+      throw new Error("Slippage tolerance must be between 0 and 100");
+    }
+
+    if (deadlineMinutes === null || deadlineMinutes === undefined) {
+      throw new Error("Deadline minutes is required");
+    }
+    if (!Number.isFinite(deadlineMinutes)) {
+      throw new Error("Deadline minutes must be a finite number");
+    }
+    if (deadlineMinutes <= 0) {
+      throw new Error("Deadline minutes must be greater than 0");
+    }
+
+    try {
+      // Get position manager address from platform addresses
+      if (!this.addresses?.positionManagerAddress) {
+        throw new Error(`No position manager address found for chainId: ${this.chainId}`);
+      }
+      const positionManagerAddress = this.addresses.positionManagerAddress;
+
+      // Use getAddLiquidityQuote to calculate the position
+      const quote = await this.getAddLiquidityQuote({
+        position,
+        token0Amount,
+        token1Amount,
+        provider,
+        poolData,
+        token0Data,
+        token1Data
+      });
+
+      // Extract the calculated position and metadata
+      const { position: positionToIncreaseBy, tokensSwapped, sortedToken0, sortedToken1 } = quote;
+
+      // Create AddLiquidityOptions
+      const addLiquidityOptions = {
+        deadline: this._createDeadline(deadlineMinutes), // Use provided deadline
+        slippageTolerance: this._createSlippagePercent(slippageTolerance), // Use standardized slippage
+        tokenId: position.id,
+      };
+
+      // Generate the calldata using the SDK
+      const { calldata, value } = NonfungiblePositionManager.addCallParameters(
+        positionToIncreaseBy,
+        addLiquidityOptions
+      );
+
+      // Return transaction data with calculated amounts
+      return {
+        to: positionManagerAddress,
+        data: calldata,
+        value: value,
+        quote: quote
+      };
+    } catch (error) {
+      console.error("Error generating add liquidity data:", error);
+      throw new Error(`Failed to generate add liquidity data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get liquidity quote for adding liquidity to a position
+   * @param {Object} params - Parameters for getting add liquidity quote
+   * @param {Object} params.position - Position object with tick range
+   * @param {number} params.position.tickLower - Lower tick of the position range
+   * @param {number} params.position.tickUpper - Upper tick of the position range
+   * @param {string} params.token0Amount - Amount of token0 to add (in wei string)
+   * @param {string} params.token1Amount - Amount of token1 to add (in wei string)
+   * @param {Object} params.provider - Ethers provider
+   * @param {Object} params.poolData - Pool data for the position
+   * @param {number} params.poolData.fee - Pool fee tier (100, 500, 3000, 10000)
+   * @param {string} params.poolData.sqrtPriceX96 - Current pool price in sqrt format
+   * @param {string} params.poolData.liquidity - Current pool liquidity
+   * @param {number} params.poolData.tick - Current pool tick
+   * @param {Object} params.token0Data - Token0 data
+   * @param {string} params.token0Data.address - Token0 contract address
+   * @param {number} params.token0Data.decimals - Token0 decimal places
+   * @param {Object} params.token1Data - Token1 data
+   * @param {string} params.token1Data.address - Token1 contract address
+   * @param {number} params.token1Data.decimals - Token1 decimal places
+   * @returns {Promise<Object>} Position object with calculated amounts
+   * @throws {Error} If parameters are invalid or quote cannot be calculated
+   */
+  async getAddLiquidityQuote(params) {
+    const {
+      position,
+      token0Amount,
+      token1Amount,
+      provider,
+      poolData,
+      token0Data,
+      token1Data
+    } = params;
+
+    // Input validation (same as generateAddLiquidityData except for slippage and deadline)
+    if (position === null || position === undefined) {
+      throw new Error("Position parameter is required");
+    }
+    if (typeof position !== 'object' || Array.isArray(position)) {
+      throw new Error("Position must be an object");
+    }
+    if (position.tickLower === null || position.tickLower === undefined) {
+      throw new Error("Position tickLower is required");
+    }
+    if (!Number.isFinite(position.tickLower)) {
+      throw new Error("Position tickLower must be a finite number");
+    }
+    if (position.tickUpper === null || position.tickUpper === undefined) {
+      throw new Error("Position tickUpper is required");
+    }
+    if (!Number.isFinite(position.tickUpper)) {
+      throw new Error("Position tickUpper must be a finite number");
+    }
+    if (position.tickLower >= position.tickUpper) {
+      throw new Error("Position tickLower must be less than tickUpper");
+    }
+
+    if (token0Amount === null || token0Amount === undefined) {
+      throw new Error("Token0 amount is required");
+    }
+    if (typeof token0Amount !== 'string') {
+      throw new Error("Token0 amount must be a string");
+    }
+    if (!/^\d+$/.test(token0Amount)) {
+      throw new Error("Token0 amount must be a positive numeric string");
+    }
+
+    if (token1Amount === null || token1Amount === undefined) {
+      throw new Error("Token1 amount is required");
+    }
+    if (typeof token1Amount !== 'string') {
+      throw new Error("Token1 amount must be a string");
+    }
+    if (!/^\d+$/.test(token1Amount)) {
+      throw new Error("Token1 amount must be a positive numeric string");
+    }
+
+    if (parseInt(token0Amount) === 0 && parseInt(token1Amount) === 0) {
+      throw new Error("At least one token amount must be greater than 0");
+    }
+
+    // Validate provider using existing method
+    await this._validateProviderChain(provider);
+
+    if (poolData === null || poolData === undefined) {
+      throw new Error("Pool data parameter is required");
+    }
+    if (typeof poolData !== 'object' || Array.isArray(poolData)) {
+      throw new Error("Pool data must be an object");
+    }
+    if (poolData.fee === null || poolData.fee === undefined) {
+      throw new Error("Pool data fee is required");
+    }
+    if (!Number.isFinite(poolData.fee) || poolData.fee < 0) {
+      throw new Error("Pool data fee must be a non-negative finite number");
+    }
+    if (!poolData.sqrtPriceX96) {
+      throw new Error("Pool data sqrtPriceX96 is required");
+    }
+    if (typeof poolData.sqrtPriceX96 !== 'string') {
+      throw new Error("Pool data sqrtPriceX96 must be a string");
+    }
+    if (!/^\d+$/.test(poolData.sqrtPriceX96)) {
+      throw new Error("Pool data sqrtPriceX96 must be a positive numeric string");
+    }
+    if (!poolData.liquidity) {
+      throw new Error("Pool data liquidity is required");
+    }
+    if (typeof poolData.liquidity !== 'string') {
+      throw new Error("Pool data liquidity must be a string");
+    }
+    if (!/^\d+$/.test(poolData.liquidity)) {
+      throw new Error("Pool data liquidity must be a positive numeric string");
+    }
+    if (poolData.tick === null || poolData.tick === undefined) {
+      throw new Error("Pool data tick is required");
+    }
+    if (!Number.isFinite(poolData.tick)) {
+      throw new Error("Pool data tick must be a finite number");
+    }
+
+    if (token0Data === null || token0Data === undefined) {
+      throw new Error("Token0 data parameter is required");
+    }
+    if (typeof token0Data !== 'object' || Array.isArray(token0Data)) {
+      throw new Error("Token0 data must be an object");
+    }
+    if (token0Data.address === null || token0Data.address === undefined || token0Data.address === '') {
+      throw new Error("Token0 address is required");
+    }
+    if (typeof token0Data.address !== 'string') {
+      throw new Error("Token0 address must be a string");
+    }
+    try {
+      ethers.utils.getAddress(token0Data.address);
+    } catch (error) {
+      throw new Error(`Invalid token0 address: ${token0Data.address}`);
+    }
+    if (token0Data.decimals === null || token0Data.decimals === undefined) {
+      throw new Error("Token0 decimals is required");
+    }
+    if (!Number.isFinite(token0Data.decimals) || token0Data.decimals < 0 || token0Data.decimals > 255) {
+      throw new Error("Token0 decimals must be a finite number between 0 and 255");
+    }
+
+    if (token1Data === null || token1Data === undefined) {
+      throw new Error("Token1 data parameter is required");
+    }
+    if (typeof token1Data !== 'object' || Array.isArray(token1Data)) {
+      throw new Error("Token1 data must be an object");
+    }
+    if (token1Data.address === null || token1Data.address === undefined || token1Data.address === '') {
+      throw new Error("Token1 address is required");
+    }
+    if (typeof token1Data.address !== 'string') {
+      throw new Error("Token1 address must be a string");
+    }
+    try {
+      ethers.utils.getAddress(token1Data.address);
+    } catch (error) {
+      throw new Error(`Invalid token1 address: ${token1Data.address}`);
+    }
+    if (token1Data.decimals === null || token1Data.decimals === undefined) {
+      throw new Error("Token1 decimals is required");
+    }
+    if (!Number.isFinite(token1Data.decimals) || token1Data.decimals < 0 || token1Data.decimals > 255) {
+      throw new Error("Token1 decimals must be a finite number between 0 and 255");
+    }
+
+    try {
+      // Use sortTokens to get correct Uniswap token ordering
+      const { sortedToken0, sortedToken1, tokensSwapped } = this.sortTokens(token0Data, token1Data);
+
+      // Create Token instances for the SDK with correct order
+      const token0 = new Token(
+        this.chainId,
+        sortedToken0.address,
+        sortedToken0.decimals
+      );
+
+      const token1 = new Token(
+        this.chainId,
+        sortedToken1.address,
+        sortedToken1.decimals
+      );
+
+      // Create Pool instance
+      const pool = this._createPool(token0, token1, poolData);
+
+      // Convert token amounts to JSBI for the SDK, accounting for token sorting
+      // For missing amounts, use 0 (Uniswap SDK will calculate optimal amounts)
+      let amount0, amount1;
+
+      if (tokensSwapped) {
+        amount0 = JSBI.BigInt(token1Amount);
+        amount1 = JSBI.BigInt(token0Amount);
+      } else {
+        amount0 = JSBI.BigInt(token0Amount);
+        amount1 = JSBI.BigInt(token1Amount);
+      }
+
+      // Create a Position instance to represent the amount we want to add
+      let quotePosition;
+
+      if (JSBI.equal(amount1, JSBI.BigInt(0))) {
+        // Only token0 - use fromAmount0
+        quotePosition = Position.fromAmount0({
+          pool,
+          tickLower: position.tickLower,
+          tickUpper: position.tickUpper,
+          amount0,
+          useFullPrecision: true,
+        });
+      } else if (JSBI.equal(amount0, JSBI.BigInt(0))) {
+        // Only token1 - use fromAmount1
+        quotePosition = Position.fromAmount1({
+          pool,
+          tickLower: position.tickLower,
+          tickUpper: position.tickUpper,
+          amount1,
+          useFullPrecision: true,
+        });
+      } else {
+        // Both tokens - use fromAmounts
+        quotePosition = Position.fromAmounts({
+          pool,
+          tickLower: position.tickLower,
+          tickUpper: position.tickUpper,
+          amount0,
+          amount1,
+          useFullPrecision: true,
+        });
+      }
+
+      // Return the Position object with additional metadata
+      return {
+        position: quotePosition,
+        tokensSwapped,
+        sortedToken0,
+        sortedToken1,
+        pool
+      };
+    } catch (error) {
+      console.error("Error calculating add liquidity quote:", error);
+      throw new Error(`Failed to calculate add liquidity quote: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get expected output amount for a swap using Quoter contract
+   *
+   * With `amountOut` instead of `amountIn` the output is fixed, and the quote is the input needed. With `path`,
+   * the swap routes through one pool per hop instead of a single pool: tokens and fees come from the path.
+   *
+   * @param {Object} params - Parameters for getting swap quote
+   * @param {string} params.tokenInAddress - Address of input token
+   * @param {string} params.tokenOutAddress - Address of output token
+   * @param {number} params.fee - Fee tier (e.g., 500, 3000, 10000)
+   * @param {string} [params.amountIn] - Amount of input tokens (in wei string)
+   * @param {string} [params.amountOut] - Amount of output tokens (in wei string), instead of amountIn
+   * @param {Object} [params.path] - Multi-hop path, instead of tokenInAddress, tokenOutAddress and fee
+   * @param {Array<string>} params.path.tokens - Token addresses from input to output
+   * @param {Array<number>} params.path.fees - Fee tier of each hop
+   * @param {Object} params.provider - Ethers provider instance
+   * @returns {Promise<string>} Expected output amount (input amount for exact output) in wei string
+   * @throws {Error} If quote cannot be calculated
+   */
+  async getSwapQuote(params) {
+    if (params?.path !== undefined) {
+      return this._getPathSwapQuote(params);
+    }
+
+    const { tokenInAddress, tokenOutAddress, fee, amountIn, amountOut, provider } = params;
+
+    // Validate tokenIn address
+    if (!tokenInAddress) {
+      throw new Error("TokenIn address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(tokenInAddress);
+    } catch (error) {
+      throw new Error(`Invalid tokenIn address: ${tokenInAddress}`);
+    }
+
+    // Validate tokenOut address
+    if (!tokenOutAddress) {
+      throw new Error("TokenOut address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(tokenOutAddress);
+    } catch (error) {
+      throw new Error(`Invalid tokenOut address: ${tokenOutAddress}`);
+    }
+
+    // Validate fee
+    if (fee === null || fee === undefined) {
+      throw new Error("Fee parameter is required");
+    }
+    if (typeof fee !== 'number' || !Number.isFinite(fee)) {
+      throw new Error("Fee must be a valid number");
+    }
+    if (!this.feeTiers.includes(fee)) {
+      throw new Error(`Invalid fee tier: ${fee}. Must be one of: ${this.feeTiers.join(', ')}`);
+    }
+
+    // Validate amounts - amountIn for exact input, or amountOut for exact output
+    const { exactOutput, amount } = this._validateSwapAmounts(amountIn, amountOut);
+
+    // Validate provider
+    await this._validateProviderChain(provider);
+
+    // Use quoter address from config
+    if (!this.addresses?.quoterAddress) {
+      throw new Error(`No ${this.platformName} quoter address found for chainId: ${this.chainId}`);
+    }
+
+    try {
+      const quoterContract = new ethers.Contract(this.addresses.quoterAddress, this.quoterABI, provider);
+
+      // QuoterV2 takes a struct parameter
+      const params = {
+        tokenIn: tokenInAddress,
+        tokenOut: tokenOutAddress,
+        fee: fee,
+        [exactOutput ? 'amount' : 'amountIn']: amount,
+        sqrtPriceLimitX96: 0 // No price limit
+      };
+
+      const result = exactOutput
+        ? await quoterContract.callStatic.quoteExactOutputSingle(params)
+        : await quoterContract.callStatic.quoteExactInputSingle(params);
+
+      // QuoterV2 returns [amountOut (amountIn for exact output), sqrtPriceX96After, ...]
+      return result[0].toString();
+    } catch (error) {
+      throw new Error(`Failed to get swap quote: ${error.message}`);
+    }
+  }
+
+  /**
+   * Quote a swap along a multi-hop path with the quoter's quoteExactInput or quoteExactOutput
+   * @param {Object} params - getSwapQuote parameters with `path`
+   * @returns {Promise<string>} Expected output amount (input amount for exact output) in wei string
+   * @throws {Error} If parameters are invalid or the quote cannot be calculated
+   * @private
+   */
+  async _getPathSwapQuote(params) {
+    const { path, provider } = params;
+    const { exactOutput, amount } = this._validatePathSwap(params, ['tokenInAddress', 'tokenOutAddress', 'fee']);
+
+    // Validate provider
+    await this._validateProviderChain(provider);
+
+    if (!this.addresses?.quoterAddress) {
+      throw new Error(`No ${this.platformName} quoter address found for chainId: ${this.chainId}`);
+    }
+
+    try {
+      const quoterContract = new ethers.Contract(this.addresses.quoterAddress, this.quoterABI, provider);
+      const encodedPath = this._encodeSwapPath(path, exactOutput);
+
+      const result = exactOutput
+        ? await quoterContract.callStatic.quoteExactOutput(encodedPath, amount)
+        : await quoterContract.callStatic.quoteExactInput(encodedPath, amount);
+
+      // The quoted amount comes first, followed by per-pool details
+      return result[0].toString();
+    } catch (error) {
+      throw new Error(`Failed to get swap quote: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the fee a swap through the pool pays
+   * @param {Object} poolData - Pool state
+   * @param {boolean} zeroForOne - Swap direction (token0 -> token1)
+   * @returns {number} Fee in hundredths of a bip
+   * @protected
+   */
+  _getSwapFee(poolData, zeroForOne) {
+    return poolData.fee;
+  }
+
+  /**
+   * Simulate an exact-input swap through one pool without any RPC call
+   *
+   * Runs the pool's swap loop in-process: the price moves from one initialized tick (or tick bitmap word boundary) to
+   * the next, liquidity changes by each crossed tick's liquidityNet, and the fee is taken from the input of every
+   * step. The result matches QuoterV2 `quoteExactInputSingle` as long as `ticks` holds every initialized tick the
+   * swap reaches.
+   *
+   * @param {Object} params - Simulation parameters
+   * @param {Object} params.poolData - Pool state: `sqrtPriceX96`, `tick`, `liquidity`, `fee` and optionally
+   *   `tickSpacing` (defaults to the platform's spacing for the fee)
+   * @param {Array<Object>} params.ticks - Initialized ticks (`{ index, liquidityNet }`), e.g. from fetchSwapTickData
+   * @param {boolean} params.zeroForOne - `true` to swap token0 for token1, `false` for the reverse
+   * @param {string} params.amountIn - Amount of input tokens (in wei string)
+   * @param {string} [params.sqrtPriceLimitX96] - Price the swap may not move past (defaults to the tick bounds)
+   * @param {Object} [params.tickRange] - `{ lower, upper }` ticks `ticks` is complete for; the simulation throws
+   *   instead of guessing when the swap moves past them
+   * @returns {{amountIn: string, amountOut: string, feeAmount: string, sqrtPriceX96After: string, tickAfter: number,
+   *   liquidityAfter: string, ticksCrossed: Array<number>}} Amount of input used (less than requested only when the
+   *   price limit is reached), output, fees paid in the input token, pool state after the swap and the ticks crossed
+   * @throws {Error} If parameters are invalid or the swap moves past tickRange
+   */
+  simulateSwap(params) {
+    const { poolData, ticks, zeroForOne, amountIn, sqrtPriceLimitX96, tickRange } = params;
+
+    // Validate poolData
+    if (!poolData || typeof poolData !== 'object') {
+      throw new Error("poolData parameter is required");
+    }
+    if (typeof poolData.sqrtPriceX96 !== 'string' || !/^\d+$/.test(poolData.sqrtPriceX96)) {
+      throw new Error("poolData.sqrtPriceX96 must be a numeric string");
+    }
+    if (typeof poolData.liquidity !== 'string' || !/^\d+$/.test(poolData.liquidity)) {
+      throw new Error("poolData.liquidity must be a numeric string");
+    }
+    if (!Number.isInteger(poolData.tick)) {
+      throw new Error("poolData.tick must be an integer");
+    }
+    const fee = this._getSwapFee(poolData, zeroForOne);
+    if (!Number.isInteger(fee) || fee < 0 || fee >= 1000000) {
+      throw new Error("poolData.fee must be a valid fee in hundredths of a bip");
+    }
+    const tickSpacing = poolData.tickSpacing ?? getPlatformTickSpacing(this.platformId, poolData.fee);
+    if (!Number.isInteger(tickSpacing) || tickSpacing <= 0) {
+      throw new Error("poolData.tickSpacing must be a positive integer");
+    }
+
+    // Validate ticks
+    if (!Array.isArray(ticks)) {
+      throw new Error("Ticks must be an array");
+    }
+    ticks.forEach((tick, index) => {
+      if (!tick || !Number.isInteger(tick.index) ||
+          typeof tick.liquidityNet !== 'string' || !/^-?\d+$/.test(tick.liquidityNet)) {
+        throw new Error(`Tick ${index} must have an integer index and a numeric string liquidityNet`);
+      }
+    });
+
+    // Validate direction
+    if (typeof zeroForOne !== 'boolean') {
+      throw new Error("zeroForOne must be a boolean");
+    }
+
+    // Validate amountIn
+    if (!amountIn) {
+      throw new Error("AmountIn parameter is required");
+    }
+    if (typeof amountIn !== 'string') {
+      throw new Error("AmountIn must be a string");
+    }
+    if (!/^\d+$/.test(amountIn)) {
+      throw new Error("AmountIn must be a positive numeric string");
+    }
+    if (amountIn === '0') {
+      throw new Error("AmountIn cannot be zero");
+    }
+
+    // Validate tickRange
+    if (tickRange !== undefined &&
+        (!tickRange || !Number.isInteger(tickRange.lower) || !Number.isInteger(tickRange.upper) ||
+         tickRange.lower > poolData.tick || tickRange.upper < poolData.tick)) {
+      throw new Error("tickRange must have integer lower and upper bounds around the current tick");
+    }
+
+    // Validate the price limit
+    const sqrtPriceStartX96 = JSBI.BigInt(poolData.sqrtPriceX96);
+    let limit;
+    if (sqrtPriceLimitX96 === undefined) {
+      limit = zeroForOne
+        ? JSBI.add(TickMath.MIN_SQRT_RATIO, JSBI.BigInt(1))
+        : JSBI.subtract(TickMath.MAX_SQRT_RATIO, JSBI.BigInt(1));
+    } else {
+      if (typeof sqrtPriceLimitX96 !== 'string' || !/^\d+$/.test(sqrtPriceLimitX96)) {
+        throw new Error("sqrtPriceLimitX96 must be a numeric string");
+      }
+      limit = JSBI.BigInt(sqrtPriceLimitX96);
+      const valid = zeroForOne
+        ? JSBI.lessThan(limit, sqrtPriceStartX96) && JSBI.greaterThan(limit, TickMath.MIN_SQRT_RATIO)
+        : JSBI.greaterThan(limit, sqrtPriceStartX96) && JSBI.lessThan(limit, TickMath.MAX_SQRT_RATIO);
+      if (!valid) {
+        throw new Error(`sqrtPriceLimitX96 must be ${zeroForOne ? 'below' : 'above'} the current price`);
+      }
+    }
+
+    const initializedTicks = [...ticks].sort((a, b) => a.index - b.index);
+    const lowerBound = tickRange ? Math.max(tickRange.lower, TickMath.MIN_TICK) : TickMath.MIN_TICK;
+    const upperBound = tickRange ? Math.min(tickRange.upper, TickMath.MAX_TICK) : TickMath.MAX_TICK;
+
+    let sqrtPriceX96 = sqrtPriceStartX96;
+    let tick = poolData.tick;
+    let liquidity = JSBI.BigInt(poolData.liquidity);
+    let amountRemaining = JSBI.BigInt(amountIn);
+    let amountOut = JSBI.BigInt(0);
+    let feeAmount = JSBI.BigInt(0);
+    const ticksCrossed = [];
+
+    while (JSBI.greaterThan(amountRemaining, JSBI.BigInt(0)) && JSBI.notEqual(sqrtPriceX96, limit)) {
+      if (tickRange && (zeroForOne ? tick < lowerBound : tick >= upperBound)) {
+        throw new Error(`Swap moves past the loaded tick range [${tickRange.lower}, ${tickRange.upper}]; load more tick data`);
+      }
+
+      // Next initialized tick in the swap direction, stopping at the end of the current tick bitmap word
+      // (256 spacings) as the pool does, or at the edge of the known range
+      const compressed = Math.floor(tick / tickSpacing);
+      let next;
+      let tickNext;
+      if (zeroForOne) {
+        const wordStart = Math.floor(compressed / 256) * 256 * tickSpacing;
+        next = initializedTicks.findLast(({ index }) => index <= tick && index >= wordStart);
+        tickNext = Math.max(next?.index ?? wordStart, lowerBound);
+      } else {
+        const wordEnd = (Math.floor((compressed + 1) / 256) * 256 + 255) * tickSpacing;
+        next = initializedTicks.find(({ index }) => index > tick && index <= wordEnd);
+        tickNext = Math.min(next?.index ?? wordEnd, upperBound);
+      }
+
+      const sqrtPriceNextX96 = TickMath.getSqrtRatioAtTick(tickNext);
+      const sqrtPriceTargetX96 = (zeroForOne ? JSBI.lessThan(sqrtPriceNextX96, limit) : JSBI.greaterThan(sqrtPriceNextX96, limit))
+        ? limit
+        : sqrtPriceNextX96;
+
+      const stepStartX96 = sqrtPriceX96;
+      const [sqrtPriceAfterX96, stepIn, stepOut, stepFee] = SwapMath.computeSwapStep(
+        sqrtPriceX96,
+        sqrtPriceTargetX96,
+        liquidity,
+        amountRemaining,
+        fee
+      );
+      sqrtPriceX96 = sqrtPriceAfterX96;
+      amountRemaining = JSBI.subtract(amountRemaining, JSBI.add(stepIn, stepFee));
+      amountOut = JSBI.add(amountOut, stepOut);
+      feeAmount = JSBI.add(feeAmount, stepFee);
+
+      if (JSBI.equal(sqrtPriceX96, sqrtPriceNextX96)) {
+        // Cross the tick: liquidity changes by liquidityNet, negated when moving down
+        if (next && next.index === tickNext) {
+          const liquidityNet = JSBI.BigInt(next.liquidityNet);
+          liquidity = LiquidityMath.addDelta(liquidity, zeroForOne ? JSBI.unaryMinus(liquidityNet) : liquidityNet);
+          ticksCrossed.push(tickNext);
+        }
+        tick = zeroForOne ? tickNext - 1 : tickNext;
+      } else if (JSBI.notEqual(sqrtPriceX96, stepStartX96)) {
+        tick = TickMath.getTickAtSqrtRatio(sqrtPriceX96);
+      }
+    }
+
+    return {
+      amountIn: JSBI.subtract(JSBI.BigInt(amountIn), amountRemaining).toString(),
+      amountOut: amountOut.toString(),
+      feeAmount: feeAmount.toString(),
+      sqrtPriceX96After: sqrtPriceX96.toString(),
+      tickAfter: tick,
+      liquidityAfter: liquidity.toString(),
+      ticksCrossed
+    };
+  }
+
+  /**
+   * Load the initialized ticks simulateSwap needs, from the pool's tick bitmap
+   *
+   * Reads `words` bitmap words (256 tick spacings each) on both sides of the current tick, then the liquidityNet of
+   * every initialized tick in them, all at one block.
+   *
+   * @param {string} poolAddress - Pool contract address
+   * @param {Object} provider - Ethers provider instance
+   * @param {Object} [options] - Read options
+   * @param {number} [options.words=2] - Bitmap words to load on each side of the current tick
+   * @param {number|string} [options.blockTag] - Block to read at (defaults to the latest block)
+   * @returns {Promise<{ticks: Array<{index: number, liquidityNet: string, liquidityGross: string}>,
+   *   tickRange: {lower: number, upper: number}, tick: number, blockNumber: number}>} Initialized ticks in ascending
+   *   order, the tick range they are complete for, the current tick and the block read at
+   * @throws {Error} If parameters are invalid or the pool cannot be read
+   */
+  async fetchSwapTickData(poolAddress, provider, options = {}) {
+    // Validate pool address
+    if (!poolAddress) {
+      throw new Error("Pool address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(poolAddress);
+    } catch (error) {
+      throw new Error(`Invalid pool address: ${poolAddress}`);
+    }
+
+    // Validate provider
+    await this._validateProviderChain(provider);
+
+    // Validate options
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error("Options parameter must be an object");
+    }
+    const { words = 2 } = options;
+    if (!Number.isInteger(words) || words < 1) {
+      throw new Error("words must be a positive integer");
+    }
+    if (options.blockTag !== undefined) {
+      validateBlockTag(options.blockTag);
+    }
+
+    try {
+      const readOptions = { blockTag: await resolvePoolStateBlock(this.chainId, provider, options.blockTag) };
+
+      const [read] = await this._batchPoolReads([{ poolAddress, ticks: [] }], ['slot0', 'tickSpacing'], provider, readOptions);
+      if (read.error) {
+        throw read.error;
+      }
+      const tick = Number(read.state.slot0.tick);
+      const tickSpacing = Number(read.state.tickSpacing[0]);
+
+      // Bitmap words around the current tick, within the valid tick range
+      const wordOf = (tickIndex) => Math.floor(tickIndex / tickSpacing) >> 8;
+      const firstWord = Math.max(wordOf(tick) - words, wordOf(TickMath.MIN_TICK));
+      const lastWord = Math.min(wordOf(tick) + words, wordOf(TickMath.MAX_TICK));
+      const wordPositions = Array.from({ length: lastWord - firstWord + 1 }, (_, i) => firstWord + i);
+
+      const bitmap = await readPoolState(
+        this.chainId,
+        wordPositions.map(wordPosition => ({
+          target: poolAddress,
+          iface: this.poolInterface,
+          method: 'tickBitmap',
+          args: [wordPosition]
+        })),
+        provider,
+        readOptions
+      );
+
+      const initialized = [];
+      bitmap.forEach(({ success, result, error }, offset) => {
+        if (!success) {
+          throw error;
+        }
+        const word = BigInt(result[0]);
+        for (let bit = 0; bit < 256; bit++) {
+          if ((word >> BigInt(bit)) & 1n) {
+            initialized.push(((wordPositions[offset] << 8) + bit) * tickSpacing);
+          }
+        }
+      });
+
+      const [tickRead] = await this._batchPoolReads([{ poolAddress, ticks: initialized }], [], provider, readOptions);
+      if (tickRead.error) {
+        throw tickRead.error;
+      }
+
+      return {
+        ticks: initialized.map(index => ({
+          index,
+          liquidityNet: tickRead.ticks[index].liquidityNet,
+          liquidityGross: tickRead.ticks[index].liquidityGross
+        })),
+        tickRange: {
+          lower: Math.max(firstWord * 256 * tickSpacing, TickMath.MIN_TICK),
+          upper: Math.min((lastWord * 256 + 255) * tickSpacing, TickMath.MAX_TICK)
+        },
+        tick,
+        blockNumber: readOptions.blockTag
+      };
+    } catch (error) {
+      throw new Error(`Failed to fetch swap tick data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate swap transaction data through the platform's V3 SwapRouter
+   *
+   * A fixed `amountIn` is encoded as `exactInputSingle` with a minimum output; a fixed `amountOut` as
+   * `exactOutputSingle` with a maximum input. The bound is the quote moved by the slippage tolerance. With
+   * `path`, the swap goes through one pool per hop as `exactInput` or `exactOutput`.
+   *
+   * @param {Object} params - Parameters for swap
+   * @param {string} params.tokenIn - Address of input token
+   * @param {string} params.tokenOut - Address of output token
+   * @param {number} params.fee - Fee tier (500, 3000, 10000)
+   * @param {string} params.recipient - Address to receive output tokens
+   * @param {string} [params.amountIn] - Amount of input tokens (in wei)
+   * @param {string} [params.amountOut] - Amount of output tokens (in wei), instead of amountIn
+   * @param {Object} [params.path] - Multi-hop path, instead of tokenIn, tokenOut and fee
+   * @param {Array<string>} params.path.tokens - Token addresses from input to output
+   * @param {Array<number>} params.path.fees - Fee tier of each hop
+   * @param {number} params.slippageTolerance - Slippage tolerance percentage (0-100)
+   * @param {string} params.sqrtPriceLimitX96 - Price limit (0 for no limit) - optional for path swaps, which take no limit
+   * @param {number} params.deadlineMinutes - Transaction deadline in minutes
+   * @param {Object} params.provider - Ethers provider
+   * @returns {Promise<Object>} Transaction data with to, data, and value
+   * @throws {Error} If parameters are invalid or transaction data cannot be generated
+   */
+  async generateSwapData(params) {
+    if (params?.path !== undefined) {
+      return this._generatePathSwapData(params);
+    }
+
+    const {
+      tokenIn,
+      tokenOut,
+      fee,
+      recipient,
+      amountIn,
+      amountOut,
+      slippageTolerance,
+      sqrtPriceLimitX96,
+      deadlineMinutes,
+      provider
+    } = params;
+
+    // Validate tokenIn address
+    if (!tokenIn) {
+      throw new Error("TokenIn address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(tokenIn);
+    } catch (error) {
+      throw new Error(`Invalid tokenIn address: ${tokenIn}`);
+    }
+
+    // Validate tokenOut address
+    if (!tokenOut) {
+      throw new Error("TokenOut address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(tokenOut);
+    } catch (error) {
+      throw new Error(`Invalid tokenOut address: ${tokenOut}`);
+    }
+
+    // Validate fee
+    if (fee === null || fee === undefined) {
+      throw new Error("Fee parameter is required");
+    }
+    if (typeof fee !== 'number' || !Number.isFinite(fee)) {
+      throw new Error("Fee must be a valid number");
+    }
+    if (!this.feeTiers.includes(fee)) {
+      throw new Error(`Invalid fee tier: ${fee}. Must be one of: ${this.feeTiers.join(', ')}`);
+    }
+
+    // Validate recipient address
+    if (!recipient) {
+      throw new Error("Recipient address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(recipient);
+    } catch (error) {
+      throw new Error(`Invalid recipient address: ${recipient}`);
+    }
+
+    // Validate amounts - amountIn for exact input, or amountOut for exact output
+    const { exactOutput, amount } = this._validateSwapAmounts(amountIn, amountOut);
+
+    // Validate slippage tolerance
+    if (slippageTolerance === null || slippageTolerance === undefined) {
+      throw new Error("Slippage tolerance is required");
+    }
+    if (!Number.isFinite(slippageTolerance)) {
+      throw new Error("Slippage tolerance must be a finite number");
+    }
+    if (slippageTolerance < 0 || slippageTolerance > 100) {
+      throw new Error("Slippage tolerance must be between 0 and 100");
+    }
+
+    // Validate sqrtPriceLimitX96
+    if (sqrtPriceLimitX96 === null || sqrtPriceLimitX96 === undefined) {
+      throw new Error("sqrtPriceLimitX96 parameter is required");
+    }
+    if (typeof sqrtPriceLimitX96 !== 'string') {
+      throw new Error("sqrtPriceLimitX96 must be a string");
+    }
+    if (!/^\d+$/.test(sqrtPriceLimitX96)) {
+      throw new Error("sqrtPriceLimitX96 must be a positive numeric string");
+    }
+
+    // Validate deadlineMinutes
+    if (deadlineMinutes === null || deadlineMinutes === undefined) {
+      throw new Error("Deadline minutes is required");
+    }
+    if (!Number.isFinite(deadlineMinutes) || deadlineMinutes < 0) {
+      throw new Error("Deadline minutes must be a non-negative number");
+    }
+
+    // Validate provider
+    await this._validateProviderChain(provider);
+
+    // Use cached router address
+    if (!this.addresses?.routerAddress) {
+      throw new Error(`No ${this.platformName} router address found for chainId: ${this.chainId}`);
+    }
+
+    const routerAddress = this.addresses.routerAddress;
+
+    try {
+      // Get quote for the swap
+      const quote = await this.getSwapQuote({
+        tokenInAddress: tokenIn,
+        tokenOutAddress: tokenOut,
+        fee,
+        [exactOutput ? 'amountOut' : 'amountIn']: amount,
+        provider
+      });
+
+      // Minimum amount out, or maximum amount in for exact output, with slippage
+      const bound = this._applySwapSlippage(quote, slippageTolerance, exactOutput);
+
+      // Create swap parameters for exactInputSingle or exactOutputSingle
+      const swapParams = {
+        tokenIn,
+        tokenOut,
+        fee,
+        recipient,
+        deadline: this._createDeadline(deadlineMinutes),
+        ...(exactOutput
+          ? { amountOut: amount, amountInMaximum: bound }
+          : { amountIn: amount, amountOutMinimum: bound }),
+        sqrtPriceLimitX96
+      };
+
+      // Encode the function call (forks with a different swap struct override the encoder)
+      const data = this._buildSwapCallParameters(swapParams);
+
+      return {
+        to: routerAddress,
+        data,
+        value: "0x00"
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to generate swap data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate exactInput or exactOutput transaction data for a swap along a multi-hop path
+   * @param {Object} params - generateSwapData parameters with `path`
+   * @returns {Promise<Object>} Transaction data with to, data, and value
+   * @throws {Error} If parameters are invalid or transaction data cannot be generated
+   * @private
+   */
+  async _generatePathSwapData(params) {
+    const { path, recipient, slippageTolerance, sqrtPriceLimitX96, deadlineMinutes, provider } = params;
+    const { exactOutput, amount } = this._validatePathSwap(params, ['tokenIn', 'tokenOut', 'fee']);
+
+    // Validate recipient address
+    if (!recipient) {
+      throw new Error("Recipient address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(recipient);
+    } catch (error) {
+      throw new Error(`Invalid recipient address: ${recipient}`);
+    }
+
+    // Validate slippage tolerance
+    if (slippageTolerance === null || slippageTolerance === undefined) {
+      throw new Error("Slippage tolerance is required");
+    }
+    if (!Number.isFinite(slippageTolerance)) {
+      throw new Error("Slippage tolerance must be a finite number");
+    }
+    if (slippageTolerance < 0 || slippageTolerance > 100) {
+      throw new Error("Slippage tolerance must be between 0 and 100");
+    }
+
+    // Path swaps cross several pools, so a single price limit does not apply
+    if (sqrtPriceLimitX96 !== undefined && sqrtPriceLimitX96 !== null && sqrtPriceLimitX96 !== '0') {
+      throw new Error("sqrtPriceLimitX96 is not supported for path swaps");
+    }
+
+    // Validate deadlineMinutes
+    if (deadlineMinutes === null || deadlineMinutes === undefined) {
+      throw new Error("Deadline minutes is required");
+    }
+    if (!Number.isFinite(deadlineMinutes) || deadlineMinutes < 0) {
+      throw new Error("Deadline minutes must be a non-negative number");
+    }
+
+    // Validate provider
+    await this._validateProviderChain(provider);
+
+    if (!this.addresses?.routerAddress) {
+      throw new Error(`No ${this.platformName} router address found for chainId: ${this.chainId}`);
+    }
+
+    const routerAddress = this.addresses.routerAddress;
+
+    try {
+      const quote = await this._getPathSwapQuote({
+        path,
+        [exactOutput ? 'amountOut' : 'amountIn']: amount,
+        provider
+      });
+      const bound = this._applySwapSlippage(quote, slippageTolerance, exactOutput);
+      const encodedPath = this._encodeSwapPath(path, exactOutput);
+      const deadline = this._createDeadline(deadlineMinutes);
+
+      const data = exactOutput
+        ? this.swapRouterInterface.encodeFunctionData("exactOutput", [{
+          path: encodedPath,
+          recipient,
+          deadline,
+          amountOut: amount,
+          amountInMaximum: bound
+        }])
+        : this.swapRouterInterface.encodeFunctionData("exactInput", [{
+          path: encodedPath,
+          recipient,
+          deadline,
+          amountIn: amount,
+          amountOutMinimum: bound
+        }]);
+
+      return {
+        to: routerAddress,
+        data,
+        value: "0x00"
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to generate swap data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate transaction data for creating a new position
+   * @param {Object} params - Parameters for generating create position data
+   * @param {Object} params.position - Position object with tick range
+   * @param {number} params.position.tickLower - Lower tick of the position range
+   * @param {number} params.position.tickUpper - Upper tick of the position range
+   * @param {string} params.token0Amount - Amount of token0 to add (in human readable format)
+   * @param {string} params.token1Amount - Amount of token1 to add (in human readable format)
+   * @param {Object} params.provider - Ethers provider
+   * @param {string} params.walletAddress - User's wallet address
+   * @param {Object} params.poolData - Pool data for the position
+   * @param {number} params.poolData.fee - Pool fee tier (100, 500, 3000, 10000)
+   * @param {string} params.poolData.sqrtPriceX96 - Current pool price in sqrt format
+   * @param {string} params.poolData.liquidity - Current pool liquidity
+   * @param {number} params.poolData.tick - Current pool tick
+   * @param {Object} params.token0Data - Token0 data
+   * @param {string} params.token0Data.address - Token0 contract address
+   * @param {number} params.token0Data.decimals - Token0 decimal places
+   * @param {Object} params.token1Data - Token1 data
+   * @param {string} params.token1Data.address - Token1 contract address
+   * @param {number} params.token1Data.decimals - Token1 decimal places
+   * @param {number} params.slippageTolerance - Slippage tolerance percentage (0-100)
+   * @param {number} [params.deadlineMinutes=20] - Transaction deadline in minutes
+   * @returns {Object} Transaction data object with `to`, `data`, `value` properties and `quote` with full getAddLiquidityQuote result
+   * @throws {Error} If parameters are invalid or transaction data cannot be generated
+   */
+  async generateCreatePositionData(params) {
+    const {
+      position,
+      token0Amount,
+      token1Amount,
+      provider,
+      walletAddress,
+      poolData,
+      token0Data,
+      token1Data,
+      slippageTolerance,
+      deadlineMinutes
+    } = params;
+
+    // Input validation
+    if (position === null || position === undefined) {
+      throw new Error("Position parameter is required");
+    }
+    if (typeof position !== 'object' || Array.isArray(position)) {
+      throw new Error("Position must be an object");
+    }
+    if (position.tickLower === null || position.tickLower === undefined) {
+      throw new Error("Position tickLower is required");
+    }
+    if (!Number.isFinite(position.tickLower)) {
+      throw new Error("Position tickLower must be a finite number");
+    }
+    if (position.tickUpper === null || position.tickUpper === undefined) {
+      throw new Error("Position tickUpper is required");
+    }
+    if (!Number.isFinite(position.tickUpper)) {
+      throw new Error("Position tickUpper must be a finite number");
+    }
+    if (position.tickLower >= position.tickUpper) {
+      throw new Error("Position tickLower must be less than tickUpper");
+    }
+
+    if (token0Amount === null || token0Amount === undefined) {
+      throw new Error("Token0 amount is required");
+    }
+    if (typeof token0Amount !== 'string') {
+      throw new Error("Token0 amount must be a string");
+    }
+    if (!/^\d+$/.test(token0Amount)) {
+      throw new Error("Token0 amount must be a positive numeric string");
+    }
+
+    if (token1Amount === null || token1Amount === undefined) {
+      throw new Error("Token1 amount is required");
+    }
+    if (typeof token1Amount !== 'string') {
+      throw new Error("Token1 amount must be a string");
+    }
+    if (!/^\d+$/.test(token1Amount)) {
+      throw new Error("Token1 amount must be a positive numeric string");
+    }
+
+    if (parseInt(token0Amount) === 0 && parseInt(token1Amount) === 0) {
+      throw new Error("At least one token amount must be greater than 0");
+    }
+
+    // Validate provider using existing method
+    await this._validateProviderChain(provider);
+
+    if (walletAddress === null || walletAddress === undefined || walletAddress === '') {
+      throw new Error("Wallet address is required");
+    }
+    if (typeof walletAddress !== 'string') {
+      throw new Error("Wallet address must be a string");
+    }
+    try {
+      ethers.utils.getAddress(walletAddress);
+    } catch (error) {
+      throw new Error(`Invalid wallet address: ${walletAddress}`);
+    }
+
+    if (poolData === null || poolData === undefined) {
+      throw new Error("Pool data parameter is required");
+    }
+    if (typeof poolData !== 'object' || Array.isArray(poolData)) {
+      throw new Error("Pool data must be an object");
+    }
+    if (poolData.fee === null || poolData.fee === undefined) {
+      throw new Error("Pool data fee is required");
+    }
+    if (!Number.isFinite(poolData.fee) || poolData.fee < 0) {
+      throw new Error("Pool data fee must be a non-negative finite number");
+    }
+    if (!poolData.sqrtPriceX96) {
+      throw new Error("Pool data sqrtPriceX96 is required");
+    }
+    if (typeof poolData.sqrtPriceX96 !== 'string') {
+      throw new Error("Pool data sqrtPriceX96 must be a string");
+    }
+    if (!/^\d+$/.test(poolData.sqrtPriceX96)) {
+      throw new Error("Pool data sqrtPriceX96 must be a positive numeric string");
+    }
+    if (!poolData.liquidity) {
+      throw new Error("Pool data liquidity is required");
+    }
+    if (typeof poolData.liquidity !== 'string') {
+      throw new Error("Pool data liquidity must be a string");
+    }
+    if (!/^\d+$/.test(poolData.liquidity)) {
+      throw new Error("Pool data liquidity must be a positive numeric string");
+    }
+    if (poolData.tick === null || poolData.tick === undefined) {
+      throw new Error("Pool data tick is required");
+    }
+    if (!Number.isFinite(poolData.tick)) {
+      throw new Error("Pool data tick must be a finite number");
+    }
+
+    if (token0Data === null || token0Data === undefined) {
+      throw new Error("Token0 data parameter is required");
+    }
+    if (typeof token0Data !== 'object' || Array.isArray(token0Data)) {
+      throw new Error("Token0 data must be an object");
+    }
+    if (token0Data.address === null || token0Data.address === undefined || token0Data.address === '') {
+      throw new Error("Token0 address is required");
+    }
+    if (typeof token0Data.address !== 'string') {
+      throw new Error("Token0 address must be a string");
+    }
+    try {
+      ethers.utils.getAddress(token0Data.address);
+    } catch (error) {
+      throw new Error(`Invalid token0 address: ${token0Data.address}`);
+    }
+    if (token0Data.decimals === null || token0Data.decimals === undefined) {
+      throw new Error("Token0 decimals is required");
+    }
+    if (!Number.isFinite(token0Data.decimals) || token0Data.decimals < 0 || token0Data.decimals > 255) {
+      throw new Error("Token0 decimals must be a finite number between 0 and 255");
+    }
+
+    if (token1Data === null || token1Data === undefined) {
+      throw new Error("Token1 data parameter is required");
+    }
+    if (typeof token1Data !== 'object' || Array.isArray(token1Data)) {
+      throw new Error("Token1 data must be an object");
+    }
+    if (token1Data.address === null || token1Data.address === undefined || token1Data.address === '') {
+      throw new Error("Token1 address is required");
+    }
+    if (typeof token1Data.address !== 'string') {
+      throw new Error("Token1 address must be a string");
+    }
+    try {
+      ethers.utils.getAddress(token1Data.address);
+    } catch (error) {
+      throw new Error(`Invalid token1 address: ${token1Data.address}`);
+    }
+    if (token1Data.decimals === null || token1Data.decimals === undefined) {
+      throw new Error("Token1 decimals is required");
+    }
+    if (!Number.isFinite(token1Data.decimals) || token1Data.decimals < 0 || token1Data.decimals > 255) {
+      throw new Error("Token1 decimals must be a finite number between 0 and 255");
+    }
+
+    if (token0Data.address.toLowerCase() === token1Data.address.toLowerCase()) {
+      throw new Error("Token0 and token1 addresses cannot be the same");
+    }
+
+    if (slippageTolerance === null || slippageTolerance === undefined) {
+      throw new Error("Slippage tolerance is required");
+    }
+    if (!Number.isFinite(slippageTolerance)) {
+      throw new Error("Slippage tolerance must be a finite number");
+    }
+    if (slippageTolerance < 0 || slippageTolerance > 100) {
+      throw new Error("Slippage tolerance must be between 0 and 100");
+    }
+
+    if (deadlineMinutes === null || deadlineMinutes === undefined) {
+      throw new Error("Deadline minutes is required");
+    }
+    if (!Number.isFinite(deadlineMinutes)) {
+      throw new Error("Deadline minutes must be a finite number");
+    }
+    if (deadlineMinutes <= 0) {
+      throw new Error("Deadline minutes must be greater than 0");
+    }
+
+    try {
+      // Get position manager address from platform addresses
+      if (!this.addresses?.positionManagerAddress) {
+        throw new Error(`No position manager address found for chainId: ${this.chainId}`);
+      }
+      const positionManagerAddress = this.addresses.positionManagerAddress;
+
+      // Use getAddLiquidityQuote to calculate the position
+      const quote = await this.getAddLiquidityQuote({
+        position,
+        token0Amount,
+        token1Amount,
+        provider,
+        poolData,
+        token0Data,
+        token1Data
+      });
+
+      // Extract the calculated position and metadata
+      const { position: newPosition, tokensSwapped, sortedToken0, sortedToken1 } = quote;
+
+      // Create MintOptions (for new position)
+      const mintOptions = {
+        recipient: walletAddress,
+        deadline: this._createDeadline(deadlineMinutes), // Use provided deadline
+        slippageTolerance: this._createSlippagePercent(slippageTolerance), // Use standardized slippage
+      };
+
+      // Generate the calldata (forks with a different mint struct override the encoder)
+      const { calldata, value } = this._buildMintCallParameters(newPosition, mintOptions, poolData.fee);
+
+      // Return transaction data with calculated amounts
+      return {
+        to: positionManagerAddress,
+        data: calldata,
+        value: value,
+        quote: quote
+      };
+    } catch (error) {
+      console.error("Error generating create position data:", error);
+      throw new Error(`Failed to generate create position data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build an ERC20 approve transaction for a vault batch
+   * @param {string} token - Token address
+   * @param {string} spender - Address allowed to spend
+   * @param {string} amount - Allowance (in wei string)
+   * @returns {{target: string, data: string, value: string}} Approve transaction
+   * @private
+   */
+  _buildApproveTransaction(token, spender, amount) {
+    return {
+      target: token,
+      data: this.erc20Interface.encodeFunctionData("approve", [spender, amount]),
+      value: "0x00"
+    };
+  }
+
+  /**
+   * Size the swap that leaves token amounts in the ratio a range needs, at the price the swap leaves
+   *
+   * The token held in excess at the current price is swapped; the amount is the smallest one, found by bisection
+   * over simulateSwap, that no longer leaves it in excess.
+   *
+   * @param {Object} params - Sizing parameters
+   * @param {Object} params.poolData - Pool state: `sqrtPriceX96`, `tick`, `liquidity`, `fee` and optionally
+   *   `tickSpacing` (defaults to the platform's spacing for the fee)
+   * @param {Array<Object>} params.ticks - Initialized ticks around the current tick
+   * @param {Object} [params.tickRange] - `{ lower, upper }` ticks `ticks` is complete for
+   * @param {Object} params.range - Target range: `{ tickLower, tickUpper }`
+   * @param {bigint} params.amount0 - Pool token0 held
+   * @param {bigint} params.amount1 - Pool token1 held
+   * @returns {{zeroForOne: boolean, swapAmount: bigint, swap: Object|null}} Swap direction, input to swap and the
+   *   simulated swap (null when nothing needs to be swapped)
+   * @private
+   */
+  _planSwapToRange({ poolData, ticks, tickRange, range, amount0, amount1 }) {
+    // Range bounds and the Q96 scale of the liquidity amount formulas
+    const Q96 = 2n ** 96n;
+    const sqrtA = BigInt(TickMath.getSqrtRatioAtTick(range.tickLower).toString());
+    const sqrtB = BigInt(TickMath.getSqrtRatioAtTick(range.tickUpper).toString());
+
+    // Token amounts the range takes per unit of liquidity are in the ratio Q96^2 * (B - P) : (P - A) * P * B,
+    // with P the price clamped to the range, so the comparison is exact in integers
+    const weightsAt = (sqrtPriceX96) => {
+      let sqrtP = BigInt(sqrtPriceX96);
+      sqrtP = sqrtP < sqrtA ? sqrtA : sqrtP > sqrtB ? sqrtB : sqrtP;
+      return [Q96 * Q96 * (sqrtB - sqrtP), (sqrtP - sqrtA) * sqrtP * sqrtB];
+    };
+
+    // Swap the token held in excess at the current price
+    const [weight0, weight1] = weightsAt(poolData.sqrtPriceX96);
+    const zeroForOne = amount0 * weight1 > amount1 * weight0;
+    if (!zeroForOne && !(amount1 * weight0 > amount0 * weight1)) {
+      return { zeroForOne, swapAmount: 0n, swap: null };
+    }
+    const [inputHeld, outputHeld] = zeroForOne ? [amount0, amount1] : [amount1, amount0];
+
+    const simulate = (swapAmount) => this.simulateSwap({
+      poolData,
+      ticks,
+      tickRange,
+      zeroForOne,
+      amountIn: swapAmount.toString()
+    });
+
+    // Whether the input token still exceeds its share after swapping `swapAmount`
+    const keepsExcessInput = (swapAmount) => {
+      let swap;
+      try {
+        swap = simulate(swapAmount);
+      } catch (error) {
+        // Swapping past the loaded ticks overshoots any in-range target
+        if (error.message.startsWith('Swap moves past the loaded tick range')) {
+          return false;
+        }
+        throw error;
+      }
+      const [w0, w1] = weightsAt(swap.sqrtPriceX96After);
+      const inputLeft = inputHeld - swapAmount;
+      const outputNow = outputHeld + BigInt(swap.amountOut);
+      return zeroForOne ? inputLeft * w1 > outputNow * w0 : inputLeft * w0 > outputNow * w1;
+    };
+
+    // Smallest swap that no longer leaves excess input
+    let low = 1n;
+    let high = inputHeld;
+    while (low < high) {
+      const mid = (low + high) / 2n;
+      if (keepsExcessInput(mid)) {
+        low = mid + 1n;
+      } else {
+        high = mid;
+      }
+    }
+
+    return { zeroForOne, swapAmount: low, swap: simulate(low) };
+  }
+
+  /**
+   * Plan a single-token deposit into a new position: swap part of the input so that what is left, plus the swap
+   * output, is exactly what the range needs at the price the swap leaves, then mint
+   *
+   * The swap amount is found by bisection over simulateSwap, so price impact and the pool fee are accounted for.
+   * The mint asks for the swap's minimum output (after slippage), so it never pulls more than the swap is
+   * guaranteed to deliver.
+   *
+   * @param {Object} params - Parameters for planning the zap
+   * @param {string} params.tokenIn - Address of the deposited token (token0Data or token1Data)
+   * @param {string} params.amountIn - Amount deposited (in wei string)
+   * @param {Object} params.position - Target range: `{ tickLower, tickUpper }`
+   * @param {Object} params.poolData - Pool state: `sqrtPriceX96`, `tick`, `liquidity`, `fee` and optionally
+   *   `tickSpacing` (defaults to the platform's spacing for the fee)
+   * @param {Array<Object>} params.ticks - Initialized ticks around the current tick, e.g. from fetchSwapTickData
+   * @param {Object} [params.tickRange] - `{ lower, upper }` ticks `ticks` is complete for
+   * @param {Object} params.token0Data - Token0 data (`address`, `decimals`)
+   * @param {Object} params.token1Data - Token1 data (`address`, `decimals`)
+   * @param {string} params.walletAddress - Vault or wallet that deposits, receives the swap output and the position
+   * @param {number} params.slippageTolerance - Slippage tolerance percentage (0-100) for the swap and the mint
+   * @param {number} params.deadlineMinutes - Transaction deadline in minutes
+   * @param {Object} params.provider - Ethers provider
+   * @returns {Promise<Object>} `{ swapAmount, swap, amountOutMinimum, token0Amount, token1Amount, quote, transactions }`:
+   *   input swapped, simulated swap (null when nothing is swapped), token amounts offered to the mint (in
+   *   token0Data/token1Data order), the mint's getAddLiquidityQuote result, and the ordered approve, swap and mint
+   *   transactions (`{ target, data, value }`) for executeVaultTransactions
+   * @throws {Error} If parameters are invalid or the zap cannot be planned
+   */
+  async planZapIn(params) {
+    const {
+      tokenIn,
+      amountIn,
+      position,
+      poolData,
+      ticks,
+      tickRange,
+      token0Data,
+      token1Data,
+      walletAddress,
+      slippageTolerance,
+      deadlineMinutes,
+      provider
+    } = params;
+
+    // Validate tokenIn address
+    if (!tokenIn) {
+      throw new Error("TokenIn address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(tokenIn);
+    } catch (error) {
+      throw new Error(`Invalid tokenIn address: ${tokenIn}`);
+    }
+
+    // Validate amountIn
+    if (!amountIn) {
+      throw new Error("AmountIn parameter is required");
+    }
+    if (typeof amountIn !== 'string') {
+      throw new Error("AmountIn must be a string");
+    }
+    if (!/^\d+$/.test(amountIn)) {
+      throw new Error("AmountIn must be a positive numeric string");
+    }
+    if (BigInt(amountIn) === 0n) {
+      throw new Error("AmountIn cannot be zero");
+    }
+
+    // Validate position range
+    if (!position || typeof position !== 'object' || Array.isArray(position)) {
+      throw new Error("Position must be an object");
+    }
+    if (!Number.isInteger(position.tickLower) || !Number.isInteger(position.tickUpper)) {
+      throw new Error("Position tickLower and tickUpper must be integers");
+    }
+    if (position.tickLower >= position.tickUpper) {
+      throw new Error("Position tickLower must be less than tickUpper");
+    }
+
+    // Validate pool and token data
+    if (!poolData || typeof poolData !== 'object') {
+      throw new Error("Pool data parameter is required");
+    }
+    if (!token0Data?.address || !token1Data?.address) {
+      throw new Error("Token0 and token1 data with addresses are required");
+    }
+    const isToken0 = tokenIn.toLowerCase() === token0Data.address.toLowerCase();
+    if (!isToken0 && tokenIn.toLowerCase() !== token1Data.address.toLowerCase()) {
+      throw new Error(`TokenIn ${tokenIn} is not one of the pool tokens`);
+    }
+
+    // Validate wallet address
+    if (!walletAddress) {
+      throw new Error("Wallet address is required");
+    }
+    try {
+      ethers.utils.getAddress(walletAddress);
+    } catch (error) {
+      throw new Error(`Invalid wallet address: ${walletAddress}`);
+    }
+
+    // Validate slippage tolerance
+    if (slippageTolerance === null || slippageTolerance === undefined) {
+      throw new Error("Slippage tolerance is required");
+    }
+    if (!Number.isFinite(slippageTolerance)) {
+      throw new Error("Slippage tolerance must be a finite number");
+    }
+    if (slippageTolerance < 0 || slippageTolerance > 100) {
+      throw new Error("Slippage tolerance must be between 0 and 100");
+    }
+
+    // Validate deadlineMinutes
+    if (deadlineMinutes === null || deadlineMinutes === undefined) {
+      throw new Error("Deadline minutes is required");
+    }
+    if (!Number.isFinite(deadlineMinutes) || deadlineMinutes <= 0) {
+      throw new Error("Deadline minutes must be greater than 0");
+    }
+
+    // Validate provider
+    await this._validateProviderChain(provider);
+
+    if (!this.addresses?.routerAddress) {
+      throw new Error(`No ${this.platformName} router address found for chainId: ${this.chainId}`);
+    }
+    if (!this.addresses?.positionManagerAddress) {
+      throw new Error(`No position manager address found for chainId: ${this.chainId}`);
+    }
+
+    try {
+      const { sortedToken0, sortedToken1 } = this.sortTokens(token0Data, token1Data);
+      const depositsToken0 = tokenIn.toLowerCase() === sortedToken0.address.toLowerCase();
+      const total = BigInt(amountIn);
+
+      const { zeroForOne, swapAmount, swap } = this._planSwapToRange({
+        poolData,
+        ticks,
+        tickRange,
+        range: position,
+        amount0: depositsToken0 ? total : 0n,
+        amount1: depositsToken0 ? 0n : total
+      });
+
+      const slippageMultiplier = BigInt(Math.floor((100 - slippageTolerance) * 100));
+      const amountOutMinimum = swap ? BigInt(swap.amountOut) * slippageMultiplier / 10000n : 0n;
+
+      // Mint at the price the swap leaves, with only the output the swap guarantees
+      const inputLeft = (total - swapAmount).toString();
+      const token0Amount = isToken0 ? inputLeft : amountOutMinimum.toString();
+      const token1Amount = isToken0 ? amountOutMinimum.toString() : inputLeft;
+      const mintPoolData = swap
+        ? { ...poolData, sqrtPriceX96: swap.sqrtPriceX96After, tick: swap.tickAfter, liquidity: swap.liquidityAfter }
+        : poolData;
+
+      const mint = await this.generateCreatePositionData({
+        position,
+        token0Amount,
+        token1Amount,
+        provider,
+        walletAddress,
+        poolData: mintPoolData,
+        token0Data,
+        token1Data,
+        slippageTolerance,
+        deadlineMinutes
+      });
+
+      const routerAddress = this.addresses.routerAddress;
+      const positionManagerAddress = this.addresses.positionManagerAddress;
+
+      const transactions = [];
+      if (swap) {
+        transactions.push(this._buildApproveTransaction(tokenIn, routerAddress, swapAmount.toString()));
+        transactions.push({
+          target: routerAddress,
+          data: this._buildSwapCallParameters({
+            tokenIn,
+            tokenOut: zeroForOne ? sortedToken1.address : sortedToken0.address,
+            fee: poolData.fee,
+            recipient: walletAddress,
+            deadline: this._createDeadline(deadlineMinutes),
+            amountIn: swapAmount.toString(),
+            amountOutMinimum: amountOutMinimum.toString(),
+            sqrtPriceLimitX96: "0"
+          }),
+          value: "0x00"
+        });
+      }
+      const { amount0: mintAmount0, amount1: mintAmount1 } = mint.quote.position.mintAmounts;
+      for (const [token, amount] of [[sortedToken0.address, mintAmount0.toString()], [sortedToken1.address, mintAmount1.toString()]]) {
+        if (amount !== '0') {
+          transactions.push(this._buildApproveTransaction(token, positionManagerAddress, amount));
+        }
+      }
+      transactions.push({ target: mint.to, data: mint.data, value: mint.value });
+
+      return {
+        swapAmount: swapAmount.toString(),
+        swap,
+        amountOutMinimum: amountOutMinimum.toString(),
+        token0Amount,
+        token1Amount,
+        quote: mint.quote,
+        transactions
+      };
+    } catch (error) {
+      throw new Error(`Failed to plan zap in: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the batch that moves a vault position to a new range in one atomic executeVaultTransactions call
+   *
+   * The position's liquidity is removed and its fees collected, the token held in excess is swapped so the new
+   * range takes both tokens in the right ratio, and a new position is minted. The swap is sized over simulateSwap
+   * against the pool as it will be once the old position's liquidity is gone.
+   *
+   * Every read is pinned to one block: `options.blockTag`, else the block the position was read at, else the latest.
+   * Slippage bounds come from the vault strategy's `maxSlippage` unless `options.slippageTolerance` is given. The
+   * withdrawal, swap and mint are each bounded by it, and each step only asks for what the steps before it are
+   * guaranteed to deliver, so the batch either stays within the bounds or reverts as a whole.
+   *
+   * @param {string} vaultAddress - Vault that holds the position, receives the tokens and the new position
+   * @param {Object} position - Position to move, as returned by getPositions (`id`, `pool`, ticks, liquidity, fee
+   *   growth and tokens owed)
+   * @param {Object} newRange - `{ tickLower, tickUpper }` of the new position
+   * @param {Object} options - Plan options
+   * @param {Object} options.provider - Ethers provider
+   * @param {number} [options.slippageTolerance] - Slippage tolerance percentage (0-100), instead of the strategy's
+   *   `maxSlippage`
+   * @param {number} [options.deadlineMinutes=20] - Transaction deadline in minutes
+   * @param {number|string} [options.blockTag] - Block to read at
+   * @param {Array<Object>} [options.ticks] - Initialized ticks for the swap (loaded with fetchSwapTickData if omitted)
+   * @param {Object} [options.tickRange] - `{ lower, upper }` ticks `options.ticks` is complete for
+   * @returns {Promise<Object>} `{ blockNumber, slippageTolerance, token0, token1, withdrawn, fees, swap, newPosition,
+   *   idle, quote, transactions }`: amounts are raw strings in pool token order - `withdrawn` and `fees` are the
+   *   projected removal and fee collection, `swap` the planned swap (null when none is needed), `newPosition` the
+   *   projected new position and `idle` what is projected to stay in the vault
+   * @throws {Error} If parameters are invalid or the plan cannot be built
+   */
+  async buildRebalancePlan(vaultAddress, position, newRange, options) {
+    // Validate vault address
+    if (!vaultAddress) {
+      throw new Error("Vault address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(vaultAddress);
+    } catch (error) {
+      throw new Error(`Invalid vault address: ${vaultAddress}`);
+    }
+
+    // Validate position
+    if (!position || typeof position !== 'object' || Array.isArray(position)) {
+      throw new Error("Position must be an object");
+    }
+    if (typeof position.id !== 'string' || !/^\d+$/.test(position.id)) {
+      throw new Error("Position ID must be a numeric string");
+    }
+    try {
+      ethers.utils.getAddress(position.pool);
+    } catch (error) {
+      throw new Error(`Invalid position pool address: ${position.pool}`);
+    }
+    if (!Number.isInteger(position.tickLower) || !Number.isInteger(position.tickUpper)) {
+      throw new Error("Position tickLower and tickUpper must be integers");
+    }
+    if (typeof position.liquidity !== 'string' || !/^\d+$/.test(position.liquidity)) {
+      throw new Error("Position liquidity must be a numeric string");
+    }
+    if (BigInt(position.liquidity) === 0n) {
+      throw new Error("Position has no liquidity to rebalance");
+    }
+
+    // Validate new range
+    if (!newRange || typeof newRange !== 'object' || Array.isArray(newRange)) {
+      throw new Error("New range must be an object");
+    }
+    if (!Number.isInteger(newRange.tickLower) || !Number.isInteger(newRange.tickUpper)) {
+      throw new Error("New range tickLower and tickUpper must be integers");
+    }
+    if (newRange.tickLower >= newRange.tickUpper) {
+      throw new Error("New range tickLower must be less than tickUpper");
+    }
+
+    // Validate options
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error("Options parameter must be an object");
+    }
+    const { provider, deadlineMinutes = 20 } = options;
+    if (options.slippageTolerance !== undefined &&
+        (!Number.isFinite(options.slippageTolerance) || options.slippageTolerance < 0 || options.slippageTolerance > 100)) {
+      throw new Error("Slippage tolerance must be between 0 and 100");
+    }
+    if (!Number.isFinite(deadlineMinutes) || deadlineMinutes <= 0) {
+      throw new Error("Deadline minutes must be greater than 0");
+    }
+    if (options.blockTag !== undefined) {
+      validateBlockTag(options.blockTag);
+    }
+    if (options.ticks !== undefined && !Array.isArray(options.ticks)) {
+      throw new Error("Ticks must be an array");
+    }
+    await this._validateProviderChain(provider);
+
+    if (!this.addresses?.routerAddress) {
+      throw new Error(`No ${this.platformName} router address found for chainId: ${this.chainId}`);
+    }
+
+    try {
+      // Pin the plan to one block
+      const blockTag = await resolvePoolStateBlock(this.chainId, provider, options.blockTag ?? position.blockNumber);
+
+      const poolData = await this.getPoolData(position.pool, {
+        includeTicks: [position.tickLower, position.tickUpper],
+        includeTokens: true,
+        blockTag
+      }, provider);
+      const token0Data = this._getTokenData(poolData.token0);
+      const token1Data = this._getTokenData(poolData.token1);
+
+      let slippageTolerance = options.slippageTolerance;
+      if (slippageTolerance === undefined) {
+        const { parameters } = await getVaultStrategyParameters(vaultAddress, provider, { blockTag });
+        if (!Number.isFinite(parameters?.maxSlippage)) {
+          throw new Error(`Vault ${vaultAddress} has no strategy maxSlippage; pass options.slippageTolerance`);
+        }
+        slippageTolerance = parameters.maxSlippage;
+      }
+
+      const { ticks, tickRange } = options.ticks
+        ? { ticks: options.ticks, tickRange: options.tickRange }
+        : await this.fetchSwapTickData(position.pool, provider, { blockTag });
+
+      // Projected withdrawal, its slippage floor and the fees collected with it
+      const pool = this._createPool(
+        new Token(this.chainId, token0Data.address, token0Data.decimals),
+        new Token(this.chainId, token1Data.address, token1Data.decimals),
+        poolData
+      );
+      const currentPosition = new Position({
+        pool,
+        liquidity: position.liquidity,
+        tickLower: position.tickLower,
+        tickUpper: position.tickUpper
+      });
+      const withdrawn0 = BigInt(currentPosition.amount0.quotient.toString());
+      const withdrawn1 = BigInt(currentPosition.amount1.quotient.toString());
+      const withdrawnMin = currentPosition.burnAmountsWithSlippage(this._createSlippagePercent(slippageTolerance));
+      const [fees0, fees1] = this.calculateUncollectedFees(position, poolData);
+
+      // The pool once the position's liquidity is removed
+      const removed = BigInt(position.liquidity);
+      const inRange = position.tickLower <= poolData.tick && poolData.tick < position.tickUpper;
+      const poolAfterRemoval = {
+        ...poolData,
+        liquidity: (BigInt(poolData.liquidity) - (inRange ? removed : 0n)).toString()
+      };
+      const ticksAfterRemoval = ticks.map(tick => {
+        if (tick.index === position.tickLower) {
+          return { ...tick, liquidityNet: (BigInt(tick.liquidityNet) - removed).toString() };
+        }
+        if (tick.index === position.tickUpper) {
+          return { ...tick, liquidityNet: (BigInt(tick.liquidityNet) + removed).toString() };
+        }
+        return tick;
+      });
+
+      const amount0 = withdrawn0 + fees0;
+      const amount1 = withdrawn1 + fees1;
+      const { zeroForOne, swapAmount, swap } = this._planSwapToRange({
+        poolData: poolAfterRemoval,
+        ticks: ticksAfterRemoval,
+        tickRange,
+        range: newRange,
+        amount0,
+        amount1
+      });
+
+      const slippageMultiplier = BigInt(Math.floor((100 - slippageTolerance) * 100));
+      const amountOutMinimum = swap ? BigInt(swap.amountOut) * slippageMultiplier / 10000n : 0n;
+
+      // The mint only asks for what the withdrawal and the swap guarantee
+      let guaranteed0 = BigInt(withdrawnMin.amount0.toString()) + fees0;
+      let guaranteed1 = BigInt(withdrawnMin.amount1.toString()) + fees1;
+      if (swap) {
+        const spent = (guaranteed) => guaranteed > swapAmount ? guaranteed - swapAmount : 0n;
+        guaranteed0 = zeroForOne ? spent(guaranteed0) : guaranteed0 + amountOutMinimum;
+        guaranteed1 = zeroForOne ? guaranteed1 + amountOutMinimum : spent(guaranteed1);
+      }
+      const mintPoolData = swap
+        ? { ...poolAfterRemoval, sqrtPriceX96: swap.sqrtPriceX96After, tick: swap.tickAfter, liquidity: swap.liquidityAfter }
+        : poolAfterRemoval;
+
+      const remove = await this.generateRemoveLiquidityData({
+        position,
+        percentage: 100,
+        provider,
+        walletAddress: vaultAddress,
+        poolData,
+        token0Data,
+        token1Data,
+        slippageTolerance,
+        deadlineMinutes
+      });
+      const mint = await this.generateCreatePositionData({
+        position: newRange,
+        token0Amount: guaranteed0.toString(),
+        token1Amount: guaranteed1.toString(),
+        provider,
+        walletAddress: vaultAddress,
+        poolData: mintPoolData,
+        token0Data,
+        token1Data,
+        slippageTolerance,
+        deadlineMinutes
+      });
+
+      const routerAddress = this.addresses.routerAddress;
+      const positionManagerAddress = this.addresses.positionManagerAddress;
+      const [tokenIn, tokenOut] = zeroForOne ? [token0Data.address, token1Data.address] : [token1Data.address, token0Data.address];
+
+      const transactions = [{ target: remove.to, data: remove.data, value: remove.value }];
+      if (swap) {
+        transactions.push(this._buildApproveTransaction(tokenIn, routerAddress, swapAmount.toString()));
+        transactions.push({
+          target: routerAddress,
+          data: this._buildSwapCallParameters({
+            tokenIn,
+            tokenOut,
+            fee: poolData.fee,
+            recipient: vaultAddress,
+            deadline: this._createDeadline(deadlineMinutes),
+            amountIn: swapAmount.toString(),
+            amountOutMinimum: amountOutMinimum.toString(),
+            sqrtPriceLimitX96: "0"
+          }),
+          value: "0x00"
+        });
+      }
+      const { amount0: mintAmount0, amount1: mintAmount1 } = mint.quote.position.mintAmounts;
+      for (const [token, amount] of [[token0Data.address, mintAmount0.toString()], [token1Data.address, mintAmount1.toString()]]) {
+        if (amount !== '0') {
+          transactions.push(this._buildApproveTransaction(token, positionManagerAddress, amount));
+        }
+      }
+      transactions.push({ target: mint.to, data: mint.data, value: mint.value });
+
+      // Projected holdings after the swap, less what the new position takes
+      const held0 = swap ? (zeroForOne ? amount0 - swapAmount : amount0 + BigInt(swap.amountOut)) : amount0;
+      const held1 = swap ? (zeroForOne ? amount1 + BigInt(swap.amountOut) : amount1 - swapAmount) : amount1;
+
+      return {
+        blockNumber: blockTag,
+        slippageTolerance,
+        token0: token0Data,
+        token1: token1Data,
+        withdrawn: { amount0: withdrawn0.toString(), amount1: withdrawn1.toString() },
+        fees: { amount0: fees0.toString(), amount1: fees1.toString() },
+        swap: swap && {
+          tokenIn,
+          tokenOut,
+          amountIn: swapAmount.toString(),
+          amountOut: swap.amountOut,
+          amountOutMinimum: amountOutMinimum.toString(),
+          feeAmount: swap.feeAmount,
+          sqrtPriceX96After: swap.sqrtPriceX96After,
+          tickAfter: swap.tickAfter
+        },
+        newPosition: {
+          tickLower: newRange.tickLower,
+          tickUpper: newRange.tickUpper,
+          liquidity: mint.quote.position.liquidity.toString(),
+          amount0: mintAmount0.toString(),
+          amount1: mintAmount1.toString()
+        },
+        idle: {
+          amount0: (held0 - BigInt(mintAmount0.toString())).toString(),
+          amount1: (held1 - BigInt(mintAmount1.toString())).toString()
+        },
+        quote: mint.quote,
+        transactions
+      };
+    } catch (error) {
+      throw new Error(`Failed to build rebalance plan: ${error.message}`);
+    }
+  }
+}
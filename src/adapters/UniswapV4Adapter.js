@@ -0,0 +1,2271 @@
+/**
+ * UniswapV4Adapter - Uniswap V4 Protocol Integration
+ *
+ * This adapter provides integration with Uniswap V4 singleton pools:
+ * - Discover pools by PoolKey (currency pair, fee, tickSpacing, hooks)
+ * - Fetch pool state through the StateView lens and positions from the V4 PositionManager
+ * - Calculate position values and uncollected fees
+ * - Generate liquidity management transactions encoded as V4 action plans
+ *
+ * V4 pools have no contract of their own. Everywhere the V3 adapter uses a pool
+ * address, this adapter uses the bytes32 poolId (keccak256 of the ABI-encoded PoolKey).
+ *
+ * @module adapters/UniswapV4Adapter
+ */
+
+import { ethers } from "ethers";
+import PlatformAdapter from "./PlatformAdapter.js";
+import { getPlatformFeeTiers, getPlatformTickSpacing, getPlatformTickBounds } from "../helpers/platformHelpers.js";
+import { getPlatformAddresses, getChainConfig } from "../helpers/chainHelpers.js";
+import { getTokenByAddress } from "../helpers/tokenHelpers.js";
+import { multicall, validateBlockTag, resolveBlockTag, getLogsInChunks, DEFAULT_LOG_CHUNK_SIZE } from "../blockchain/multicall.js";
+import { Pool, Position, V4PositionManager, V4PositionPlanner, V4Planner, Actions } from '@uniswap/v4-sdk';
+import { tickToPrice, priceToClosestTick, TickMath } from '@uniswap/v3-sdk';
+import { Percent, Token, Ether, Price } from '@uniswap/sdk-core';
+import JSBI from "jsbi";
+
+// V4 PositionManager ABI ships with the SDK interface
+const PositionManagerABI = JSON.parse(V4PositionManager.INTERFACE.format(ethers.utils.FormatTypes.json));
+
+// StateView is the read-only lens over PoolManager storage
+const StateViewABI = [
+  "function getSlot0(bytes32 poolId) view returns (uint160 sqrtPriceX96, int24 tick, uint24 protocolFee, uint24 lpFee)",
+  "function getLiquidity(bytes32 poolId) view returns (uint128 liquidity)",
+  "function getFeeGrowthGlobals(bytes32 poolId) view returns (uint256 feeGrowthGlobal0, uint256 feeGrowthGlobal1)",
+  "function getTickInfo(bytes32 poolId, int24 tick) view returns (uint128 liquidityGross, int128 liquidityNet, uint256 feeGrowthOutside0X128, uint256 feeGrowthOutside1X128)",
+  "function getPositionInfo(bytes32 poolId, address owner, int24 tickLower, int24 tickUpper, bytes32 salt) view returns (uint128 liquidity, uint256 feeGrowthInside0LastX128, uint256 feeGrowthInside1LastX128)"
+];
+
+const V4QuoterABI = [
+  "function quoteExactInputSingle(((address currency0, address currency1, uint24 fee, int24 tickSpacing, address hooks) poolKey, bool zeroForOne, uint128 exactAmount, bytes hookData) params) returns (uint256 amountOut, uint256 gasEstimate)"
+];
+
+const UniversalRouterABI = [
+  "function execute(bytes commands, bytes[] inputs, uint256 deadline) payable"
+];
+
+// Universal Router command for a V4 action plan
+const V4_SWAP_COMMAND = '0x10';
+
+// Empty hook data for pools whose hooks take no per-call input
+const EMPTY_HOOK_DATA = '0x';
+
+// Position NFT Transfer logs are sparse: let scan ranges grow far past the default while the provider accepts them
+const TRANSFER_LOG_RANGES = { maxChunkSize: 1000000, minChunkSize: 500 };
+
+/**
+ * Adapter for Uniswap V4 platform
+ *
+ * This adapter is designed for single-chain operation and caches all necessary
+ * configuration data during construction:
+ * - Platform contract addresses (PoolManager, PositionManager, StateView, Quoter, Universal Router)
+ * - Default fee tier / tick spacing pairings and chain configuration
+ * - Pre-compiled contract interfaces for transaction encoding
+ *
+ * Liquidity transactions target the V4 PositionManager, which settles token
+ * debts through Permit2. The sending wallet/vault must approve Permit2 for each
+ * token and grant the PositionManager a Permit2 allowance before minting or
+ * increasing liquidity.
+ *
+ * Note: Methods requiring blockchain interaction accept a provider parameter
+ * rather than storing one in the adapter instance.
+ *
+ * @example
+ * // Create adapter for Arbitrum
+ * const adapter = new UniswapV4Adapter(42161, provider);
+ *
+ * // Build a PoolKey and read live pool data
+ * const poolKey = adapter.buildPoolKey(wethAddress, usdcAddress, 500);
+ * const poolData = await adapter.fetchPoolData(poolKey, provider);
+ */
+export default class UniswapV4Adapter extends PlatformAdapter {
+  /**
+   * Capabilities manifest
+   * @type {Object<string, boolean>}
+   */
+  static capabilities = Object.freeze({
+    concentratedLiquidity: true,
+    multipleFeeTiers: true,
+    hooks: true,
+    nativeCurrency: true,
+    permit2Swaps: true
+  });
+
+  /**
+   * Constructor
+   * @param {number} chainId - Chain ID for the adapter
+   * @param {Object} provider - Ethers provider instance
+   */
+  constructor(chainId, provider) {
+    super(chainId, "uniswapV4", "Uniswap V4");
+
+    // Cache platform addresses (getPlatformAddresses throws if not configured)
+    this.addresses = getPlatformAddresses(chainId, "uniswapV4");
+
+    // Cache platform configuration data
+    this.feeTiers = getPlatformFeeTiers("uniswapV4");
+    this.chainConfig = getChainConfig(chainId);
+
+    // Store the ABIs
+    this.positionManagerABI = PositionManagerABI;
+    this.stateViewABI = StateViewABI;
+    this.quoterABI = V4QuoterABI;
+    this.universalRouterABI = UniversalRouterABI;
+
+    // Pre-create contract interfaces for better performance
+    this.positionManagerInterface = V4PositionManager.INTERFACE;
+    this.stateViewInterface = new ethers.utils.Interface(this.stateViewABI);
+    this.quoterInterface = new ethers.utils.Interface(this.quoterABI);
+    this.universalRouterInterface = new ethers.utils.Interface(this.universalRouterABI);
+
+    this.provider = provider;
+  }
+
+  /**
+   * Get the Uniswap V4 swap event signature (emitted by the PoolManager)
+   * @returns {string} The Uniswap V4 Swap event signature
+   */
+  getSwapEventSignature() {
+    return 'Swap(bytes32,address,int128,int128,uint160,uint128,int24,uint24)';
+  }
+
+  /**
+   * Get the V4 PositionManager ABI
+   * @returns {Array} PositionManager ABI
+   */
+  getPositionManagerABI() {
+    return this.positionManagerABI;
+  }
+
+  /**
+   * Get the ABI used to read pool state
+   *
+   * V4 pools live inside the PoolManager singleton, so pool state is read
+   * through the StateView lens rather than a per-pool contract.
+   *
+   * @returns {Array} StateView ABI
+   */
+  getPoolABI() {
+    return this.stateViewABI;
+  }
+
+  /**
+   * Validate and normalize slippage tolerance
+   * @param {number} slippageTolerance - Slippage tolerance percentage (0-100)
+   * @returns {number} Validated slippage tolerance
+   * @throws {Error} If slippage tolerance is invalid
+   */
+  _validateSlippageTolerance(slippageTolerance) {
+    if (!Number.isFinite(slippageTolerance) || slippageTolerance < 0 || slippageTolerance > 100) {
+      throw new Error(`Invalid slippage tolerance: ${slippageTolerance}. Must be between 0 and 100.`);
+    }
+
+    return slippageTolerance;
+  }
+
+  /**
+   * Create deadline timestamp from minutes offset
+   * @param {number} deadlineMinutes - Minutes from now
+   * @returns {number} Unix timestamp
+   * @throws {Error} If deadlineMinutes is invalid
+   */
+  _createDeadline(deadlineMinutes) {
+    if (!Number.isFinite(deadlineMinutes) || deadlineMinutes < 0) {
+      throw new Error(`Invalid deadline minutes: ${deadlineMinutes}. Must be a non-negative number.`);
+    }
+
+    return Math.floor(Date.now() / 1000) + (deadlineMinutes * 60);
+  }
+
+  /**
+   * Create standardized slippage tolerance Percent object
+   * @param {number} slippageTolerance - Slippage tolerance percentage
+   * @returns {Percent} Uniswap SDK Percent object
+   */
+  _createSlippagePercent(slippageTolerance) {
+    const validatedSlippage = this._validateSlippageTolerance(slippageTolerance);
+    return new Percent(Math.floor(validatedSlippage * 100), 10_000);
+  }
+
+  /**
+   * Create SDK currency for an address, treating address(0) as the chain's native currency
+   * @param {string} address - Currency address
+   * @param {number} decimals - Currency decimals
+   * @returns {Currency} SDK Token or native Ether instance
+   * @private
+   */
+  _createCurrency(address, decimals) {
+    if (address.toLowerCase() === ethers.constants.AddressZero) {
+      return Ether.onChain(this.chainId);
+    }
+    return new Token(this.chainId, address, decimals);
+  }
+
+  /**
+   * Resolve token data for a pool currency from config (native currency from chain config)
+   * @param {string} address - Currency address
+   * @returns {{address: string, decimals: number, symbol: string, chainId: number, isNative: boolean}} Token data
+   * @throws {Error} If the token is not configured for this chain
+   * @private
+   */
+  _getCurrencyData(address) {
+    if (address.toLowerCase() === ethers.constants.AddressZero) {
+      return {
+        address: ethers.constants.AddressZero,
+        decimals: this.chainConfig.nativeCurrency.decimals,
+        symbol: this.chainConfig.nativeCurrency.symbol,
+        chainId: this.chainId,
+        isNative: true
+      };
+    }
+
+    const tokenConfig = getTokenByAddress(address, this.chainId);
+    return {
+      address,
+      decimals: tokenConfig.decimals,
+      symbol: tokenConfig.symbol,
+      chainId: this.chainId,
+      isNative: false
+    };
+  }
+
+  /**
+   * Sort tokens according to Uniswap rules (lower address first, native currency always first)
+   * @param {Object} token0 - First token object
+   * @param {string} token0.address - Token contract address
+   * @param {Object} token1 - Second token object
+   * @param {string} token1.address - Token contract address
+   * @returns {{sortedToken0: Object, sortedToken1: Object, tokensSwapped: boolean}} Sorted tokens and swap flag
+   */
+  sortTokens(token0, token1) {
+    if (!token0?.address || !token1?.address) {
+      throw new Error("Both tokens must have valid addresses");
+    }
+
+    const tokensSwapped = token0.address.toLowerCase() > token1.address.toLowerCase();
+
+    return tokensSwapped
+      ? { sortedToken0: token1, sortedToken1: token0, tokensSwapped: true }
+      : { sortedToken0: token0, sortedToken1: token1, tokensSwapped: false };
+  }
+
+  /**
+   * Build a sorted PoolKey for a currency pair
+   * @param {string} token0Address - Address of first currency (address(0) for native)
+   * @param {string} token1Address - Address of second currency (address(0) for native)
+   * @param {number} fee - Pool LP fee in hundredths of a bip (e.g., 500)
+   * @param {number} [tickSpacing] - Tick spacing (defaults to the configured spacing for the fee)
+   * @param {string} [hooks=AddressZero] - Hooks contract address
+   * @returns {{currency0: string, currency1: string, fee: number, tickSpacing: number, hooks: string}} PoolKey
+   * @throws {Error} If parameters are invalid
+   *
+   * @example
+   * const poolKey = adapter.buildPoolKey(usdcAddress, wethAddress, 500);
+   * // { currency0: wethAddress, currency1: usdcAddress, fee: 500, tickSpacing: 10, hooks: AddressZero }
+   */
+  buildPoolKey(token0Address, token1Address, fee, tickSpacing, hooks = ethers.constants.AddressZero) {
+    // Validate token0 address
+    if (token0Address === null || token0Address === undefined || token0Address === '') {
+      throw new Error("Token0 address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(token0Address);
+    } catch (error) {
+      throw new Error(`Invalid token0 address: ${token0Address}`);
+    }
+
+    // Validate token1 address
+    if (token1Address === null || token1Address === undefined || token1Address === '') {
+      throw new Error("Token1 address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(token1Address);
+    } catch (error) {
+      throw new Error(`Invalid token1 address: ${token1Address}`);
+    }
+
+    if (token0Address.toLowerCase() === token1Address.toLowerCase()) {
+      throw new Error("Token0 and token1 addresses cannot be the same");
+    }
+
+    // Validate fee
+    if (fee === null || fee === undefined) {
+      throw new Error("Fee parameter is required");
+    }
+    if (!Number.isInteger(fee) || fee < 0) {
+      throw new Error("Fee must be a non-negative integer");
+    }
+
+    // Resolve tick spacing from config when not supplied
+    const resolvedTickSpacing = tickSpacing === undefined || tickSpacing === null
+      ? getPlatformTickSpacing(this.platformId, fee)
+      : tickSpacing;
+    if (!Number.isInteger(resolvedTickSpacing) || resolvedTickSpacing <= 0) {
+      throw new Error("Tick spacing must be a positive integer");
+    }
+
+    // Validate hooks address
+    let normalizedHooks;
+    try {
+      normalizedHooks = ethers.utils.getAddress(hooks);
+    } catch (error) {
+      throw new Error(`Invalid hooks address: ${hooks}`);
+    }
+
+    const { sortedToken0, sortedToken1 } = this.sortTokens(
+      { address: ethers.utils.getAddress(token0Address) },
+      { address: ethers.utils.getAddress(token1Address) }
+    );
+
+    return {
+      currency0: sortedToken0.address,
+      currency1: sortedToken1.address,
+      fee,
+      tickSpacing: resolvedTickSpacing,
+      hooks: normalizedHooks
+    };
+  }
+
+  /**
+   * Validate a PoolKey object
+   * @param {Object} poolKey - PoolKey to validate
+   * @throws {Error} If the PoolKey is invalid
+   * @private
+   */
+  _validatePoolKey(poolKey) {
+    if (!poolKey || typeof poolKey !== 'object' || Array.isArray(poolKey)) {
+      throw new Error("PoolKey must be an object");
+    }
+
+    for (const field of ['currency0', 'currency1', 'hooks']) {
+      if (!poolKey[field] || typeof poolKey[field] !== 'string') {
+        throw new Error(`PoolKey ${field} is required`);
+      }
+      try {
+        ethers.utils.getAddress(poolKey[field]);
+      } catch (error) {
+        throw new Error(`Invalid PoolKey ${field}: ${poolKey[field]}`);
+      }
+    }
+
+    if (poolKey.currency0.toLowerCase() >= poolKey.currency1.toLowerCase()) {
+      throw new Error("PoolKey currency0 must sort before currency1");
+    }
+
+    if (!Number.isInteger(poolKey.fee) || poolKey.fee < 0) {
+      throw new Error("PoolKey fee must be a non-negative integer");
+    }
+
+    if (!Number.isInteger(poolKey.tickSpacing) || poolKey.tickSpacing <= 0) {
+      throw new Error("PoolKey tickSpacing must be a positive integer");
+    }
+  }
+
+  /**
+   * Validate a V4 poolId
+   * @param {string} poolId - bytes32 pool identifier
+   * @throws {Error} If the poolId is invalid
+   * @private
+   */
+  _validatePoolId(poolId) {
+    if (!poolId) {
+      throw new Error("Pool ID parameter is required");
+    }
+    if (typeof poolId !== 'string' || !/^0x[0-9a-fA-F]{64}$/.test(poolId)) {
+      throw new Error(`Invalid pool ID: ${poolId}`);
+    }
+  }
+
+  /**
+   * Compute the poolId for a PoolKey
+   * @param {Object} poolKey - PoolKey object
+   * @returns {string} bytes32 poolId (keccak256 of the ABI-encoded PoolKey)
+   * @throws {Error} If the PoolKey is invalid
+   */
+  getPoolId(poolKey) {
+    this._validatePoolKey(poolKey);
+
+    return ethers.utils.keccak256(
+      ethers.utils.defaultAbiCoder.encode(
+        ['address', 'address', 'uint24', 'int24', 'address'],
+        [poolKey.currency0, poolKey.currency1, poolKey.fee, poolKey.tickSpacing, poolKey.hooks]
+      )
+    );
+  }
+
+  /**
+   * Calculate tick range from percentage parameters
+   * @param {number} currentTick - Current tick of the pool
+   * @param {number} upperPercent - Upper range in percentage (e.g., 10 for 10%)
+   * @param {number} lowerPercent - Lower range in percentage (e.g., 10 for 10%)
+   * @param {number} fee - Fee tier used to look up the default tick spacing
+   * @param {number} [tickSpacing] - Explicit tick spacing (overrides the fee lookup)
+   * @returns {{tickLower: number, tickUpper: number}} Tick range aligned to tick spacing
+   * @throws {Error} If parameters are invalid
+   */
+  calculateTickRangeFromPercentages(currentTick, upperPercent, lowerPercent, fee, tickSpacing) {
+    if (!Number.isFinite(currentTick)) {
+      throw new Error(`Invalid currentTick: ${currentTick}. Must be a finite number.`);
+    }
+
+    if (!Number.isFinite(upperPercent)) {
+      throw new Error(`Invalid upperPercent: ${upperPercent}. Must be a finite number.`);
+    }
+    if (upperPercent <= 0 || upperPercent > 100) {
+      throw new Error(`Invalid upperPercent: ${upperPercent}. Must be between 0 and 100 (exclusive of 0).`);
+    }
+
+    if (!Number.isFinite(lowerPercent)) {
+      throw new Error(`Invalid lowerPercent: ${lowerPercent}. Must be a finite number.`);
+    }
+    if (lowerPercent <= 0 || lowerPercent > 100) {
+      throw new Error(`Invalid lowerPercent: ${lowerPercent}. Must be between 0 and 100 (exclusive of 0).`);
+    }
+
+    if (!Number.isFinite(fee)) {
+      throw new Error(`Invalid fee: ${fee}. Must be a finite number.`);
+    }
+
+    const spacing = tickSpacing === undefined || tickSpacing === null
+      ? getPlatformTickSpacing(this.platformId, fee)
+      : tickSpacing;
+    if (!Number.isInteger(spacing) || spacing <= 0) {
+      throw new Error(`Invalid tickSpacing: ${spacing}. Must be a positive integer.`);
+    }
+
+    // 1% price change ≈ 100 ticks (since 1.0001^100 ≈ 1.01)
+    const ticksPerPercent = Math.round(Math.log(1.01) / Math.log(1.0001));
+    const rawUpperTick = currentTick + Math.round(upperPercent * ticksPerPercent);
+    const rawLowerTick = currentTick - Math.round(lowerPercent * ticksPerPercent);
+
+    // Upper tick rounds up, lower tick rounds down to the nearest usable tick
+    let tickUpper = Math.ceil(rawUpperTick / spacing) * spacing;
+    let tickLower = Math.floor(rawLowerTick / spacing) * spacing;
+
+    if (Object.is(tickUpper, -0)) tickUpper = 0;
+    if (Object.is(tickLower, -0)) tickLower = 0;
+
+    const { minTick, maxTick } = getPlatformTickBounds(this.platformId);
+
+    if (tickLower < minTick || tickLower > maxTick) {
+      throw new Error(`Invalid tickLower: ${tickLower}. Must be between ${minTick} and ${maxTick}.`);
+    }
+    if (tickUpper < minTick || tickUpper > maxTick) {
+      throw new Error(`Invalid tickUpper: ${tickUpper}. Must be between ${minTick} and ${maxTick}.`);
+    }
+
+    if (tickLower >= tickUpper) {
+      throw new Error(`Invalid tick range: tickLower (${tickLower}) must be less than tickUpper (${tickUpper})`);
+    }
+
+    return { tickLower, tickUpper };
+  }
+
+  /**
+   * Validate that provider is on the correct chain
+   * @param {Object} provider - Ethers provider instance
+   * @throws {Error} If provider is invalid or on wrong chain
+   */
+  async _validateProviderChain(provider) {
+    if (!(provider instanceof ethers.providers.Provider)) {
+      throw new Error('Invalid provider. Must be an ethers provider instance.');
+    }
+
+    try {
+      const network = await provider.getNetwork();
+
+      if (!network || network.chainId === undefined) {
+        throw new Error('Provider returned invalid network data');
+      }
+
+      const providerChainId = Number(network.chainId);
+
+      if (providerChainId !== this.chainId) {
+        throw new Error(`Provider chain ${providerChainId} doesn't match adapter chain ${this.chainId}`);
+      }
+    } catch (error) {
+      if (error.message.includes("doesn't match adapter chain")) {
+        throw error;
+      }
+      throw new Error(`Failed to validate provider chain: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get StateView contract instance
+   * @param {Object} provider - Ethers provider instance
+   * @returns {ethers.Contract} StateView contract instance
+   * @private
+   */
+  _getStateView(provider) {
+    if (!provider) {
+      throw new Error('Provider is required');
+    }
+
+    if (!this.addresses?.stateViewAddress) {
+      throw new Error(`StateView not available for chain ${this.chainId}`);
+    }
+
+    return new ethers.Contract(this.addresses.stateViewAddress, this.stateViewABI, provider);
+  }
+
+  /**
+   * Get position manager contract instance
+   * @param {Object} provider - Ethers provider instance
+   * @returns {ethers.Contract} Position manager contract instance
+   * @private
+   */
+  _getPositionManager(provider) {
+    if (!provider) {
+      throw new Error('Provider is required');
+    }
+
+    if (!this.addresses?.positionManagerAddress) {
+      throw new Error(`Position manager not available for chain ${this.chainId}`);
+    }
+
+    return new ethers.Contract(this.addresses.positionManagerAddress, this.positionManagerABI, provider);
+  }
+
+  /**
+   * Get the poolId for a token pair using the default tick spacing and no hooks
+   *
+   * V4 pools have no address; the returned value is the bytes32 poolId, which is
+   * what the rest of this adapter accepts wherever a pool address is expected.
+   *
+   * @param {string} token0Address - Address of first token
+   * @param {string} token1Address - Address of second token
+   * @param {number} fee - Fee tier (e.g., 500, 3000, 10000)
+   * @param {Object} provider - Ethers provider instance
+   * @returns {Promise<string>} bytes32 poolId
+   */
+  async getPoolAddress(token0Address, token1Address, fee, provider) {
+    const poolKey = this.buildPoolKey(token0Address, token1Address, fee);
+
+    // Validate provider
+    await this._validateProviderChain(provider);
+
+    return this.getPoolId(poolKey);
+  }
+
+  /**
+   * Check if a pool exists (is initialized) for the given tokens and fee tier
+   * @param {Object} token0 - First token object
+   * @param {string} token0.address - Token contract address
+   * @param {number} token0.decimals - Token decimals
+   * @param {Object} token1 - Second token object
+   * @param {string} token1.address - Token contract address
+   * @param {number} token1.decimals - Token decimals
+   * @param {number} fee - Fee tier (e.g., 500, 3000, 10000)
+   * @param {Object} provider - Ethers provider instance
+   * @returns {Promise<{exists: boolean, poolAddress: string|null, slot0: Object|null}>} Pool existence check result (poolAddress is the poolId)
+   */
+  async checkPoolExists(token0, token1, fee, provider) {
+    if (!token0) {
+      throw new Error("Token0 parameter is required");
+    }
+    if (!token0.address) {
+      throw new Error("Token0 address is required");
+    }
+    if (!Number.isFinite(token0.decimals)) {
+      throw new Error("Token0 decimals must be a valid number");
+    }
+    if (!token1) {
+      throw new Error("Token1 parameter is required");
+    }
+    if (!token1.address) {
+      throw new Error("Token1 address is required");
+    }
+    if (!Number.isFinite(token1.decimals)) {
+      throw new Error("Token1 decimals must be a valid number");
+    }
+
+    const poolId = await this.getPoolAddress(token0.address, token1.address, fee, provider);
+    const stateView = this._getStateView(provider);
+
+    const slot0 = await stateView.getSlot0(poolId);
+
+    // Uninitialized pools report a zero sqrtPriceX96
+    if (slot0.sqrtPriceX96.isZero()) {
+      return { exists: false, poolAddress: null, slot0: null };
+    }
+
+    return { exists: true, poolAddress: poolId, slot0 };
+  }
+
+  /**
+   * Fetch pool state data for a PoolKey
+   * @param {Object} poolKey - PoolKey (see buildPoolKey)
+   * @param {Object} provider - Ethers provider
+   * @returns {Promise<Object>} Pool state data keyed like the V3 adapter's, with `poolAddress` set to the poolId
+   */
+  async fetchPoolData(poolKey, provider) {
+    this._validatePoolKey(poolKey);
+
+    // Validate provider
+    await this._validateProviderChain(provider);
+
+    return this._readPoolData(poolKey, provider);
+  }
+
+  /**
+   * Read pool state data for a validated PoolKey
+   * @param {Object} poolKey - PoolKey (see buildPoolKey)
+   * @param {Object} provider - Ethers provider
+   * @param {Object} [overrides={}] - Call overrides, such as `{ blockTag }`
+   * @returns {Promise<Object>} Pool state data (see fetchPoolData)
+   * @private
+   */
+  async _readPoolData(poolKey, provider, overrides = {}) {
+    // Resolve currency data (throws for tokens missing from config)
+    const token0Data = this._getCurrencyData(poolKey.currency0);
+    const token1Data = this._getCurrencyData(poolKey.currency1);
+
+    const poolId = this.getPoolId(poolKey);
+    const stateView = this._getStateView(provider);
+
+    try {
+      const [slot0, liquidity, feeGrowthGlobals] = await Promise.all([
+        stateView.getSlot0(poolId, overrides),
+        stateView.getLiquidity(poolId, overrides),
+        stateView.getFeeGrowthGlobals(poolId, overrides)
+      ]);
+
+      return this._formatPoolData(poolKey, token0Data, token1Data, { slot0, liquidity, feeGrowthGlobals });
+    } catch (error) {
+      throw new Error(`Failed to fetch pool data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Format StateView pool reads as pool state data
+   * @param {Object} poolKey - PoolKey (see buildPoolKey)
+   * @param {Object} token0Data - Currency data of currency0
+   * @param {Object} token1Data - Currency data of currency1
+   * @param {Object} state - Raw `slot0`, `liquidity` and `feeGrowthGlobals` reads
+   * @returns {Object} Pool state data (see fetchPoolData)
+   * @throws {Error} If the pool is not initialized
+   * @private
+   */
+  _formatPoolData(poolKey, token0Data, token1Data, { slot0, liquidity, feeGrowthGlobals }) {
+    const poolId = this.getPoolId(poolKey);
+    if (slot0.sqrtPriceX96.isZero()) {
+      throw new Error(`Pool ${poolId} is not initialized`);
+    }
+
+    return {
+      poolAddress: poolId,
+      poolId,
+      poolKey: { ...poolKey },
+      token0: token0Data,
+      token1: token1Data,
+      sqrtPriceX96: slot0.sqrtPriceX96.toString(),
+      tick: Number(slot0.tick),
+      protocolFee: Number(slot0.protocolFee),
+      lpFee: Number(slot0.lpFee),
+      liquidity: liquidity.toString(),
+      feeGrowthGlobal0X128: feeGrowthGlobals.feeGrowthGlobal0.toString(),
+      feeGrowthGlobal1X128: feeGrowthGlobals.feeGrowthGlobal1.toString(),
+      tickSpacing: poolKey.tickSpacing,
+      fee: poolKey.fee,
+      hooks: poolKey.hooks,
+      ticks: {} // Will be populated by fetchTickData
+    };
+  }
+
+  /**
+   * Get pool data by poolId with optional tick data and token information
+   * @param {string} poolId - bytes32 pool identifier
+   * @param {Object} options - Options object for additional data to include (required)
+   * @param {Array<number>} [options.includeTicks] - Array of tick indices to fetch data for (must be integers)
+   * @param {boolean} [options.includeTokens] - Whether to resolve the PoolKey (token0, token1, tickSpacing, hooks)
+   * @param {Object} provider - Ethers provider instance
+   * @returns {Promise<Object>} Complete pool data with requested additional fields
+   * @throws {Error} If parameters are invalid or pool data cannot be retrieved
+   */
+  async getPoolData(poolId, options, provider) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error("Options parameter must be an object");
+    }
+
+    if (options.includeTicks !== undefined) {
+      if (!Array.isArray(options.includeTicks)) {
+        throw new Error("includeTicks must be an array");
+      }
+      if (!options.includeTicks.every(tick => typeof tick === 'number' && Number.isInteger(tick))) {
+        throw new Error("All includeTicks values must be integers");
+      }
+    }
+
+    if (options.includeTokens !== undefined && typeof options.includeTokens !== 'boolean') {
+      throw new Error("includeTokens must be a boolean");
+    }
+
+    const { includeTicks = [], includeTokens = false } = options;
+
+    this._validatePoolId(poolId);
+
+    if (!provider || !(provider instanceof ethers.providers.Provider)) {
+      throw new Error("Provider parameter is required");
+    }
+
+    try {
+      const stateView = this._getStateView(provider);
+
+      const [slot0, liquidity, feeGrowthGlobals] = await Promise.all([
+        stateView.getSlot0(poolId),
+        stateView.getLiquidity(poolId),
+        stateView.getFeeGrowthGlobals(poolId)
+      ]);
+
+      const poolData = {
+        address: poolId,
+        poolId,
+        sqrtPriceX96: slot0.sqrtPriceX96.toString(),
+        tick: Number(slot0.tick),
+        protocolFee: Number(slot0.protocolFee),
+        liquidity: liquidity.toString(),
+        feeGrowthGlobal0X128: feeGrowthGlobals.feeGrowthGlobal0.toString(),
+        feeGrowthGlobal1X128: feeGrowthGlobals.feeGrowthGlobal1.toString(),
+        fee: Number(slot0.lpFee),
+        lastUpdated: Date.now()
+      };
+
+      if (includeTicks.length > 0) {
+        poolData.ticks = {};
+        const tickResults = await Promise.all(
+          includeTicks.map(tick => stateView.getTickInfo(poolId, tick).then(data => ({ tick, data })))
+        );
+
+        for (const { tick, data } of tickResults) {
+          poolData.ticks[tick.toString()] = {
+            ...this._formatTickInfo(data),
+            lastUpdated: Date.now()
+          };
+        }
+      }
+
+      if (includeTokens) {
+        // PositionManager records the PoolKey for every pool it has minted into,
+        // indexed by the first 25 bytes of the poolId
+        const positionManager = this._getPositionManager(provider);
+        const poolKey = await positionManager.poolKeys(ethers.utils.hexDataSlice(poolId, 0, 25));
+
+        if (Number(poolKey.tickSpacing) === 0) {
+          throw new Error(`PoolKey for ${poolId} is not registered with the PositionManager`);
+        }
+
+        poolData.token0 = poolKey.currency0;
+        poolData.token1 = poolKey.currency1;
+        poolData.tickSpacing = Number(poolKey.tickSpacing);
+        poolData.hooks = poolKey.hooks;
+        poolData.poolKey = {
+          currency0: poolKey.currency0,
+          currency1: poolKey.currency1,
+          fee: Number(poolKey.fee),
+          tickSpacing: Number(poolKey.tickSpacing),
+          hooks: poolKey.hooks
+        };
+      }
+
+      return poolData;
+    } catch (error) {
+      throw new Error(`Failed to get pool data for ${poolId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Format a StateView tick info result
+   * @param {Object} tickInfo - Raw getTickInfo result
+   * @returns {Object} Tick data with string values
+   * @private
+   */
+  _formatTickInfo(tickInfo) {
+    const liquidityGross = BigInt(tickInfo.liquidityGross.toString());
+    return {
+      liquidityGross: liquidityGross.toString(),
+      liquidityNet: tickInfo.liquidityNet.toString(),
+      feeGrowthOutside0X128: tickInfo.feeGrowthOutside0X128.toString(),
+      feeGrowthOutside1X128: tickInfo.feeGrowthOutside1X128.toString(),
+      initialized: liquidityGross > 0n
+    };
+  }
+
+  /**
+   * Fetch tick-specific data for fee calculations
+   * @param {string} poolId - bytes32 pool identifier
+   * @param {number} tickLower - Lower tick of the position
+   * @param {number} tickUpper - Upper tick of the position
+   * @param {Object} provider - Ethers provider instance
+   * @returns {Promise<{tickLower: Object, tickUpper: Object}>} Tick data
+   */
+  async fetchTickData(poolId, tickLower, tickUpper, provider) {
+    this._validatePoolId(poolId);
+
+    if (tickLower === null || tickLower === undefined) {
+      throw new Error("tickLower parameter is required");
+    }
+    if (typeof tickLower !== 'number' || !Number.isFinite(tickLower)) {
+      throw new Error("tickLower must be a valid number");
+    }
+
+    if (tickUpper === null || tickUpper === undefined) {
+      throw new Error("tickUpper parameter is required");
+    }
+    if (typeof tickUpper !== 'number' || !Number.isFinite(tickUpper)) {
+      throw new Error("tickUpper must be a valid number");
+    }
+
+    // Validate provider
+    await this._validateProviderChain(provider);
+
+    const stateView = this._getStateView(provider);
+
+    try {
+      const [lowerTickData, upperTickData] = await Promise.all([
+        stateView.getTickInfo(poolId, tickLower),
+        stateView.getTickInfo(poolId, tickUpper)
+      ]);
+
+      return {
+        tickLower: this._formatTickInfo(lowerTickData),
+        tickUpper: this._formatTickInfo(upperTickData)
+      };
+    } catch (error) {
+      throw new Error(`Failed to fetch tick data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get current tick for a Uniswap V4 pool
+   * @param {string} poolId - bytes32 pool identifier
+   * @param {Object} provider - Ethers provider instance
+   * @returns {Promise<number>} Current tick value
+   * @throws {Error} If parameters invalid or pool query fails
+   */
+  async getCurrentTick(poolId, provider) {
+    this._validatePoolId(poolId);
+
+    await this._validateProviderChain(provider);
+
+    const stateView = this._getStateView(provider);
+
+    try {
+      const slot0 = await stateView.getSlot0(poolId);
+      return Number(slot0.tick);
+    } catch (error) {
+      throw new Error(`Failed to get current tick for pool ${poolId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Decode the packed PositionInfo word stored by the V4 PositionManager
+   *
+   * Layout (most to least significant): 200 bits poolId prefix | 24 bits tickUpper |
+   * 24 bits tickLower | 8 bits hasSubscriber
+   *
+   * @param {string|bigint|Object} info - Packed PositionInfo (uint256)
+   * @returns {{poolIdPrefix: string, tickLower: number, tickUpper: number, hasSubscriber: boolean}} Decoded position info
+   */
+  decodePositionInfo(info) {
+    if (info === null || info === undefined) {
+      throw new Error("Position info parameter is required");
+    }
+
+    let packed;
+    try {
+      packed = BigInt(info.toString());
+    } catch (error) {
+      throw new Error(`Invalid position info: ${info}`);
+    }
+
+    const toInt24 = (value) => (value >= 0x800000n ? value - 0x1000000n : value);
+
+    return {
+      poolIdPrefix: ethers.utils.hexZeroPad('0x' + (packed >> 56n).toString(16), 25),
+      tickLower: Number(toInt24((packed >> 8n) & 0xFFFFFFn)),
+      tickUpper: Number(toInt24((packed >> 32n) & 0xFFFFFFn)),
+      hasSubscriber: (packed & 0xFFn) !== 0n
+    };
+  }
+
+  /**
+   * Fetch position token IDs currently owned by an address
+   *
+   * The V4 PositionManager is not ERC721Enumerable, so candidate token IDs come from the caller (e.g. an indexer
+   * or the cursor of an earlier getPositions call) and from Transfer events into the address. Logs are scanned
+   * from `source.fromBlock` - from `positionManagerStartBlock` (chain config) when neither source is given, and
+   * not at all when only token IDs are given - in block ranges that grow while the provider accepts them. The
+   * candidates are then filtered by one batch of ownerOf reads.
+   *
+   * @param {string} address - Owner address
+   * @param {ethers.Contract} positionManager - Position manager contract, connected to a provider
+   * @param {number} [blockNumber] - Last block to scan and block to read owners at (defaults to the latest block)
+   * @param {Object} [source] - Token ID source
+   * @param {Array<string>} [source.tokenIds] - Known candidate token IDs
+   * @param {number} [source.fromBlock] - First block to scan Transfer logs from
+   * @returns {Promise<string[]>} Array of position token IDs
+   * @private
+   */
+  async _fetchUserPositionIds(address, positionManager, blockNumber, source = {}) {
+    if (!address) {
+      throw new Error("Address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(address);
+    } catch (error) {
+      throw new Error("Invalid Ethereum address");
+    }
+
+    if (!positionManager) {
+      throw new Error("Position manager parameter is required");
+    }
+    if (typeof positionManager.filters?.Transfer !== 'function' || !(positionManager.interface instanceof ethers.utils.Interface)) {
+      throw new Error("Invalid position manager contract - missing required methods");
+    }
+    if (!(positionManager.provider instanceof ethers.providers.Provider)) {
+      throw new Error("Position manager must be connected to a provider");
+    }
+
+    const provider = positionManager.provider;
+    const toBlock = blockNumber ?? await resolveBlockTag(provider, 'latest');
+    const candidateIds = new Set((source.tokenIds ?? []).map(String));
+
+    if (source.fromBlock !== undefined || source.tokenIds === undefined) {
+      const fromBlock = source.fromBlock ?? this.addresses.positionManagerStartBlock ?? 0;
+      const logs = await getLogsInChunks(
+        provider,
+        positionManager.filters.Transfer(null, address),
+        fromBlock,
+        toBlock,
+        DEFAULT_LOG_CHUNK_SIZE,
+        TRANSFER_LOG_RANGES
+      );
+      logs.forEach(log => candidateIds.add(positionManager.interface.parseLog(log).args[2].toString()));
+    }
+
+    const tokenIds = [...candidateIds];
+    const owners = await multicall(
+      tokenIds.map(tokenId => ({
+        target: positionManager.address,
+        iface: positionManager.interface,
+        method: 'ownerOf',
+        args: [tokenId]
+      })),
+      provider,
+      { blockTag: toBlock }
+    );
+
+    // ownerOf reverts for burned positions - those are left out
+    return tokenIds.filter((tokenId, i) =>
+      owners[i].success && owners[i].result[0].toLowerCase() === address.toLowerCase()
+    );
+  }
+
+  /**
+   * Assemble position data from contract data and pool data
+   * @param {string} tokenId - Position token ID
+   * @param {Object} positionData - Decoded position data
+   * @param {Object} poolData - Pool data containing token and pool information
+   * @returns {Object} Assembled position object
+   * @private
+   */
+  _assemblePositionData(tokenId, positionData, poolData) {
+    const { tickLower, tickUpper, liquidity, feeGrowthInside0LastX128, feeGrowthInside1LastX128, hasSubscriber } = positionData;
+    const { token0, token1, poolId, poolKey } = poolData;
+
+    return {
+      id: String(tokenId),
+      tokenPair: `${token0.symbol}/${token1.symbol}`,
+      pool: poolId,
+      poolId,
+      poolKey: { ...poolKey },
+      fee: poolKey.fee,
+      tickSpacing: poolKey.tickSpacing,
+      hooks: poolKey.hooks,
+      tickLower,
+      tickUpper,
+      liquidity: liquidity.toString(),
+      feeGrowthInside0LastX128: feeGrowthInside0LastX128.toString(),
+      feeGrowthInside1LastX128: feeGrowthInside1LastX128.toString(),
+      // V4 credits fees on every liquidity change, so nothing is ever left owed on the position
+      tokensOwed0: "0",
+      tokensOwed1: "0",
+      hasSubscriber,
+      platform: this.platformId,
+      platformName: this.platformName
+    };
+  }
+
+  /**
+   * Get positions owned by an address
+   *
+   * Reads are batched through Multicall3: the owned token IDs, then every position's PoolKey and ticks, then the
+   * state of each distinct pool with its position ticks and every position's liquidity. Every read is pinned to
+   * one block, reported as `blockNumber`.
+   *
+   * Token IDs are found from Transfer logs (see `options.fromBlock`), which is slow over a long history. The
+   * returned `cursor` passed as options to a later call scans only the blocks after this one; token IDs from an
+   * indexer can be passed as `options.tokenIds` to skip the scan.
+   *
+   * @param {string} address - User's wallet or vault address
+   * @param {Object} provider - Ethers provider instance
+   * @param {Object} [options] - Read options
+   * @param {number|string} [options.blockTag] - Block to read at (defaults to the latest block)
+   * @param {Array<string>} [options.tokenIds] - Candidate token IDs, e.g. from an indexer or an earlier `cursor`;
+   *   Transfer logs are not scanned unless `options.fromBlock` is also given
+   * @param {number} [options.fromBlock] - First block to scan Transfer logs from (defaults to the chain's
+   *   `positionManagerStartBlock` without `options.tokenIds`)
+   * @returns {Promise<{positions: Object, poolData: Object, blockNumber: number,
+   *   cursor: {tokenIds: Array<string>, fromBlock: number}}>} Position data keyed by token ID, pool data keyed by
+   *   poolId, and the token ID source for the next call
+   */
+  async getPositions(address, provider, options = {}) {
+    if (!address) {
+      throw new Error("Address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(address);
+    } catch (error) {
+      throw new Error(`Invalid address: ${address}`);
+    }
+
+    // Validate provider
+    await this._validateProviderChain(provider);
+
+    // Validate options
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error("Options parameter must be an object");
+    }
+    if (options.blockTag !== undefined) {
+      validateBlockTag(options.blockTag);
+    }
+    if (options.tokenIds !== undefined && (!Array.isArray(options.tokenIds) ||
+      !options.tokenIds.every(tokenId => /^\d+$/.test(String(tokenId))))) {
+      throw new Error("tokenIds must be an array of position token IDs");
+    }
+    if (options.fromBlock !== undefined && (!Number.isInteger(options.fromBlock) || options.fromBlock < 0)) {
+      throw new Error(`Invalid fromBlock: ${options.fromBlock}`);
+    }
+
+    try {
+      const positionManager = this._getPositionManager(provider);
+
+      // Pin every read of the snapshot to one block
+      const blockNumber = await resolveBlockTag(provider, options.blockTag);
+
+      const tokenIds = await this._fetchUserPositionIds(address, positionManager, blockNumber, {
+        tokenIds: options.tokenIds,
+        fromBlock: options.fromBlock
+      });
+      const cursor = { tokenIds, fromBlock: blockNumber + 1 };
+
+      if (tokenIds.length === 0) {
+        return { positions: {}, poolData: {}, blockNumber, cursor };
+      }
+
+      const readOptions = { blockTag: blockNumber };
+      const positions = {};
+      const poolDataMap = {};
+      const processingErrors = [];
+
+      // Get every position's PoolKey and packed ticks
+      const infoResults = await multicall(
+        tokenIds.map(tokenId => ({
+          target: positionManager.address,
+          iface: positionManager.interface,
+          method: 'getPoolAndPositionInfo',
+          args: [tokenId]
+        })),
+        provider,
+        readOptions
+      );
+
+      // Group positions by poolId so each pool and tick is read once
+      const pools = new Map();
+      const pending = [];
+      tokenIds.forEach((tokenId, index) => {
+        const { success, result, error } = infoResults[index];
+        try {
+          if (!success) {
+            throw error;
+          }
+          const [rawPoolKey, info] = result;
+          const { tickLower, tickUpper, hasSubscriber } = this.decodePositionInfo(info);
+
+          const poolKey = {
+            currency0: rawPoolKey.currency0,
+            currency1: rawPoolKey.currency1,
+            fee: Number(rawPoolKey.fee),
+            tickSpacing: Number(rawPoolKey.tickSpacing),
+            hooks: rawPoolKey.hooks
+          };
+          const poolId = this.getPoolId(poolKey);
+
+          if (!pools.has(poolId)) {
+            pools.set(poolId, {
+              poolKey,
+              token0: this._getCurrencyData(poolKey.currency0),
+              token1: this._getCurrencyData(poolKey.currency1),
+              ticks: new Set()
+            });
+          }
+          pools.get(poolId).ticks.add(tickLower).add(tickUpper);
+          pending.push({ tokenId, poolId, tickLower, tickUpper, hasSubscriber });
+        } catch (error) {
+          processingErrors.push(`Position ${tokenId}: ${error.message}`);
+        }
+      });
+
+      // Read pool state, position ticks and position liquidity in one batch
+      const stateView = this._getStateView(provider);
+      const stateViewCall = (method, args) => ({
+        target: stateView.address,
+        iface: stateView.interface,
+        method,
+        args
+      });
+      const poolList = [...pools.entries()].map(([poolId, pool]) => ({ poolId, ...pool, ticks: [...pool.ticks] }));
+      const calls = [
+        ...poolList.flatMap(({ poolId, ticks }) => [
+          stateViewCall('getSlot0', [poolId]),
+          stateViewCall('getLiquidity', [poolId]),
+          stateViewCall('getFeeGrowthGlobals', [poolId]),
+          ...ticks.map(tick => stateViewCall('getTickInfo', [poolId, tick]))
+        ]),
+        // Position state lives in the PoolManager, owned by the PositionManager and salted with the token ID
+        ...pending.map(({ tokenId, poolId, tickLower, tickUpper }) => stateViewCall('getPositionInfo', [
+          poolId,
+          this.addresses.positionManagerAddress,
+          tickLower,
+          tickUpper,
+          ethers.utils.hexZeroPad(ethers.BigNumber.from(tokenId).toHexString(), 32)
+        ]))
+      ];
+      const results = await multicall(calls, provider, readOptions);
+
+      let offset = 0;
+      const next = () => {
+        const { success, result, error } = results[offset++];
+        if (!success) {
+          throw error;
+        }
+        return result;
+      };
+
+      const poolErrors = {};
+      for (const { poolId, poolKey, token0, token1, ticks } of poolList) {
+        const start = offset;
+        try {
+          const [slot0, [liquidity], feeGrowthGlobals] = [next(), next(), next()];
+          const poolData = this._formatPoolData(poolKey, token0, token1, { slot0, liquidity, feeGrowthGlobals });
+          ticks.forEach(tick => {
+            poolData.ticks[tick] = this._formatTickInfo(next());
+          });
+          poolDataMap[poolId] = poolData;
+        } catch (error) {
+          poolErrors[poolId] = error;
+        }
+        offset = start + 3 + ticks.length;
+      }
+
+      // Assemble position data
+      for (const { tokenId, poolId, tickLower, tickUpper, hasSubscriber } of pending) {
+        const { success, result: positionState, error } = results[offset++];
+        if (poolErrors[poolId]) {
+          processingErrors.push(`Position ${tokenId}: Failed to fetch pool data: ${poolErrors[poolId].message}`);
+          continue;
+        }
+        if (!success) {
+          processingErrors.push(`Position ${tokenId}: ${error.message}`);
+          continue;
+        }
+
+        const position = this._assemblePositionData(tokenId, {
+          tickLower,
+          tickUpper,
+          liquidity: positionState.liquidity,
+          feeGrowthInside0LastX128: positionState.feeGrowthInside0LastX128,
+          feeGrowthInside1LastX128: positionState.feeGrowthInside1LastX128,
+          hasSubscriber
+        }, poolDataMap[poolId]);
+        positions[position.id] = position;
+      }
+
+      if (processingErrors.length > 0) {
+        throw new Error(`Failed to process ${processingErrors.length} position(s): ${processingErrors.join('; ')}`);
+      }
+
+      return {
+        positions,
+        poolData: poolDataMap,
+        blockNumber,
+        cursor
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to fetch Uniswap V4 positions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get positions formatted for VaultDataService
+   * @param {string} address - Vault address
+   * @param {Object} provider - Ethers provider instance
+   * @returns {Promise<{positions: Object, poolData: Object}>} Normalized position data and pool data
+   */
+  async getPositionsForVDS(address, provider) {
+    if (!address) {
+      throw new Error("Address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(address);
+    } catch (error) {
+      throw new Error(`Invalid address: ${address}`);
+    }
+
+    if (!provider || typeof provider.getNetwork !== 'function') {
+      throw new Error("Valid provider parameter is required");
+    }
+
+    try {
+      const result = await this.getPositions(address, provider);
+
+      const normalizedPositions = {};
+      Object.values(result.positions).forEach(position => {
+        // Skip positions with zero liquidity (closed positions)
+        if (BigInt(position.liquidity) === 0n) {
+          return;
+        }
+        normalizedPositions[position.id] = {
+          id: position.id,
+          pool: position.pool,
+          tickLower: position.tickLower,
+          tickUpper: position.tickUpper,
+          liquidity: position.liquidity,
+          lastUpdated: Date.now()
+        };
+      });
+
+      const metadataPoolData = {};
+      for (const [poolId, poolInfo] of Object.entries(result.poolData)) {
+        metadataPoolData[poolId] = {
+          poolAddress: poolId,
+          poolKey: poolInfo.poolKey,
+          token0Symbol: poolInfo.token0?.symbol,
+          token1Symbol: poolInfo.token1?.symbol,
+          fee: poolInfo.fee,
+          tickSpacing: poolInfo.tickSpacing,
+          hooks: poolInfo.hooks,
+          platform: this.platformId
+        };
+      }
+
+      return {
+        positions: normalizedPositions,
+        poolData: metadataPoolData
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to fetch positions for VDS: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check if a position is in range (active)
+   * @param {number} currentTick - Current tick of the pool
+   * @param {number} tickLower - Lower tick of the position
+   * @param {number} tickUpper - Upper tick of the position
+   * @returns {boolean} - Whether the position is in range
+   * @throws {Error} - If parameters are invalid
+   */
+  isPositionInRange(currentTick, tickLower, tickUpper) {
+    if (typeof currentTick !== 'number' || !isFinite(currentTick)) {
+      throw new Error('Invalid currentTick: must be a number');
+    }
+    if (typeof tickLower !== 'number' || !isFinite(tickLower)) {
+      throw new Error('Invalid tickLower: must be a number');
+    }
+    if (typeof tickUpper !== 'number' || !isFinite(tickUpper)) {
+      throw new Error('Invalid tickUpper: must be a number');
+    }
+
+    if (tickLower >= tickUpper) {
+      throw new Error('Invalid tick range: tickLower must be less than tickUpper');
+    }
+
+    return currentTick >= tickLower && currentTick <= tickUpper;
+  }
+
+  /**
+   * Validate base/quote token pair for price conversions
+   * @param {Object} baseToken - Base token with address and decimals
+   * @param {Object} quoteToken - Quote token with address and decimals
+   * @returns {{base: Token, quote: Token}} SDK tokens
+   * @throws {Error} If token data is invalid
+   * @private
+   */
+  _createPriceTokens(baseToken, quoteToken) {
+    if (!baseToken || !quoteToken) {
+      throw new Error("Missing required token information");
+    }
+
+    if (!baseToken.address) {
+      throw new Error("baseToken.address is required");
+    }
+    if (!quoteToken.address) {
+      throw new Error("quoteToken.address is required");
+    }
+
+    let validatedBaseAddress, validatedQuoteAddress;
+    try {
+      validatedBaseAddress = ethers.utils.getAddress(baseToken.address);
+    } catch (error) {
+      throw new Error(`Invalid baseToken.address: ${baseToken.address}`);
+    }
+    try {
+      validatedQuoteAddress = ethers.utils.getAddress(quoteToken.address);
+    } catch (error) {
+      throw new Error(`Invalid quoteToken.address: ${quoteToken.address}`);
+    }
+
+    if (validatedBaseAddress === validatedQuoteAddress) {
+      throw new Error("Base and quote token addresses cannot be the same");
+    }
+
+    if (!Number.isFinite(baseToken.decimals) || baseToken.decimals < 0 || baseToken.decimals > 255) {
+      throw new Error("baseToken.decimals must be a finite number between 0 and 255");
+    }
+    if (!Number.isFinite(quoteToken.decimals) || quoteToken.decimals < 0 || quoteToken.decimals > 255) {
+      throw new Error("quoteToken.decimals must be a finite number between 0 and 255");
+    }
+
+    // Price math only needs ordering and decimals, so native ETH is represented by its zero address
+    return {
+      base: new Token(this.chainId, validatedBaseAddress, baseToken.decimals),
+      quote: new Token(this.chainId, validatedQuoteAddress, quoteToken.decimals)
+    };
+  }
+
+  /**
+   * Calculate price from sqrtPriceX96
+   * @param {string} sqrtPriceX96 - Square root price in X96 format
+   * @param {Object} baseToken - Base token (token0 unless inverted)
+   * @param {string} baseToken.address - Token address
+   * @param {number} baseToken.decimals - Token decimals
+   * @param {Object} quoteToken - Quote token (token1 unless inverted)
+   * @param {string} quoteToken.address - Token address
+   * @param {number} quoteToken.decimals - Token decimals
+   * @returns {Price} Uniswap SDK Price object
+   */
+  calculatePriceFromSqrtPrice(sqrtPriceX96, baseToken, quoteToken) {
+    if (typeof sqrtPriceX96 !== 'string') {
+      throw new Error('sqrtPriceX96 must be a string');
+    }
+    if (!/^\d+$/.test(sqrtPriceX96) || sqrtPriceX96 === "0") {
+      throw new Error("Invalid sqrtPriceX96 value");
+    }
+
+    const { base, quote } = this._createPriceTokens(baseToken, quoteToken);
+
+    try {
+      const tick = TickMath.getTickAtSqrtRatio(JSBI.BigInt(sqrtPriceX96));
+      return tickToPrice(base, quote, tick);
+    } catch (error) {
+      throw new Error(`Failed to calculate price: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert a tick value to a corresponding price
+   * @param {number} tick - The tick value
+   * @param {Object} baseToken - Base token (token0 unless inverted)
+   * @param {Object} quoteToken - Quote token (token1 unless inverted)
+   * @returns {Price} Uniswap SDK Price object
+   */
+  tickToPrice(tick, baseToken, quoteToken) {
+    if (!Number.isFinite(tick)) {
+      throw new Error("Invalid tick value");
+    }
+
+    const { base, quote } = this._createPriceTokens(baseToken, quoteToken);
+
+    try {
+      return tickToPrice(base, quote, tick);
+    } catch (error) {
+      throw new Error(`Failed to convert tick to price: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert a human-readable price to a tick value
+   * @param {number} price - Human-readable price (quoteToken per baseToken)
+   * @param {Object} baseToken - Base token (denominator)
+   * @param {Object} quoteToken - Quote token (numerator)
+   * @returns {number} The closest valid tick for this price
+   */
+  priceToTick(price, baseToken, quoteToken) {
+    if (!Number.isFinite(price) || price <= 0) {
+      throw new Error("Invalid price value: must be a positive finite number");
+    }
+
+    const { base, quote } = this._createPriceTokens(baseToken, quoteToken);
+
+    try {
+      // SDK Price stores raw ratios: rawRatio = humanPrice * 10^(quoteDecimals - baseDecimals)
+      const denominator = (10n ** BigInt(base.decimals)).toString();
+      const numerator = BigInt(Math.floor(price * Math.pow(10, quote.decimals))).toString();
+
+      return priceToClosestTick(new Price(base, quote, denominator, numerator));
+    } catch (error) {
+      throw new Error(`Failed to convert price to tick: ${error.message}`);
+    }
+  }
+
+  /**
+   * Parse a decimal-only numeric string to bigint
+   * @param {string} value - Value to parse
+   * @param {string} name - Field name for error reporting
+   * @returns {bigint} Parsed value
+   * @throws {Error} If value is not a decimal numeric string
+   * @private
+   */
+  _parseUintString(value, name) {
+    if (typeof value !== 'string' || !/^\d+$/.test(value)) {
+      throw new Error(`Invalid ${name}: must be a valid numeric string`);
+    }
+    return BigInt(value);
+  }
+
+  /**
+   * Calculate uncollected fees for a Uniswap V4 position
+   *
+   * Uses the same fee growth accounting as V3. V4 positions never carry
+   * tokensOwed, so those fields are optional and default to zero.
+   *
+   * @param {Object} position - Position data (as returned by getPositions)
+   * @param {string} position.liquidity - Position liquidity
+   * @param {string} position.feeGrowthInside0LastX128 - Fee growth inside for token0 at last action
+   * @param {string} position.feeGrowthInside1LastX128 - Fee growth inside for token1 at last action
+   * @param {number} position.tickLower - Lower tick of the position
+   * @param {number} position.tickUpper - Upper tick of the position
+   * @param {Object} poolData - Current pool state data
+   * @param {number} poolData.tick - Current pool tick
+   * @param {string} poolData.feeGrowthGlobal0X128 - Current global fee growth for token0
+   * @param {string} poolData.feeGrowthGlobal1X128 - Current global fee growth for token1
+   * @param {Object} poolData.ticks - Tick data keyed by tick index (must include both position ticks)
+   * @returns {[bigint, bigint]} Array with [token0Fees, token1Fees] as raw bigint values
+   * @throws {Error} If required pool or position data is missing
+   */
+  calculateUncollectedFees(position, poolData) {
+    if (!position) {
+      throw new Error("Position parameter is required");
+    }
+    if (!Number.isFinite(position.tickLower)) {
+      throw new Error("position.tickLower must be a finite number");
+    }
+    if (!Number.isFinite(position.tickUpper)) {
+      throw new Error("position.tickUpper must be a finite number");
+    }
+
+    if (!poolData) {
+      throw new Error("poolData parameter is required");
+    }
+    if (!Number.isFinite(poolData.tick)) {
+      throw new Error("poolData.tick must be a finite number");
+    }
+    if (!poolData.ticks) {
+      throw new Error("poolData.ticks is required");
+    }
+
+    const tickLowerData = poolData.ticks[position.tickLower];
+    const tickUpperData = poolData.ticks[position.tickUpper];
+    if (!tickLowerData) {
+      throw new Error(`Missing tick data for tickLower ${position.tickLower}`);
+    }
+    if (!tickUpperData) {
+      throw new Error(`Missing tick data for tickUpper ${position.tickUpper}`);
+    }
+
+    const liquidity = this._parseUintString(position.liquidity, 'position.liquidity');
+    const feeGrowthInside0LastX128 = this._parseUintString(position.feeGrowthInside0LastX128, 'position.feeGrowthInside0LastX128');
+    const feeGrowthInside1LastX128 = this._parseUintString(position.feeGrowthInside1LastX128, 'position.feeGrowthInside1LastX128');
+    const tokensOwed0 = this._parseUintString(position.tokensOwed0 ?? "0", 'position.tokensOwed0');
+    const tokensOwed1 = this._parseUintString(position.tokensOwed1 ?? "0", 'position.tokensOwed1');
+
+    const feeGrowthGlobal0X128 = this._parseUintString(poolData.feeGrowthGlobal0X128, 'poolData.feeGrowthGlobal0X128');
+    const feeGrowthGlobal1X128 = this._parseUintString(poolData.feeGrowthGlobal1X128, 'poolData.feeGrowthGlobal1X128');
+
+    const lower0 = this._parseUintString(tickLowerData.feeGrowthOutside0X128, 'tickLowerData.feeGrowthOutside0X128');
+    const lower1 = this._parseUintString(tickLowerData.feeGrowthOutside1X128, 'tickLowerData.feeGrowthOutside1X128');
+    const upper0 = this._parseUintString(tickUpperData.feeGrowthOutside0X128, 'tickUpperData.feeGrowthOutside0X128');
+    const upper1 = this._parseUintString(tickUpperData.feeGrowthOutside1X128, 'tickUpperData.feeGrowthOutside1X128');
+
+    // Fee growth inside the range depends on where the current tick sits
+    let feeGrowthInside0X128, feeGrowthInside1X128;
+    if (poolData.tick < position.tickLower) {
+      feeGrowthInside0X128 = lower0 - upper0;
+      feeGrowthInside1X128 = lower1 - upper1;
+    } else if (poolData.tick >= position.tickUpper) {
+      feeGrowthInside0X128 = upper0 - lower0;
+      feeGrowthInside1X128 = upper1 - lower1;
+    } else {
+      feeGrowthInside0X128 = feeGrowthGlobal0X128 - lower0 - upper0;
+      feeGrowthInside1X128 = feeGrowthGlobal1X128 - lower1 - upper1;
+    }
+
+    // Fee growth values are uint256 and wrap on underflow
+    const MAX_UINT256 = 2n ** 256n;
+    const wrap = (value) => ((value % MAX_UINT256) + MAX_UINT256) % MAX_UINT256;
+
+    const feeGrowthDelta0 = wrap(wrap(feeGrowthInside0X128) - feeGrowthInside0LastX128);
+    const feeGrowthDelta1 = wrap(wrap(feeGrowthInside1X128) - feeGrowthInside1LastX128);
+
+    const Q128 = 2n ** 128n;
+    return [
+      tokensOwed0 + (liquidity * feeGrowthDelta0) / Q128,
+      tokensOwed1 + (liquidity * feeGrowthDelta1) / Q128
+    ];
+  }
+
+  /**
+   * Validate pool data needed to build an SDK pool
+   * @param {Object} poolData - Pool data
+   * @throws {Error} If pool data is invalid
+   * @private
+   */
+  _validatePoolData(poolData) {
+    if (poolData === null || poolData === undefined) {
+      throw new Error("Pool data parameter is required");
+    }
+    if (typeof poolData !== 'object' || Array.isArray(poolData)) {
+      throw new Error("Pool data must be an object");
+    }
+    if (!Number.isInteger(poolData.fee) || poolData.fee < 0) {
+      throw new Error("Pool data fee must be a non-negative integer");
+    }
+    if (!Number.isInteger(poolData.tickSpacing) || poolData.tickSpacing <= 0) {
+      throw new Error("Pool data tickSpacing must be a positive integer");
+    }
+    try {
+      ethers.utils.getAddress(poolData.hooks);
+    } catch (error) {
+      throw new Error(`Invalid pool data hooks address: ${poolData.hooks}`);
+    }
+    if (typeof poolData.sqrtPriceX96 !== 'string' || !/^\d+$/.test(poolData.sqrtPriceX96)) {
+      throw new Error("Pool data sqrtPriceX96 must be a positive numeric string");
+    }
+    if (typeof poolData.liquidity !== 'string' || !/^\d+$/.test(poolData.liquidity)) {
+      throw new Error("Pool data liquidity must be a positive numeric string");
+    }
+    if (!Number.isFinite(poolData.tick)) {
+      throw new Error("Pool data tick must be a finite number");
+    }
+  }
+
+  /**
+   * Validate token data object
+   * @param {Object} tokenData - Token data with address and decimals
+   * @param {string} label - Label for error reporting (e.g., "Token0")
+   * @throws {Error} If token data is invalid
+   * @private
+   */
+  _validateTokenData(tokenData, label) {
+    if (tokenData === null || tokenData === undefined) {
+      throw new Error(`${label} data parameter is required`);
+    }
+    if (typeof tokenData !== 'object' || Array.isArray(tokenData)) {
+      throw new Error(`${label} data must be an object`);
+    }
+    if (!tokenData.address || typeof tokenData.address !== 'string') {
+      throw new Error(`${label} address is required`);
+    }
+    try {
+      ethers.utils.getAddress(tokenData.address);
+    } catch (error) {
+      throw new Error(`Invalid ${label.toLowerCase()} address: ${tokenData.address}`);
+    }
+    if (!Number.isFinite(tokenData.decimals) || tokenData.decimals < 0 || tokenData.decimals > 255) {
+      throw new Error(`${label} decimals must be a finite number between 0 and 255`);
+    }
+  }
+
+  /**
+   * Validate a position tick range object
+   * @param {Object} position - Position with tickLower and tickUpper
+   * @param {boolean} requireId - Whether position.id (token ID) is required
+   * @throws {Error} If the position is invalid
+   * @private
+   */
+  _validatePositionParam(position, requireId) {
+    if (position === null || position === undefined) {
+      throw new Error("Position parameter is required");
+    }
+    if (typeof position !== 'object' || Array.isArray(position)) {
+      throw new Error("Position must be an object");
+    }
+    if (requireId) {
+      if (typeof position.id !== 'string') {
+        throw new Error('Position ID must be a string');
+      }
+      if (!/^\d+$/.test(position.id)) {
+        throw new Error('Position ID must be a numeric string');
+      }
+    }
+    if (!Number.isFinite(position.tickLower)) {
+      throw new Error("Position tickLower must be a finite number");
+    }
+    if (!Number.isFinite(position.tickUpper)) {
+      throw new Error("Position tickUpper must be a finite number");
+    }
+    if (position.tickLower >= position.tickUpper) {
+      throw new Error("Position tickLower must be less than tickUpper");
+    }
+  }
+
+  /**
+   * Create an SDK V4 pool from pool data and sorted token data
+   * @param {Object} poolData - Pool data (fee, tickSpacing, hooks, sqrtPriceX96, liquidity, tick)
+   * @param {Object} sortedToken0 - Token data for currency0
+   * @param {Object} sortedToken1 - Token data for currency1
+   * @returns {Pool} Uniswap V4 SDK Pool
+   * @private
+   */
+  _createPool(poolData, sortedToken0, sortedToken1) {
+    return new Pool(
+      this._createCurrency(sortedToken0.address, sortedToken0.decimals),
+      this._createCurrency(sortedToken1.address, sortedToken1.decimals),
+      poolData.fee,
+      poolData.tickSpacing,
+      poolData.hooks,
+      poolData.sqrtPriceX96,
+      poolData.liquidity,
+      poolData.tick
+    );
+  }
+
+  /**
+   * Calculate token amounts for a position (if it were to be closed)
+   * @param {Object} position - Position object
+   * @param {string} position.liquidity - Position liquidity
+   * @param {number} position.tickLower - Lower tick of the position
+   * @param {number} position.tickUpper - Upper tick of the position
+   * @param {Object} poolData - Pool data (fee, tickSpacing, hooks, sqrtPriceX96, liquidity, tick)
+   * @param {Object} token0Data - Token0 data with address and decimals
+   * @param {Object} token1Data - Token1 data with address and decimals
+   * @returns {Promise<Array<bigint>>} Array of [token0Raw, token1Raw] amounts
+   */
+  async calculateTokenAmounts(position, poolData, token0Data, token1Data) {
+    if (!position) {
+      throw new Error("position parameter is required");
+    }
+    if (typeof position.liquidity !== 'string') {
+      throw new Error("position.liquidity must be a string");
+    }
+    if (!/^\d+$/.test(position.liquidity)) {
+      throw new Error('Invalid position.liquidity: must be a valid positive numeric string');
+    }
+
+    if (BigInt(position.liquidity) === 0n) {
+      return [0n, 0n];
+    }
+
+    this._validatePositionParam(position, false);
+    this._validatePoolData(poolData);
+    this._validateTokenData(token0Data, "Token0");
+    this._validateTokenData(token1Data, "Token1");
+
+    try {
+      const { sortedToken0, sortedToken1 } = this.sortTokens(token0Data, token1Data);
+      const pool = this._createPool(poolData, sortedToken0, sortedToken1);
+
+      const positionInstance = new Position({
+        pool,
+        liquidity: position.liquidity,
+        tickLower: position.tickLower,
+        tickUpper: position.tickUpper
+      });
+
+      return [
+        BigInt(positionInstance.amount0.quotient.toString()),
+        BigInt(positionInstance.amount1.quotient.toString())
+      ];
+    } catch (error) {
+      throw new Error(`Failed to calculate token amounts: ${error.message}`);
+    }
+  }
+
+  /**
+   * Discover initialized pools for a token pair across the configured fee tiers
+   * @param {string} token0Address - Address of first token
+   * @param {string} token1Address - Address of second token
+   * @param {Object} provider - Ethers provider instance
+   * @param {Object} [options] - Discovery options
+   * @param {Array<string>} [options.hooks] - Hooks contracts to probe in addition to the hookless pools
+   * @returns {Promise<Array>} Array of pool information objects (address is the poolId)
+   */
+  async discoverAvailablePools(token0Address, token1Address, provider, options = {}) {
+    const { hooks = [] } = options;
+
+    if (!Array.isArray(hooks)) {
+      throw new Error("hooks option must be an array");
+    }
+
+    // Validate provider
+    await this._validateProviderChain(provider);
+
+    const stateView = this._getStateView(provider);
+    const hookAddresses = [ethers.constants.AddressZero, ...hooks];
+    const pools = [];
+
+    for (const hookAddress of hookAddresses) {
+      for (const fee of this.feeTiers) {
+        const poolKey = this.buildPoolKey(token0Address, token1Address, fee, undefined, hookAddress);
+        const poolId = this.getPoolId(poolKey);
+
+        let slot0, liquidity;
+        try {
+          [slot0, liquidity] = await Promise.all([
+            stateView.getSlot0(poolId),
+            stateView.getLiquidity(poolId)
+          ]);
+        } catch (error) {
+          throw new Error(`Pool ${poolId} (fee: ${fee}) query failed: ${error.message}`);
+        }
+
+        if (slot0.sqrtPriceX96.isZero()) {
+          continue; // Expected - no pool for this PoolKey
+        }
+
+        pools.push({
+          address: poolId,
+          poolId,
+          poolKey,
+          fee,
+          tickSpacing: poolKey.tickSpacing,
+          hooks: poolKey.hooks,
+          liquidity: liquidity.toString(),
+          sqrtPriceX96: slot0.sqrtPriceX96.toString(),
+          tick: Number(slot0.tick)
+        });
+      }
+    }
+
+    return pools;
+  }
+
+  /**
+   * Get liquidity quote for adding liquidity to a position
+   * @param {Object} params - Parameters for getting add liquidity quote
+   * @param {Object} params.position - Position object with tick range
+   * @param {string} params.token0Amount - Amount of token0 to add (in wei string)
+   * @param {string} params.token1Amount - Amount of token1 to add (in wei string)
+   * @param {Object} params.poolData - Pool data (fee, tickSpacing, hooks, sqrtPriceX96, liquidity, tick)
+   * @param {Object} params.token0Data - Token0 data with address and decimals
+   * @param {Object} params.token1Data - Token1 data with address and decimals
+   * @returns {Promise<Object>} { position, tokensSwapped, sortedToken0, sortedToken1, pool }
+   * @throws {Error} If parameters are invalid or quote cannot be calculated
+   */
+  async getAddLiquidityQuote(params) {
+    const { position, token0Amount, token1Amount, poolData, token0Data, token1Data } = params;
+
+    this._validatePositionParam(position, false);
+
+    if (typeof token0Amount !== 'string' || !/^\d+$/.test(token0Amount)) {
+      throw new Error("Token0 amount must be a positive numeric string");
+    }
+    if (typeof token1Amount !== 'string' || !/^\d+$/.test(token1Amount)) {
+      throw new Error("Token1 amount must be a positive numeric string");
+    }
+    if (BigInt(token0Amount) === 0n && BigInt(token1Amount) === 0n) {
+      throw new Error("At least one token amount must be greater than 0");
+    }
+
+    this._validatePoolData(poolData);
+    this._validateTokenData(token0Data, "Token0");
+    this._validateTokenData(token1Data, "Token1");
+
+    if (token0Data.address.toLowerCase() === token1Data.address.toLowerCase()) {
+      throw new Error("Token0 and token1 addresses cannot be the same");
+    }
+
+    try {
+      const { sortedToken0, sortedToken1, tokensSwapped } = this.sortTokens(token0Data, token1Data);
+      const pool = this._createPool(poolData, sortedToken0, sortedToken1);
+
+      const amount0 = tokensSwapped ? token1Amount : token0Amount;
+      const amount1 = tokensSwapped ? token0Amount : token1Amount;
+      const { tickLower, tickUpper } = position;
+
+      let quotePosition;
+      if (amount1 === '0' || BigInt(amount1) === 0n) {
+        quotePosition = Position.fromAmount0({ pool, tickLower, tickUpper, amount0, useFullPrecision: true });
+      } else if (BigInt(amount0) === 0n) {
+        quotePosition = Position.fromAmount1({ pool, tickLower, tickUpper, amount1 });
+      } else {
+        quotePosition = Position.fromAmounts({ pool, tickLower, tickUpper, amount0, amount1, useFullPrecision: true });
+      }
+
+      return {
+        position: quotePosition,
+        tokensSwapped,
+        sortedToken0,
+        sortedToken1,
+        pool
+      };
+    } catch (error) {
+      throw new Error(`Failed to calculate add liquidity quote: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate common transaction parameters
+   * @param {Object} params - Parameters containing slippageTolerance and deadlineMinutes
+   * @throws {Error} If parameters are invalid
+   * @private
+   */
+  _validateTxSettings({ slippageTolerance, deadlineMinutes }) {
+    if (slippageTolerance === null || slippageTolerance === undefined) {
+      throw new Error("Slippage tolerance is required");
+    }
+    if (!Number.isFinite(slippageTolerance)) {
+      throw new Error("Slippage tolerance must be a finite number");
+    }
+    if (slippageTolerance < 0 || slippageTolerance > 100) {
+      throw new Error("Slippage tolerance must be between 0 and 100");
+    }
+
+    if (deadlineMinutes === null || deadlineMinutes === undefined) {
+      throw new Error("Deadline minutes is required");
+    }
+    if (!Number.isFinite(deadlineMinutes)) {
+      throw new Error("Deadline minutes must be a finite number");
+    }
+    if (deadlineMinutes <= 0) {
+      throw new Error("Deadline minutes must be greater than 0");
+    }
+  }
+
+  /**
+   * Generate transaction data for creating a new position
+   *
+   * Encodes a PositionManager `modifyLiquidities` plan of MINT_POSITION + SETTLE_PAIR.
+   *
+   * @param {Object} params - Parameters for generating create position data
+   * @param {Object} params.position - Position object with tickLower and tickUpper
+   * @param {string} params.token0Amount - Amount of token0 to add (in wei string)
+   * @param {string} params.token1Amount - Amount of token1 to add (in wei string)
+   * @param {Object} params.provider - Ethers provider
+   * @param {string} params.walletAddress - Recipient of the position NFT
+   * @param {Object} params.poolData - Pool data (fee, tickSpacing, hooks, sqrtPriceX96, liquidity, tick)
+   * @param {Object} params.token0Data - Token0 data with address and decimals
+   * @param {Object} params.token1Data - Token1 data with address and decimals
+   * @param {number} params.slippageTolerance - Slippage tolerance percentage (0-100)
+   * @param {number} params.deadlineMinutes - Transaction deadline in minutes
+   * @param {string} [params.hookData='0x'] - Data forwarded to the pool's hooks
+   * @returns {Object} Transaction data object with `to`, `data`, `value` properties and `quote`
+   * @throws {Error} If parameters are invalid or transaction data cannot be generated
+   */
+  async generateCreatePositionData(params) {
+    const { position, token0Amount, token1Amount, provider, walletAddress, poolData, token0Data, token1Data, hookData = EMPTY_HOOK_DATA } = params;
+
+    this._validatePositionParam(position, false);
+
+    await this._validateProviderChain(provider);
+
+    if (!walletAddress || typeof walletAddress !== 'string') {
+      throw new Error("Wallet address is required");
+    }
+    try {
+      ethers.utils.getAddress(walletAddress);
+    } catch (error) {
+      throw new Error(`Invalid wallet address: ${walletAddress}`);
+    }
+
+    this._validateTxSettings(params);
+
+    try {
+      const quote = await this.getAddLiquidityQuote({ position, token0Amount, token1Amount, poolData, token0Data, token1Data });
+      const currency0 = quote.pool.currency0;
+
+      const { calldata, value } = V4PositionManager.addCallParameters(quote.position, {
+        recipient: walletAddress,
+        deadline: this._createDeadline(params.deadlineMinutes),
+        slippageTolerance: this._createSlippagePercent(params.slippageTolerance),
+        hookData,
+        ...(currency0.isNative ? { useNative: currency0 } : {})
+      });
+
+      return {
+        to: this.addresses.positionManagerAddress,
+        data: calldata,
+        value,
+        quote
+      };
+    } catch (error) {
+      throw new Error(`Failed to generate create position data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate transaction data for adding liquidity to an existing position
+   *
+   * Encodes a PositionManager `modifyLiquidities` plan of INCREASE_LIQUIDITY + CLOSE_CURRENCY x2.
+   *
+   * @param {Object} params - Parameters for generating add liquidity data
+   * @param {Object} params.position - Position object with id, tickLower and tickUpper
+   * @param {string} params.token0Amount - Amount of token0 to add (in wei string)
+   * @param {string} params.token1Amount - Amount of token1 to add (in wei string)
+   * @param {Object} params.provider - Ethers provider
+   * @param {Object} params.poolData - Pool data (fee, tickSpacing, hooks, sqrtPriceX96, liquidity, tick)
+   * @param {Object} params.token0Data - Token0 data with address and decimals
+   * @param {Object} params.token1Data - Token1 data with address and decimals
+   * @param {number} params.slippageTolerance - Slippage tolerance percentage (0-100)
+   * @param {number} params.deadlineMinutes - Transaction deadline in minutes
+   * @param {string} [params.hookData='0x'] - Data forwarded to the pool's hooks
+   * @returns {Object} Transaction data object with `to`, `data`, `value` properties and `quote`
+   * @throws {Error} If parameters are invalid or transaction data cannot be generated
+   */
+  async generateAddLiquidityData(params) {
+    const { position, token0Amount, token1Amount, provider, poolData, token0Data, token1Data, hookData = EMPTY_HOOK_DATA } = params;
+
+    this._validatePositionParam(position, true);
+
+    await this._validateProviderChain(provider);
+
+    this._validateTxSettings(params);
+
+    try {
+      const quote = await this.getAddLiquidityQuote({ position, token0Amount, token1Amount, poolData, token0Data, token1Data });
+      const currency0 = quote.pool.currency0;
+
+      const { calldata, value } = V4PositionManager.addCallParameters(quote.position, {
+        tokenId: position.id,
+        deadline: this._createDeadline(params.deadlineMinutes),
+        slippageTolerance: this._createSlippagePercent(params.slippageTolerance),
+        hookData,
+        ...(currency0.isNative ? { useNative: currency0 } : {})
+      });
+
+      return {
+        to: this.addresses.positionManagerAddress,
+        data: calldata,
+        value,
+        quote
+      };
+    } catch (error) {
+      throw new Error(`Failed to generate add liquidity data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate transaction data for removing liquidity from a position
+   *
+   * Encodes a PositionManager `modifyLiquidities` plan of DECREASE_LIQUIDITY + TAKE_PAIR.
+   * Accrued fees are always paid out together with the withdrawn liquidity.
+   *
+   * @param {Object} params - Parameters for generating remove liquidity data
+   * @param {Object} params.position - Position object with id, tickLower and tickUpper
+   * @param {number} params.percentage - Percentage of liquidity to remove (1-100)
+   * @param {Object} params.provider - Ethers provider instance
+   * @param {string} params.walletAddress - Recipient of withdrawn tokens and fees
+   * @param {Object} params.poolData - Pool data (fee, tickSpacing, hooks, sqrtPriceX96, liquidity, tick)
+   * @param {Object} params.token0Data - Token0 data with address and decimals
+   * @param {Object} params.token1Data - Token1 data with address and decimals
+   * @param {number} params.slippageTolerance - Slippage tolerance percentage (0-100)
+   * @param {number} params.deadlineMinutes - Transaction deadline in minutes
+   * @param {string} [params.hookData='0x'] - Data forwarded to the pool's hooks
+   * @returns {Object} Transaction data object with `to`, `data`, `value` properties
+   * @throws {Error} If parameters are invalid or transaction data cannot be generated
+   */
+  async generateRemoveLiquidityData(params) {
+    const { position, percentage, provider, walletAddress, poolData, token0Data, token1Data, hookData = EMPTY_HOOK_DATA } = params;
+
+    this._validatePositionParam(position, true);
+
+    if (!Number.isFinite(percentage)) {
+      throw new Error("Percentage must be a finite number");
+    }
+    if (percentage <= 0 || percentage > 100) {
+      throw new Error("Percentage must be between 1 and 100");
+    }
+
+    if (!walletAddress || typeof walletAddress !== 'string') {
+      throw new Error("Wallet address is required");
+    }
+    try {
+      ethers.utils.getAddress(walletAddress);
+    } catch (error) {
+      throw new Error(`Invalid wallet address: ${walletAddress}`);
+    }
+
+    this._validatePoolData(poolData);
+    this._validateTokenData(token0Data, "Token0");
+    this._validateTokenData(token1Data, "Token1");
+    this._validateTxSettings(params);
+
+    await this._validateProviderChain(provider);
+
+    try {
+      // Read current liquidity on-chain so the percentage applies to the live position
+      const positionManager = this._getPositionManager(provider);
+      const currentLiquidity = BigInt((await positionManager.getPositionLiquidity(position.id)).toString());
+
+      if (currentLiquidity === 0n) {
+        throw new Error(`Position ${position.id} has no liquidity`);
+      }
+
+      const { sortedToken0, sortedToken1 } = this.sortTokens(token0Data, token1Data);
+      const pool = this._createPool(poolData, sortedToken0, sortedToken1);
+
+      // Percent is applied in basis points so fractional percentages are honoured
+      const liquidityToRemove = currentLiquidity * BigInt(Math.round(percentage * 100)) / 10_000n;
+      const partialPosition = new Position({
+        pool,
+        liquidity: liquidityToRemove.toString(),
+        tickLower: position.tickLower,
+        tickUpper: position.tickUpper
+      });
+      const { amount0: amount0Min, amount1: amount1Min } = partialPosition.burnAmountsWithSlippage(
+        this._createSlippagePercent(params.slippageTolerance)
+      );
+
+      const planner = new V4PositionPlanner();
+      planner.addDecrease(position.id, liquidityToRemove.toString(), amount0Min.toString(), amount1Min.toString(), hookData);
+      planner.addTakePair(pool.currency0, pool.currency1, walletAddress);
+
+      return {
+        to: this.addresses.positionManagerAddress,
+        data: V4PositionManager.encodeModifyLiquidities(planner.finalize(), this._createDeadline(params.deadlineMinutes)),
+        value: "0x00"
+      };
+    } catch (error) {
+      throw new Error(`Failed to generate remove liquidity data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate transaction data for claiming fees from a position
+   *
+   * Encodes a PositionManager `modifyLiquidities` plan of DECREASE_LIQUIDITY(0) + TAKE_PAIR,
+   * which is how V4 collects fees without touching liquidity.
+   *
+   * @param {Object} params - Parameters for generating claim fees data
+   * @param {string} params.positionId - Position NFT token ID
+   * @param {Object} params.provider - Ethers provider
+   * @param {string} params.walletAddress - Recipient of the fees
+   * @param {string} params.token0Address - Token0 address (address(0) for native)
+   * @param {string} params.token1Address - Token1 address
+   * @param {number} params.token0Decimals - Token0 decimals
+   * @param {number} params.token1Decimals - Token1 decimals
+   * @param {number} [params.deadlineMinutes=20] - Transaction deadline in minutes
+   * @param {string} [params.hookData='0x'] - Data forwarded to the pool's hooks
+   * @returns {Object} Transaction data object with `to`, `data`, `value` properties
+   * @throws {Error} If parameters are invalid or transaction data cannot be generated
+   */
+  async generateClaimFeesData(params) {
+    const {
+      positionId,
+      provider,
+      walletAddress,
+      token0Address,
+      token1Address,
+      token0Decimals,
+      token1Decimals,
+      deadlineMinutes = 20,
+      hookData = EMPTY_HOOK_DATA
+    } = params;
+
+    if (positionId === null || positionId === undefined) {
+      throw new Error("Position ID is required");
+    }
+    if (typeof positionId !== 'string') {
+      throw new Error('positionId must be a string');
+    }
+    if (!/^\d+$/.test(positionId)) {
+      throw new Error('positionId must be a numeric string');
+    }
+
+    if (!walletAddress) {
+      throw new Error("Wallet address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(walletAddress);
+    } catch (error) {
+      throw new Error(`Invalid wallet address: ${walletAddress}`);
+    }
+
+    this._validateTokenData({ address: token0Address, decimals: token0Decimals }, "Token0");
+    this._validateTokenData({ address: token1Address, decimals: token1Decimals }, "Token1");
+
+    await this._validateProviderChain(provider);
+
+    try {
+      const { sortedToken0, sortedToken1 } = this.sortTokens(
+        { address: token0Address, decimals: token0Decimals },
+        { address: token1Address, decimals: token1Decimals }
+      );
+
+      const planner = new V4PositionPlanner();
+      planner.addDecrease(positionId, '0', '0', '0', hookData);
+      planner.addTakePair(
+        this._createCurrency(sortedToken0.address, sortedToken0.decimals),
+        this._createCurrency(sortedToken1.address, sortedToken1.decimals),
+        walletAddress
+      );
+
+      return {
+        to: this.addresses.positionManagerAddress,
+        data: V4PositionManager.encodeModifyLiquidities(planner.finalize(), this._createDeadline(deadlineMinutes)),
+        value: "0x00"
+      };
+    } catch (error) {
+      throw new Error(`Failed to generate claim fees data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get expected output amount for a single-pool swap using the V4 Quoter
+   * @param {Object} params - Parameters for getting swap quote
+   * @param {string} params.tokenInAddress - Address of input token (address(0) for native)
+   * @param {string} params.tokenOutAddress - Address of output token (address(0) for native)
+   * @param {number} params.fee - Pool fee
+   * @param {number} [params.tickSpacing] - Pool tick spacing (defaults from fee)
+   * @param {string} [params.hooks=AddressZero] - Pool hooks address
+   * @param {string} params.amountIn - Amount of input tokens (in wei string)
+   * @param {Object} params.provider - Ethers provider instance
+   * @returns {Promise<string>} Expected output amount in wei string
+   * @throws {Error} If quote cannot be calculated
+   */
+  async getSwapQuote(params) {
+    const { tokenInAddress, tokenOutAddress, fee, tickSpacing, hooks, amountIn, provider } = params;
+
+    const poolKey = this.buildPoolKey(tokenInAddress, tokenOutAddress, fee, tickSpacing, hooks);
+
+    if (typeof amountIn !== 'string') {
+      throw new Error("AmountIn must be a string");
+    }
+    if (!/^\d+$/.test(amountIn)) {
+      throw new Error("AmountIn must be a positive numeric string");
+    }
+    if (amountIn === '0') {
+      throw new Error("AmountIn cannot be zero");
+    }
+
+    await this._validateProviderChain(provider);
+
+    if (!this.addresses?.quoterAddress) {
+      throw new Error(`No Uniswap V4 quoter address found for chainId: ${this.chainId}`);
+    }
+
+    try {
+      const quoter = new ethers.Contract(this.addresses.quoterAddress, this.quoterABI, provider);
+      const zeroForOne = poolKey.currency0.toLowerCase() === tokenInAddress.toLowerCase();
+
+      const result = await quoter.callStatic.quoteExactInputSingle({
+        poolKey,
+        zeroForOne,
+        exactAmount: amountIn,
+        hookData: EMPTY_HOOK_DATA
+      });
+
+      return result.amountOut.toString();
+    } catch (error) {
+      throw new Error(`Failed to get swap quote: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate swap transaction data for a single V4 pool via the Universal Router
+   *
+   * Encodes a V4_SWAP command whose plan is SWAP_EXACT_IN_SINGLE + SETTLE_ALL + TAKE.
+   * The input token is pulled through Permit2, so the sender must have granted the
+   * Universal Router a Permit2 allowance.
+   *
+   * @param {Object} params - Parameters for swap
+   * @param {string} params.tokenIn - Address of input token
+   * @param {string} params.tokenOut - Address of output token
+   * @param {number} params.fee - Pool fee
+   * @param {number} [params.tickSpacing] - Pool tick spacing (defaults from fee)
+   * @param {string} [params.hooks=AddressZero] - Pool hooks address
+   * @param {string} params.recipient - Address to receive output tokens
+   * @param {string} params.amountIn - Amount of input tokens (in wei string)
+   * @param {number} params.slippageTolerance - Slippage tolerance percentage (0-100)
+   * @param {number} params.deadlineMinutes - Transaction deadline in minutes
+   * @param {Object} params.provider - Ethers provider
+   * @returns {Promise<Object>} Transaction data with to, data, and value
+   * @throws {Error} If parameters are invalid or transaction data cannot be generated
+   */
+  async generateSwapData(params) {
+    const { tokenIn, tokenOut, fee, tickSpacing, hooks, recipient, amountIn, slippageTolerance, deadlineMinutes, provider } = params;
+
+    const poolKey = this.buildPoolKey(tokenIn, tokenOut, fee, tickSpacing, hooks);
+
+    if (!recipient) {
+      throw new Error("Recipient address parameter is required");
+    }
+    try {
+      ethers.utils.getAddress(recipient);
+    } catch (error) {
+      throw new Error(`Invalid recipient address: ${recipient}`);
+    }
+
+    if (typeof amountIn !== 'string' || !/^\d+$/.test(amountIn)) {
+      throw new Error("AmountIn must be a positive numeric string");
+    }
+    if (amountIn === '0') {
+      throw new Error("AmountIn cannot be zero");
+    }
+
+    this._validateTxSettings({ slippageTolerance, deadlineMinutes });
+
+    await this._validateProviderChain(provider);
+
+    if (!this.addresses?.universalRouterAddress) {
+      throw new Error(`No Universal Router address found for chainId: ${this.chainId}`);
+    }
+
+    try {
+      const expectedAmountOut = await this.getSwapQuote({
+        tokenInAddress: tokenIn,
+        tokenOutAddress: tokenOut,
+        fee,
+        tickSpacing: poolKey.tickSpacing,
+        hooks: poolKey.hooks,
+        amountIn,
+        provider
+      });
+
+      const slippageMultiplier = BigInt(Math.floor((100 - slippageTolerance) * 100));
+      const amountOutMinimum = (BigInt(expectedAmountOut) * slippageMultiplier / 10000n).toString();
+      const zeroForOne = poolKey.currency0.toLowerCase() === tokenIn.toLowerCase();
+
+      const planner = new V4Planner();
+      planner.addAction(Actions.SWAP_EXACT_IN_SINGLE, [{
+        poolKey,
+        zeroForOne,
+        amountIn,
+        amountOutMinimum,
+        hookData: EMPTY_HOOK_DATA
+      }]);
+      planner.addAction(Actions.SETTLE_ALL, [tokenIn, amountIn]);
+      planner.addAction(Actions.TAKE, [tokenOut, recipient, 0]); // 0 = take the full open delta
+
+      const data = this.universalRouterInterface.encodeFunctionData('execute', [
+        V4_SWAP_COMMAND,
+        [planner.finalize()],
+        this._createDeadline(deadlineMinutes)
+      ]);
+
+      const isNativeIn = tokenIn.toLowerCase() === ethers.constants.AddressZero;
+
+      return {
+        to: this.addresses.universalRouterAddress,
+        data,
+        value: isNativeIn ? ethers.BigNumber.from(amountIn).toHexString() : "0x00"
+      };
+    } catch (error) {
+      throw new Error(`Failed to generate swap data: ${error.message}`);
+    }
+  }
+}
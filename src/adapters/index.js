@@ -7,20 +7,29 @@
  * different DeFi platforms (Uniswap V3, Sushiswap, etc.) through adapters.
  */
 
-import AdapterFactory from './AdapterFactory.js';
+import AdapterFactory, { ADAPTER_CAPABILITIES } from './AdapterFactory.js';
 
 export { default as PlatformAdapter } from './PlatformAdapter.js';
+export { default as UniswapV3BaseAdapter } from './UniswapV3BaseAdapter.js';
 export { default as UniswapV3Adapter } from './UniswapV3Adapter.js';
-export { AdapterFactory };
+export { default as UniswapV4Adapter } from './UniswapV4Adapter.js';
+export { default as SushiSwapV3Adapter } from './SushiSwapV3Adapter.js';
+export { default as PancakeSwapV3Adapter } from './PancakeSwapV3Adapter.js';
+export { default as CamelotV3Adapter } from './CamelotV3Adapter.js';
+export { default as UniswapV2BaseAdapter } from './UniswapV2BaseAdapter.js';
+export { default as UniswapV2Adapter } from './UniswapV2Adapter.js';
+export { default as SushiSwapV2Adapter } from './SushiSwapV2Adapter.js';
+export { default as CurveAdapter } from './CurveAdapter.js';
+export { AdapterFactory, ADAPTER_CAPABILITIES };
 
 // Export a convenience function to get all adapters for a chain
-export const getAdaptersForChain = (config, chainId, provider) => {
-  return AdapterFactory.getAdaptersForChain(config, chainId, provider);
+export const getAdaptersForChain = (chainId, provider, options) => {
+  return AdapterFactory.getAdaptersForChain(chainId, provider, options);
 };
 
 // Export a convenience function to get a specific adapter
-export const getAdapter = (config, platformId, provider) => {
-  return AdapterFactory.getAdapter(config, platformId, provider);
+export const getAdapter = (platformId, chainId, provider) => {
+  return AdapterFactory.getAdapter(platformId, chainId, provider);
 };
 
 // Export a function to get all supported platforms
@@ -29,6 +38,11 @@ export const getSupportedPlatforms = () => {
 };
 
 // Export a function to register a new adapter
-export const registerAdapter = (platformId, AdapterClass) => {
-  return AdapterFactory.registerAdapter(platformId, AdapterClass);
+export const registerAdapter = (platformId, AdapterClass, options) => {
+  return AdapterFactory.registerAdapter(platformId, AdapterClass, options);
+};
+
+// Export a function to get an adapter's capabilities manifest
+export const getAdapterCapabilities = (platformId) => {
+  return AdapterFactory.getAdapterCapabilities(platformId);
 };
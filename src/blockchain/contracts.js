@@ -6,6 +6,22 @@
 // src/blockchain/contracts.js
 import { ethers } from 'ethers';
 import contractData from '../artifacts/contracts.js';
+import {
+  validateStrategyParams,
+  getStrategyDetails,
+  getTemplateDefaults,
+  getParameterSetterMethod,
+  getStrategyParametersByContractGroup,
+  toContractParameterValue,
+  mapStrategyFields
+} from '../helpers/strategyHelpers.js';
+import { getTokenByAddress } from '../helpers/tokenHelpers.js';
+import { validateBlockTag, resolveBlockTag, multicall, MULTICALL3_ADDRESS } from './multicall.js';
+import { decodeVaultTransactions } from './transactionDecoder.js';
+import { ContractError, decodeContractError } from './errors.js';
+
+const ERC20BalanceABI = ["function balanceOf(address account) view returns (uint256)"];
+const Multicall3BalanceABI = ["function getEthBalance(address addr) view returns (uint256 balance)"];
 
 /**
  * Gets a read-only contract instance using the appropriate address for the current network
@@ -118,6 +134,7 @@ export function getVaultFactoryAddress(chainId) {
  * @throws {Error} If name is not a string
  * @throws {Error} If signer is invalid
  * @throws {Error} If failed to find VaultCreated event
+ * @throws {ContractError} If the factory reverts with decodable revert data
  *
  * @example
  * const vaultAddress = await createVault('My DeFi Vault', signer);
@@ -159,7 +176,11 @@ export async function createVault(name, signer) {
     const parsedEvent = factoryWithSigner.interface.parseLog(vaultCreatedEvent);
     return parsedEvent.args.vault || parsedEvent.args[1]; // vault address (named or positional)
   } catch (error) {
-    // Handle contract revert errors
+    // Handle contract revert errors, decoded when the revert data is available
+    const revert = decodeContractError(error, { contract: 'VaultFactory' });
+    if (revert) {
+      throw new ContractError(`Failed to create vault: ${revert.message}`, revert, error);
+    }
     if (error.code === 'CALL_EXCEPTION') {
       throw new Error(`Failed to create vault: ${error.reason || error.message}`);
     }
@@ -310,9 +331,11 @@ export async function getAuthorizedVaults(executorAddress, provider) {
  * Gets information about a vault
  * @param {string} vaultAddress - Address of the vault
  * @param {ethers.JsonRpcProvider} provider - Ethers provider
+ * @param {Object} [options] - Read options
+ * @param {number|string} [options.blockTag] - Block to read at (defaults to the latest block)
  * @returns {Promise<{owner: string, name: string, creationTime: number}>} Vault information
  */
-export async function getVaultInfo(vaultAddress, provider) {
+export async function getVaultInfo(vaultAddress, provider, options = {}) {
   // Validate vault address
   if (!vaultAddress) {
     throw new Error('Vault address parameter is required');
@@ -323,11 +346,19 @@ export async function getVaultInfo(vaultAddress, provider) {
     throw new Error(`Invalid vault address: ${vaultAddress}`);
   }
 
+  // Validate options
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('Options parameter must be an object');
+  }
+  if (options.blockTag !== undefined) {
+    validateBlockTag(options.blockTag);
+  }
+
   // Provider validation happens in getVaultFactory
   const factory = await getVaultFactory(provider);
 
   try {
-    const [owner, name, creationTime] = await factory.getVaultInfo(vaultAddress);
+    const [owner, name, creationTime] = await factory.getVaultInfo(vaultAddress, { blockTag: options.blockTag ?? 'latest' });
 
     return {
       owner,
@@ -339,6 +370,302 @@ export async function getVaultInfo(vaultAddress, provider) {
   }
 }
 
+/**
+ * Read the parameter fields a strategy holds for a vault, by name
+ *
+ * Fields are named by the outputs of `getAllParameters(vault)`. A strategy whose ABI leaves those outputs unnamed
+ * is read through its `get<Field>(vault)` views instead, in one multicall.
+ *
+ * @param {string} contractName - Strategy contract name in the contract data
+ * @param {string} strategyAddress - Strategy contract address
+ * @param {string} vaultAddress - Vault address
+ * @param {ethers.providers.Provider} provider - Ethers provider
+ * @param {number} blockNumber - Block to read at
+ * @returns {Promise<Object>} Contract values by field name
+ * @private
+ */
+async function readStrategyFields(contractName, strategyAddress, vaultAddress, provider, blockNumber) {
+  const strategyInterface = new ethers.utils.Interface(contractData[contractName].abi);
+  const functions = Object.values(strategyInterface.functions);
+
+  const getAllParameters = functions.find(fragment => fragment.name === 'getAllParameters');
+  if (!getAllParameters) {
+    throw new Error(`Strategy ${contractName} does not expose getAllParameters`);
+  }
+
+  if (getAllParameters.outputs.every(output => output.name)) {
+    const strategy = new ethers.Contract(strategyAddress, strategyInterface, provider);
+    const result = await strategy.getAllParameters(vaultAddress, { blockTag: blockNumber });
+    return Object.fromEntries(getAllParameters.outputs.map((output, i) => [output.name, result[i]]));
+  }
+
+  const getters = functions.filter(fragment => /^get[A-Z]/.test(fragment.name) &&
+    fragment.name !== 'getAllParameters' &&
+    ['view', 'pure'].includes(fragment.stateMutability) &&
+    fragment.inputs.length === 1 && fragment.inputs[0].type === 'address' &&
+    fragment.outputs.length === 1);
+  if (getters.length === 0) {
+    throw new Error(`Strategy ${contractName} names neither its getAllParameters outputs nor get<Field>(vault) views`);
+  }
+
+  const results = await multicall(
+    getters.map(fragment => ({ target: strategyAddress, iface: strategyInterface, method: fragment.format(), args: [vaultAddress] })),
+    provider,
+    { blockTag: blockNumber }
+  );
+
+  return Object.fromEntries(getters.map((fragment, i) => {
+    if (!results[i].success) {
+      throw results[i].error;
+    }
+    return [fragment.name.charAt(3).toLowerCase() + fragment.name.slice(4), results[i].result[0]];
+  }));
+}
+
+/**
+ * Reads a strategy's parameters for a vault, mapped to the strategy config by field name
+ *
+ * The strategy contract comes from the contract data for the provider's chain. Its fields are named by the
+ * outputs of `getAllParameters(vault)` in the artifact ABI (or, when the ABI leaves them unnamed, by the
+ * strategy's `get<Field>(vault)` views) and mapped with mapStrategyFields, so reordered or added fields do not
+ * shift the other values. Units are converted as the config declares with `contractUnit`.
+ *
+ * @function readStrategyParameters
+ * @memberof module:blockchain/contracts
+ *
+ * @param {string} strategyId - Strategy ID, also its contract name (e.g., 'bob')
+ * @param {string} vaultAddress - Address of the vault
+ * @param {ethers.JsonRpcProvider} provider - Ethers provider
+ * @param {Object} [options] - Read options
+ * @param {number|string} [options.blockTag] - Block to read at (defaults to the latest block)
+ *
+ * @returns {Promise<{strategyId: string, strategyAddress: string, blockNumber: number, parameters: Object,
+ *   onChainOnly: Object, configOnly: Array<string>}>} Parameters in UI units, the contract fields without a config
+ *   entry, and the config parameters the contract does not return
+ *
+ * @throws {Error} If parameters are invalid
+ * @throws {Error} If the strategy is not deployed on the provider's chain or cannot be read
+ *
+ * @example
+ * const { parameters, onChainOnly, configOnly } = await readStrategyParameters('bob', vaultAddress, provider);
+ * if (Object.keys(onChainOnly).length > 0 || configOnly.length > 0) {
+ *   console.warn('Strategy config is out of date with the contract', onChainOnly, configOnly);
+ * }
+ *
+ * @since 1.0.0
+ */
+export async function readStrategyParameters(strategyId, vaultAddress, provider, options = {}) {
+  // Validate strategy ID
+  if (!strategyId || typeof strategyId !== 'string') {
+    throw new Error('Strategy ID must be a valid string');
+  }
+
+  // Validate vault address
+  if (!vaultAddress) {
+    throw new Error('Vault address parameter is required');
+  }
+  try {
+    ethers.utils.getAddress(vaultAddress);
+  } catch (error) {
+    throw new Error(`Invalid vault address: ${vaultAddress}`);
+  }
+
+  // Validate options
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('Options parameter must be an object');
+  }
+  if (options.blockTag !== undefined) {
+    validateBlockTag(options.blockTag);
+  }
+
+  // Provider validation and the deployment lookup happen in getContract
+  const strategy = await getContract(strategyId, provider);
+
+  try {
+    const blockNumber = await resolveBlockTag(provider, options.blockTag);
+    const fields = await readStrategyFields(strategyId, strategy.address, vaultAddress, provider, blockNumber);
+
+    return {
+      strategyId,
+      strategyAddress: strategy.address,
+      blockNumber,
+      ...mapStrategyFields(strategyId, fields)
+    };
+  } catch (error) {
+    throw new Error(`Failed to read strategy parameters: ${error.message}`);
+  }
+}
+
+/**
+ * Reads the parameters a vault's strategy holds for it
+ *
+ * The vault's strategy and its parameters are read at the same block.
+ *
+ * @function getVaultStrategyParameters
+ * @memberof module:blockchain/contracts
+ *
+ * @param {string} vaultAddress - Address of the vault
+ * @param {ethers.JsonRpcProvider} provider - Ethers provider
+ * @param {Object} [options] - Read options
+ * @param {number|string} [options.blockTag] - Block to read at (defaults to the latest block)
+ *
+ * @returns {Promise<{strategyAddress: string|null, strategyId: string|null, parameters: Object|null, blockNumber: number}>}
+ *   The strategy and its parameters mapped by field name (see readStrategyParameters), or nulls when the vault has
+ *   no strategy
+ *
+ * @throws {Error} If parameters are invalid
+ * @throws {Error} If the strategy is not in the contract data or does not expose getAllParameters
+ *
+ * @example
+ * // Strategy parameters as they were at block 250000000
+ * const { strategyId, parameters } = await getVaultStrategyParameters(vaultAddress, provider, { blockTag: 250000000 });
+ *
+ * @since 1.0.0
+ */
+export async function getVaultStrategyParameters(vaultAddress, provider, options = {}) {
+  // Validate options
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('Options parameter must be an object');
+  }
+  if (options.blockTag !== undefined) {
+    validateBlockTag(options.blockTag);
+  }
+
+  // Address and provider validation happen in getVaultContract
+  const vault = getVaultContract(vaultAddress, provider);
+
+  try {
+    const blockNumber = await resolveBlockTag(provider, options.blockTag);
+    const strategyAddress = await vault.strategy({ blockTag: blockNumber });
+
+    if (strategyAddress === ethers.constants.AddressZero) {
+      return { strategyAddress: null, strategyId: null, parameters: null, blockNumber };
+    }
+
+    const { contractName } = getContractInfoByAddress(strategyAddress);
+    const fields = await readStrategyFields(contractName, strategyAddress, vaultAddress, provider, blockNumber);
+
+    return {
+      strategyAddress,
+      strategyId: contractName,
+      parameters: mapStrategyFields(contractName, fields).parameters,
+      blockNumber
+    };
+  } catch (error) {
+    throw new Error(`Failed to get vault strategy parameters: ${error.message}`);
+  }
+}
+
+/**
+ * Builds the vault transactions that set a vault's strategy parameters
+ *
+ * The inverse of getVaultStrategyParameters: the parameters are validated with validateStrategyParams, converted
+ * from UI units to the contract's scaled integers and grouped by their `contractGroup` into one setter call per
+ * group (see getParameterSetterMethod). Strategies take their settings from `msg.sender`, so the transactions are
+ * executed through the vault, e.g. with executeVaultTransactions. Nothing is read from the chain: the transactions
+ * target the strategy's deployment on `options.chainId`, which must be the vault's strategy.
+ *
+ * With `options.template`, the batch starts with `selectTemplate`. For a template other than `custom`,
+ * `resetToTemplate` follows and only the groups whose values differ from the template's defaults are set.
+ *
+ * @function buildStrategyParameterTransactions
+ * @memberof module:blockchain/contracts
+ *
+ * @param {string} strategyId - Strategy ID (e.g., 'bob')
+ * @param {string} vaultAddress - Address of the vault, whose strategy must be `strategyId`
+ * @param {Object} params - Parameter values in UI units, as accepted by validateStrategyParams
+ * @param {Object} options - Build options
+ * @param {number} options.chainId - Chain ID of the vault
+ * @param {string} [options.template] - Template ID to select (a key of the strategy's templateEnumMap)
+ *
+ * @returns {Array<{target: string, data: string}>} Transactions as for executeVaultTransactions
+ *
+ * @throws {Error} If parameters are invalid or fail validateStrategyParams
+ * @throws {Error} If the strategy is not deployed on `options.chainId`
+ *
+ * @example
+ * const transactions = buildStrategyParameterTransactions('bob', vaultAddress, parameters, {
+ *   chainId: 42161,
+ *   template: 'moderate'
+ * });
+ * await executeVaultTransactions(vaultAddress, transactions, signer);
+ *
+ * @since 1.0.0
+ */
+export function buildStrategyParameterTransactions(strategyId, vaultAddress, params, options = {}) {
+  // Validate vault address
+  if (!vaultAddress) {
+    throw new Error('Vault address parameter is required');
+  }
+  try {
+    ethers.utils.getAddress(vaultAddress);
+  } catch (error) {
+    throw new Error(`Invalid vault address: ${vaultAddress}`);
+  }
+
+  // Validate options
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('Options parameter must be an object');
+  }
+  const { chainId, template } = options;
+  if (typeof chainId !== 'number') {
+    throw new Error('chainId must be a number');
+  }
+  if (template !== undefined && (typeof template !== 'string' || template === '')) {
+    throw new Error('Template option must be a non-empty string');
+  }
+
+  // Validate parameter values
+  const { isValid, errors } = validateStrategyParams(strategyId, params);
+  if (!isValid) {
+    throw new Error(`Invalid ${strategyId} parameters: ${Object.values(errors).join('; ')}`);
+  }
+
+  const { templateEnumMap, contractParametersGroups } = getStrategyDetails(strategyId);
+  if (template !== undefined && templateEnumMap[template] === undefined) {
+    throw new Error(`Template ${template} not found in strategy ${strategyId}`);
+  }
+  const templateDefaults = template !== undefined && template !== 'custom'
+    ? getTemplateDefaults(strategyId, template)
+    : null;
+
+  const strategyAddress = contractData[strategyId]?.addresses?.[chainId.toString()];
+  if (!strategyAddress) {
+    throw new Error(`No ${strategyId} deployment found for network ${chainId}`);
+  }
+
+  const strategyInterface = new ethers.utils.Interface(contractData[strategyId].abi);
+  const transactions = [];
+
+  if (template !== undefined) {
+    transactions.push({
+      target: strategyAddress,
+      data: strategyInterface.encodeFunctionData('selectTemplate', [templateEnumMap[template]])
+    });
+    if (templateDefaults) {
+      transactions.push({ target: strategyAddress, data: strategyInterface.encodeFunctionData('resetToTemplate', []) });
+    }
+  }
+
+  for (const contractGroup of Object.keys(contractParametersGroups)) {
+    const setterMethod = getParameterSetterMethod(strategyId, contractGroup);
+    // Setter arguments follow the order of the group's parameters in the strategy config
+    const groupParams = Object.entries(getStrategyParametersByContractGroup(strategyId, contractGroup));
+    // Parameters that are off by condition (e.g. reinvestmentTrigger without feeReinvestment) keep their default
+    const values = groupParams.map(([paramId, paramConfig]) =>
+      toContractParameterValue(params[paramId] ?? paramConfig.defaultValue, paramConfig));
+
+    if (templateDefaults && groupParams.every(([paramId, paramConfig], i) => templateDefaults[paramId] !== undefined &&
+      String(toContractParameterValue(templateDefaults[paramId], paramConfig)) === String(values[i]))) {
+      continue;
+    }
+
+    transactions.push({ target: strategyAddress, data: strategyInterface.encodeFunctionData(setterMethod, values) });
+  }
+
+  return transactions;
+}
+
 /**
  * Get contract information by deployed address
  * @param {string} address - The contract address to look up
@@ -381,27 +708,13 @@ export function getContractInfoByAddress(address) {
 }
 
 /**
- * Executes a batch of transactions through a vault
- *
- * @function executeVaultTransactions
- * @memberof module:blockchain/contracts
- *
+ * Validate a vault transaction batch
  * @param {string} vaultAddress - Address of the vault
- * @param {Array<{target: string, data: string}>} transactions - Array of transactions to execute
- * @param {ethers.Signer} signer - Signer for the transaction
- *
- * @returns {Promise<boolean>} True if all transactions succeeded (execution is atomic)
- *
- * @example
- * const transactions = [{
- *   target: tokenAddress,
- *   data: tokenContract.interface.encodeFunctionData('approve', [spender, amount])
- * }];
- * const results = await executeVaultTransactions(vaultAddress, transactions, signer);
- *
- * @since 1.0.0
+ * @param {Array<{target: string, data: string}>} transactions - Transactions to execute
+ * @throws {Error} If the vault address or any transaction is invalid
+ * @private
  */
-export async function executeVaultTransactions(vaultAddress, transactions, signer) {
+function validateVaultTransactions(vaultAddress, transactions) {
   // Validate vault address
   if (!vaultAddress) {
     throw new Error('Vault address parameter is required');
@@ -443,12 +756,319 @@ export async function executeVaultTransactions(vaultAddress, transactions, signe
       throw new Error(`Transaction data at index ${index} must be hex encoded (start with 0x)`);
     }
   });
+}
+
+/**
+ * Read the vault's token balances before and after the batch in one eth_simulateV1 block
+ * @param {ethers.Contract} vault - Vault contract
+ * @param {Array<string|null>} tokens - Token addresses (null for native ETH)
+ * @param {Object} executeCall - The execute() call ({ from, to, data })
+ * @param {ethers.providers.JsonRpcProvider} provider - Provider supporting eth_simulateV1
+ * @param {number} blockNumber - Block to simulate on top of
+ * @returns {Promise<{before: Array<ethers.BigNumber>, after: Array<ethers.BigNumber>, gasUsed: string}|null>}
+ *   Balances and execute() gas, or null if the node cannot simulate or the batch reverts there
+ * @private
+ */
+async function simulateBalances(vault, tokens, executeCall, provider, blockNumber) {
+  if (typeof provider.send !== 'function') {
+    return null;
+  }
+
+  const erc20Interface = new ethers.utils.Interface(ERC20BalanceABI);
+  const multicallInterface = new ethers.utils.Interface(Multicall3BalanceABI);
+  const balanceCalls = tokens.map(token => token
+    ? { to: token, data: erc20Interface.encodeFunctionData('balanceOf', [vault.address]) }
+    : { to: MULTICALL3_ADDRESS, data: multicallInterface.encodeFunctionData('getEthBalance', [vault.address]) });
+
+  try {
+    const [block] = await provider.send('eth_simulateV1', [
+      { blockStateCalls: [{ calls: [...balanceCalls, executeCall, ...balanceCalls] }] },
+      ethers.utils.hexValue(blockNumber)
+    ]);
+    const results = block.calls;
+    if (results.some(call => Number(call.status) !== 1)) {
+      return null;
+    }
+
+    const balance = (call) => ethers.BigNumber.from(call.returnData);
+    return {
+      before: results.slice(0, tokens.length).map(balance),
+      after: results.slice(tokens.length + 1).map(balance),
+      gasUsed: ethers.BigNumber.from(results[tokens.length].gasUsed).toString()
+    };
+  } catch (error) {
+    // eth_simulateV1 is not supported by every node
+    return null;
+  }
+}
+
+/**
+ * Simulates a batch of vault transactions without sending it
+ *
+ * The batch is run with `callStatic` as `vault.execute(targets, data)` from the vault's executor (or owner when
+ * no executor is set), at one block. When it reverts, the first failing call is found by simulating ever longer
+ * prefixes of the batch, and its revert is decoded with the custom errors of the artifact ABIs.
+ *
+ * Gas and balance deltas come from an `eth_simulateV1` block that reads the vault's balances, runs the batch and
+ * reads them again. Nodes without `eth_simulateV1` get a gas estimate instead and no balance deltas.
+ *
+ * @function simulateVaultTransactions
+ * @memberof module:blockchain/contracts
+ *
+ * @param {string} vaultAddress - Address of the vault
+ * @param {Array<{target: string, data: string}>} transactions - Transactions as for executeVaultTransactions
+ * @param {ethers.providers.Provider} provider - Ethers provider
+ * @param {Object} [options] - Simulation options
+ * @param {string} [options.from] - Account to simulate from (defaults to the vault's executor, or its owner)
+ * @param {Array<string>} [options.tokens] - Tokens to report balance deltas for (defaults to the tokens the batch
+ *   touches, plus native ETH)
+ * @param {number|string} [options.blockTag='latest'] - Block to simulate on top of
+ *
+ * @returns {Promise<Object>} Simulation result:
+ *   - `success` - Whether every call succeeds
+ *   - `from`, `blockNumber` - Account and block simulated with
+ *   - `calls` - Per call `{ index, target, success, revert }`; `success` is null for calls after the failing one
+ *   - `revert` - Decoded revert of the failing call `{ name, args, contract, data, message }` (see
+ *     decodeContractError), or null
+ *   - `gasUsed` - Gas used by the batch at `blockNumber` (string), or null when it reverts or cannot be estimated
+ *   - `balanceDeltas` - Per token `{ token, symbol, decimals, before, after, delta, formatted }`, or null when the
+ *     batch reverts or the node does not support eth_simulateV1
+ *
+ * @throws {Error} If parameters are invalid or the vault cannot be read
+ *
+ * @example
+ * const simulation = await simulateVaultTransactions(vaultAddress, transactions, provider);
+ * if (!simulation.success) {
+ *   const failed = simulation.calls.find(call => call.success === false);
+ *   console.log(`Call ${failed.index} reverts: ${simulation.revert.message}`);
+ * }
+ *
+ * @since 1.0.0
+ */
+export async function simulateVaultTransactions(vaultAddress, transactions, provider, options = {}) {
+  validateVaultTransactions(vaultAddress, transactions);
+
+  // Validate options
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('Options parameter must be an object');
+  }
+  if (options.from !== undefined) {
+    try {
+      ethers.utils.getAddress(options.from);
+    } catch (error) {
+      throw new Error(`Invalid from address: ${options.from}`);
+    }
+  }
+  if (options.tokens !== undefined) {
+    if (!Array.isArray(options.tokens)) {
+      throw new Error('Tokens option must be an array of token addresses');
+    }
+    options.tokens.forEach(token => {
+      try {
+        ethers.utils.getAddress(token);
+      } catch (error) {
+        throw new Error(`Invalid token address: ${token}`);
+      }
+    });
+  }
+
+  // Provider validation happens in getVaultContract
+  const vault = getVaultContract(vaultAddress, provider);
+  const blockNumber = await resolveBlockTag(provider, options.blockTag ?? 'latest');
+
+  let from = options.from;
+  let chainId;
+  try {
+    chainId = (await provider.getNetwork()).chainId;
+    if (!from) {
+      const executor = await vault.executor({ blockTag: blockNumber });
+      from = executor !== ethers.constants.AddressZero ? executor : await vault.owner({ blockTag: blockNumber });
+    }
+  } catch (error) {
+    throw new Error(`Failed to simulate vault transactions: ${error.message}`);
+  }
+
+  const targets = transactions.map(tx => tx.target);
+  const data = transactions.map(tx => tx.data);
+
+  /**
+   * Simulate the first `count` transactions
+   * @param {number} count - Number of transactions
+   * @returns {Promise<{success: boolean, results?: Array<boolean>, revert?: Object}>} Outcome
+   */
+  const attempt = async (count) => {
+    try {
+      const results = await vault.callStatic.execute(targets.slice(0, count), data.slice(0, count), { from, blockTag: blockNumber });
+      return { success: true, results };
+    } catch (error) {
+      const revert = decodeContractError(error, { contract: 'PositionVault' })
+        ?? { name: null, args: {}, contract: null, data: null, message: error.reason || error.message };
+      return { success: false, revert };
+    }
+  };
+
+  const full = await attempt(transactions.length);
+
+  if (!full.success) {
+    // A prefix that reverts only reverts more when extended, so the first failing call can be bisected
+    let low = 1;
+    let high = transactions.length;
+    let failure = full;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      const outcome = await attempt(middle);
+      if (outcome.success) {
+        low = middle + 1;
+      } else {
+        high = middle;
+        failure = outcome;
+      }
+    }
+    const failingIndex = low - 1;
+
+    return {
+      success: false,
+      from,
+      blockNumber,
+      calls: transactions.map((tx, index) => ({
+        index,
+        target: tx.target,
+        success: index < failingIndex ? true : index === failingIndex ? false : null,
+        revert: index === failingIndex ? failure.revert : null
+      })),
+      revert: failure.revert,
+      gasUsed: null,
+      balanceDeltas: null
+    };
+  }
+
+  // Tokens the batch touches, plus native ETH
+  let tokens = options.tokens;
+  if (!tokens) {
+    const touched = new Set();
+    decodeVaultTransactions(transactions, chainId).forEach(step => {
+      if (step.kind === 'erc20') {
+        touched.add(ethers.utils.getAddress(step.target));
+      }
+      step.actions.forEach(action => Object.values(action.amounts).forEach(amount => {
+        if (amount.address) {
+          touched.add(ethers.utils.getAddress(amount.address));
+        }
+      }));
+    });
+    tokens = [...touched, null];
+  }
+
+  const executeCall = { from, to: vault.address, data: vault.interface.encodeFunctionData('execute', [targets, data]) };
+  const simulated = await simulateBalances(vault, tokens, executeCall, provider, blockNumber);
+
+  let gasUsed = simulated?.gasUsed ?? null;
+  if (!gasUsed && typeof provider.send === 'function') {
+    try {
+      // Estimated at the simulated block; the provider's estimateGas only estimates at the latest one
+      const estimate = await provider.send('eth_estimateGas', [
+        ethers.providers.JsonRpcProvider.hexlifyTransaction(executeCall, { from: true }),
+        ethers.utils.hexValue(blockNumber)
+      ]);
+      gasUsed = ethers.BigNumber.from(estimate).toString();
+    } catch (error) {
+      // The batch passed callStatic; a failed estimate only leaves gas unknown
+    }
+  }
+
+  const balanceDeltas = simulated && tokens.map((token, index) => {
+    let symbol = token ? null : 'ETH';
+    let decimals = token ? null : 18;
+    if (token) {
+      try {
+        ({ symbol, decimals } = getTokenByAddress(token, chainId));
+      } catch (error) {
+        // Not in the token config - raw amounts only
+      }
+    }
+    const delta = simulated.after[index].sub(simulated.before[index]);
+    return {
+      token,
+      symbol,
+      decimals,
+      before: simulated.before[index].toString(),
+      after: simulated.after[index].toString(),
+      delta: delta.toString(),
+      formatted: decimals !== null ? ethers.utils.formatUnits(delta, decimals) : null
+    };
+  });
+
+  return {
+    success: full.results.every(Boolean),
+    from,
+    blockNumber,
+    calls: transactions.map((tx, index) => ({
+      index,
+      target: tx.target,
+      success: Boolean(full.results[index]),
+      revert: null
+    })),
+    revert: null,
+    gasUsed,
+    balanceDeltas
+  };
+}
+
+/**
+ * Executes a batch of transactions through a vault
+ *
+ * @function executeVaultTransactions
+ * @memberof module:blockchain/contracts
+ *
+ * @param {string} vaultAddress - Address of the vault
+ * @param {Array<{target: string, data: string}>} transactions - Array of transactions to execute
+ * @param {ethers.Signer} signer - Signer for the transaction
+ * @param {Object} [options] - Execution options
+ * @param {boolean} [options.simulate=false] - Simulate the batch from the signer first and refuse to send it
+ *   if any call would fail (see simulateVaultTransactions)
+ *
+ * @returns {Promise<boolean>} True if all transactions succeeded (execution is atomic)
+ *
+ * @throws {ContractError} If the batch reverts (or would, with options.simulate) with decodable revert data
+ *
+ * @example
+ * const transactions = [{
+ *   target: tokenAddress,
+ *   data: tokenContract.interface.encodeFunctionData('approve', [spender, amount])
+ * }];
+ * const results = await executeVaultTransactions(vaultAddress, transactions, signer, { simulate: true });
+ *
+ * @since 1.0.0
+ */
+export async function executeVaultTransactions(vaultAddress, transactions, signer, options = {}) {
+  validateVaultTransactions(vaultAddress, transactions);
 
   // Validate signer parameter
   if (!signer || !signer.provider || typeof signer.getAddress !== 'function') {
     throw new Error('Invalid signer. Must be an ethers signer instance.');
   }
 
+  // Validate options
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('Options parameter must be an object');
+  }
+  if (options.simulate !== undefined && typeof options.simulate !== 'boolean') {
+    throw new Error('Simulate option must be a boolean');
+  }
+
+  if (options.simulate) {
+    const simulation = await simulateVaultTransactions(vaultAddress, transactions, signer.provider, {
+      from: await signer.getAddress()
+    });
+    if (!simulation.success) {
+      const failed = simulation.calls.find(call => call.success === false);
+      const message = `Failed to execute vault transactions: simulation failed at transaction ${failed.index} ` +
+        `(${failed.target}): ${failed.revert?.message ?? 'call returned false'}`;
+      // A revert without data has no decoded error to report
+      throw failed.revert?.name ? new ContractError(message, failed.revert) : new Error(message);
+    }
+  }
+
   const vault = getVaultContract(vaultAddress, signer.provider);
   const vaultWithSigner = vault.connect(signer);
 
@@ -460,6 +1080,10 @@ export async function executeVaultTransactions(vaultAddress, transactions, signe
     await tx.wait();
     return true; // All transactions succeeded (atomic execution)
   } catch (error) {
-    throw new Error(`Failed to execute vault transactions: ${error.message}`);
+    const revert = decodeContractError(error, { contract: 'PositionVault' });
+    if (revert) {
+      throw new ContractError(`Failed to execute vault transactions: ${revert.message}`, revert, error);
+    }
+    throw new Error(`Failed to execute vault transactions: ${error.reason || error.message}`);
   }
 }
@@ -0,0 +1,264 @@
+/**
+ * @module blockchain/errors
+ * @description Revert decoding for FUM and Uniswap contracts into typed errors with their name, arguments and contract
+ */
+
+// src/blockchain/errors.js
+import { ethers } from 'ethers';
+import contractData from '../artifacts/contracts.js';
+
+// Solidity's built-in reverts by selector; ethers does not allow them in an Interface
+const BUILTIN_REVERTS = {
+  '0x08c379a0': { name: 'Error', type: 'string', arg: 'message' },
+  '0x4e487b71': { name: 'Panic', type: 'uint256', arg: 'code' }
+};
+
+// Custom errors of the Uniswap contracts vault batches call, which have no artifact here
+const UNISWAP_ERROR_ABIS = {
+  'Universal Router': [
+    "error ExecutionFailed(uint256 commandIndex, bytes message)",
+    "error ETHNotAccepted()",
+    "error TransactionDeadlinePassed()",
+    "error LengthMismatch()",
+    "error InvalidEthSender()",
+    "error InvalidCommandType(uint256 commandType)",
+    "error InsufficientToken()",
+    "error InsufficientETH()",
+    "error InvalidBips()",
+    "error InvalidSpender()",
+    "error FromAddressIsNotOwner()",
+    "error SliceOutOfBounds()",
+    "error V3InvalidSwap()",
+    "error V3TooLittleReceived()",
+    "error V3TooMuchRequested()",
+    "error V3InvalidAmountOut()",
+    "error V3InvalidCaller()"
+  ],
+  'Permit2': [
+    "error AllowanceExpired(uint256 deadline)",
+    "error InsufficientAllowance(uint256 amount)",
+    "error ExcessiveInvalidation()",
+    "error InvalidAmount(uint256 maxAmount)",
+    "error InvalidNonce()",
+    "error SignatureExpired(uint256 signatureDeadline)",
+    "error InvalidSignature()",
+    "error InvalidSignatureLength()",
+    "error InvalidSigner()",
+    "error InvalidContractSignature()",
+    "error LengthMismatch()"
+  ]
+};
+
+// V3 periphery contracts (SwapRouter, NonfungiblePositionManager) revert with Error(string) codes
+const UNISWAP_PERIPHERY_CONTRACT = 'Uniswap V3 Periphery';
+const UNISWAP_PERIPHERY_REVERTS = {
+  'STF': 'TransferFromFailed',
+  'ST': 'TransferFailed',
+  'SA': 'ApproveFailed',
+  'STE': 'ETHTransferFailed',
+  'Transaction too old': 'TransactionTooOld',
+  'Too little received': 'TooLittleReceived',
+  'Too much requested': 'TooMuchRequested',
+  'Price slippage check': 'PriceSlippageCheck',
+  'Not approved': 'NotApproved',
+  'Invalid token ID': 'InvalidTokenId',
+  'Not cleared': 'NotCleared',
+  'Insufficient WETH9': 'InsufficientWETH9',
+  'Insufficient token': 'InsufficientToken',
+  'Not WETH9': 'NotWETH9'
+};
+
+// [contract, Interface] of every contract with custom errors, built on first use
+let errorInterfaces = null;
+
+/**
+ * Error thrown when a contract call reverts, carrying the decoded revert
+ *
+ * @example
+ * try {
+ *   await executeVaultTransactions(vaultAddress, transactions, signer);
+ * } catch (error) {
+ *   if (error instanceof ContractError && error.errorName === 'OwnableUnauthorizedAccount') {
+ *     console.log(`${error.args.account} may not manage this vault`);
+ *   }
+ * }
+ *
+ * @since 1.0.0
+ */
+export class ContractError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} revert - Decoded revert from decodeContractError
+   * @param {Error} [cause] - Original error
+   */
+  constructor(message, revert, cause) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ContractError';
+    /** @type {string|null} Custom error name, e.g. 'SafeERC20FailedOperation'; null if unrecognised */
+    this.errorName = revert.name;
+    /** @type {Object} Decoded arguments by name */
+    this.args = revert.args;
+    /** @type {string|null} Contract that declares the error */
+    this.contract = revert.contract;
+    /** @type {string|null} Raw revert data */
+    this.data = revert.data;
+    /** @type {Object|null} Decoded inner revert, for errors that wrap one (Universal Router ExecutionFailed) */
+    this.inner = revert.inner ?? null;
+  }
+}
+
+/**
+ * Find the revert data of a failed call in an ethers error
+ *
+ * @function getRevertData
+ * @memberof module:blockchain/errors
+ *
+ * @param {Error|Object} error - Error thrown by a call or transaction
+ *
+ * @returns {string|null} Revert data, or null if the error carries none
+ *
+ * @example
+ * const data = getRevertData(error); // '0x118cdaa7...'
+ *
+ * @since 1.0.0
+ */
+export function getRevertData(error) {
+  for (let current = error; current; current = current.error) {
+    if (typeof current.data === 'string' && ethers.utils.isHexString(current.data)) {
+      return current.data;
+    }
+    if (typeof current.body === 'string') {
+      try {
+        const data = JSON.parse(current.body).error?.data;
+        if (typeof data === 'string' && ethers.utils.isHexString(data)) {
+          return data;
+        }
+      } catch (parseError) {
+        // Not a JSON-RPC response body
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the error interfaces on first use
+ * @returns {Array<[string, ethers.utils.Interface]>} Contract name and its error interface
+ * @private
+ */
+function getErrorInterfaces() {
+  if (!errorInterfaces) {
+    const artifacts = Object.entries(contractData)
+      .filter(([, contract]) => Array.isArray(contract?.abi) && contract.abi.some(fragment => fragment.type === 'error'))
+      .map(([name, contract]) => [name, new ethers.utils.Interface(contract.abi)]);
+    const uniswap = Object.entries(UNISWAP_ERROR_ABIS)
+      .map(([name, abi]) => [name, new ethers.utils.Interface(abi)]);
+    errorInterfaces = [...artifacts, ...uniswap];
+  }
+  return errorInterfaces;
+}
+
+/**
+ * Decode revert data, assumed valid hex
+ * @param {string} data - Revert data
+ * @param {string} [preferred] - Contract to try first
+ * @returns {{name: string|null, args: Object, contract: string|null, data: string, message: string, inner?: Object}}
+ * @private
+ */
+function decodeRevertData(data, preferred) {
+  const unknown = { name: null, args: {}, contract: null, data, message: `Unrecognised revert data ${data}` };
+
+  const builtin = BUILTIN_REVERTS[data.slice(0, 10)];
+  if (builtin) {
+    let value;
+    try {
+      [value] = ethers.utils.defaultAbiCoder.decode([builtin.type], ethers.utils.hexDataSlice(data, 4));
+    } catch (decodeError) {
+      return unknown;
+    }
+    if (builtin.name === 'Panic') {
+      return { name: 'Panic', args: { code: value.toString() }, contract: null, data, message: `Panic(${ethers.utils.hexValue(value)})` };
+    }
+    const periphery = UNISWAP_PERIPHERY_REVERTS[value];
+    return periphery
+      ? { name: periphery, args: { message: value }, contract: UNISWAP_PERIPHERY_CONTRACT, data, message: `${periphery} (${value})` }
+      : { name: 'Error', args: { message: value }, contract: null, data, message: value };
+  }
+
+  // Several contracts declare the same error (e.g. OwnableUnauthorizedAccount); the preferred one wins
+  const interfaces = getErrorInterfaces();
+  const ordered = [
+    ...interfaces.filter(([name]) => name === preferred),
+    ...interfaces.filter(([name]) => name !== preferred)
+  ];
+
+  for (const [contract, iface] of ordered) {
+    let parsed;
+    try {
+      parsed = iface.parseError(data);
+    } catch (parseError) {
+      continue;
+    }
+    const args = Object.fromEntries(parsed.errorFragment.inputs.map((input, i) => [
+      input.name || String(i),
+      ethers.BigNumber.isBigNumber(parsed.args[i]) ? parsed.args[i].toString() : parsed.args[i]
+    ]));
+
+    if (parsed.name === 'ExecutionFailed') {
+      const inner = args.message === '0x' ? null : decodeRevertData(args.message);
+      const reason = inner ? inner.message : 'no reason';
+      return { name: parsed.name, args, contract, data, inner, message: `ExecutionFailed(command ${args.commandIndex}: ${reason})` };
+    }
+
+    const message = `${parsed.name}(${Object.values(args).join(', ')})`;
+    return { name: parsed.name, args, contract, data, message };
+  }
+
+  return unknown;
+}
+
+/**
+ * Decode the revert of a failed contract call
+ *
+ * Error(string) and Panic(uint256) reverts are decoded first; the Error(string) codes of the Uniswap V3 periphery
+ * (e.g. 'STF', 'Too little received') get a name of their own. Other reverts are matched against the custom errors
+ * of the FUM artifacts (bob, PositionVault, VaultFactory), the Universal Router and Permit2.
+ *
+ * @function decodeContractError
+ * @memberof module:blockchain/errors
+ *
+ * @param {Error|Object|string} error - Error thrown by a call or transaction, or raw revert data
+ * @param {Object} [options] - Decoding options
+ * @param {string} [options.contract] - Contract the call was made to (e.g. 'VaultFactory'), preferred when several
+ *   contracts declare the same error
+ *
+ * @returns {{name: string|null, args: Object, contract: string|null, data: string, message: string, inner?: Object}|null}
+ *   Decoded revert (name null if the data is not recognised), or null if there is no revert data
+ *
+ * @throws {Error} If options is not an object
+ * @throws {Error} If options.contract is not a string
+ *
+ * @example
+ * const revert = decodeContractError(error, { contract: 'PositionVault' });
+ * // { name: 'SafeERC20FailedOperation', args: { token: '0xaf88...' }, contract: 'PositionVault', data: '0x5274afe7...',
+ * //   message: 'SafeERC20FailedOperation(0xaf88...)' }
+ *
+ * @since 1.0.0
+ */
+export function decodeContractError(error, options = {}) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('Options parameter must be an object');
+  }
+  if (options.contract !== undefined && typeof options.contract !== 'string') {
+    throw new Error('Contract option must be a string');
+  }
+
+  const data = typeof error === 'string'
+    ? (ethers.utils.isHexString(error) ? error : null)
+    : getRevertData(error);
+  if (!data || data === '0x') {
+    return null;
+  }
+
+  return decodeRevertData(data, options.contract);
+}
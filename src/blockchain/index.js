@@ -4,10 +4,24 @@
  * This module provides blockchain interaction functionality including:
  * - Wallet management and connection utilities
  * - Smart contract interaction helpers
+ * - Batched contract reads through Multicall3
+ * - Shared pool state cache
+ * - Permit2 allowances and signatures
+ * - Universal Router command encoding
+ * - Vault transaction batch decoding
+ * - Typed decoding of contract reverts
+ * - Vault activity history from on-chain events
  * 
  * @module blockchain
  */
 
 export * from './wallet.js';
 export * from './contracts.js';
+export * from './multicall.js';
+export * from './poolStateCache.js';
+export * from './permit2.js';
+export * from './universalRouter.js';
+export * from './transactionDecoder.js';
+export * from './errors.js';
+export * from './vaultHistory.js';
 
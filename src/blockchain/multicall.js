@@ -0,0 +1,403 @@
+/**
+ * @module blockchain/multicall
+ * @description Batched contract reads through Multicall3, with a per-call fallback, pinned to one block, and
+ * chunked log reads
+ */
+
+// src/blockchain/multicall.js
+import { ethers } from 'ethers';
+
+/**
+ * Multicall3 address - deployed at the same address on every supported chain
+ * @type {string}
+ */
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+/**
+ * Default number of blocks per eth_getLogs request
+ * @type {number}
+ */
+export const DEFAULT_LOG_CHUNK_SIZE = 10000;
+
+const Multicall3ABI = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)"
+];
+
+const multicall3Interface = new ethers.utils.Interface(Multicall3ABI);
+
+// Module-level configuration (set via configureMulticall or initFumLibrary)
+let _multicallConfig = {
+  enabled: true,
+  batchSize: 100,
+};
+
+// Named block tags accepted by eth_call, besides block numbers
+const NAMED_BLOCK_TAGS = ['latest', 'earliest', 'pending', 'safe', 'finalized'];
+
+/**
+ * Validate a block tag: a block number, a hex block number or a named tag
+ *
+ * @function validateBlockTag
+ * @memberof module:blockchain/multicall
+ *
+ * @param {any} blockTag - Value to validate
+ *
+ * @throws {Error} If blockTag is not a valid block tag
+ *
+ * @since 1.0.0
+ */
+export function validateBlockTag(blockTag) {
+  if (typeof blockTag === 'number' && Number.isInteger(blockTag) && blockTag >= 0) {
+    return;
+  }
+  if (typeof blockTag === 'string' && (/^0x[0-9a-fA-F]+$/.test(blockTag) || NAMED_BLOCK_TAGS.includes(blockTag))) {
+    return;
+  }
+  throw new Error(`Invalid block tag: ${blockTag}`);
+}
+
+/**
+ * Resolve a block tag to a block number, so that several reads can be pinned to the same block
+ *
+ * @function resolveBlockTag
+ * @memberof module:blockchain/multicall
+ *
+ * @param {ethers.providers.Provider} provider - Ethers provider
+ * @param {number|string} [blockTag='latest'] - Block number, hex block number or named tag
+ *
+ * @returns {Promise<number>} Block number
+ *
+ * @throws {Error} If the provider or block tag is invalid, or the block cannot be found
+ *
+ * @example
+ * // Pin every read of a snapshot to the current block
+ * const blockTag = await resolveBlockTag(provider);
+ *
+ * @since 1.0.0
+ */
+export async function resolveBlockTag(provider, blockTag = 'latest') {
+  if (!(provider instanceof ethers.providers.Provider)) {
+    throw new Error('Invalid provider. Must be an ethers provider instance.');
+  }
+  validateBlockTag(blockTag);
+
+  if (typeof blockTag === 'number') {
+    return blockTag;
+  }
+  if (blockTag.startsWith('0x')) {
+    return parseInt(blockTag, 16);
+  }
+  if (blockTag === 'earliest') {
+    return 0;
+  }
+
+  try {
+    if (blockTag === 'latest') {
+      return await provider.getBlockNumber();
+    }
+    const block = await provider.getBlock(blockTag);
+    if (!block) {
+      throw new Error('block not found');
+    }
+    return block.number;
+  } catch (error) {
+    throw new Error(`Failed to resolve block tag ${blockTag}: ${error.message}`);
+  }
+}
+
+/**
+ * Validate a multicall batch size
+ * @param {any} batchSize - Value to validate
+ * @throws {Error} If batchSize is not a positive integer
+ * @private
+ */
+function validateBatchSize(batchSize) {
+  if (typeof batchSize !== 'number' || !Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error('batchSize must be a positive integer');
+  }
+}
+
+/**
+ * Configure batched contract reads
+ *
+ * @function configureMulticall
+ * @memberof module:blockchain/multicall
+ *
+ * @param {Object} options - Configuration options
+ * @param {boolean} [options.enabled] - Batch reads through Multicall3 (`false` sends one eth_call per read)
+ * @param {number} [options.batchSize] - Maximum number of reads per Multicall3 call
+ *
+ * @throws {Error} If an option is invalid
+ *
+ * @example
+ * import { configureMulticall } from 'fum_library/blockchain/multicall';
+ * configureMulticall({ batchSize: 50 });
+ *
+ * @since 1.0.0
+ */
+export function configureMulticall({ enabled, batchSize } = {}) {
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    throw new Error('enabled must be a boolean');
+  }
+  if (batchSize !== undefined) {
+    validateBatchSize(batchSize);
+  }
+
+  if (enabled !== undefined) {
+    _multicallConfig.enabled = enabled;
+  }
+  if (batchSize !== undefined) {
+    _multicallConfig.batchSize = batchSize;
+  }
+}
+
+/**
+ * Get the current batched read configuration
+ *
+ * @function getMulticallConfig
+ * @memberof module:blockchain/multicall
+ *
+ * @returns {{enabled: boolean, batchSize: number}} Copy of the current configuration
+ *
+ * @since 1.0.0
+ */
+export function getMulticallConfig() {
+  return { ..._multicallConfig };
+}
+
+/**
+ * Decode a successful read, turning decode failures into a failed result
+ * @param {Object} call - The read that was made
+ * @param {string} returnData - Raw return data
+ * @returns {{success: boolean, result?: ethers.utils.Result, error?: Error}} Read result
+ * @private
+ */
+function decodeResult(call, returnData) {
+  try {
+    return { success: true, result: call.iface.decodeFunctionResult(call.method, returnData) };
+  } catch (error) {
+    return { success: false, error: new Error(`Failed to decode ${call.method} result from ${call.target}: ${error.message}`) };
+  }
+}
+
+/**
+ * Read a list of contract view functions in as few RPC round-trips as possible
+ *
+ * Reads are sent through Multicall3 `aggregate3` in chunks of `batchSize`. Each read may fail on its own
+ * without failing the rest: results come back in call order as `{ success, result }` or `{ success, error }`.
+ * With batching disabled every read is sent as its own `eth_call`, with the same result shape.
+ *
+ * Every read is made at `blockTag`. When the reads take more than one `eth_call`, a named tag is first
+ * resolved to a block number so they all see the same block.
+ *
+ * @function multicall
+ * @memberof module:blockchain/multicall
+ *
+ * @param {Array<Object>} calls - Reads to make
+ * @param {string} calls[].target - Contract address
+ * @param {ethers.utils.Interface} calls[].iface - Contract interface
+ * @param {string} calls[].method - View function name or signature
+ * @param {Array} [calls[].args] - Function arguments
+ * @param {ethers.providers.Provider} provider - Ethers provider
+ * @param {Object} [options] - Per-call overrides of the configured defaults
+ * @param {boolean} [options.enabled] - Batch through Multicall3 (`false` for per-call reads)
+ * @param {number} [options.batchSize] - Maximum number of reads per Multicall3 call
+ * @param {number|string} [options.blockTag='latest'] - Block to read at
+ *
+ * @returns {Promise<Array<{success: boolean, result?: ethers.utils.Result, error?: Error}>>} Results in call order
+ *
+ * @throws {Error} If parameters are invalid
+ * @throws {Error} If a Multicall3 call itself fails
+ *
+ * @example
+ * const results = await multicall([
+ *   { target: poolAddress, iface: poolInterface, method: 'slot0' },
+ *   { target: poolAddress, iface: poolInterface, method: 'ticks', args: [tickLower] }
+ * ], provider);
+ *
+ * if (results[0].success) {
+ *   console.log(results[0].result.tick);
+ * }
+ *
+ * @since 1.0.0
+ */
+export async function multicall(calls, provider, options = {}) {
+  // Validate calls
+  if (!Array.isArray(calls)) {
+    throw new Error('Calls must be an array');
+  }
+
+  const encodedCalls = calls.map((call, index) => {
+    if (!call || typeof call !== 'object') {
+      throw new Error(`Call ${index} must be an object`);
+    }
+    try {
+      ethers.utils.getAddress(call.target);
+    } catch (error) {
+      throw new Error(`Call ${index} has an invalid target address: ${call.target}`);
+    }
+    if (!(call.iface instanceof ethers.utils.Interface)) {
+      throw new Error(`Call ${index} must include an ethers Interface`);
+    }
+    if (call.args !== undefined && !Array.isArray(call.args)) {
+      throw new Error(`Call ${index} args must be an array`);
+    }
+    try {
+      return call.iface.encodeFunctionData(call.method, call.args || []);
+    } catch (error) {
+      throw new Error(`Call ${index} could not be encoded: ${error.message}`);
+    }
+  });
+
+  // Validate provider
+  if (!(provider instanceof ethers.providers.Provider)) {
+    throw new Error('Invalid provider. Must be an ethers provider instance.');
+  }
+
+  // Validate options
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('Options parameter must be an object');
+  }
+  const enabled = options.enabled ?? _multicallConfig.enabled;
+  const batchSize = options.batchSize ?? _multicallConfig.batchSize;
+  if (typeof enabled !== 'boolean') {
+    throw new Error('enabled must be a boolean');
+  }
+  validateBatchSize(batchSize);
+  let blockTag = options.blockTag ?? 'latest';
+  validateBlockTag(blockTag);
+
+  if (calls.length === 0) {
+    return [];
+  }
+
+  // Reads spread over several eth_calls must all see the same block
+  const callCount = enabled ? Math.ceil(calls.length / batchSize) : calls.length;
+  if (callCount > 1 && typeof blockTag !== 'number') {
+    blockTag = await resolveBlockTag(provider, blockTag);
+  }
+
+  // Per-call fallback
+  if (!enabled) {
+    return Promise.all(calls.map(async (call, index) => {
+      try {
+        const returnData = await provider.call({ to: call.target, data: encodedCalls[index] }, blockTag);
+        return decodeResult(call, returnData);
+      } catch (error) {
+        return { success: false, error: new Error(`${call.method} call to ${call.target} failed: ${error.message}`) };
+      }
+    }));
+  }
+
+  const results = [];
+  for (let start = 0; start < calls.length; start += batchSize) {
+    const batch = calls.slice(start, start + batchSize);
+    const data = multicall3Interface.encodeFunctionData('aggregate3', [
+      batch.map((call, offset) => ({ target: call.target, allowFailure: true, callData: encodedCalls[start + offset] }))
+    ]);
+
+    let returnData;
+    try {
+      const response = await provider.call({ to: MULTICALL3_ADDRESS, data }, blockTag);
+      [returnData] = multicall3Interface.decodeFunctionResult('aggregate3', response);
+    } catch (error) {
+      throw new Error(`Failed to execute multicall batch: ${error.message}`);
+    }
+
+    batch.forEach((call, offset) => {
+      const { success, returnData: callData } = returnData[offset];
+      results.push(success
+        ? decodeResult(call, callData)
+        : { success: false, error: new Error(`${call.method} call to ${call.target} reverted`) });
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Fetch logs over a block range in chunks
+ *
+ * Providers cap the block range (or result size) of a single `eth_getLogs` request, so the range is split into
+ * requests made one after another, `chunkSize` blocks each. With `options.maxChunkSize` or `options.minChunkSize`
+ * the ranges adapt: a range doubles after a request succeeds, up to `maxChunkSize` and never past half a size that
+ * has failed, and halves after a request fails, down to `minChunkSize`.
+ *
+ * @function getLogsInChunks
+ * @memberof module:blockchain/multicall
+ *
+ * @param {ethers.providers.Provider} provider - Ethers provider
+ * @param {Object} filter - Log filter without a block range (`{ address, topics }`)
+ * @param {number} fromBlock - First block
+ * @param {number} toBlock - Last block
+ * @param {number} [chunkSize=DEFAULT_LOG_CHUNK_SIZE] - Blocks per eth_getLogs request (the first request, with
+ *   adaptive ranges)
+ * @param {Object} [options] - Range options
+ * @param {number} [options.maxChunkSize=chunkSize] - Largest range to grow to
+ * @param {number} [options.minChunkSize=chunkSize] - Smallest range to shrink to before failing
+ *
+ * @returns {Promise<Array<Object>>} Logs in block order
+ *
+ * @throws {Error} If parameters are invalid
+ * @throws {Error} If a chunk cannot be fetched
+ *
+ * @example
+ * const toBlock = await resolveBlockTag(provider);
+ * const logs = await getLogsInChunks(provider, nft.filters.Transfer(null, owner), startBlock, toBlock);
+ *
+ * // Grow sparse ranges to 1M blocks, and shrink to 100 blocks when the provider refuses a range
+ * const sparse = await getLogsInChunks(provider, filter, startBlock, toBlock, 10000, {
+ *   maxChunkSize: 1000000,
+ *   minChunkSize: 100
+ * });
+ *
+ * @since 1.0.0
+ */
+export async function getLogsInChunks(provider, filter, fromBlock, toBlock, chunkSize = DEFAULT_LOG_CHUNK_SIZE, options = {}) {
+  if (!(provider instanceof ethers.providers.Provider)) {
+    throw new Error('Invalid provider. Must be an ethers provider instance.');
+  }
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new Error('Filter must be an object');
+  }
+  if (!Number.isInteger(fromBlock) || fromBlock < 0) {
+    throw new Error(`Invalid fromBlock: ${fromBlock}`);
+  }
+  if (!Number.isInteger(toBlock) || toBlock < 0) {
+    throw new Error(`Invalid toBlock: ${toBlock}`);
+  }
+  if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+    throw new Error(`Chunk size must be a positive integer. Got: ${chunkSize}`);
+  }
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('Options parameter must be an object');
+  }
+  const { maxChunkSize = chunkSize, minChunkSize = chunkSize } = options;
+  if (!Number.isInteger(maxChunkSize) || maxChunkSize < chunkSize) {
+    throw new Error(`maxChunkSize must be an integer of at least the chunk size. Got: ${maxChunkSize}`);
+  }
+  if (!Number.isInteger(minChunkSize) || minChunkSize < 1 || minChunkSize > chunkSize) {
+    throw new Error(`minChunkSize must be a positive integer of at most the chunk size. Got: ${minChunkSize}`);
+  }
+
+  const logs = [];
+  let size = chunkSize;
+  let ceiling = maxChunkSize;
+  for (let start = fromBlock; start <= toBlock;) {
+    const end = Math.min(start + size - 1, toBlock);
+    try {
+      logs.push(...await provider.getLogs({ ...filter, fromBlock: start, toBlock: end }));
+    } catch (error) {
+      if (size <= minChunkSize) {
+        throw new Error(`Failed to fetch ${filter.address} logs for blocks ${start}-${end}: ${error.message}`);
+      }
+      // Retry the same start with a smaller range, and stop growing back to the size that failed
+      size = Math.max(Math.floor(size / 2), minChunkSize);
+      ceiling = Math.min(ceiling, size);
+      continue;
+    }
+    start = end + 1;
+    size = Math.min(size * 2, ceiling);
+  }
+  return logs;
+}
@@ -0,0 +1,299 @@
+/**
+ * @module blockchain/permit2
+ * @description Permit2 allowance reads and PermitSingle signatures for Universal Router swaps, from wallets and vaults
+ */
+
+// src/blockchain/permit2.js
+import { ethers } from 'ethers';
+import { getPlatformAddresses, validateChainId } from '../helpers/chainHelpers.js';
+import { getVaultContract } from './contracts.js';
+import { validateBlockTag } from './multicall.js';
+
+/**
+ * Permit2 address - deployed at the same address on every supported chain
+ * @type {string}
+ */
+export const PERMIT2_ADDRESS = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
+
+const Permit2ABI = [
+  "function allowance(address owner, address token, address spender) view returns (uint160 amount, uint48 expiration, uint48 nonce)"
+];
+
+// EIP-712 types of an AllowanceTransfer PermitSingle
+const PERMIT_SINGLE_TYPES = {
+  PermitSingle: [
+    { name: 'details', type: 'PermitDetails' },
+    { name: 'spender', type: 'address' },
+    { name: 'sigDeadline', type: 'uint256' }
+  ],
+  PermitDetails: [
+    { name: 'token', type: 'address' },
+    { name: 'amount', type: 'uint160' },
+    { name: 'expiration', type: 'uint48' },
+    { name: 'nonce', type: 'uint48' }
+  ]
+};
+
+// ERC-1271 isValidSignature return value for a valid signature
+const ERC1271_MAGIC_VALUE = '0x1626ba7e';
+
+const MAX_UINT160 = ethers.BigNumber.from(2).pow(160).sub(1);
+const MAX_UINT48 = 2 ** 48 - 1;
+
+/**
+ * Validate an address parameter
+ * @param {any} address - Value to validate
+ * @param {string} name - Parameter name used in error messages
+ * @throws {Error} If the address is missing or invalid
+ * @private
+ */
+function validateAddress(address, name) {
+  if (!address) {
+    throw new Error(`${name[0].toUpperCase()}${name.slice(1)} address parameter is required`);
+  }
+  try {
+    ethers.utils.getAddress(address);
+  } catch (error) {
+    throw new Error(`Invalid ${name} address: ${address}`);
+  }
+}
+
+/**
+ * Validate a uint48 timestamp or nonce
+ * @param {any} value - Value to validate
+ * @param {string} name - Parameter name used in error messages
+ * @throws {Error} If the value is not an integer in uint48 range
+ * @private
+ */
+function validateUint48(value, name) {
+  if (typeof value !== 'number' || !Number.isInteger(value) || value < 0 || value > MAX_UINT48) {
+    throw new Error(`${name} must be a non-negative integer below 2^48`);
+  }
+}
+
+/**
+ * Read the Permit2 allowance an owner has given a spender for a token
+ *
+ * @function getPermit2Allowance
+ * @memberof module:blockchain/permit2
+ *
+ * @param {string} owner - Token owner (wallet or vault)
+ * @param {string} token - Token address
+ * @param {string} spender - Spender address (e.g. the Universal Router)
+ * @param {ethers.providers.Provider} provider - Ethers provider
+ * @param {Object} [options] - Read options
+ * @param {number|string} [options.blockTag='latest'] - Block to read at
+ *
+ * @returns {Promise<{amount: string, expiration: number, nonce: number}>} Allowance amount, expiration timestamp
+ *   and the nonce the next permit must use
+ *
+ * @throws {Error} If parameters are invalid or the read fails
+ *
+ * @example
+ * const { nonce } = await getPermit2Allowance(vaultAddress, tokenIn, universalRouterAddress, provider);
+ *
+ * @since 1.0.0
+ */
+export async function getPermit2Allowance(owner, token, spender, provider, options = {}) {
+  validateAddress(owner, 'owner');
+  validateAddress(token, 'token');
+  validateAddress(spender, 'spender');
+
+  // Validate provider
+  if (!(provider instanceof ethers.providers.Provider)) {
+    throw new Error('Invalid provider. Must be an ethers provider instance.');
+  }
+
+  // Validate options
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('Options parameter must be an object');
+  }
+  const blockTag = options.blockTag ?? 'latest';
+  validateBlockTag(blockTag);
+
+  try {
+    const permit2 = new ethers.Contract(PERMIT2_ADDRESS, Permit2ABI, provider);
+    const { amount, expiration, nonce } = await permit2.allowance(owner, token, spender, { blockTag });
+
+    return {
+      amount: amount.toString(),
+      expiration: Number(expiration),
+      nonce: Number(nonce)
+    };
+  } catch (error) {
+    throw new Error(`Failed to read Permit2 allowance: ${error.message}`);
+  }
+}
+
+/**
+ * Build the EIP-712 typed data of a Permit2 PermitSingle
+ *
+ * The permit lets `spender` pull up to `amount` of `token` from the signer until `expiration`. The spender
+ * defaults to the chain's Uniswap Universal Router, as used by `generateAlphaSwapData`.
+ *
+ * @function buildPermit2TypedData
+ * @memberof module:blockchain/permit2
+ *
+ * @param {Object} params - Permit parameters
+ * @param {number} params.chainId - Chain the permit is signed for
+ * @param {string} params.token - Token address
+ * @param {string} params.amount - Amount allowed (in wei string, at most 2^160 - 1)
+ * @param {number} params.nonce - Current Permit2 nonce of the owner for this token and spender
+ * @param {number} params.expiration - Unix timestamp the allowance expires at
+ * @param {number} [params.sigDeadline=expiration] - Unix timestamp the signature can be used until
+ * @param {string} [params.spender] - Spender address (defaults to the Uniswap V3 Universal Router of the chain)
+ *
+ * @returns {{domain: Object, types: Object, values: Object}} Typed data for `signer._signTypedData(domain, types, values)`;
+ *   `values` is the PermitSingle
+ *
+ * @throws {Error} If parameters are invalid or no Universal Router is configured for the chain
+ *
+ * @example
+ * const typedData = buildPermit2TypedData({ chainId: 42161, token: tokenIn, amount: amountIn, nonce, expiration: deadline });
+ *
+ * @since 1.0.0
+ */
+export function buildPermit2TypedData(params) {
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    throw new Error('Params must be an object');
+  }
+  const { chainId, token, amount, nonce, expiration, sigDeadline = expiration } = params;
+
+  validateChainId(chainId);
+  validateAddress(token, 'token');
+
+  // Validate amount
+  if (typeof amount !== 'string' || !/^\d+$/.test(amount)) {
+    throw new Error('Amount must be a non-negative numeric string');
+  }
+  if (ethers.BigNumber.from(amount).gt(MAX_UINT160)) {
+    throw new Error('Amount exceeds uint160 maximum value');
+  }
+
+  validateUint48(nonce, 'Nonce');
+  validateUint48(expiration, 'Expiration');
+  if (typeof sigDeadline !== 'number' || !Number.isInteger(sigDeadline) || sigDeadline < 0) {
+    throw new Error('sigDeadline must be a non-negative integer');
+  }
+
+  const spender = params.spender ?? getPlatformAddresses(chainId, 'uniswapV3').universalRouterAddress;
+  if (!spender) {
+    throw new Error(`No Universal Router address found for chainId: ${chainId}`);
+  }
+  validateAddress(spender, 'spender');
+
+  return {
+    domain: {
+      name: 'Permit2',
+      chainId,
+      verifyingContract: PERMIT2_ADDRESS
+    },
+    types: PERMIT_SINGLE_TYPES,
+    values: {
+      details: { token, amount, expiration, nonce },
+      spender,
+      sigDeadline
+    }
+  };
+}
+
+/**
+ * Validate typed data built by buildPermit2TypedData
+ * @param {any} typedData - Value to validate
+ * @throws {Error} If typedData is not a PermitSingle typed data object
+ * @private
+ */
+function validateTypedData(typedData) {
+  if (!typedData || typeof typedData !== 'object' || !typedData.domain || !typedData.values?.details) {
+    throw new Error('Typed data must come from buildPermit2TypedData');
+  }
+}
+
+/**
+ * Validate a signer that can sign typed data
+ * @param {any} signer - Value to validate
+ * @throws {Error} If signer is not an ethers signer with _signTypedData
+ * @private
+ */
+function validateSigner(signer) {
+  if (!(signer instanceof ethers.Signer) || typeof signer._signTypedData !== 'function') {
+    throw new Error('Invalid signer. Must be an ethers signer that supports _signTypedData.');
+  }
+}
+
+/**
+ * Sign a Permit2 PermitSingle with a wallet
+ *
+ * @function signPermit2
+ * @memberof module:blockchain/permit2
+ *
+ * @param {Object} typedData - Typed data from buildPermit2TypedData
+ * @param {ethers.Signer} signer - Token owner
+ *
+ * @returns {Promise<string>} Signature (hex string), as `permit2Signature` for `generateAlphaSwapData`
+ *
+ * @throws {Error} If parameters are invalid or signing fails
+ *
+ * @example
+ * const permit2Signature = await signPermit2(typedData, signer);
+ *
+ * @since 1.0.0
+ */
+export async function signPermit2(typedData, signer) {
+  validateTypedData(typedData);
+  validateSigner(signer);
+
+  try {
+    return await signer._signTypedData(typedData.domain, typedData.types, typedData.values);
+  } catch (error) {
+    throw new Error(`Failed to sign Permit2 permit: ${error.message}`);
+  }
+}
+
+/**
+ * Sign a Permit2 PermitSingle on behalf of a vault
+ *
+ * A vault holds the tokens, so Permit2 checks the signature through the vault's ERC-1271
+ * `isValidSignature`. The permit is signed by an account the vault accepts signatures from (its owner or
+ * executor), then checked against the vault before it is returned. Read the nonce with the vault as owner.
+ *
+ * @function signVaultPermit2
+ * @memberof module:blockchain/permit2
+ *
+ * @param {string} vaultAddress - Vault that owns the tokens
+ * @param {Object} typedData - Typed data from buildPermit2TypedData
+ * @param {ethers.Signer} signer - Account the vault accepts signatures from
+ * @param {ethers.providers.Provider} provider - Ethers provider
+ *
+ * @returns {Promise<{signature: string, hash: string}>} Signature and the EIP-712 hash it signs
+ *
+ * @throws {Error} If parameters are invalid, signing fails or the vault rejects the signature
+ *
+ * @example
+ * const { nonce } = await getPermit2Allowance(vaultAddress, tokenIn, universalRouterAddress, provider);
+ * const typedData = buildPermit2TypedData({ chainId, token: tokenIn, amount: amountIn, nonce, expiration: deadline });
+ * const { signature } = await signVaultPermit2(vaultAddress, typedData, executorSigner, provider);
+ *
+ * @since 1.0.0
+ */
+export async function signVaultPermit2(vaultAddress, typedData, signer, provider) {
+  validateTypedData(typedData);
+  validateSigner(signer);
+
+  // Address and provider validation happen in getVaultContract
+  const vault = getVaultContract(vaultAddress, provider);
+
+  try {
+    const hash = ethers.utils._TypedDataEncoder.hash(typedData.domain, typedData.types, typedData.values);
+    const signature = await signer._signTypedData(typedData.domain, typedData.types, typedData.values);
+
+    const result = await vault.isValidSignature(hash, signature);
+    if (result !== ERC1271_MAGIC_VALUE) {
+      throw new Error(`vault ${vaultAddress} does not accept signatures from ${await signer.getAddress()}`);
+    }
+
+    return { signature, hash };
+  } catch (error) {
+    throw new Error(`Failed to sign Permit2 permit for vault: ${error.message}`);
+  }
+}
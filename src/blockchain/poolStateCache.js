@@ -0,0 +1,453 @@
+/**
+ * @module blockchain/poolStateCache
+ * @description Shared pool state cache keyed by chain, pool and block number
+ */
+
+// src/blockchain/poolStateCache.js
+import { ethers } from 'ethers';
+import { multicall, resolveBlockTag } from './multicall.js';
+
+// Module-level configuration (set via configurePoolStateCache or initFumLibrary)
+let _cacheConfig = {
+  enabled: true,
+  ttlMs: 60000,
+  storage: new Map(),
+};
+
+// Newest block stored per chain - entries for older blocks are evicted when it advances
+const _latestBlocks = new Map();
+
+// Latest block per chain as reported by watchPoolStateCache block events
+const _watchedBlocks = new Map();
+
+// Keys stored by this process, per chain and block, so that evictions do not walk the whole storage
+const _storedKeys = new Map();
+
+// When the whole storage was last swept for expired entries, including entries stored by other processes
+let _lastSweepAt = 0;
+
+/**
+ * Build the storage key of a pool's state at a block
+ * @param {number} chainId - Chain ID
+ * @param {string} poolAddress - Pool contract address
+ * @param {number} blockNumber - Block number
+ * @returns {string} Storage key
+ * @private
+ */
+function poolStateKey(chainId, poolAddress, blockNumber) {
+  return `${chainId}:${poolAddress.toLowerCase()}:${blockNumber}`;
+}
+
+/**
+ * Parse a storage key built by poolStateKey
+ * @param {string} key - Storage key
+ * @returns {{chainId: number, poolAddress: string, blockNumber: number}} Key parts
+ * @private
+ */
+function parsePoolStateKey(key) {
+  const [chainId, poolAddress, blockNumber] = key.split(':');
+  return { chainId: Number(chainId), poolAddress, blockNumber: Number(blockNumber) };
+}
+
+/**
+ * Record a stored key in the per-chain, per-block index
+ * @param {number} chainId - Chain ID
+ * @param {number} blockNumber - Block number
+ * @param {string} key - Storage key
+ * @private
+ */
+function indexPoolStateKey(chainId, blockNumber, key) {
+  if (!_storedKeys.has(chainId)) {
+    _storedKeys.set(chainId, new Map());
+  }
+  const blocks = _storedKeys.get(chainId);
+  if (!blocks.has(blockNumber)) {
+    blocks.set(blockNumber, new Set());
+  }
+  blocks.get(blockNumber).add(key);
+}
+
+/**
+ * Remove a key from the per-chain, per-block index
+ * @param {string} key - Storage key
+ * @private
+ */
+function unindexPoolStateKey(key) {
+  const { chainId, blockNumber } = parsePoolStateKey(key);
+  const keys = _storedKeys.get(chainId)?.get(blockNumber);
+  keys?.delete(key);
+  if (keys?.size === 0) {
+    _storedKeys.get(chainId).delete(blockNumber);
+  }
+}
+
+/**
+ * Identify a read within a pool's cache entry
+ * @param {Object} call - Read in the multicall() call shape
+ * @returns {string} Read key, e.g. `ticks(-600)`
+ * @private
+ */
+function readKey(call) {
+  return `${call.method}(${(call.args || []).join(',')})`;
+}
+
+/**
+ * Convert a decoded result to plain values, so that every storage can hold it
+ * @param {ethers.utils.Result} result - Decoded return values
+ * @returns {Object} Values by index and by name, with BigNumbers as decimal strings
+ * @private
+ */
+function toPlainResult(result) {
+  const plain = {};
+  for (const key of Object.keys(result)) {
+    const value = result[key];
+    plain[key] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+  }
+  return plain;
+}
+
+/**
+ * Configure the pool state cache
+ *
+ * @function configurePoolStateCache
+ * @memberof module:blockchain/poolStateCache
+ *
+ * @param {Object} options - Configuration options
+ * @param {boolean} [options.enabled] - Cache pool reads (`false` reads every time)
+ * @param {number} [options.ttlMs] - How long a pool's state at a block is kept, in milliseconds
+ * @param {Object} [options.storage] - Map-like storage (`get`, `set`, `delete`, `keys`); its methods may return
+ *   promises. Replacing the storage does not copy existing entries.
+ *
+ * @throws {Error} If an option is invalid
+ *
+ * @example
+ * import { configurePoolStateCache } from 'fum_library/blockchain/poolStateCache';
+ * configurePoolStateCache({ ttlMs: 15000 });
+ *
+ * @since 1.0.0
+ */
+export function configurePoolStateCache({ enabled, ttlMs, storage } = {}) {
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    throw new Error('enabled must be a boolean');
+  }
+  if (ttlMs !== undefined && (typeof ttlMs !== 'number' || !Number.isFinite(ttlMs) || ttlMs < 0)) {
+    throw new Error('ttlMs must be a non-negative number');
+  }
+  if (storage !== undefined &&
+      (!storage || !['get', 'set', 'delete', 'keys'].every(method => typeof storage[method] === 'function'))) {
+    throw new Error('storage must implement get, set, delete and keys');
+  }
+
+  if (enabled !== undefined) {
+    _cacheConfig.enabled = enabled;
+  }
+  if (ttlMs !== undefined) {
+    _cacheConfig.ttlMs = ttlMs;
+  }
+  if (storage !== undefined) {
+    _cacheConfig.storage = storage;
+    _latestBlocks.clear();
+    _storedKeys.clear();
+    _lastSweepAt = 0;
+  }
+}
+
+/**
+ * Get the current pool state cache configuration
+ *
+ * @function getPoolStateCacheConfig
+ * @memberof module:blockchain/poolStateCache
+ *
+ * @returns {{enabled: boolean, ttlMs: number, storage: Object}} Copy of the current configuration
+ *
+ * @since 1.0.0
+ */
+export function getPoolStateCacheConfig() {
+  return { ..._cacheConfig };
+}
+
+/**
+ * Remove every cached pool state
+ *
+ * @function clearPoolStateCache
+ * @memberof module:blockchain/poolStateCache
+ *
+ * @returns {Promise<void>}
+ *
+ * @since 1.0.0
+ */
+export async function clearPoolStateCache() {
+  const { storage } = _cacheConfig;
+  for (const key of [...await storage.keys()]) {
+    await storage.delete(key);
+  }
+  _latestBlocks.clear();
+  _storedKeys.clear();
+}
+
+/**
+ * Remove a pool's cached state, e.g. after one of its Swap events
+ *
+ * Only state stored by this process is removed; entries another process stored in a shared storage expire by TTL.
+ *
+ * @function invalidatePoolState
+ * @memberof module:blockchain/poolStateCache
+ *
+ * @param {number} chainId - Chain ID
+ * @param {string} poolAddress - Pool contract address
+ * @param {number} [fromBlock=0] - First block whose state is removed (default: every block)
+ *
+ * @returns {Promise<void>}
+ *
+ * @since 1.0.0
+ */
+export async function invalidatePoolState(chainId, poolAddress, fromBlock = 0) {
+  const { storage } = _cacheConfig;
+  const pool = poolAddress.toLowerCase();
+  for (const [blockNumber, keys] of [...(_storedKeys.get(chainId) ?? [])]) {
+    if (blockNumber < fromBlock) {
+      continue;
+    }
+    for (const key of [...keys]) {
+      if (parsePoolStateKey(key).poolAddress === pool) {
+        unindexPoolStateKey(key);
+        await storage.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Record a new block for a chain: cached state at older blocks of that chain is removed
+ *
+ * Expired entries of every chain are removed as well, by a sweep of the whole storage made at most once per `ttlMs`.
+ *
+ * @function invalidatePoolStateBefore
+ * @memberof module:blockchain/poolStateCache
+ *
+ * @param {number} chainId - Chain ID
+ * @param {number} blockNumber - The new block
+ *
+ * @returns {Promise<void>}
+ *
+ * @since 1.0.0
+ */
+export async function invalidatePoolStateBefore(chainId, blockNumber) {
+  if (blockNumber <= (_latestBlocks.get(chainId) ?? -1)) {
+    return;
+  }
+  _latestBlocks.set(chainId, blockNumber);
+
+  const { storage, ttlMs } = _cacheConfig;
+  const blocks = _storedKeys.get(chainId);
+  for (const [storedBlock, keys] of [...(blocks ?? [])]) {
+    if (storedBlock < blockNumber) {
+      blocks.delete(storedBlock);
+      for (const key of keys) {
+        await storage.delete(key);
+      }
+    }
+  }
+
+  const now = Date.now();
+  if (now - _lastSweepAt < ttlMs) {
+    return;
+  }
+  _lastSweepAt = now;
+
+  for (const key of [...await storage.keys()]) {
+    const parts = parsePoolStateKey(key);
+    let expired = parts.chainId === chainId && parts.blockNumber < blockNumber;
+    if (!expired) {
+      const entry = await storage.get(key);
+      expired = !entry || now - entry.storedAt >= ttlMs;
+    }
+    if (expired) {
+      unindexPoolStateKey(key);
+      await storage.delete(key);
+    }
+  }
+}
+
+/**
+ * Resolve the block a pool state snapshot should be read at
+ *
+ * While the chain is watched with watchPoolStateCache, `'latest'` resolves to the last block seen by the watcher
+ * without a request; otherwise this is resolveBlockTag.
+ *
+ * @function resolvePoolStateBlock
+ * @memberof module:blockchain/poolStateCache
+ *
+ * @param {number} chainId - Chain ID
+ * @param {ethers.providers.Provider} provider - Ethers provider
+ * @param {number|string} [blockTag='latest'] - Block number, hex block number or named tag
+ *
+ * @returns {Promise<number>} Block number
+ *
+ * @throws {Error} If the provider or block tag is invalid, or the block cannot be found
+ *
+ * @since 1.0.0
+ */
+export async function resolvePoolStateBlock(chainId, provider, blockTag = 'latest') {
+  if (blockTag === 'latest' && _cacheConfig.enabled && _watchedBlocks.has(chainId)) {
+    return _watchedBlocks.get(chainId);
+  }
+  return resolveBlockTag(provider, blockTag);
+}
+
+/**
+ * Read pool view functions through multicall(), serving reads already cached for the same pool and block
+ *
+ * Reads are only cached when `options.blockTag` is a block number. Successful reads are stored; failed reads are
+ * returned as-is and never cached. Results have the multicall() shape, with plain values (BigNumbers as decimal
+ * strings) whether they came from the cache or the chain.
+ *
+ * @function readPoolState
+ * @memberof module:blockchain/poolStateCache
+ *
+ * @param {number} chainId - Chain ID the pools are on
+ * @param {Array<Object>} calls - Pool reads in the multicall() call shape (`target` is the pool address)
+ * @param {ethers.providers.Provider} provider - Ethers provider
+ * @param {Object} [options] - Options for multicall()
+ *
+ * @returns {Promise<Array<{success: boolean, result?: Object, error?: Error}>>} Results in call order
+ *
+ * @throws {Error} If multicall() throws
+ *
+ * @example
+ * const blockTag = await resolvePoolStateBlock(42161, provider);
+ * const [slot0] = await readPoolState(42161, [
+ *   { target: poolAddress, iface: poolInterface, method: 'slot0' }
+ * ], provider, { blockTag });
+ *
+ * @since 1.0.0
+ */
+export async function readPoolState(chainId, calls, provider, options = {}) {
+  const { enabled, ttlMs, storage } = _cacheConfig;
+  if (!enabled || typeof options.blockTag !== 'number') {
+    const results = await multicall(calls, provider, options);
+    return results.map(read => read.success ? { success: true, result: toPlainResult(read.result) } : read);
+  }
+
+  // Serve what is cached for each pool at this block
+  const now = Date.now();
+  const entries = new Map();
+  const results = new Array(calls.length);
+  const misses = [];
+  for (const [index, call] of calls.entries()) {
+    const key = poolStateKey(chainId, call.target, options.blockTag);
+    if (!entries.has(key)) {
+      const entry = await storage.get(key);
+      entries.set(key, entry && now - entry.storedAt < ttlMs ? entry : { storedAt: now, reads: {} });
+    }
+
+    const cached = entries.get(key).reads[readKey(call)];
+    if (cached) {
+      results[index] = { success: true, result: cached };
+    } else {
+      misses.push(index);
+    }
+  }
+
+  if (misses.length === 0) {
+    return results;
+  }
+
+  // Read the rest and store it
+  const fresh = await multicall(misses.map(index => calls[index]), provider, options);
+  const updated = new Set();
+  fresh.forEach((read, offset) => {
+    const index = misses[offset];
+    if (!read.success) {
+      results[index] = read;
+      return;
+    }
+
+    const key = poolStateKey(chainId, calls[index].target, options.blockTag);
+    const result = toPlainResult(read.result);
+    entries.get(key).reads[readKey(calls[index])] = result;
+    updated.add(key);
+    results[index] = { success: true, result };
+  });
+
+  for (const key of updated) {
+    await storage.set(key, entries.get(key));
+    indexPoolStateKey(chainId, options.blockTag, key);
+  }
+  await invalidatePoolStateBefore(chainId, options.blockTag);
+
+  return results;
+}
+
+/**
+ * Keep the pool state cache current from provider events: each new block evicts state at older blocks, and each
+ * Swap event of a watched pool evicts that pool's state at and after the Swap's block
+ *
+ * While watched, `'latest'` reads use the last block the provider reported, so they can lag the chain head by up
+ * to the provider's polling interval.
+ *
+ * @function watchPoolStateCache
+ * @memberof module:blockchain/poolStateCache
+ *
+ * @param {ethers.providers.Provider} provider - Ethers provider to listen on
+ * @param {Array<Object>} [pools=[]] - Pools whose Swap events invalidate their state
+ * @param {string} pools[].address - Pool contract address
+ * @param {string} pools[].swapEventSignature - Swap event signature (see adapter.getSwapEventSignature())
+ *
+ * @returns {Promise<Function>} Call to stop watching
+ *
+ * @throws {Error} If parameters are invalid
+ *
+ * @example
+ * const stop = await watchPoolStateCache(provider, [
+ *   { address: poolAddress, swapEventSignature: adapter.getSwapEventSignature() }
+ * ]);
+ *
+ * @since 1.0.0
+ */
+export async function watchPoolStateCache(provider, pools = []) {
+  // Validate provider
+  if (!(provider instanceof ethers.providers.Provider)) {
+    throw new Error('Invalid provider. Must be an ethers provider instance.');
+  }
+
+  // Validate pools
+  if (!Array.isArray(pools)) {
+    throw new Error('Pools must be an array');
+  }
+  pools.forEach((pool, index) => {
+    try {
+      ethers.utils.getAddress(pool?.address);
+    } catch (error) {
+      throw new Error(`Pool ${index} has an invalid address: ${pool?.address}`);
+    }
+    if (!pool.swapEventSignature || typeof pool.swapEventSignature !== 'string') {
+      throw new Error(`Pool ${index} must include a swapEventSignature`);
+    }
+  });
+
+  const { chainId } = await provider.getNetwork();
+
+  // A failed eviction leaves the entries to expire by TTL
+  const onBlock = (blockNumber) => {
+    _watchedBlocks.set(chainId, blockNumber);
+    invalidatePoolStateBefore(chainId, blockNumber).catch(() => {});
+  };
+  provider.on('block', onBlock);
+
+  const swapListeners = pools.map(({ address, swapEventSignature }) => {
+    const filter = { address, topics: [ethers.utils.id(swapEventSignature)] };
+    // State read before the Swap's block is still correct for that block
+    const listener = (log) => {
+      invalidatePoolState(chainId, address, log.blockNumber).catch(() => {});
+    };
+    provider.on(filter, listener);
+    return [filter, listener];
+  });
+
+  return () => {
+    provider.off('block', onBlock);
+    swapListeners.forEach(([filter, listener]) => provider.off(filter, listener));
+    _watchedBlocks.delete(chainId);
+  };
+}
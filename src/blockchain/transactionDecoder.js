@@ -0,0 +1,608 @@
+/**
+ * @module blockchain/transactionDecoder
+ * @description Decode vault transaction batches into a human-readable plan - position manager, swap router,
+ * Universal Router and ERC20 calls
+ */
+
+// src/blockchain/transactionDecoder.js
+import { ethers } from 'ethers';
+import { getChainConfig, validateChainId } from '../helpers/chainHelpers.js';
+import { getPlatformName } from '../helpers/platformHelpers.js';
+import { getTokenByAddress } from '../helpers/tokenHelpers.js';
+import { CONTRACT_BALANCE, UNIVERSAL_ROUTER_RECIPIENTS, decodeV3Path, decodeUniversalRouterExecute } from './universalRouter.js';
+
+// Import ABIs from Uniswap libraries
+import NonfungiblePositionManagerARTIFACT from '@uniswap/v3-periphery/artifacts/contracts/NonfungiblePositionManager.sol/NonfungiblePositionManager.json' with { type: 'json' };
+import SwapRouterARTIFACT from '@uniswap/v3-periphery/artifacts/contracts/SwapRouter.sol/SwapRouter.json' with { type: 'json' };
+
+const erc20Interface = new ethers.utils.Interface([
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function transfer(address to, uint256 amount) returns (bool)",
+  "function transferFrom(address from, address to, uint256 amount) returns (bool)"
+]);
+
+// Uniswap V3 periphery, plus the Algebra (Camelot) variants whose structs have no fee
+const positionManagerInterface = new ethers.utils.Interface([
+  ...NonfungiblePositionManagerARTIFACT.abi.filter(fragment =>
+    ['mint', 'increaseLiquidity', 'decreaseLiquidity', 'collect', 'multicall'].includes(fragment.name)
+  ),
+  "function mint((address token0, address token1, int24 tickLower, int24 tickUpper, uint256 amount0Desired, uint256 amount1Desired, uint256 amount0Min, uint256 amount1Min, address recipient, uint256 deadline) params) payable returns (uint256 tokenId, uint128 liquidity, uint256 amount0, uint256 amount1)"
+]);
+const swapRouterInterface = new ethers.utils.Interface([
+  ...SwapRouterARTIFACT.abi.filter(fragment =>
+    ['exactInputSingle', 'exactOutputSingle', 'exactInput', 'exactOutput'].includes(fragment.name)
+  ),
+  // Algebra's exactOutputSingle has the same types as Uniswap's, with the fee unused
+  "function exactInputSingle((address tokenIn, address tokenOut, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 limitSqrtPrice) params) payable returns (uint256 amountOut)"
+]);
+
+const MAX_UINT128 = ethers.BigNumber.from(2).pow(128).sub(1);
+
+// Contract kinds of the platform addresses in the chain config
+const PLATFORM_CONTRACTS = {
+  positionManagerAddress: { kind: 'positionManager', label: 'PositionManager' },
+  routerAddress: { kind: 'swapRouter', label: 'SwapRouter' },
+  universalRouterAddress: { kind: 'universalRouter', label: 'Universal Router' }
+};
+
+/**
+ * Index the platform contracts of a chain by lowercase address
+ * @param {number} chainId - Chain ID
+ * @returns {Map<string, {kind: string, platformId: string, platformName: string, label: string}>} Known contracts
+ * @private
+ */
+function getKnownContracts(chainId) {
+  const known = new Map();
+  const platformAddresses = getChainConfig(chainId).platformAddresses || {};
+
+  for (const [platformId, addresses] of Object.entries(platformAddresses)) {
+    let platformName;
+    try {
+      platformName = getPlatformName(platformId);
+    } catch (error) {
+      platformName = platformId;
+    }
+
+    for (const [key, { kind, label }] of Object.entries(PLATFORM_CONTRACTS)) {
+      if (addresses[key] && !known.has(addresses[key].toLowerCase())) {
+        known.set(addresses[key].toLowerCase(), { kind, platformId, platformName, label: `${platformName} ${label}` });
+      }
+    }
+  }
+
+  return known;
+}
+
+/**
+ * Decoding context of one batch - chain, known contracts and address labels
+ * @typedef {Object} DecodeContext
+ * @property {number} chainId - Chain ID
+ * @property {Map<string, Object>} known - Known contracts by lowercase address
+ * @property {string} [vaultAddress] - Vault executing the batch
+ * @property {Object<string, {token0: string, token1: string}>} positions - Position tokens by token ID
+ * @private
+ */
+
+/**
+ * Resolve a token for display
+ * @param {DecodeContext} context - Decoding context
+ * @param {string} address - Token address
+ * @returns {{address: string, symbol: string|null, decimals: number|null}} Token, without symbol and decimals if unknown
+ * @private
+ */
+function resolveToken(context, address) {
+  try {
+    const token = getTokenByAddress(address, context.chainId);
+    return { address, symbol: token.symbol, decimals: token.decimals };
+  } catch (error) {
+    return { address, symbol: null, decimals: null };
+  }
+}
+
+/**
+ * Build a token amount with its formatted value
+ * @param {DecodeContext} context - Decoding context
+ * @param {string|null} tokenAddress - Token address, or null if the token is not known
+ * @param {string|ethers.BigNumber} amount - Amount in the token's smallest unit
+ * @returns {{address: string|null, symbol: string|null, decimals: number|null, amount: string, formatted: string|null}}
+ *   Token amount - formatted is null when the token's decimals are not known
+ * @private
+ */
+function tokenAmount(context, tokenAddress, amount) {
+  const token = tokenAddress ? resolveToken(context, tokenAddress) : { address: null, symbol: null, decimals: null };
+  return {
+    ...token,
+    amount: amount.toString(),
+    formatted: token.decimals !== null ? ethers.utils.formatUnits(amount, token.decimals) : null
+  };
+}
+
+/**
+ * Native ETH amount (WRAP_ETH)
+ * @param {string} amount - Amount in wei
+ * @returns {Object} Token amount of ETH
+ * @private
+ */
+function ethAmount(amount) {
+  return { address: null, symbol: 'ETH', decimals: 18, amount, formatted: ethers.utils.formatEther(amount) };
+}
+
+/**
+ * Format a token amount for descriptions
+ * @param {Object} value - Token amount from tokenAmount
+ * @returns {string} e.g. "1.5 USDC", or the raw amount and token address if the token is not known
+ * @private
+ */
+function formatAmount(value) {
+  if (value.formatted !== null) {
+    return `${value.formatted} ${value.symbol}`;
+  }
+  return value.address ? `${value.amount} (raw) of ${value.address}` : `${value.amount} (raw)`;
+}
+
+/**
+ * Label an address for descriptions
+ * @param {DecodeContext} context - Decoding context
+ * @param {string} address - Address
+ * @returns {string} Vault, router placeholder, platform contract, token symbol or the address itself
+ * @private
+ */
+function labelAddress(context, address) {
+  const lower = address.toLowerCase();
+  if (context.vaultAddress && lower === context.vaultAddress.toLowerCase()) {
+    return 'the vault';
+  }
+  if (lower === UNIVERSAL_ROUTER_RECIPIENTS.MSG_SENDER) {
+    return 'the caller';
+  }
+  if (lower === UNIVERSAL_ROUTER_RECIPIENTS.ADDRESS_THIS) {
+    return 'the Universal Router';
+  }
+  if (context.known.has(lower)) {
+    return context.known.get(lower).label;
+  }
+  const token = resolveToken(context, address);
+  return token.symbol ? `${token.symbol} (${address})` : address;
+}
+
+/**
+ * Decode a router swap path into input-to-output order
+ * @param {string} path - Packed path
+ * @param {boolean} exactOutput - Whether the path is packed output to input
+ * @param {boolean} addressOnly - Whether the path has no fees (Algebra)
+ * @returns {{tokens: Array<string>, fees: Array<number>}} Path from input to output token
+ * @private
+ */
+function decodeSwapPath(path, exactOutput, addressOnly) {
+  let decoded;
+  if (addressOnly) {
+    const tokens = [];
+    for (let offset = 0; offset < ethers.utils.hexDataLength(path); offset += 20) {
+      tokens.push(ethers.utils.getAddress(ethers.utils.hexDataSlice(path, offset, offset + 20)));
+    }
+    decoded = { tokens, fees: [] };
+  } else {
+    decoded = decodeV3Path(path);
+  }
+
+  return exactOutput
+    ? { tokens: [...decoded.tokens].reverse(), fees: [...decoded.fees].reverse() }
+    : decoded;
+}
+
+/**
+ * Convert decoded struct arguments into a plain object
+ * @param {ethers.utils.Result} args - Decoded arguments
+ * @returns {Object} Named values with BigNumbers as strings
+ * @private
+ */
+function plainArgs(args) {
+  return Object.fromEntries(
+    Object.keys(args)
+      .filter(key => isNaN(Number(key)))
+      .map(key => [key, ethers.BigNumber.isBigNumber(args[key]) ? args[key].toString() : args[key]])
+  );
+}
+
+/**
+ * Describe a swap
+ * @param {DecodeContext} context - Decoding context
+ * @param {Object} swap - Swap details
+ * @returns {{description: string, amounts: Object}} Description and token amounts
+ * @private
+ */
+function describeSwap(context, { tokenIn, tokenOut, exactOutput, amount, bound, recipient, route, boundName }) {
+  const fixed = exactOutput ? tokenAmount(context, tokenOut, amount) : tokenAmount(context, tokenIn, amount);
+  const limit = exactOutput ? tokenAmount(context, tokenIn, bound) : tokenAmount(context, tokenOut, bound);
+  const fixedText = amount === CONTRACT_BALANCE ? `the router's balance of ${labelAddress(context, tokenIn)}` : formatAmount(fixed);
+
+  const description = exactOutput
+    ? `Swap at most ${formatAmount(limit)} for ${fixedText}${route}, to ${labelAddress(context, recipient)}`
+    : `Swap ${fixedText} for at least ${formatAmount(limit)}${route}, to ${labelAddress(context, recipient)}`;
+
+  return {
+    description,
+    amounts: exactOutput ? { amountOut: fixed, [boundName]: limit } : { amountIn: fixed, [boundName]: limit }
+  };
+}
+
+/**
+ * Describe a route through a path
+ * @param {DecodeContext} context - Decoding context
+ * @param {{tokens: Array<string>, fees: Array<number>}} path - Path from input to output token
+ * @returns {string} e.g. " via WBTC -> WETH (0.05%) -> USDC (0.3%)"
+ * @private
+ */
+function describeRoute(context, path) {
+  const hops = path.tokens.map((token, index) => {
+    const symbol = resolveToken(context, token).symbol ?? token;
+    return index > 0 && path.fees.length > 0 ? `${symbol} (${path.fees[index - 1] / 10000}%)` : symbol;
+  });
+  return ` via ${hops.join(' -> ')}`;
+}
+
+/**
+ * Decode an ERC20 call
+ * @param {DecodeContext} context - Decoding context
+ * @param {string} target - Token address
+ * @param {ethers.utils.TransactionDescription} call - Parsed call
+ * @returns {Array<Object>} Actions
+ * @private
+ */
+function decodeErc20Call(context, target, call) {
+  const params = plainArgs(call.args);
+  const amount = tokenAmount(context, target, call.args.amount);
+
+  if (call.name === 'approve') {
+    const amountText = call.args.amount.eq(ethers.constants.MaxUint256)
+      ? `unlimited ${amount.symbol ?? target}`
+      : formatAmount(amount);
+    return [{ type: 'approve', description: `Approve ${labelAddress(context, call.args.spender)} to spend ${amountText}`, params, amounts: { amount } }];
+  }
+  if (call.name === 'transfer') {
+    return [{ type: 'transfer', description: `Transfer ${formatAmount(amount)} to ${labelAddress(context, call.args.to)}`, params, amounts: { amount } }];
+  }
+  return [{
+    type: 'transferFrom',
+    description: `Transfer ${formatAmount(amount)} from ${labelAddress(context, call.args.from)} to ${labelAddress(context, call.args.to)}`,
+    params,
+    amounts: { amount }
+  }];
+}
+
+/**
+ * Decode a position manager call
+ * @param {DecodeContext} context - Decoding context
+ * @param {string} platformName - Platform of the position manager, for descriptions
+ * @param {ethers.utils.TransactionDescription} call - Parsed call
+ * @returns {Array<Object>} Actions
+ * @private
+ */
+function decodePositionManagerCall(context, platformName, call) {
+  const args = call.args.params;
+  const params = plainArgs(args);
+
+  if (call.name === 'mint') {
+    const amounts = {
+      amount0Desired: tokenAmount(context, args.token0, args.amount0Desired),
+      amount1Desired: tokenAmount(context, args.token1, args.amount1Desired),
+      amount0Min: tokenAmount(context, args.token0, args.amount0Min),
+      amount1Min: tokenAmount(context, args.token1, args.amount1Min)
+    };
+    const pair = `${amounts.amount0Desired.symbol ?? args.token0}/${amounts.amount1Desired.symbol ?? args.token1}`;
+    const fee = args.fee !== undefined ? ` ${args.fee / 10000}%` : '';
+    return [{
+      type: 'mint',
+      description: `Mint ${platformName}${pair}${fee} position in ticks [${args.tickLower}, ${args.tickUpper}] with up to ` +
+        `${formatAmount(amounts.amount0Desired)} and ${formatAmount(amounts.amount1Desired)} ` +
+        `(min ${formatAmount(amounts.amount0Min)} and ${formatAmount(amounts.amount1Min)}), to ${labelAddress(context, args.recipient)}`,
+      params,
+      amounts
+    }];
+  }
+
+  const tokenId = args.tokenId.toString();
+  const position = context.positions[tokenId] ?? {};
+
+  if (call.name === 'increaseLiquidity') {
+    const amounts = {
+      amount0Desired: tokenAmount(context, position.token0 ?? null, args.amount0Desired),
+      amount1Desired: tokenAmount(context, position.token1 ?? null, args.amount1Desired),
+      amount0Min: tokenAmount(context, position.token0 ?? null, args.amount0Min),
+      amount1Min: tokenAmount(context, position.token1 ?? null, args.amount1Min)
+    };
+    return [{
+      type: 'increaseLiquidity',
+      description: `Add up to ${formatAmount(amounts.amount0Desired)} and ${formatAmount(amounts.amount1Desired)} ` +
+        `(min ${formatAmount(amounts.amount0Min)} and ${formatAmount(amounts.amount1Min)}) to position #${tokenId}`,
+      params,
+      amounts
+    }];
+  }
+
+  if (call.name === 'decreaseLiquidity') {
+    const amounts = {
+      amount0Min: tokenAmount(context, position.token0 ?? null, args.amount0Min),
+      amount1Min: tokenAmount(context, position.token1 ?? null, args.amount1Min)
+    };
+    return [{
+      type: 'decreaseLiquidity',
+      description: `Remove ${args.liquidity.toString()} liquidity from position #${tokenId} ` +
+        `(min ${formatAmount(amounts.amount0Min)} and ${formatAmount(amounts.amount1Min)})`,
+      params,
+      amounts
+    }];
+  }
+
+  // collect
+  const amounts = {
+    amount0Max: tokenAmount(context, position.token0 ?? null, args.amount0Max),
+    amount1Max: tokenAmount(context, position.token1 ?? null, args.amount1Max)
+  };
+  const collected = args.amount0Max.eq(MAX_UINT128) && args.amount1Max.eq(MAX_UINT128)
+    ? 'all fees and withdrawn tokens'
+    : `up to ${formatAmount(amounts.amount0Max)} and ${formatAmount(amounts.amount1Max)}`;
+  return [{
+    type: 'collect',
+    description: `Collect ${collected} from position #${tokenId}, to ${labelAddress(context, args.recipient)}`,
+    params,
+    amounts
+  }];
+}
+
+/**
+ * Decode a swap router call
+ * @param {DecodeContext} context - Decoding context
+ * @param {boolean} addressOnlyPaths - Whether the router's paths have no fees (Algebra)
+ * @param {ethers.utils.TransactionDescription} call - Parsed call
+ * @returns {Array<Object>} Actions
+ * @private
+ */
+function decodeSwapRouterCall(context, addressOnlyPaths, call) {
+  const args = call.args.params;
+  const params = plainArgs(args);
+  const exactOutput = call.name.startsWith('exactOutput');
+
+  let tokenIn;
+  let tokenOut;
+  let route;
+  if (args.path !== undefined) {
+    const path = decodeSwapPath(args.path, exactOutput, addressOnlyPaths);
+    tokenIn = path.tokens[0];
+    tokenOut = path.tokens[path.tokens.length - 1];
+    route = describeRoute(context, path);
+    params.route = path;
+  } else {
+    tokenIn = args.tokenIn;
+    tokenOut = args.tokenOut;
+    route = args.fee !== undefined && args.fee !== 0 ? ` (${args.fee / 10000}% pool)` : '';
+  }
+
+  const { description, amounts } = describeSwap(context, {
+    tokenIn,
+    tokenOut,
+    exactOutput,
+    amount: (exactOutput ? args.amountOut : args.amountIn).toString(),
+    bound: (exactOutput ? args.amountInMaximum : args.amountOutMinimum).toString(),
+    boundName: exactOutput ? 'amountInMaximum' : 'amountOutMinimum',
+    recipient: args.recipient,
+    route
+  });
+
+  return [{ type: call.name, description, params, amounts }];
+}
+
+/**
+ * Decode a Universal Router execute() call
+ * @param {DecodeContext} context - Decoding context
+ * @param {string} data - execute() calldata
+ * @returns {Array<Object>} One action per command
+ * @private
+ */
+function decodeUniversalRouterCall(context, data) {
+  const { commands } = decodeUniversalRouterExecute(data);
+
+  return commands.map(({ type, allowRevert, params }) => {
+    const action = { type, allowRevert, params };
+    const optional = allowRevert ? ' (allowed to fail)' : '';
+
+    if (type === 'V3_SWAP_EXACT_IN' || type === 'V3_SWAP_EXACT_OUT') {
+      const exactOutput = type === 'V3_SWAP_EXACT_OUT';
+      const path = decodeSwapPath(params.path, exactOutput, false);
+      const payer = params.payerIsUser ? ', paid by the caller through Permit2' : '';
+      const { description, amounts } = describeSwap(context, {
+        tokenIn: path.tokens[0],
+        tokenOut: path.tokens[path.tokens.length - 1],
+        exactOutput,
+        amount: exactOutput ? params.amountOut : params.amountIn,
+        bound: exactOutput ? params.amountInMax : params.amountOutMin,
+        boundName: exactOutput ? 'amountInMax' : 'amountOutMin',
+        recipient: params.recipient,
+        route: describeRoute(context, path)
+      });
+      return { ...action, params: { ...params, route: path }, description: `${description}${payer}${optional}`, amounts };
+    }
+
+    if (type === 'WRAP_ETH') {
+      const amount = params.amount === CONTRACT_BALANCE ? null : ethAmount(params.amount);
+      const amountText = amount ? formatAmount(amount) : "the router's ETH balance";
+      return { ...action, description: `Wrap ${amountText} into WETH, to ${labelAddress(context, params.recipient)}${optional}`, amounts: amount ? { amount } : {} };
+    }
+
+    if (type === 'UNWRAP_WETH') {
+      const amountMin = ethAmount(params.amountMin);
+      return {
+        ...action,
+        description: `Unwrap the router's WETH (at least ${formatAmount(amountMin)}), to ${labelAddress(context, params.recipient)}${optional}`,
+        amounts: { amountMin }
+      };
+    }
+
+    if (type === 'SWEEP') {
+      const amountMin = tokenAmount(context, params.token, params.amountMin);
+      return {
+        ...action,
+        description: `Sweep the router's ${labelAddress(context, params.token)} (at least ${formatAmount(amountMin)}), to ${labelAddress(context, params.recipient)}${optional}`,
+        amounts: { amountMin }
+      };
+    }
+
+    if (type === 'PAY_PORTION') {
+      return {
+        ...action,
+        description: `Pay ${Number(params.bips) / 100}% of the router's ${labelAddress(context, params.token)} to ${labelAddress(context, params.recipient)}${optional}`,
+        amounts: {}
+      };
+    }
+
+    if (type === 'PERMIT2_PERMIT') {
+      const { details, spender } = params.permitSingle;
+      const amount = tokenAmount(context, details.token, details.amount);
+      return {
+        ...action,
+        description: `Permit ${labelAddress(context, spender)} to pull up to ${formatAmount(amount)} through Permit2 ` +
+          `until ${new Date(Number(details.expiration) * 1000).toISOString()}${optional}`,
+        amounts: { amount }
+      };
+    }
+
+    return { ...action, description: `Unrecognised Universal Router command ${type.slice('UNKNOWN_'.length)}${optional}`, amounts: {} };
+  });
+}
+
+/**
+ * Decode one call, unwrapping multicalls
+ * @param {DecodeContext} context - Decoding context
+ * @param {string} target - Called contract
+ * @param {string} data - Calldata
+ * @returns {{kind: string, actions: Array<Object>}} Contract kind the call matched, and its actions
+ * @private
+ */
+function decodeCall(context, target, data) {
+  const contract = context.known.get(target.toLowerCase());
+  const platformName = contract ? `${contract.platformName} ` : '';
+  const selector = data.slice(0, 10).toLowerCase();
+
+  const matches = (iface) => Object.keys(iface.functions).some(signature => iface.getSighash(signature) === selector);
+
+  if (matches(erc20Interface)) {
+    return { kind: 'erc20', actions: decodeErc20Call(context, target, erc20Interface.parseTransaction({ data })) };
+  }
+  if (selector === positionManagerInterface.getSighash('multicall')) {
+    const inner = positionManagerInterface.decodeFunctionData('multicall', data).data.map(call => decodeCall(context, target, call));
+    return {
+      kind: contract?.kind ?? inner[0]?.kind ?? 'unknown',
+      actions: inner.flatMap(({ actions }) => actions)
+    };
+  }
+  if (matches(positionManagerInterface)) {
+    return { kind: 'positionManager', actions: decodePositionManagerCall(context, platformName, positionManagerInterface.parseTransaction({ data })) };
+  }
+  if (matches(swapRouterInterface)) {
+    const addressOnlyPaths = contract?.platformId === 'camelotV3';
+    return { kind: 'swapRouter', actions: decodeSwapRouterCall(context, addressOnlyPaths, swapRouterInterface.parseTransaction({ data })) };
+  }
+  try {
+    return { kind: 'universalRouter', actions: decodeUniversalRouterCall(context, data) };
+  } catch (error) {
+    return {
+      kind: 'unknown',
+      actions: [{ type: 'unknown', description: `Unrecognised call ${selector} to ${labelAddress(context, target)}`, params: { data }, amounts: {} }]
+    };
+  }
+}
+
+/**
+ * Decode a vault transaction batch into a human-readable plan
+ *
+ * Takes the `{target, data}` transactions passed to `executeVaultTransactions` and decodes each call without
+ * any RPC requests. Recognised calls:
+ * - ERC20 `approve`, `transfer` and `transferFrom`
+ * - V3 PositionManager `mint`, `increaseLiquidity`, `decreaseLiquidity` and `collect`, also inside `multicall`
+ * - V3 SwapRouter `exactInputSingle`, `exactOutputSingle`, `exactInput` and `exactOutput`
+ * - Universal Router `execute` command streams (see blockchain/universalRouter)
+ *
+ * Token symbols come from the token config and amounts are formatted with each token's decimals. Calls that
+ * only carry a position token ID (increaseLiquidity, decreaseLiquidity, collect) show raw amounts unless the
+ * position's tokens are given in `options.positions`. Unrecognised calls are kept as `unknown` actions.
+ *
+ * @function decodeVaultTransactions
+ * @memberof module:blockchain/transactionDecoder
+ *
+ * @param {Array<{target: string, data: string}>} transactions - Transactions as passed to executeVaultTransactions
+ * @param {number} chainId - Chain the transactions are for
+ * @param {Object} [options] - Decoding options
+ * @param {string} [options.vaultAddress] - Vault executing the batch, labelled "the vault" in descriptions
+ * @param {Object<string, {token0: string, token1: string}>} [options.positions] - Tokens of positions by token ID
+ *
+ * @returns {Array<{index: number, target: string, contract: string, kind: string, actions: Array<Object>}>} One step per
+ *   transaction. `contract` labels the target and `kind` is `erc20`, `positionManager`, `swapRouter`, `universalRouter`
+ *   or `unknown`. Each action has `type`, `description`, `params` (decoded arguments) and `amounts` (token amounts
+ *   with `address`, `symbol`, `decimals`, `amount` and `formatted`)
+ *
+ * @throws {Error} If parameters are invalid
+ *
+ * @example
+ * const steps = decodeVaultTransactions(transactions, 42161, { vaultAddress });
+ * steps.flatMap(step => step.actions).forEach(action => console.log(action.description));
+ * // Approve Uniswap V3 SwapRouter to spend 1000.0 USDC
+ * // Swap 1000.0 USDC for at least 0.3 WETH (0.05% pool), to the vault
+ *
+ * @since 1.0.0
+ */
+export function decodeVaultTransactions(transactions, chainId, options = {}) {
+  validateChainId(chainId);
+
+  // Validate transactions array
+  if (!Array.isArray(transactions)) {
+    throw new Error('Transactions must be an array');
+  }
+  if (transactions.length === 0) {
+    throw new Error('Transactions array cannot be empty');
+  }
+  transactions.forEach((tx, index) => {
+    if (!tx || typeof tx !== 'object') {
+      throw new Error(`Transaction at index ${index} must be an object`);
+    }
+    try {
+      ethers.utils.getAddress(tx.target);
+    } catch (error) {
+      throw new Error(`Invalid target address at index ${index}: ${tx.target}`);
+    }
+    if (typeof tx.data !== 'string' || !ethers.utils.isHexString(tx.data)) {
+      throw new Error(`Transaction data at index ${index} must be a hex string`);
+    }
+  });
+
+  // Validate options
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('Options parameter must be an object');
+  }
+  const { vaultAddress, positions = {} } = options;
+  if (vaultAddress !== undefined) {
+    try {
+      ethers.utils.getAddress(vaultAddress);
+    } catch (error) {
+      throw new Error(`Invalid vault address: ${vaultAddress}`);
+    }
+  }
+  if (!positions || typeof positions !== 'object' || Array.isArray(positions)) {
+    throw new Error('Positions option must be an object of token IDs to { token0, token1 }');
+  }
+
+  const context = { chainId, known: getKnownContracts(chainId), vaultAddress, positions };
+
+  return transactions.map((tx, index) => {
+    const { kind, actions } = tx.data.length < 10
+      ? { kind: 'unknown', actions: [{ type: 'unknown', description: `Call to ${labelAddress(context, tx.target)} without a function selector`, params: { data: tx.data }, amounts: {} }] }
+      : decodeCall(context, tx.target, tx.data);
+
+    return {
+      index,
+      target: tx.target,
+      contract: labelAddress(context, tx.target),
+      kind,
+      actions
+    };
+  });
+}
@@ -0,0 +1,397 @@
+/**
+ * @module blockchain/universalRouter
+ * @description Universal Router command encoding - compose swap, wrap, sweep and Permit2 commands into execute() calldata,
+ * and decode execute() calldata back into commands
+ */
+
+// src/blockchain/universalRouter.js
+import { ethers } from 'ethers';
+
+/**
+ * Universal Router command types supported by the encoder
+ * @type {Object<string, number>}
+ */
+export const UNIVERSAL_ROUTER_COMMANDS = Object.freeze({
+  V3_SWAP_EXACT_IN: 0x00,
+  V3_SWAP_EXACT_OUT: 0x01,
+  SWEEP: 0x04,
+  PAY_PORTION: 0x06,
+  PERMIT2_PERMIT: 0x0a,
+  WRAP_ETH: 0x0b,
+  UNWRAP_WETH: 0x0c
+});
+
+/**
+ * Recipient placeholders the router resolves at execution time
+ * @type {Object<string, string>}
+ */
+export const UNIVERSAL_ROUTER_RECIPIENTS = Object.freeze({
+  MSG_SENDER: '0x0000000000000000000000000000000000000001',   // The caller of execute()
+  ADDRESS_THIS: '0x0000000000000000000000000000000000000002'  // The router itself, for later commands
+});
+
+/**
+ * Amount placeholder for "the router's whole balance" of the token being spent
+ * @type {string}
+ */
+export const CONTRACT_BALANCE = (2n ** 255n).toString();
+
+// Flag bit that lets a command revert without reverting execute()
+const ALLOW_REVERT_FLAG = 0x80;
+
+const PERMIT_SINGLE_TYPE = 'tuple(tuple(address token, uint160 amount, uint48 expiration, uint48 nonce) details, address spender, uint256 sigDeadline)';
+
+// ABI input types of each command, with the parameter names they are given under
+const COMMAND_INPUTS = {
+  V3_SWAP_EXACT_IN: [['recipient', 'address'], ['amountIn', 'uint256'], ['amountOutMin', 'uint256'], ['path', 'bytes'], ['payerIsUser', 'bool']],
+  V3_SWAP_EXACT_OUT: [['recipient', 'address'], ['amountOut', 'uint256'], ['amountInMax', 'uint256'], ['path', 'bytes'], ['payerIsUser', 'bool']],
+  SWEEP: [['token', 'address'], ['recipient', 'address'], ['amountMin', 'uint256']],
+  PAY_PORTION: [['token', 'address'], ['recipient', 'address'], ['bips', 'uint256']],
+  PERMIT2_PERMIT: [['permitSingle', PERMIT_SINGLE_TYPE], ['signature', 'bytes']],
+  WRAP_ETH: [['recipient', 'address'], ['amount', 'uint256']],
+  UNWRAP_WETH: [['recipient', 'address'], ['amountMin', 'uint256']]
+};
+
+// Command types by command byte (without the allow-revert flag)
+const COMMAND_TYPES = Object.fromEntries(Object.entries(UNIVERSAL_ROUTER_COMMANDS).map(([type, byte]) => [byte, type]));
+
+const universalRouterInterface = new ethers.utils.Interface([
+  "function execute(bytes commands, bytes[] inputs, uint256 deadline) payable",
+  "function execute(bytes commands, bytes[] inputs) payable"
+]);
+
+/**
+ * Encode a V3 swap path
+ *
+ * Paths are packed as token, fee, token, ..., token. Exact-output paths are packed from the output token back
+ * to the input token, as the router and quoter expect.
+ *
+ * @function encodeV3Path
+ * @memberof module:blockchain/universalRouter
+ *
+ * @param {Object} path - Swap path
+ * @param {Array<string>} path.tokens - Token addresses from input to output
+ * @param {Array<number>} path.fees - Fee tier of each hop
+ * @param {boolean} [exactOutput=false] - Pack the path for an exact-output swap
+ *
+ * @returns {string} Packed path
+ *
+ * @throws {Error} If the path is malformed
+ *
+ * @example
+ * // WBTC -> WETH -> USDC
+ * const path = encodeV3Path({ tokens: [WBTC, WETH, USDC], fees: [500, 500] });
+ *
+ * @since 1.0.0
+ */
+export function encodeV3Path(path, exactOutput = false) {
+  if (!path || !Array.isArray(path.tokens) || path.tokens.length < 2) {
+    throw new Error('Path tokens must be an array of at least 2 addresses');
+  }
+  if (!Array.isArray(path.fees) || path.fees.length !== path.tokens.length - 1) {
+    throw new Error(`Path fees must be an array with one fee per hop (${path.tokens.length - 1})`);
+  }
+
+  const tokens = exactOutput ? [...path.tokens].reverse() : path.tokens;
+  const fees = exactOutput ? [...path.fees].reverse() : path.fees;
+
+  const types = ['address'];
+  const values = [tokens[0]];
+  for (let hop = 0; hop < fees.length; hop++) {
+    types.push('uint24', 'address');
+    values.push(fees[hop], tokens[hop + 1]);
+  }
+
+  try {
+    return ethers.utils.solidityPack(types, values);
+  } catch (error) {
+    throw new Error(`Invalid path: ${error.message}`);
+  }
+}
+
+/**
+ * Decode a packed V3 swap path
+ *
+ * @function decodeV3Path
+ * @memberof module:blockchain/universalRouter
+ *
+ * @param {string} path - Packed path (token, fee, token, ..., token)
+ *
+ * @returns {{tokens: Array<string>, fees: Array<number>}} Tokens and fees in packed order - output to input
+ *   for an exact-output path
+ *
+ * @throws {Error} If the path is not a packed V3 path
+ *
+ * @since 1.0.0
+ */
+export function decodeV3Path(path) {
+  if (!ethers.utils.isHexString(path) || ethers.utils.hexDataLength(path) < 43 || (ethers.utils.hexDataLength(path) - 20) % 23 !== 0) {
+    throw new Error(`Invalid packed V3 path: ${path}`);
+  }
+
+  const tokens = [ethers.utils.getAddress(ethers.utils.hexDataSlice(path, 0, 20))];
+  const fees = [];
+  for (let offset = 20; offset < ethers.utils.hexDataLength(path); offset += 23) {
+    fees.push(parseInt(ethers.utils.hexDataSlice(path, offset, offset + 3), 16));
+    tokens.push(ethers.utils.getAddress(ethers.utils.hexDataSlice(path, offset + 3, offset + 23)));
+  }
+
+  return { tokens, fees };
+}
+
+/**
+ * Validate and normalize one command parameter
+ * @param {string} type - Command type
+ * @param {string} name - Parameter name
+ * @param {string} abiType - ABI type of the parameter
+ * @param {any} value - Parameter value
+ * @returns {any} Value to ABI-encode
+ * @throws {Error} If the value does not fit the parameter
+ * @private
+ */
+function normalizeParam(type, name, abiType, value) {
+  if (value === undefined || value === null) {
+    throw new Error(`${type} ${name} parameter is required`);
+  }
+
+  if (abiType === 'address') {
+    try {
+      return ethers.utils.getAddress(value);
+    } catch (error) {
+      throw new Error(`Invalid ${type} ${name} address: ${value}`);
+    }
+  }
+  if (abiType === 'uint256') {
+    if (typeof value !== 'string' || !/^\d+$/.test(value) || BigInt(value) >= 2n ** 256n) {
+      throw new Error(`${type} ${name} must be a uint256 numeric string`);
+    }
+    if (name === 'bips' && BigInt(value) > 10000n) {
+      throw new Error(`${type} bips must be at most 10000`);
+    }
+    return value;
+  }
+  if (abiType === 'bool') {
+    if (typeof value !== 'boolean') {
+      throw new Error(`${type} ${name} must be a boolean`);
+    }
+    return value;
+  }
+  if (name === 'path') {
+    // Token/fee paths are packed here; packed paths are taken as they are
+    const exactOutput = type === 'V3_SWAP_EXACT_OUT';
+    if (typeof value === 'object') {
+      return encodeV3Path(value, exactOutput);
+    }
+    try {
+      decodeV3Path(value);
+    } catch (error) {
+      throw new Error(`${type} path must be a packed V3 path or { tokens, fees }`);
+    }
+    return value;
+  }
+  if (name === 'signature') {
+    if (!ethers.utils.isHexString(value)) {
+      throw new Error(`${type} signature must be a hex string`);
+    }
+    return value;
+  }
+  // PermitSingle - checked by the ABI coder
+  if (typeof value !== 'object' || !value.details) {
+    throw new Error(`${type} permitSingle must be a PermitSingle ({ details, spender, sigDeadline })`);
+  }
+  return value;
+}
+
+/**
+ * Encode one Universal Router command
+ *
+ * @function encodeUniversalRouterCommand
+ * @memberof module:blockchain/universalRouter
+ *
+ * @param {Object} command - Command to encode
+ * @param {string} command.type - Command type (a key of UNIVERSAL_ROUTER_COMMANDS)
+ * @param {Object} command.params - Command inputs by name (amounts as numeric strings)
+ * @param {boolean} [command.allowRevert=false] - Let the command fail without reverting the whole execute()
+ *
+ * @returns {{command: number, input: string}} Command byte and ABI-encoded input
+ *
+ * @throws {Error} If the command type is unknown or a parameter is invalid
+ *
+ * @example
+ * const { command, input } = encodeUniversalRouterCommand({
+ *   type: 'UNWRAP_WETH',
+ *   params: { recipient: UNIVERSAL_ROUTER_RECIPIENTS.MSG_SENDER, amountMin: '0' }
+ * });
+ *
+ * @since 1.0.0
+ */
+export function encodeUniversalRouterCommand(command) {
+  if (!command || typeof command !== 'object') {
+    throw new Error('Command must be an object');
+  }
+  const { type, params, allowRevert = false } = command;
+
+  const inputs = COMMAND_INPUTS[type];
+  if (!inputs) {
+    throw new Error(`Unknown Universal Router command: ${type}. Must be one of: ${Object.keys(COMMAND_INPUTS).join(', ')}`);
+  }
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    throw new Error(`${type} params must be an object`);
+  }
+  if (typeof allowRevert !== 'boolean') {
+    throw new Error(`${type} allowRevert must be a boolean`);
+  }
+
+  const values = inputs.map(([name, abiType]) => normalizeParam(type, name, abiType, params[name]));
+
+  let input;
+  try {
+    input = ethers.utils.defaultAbiCoder.encode(inputs.map(([, abiType]) => abiType), values);
+  } catch (error) {
+    throw new Error(`Failed to encode ${type} command: ${error.message}`);
+  }
+
+  return {
+    command: UNIVERSAL_ROUTER_COMMANDS[type] | (allowRevert ? ALLOW_REVERT_FLAG : 0),
+    input
+  };
+}
+
+/**
+ * Encode a Universal Router execute(bytes,bytes[],uint256) call from a list of commands
+ *
+ * Commands run in order. Typical plans:
+ * - PERMIT2_PERMIT, then V3_SWAP_EXACT_IN with `payerIsUser` - swap tokens pulled from the caller through Permit2
+ * - WRAP_ETH to ADDRESS_THIS, then V3_SWAP_EXACT_IN with `payerIsUser: false` - swap native ETH sent with the call
+ * - V3_SWAP_EXACT_IN to ADDRESS_THIS, then UNWRAP_WETH to the recipient - swap into native ETH
+ * - V3_SWAP_EXACT_IN to ADDRESS_THIS, PAY_PORTION to a fee recipient, then SWEEP the rest to the recipient
+ *
+ * @function encodeUniversalRouterExecute
+ * @memberof module:blockchain/universalRouter
+ *
+ * @param {Array<Object>} commands - Commands to run (see encodeUniversalRouterCommand)
+ * @param {number} deadline - Unix timestamp after which the call reverts
+ *
+ * @returns {string} execute() calldata
+ *
+ * @throws {Error} If there are no commands, a command is invalid or the deadline is invalid
+ *
+ * @example
+ * const data = encodeUniversalRouterExecute([
+ *   { type: 'PERMIT2_PERMIT', params: { permitSingle: typedData.values, signature } },
+ *   {
+ *     type: 'V3_SWAP_EXACT_IN',
+ *     params: {
+ *       recipient: vaultAddress,
+ *       amountIn,
+ *       amountOutMin,
+ *       path: { tokens: [WBTC, WETH, USDC], fees: [500, 500] },
+ *       payerIsUser: true
+ *     }
+ *   }
+ * ], deadline);
+ *
+ * @since 1.0.0
+ */
+export function encodeUniversalRouterExecute(commands, deadline) {
+  if (!Array.isArray(commands) || commands.length === 0) {
+    throw new Error('Commands must be a non-empty array');
+  }
+  if (typeof deadline !== 'number' || !Number.isInteger(deadline) || deadline <= 0) {
+    throw new Error('Deadline must be a positive integer timestamp');
+  }
+
+  const encoded = commands.map(encodeUniversalRouterCommand);
+
+  return universalRouterInterface.encodeFunctionData('execute(bytes,bytes[],uint256)', [
+    ethers.utils.hexlify(encoded.map(({ command }) => command)),
+    encoded.map(({ input }) => input),
+    deadline
+  ]);
+}
+
+/**
+ * Convert a decoded ABI value into plain strings, numbers and objects
+ * @param {any} value - Decoded value
+ * @returns {any} Value with BigNumbers as strings and structs as objects
+ * @private
+ */
+function toPlain(value) {
+  if (ethers.BigNumber.isBigNumber(value)) {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    // Structs decode as arrays with named keys
+    const keys = Object.keys(value).filter(key => isNaN(Number(key)));
+    return keys.length > 0
+      ? Object.fromEntries(keys.map(key => [key, toPlain(value[key])]))
+      : value.map(toPlain);
+  }
+  return value;
+}
+
+/**
+ * Decode Universal Router execute() calldata into its commands
+ *
+ * Both execute(bytes,bytes[],uint256) and the deadline-less execute(bytes,bytes[]) are accepted. Commands this
+ * module does not encode are returned with their raw input.
+ *
+ * @function decodeUniversalRouterExecute
+ * @memberof module:blockchain/universalRouter
+ *
+ * @param {string} data - execute() calldata
+ *
+ * @returns {{commands: Array<{type: string, allowRevert: boolean, params: Object}>, deadline: number|null}}
+ *   Commands in order with their inputs by name (amounts as strings, paths packed), and the deadline if any.
+ *   Unsupported commands have type `UNKNOWN_0x..` and params `{ input }`.
+ *
+ * @throws {Error} If the data is not a Universal Router execute() call
+ *
+ * @example
+ * const { commands } = decodeUniversalRouterExecute(txData.data);
+ * // [{ type: 'PERMIT2_PERMIT', ... }, { type: 'V3_SWAP_EXACT_IN', allowRevert: false, params: { recipient, amountIn, ... } }]
+ *
+ * @since 1.0.0
+ */
+export function decodeUniversalRouterExecute(data) {
+  let decoded;
+  try {
+    decoded = universalRouterInterface.parseTransaction({ data });
+  } catch (error) {
+    throw new Error(`Failed to decode Universal Router call: ${error.message}`);
+  }
+
+  const commandBytes = ethers.utils.arrayify(decoded.args.commands);
+  if (commandBytes.length !== decoded.args.inputs.length) {
+    throw new Error(`Failed to decode Universal Router call: ${commandBytes.length} commands but ${decoded.args.inputs.length} inputs`);
+  }
+
+  const commands = Array.from(commandBytes).map((byte, index) => {
+    const input = decoded.args.inputs[index];
+    const allowRevert = (byte & ALLOW_REVERT_FLAG) !== 0;
+    const type = COMMAND_TYPES[byte & ~ALLOW_REVERT_FLAG];
+
+    if (!type) {
+      return { type: `UNKNOWN_${ethers.utils.hexlify(byte & ~ALLOW_REVERT_FLAG)}`, allowRevert, params: { input } };
+    }
+
+    const inputs = COMMAND_INPUTS[type];
+    let values;
+    try {
+      values = ethers.utils.defaultAbiCoder.decode(inputs.map(([, abiType]) => abiType), input);
+    } catch (error) {
+      throw new Error(`Failed to decode ${type} command at index ${index}: ${error.message}`);
+    }
+
+    return {
+      type,
+      allowRevert,
+      params: Object.fromEntries(inputs.map(([name], i) => [name, toPlain(values[i])]))
+    };
+  });
+
+  return {
+    commands,
+    deadline: decoded.args.deadline ? decoded.args.deadline.toNumber() : null
+  };
+}
@@ -0,0 +1,268 @@
+/**
+ * @module blockchain/vaultHistory
+ * @description Vault activity history: the vault's and its strategies' events as one decoded, chronological timeline
+ */
+
+// src/blockchain/vaultHistory.js
+import { ethers } from 'ethers';
+import contractData from '../artifacts/contracts.js';
+import { getStrategyDetails } from '../helpers/strategyHelpers.js';
+import { getTokenByAddress } from '../helpers/tokenHelpers.js';
+import { getVaultInfo, getContractInfoByAddress } from './contracts.js';
+import { validateBlockTag, resolveBlockTag, getLogsInChunks, DEFAULT_LOG_CHUNK_SIZE } from './multicall.js';
+
+// Log reads are shared with the adapters; the default chunk size stays exported from here as well
+export { DEFAULT_LOG_CHUNK_SIZE };
+
+const vaultInterface = new ethers.utils.Interface(contractData.PositionVault.abi);
+
+/**
+ * Convert a decoded event argument to plain JSON values
+ * @param {*} value - Decoded value
+ * @returns {*} Value with BigNumbers as strings and Results as arrays
+ * @private
+ */
+function toPlain(value) {
+  if (ethers.BigNumber.isBigNumber(value)) {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlain);
+  }
+  return value;
+}
+
+/**
+ * Strategy contracts deployed on a chain whose events are indexed by vault
+ * @param {number} chainId - Chain ID
+ * @returns {Array<{name: string, address: string, iface: ethers.utils.Interface}>} Strategy contracts
+ * @private
+ */
+function getStrategyContracts(chainId) {
+  return Object.entries(contractData)
+    .filter(([, contract]) => contract.addresses?.[chainId] &&
+      contract.abi?.some(fragment => fragment.type === 'event' && fragment.name === 'ParameterUpdated'))
+    .map(([name, contract]) => ({
+      name,
+      address: ethers.utils.getAddress(contract.addresses[chainId]),
+      iface: new ethers.utils.Interface(contract.abi)
+    }));
+}
+
+/**
+ * Find the first block at or after a timestamp
+ * @param {ethers.providers.Provider} provider - Ethers provider
+ * @param {number} timestamp - Unix timestamp
+ * @param {number} latestBlock - Highest block to search
+ * @returns {Promise<number>} Block number
+ * @private
+ */
+async function findBlockByTimestamp(provider, timestamp, latestBlock) {
+  let low = 0;
+  let high = latestBlock;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    const block = await provider.getBlock(middle);
+    if (block.timestamp < timestamp) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+/**
+ * Describe a vault or strategy event
+ * @param {string} event - Event name
+ * @param {Object} args - Decoded arguments
+ * @param {Object} context - Context for labels
+ * @param {number} context.chainId - Chain ID
+ * @param {string} context.contract - Name of the emitting contract
+ * @returns {string} Human-readable description
+ * @private
+ */
+function describeEvent(event, args, { chainId, contract }) {
+  switch (event) {
+    case 'TransactionExecuted':
+      return `Executed ${args.txType || 'call'} on ${args.target}${args.success ? '' : ' (failed)'}`;
+    case 'TokensWithdrawn': {
+      let amount = `${args.amount} of ${args.token}`;
+      try {
+        const token = getTokenByAddress(args.token, chainId);
+        amount = `${ethers.utils.formatUnits(args.amount, token.decimals)} ${token.symbol}`;
+      } catch (error) {
+        // Token not in the token config
+      }
+      return `Withdrew ${amount} to ${args.to}`;
+    }
+    case 'PositionWithdrawn':
+      return `Withdrew position #${args.tokenId} to ${args.to}`;
+    case 'StrategyChanged': {
+      if (args.strategy === ethers.constants.AddressZero) {
+        return 'Removed the strategy';
+      }
+      let name = args.strategy;
+      try {
+        name = getContractInfoByAddress(args.strategy).contractName;
+      } catch (error) {
+        // Strategy not in the contract data
+      }
+      return `Changed the strategy to ${name}`;
+    }
+    case 'ExecutorChanged':
+      return args.isAuthorized ? `Authorized executor ${args.executor}` : `Revoked executor ${args.executor}`;
+    case 'TargetTokensUpdated':
+      return `Set target tokens to ${args.tokens.join(', ') || 'none'}`;
+    case 'TargetPlatformsUpdated':
+      return `Set target platforms to ${args.platforms.join(', ') || 'none'}`;
+    case 'ParameterUpdated':
+      return `Updated ${contract} parameter ${args.paramName}`;
+    case 'TemplateSelected': {
+      let template = `#${args.template}`;
+      try {
+        const templates = getStrategyDetails(contract).templateEnumMap;
+        template = Object.keys(templates).find(id => templates[id] === Number(args.template)) ?? template;
+      } catch (error) {
+        // Strategy not in the strategy config
+      }
+      return `Selected ${contract} template ${template}`;
+    }
+    case 'CustomizationUpdated':
+      return `Updated ${contract} customization (bitmap ${args.bitmap})`;
+    case 'VaultAuthorized':
+      return args.authorized ? `Authorized the vault on ${contract}` : `Deauthorized the vault on ${contract}`;
+    default:
+      return event;
+  }
+}
+
+/**
+ * Get a vault's activity history
+ *
+ * Reads the vault's own events (TransactionExecuted, TokensWithdrawn, PositionWithdrawn, StrategyChanged,
+ * ExecutorChanged, TargetTokensUpdated, TargetPlatformsUpdated) and the events every strategy contract of the chain
+ * emits for the vault (ParameterUpdated, TemplateSelected, CustomizationUpdated, VaultAuthorized), so the history
+ * survives strategy changes. Logs are fetched in `chunkSize`-block ranges, decoded with the artifact ABIs and merged
+ * into one timeline ordered by block and log index.
+ *
+ * @function getVaultHistory
+ * @memberof module:blockchain/vaultHistory
+ *
+ * @param {string} vaultAddress - Address of the vault
+ * @param {ethers.providers.Provider} provider - Ethers provider
+ * @param {Object} [options] - History options
+ * @param {number} [options.fromBlock] - First block (defaults to the vault's creation block)
+ * @param {number|string} [options.toBlock='latest'] - Last block
+ * @param {number} [options.chunkSize=DEFAULT_LOG_CHUNK_SIZE] - Blocks per eth_getLogs request
+ *
+ * @returns {Promise<{vaultAddress: string, fromBlock: number, toBlock: number, entries: Array<Object>}>} The block
+ *   range read and the timeline, oldest first. Each entry is
+ *   `{ blockNumber, timestamp, transactionHash, logIndex, contract, address, event, args, description }`
+ *
+ * @throws {Error} If parameters are invalid
+ * @throws {Error} If the vault or its logs cannot be read
+ *
+ * @example
+ * const { entries } = await getVaultHistory(vaultAddress, provider);
+ * for (const entry of entries) {
+ *   console.log(new Date(entry.timestamp * 1000).toISOString(), entry.description, entry.transactionHash);
+ * }
+ * // 2025-01-12T09:31:02.000Z Changed the strategy to bob 0x5f...
+ * // 2025-01-12T09:31:02.000Z Selected bob template moderate 0x5f...
+ *
+ * @since 1.0.0
+ */
+export async function getVaultHistory(vaultAddress, provider, options = {}) {
+  // Validate vault address
+  if (!vaultAddress) {
+    throw new Error('Vault address parameter is required');
+  }
+  try {
+    vaultAddress = ethers.utils.getAddress(vaultAddress);
+  } catch (error) {
+    throw new Error(`Invalid vault address: ${vaultAddress}`);
+  }
+
+  // Validate provider
+  if (!(provider instanceof ethers.providers.Provider)) {
+    throw new Error('Invalid provider. Must be an ethers provider instance.');
+  }
+
+  // Validate options
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('Options parameter must be an object');
+  }
+  const { fromBlock, toBlock = 'latest', chunkSize = DEFAULT_LOG_CHUNK_SIZE } = options;
+  if (fromBlock !== undefined && (!Number.isInteger(fromBlock) || fromBlock < 0)) {
+    throw new Error(`Invalid fromBlock: ${fromBlock}`);
+  }
+  validateBlockTag(toBlock);
+  if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+    throw new Error(`Chunk size must be a positive integer. Got: ${chunkSize}`);
+  }
+
+  try {
+    const { chainId } = await provider.getNetwork();
+    const endBlock = await resolveBlockTag(provider, toBlock);
+    let startBlock = fromBlock;
+    if (startBlock === undefined) {
+      const { creationTime } = await getVaultInfo(vaultAddress, provider, { blockTag: endBlock });
+      startBlock = await findBlockByTimestamp(provider, creationTime, endBlock);
+    }
+    if (startBlock > endBlock) {
+      throw new Error(`fromBlock ${startBlock} is after toBlock ${endBlock}`);
+    }
+
+    const vaultTopic = ethers.utils.hexZeroPad(vaultAddress, 32);
+    const sources = [
+      { name: 'PositionVault', iface: vaultInterface, filter: { address: vaultAddress } },
+      ...getStrategyContracts(chainId).map(({ name, address, iface }) => ({
+        name,
+        iface,
+        filter: { address, topics: [null, vaultTopic] }
+      }))
+    ];
+
+    // Sources one after another: each already makes one request per chunk
+    const decoded = [];
+    for (const { name, iface, filter } of sources) {
+      const logs = await getLogsInChunks(provider, filter, startBlock, endBlock, chunkSize);
+      for (const log of logs) {
+        let parsed;
+        try {
+          parsed = iface.parseLog(log);
+        } catch (error) {
+          continue; // Not an event of this contract's ABI
+        }
+        const args = Object.fromEntries(parsed.eventFragment.inputs.map((input, i) => [input.name, toPlain(parsed.args[i])]));
+        decoded.push({
+          blockNumber: log.blockNumber,
+          transactionHash: log.transactionHash,
+          logIndex: log.logIndex,
+          contract: name,
+          address: ethers.utils.getAddress(log.address),
+          event: parsed.name,
+          args,
+          description: describeEvent(parsed.name, args, { chainId, contract: name })
+        });
+      }
+    }
+
+    decoded.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    // One block read per distinct block
+    const blockNumbers = [...new Set(decoded.map(entry => entry.blockNumber))];
+    const blocks = await Promise.all(blockNumbers.map(blockNumber => provider.getBlock(blockNumber)));
+    const timestamps = new Map(blockNumbers.map((blockNumber, i) => [blockNumber, blocks[i].timestamp]));
+
+    return {
+      vaultAddress,
+      fromBlock: startBlock,
+      toBlock: endBlock,
+      entries: decoded.map(({ blockNumber, ...entry }) => ({ blockNumber, timestamp: timestamps.get(blockNumber), ...entry }))
+    };
+  } catch (error) {
+    throw new Error(`Failed to get vault history: ${error.message}`);
+  }
+}
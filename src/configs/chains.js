@@ -26,6 +26,47 @@ const chains = {
         universalRouterAddress: "0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD",
         quoterAddress: "0x61fFE014bA17989E743c5F6cB21bF9697530B21e",
       },
+      uniswapV4: {
+        poolManagerAddress: "0x360E68faCcca8cA495c1B759Fd9EEe466db9FB32",
+        positionManagerAddress: "0xd88F38F930b7952f2DB2432Cb002E7abbF3dD869",
+        stateViewAddress: "0x76Fd297e2D437cd7f76d50F01AfE6160f86e9990",
+        quoterAddress: "0x3972C00f7ed4885e145823eb7C655375d275A1C5",
+        universalRouterAddress: "0xA51afAFe0263b40EdaEf0Df8781eA9aa03E381a3",
+        permit2Address: "0x000000000022D473030F116dDEE9F6B43aC78BA3",
+        positionManagerStartBlock: 290000000, // Scan start for position NFT transfers (at or before deployment)
+      },
+      sushiswapV3: {
+        factoryAddress: "0x1af415a1EbA07a4986a52B6f2e7dE7003D82231e",
+        positionManagerAddress: "0xf0cBce1942A68beB3D1b17a0ddE2A6AB62cF2d07",
+        routerAddress: "0x8A21F6768C1f8075791D08546Dadf6daA0bE820c",
+        quoterAddress: "0x0524E833cCD057e4d7A296e3aaAb9f7675964Ce1",
+      },
+      pancakeswapV3: {
+        factoryAddress: "0x0BFbCF9fa4f9C56B0F40a671Ad40E0805A091865",
+        poolDeployerAddress: "0x41ff9AA7e16B8B1a8a8dc4f0eFacd93D02d071c9", // Pools are CREATE2-deployed by the deployer, not the factory
+        positionManagerAddress: "0x46A15B0b27311cedF172AB29E4f4766fbE7F4364",
+        routerAddress: "0x1b81D678ffb9C0263b24A97847620C99d213eB14",
+        quoterAddress: "0xB048Bbc1Ee6b733FFfCFb9e9CeF7375518e25997",
+      },
+      camelotV3: {
+        factoryAddress: "0x1a3c9B1d2F0529D97f2afC5136Cc23e58f1FD35B", // AlgebraFactory
+        poolDeployerAddress: "0x6Dd3FB9653B10e806650F107C3B5A0a6fF974F65", // Pools are CREATE2-deployed by the deployer, not the factory
+        positionManagerAddress: "0x00c7f3082833e796A5b3e4Bd59f6642FF44DCD15",
+        routerAddress: "0x1F721E2E82F6676FCE4eA07A5958cF098D339e18",
+        quoterAddress: "0x0Fc73040b26E9bC8514fA028D998E73A254Fa76E",
+      },
+      uniswapV2: {
+        factoryAddress: "0xf1D7CC64Fb4452F05c498126312eBE29f30Fbcf9",
+        routerAddress: "0x4752ba5DBc23f44D87826276BF6Fd6b1C372aD24", // UniswapV2Router02
+      },
+      sushiswapV2: {
+        factoryAddress: "0xc35DADB65012eC5796536bD9864eD8773aBc74C4",
+        routerAddress: "0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506", // UniswapV2Router02 (Sushi deployment)
+      },
+      curve: {
+        factoryAddress: "0x9AF14D26075f142eb3F292D5065EB3faa646167b", // CurveStableSwapFactoryNG
+        plainFactoryAddress: "0xb17b674D9c5CB2e441F8e196a2f048A81355d031", // Legacy stable factory (plain pools)
+      },
     },
   },
 
@@ -50,6 +91,47 @@ const chains = {
         universalRouterAddress: "0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD", // Same as Arbitrum since it's a fork
         quoterAddress: "0x61fFE014bA17989E743c5F6cB21bF9697530B21e", // Same as Arbitrum since it's a fork
       },
+      uniswapV4: {
+        poolManagerAddress: "0x360E68faCcca8cA495c1B759Fd9EEe466db9FB32", // Same as Arbitrum since it's a fork
+        positionManagerAddress: "0xd88F38F930b7952f2DB2432Cb002E7abbF3dD869", // Same as Arbitrum since it's a fork
+        stateViewAddress: "0x76Fd297e2D437cd7f76d50F01AfE6160f86e9990", // Same as Arbitrum since it's a fork
+        quoterAddress: "0x3972C00f7ed4885e145823eb7C655375d275A1C5", // Same as Arbitrum since it's a fork
+        universalRouterAddress: "0xA51afAFe0263b40EdaEf0Df8781eA9aa03E381a3", // Same as Arbitrum since it's a fork
+        permit2Address: "0x000000000022D473030F116dDEE9F6B43aC78BA3", // Same as Arbitrum since it's a fork
+        positionManagerStartBlock: 290000000, // Scan start for position NFT transfers (at or before deployment)
+      },
+      sushiswapV3: {
+        factoryAddress: "0x1af415a1EbA07a4986a52B6f2e7dE7003D82231e", // Same as Arbitrum since it's a fork
+        positionManagerAddress: "0xf0cBce1942A68beB3D1b17a0ddE2A6AB62cF2d07", // Same as Arbitrum since it's a fork
+        routerAddress: "0x8A21F6768C1f8075791D08546Dadf6daA0bE820c", // Same as Arbitrum since it's a fork
+        quoterAddress: "0x0524E833cCD057e4d7A296e3aaAb9f7675964Ce1", // Same as Arbitrum since it's a fork
+      },
+      pancakeswapV3: {
+        factoryAddress: "0x0BFbCF9fa4f9C56B0F40a671Ad40E0805A091865", // Same as Arbitrum since it's a fork
+        poolDeployerAddress: "0x41ff9AA7e16B8B1a8a8dc4f0eFacd93D02d071c9", // Same as Arbitrum since it's a fork
+        positionManagerAddress: "0x46A15B0b27311cedF172AB29E4f4766fbE7F4364", // Same as Arbitrum since it's a fork
+        routerAddress: "0x1b81D678ffb9C0263b24A97847620C99d213eB14", // Same as Arbitrum since it's a fork
+        quoterAddress: "0xB048Bbc1Ee6b733FFfCFb9e9CeF7375518e25997", // Same as Arbitrum since it's a fork
+      },
+      camelotV3: {
+        factoryAddress: "0x1a3c9B1d2F0529D97f2afC5136Cc23e58f1FD35B", // Same as Arbitrum since it's a fork
+        poolDeployerAddress: "0x6Dd3FB9653B10e806650F107C3B5A0a6fF974F65", // Same as Arbitrum since it's a fork
+        positionManagerAddress: "0x00c7f3082833e796A5b3e4Bd59f6642FF44DCD15", // Same as Arbitrum since it's a fork
+        routerAddress: "0x1F721E2E82F6676FCE4eA07A5958cF098D339e18", // Same as Arbitrum since it's a fork
+        quoterAddress: "0x0Fc73040b26E9bC8514fA028D998E73A254Fa76E", // Same as Arbitrum since it's a fork
+      },
+      uniswapV2: {
+        factoryAddress: "0xf1D7CC64Fb4452F05c498126312eBE29f30Fbcf9", // Same as Arbitrum since it's a fork
+        routerAddress: "0x4752ba5DBc23f44D87826276BF6Fd6b1C372aD24", // Same as Arbitrum since it's a fork
+      },
+      sushiswapV2: {
+        factoryAddress: "0xc35DADB65012eC5796536bD9864eD8773aBc74C4", // Same as Arbitrum since it's a fork
+        routerAddress: "0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506", // Same as Arbitrum since it's a fork
+      },
+      curve: {
+        factoryAddress: "0x9AF14D26075f142eb3F292D5065EB3faa646167b", // Same as Arbitrum since it's a fork
+        plainFactoryAddress: "0xb17b674D9c5CB2e441F8e196a2f048A81355d031", // Same as Arbitrum since it's a fork
+      },
     },
   },
 
@@ -74,6 +156,30 @@ const chains = {
         universalRouterAddress: "0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD",
         quoterAddress: "0x61fFE014bA17989E743c5F6cB21bF9697530B21e",
       },
+      uniswapV4: {
+        poolManagerAddress: "0x000000000004444c5dc75cB358380D2e3dE08A90",
+        positionManagerAddress: "0xbD216513d74C8cf14cf4747E6AaA6420FF64ee9e",
+        stateViewAddress: "0x7fFE42C4a5DEeA5b0feC41C94C136Cf115597227",
+        quoterAddress: "0x52F0E24D1c21C8A0cB1e5a5dD6198556BD9E1203",
+        universalRouterAddress: "0x66a9893cC07D91D95644AEDD05D03f95e1dBA8Af",
+        permit2Address: "0x000000000022D473030F116dDEE9F6B43aC78BA3",
+        positionManagerStartBlock: 21680000, // Scan start for position NFT transfers (at or before deployment)
+      },
+      pancakeswapV3: {
+        factoryAddress: "0x0BFbCF9fa4f9C56B0F40a671Ad40E0805A091865",
+        poolDeployerAddress: "0x41ff9AA7e16B8B1a8a8dc4f0eFacd93D02d071c9", // Pools are CREATE2-deployed by the deployer, not the factory
+        positionManagerAddress: "0x46A15B0b27311cedF172AB29E4f4766fbE7F4364",
+        routerAddress: "0x1b81D678ffb9C0263b24A97847620C99d213eB14",
+        quoterAddress: "0xB048Bbc1Ee6b733FFfCFb9e9CeF7375518e25997",
+      },
+      uniswapV2: {
+        factoryAddress: "0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f",
+        routerAddress: "0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D", // UniswapV2Router02
+      },
+      curve: {
+        factoryAddress: "0x6A8cbed756804B16E05E741eDaBd5cB544AE21bf", // CurveStableSwapFactoryNG
+        plainFactoryAddress: "0xB9fC157394Af804a3578134A6585C0dc9cc990d4", // Legacy stable factory (plain pools)
+      },
     },
   },
 };
@@ -27,6 +27,8 @@ const platforms = {
     // Uniswap V3 tick bounds
     minTick: -887272,
     maxTick: 887272,
+    // CREATE2 init code hash for offline pool address computation
+    poolInitCodeHash: "0xe34f199b19b2b4f47f68442619d555527d244f78a3297ea89325f843f87b8b54",
     // The Graph subgraph IDs and query types for different chains
     subgraphs: {
       1: {
@@ -43,6 +45,242 @@ const platforms = {
       }    // Local fork (Uniswap - supports native USDC)
     },
   },
+  uniswapV4: {
+    id: "uniswapV4",
+    name: "Uniswap V4",
+    logo: "/Platform_Logos/uniswap.svg",
+    color: "#FF007A", // Uniswap pink
+    description: "Uniswap V4 singleton pool concentrated liquidity positions",
+    minLiquidityAmount: 10,
+    // Platform-specific features
+    features: {
+      concentratedLiquidity: true,
+      multipleFeeTiers: true,
+      hooks: true,          // Pools are keyed by PoolKey, which includes a hooks contract
+      nativeCurrency: true, // Pools can hold native ETH directly (currency = address(0))
+    },
+    // Default fee tiers with tick spacing (in basis points)
+    // V4 allows any fee/tickSpacing combination; these are the pairings used for discovery
+    feeTiers: {
+      100: { spacing: 1 },    // 0.01% fee = 1 tick spacing
+      500: { spacing: 10 },   // 0.05% fee = 10 tick spacing
+      3000: { spacing: 60 },  // 0.3% fee = 60 tick spacing
+      10000: { spacing: 200 } // 1% fee = 200 tick spacing
+    },
+    // Uniswap V4 tick bounds (same TickMath as V3)
+    minTick: -887272,
+    maxTick: 887272,
+    // The Graph subgraph IDs and query types for different chains
+    subgraphs: {
+      1: {
+        id: "DiYPVdygkfjDWhbxGSqAQxwBKmfKnkWQojqeM2rkLb3G",
+        queryType: "uniswap"
+      },      // Ethereum mainnet (Official Uniswap V4)
+      42161: {
+        id: "G5TsTKNi8yhPSV7kycaE23oWbqv9zzNqR49FoEQjzq1r",
+        queryType: "uniswap"
+      },   // Arbitrum One (Official Uniswap V4)
+      1337: {
+        id: "G5TsTKNi8yhPSV7kycaE23oWbqv9zzNqR49FoEQjzq1r",
+        queryType: "uniswap"
+      }    // Local fork (Arbitrum Uniswap V4)
+    },
+  },
+  sushiswapV3: {
+    id: "sushiswapV3",
+    name: "SushiSwap V3",
+    logo: "/Platform_Logos/sushiswap.svg",
+    color: "#FA52A0", // Sushi pink
+    description: "SushiSwap V3 concentrated liquidity positions (Uniswap V3 fork)",
+    minLiquidityAmount: 10,
+    // Platform-specific features
+    features: {
+      concentratedLiquidity: true,
+      multipleFeeTiers: true,
+    },
+    // Supported fee tiers with tick spacing (in basis points)
+    feeTiers: {
+      100: { spacing: 1 },    // 0.01% fee = 1 tick spacing
+      500: { spacing: 10 },   // 0.05% fee = 10 tick spacing
+      3000: { spacing: 60 },  // 0.3% fee = 60 tick spacing
+      10000: { spacing: 200 } // 1% fee = 200 tick spacing
+    },
+    // Same tick bounds as Uniswap V3
+    minTick: -887272,
+    maxTick: 887272,
+    // CREATE2 init code hash (unchanged from Uniswap V3)
+    poolInitCodeHash: "0xe34f199b19b2b4f47f68442619d555527d244f78a3297ea89325f843f87b8b54",
+    // The Graph subgraph IDs and query types for different chains
+    subgraphs: {
+      42161: {
+        id: "96EYD64NqmnFxMELu2QLWB95gqCmA9N96ssYsZfFiYHg",
+        queryType: "uniswap"
+      },   // Arbitrum One (SushiSwap V3 - Uniswap V3 schema)
+      1337: {
+        id: "96EYD64NqmnFxMELu2QLWB95gqCmA9N96ssYsZfFiYHg",
+        queryType: "uniswap"
+      }    // Local fork (SushiSwap V3 - Uniswap V3 schema)
+    },
+  },
+  pancakeswapV3: {
+    id: "pancakeswapV3",
+    name: "PancakeSwap V3",
+    logo: "/Platform_Logos/pancakeswap.svg",
+    color: "#1FC7D4", // Pancake teal
+    description: "PancakeSwap V3 concentrated liquidity positions (Uniswap V3 fork)",
+    minLiquidityAmount: 10,
+    // Platform-specific features
+    features: {
+      concentratedLiquidity: true,
+      multipleFeeTiers: true,
+    },
+    // Supported fee tiers with tick spacing (in basis points)
+    feeTiers: {
+      100: { spacing: 1 },    // 0.01% fee = 1 tick spacing
+      500: { spacing: 10 },   // 0.05% fee = 10 tick spacing
+      2500: { spacing: 50 },  // 0.25% fee = 50 tick spacing (replaces Uniswap's 0.3% tier)
+      10000: { spacing: 200 } // 1% fee = 200 tick spacing
+    },
+    // Same tick bounds as Uniswap V3
+    minTick: -887272,
+    maxTick: 887272,
+    // CREATE2 init code hash (pools are deployed by the PancakeV3PoolDeployer)
+    poolInitCodeHash: "0x6ce8eb472fa82df5469c6ab6d485f17c3ad13c8cd7af59b3d4a8026c5ce0f7e2",
+    // The Graph subgraph IDs and query types for different chains
+    subgraphs: {
+      1: {
+        id: "CJYGNhb7RvnhfBDjqpRnD3oxgyhibzc7fkAMa38YV3oS",
+        queryType: "uniswap"
+      },      // Ethereum mainnet (PancakeSwap V3 - Uniswap V3 schema)
+      42161: {
+        id: "251MHFNN1rwjErXD2efWMpNS73SANZN8Ua192zw6iXve",
+        queryType: "uniswap"
+      },   // Arbitrum One (PancakeSwap V3 - Uniswap V3 schema)
+      1337: {
+        id: "251MHFNN1rwjErXD2efWMpNS73SANZN8Ua192zw6iXve",
+        queryType: "uniswap"
+      }    // Local fork (PancakeSwap V3 - Uniswap V3 schema)
+    },
+  },
+  camelotV3: {
+    id: "camelotV3",
+    name: "Camelot V3",
+    logo: "/Platform_Logos/camelot.svg",
+    color: "#FFAF1D", // Camelot gold
+    description: "Camelot V3 concentrated liquidity positions (Algebra dynamic-fee pools)",
+    minLiquidityAmount: 10,
+    // Platform-specific features
+    features: {
+      concentratedLiquidity: true,
+      multipleFeeTiers: false,
+      dynamicFees: true,    // Each pool adjusts its own fee from volatility; read it from globalState()
+    },
+    // Algebra pools have one pool per pair and no fee tiers: the fee is dynamic
+    // and the tick spacing is fixed
+    feeModel: "dynamic",
+    tickSpacing: 60,
+    // Same tick bounds as Uniswap V3
+    minTick: -887272,
+    maxTick: 887272,
+    // CREATE2 init code hash (pools are deployed by the AlgebraPoolDeployer, salt = keccak256(token0, token1))
+    poolInitCodeHash: "0x6c1bebd370ba84753516bc1393c0d0a6c645856da55f5393ac8ab3d6dbc861d3",
+    // The Graph subgraph IDs and query types for different chains
+    subgraphs: {
+      42161: {
+        id: "7mPnp1UqmefcCycB8umy4uUkTkFxMoHn1Y7ncBUscePp",
+        queryType: "uniswap"
+      },   // Arbitrum One (Camelot V3 - Algebra schema)
+      1337: {
+        id: "7mPnp1UqmefcCycB8umy4uUkTkFxMoHn1Y7ncBUscePp",
+        queryType: "uniswap"
+      }    // Local fork (Camelot V3 - Algebra schema)
+    },
+  },
+  uniswapV2: {
+    id: "uniswapV2",
+    name: "Uniswap V2",
+    logo: "/Platform_Logos/uniswap.svg",
+    color: "#FF007A", // Uniswap pink
+    description: "Uniswap V2 full-range liquidity (always-in-range constant-product LP tokens)",
+    minLiquidityAmount: 10,
+    // Platform-specific features
+    features: {
+      concentratedLiquidity: false,
+      multipleFeeTiers: false,
+      fullRange: true,      // Positions are LP token balances spread over the whole price curve
+    },
+    // Constant-product pairs have no ticks: every pair charges the same fee and
+    // liquidity is always in range
+    liquidityModel: "fullRange",
+    fee: 3000, // 0.3% (hundredths of a bip, same unit as V3 fee tiers)
+    // CREATE2 init code hash for offline pair address computation (salt = keccak256(abi.encodePacked(token0, token1)))
+    poolInitCodeHash: "0x96e8ac4277198ff8b6f785478aa9a39f403cb768dd02cbee326c3e7da348845f",
+    // The Graph subgraph IDs and query types for different chains
+    subgraphs: {
+      1: {
+        id: "A3Np3RQbaBA6oKJgiwDJeo5T3zrYfGHPWFYayMwtNDum",
+        queryType: "uniswapV2"
+      },      // Ethereum mainnet (Official Uniswap V2)
+      42161: {
+        id: "CStW6CSQbHoXsgKuVCrk3uShGA4JX3CAzzv2x9zaGf8w",
+        queryType: "uniswapV2"
+      },   // Arbitrum One (Official Uniswap V2)
+      1337: {
+        id: "CStW6CSQbHoXsgKuVCrk3uShGA4JX3CAzzv2x9zaGf8w",
+        queryType: "uniswapV2"
+      }    // Local fork (Arbitrum Uniswap V2)
+    },
+  },
+  sushiswapV2: {
+    id: "sushiswapV2",
+    name: "SushiSwap V2",
+    logo: "/Platform_Logos/sushiswap.svg",
+    color: "#FA52A0", // Sushi pink
+    description: "SushiSwap V2 full-range liquidity (Uniswap V2 fork)",
+    minLiquidityAmount: 10,
+    // Platform-specific features
+    features: {
+      concentratedLiquidity: false,
+      multipleFeeTiers: false,
+      fullRange: true,
+    },
+    liquidityModel: "fullRange",
+    fee: 3000, // 0.3%
+    // CREATE2 init code hash (SushiSwap's pair bytecode differs from Uniswap's)
+    poolInitCodeHash: "0xe18a34eb0e04b04f7a0ac29a6e80748dca96319b42c54d679cb821dca90c6303",
+    // The Graph subgraph IDs and query types for different chains
+    subgraphs: {
+      42161: {
+        id: "8yBXBTMfdhsoE5QCf7KnoPmQb7QAWtRzESfYjiCjGEM9",
+        queryType: "uniswapV2"
+      },   // Arbitrum One (SushiSwap V2 - Uniswap V2 schema)
+      1337: {
+        id: "8yBXBTMfdhsoE5QCf7KnoPmQb7QAWtRzESfYjiCjGEM9",
+        queryType: "uniswapV2"
+      }    // Local fork (SushiSwap V2 - Uniswap V2 schema)
+    },
+  },
+  curve: {
+    id: "curve",
+    name: "Curve",
+    logo: "/Platform_Logos/curve.svg",
+    color: "#3466A6", // Curve blue
+    description: "Curve StableSwap pools (plain and NG) for low-slippage stablecoin liquidity",
+    minLiquidityAmount: 10,
+    // Platform-specific features
+    features: {
+      concentratedLiquidity: false,
+      multipleFeeTiers: false,
+      fullRange: true,      // LP tokens span the whole curve, so positions are always in range
+      stableSwap: true,     // StableSwap invariant with pools of 2+ coins
+      dynamicFees: true,    // Each pool sets its own fee; read it from fee()
+    },
+    // StableSwap pools have no ticks, and each pool sets its own fee (read from pool.fee())
+    liquidityModel: "fullRange",
+    feeModel: "dynamic",
+    // No subgraph is configured - pool TVL and age come from other sources
+    subgraphs: {},
+  },
   // Add other platforms here as needed
 };
 
@@ -181,6 +181,7 @@ const strategies = {
         name: "Upper Range",
         description: "Range percentage above current price",
         type: "percent",
+        contractUnit: "basisPoints",
         defaultValue: 5.0,
         min: 0.1,
         max: 20.0,
@@ -193,6 +194,7 @@ const strategies = {
         name: "Lower Range",
         description: "Range percentage below current price",
         type: "percent",
+        contractUnit: "basisPoints",
         defaultValue: 5.0,
         min: 0.1,
         max: 20.0,
@@ -205,6 +207,7 @@ const strategies = {
         name: "Upper Rebalance Trigger",
         description: "Percentage from top of range that triggers a rebalance",
         type: "percent",
+        contractUnit: "basisPoints",
         defaultValue: 1.5,
         min: 0.1,
         max: 15.0,
@@ -217,6 +220,7 @@ const strategies = {
         name: "Lower Rebalance Trigger",
         description: "Percentage from bottom of range that triggers a rebalance",
         type: "percent",
+        contractUnit: "basisPoints",
         defaultValue: 1.5,
         min: 0.1,
         max: 15.0,
@@ -246,6 +250,7 @@ const strategies = {
         group: 1,
         contractGroup: "fee",
         type: "fiat-currency",
+        contractUnit: "cents",
         conditionalOn: "feeReinvestment",
         conditionalValue: true
       },
@@ -253,6 +258,7 @@ const strategies = {
         name: "Reinvestment Ratio",
         description: "Percentage of collected fees to reinvest vs. hold as reserve",
         type: "percent",
+        contractUnit: "basisPoints",
         defaultValue: 80,
         min: 0,
         max: 100,
@@ -269,6 +275,7 @@ const strategies = {
         name: "Max Slippage",
         description: "Maximum acceptable slippage when executing trades",
         type: "percent",
+        contractUnit: "basisPoints",
         defaultValue: 0.5,
         min: 0.1,
         max: 5.0,
@@ -281,6 +288,7 @@ const strategies = {
         name: "Emergency Exit",
         description: "Price change percentage that triggers emergency exit from positions",
         type: "percent",
+        contractUnit: "basisPoints",
         defaultValue: 15,
         min: 1,
         max: 50,
@@ -293,6 +301,7 @@ const strategies = {
         name: "Max Utilization",
         description: "Maximum percentage of vault assets that can be deployed across all positions",
         type: "percent",
+        contractUnit: "basisPoints",
         defaultValue: 80,
         min: 10,
         max: 100,
@@ -525,6 +534,7 @@ const strategies = {
         name: "Upper Range",
         description: "Range percentage above current price",
         type: "percent",
+        contractUnit: "basisPoints",
         defaultValue: 5.0,
         min: 0.1,
         max: 20.0,
@@ -537,6 +547,7 @@ const strategies = {
         name: "Lower Range",
         description: "Range percentage below current price",
         type: "percent",
+        contractUnit: "basisPoints",
         defaultValue: 5.0,
         min: 0.1,
         max: 20.0,
@@ -549,6 +560,7 @@ const strategies = {
         name: "Upper Rebalance Trigger",
         description: "Percentage from top of range that triggers a rebalance",
         type: "percent",
+        contractUnit: "basisPoints",
         defaultValue: 1.5,
         min: 0.1,
         max: 5.0,
@@ -561,6 +573,7 @@ const strategies = {
         name: "Lower Rebalance Trigger",
         description: "Percentage from bottom of range that triggers a rebalance",
         type: "percent",
+        contractUnit: "basisPoints",
         defaultValue: 1.5,
         min: 0.1,
         max: 5.0,
@@ -590,6 +603,7 @@ const strategies = {
         group: 1,
         contractGroup: "fee",
         type: "fiat-currency",
+        contractUnit: "cents",
         conditionalOn: "feeReinvestment",
         conditionalValue: true
       },
@@ -597,6 +611,7 @@ const strategies = {
         name: "Reinvestment Ratio",
         description: "Percentage of collected fees to reinvest vs. hold as reserve",
         type: "percent",
+        contractUnit: "basisPoints",
         defaultValue: 80,
         min: 0,
         max: 100,
@@ -613,6 +628,7 @@ const strategies = {
         name: "Max Slippage",
         description: "Maximum acceptable slippage when executing trades",
         type: "percent",
+        contractUnit: "basisPoints",
         defaultValue: 0.5,
         min: 0.1,
         max: 5.0,
@@ -625,6 +641,7 @@ const strategies = {
         name: "Emergency Exit",
         description: "Price change percentage that triggers emergency exit from positions",
         type: "percent",
+        contractUnit: "basisPoints",
         defaultValue: 15,
         min: 1,
         max: 50,
@@ -637,6 +654,7 @@ const strategies = {
         name: "Max Vault Utilization",
         description: "Maximum percentage of vault assets that can be deployed across all positions",
         type: "percent",
+        contractUnit: "basisPoints",
         defaultValue: 80,
         min: 10,
         max: 100,
@@ -713,6 +731,7 @@ const strategies = {
         name: "Range Expansion Amount",
         description: "Percentage to increase position ranges when too many rebalances occur",
         type: "percent",
+        contractUnit: "basisPoints",
         defaultValue: 20,
         min: 5,
         max: 100,
@@ -727,6 +746,7 @@ const strategies = {
         name: "Threshold Expansion Amount",
         description: "Percentage to increase rebalance thresholds when too many rebalances occur",
         type: "percent",
+        contractUnit: "basisPoints",
         defaultValue: 15,
         min: 5,
         max: 100,
@@ -741,6 +761,7 @@ const strategies = {
         name: "Range Contraction Amount",
         description: "Percentage to decrease position ranges when too few rebalances occur",
         type: "percent",
+        contractUnit: "basisPoints",
         defaultValue: 20,
         min: 5,
         max: 100,
@@ -755,6 +776,7 @@ const strategies = {
         name: "Threshold Contraction Amount",
         description: "Percentage to decrease rebalance thresholds when too few rebalances occur",
         type: "percent",
+        contractUnit: "basisPoints",
         defaultValue: 15,
         min: 5,
         max: 100,
@@ -784,6 +806,7 @@ const strategies = {
         name: "Oracle Deviation Tolerance",
         description: "Maximum allowed deviation between different price sources",
         type: "percent",
+        contractUnit: "basisPoints",
         defaultValue: 1.0,
         min: 0.1,
         max: 5.0,
@@ -798,6 +821,7 @@ const strategies = {
         name: "Max Position Size",
         description: "Maximum percentage of vault assets to allocate to any single position",
         type: "percent",
+        contractUnit: "basisPoints",
         defaultValue: 30,
         min: 5,
         max: 100,
@@ -810,6 +834,7 @@ const strategies = {
         name: "Min Position Size",
         description: "Minimum position size in USD value to avoid dust positions",
         type: "fiat-currency",
+        contractUnit: "cents",
         defaultValue: 100,
         min: 10,
         max: 10000,
@@ -822,6 +847,7 @@ const strategies = {
         name: "Target Utilization",
         description: "Target percentage of vault assets to deploy (per position)",
         type: "percent",
+        contractUnit: "basisPoints",
         defaultValue: 20,
         min: 5,
         max: 100,
@@ -850,6 +876,7 @@ const strategies = {
         name: "Min Pool Liquidity",
         description: "Minimum pool liquidity threshold to enter a position",
         type: "fiat-currency",
+        contractUnit: "cents",
         defaultValue: 100000,
         min: 10000,
         max: 10000000,
@@ -975,6 +1002,7 @@ const strategies = {
         name: "Range",
         description: "Range around the current price to set the position boundaries",
         type: "percent",
+        contractUnit: "basisPoints",
         defaultValue: 0.5,
         min: 0.1,
         max: 5.0,
@@ -987,6 +1015,7 @@ const strategies = {
         name: "Rebalance Trigger",
         description: "Price movement percentage that triggers a rebalance",
         type: "percent",
+        contractUnit: "basisPoints",
         defaultValue: 1.0,
         min: 0.1,
         max: 10.0,
@@ -1007,6 +1036,7 @@ const strategies = {
         name: "Max Slippage",
         description: "Maximum acceptable slippage when executing trades",
         type: "percent",
+        contractUnit: "basisPoints",
         defaultValue: 0.5,
         min: 0.1,
         max: 5.0,
@@ -6,7 +6,7 @@
  */
 
 import platforms from '../configs/platforms.js';
-import { getPlatformAddresses, validateChainId } from './chainHelpers.js';
+import { getPlatformAddresses, lookupChainPlatformIds, validateChainId } from './chainHelpers.js';
 
 /**
  * Validate platformId parameter using established validation pattern
@@ -275,6 +275,14 @@ export function getMinLiquidityAmount(platformId) {
  * @example
  * // Platform without feeTiers throws error
  * getPlatformFeeTiers('platformWithoutFeeTiers'); // Throws: Error: Platform platformWithoutFeeTiers feeTiers not configured
+ *
+ * @example
+ * // Dynamic-fee platforms have no fixed tiers
+ * getPlatformFeeTiers('camelotV3'); // Returns: []
+ *
+ * @example
+ * // Full-range platforms charge one fixed fee on every pair
+ * getPlatformFeeTiers('uniswapV2'); // Returns: [3000]
  * @since 1.0.0
  */
 export function getPlatformFeeTiers(platformId) {
@@ -285,6 +293,19 @@ export function getPlatformFeeTiers(platformId) {
     throw new Error(`Platform ${platformId} is not supported`);
   }
 
+  // Dynamic-fee pools set their own fee, so there are no tiers to enumerate
+  if (platform.feeModel === 'dynamic') {
+    return [];
+  }
+
+  // Full-range (V2-style) pairs all charge the same single fee
+  if (platform.liquidityModel === 'fullRange') {
+    if (!Number.isInteger(platform.fee) || platform.fee <= 0) {
+      throw new Error(`Platform ${platformId} fee not configured`);
+    }
+    return [platform.fee];
+  }
+
   if (!platform.feeTiers || typeof platform.feeTiers !== 'object' || Array.isArray(platform.feeTiers)) {
     throw new Error(`Platform ${platformId} feeTiers not configured`);
   }
@@ -297,29 +318,92 @@ export function getPlatformFeeTiers(platformId) {
   return feeArray;
 }
 
+/**
+ * Check whether a platform uses dynamic (per-pool, time-varying) fees instead of fixed fee tiers
+ * @memberof module:helpers/platformHelpers
+ * @param {string} platformId - Platform identifier (e.g., 'camelotV3')
+ * @returns {boolean} True if the platform config declares feeModel "dynamic"
+ * @throws {Error} If platformId is not valid or platform is not supported
+ * @example
+ * isDynamicFeePlatform('camelotV3'); // Returns: true
+ * isDynamicFeePlatform('uniswapV3'); // Returns: false
+ * @since 1.0.0
+ */
+export function isDynamicFeePlatform(platformId) {
+  validatePlatformId(platformId);
+
+  const platform = platforms[platformId];
+  if (!platform) {
+    throw new Error(`Platform ${platformId} is not supported`);
+  }
+
+  return platform.feeModel === 'dynamic';
+}
+
+/**
+ * Check whether a platform provides full-range (V2-style constant-product) liquidity instead of tick ranges
+ * @memberof module:helpers/platformHelpers
+ * @param {string} platformId - Platform identifier (e.g., 'uniswapV2')
+ * @returns {boolean} True if the platform config declares liquidityModel "fullRange"
+ * @throws {Error} If platformId is not valid or platform is not supported
+ * @example
+ * isFullRangePlatform('uniswapV2'); // Returns: true
+ * isFullRangePlatform('uniswapV3'); // Returns: false
+ * @since 1.0.0
+ */
+export function isFullRangePlatform(platformId) {
+  validatePlatformId(platformId);
+
+  const platform = platforms[platformId];
+  if (!platform) {
+    throw new Error(`Platform ${platformId} is not supported`);
+  }
+
+  return platform.liquidityModel === 'fullRange';
+}
+
 /**
  * Get tick spacing for a specific fee tier on a platform
+ *
+ * Dynamic-fee platforms use a single fixed tick spacing, so the fee argument is ignored for them.
  * @param {string} platformId - Platform identifier (e.g., 'uniswapV3')
- * @param {number} fee - Fee tier in basis points (e.g., 500)
+ * @param {number} [fee] - Fee tier in basis points (e.g., 500) - required for fixed-tier platforms
  * @returns {number} Tick spacing for the fee tier
  * @throws {Error} If platform is not supported, feeTiers not configured, or fee tier not found
+ * @throws {Error} If a dynamic-fee platform has no valid tickSpacing configured
+ * @throws {Error} If the platform is full-range and has no ticks
  * @example
  * const spacing = getPlatformTickSpacing('uniswapV3', 500);
  * // Returns: 10
+ *
+ * @example
+ * const spacing = getPlatformTickSpacing('camelotV3');
+ * // Returns: 60
  * @since 1.0.0
  */
 export function getPlatformTickSpacing(platformId, fee) {
   validatePlatformId(platformId);
 
-  if (!Number.isFinite(fee)) {
-    throw new Error(`Invalid fee: ${fee}. Must be a finite number.`);
-  }
-
   const platform = platforms[platformId];
   if (!platform) {
     throw new Error(`Platform ${platformId} is not supported`);
   }
 
+  if (platform.liquidityModel === 'fullRange') {
+    throw new Error(`Platform ${platformId} has no ticks (full-range liquidity)`);
+  }
+
+  if (platform.feeModel === 'dynamic') {
+    if (!Number.isInteger(platform.tickSpacing) || platform.tickSpacing <= 0) {
+      throw new Error(`Platform ${platformId} tickSpacing not configured`);
+    }
+    return platform.tickSpacing;
+  }
+
+  if (!Number.isFinite(fee)) {
+    throw new Error(`Invalid fee: ${fee}. Must be a finite number.`);
+  }
+
   if (!platform.feeTiers || typeof platform.feeTiers !== 'object' || Array.isArray(platform.feeTiers)) {
     throw new Error(`Platform ${platformId} feeTiers not configured`);
   }
@@ -338,6 +422,7 @@ export function getPlatformTickSpacing(platformId, fee) {
  * @param {string} platformId - Platform identifier (e.g., 'uniswapV3')
  * @returns {{minTick: number, maxTick: number}} Tick bounds for the platform
  * @throws {Error} If platform is not supported or tick bounds not configured
+ * @throws {Error} If the platform is full-range and has no ticks
  * @example
  * const bounds = getPlatformTickBounds('uniswapV3');
  * // Returns: { minTick: -887272, maxTick: 887272 }
@@ -351,6 +436,10 @@ export function getPlatformTickBounds(platformId) {
     throw new Error(`Platform ${platformId} is not supported`);
   }
 
+  if (platform.liquidityModel === 'fullRange') {
+    throw new Error(`Platform ${platformId} has no ticks (full-range liquidity)`);
+  }
+
   if (!Number.isFinite(platform.minTick) || !Number.isFinite(platform.maxTick)) {
     throw new Error(`Platform ${platformId} tick bounds not configured`);
   }
@@ -407,11 +496,13 @@ export function getAvailablePlatforms(chainId) {
   const availablePlatforms = [];
 
   // Get platform IDs from the chain that are enabled
-  for (const platformId in platforms) {
-    const platformAddresses = getPlatformAddresses(chainId, platformId);
+  const chainPlatformIds = lookupChainPlatformIds(chainId);
 
+  for (const platformId in platforms) {
     // Skip if platform not available on this chain (business logic - disabled or not configured for chain)
-    if (!platformAddresses) continue;
+    if (!chainPlatformIds.includes(platformId)) continue;
+
+    const platformAddresses = getPlatformAddresses(chainId, platformId);
 
     const metadata = platforms[platformId];
     if (!metadata) {
@@ -9,6 +9,24 @@ import { ethers } from 'ethers';
 import strategies from '../configs/strategies.js';
 import { getAllTokens, getStablecoins } from './tokenHelpers.js';
 
+/**
+ * Conversions between UI values and strategy contract values, by the `contractUnit` a parameter declares
+ * @type {Object<string, {toContract: Function, fromContract: Function}>}
+ * @private
+ */
+const CONTRACT_UNITS = {
+  // Percent stored as basis points: 5.25 <-> 525
+  basisPoints: {
+    toContract: value => Math.round(Number(value) * 100),
+    fromContract: value => Number(value) / 100
+  },
+  // USD amount stored as cents: 50 <-> 5000 (read back as a decimal string, e.g. "50.0")
+  cents: {
+    toContract: value => ethers.utils.parseUnits(Number(value).toFixed(2), 2),
+    fromContract: value => ethers.utils.formatUnits(value, 2)
+  }
+};
+
 /**
  * Validate ID string parameter using established validation pattern
  * @param {any} id - The value to validate as an ID string
@@ -1059,7 +1077,12 @@ export function validatePositionsForStrategy (vaultPositions, pools, strategyTok
 
 /**
  * Map strategy parameters from contract return value to named objects
+ *
+ * The values are matched to the strategy config's parameters by position and converted as mapStrategyFields
+ * converts them.
+ *
  * @memberof module:helpers/strategyHelpers
+ * @deprecated Relies on the position of each value; use mapStrategyFields, which maps contract fields by name
  * @param {string} strategyId - Strategy ID (e.g., 'bob', 'parris', 'fed')
  * @param {Array} params - Raw parameters array from contract getAllParameters call
  * @returns {Object} Named parameters with human-readable values
@@ -1095,157 +1118,131 @@ export function mapStrategyParameters(strategyId, params) {
     throw new Error(`Strategy ${strategyId} not found`);
   }
 
-  try {
-    const strategyIdLower = strategyId.toLowerCase();
+  // Only strategies whose parameters are all contract values (not e.g. token deposits) can be mapped
+  const paramEntries = Object.entries(strategy.parameters || {});
+  if (paramEntries.length === 0 ||
+    paramEntries.some(([, paramConfig]) => paramConfig.type === 'token-deposits')) {
+    throw new Error(`No parameter mapping defined for strategy ${strategyId}`);
+  }
 
-    // Strategy-specific parameter mappings with validation
-    if (strategyIdLower === 'bob') {
-      // Bob strategy expects exactly 10 parameters
-      if (params.length !== 10) {
-        throw new Error(`Bob strategy expects 10 parameters, got ${params.length}`);
-      }
+  const label = strategyId.charAt(0).toUpperCase() + strategyId.slice(1);
+  if (params.length !== paramEntries.length) {
+    throw new Error(`${label} strategy expects ${paramEntries.length} parameters, got ${params.length}`);
+  }
 
-      // Validate parameter types for Bob strategy
-      for (let i = 0; i < 10; i++) {
-        if (i === 4) { // feeReinvestment is boolean
-          if (typeof params[i] !== 'boolean') {
-            throw new Error(`Bob strategy parameter ${i} (feeReinvestment) must be boolean, got ${typeof params[i]}`);
-          }
-        } else { // All other parameters should be numeric
-          if (params[i] === null || params[i] === undefined) {
-            throw new Error(`Bob strategy parameter ${i} must be a valid number, got ${params[i]}`);
-          }
-          const numValue = Number(params[i]);
-          if (isNaN(numValue) || !isFinite(numValue)) {
-            throw new Error(`Bob strategy parameter ${i} must be a valid number, got ${params[i]}`);
-          }
-        }
+  // Validate parameter types, with the messages of the former per-strategy mappings (Parris did not name its booleans)
+  paramEntries.forEach(([paramId, paramConfig], i) => {
+    if (paramConfig.type === 'boolean') {
+      if (typeof params[i] !== 'boolean') {
+        const name = strategyId === 'parris' ? '' : ` (${paramId})`;
+        throw new Error(`${label} strategy parameter ${i}${name} must be boolean, got ${typeof params[i]}`);
       }
-
-      return {
-        // Range Parameters
-        targetRangeUpper: parseInt(params[0]) / 100, // Convert basis points to percent
-        targetRangeLower: parseInt(params[1]) / 100,
-        rebalanceThresholdUpper: parseInt(params[2]) / 100,
-        rebalanceThresholdLower: parseInt(params[3]) / 100,
-
-        // Fee Settings
-        feeReinvestment: params[4],
-        reinvestmentTrigger: ethers.utils.formatUnits(params[5], 2), // Convert to dollars with 2 decimal places
-        reinvestmentRatio: parseInt(params[6]) / 100,
-
-        // Risk Management
-        maxSlippage: parseInt(params[7]) / 100,
-        emergencyExitTrigger: parseInt(params[8]) / 100,
-        maxUtilization: parseInt(params[9]) / 100
-      };
+    } else if (params[i] === null || params[i] === undefined || !isFinite(Number(params[i]))) {
+      throw new Error(`${label} strategy parameter ${i} must be a valid number, got ${params[i]}`);
     }
-    else if (strategyIdLower === 'parris') {
-      // Parris strategy expects exactly 26 parameters
-      if (params.length !== 26) {
-        throw new Error(`Parris strategy expects 26 parameters, got ${params.length}`);
-      }
+  });
 
-      // Validate parameter types for Parris strategy
-      for (let i = 0; i < 26; i++) {
-        if (i === 4 || i === 10) { // feeReinvestment and adaptiveRanges are boolean
-          if (typeof params[i] !== 'boolean') {
-            throw new Error(`Parris strategy parameter ${i} must be boolean, got ${typeof params[i]}`);
-          }
-        } else { // All other parameters should be numeric
-          if (params[i] === null || params[i] === undefined) {
-            throw new Error(`Parris strategy parameter ${i} must be a valid number, got ${params[i]}`);
-          }
-          const numValue = Number(params[i]);
-          if (isNaN(numValue) || !isFinite(numValue)) {
-            throw new Error(`Parris strategy parameter ${i} must be a valid number, got ${params[i]}`);
-          }
-        }
-      }
+  const fields = Object.fromEntries(paramEntries.map(([paramId], i) => [paramId, params[i]]));
+  return mapStrategyFields(strategyId, fields).parameters;
+}
 
-      return {
-        // Range Parameters
-        targetRangeUpper: parseInt(params[0]) / 100, // Convert basis points to percent
-        targetRangeLower: parseInt(params[1]) / 100,
-        rebalanceThresholdUpper: parseInt(params[2]) / 100,
-        rebalanceThresholdLower: parseInt(params[3]) / 100,
-
-        // Fee Settings
-        feeReinvestment: params[4],
-        reinvestmentTrigger: ethers.utils.formatUnits(params[5], 2),
-        reinvestmentRatio: parseInt(params[6]) / 100,
-
-        // Risk Management
-        maxSlippage: parseInt(params[7]) / 100,
-        emergencyExitTrigger: parseInt(params[8]) / 100,
-        maxVaultUtilization: parseInt(params[9]) / 100,
-
-        // Adaptive Settings
-        adaptiveRanges: params[10],
-        rebalanceCountThresholdHigh: parseInt(params[11]),
-        rebalanceCountThresholdLow: parseInt(params[12]),
-        adaptiveTimeframeHigh: parseInt(params[13]),
-        adaptiveTimeframeLow: parseInt(params[14]),
-        rangeAdjustmentPercentHigh: parseInt(params[15]) / 100,
-        thresholdAdjustmentPercentHigh: parseInt(params[16]) / 100,
-        rangeAdjustmentPercentLow: parseInt(params[17]) / 100,
-        thresholdAdjustmentPercentLow: parseInt(params[18]) / 100,
-
-        // Oracle Settings
-        oracleSource: parseInt(params[19]),
-        priceDeviationTolerance: parseInt(params[20]) / 100,
-
-        // Position Sizing
-        maxPositionSizePercent: parseInt(params[21]) / 100,
-        minPositionSize: ethers.utils.formatUnits(params[22], 2),
-        targetUtilization: parseInt(params[23]) / 100,
-
-        // Platform Settings
-        platformSelectionCriteria: parseInt(params[24]),
-        minPoolLiquidity: ethers.utils.formatUnits(params[25], 2)
-      };
-    }
-    else if (strategyIdLower === 'fed') {
-      // Fed strategy expects exactly 4 parameters
-      if (params.length !== 4) {
-        throw new Error(`Fed strategy expects 4 parameters, got ${params.length}`);
-      }
+/**
+ * Convert a parameter value to the unit the strategy contract stores it in
+ * @memberof module:helpers/strategyHelpers
+ * @param {*} value - Value in UI units (e.g. 5.25 for 5.25%)
+ * @param {Object} paramConfig - Parameter configuration from the strategy config
+ * @returns {*} Value in contract units, as declared by `paramConfig.contractUnit` (unchanged when it declares none)
+ * @throws {Error} If paramConfig is invalid or declares an unknown contractUnit
+ * @example
+ * const { parameters } = getStrategyDetails('bob');
+ * toContractParameterValue(5.25, parameters.targetRangeUpper);   // 525 (basisPoints)
+ * toContractParameterValue(50, parameters.reinvestmentTrigger);  // BigNumber 5000 (cents)
+ * @since 1.0.0
+ */
+export function toContractParameterValue(value, paramConfig) {
+  if (!paramConfig || typeof paramConfig !== 'object' || Array.isArray(paramConfig)) {
+    throw new Error('Parameter config must be an object');
+  }
+  if (paramConfig.contractUnit === undefined) {
+    return value;
+  }
+  const unit = CONTRACT_UNITS[paramConfig.contractUnit];
+  if (!unit) {
+    throw new Error(`Unknown contract unit: ${paramConfig.contractUnit}`);
+  }
+  return unit.toContract(value);
+}
 
-      // Validate parameter types for Fed strategy
-      for (let i = 0; i < 4; i++) {
-        if (i === 2) { // feeReinvestment is boolean
-          if (typeof params[i] !== 'boolean') {
-            throw new Error(`Fed strategy parameter ${i} (feeReinvestment) must be boolean, got ${typeof params[i]}`);
-          }
-        } else { // All other parameters should be numeric
-          if (params[i] === null || params[i] === undefined) {
-            throw new Error(`Fed strategy parameter ${i} must be a valid number, got ${params[i]}`);
-          }
-          const numValue = Number(params[i]);
-          if (isNaN(numValue) || !isFinite(numValue)) {
-            throw new Error(`Fed strategy parameter ${i} must be a valid number, got ${params[i]}`);
-          }
-        }
-      }
+/**
+ * Map strategy contract fields to the parameters of the strategy config
+ *
+ * Each field is matched by name to the `parameters` entry with the same ID and converted with the `contractUnit`
+ * that entry declares. Numbers without a unit are returned as numbers and booleans as they are. Fields the config
+ * does not know, and config parameters the contract does not return, are reported instead of failing.
+ *
+ * @memberof module:helpers/strategyHelpers
+ * @param {string} strategyId - ID of the strategy
+ * @param {Object} fields - Contract values by field name (numbers, numeric strings, BigNumbers or booleans)
+ * @returns {{parameters: Object, onChainOnly: Object, configOnly: Array<string>}} Parameters in UI units, the
+ *   fields without a config entry (BigNumbers as strings), and the IDs of config parameters without a field
+ * @throws {Error} If strategyId or fields are invalid, or the strategy is not configured
+ * @example
+ * const { parameters, onChainOnly, configOnly } = mapStrategyFields('bob', {
+ *   targetRangeUpper: 500,
+ *   feeReinvestment: true,
+ *   reinvestmentTrigger: '2500',
+ *   cooldownBlocks: 20
+ * });
+ * // parameters: { targetRangeUpper: 5, feeReinvestment: true, reinvestmentTrigger: "25.0" }
+ * // onChainOnly: { cooldownBlocks: 20 }
+ * // configOnly: ["targetRangeLower", "rebalanceThresholdUpper", ...]
+ * @since 1.0.0
+ */
+export function mapStrategyFields(strategyId, fields) {
+  validateIdString(strategyId);
+
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new Error('Fields must be an object');
+  }
+
+  const strategy = strategies[strategyId];
+  if (!strategy) {
+    throw new Error(`Strategy ${strategyId} not found`);
+  }
 
-      return {
-        targetRange: parseInt(params[0]) / 100,
-        rebalanceThreshold: parseInt(params[1]) / 100,
-        feeReinvestment: params[2],
-        maxSlippage: parseInt(params[3]) / 100
-      };
+  if (!strategy.parameters || typeof strategy.parameters !== 'object' || Array.isArray(strategy.parameters)) {
+    throw new Error(`Strategy ${strategyId} parameters not configured`);
+  }
+
+  const plain = value => ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+
+  const parameters = {};
+  const configOnly = [];
+  Object.entries(strategy.parameters).forEach(([paramId, paramConfig]) => {
+    if (!(paramId in fields)) {
+      configOnly.push(paramId);
+      return;
     }
 
-    // If we reach here, we don't know how to map this strategy
-    throw new Error(`No parameter mapping defined for strategy ${strategyId}`);
-  } catch (error) {
-    // Re-throw validation errors as-is
-    if (error.message.includes('expects') || error.message.includes('must be') || error.message.includes('No parameter mapping')) {
-      throw error;
+    const value = plain(fields[paramId]);
+    if (paramConfig.contractUnit !== undefined) {
+      const unit = CONTRACT_UNITS[paramConfig.contractUnit];
+      if (!unit) {
+        throw new Error(`Unknown contract unit: ${paramConfig.contractUnit}`);
+      }
+      parameters[paramId] = unit.fromContract(value);
+    } else {
+      parameters[paramId] = typeof value === 'boolean' ? value : Number(value);
     }
-    // Wrap other errors with context
-    throw new Error(`Error mapping strategy parameters for ${strategyId}: ${error.message}`);
-  }
+  });
+
+  const onChainOnly = Object.fromEntries(
+    Object.entries(fields)
+      .filter(([field]) => !strategy.parameters[field])
+      .map(([field, value]) => [field, plain(value)])
+  );
+
+  return { parameters, onChainOnly, configOnly };
 }
 
 /**
@@ -0,0 +1,411 @@
+/**
+ * @module helpers/vaultHelpers
+ * @description Vault state utilities that gather a vault's configuration, token balances and positions in one call,
+ * and value them in USD.
+ * @since 1.0.0
+ */
+
+import { ethers } from 'ethers';
+import contractData from '../artifacts/contracts.js';
+import AdapterFactory from '../adapters/AdapterFactory.js';
+import { getVaultInfo, getContractInfoByAddress } from '../blockchain/contracts.js';
+import { multicall, resolveBlockTag, MULTICALL3_ADDRESS } from '../blockchain/multicall.js';
+import { fetchTokenPrices } from '../services/coingecko.js';
+import { getChainConfig } from './chainHelpers.js';
+import { getTokensByChain, getCoingeckoId } from './tokenHelpers.js';
+
+const vaultInterface = new ethers.utils.Interface(contractData.PositionVault.abi);
+const erc20Interface = new ethers.utils.Interface(["function balanceOf(address account) view returns (uint256)"]);
+const multicall3Interface = new ethers.utils.Interface(["function getEthBalance(address addr) view returns (uint256 balance)"]);
+
+// PositionVault view functions read for the vault state
+const VAULT_READS = ['executor', 'strategy', 'getTargetTokens', 'getTargetPlatforms'];
+
+// Native currencies are priced as their wrapped token
+const NATIVE_PRICE_SYMBOLS = { ETH: 'WETH' };
+
+// Source of the USD prices used by getVaultValuation
+const PRICE_SOURCE = 'coingecko';
+
+/**
+ * Read a vault's positions on every platform adapter of the chain
+ * @param {string} vaultAddress - Vault address
+ * @param {number} chainId - Chain ID
+ * @param {ethers.providers.Provider} provider - Ethers provider
+ * @param {number} blockNumber - Block to read at
+ * @returns {Promise<{positions: Array<Object>, poolData: Object, failures: Array<{platformId: string, error: string}>}>}
+ *   Positions, pool data by platform, and platforms whose positions could not be read
+ * @private
+ */
+async function getVaultPositions(vaultAddress, chainId, provider, blockNumber) {
+  const { adapters, failures: adapterFailures } = AdapterFactory.getAdaptersForChain(chainId, provider);
+  const failures = adapterFailures.map(({ platformId, error }) => ({ platformId, error }));
+
+  const results = await Promise.all(adapters.map(async adapter => {
+    try {
+      return { adapter, ...(await adapter.getPositions(vaultAddress, provider, { blockTag: blockNumber })) };
+    } catch (error) {
+      failures.push({ platformId: adapter.platformId, error: error.message });
+      return null;
+    }
+  }));
+
+  const positions = [];
+  const poolData = {};
+  results.filter(Boolean).forEach(({ adapter, positions: platformPositions, poolData: platformPoolData }) => {
+    positions.push(...Object.values(platformPositions || {}));
+    poolData[adapter.platformId] = platformPoolData || {};
+  });
+
+  return { positions, poolData, failures };
+}
+
+/**
+ * Get the aggregate state of a vault in one call
+ *
+ * The vault's info, configuration, token balances and positions are all read at one block, reported as
+ * `blockNumber`. Positions are read from every platform adapter of the vault's chain. A platform whose positions
+ * cannot be read is listed in `failures` instead of failing the call.
+ *
+ * @function getVaultState
+ * @memberof module:helpers/vaultHelpers
+ *
+ * @param {string} vaultAddress - Address of the vault
+ * @param {ethers.providers.Provider} provider - Ethers provider
+ *
+ * @returns {Promise<Object>} Vault state:
+ *   - `address`, `chainId`, `blockNumber` - Vault and the block read at
+ *   - `owner`, `name`, `creationTime` - From the VaultFactory (see getVaultInfo)
+ *   - `executor` - Authorized executor, or null if none is set
+ *   - `strategyAddress`, `strategyId` - Strategy contract and its contract name, or null
+ *   - `targetTokens`, `targetPlatforms` - Token symbols and platform IDs the strategy targets
+ *   - `tokenBalances` - Balance of every token configured for the chain, by symbol:
+ *     `{ address, decimals, balance, formatted }`
+ *   - `nativeBalance` - Native ETH balance `{ balance, formatted }`
+ *   - `positions` - Every position the vault holds, each with its `platform`
+ *   - `poolData` - Pool data of the positions, by platform ID
+ *   - `failures` - `{ platformId, error }` for platforms whose positions could not be read
+ *
+ * @throws {Error} If vaultAddress is missing or invalid
+ * @throws {Error} If provider is invalid
+ * @throws {Error} If the vault cannot be read
+ *
+ * @example
+ * const state = await getVaultState(vaultAddress, provider);
+ * console.log(`${state.name} (${state.strategyId ?? 'no strategy'}) holds ${state.positions.length} positions`);
+ * console.log(`USDC balance: ${state.tokenBalances.USDC.formatted}`);
+ *
+ * @since 1.0.0
+ */
+export async function getVaultState(vaultAddress, provider) {
+  // Validate vault address
+  if (!vaultAddress) {
+    throw new Error('Vault address parameter is required');
+  }
+  try {
+    vaultAddress = ethers.utils.getAddress(vaultAddress);
+  } catch (error) {
+    throw new Error(`Invalid vault address: ${vaultAddress}`);
+  }
+
+  // Validate provider
+  if (!(provider instanceof ethers.providers.Provider)) {
+    throw new Error('Invalid provider. Must be an ethers provider instance.');
+  }
+
+  let chainId;
+  let blockNumber;
+  try {
+    ({ chainId } = await provider.getNetwork());
+    blockNumber = await resolveBlockTag(provider, 'latest');
+  } catch (error) {
+    throw new Error(`Failed to get vault state: ${error.message}`);
+  }
+
+  const tokens = getTokensByChain(chainId);
+
+  try {
+    const [info, results] = await Promise.all([
+      getVaultInfo(vaultAddress, provider, { blockTag: blockNumber }),
+      multicall([
+        ...VAULT_READS.map(method => ({ target: vaultAddress, iface: vaultInterface, method })),
+        ...tokens.map(token => ({ target: token.addresses[chainId], iface: erc20Interface, method: 'balanceOf', args: [vaultAddress] })),
+        { target: MULTICALL3_ADDRESS, iface: multicall3Interface, method: 'getEthBalance', args: [vaultAddress] }
+      ], provider, { blockTag: blockNumber })
+    ]);
+
+    // The vault reads must succeed; a token that cannot be read is reported without a balance
+    const [executor, strategyAddress, targetTokens, targetPlatforms] = VAULT_READS.map((method, index) => {
+      if (!results[index].success) {
+        throw results[index].error;
+      }
+      return results[index].result[0];
+    });
+
+    let strategyId = null;
+    if (strategyAddress !== ethers.constants.AddressZero) {
+      try {
+        strategyId = getContractInfoByAddress(strategyAddress).contractName;
+      } catch (error) {
+        // Strategy not in the contract data
+      }
+    }
+
+    const tokenBalances = {};
+    tokens.forEach((token, index) => {
+      const { success, result } = results[VAULT_READS.length + index];
+      tokenBalances[token.symbol] = {
+        address: token.addresses[chainId],
+        decimals: token.decimals,
+        balance: success ? result[0].toString() : null,
+        formatted: success ? ethers.utils.formatUnits(result[0], token.decimals) : null
+      };
+    });
+
+    const ethResult = results[results.length - 1];
+    const nativeBalance = {
+      balance: ethResult.success ? ethResult.result[0].toString() : null,
+      formatted: ethResult.success ? ethers.utils.formatEther(ethResult.result[0]) : null
+    };
+
+    const { positions, poolData, failures } = await getVaultPositions(vaultAddress, chainId, provider, blockNumber);
+
+    return {
+      address: vaultAddress,
+      chainId,
+      blockNumber,
+      owner: info.owner,
+      name: info.name,
+      creationTime: info.creationTime,
+      executor: executor === ethers.constants.AddressZero ? null : executor,
+      strategyAddress: strategyAddress === ethers.constants.AddressZero ? null : strategyAddress,
+      strategyId,
+      targetTokens: [...targetTokens],
+      targetPlatforms: [...targetPlatforms],
+      tokenBalances,
+      nativeBalance,
+      positions,
+      poolData,
+      failures
+    };
+  } catch (error) {
+    throw new Error(`Failed to get vault state: ${error.message}`);
+  }
+}
+
+/**
+ * Get the raw principal and uncollected fee amounts of a position, by token
+ * @param {Object} position - Position from getVaultState
+ * @param {Object} poolData - The position's pool data from getVaultState
+ * @param {number} chainId - Chain ID
+ * @param {ethers.providers.Provider} provider - Ethers provider
+ * @returns {Promise<Array<{token: Object, principal: bigint, fees: bigint}>>} Amounts per pool token
+ * @private
+ */
+async function getPositionAmounts(position, poolData, chainId, provider) {
+  if (!poolData) {
+    throw new Error(`No pool data for ${position.platform} position ${position.id}`);
+  }
+
+  // Curve positions already carry their share of every coin; fees are part of it
+  if (Array.isArray(poolData.coins)) {
+    return poolData.coins.map((token, index) => ({ token, principal: BigInt(position.balances[index]), fees: 0n }));
+  }
+
+  const adapter = AdapterFactory.getAdapter(position.platform, chainId, provider);
+  const { token0, token1 } = poolData;
+  const [principal0, principal1] = await adapter.calculateTokenAmounts(position, poolData, token0, token1, chainId);
+  const [fees0, fees1] = adapter.calculateUncollectedFees(position, poolData);
+
+  return [
+    { token: token0, principal: principal0, fees: fees0 },
+    { token: token1, principal: principal1, fees: fees1 }
+  ];
+}
+
+/**
+ * Value everything a vault holds in USD
+ *
+ * Idle token and native balances, the principal of every position (see the adapters' calculateTokenAmounts) and
+ * its uncollected fees (calculateUncollectedFees) are priced with fetchTokenPrices. Native ETH is priced as WETH.
+ * Amounts come from getVaultState, so positions on platforms listed in its `failures` are not valued.
+ *
+ * @function getVaultValuation
+ * @memberof module:helpers/vaultHelpers
+ *
+ * @param {string} vaultAddress - Address of the vault
+ * @param {ethers.providers.Provider} provider - Ethers provider
+ * @param {Object} options - Valuation options
+ * @param {number} options.cacheDurationMs - Maximum age of cached prices in milliseconds (see fetchTokenPrices)
+ * @param {Object} [options.state] - State from getVaultState for this vault, to value without reading it again
+ *
+ * @returns {Promise<Object>} Valuation:
+ *   - `address`, `chainId`, `blockNumber` - Vault and the block its state was read at
+ *   - `priceSource`, `prices` - Price source ('coingecko') and the USD prices used, by symbol
+ *   - `totalUsd`, `idleUsd`, `principalUsd`, `feesUsd` - Total value and its parts
+ *   - `byToken` - Per symbol `{ idle, principal, fees, total, usd }` (formatted amounts)
+ *   - `byPosition` - Per position `{ id, platform, pool, tokenPair, tokens, principalUsd, feesUsd, usd }`, with
+ *     `tokens` as `{ symbol, principal, fees, principalUsd, feesUsd }`
+ *   - `byPlatform` - Per platform ID `{ positions, principalUsd, feesUsd, usd }`
+ *   - `failures` - Platforms whose positions could not be read (see getVaultState)
+ *
+ * @throws {Error} If parameters are invalid
+ * @throws {Error} If the vault cannot be read, a position cannot be valued or prices are unavailable
+ * @throws {Error} If a held token has no USD price, naming the token
+ *
+ * @example
+ * const valuation = await getVaultValuation(vaultAddress, provider, { cacheDurationMs: CACHE_DURATIONS['30-SECONDS'] });
+ * console.log(`Vault worth $${valuation.totalUsd.toFixed(2)} at block ${valuation.blockNumber}`);
+ *
+ * // Reinvest once the fees are worth the strategy's trigger
+ * const shouldReinvest = valuation.feesUsd >= Number(parameters.reinvestmentTrigger);
+ *
+ * @since 1.0.0
+ */
+export async function getVaultValuation(vaultAddress, provider, options = {}) {
+  // Validate options
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('Options parameter must be an object');
+  }
+  // The duration itself is validated by fetchTokenPrices
+  if (options.cacheDurationMs === undefined || options.cacheDurationMs === null) {
+    throw new Error('cacheDurationMs option is required');
+  }
+
+  let state = options.state;
+  if (state !== undefined) {
+    let address;
+    try {
+      address = ethers.utils.getAddress(vaultAddress);
+    } catch (error) {
+      throw new Error(`Invalid vault address: ${vaultAddress}`);
+    }
+    if (!state || typeof state !== 'object' || state.address !== address || !Array.isArray(state.positions)) {
+      throw new Error('State option must be a getVaultState result for this vault');
+    }
+  } else {
+    // Address and provider validation happen in getVaultState
+    state = await getVaultState(vaultAddress, provider);
+  }
+
+  const { chainId } = state;
+  const { nativeCurrency } = getChainConfig(chainId);
+
+  try {
+    // Raw idle, principal and fee amounts by symbol
+    const holdings = {};
+    const hold = (symbol, decimals) => {
+      holdings[symbol] ??= { decimals, idle: 0n, principal: 0n, fees: 0n };
+      return holdings[symbol];
+    };
+
+    Object.entries(state.tokenBalances).forEach(([symbol, { decimals, balance }]) => {
+      if (balance !== null && BigInt(balance) > 0n) {
+        hold(symbol, decimals).idle += BigInt(balance);
+      }
+    });
+    if (state.nativeBalance.balance !== null && BigInt(state.nativeBalance.balance) > 0n) {
+      hold(nativeCurrency.symbol, nativeCurrency.decimals).idle += BigInt(state.nativeBalance.balance);
+    }
+
+    const positionAmounts = await Promise.all(state.positions.map(async position => {
+      try {
+        return await getPositionAmounts(position, state.poolData[position.platform]?.[position.pool], chainId, provider);
+      } catch (error) {
+        throw new Error(`Position ${position.id} on ${position.platform}: ${error.message}`);
+      }
+    }));
+    positionAmounts.flat().forEach(({ token, principal, fees }) => {
+      const holding = hold(token.symbol, token.decimals);
+      holding.principal += principal;
+      holding.fees += fees;
+    });
+
+    // Price every held token in one request
+    const symbols = Object.keys(holdings);
+    const priceSymbols = symbols.map(symbol => NATIVE_PRICE_SYMBOLS[symbol] ?? symbol);
+
+    // Tokens the price source cannot price (such as unconfigured Curve coins) are named up front
+    const unpriced = symbols.filter((symbol, index) => {
+      try {
+        getCoingeckoId(priceSymbols[index]);
+        return false;
+      } catch (error) {
+        return true;
+      }
+    });
+    if (unpriced.length > 0) {
+      throw new Error(`No USD price for ${unpriced.join(', ')}`);
+    }
+
+    const fetched = await fetchTokenPrices([...new Set(priceSymbols)], options.cacheDurationMs);
+    const prices = Object.fromEntries(symbols.map((symbol, index) => [symbol, fetched[priceSymbols[index].toUpperCase()]]));
+
+    const toUsd = (symbol, amount) => Number(ethers.utils.formatUnits(amount, holdings[symbol].decimals)) * prices[symbol];
+
+    const byToken = {};
+    for (const [symbol, { decimals, idle, principal, fees }] of Object.entries(holdings)) {
+      const total = idle + principal + fees;
+      byToken[symbol] = {
+        idle: ethers.utils.formatUnits(idle, decimals),
+        principal: ethers.utils.formatUnits(principal, decimals),
+        fees: ethers.utils.formatUnits(fees, decimals),
+        total: ethers.utils.formatUnits(total, decimals),
+        usd: toUsd(symbol, total)
+      };
+    }
+
+    const byPlatform = {};
+    const byPosition = state.positions.map((position, index) => {
+      const tokens = positionAmounts[index].map(({ token, principal, fees }) => ({
+        symbol: token.symbol,
+        principal: ethers.utils.formatUnits(principal, token.decimals),
+        fees: ethers.utils.formatUnits(fees, token.decimals),
+        principalUsd: toUsd(token.symbol, principal),
+        feesUsd: toUsd(token.symbol, fees)
+      }));
+      const principalUsd = tokens.reduce((sum, token) => sum + token.principalUsd, 0);
+      const feesUsd = tokens.reduce((sum, token) => sum + token.feesUsd, 0);
+
+      byPlatform[position.platform] ??= { positions: 0, principalUsd: 0, feesUsd: 0, usd: 0 };
+      const platform = byPlatform[position.platform];
+      platform.positions += 1;
+      platform.principalUsd += principalUsd;
+      platform.feesUsd += feesUsd;
+      platform.usd += principalUsd + feesUsd;
+
+      return {
+        id: position.id,
+        platform: position.platform,
+        pool: position.pool,
+        tokenPair: position.tokenPair,
+        tokens,
+        principalUsd,
+        feesUsd,
+        usd: principalUsd + feesUsd
+      };
+    });
+
+    const idleUsd = Object.keys(holdings).reduce((sum, symbol) => sum + toUsd(symbol, holdings[symbol].idle), 0);
+    const principalUsd = byPosition.reduce((sum, position) => sum + position.principalUsd, 0);
+    const feesUsd = byPosition.reduce((sum, position) => sum + position.feesUsd, 0);
+
+    return {
+      address: state.address,
+      chainId,
+      blockNumber: state.blockNumber,
+      priceSource: PRICE_SOURCE,
+      prices,
+      totalUsd: idleUsd + principalUsd + feesUsd,
+      idleUsd,
+      principalUsd,
+      feesUsd,
+      byToken,
+      byPosition,
+      byPlatform,
+      failures: state.failures
+    };
+  } catch (error) {
+    throw new Error(`Failed to value vault: ${error.message}`);
+  }
+}
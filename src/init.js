@@ -5,6 +5,8 @@
 
 import { configureCoingecko } from './services/coingecko.js';
 import { configureChainHelpers } from './helpers/chainHelpers.js';
+import { configureMulticall } from './blockchain/multicall.js';
+import { configurePoolStateCache } from './blockchain/poolStateCache.js';
 
 /**
  * Initialize fum_library with configuration
@@ -15,6 +17,13 @@ import { configureChainHelpers } from './helpers/chainHelpers.js';
  * @param {Object} config - Configuration options
  * @param {string} [config.coingeckoApiKey] - CoinGecko API key for price data
  * @param {string} [config.alchemyApiKey] - Alchemy API key for Arbitrum RPC URLs
+ * @param {Object} [config.multicall] - Batched read options (see configureMulticall)
+ * @param {boolean} [config.multicall.enabled] - Batch reads through Multicall3 (default true)
+ * @param {number} [config.multicall.batchSize] - Maximum reads per Multicall3 call (default 100)
+ * @param {Object} [config.poolStateCache] - Pool state cache options (see configurePoolStateCache)
+ * @param {boolean} [config.poolStateCache.enabled] - Cache pool reads (default true)
+ * @param {number} [config.poolStateCache.ttlMs] - How long a pool's state at a block is kept (default 60000)
+ * @param {Object} [config.poolStateCache.storage] - Map-like storage (default an in-memory Map)
  *
  * @example
  * // In a Next.js app (_app.js)
@@ -31,13 +40,20 @@ import { configureChainHelpers } from './helpers/chainHelpers.js';
  *
  * initFumLibrary({
  *   coingeckoApiKey: process.env.COINGECKO_API_KEY,
+ *   multicall: { batchSize: 50 },
  * });
  */
-export function initFumLibrary({ coingeckoApiKey, alchemyApiKey } = {}) {
+export function initFumLibrary({ coingeckoApiKey, alchemyApiKey, multicall, poolStateCache } = {}) {
   if (coingeckoApiKey) {
     configureCoingecko({ apiKey: coingeckoApiKey });
   }
   if (alchemyApiKey) {
     configureChainHelpers({ alchemyApiKey });
   }
+  if (multicall) {
+    configureMulticall(multicall);
+  }
+  if (poolStateCache) {
+    configurePoolStateCache(poolStateCache);
+  }
 }
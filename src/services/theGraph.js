@@ -105,6 +105,25 @@ export async function getPoolTVLAverage(poolAddress, chainId, platformId, days,
     historicalData = data.liquidityPoolDailySnapshots;
     tvlField = 'totalValueLockedUSD';
     
+  } else if (subgraphConfig.queryType === 'uniswapV2') {
+    query = `
+      query GetPairDayData($poolId: String!, $days: Int!) {
+        pairDayDatas(
+          where: {pairAddress: $poolId}
+          orderBy: date
+          orderDirection: desc
+          first: $days
+        ) {
+          date
+          reserveUSD
+        }
+      }
+    `;
+
+    const data = await executeQuery(apiKey, subgraphConfig.id, query, { poolId, days });
+    historicalData = data.pairDayDatas;
+    tvlField = 'reserveUSD';
+
   } else { // uniswap
     query = `
       query GetPoolDayData($poolId: String!, $days: Int!) {
@@ -184,6 +203,14 @@ export async function getPoolAge(poolAddress, chainId, platformId, apiKey) {
         }
       }
     `;
+  } else if (subgraphConfig.queryType === 'uniswapV2') {
+    query = `
+      query GetPairCreationTime($poolId: String!) {
+        pair(id: $poolId) {
+          createdAtTimestamp
+        }
+      }
+    `;
   } else { // uniswap
     query = `
       query GetPoolCreationTime($poolId: String!) {
@@ -204,6 +231,11 @@ export async function getPoolAge(poolAddress, chainId, platformId, apiKey) {
       throw new Error(`Pool ${poolAddress} not found`);
     }
     createdTimestamp = data.liquidityPool.createdTimestamp;
+  } else if (subgraphConfig.queryType === 'uniswapV2') {
+    if (!data.pair) {
+      throw new Error(`Pool ${poolAddress} not found`);
+    }
+    createdTimestamp = data.pair.createdAtTimestamp;
   } else {
     if (!data.pool) {
       throw new Error(`Pool ${poolAddress} not found`);
@@ -0,0 +1,323 @@
+/**
+ * @module testing/adapterConformance
+ * @description Conformance suite for PlatformAdapter implementations
+ *
+ * Registers vitest tests that check an adapter against the contract the rest of
+ * the library relies on: construction and capability manifest, input validation,
+ * return shapes, and round-trip invariants between its own methods. Tests run
+ * against a fixture pool, so no blockchain connection is needed.
+ *
+ * Which invariants apply depends on the adapter's capabilities manifest: tick
+ * checks for `concentratedLiquidity` adapters, full-range checks for `fullRange`
+ * adapters.
+ *
+ * Requires vitest in the consuming project.
+ *
+ * @example
+ * // test/MyDexAdapter.conformance.test.js
+ * import { runAdapterConformanceSuite } from 'fum_library/test/adapter-conformance';
+ * import MyDexAdapter from '../src/MyDexAdapter.js';
+ *
+ * runAdapterConformanceSuite(MyDexAdapter, {
+ *   chainId: 42161,
+ *   token0Data: { address: WETH, decimals: 18 },
+ *   token1Data: { address: USDC, decimals: 6 },
+ *   poolData,
+ *   position: { liquidity: '1000000000000', tickLower: -196800, tickUpper: -195600 },
+ *   addLiquidity: { token0Amount: '1000000000000000000', token1Amount: '3000000000' }
+ * });
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import { ethers } from 'ethers';
+import PlatformAdapter from '../adapters/PlatformAdapter.js';
+import AdapterFactory from '../adapters/AdapterFactory.js';
+import { getPlatformTickSpacing } from '../helpers/platformHelpers.js';
+
+/**
+ * Validate the fixture before any tests are registered
+ * @param {class} AdapterClass - Adapter class under test
+ * @param {Object} fixture - Conformance fixture
+ * @throws {Error} If the fixture is incomplete
+ * @private
+ */
+function validateFixture(AdapterClass, fixture) {
+  if (typeof AdapterClass !== 'function') {
+    throw new Error("AdapterClass must be an adapter class");
+  }
+
+  if (!fixture || typeof fixture !== 'object') {
+    throw new Error("Conformance fixture is required");
+  }
+
+  if (!Number.isInteger(fixture.chainId) || fixture.chainId <= 0) {
+    throw new Error("fixture.chainId must be a positive integer");
+  }
+
+  for (const name of ['token0Data', 'token1Data']) {
+    const token = fixture[name];
+    if (!token || !ethers.utils.isAddress(token.address) || !Number.isInteger(token.decimals)) {
+      throw new Error(`fixture.${name} must have an address and integer decimals`);
+    }
+  }
+
+  if (fixture.token0Data.address.toLowerCase() >= fixture.token1Data.address.toLowerCase()) {
+    throw new Error("fixture.token0Data must sort before fixture.token1Data (pool token order)");
+  }
+
+  if (!fixture.poolData || typeof fixture.poolData !== 'object') {
+    throw new Error("fixture.poolData is required");
+  }
+
+  if (!fixture.position || typeof fixture.position.liquidity !== 'string') {
+    throw new Error("fixture.position must have a string liquidity");
+  }
+}
+
+/**
+ * Convert an adapter's getAddLiquidityQuote result to liquidity and pool-order amounts
+ *
+ * Tick-based adapters return an SDK Position, full-range adapters return bigints.
+ *
+ * @param {Object} quote - getAddLiquidityQuote result
+ * @returns {{liquidity: bigint, amount0: bigint, amount1: bigint}} Normalized quote
+ * @private
+ */
+function normalizeLiquidityQuote(quote) {
+  if (quote.position) {
+    return {
+      liquidity: BigInt(quote.position.liquidity.toString()),
+      amount0: BigInt(quote.position.amount0.quotient.toString()),
+      amount1: BigInt(quote.position.amount1.quotient.toString())
+    };
+  }
+
+  return {
+    liquidity: BigInt(quote.liquidity),
+    amount0: BigInt(quote.amount0),
+    amount1: BigInt(quote.amount1)
+  };
+}
+
+/**
+ * Register the conformance suite for an adapter class
+ *
+ * @param {class} AdapterClass - Adapter class extending PlatformAdapter, constructed as `new AdapterClass(chainId, provider)`
+ * @param {Object} fixture - Fixture pool the checks run against
+ * @param {number} fixture.chainId - Chain the adapter is configured for
+ * @param {Object} [fixture.provider] - Ethers provider on that chain (defaults to an unconnected StaticJsonRpcProvider; the suite makes no RPC calls)
+ * @param {Object} fixture.token0Data - Pool token0 with address and decimals
+ * @param {Object} fixture.token1Data - Pool token1 with address and decimals (must sort after token0)
+ * @param {Object} fixture.poolData - Pool data in the shape the adapter's own getPoolData returns
+ * @param {Object} fixture.position - Position in the pool: `liquidity`, plus `tickLower`/`tickUpper` for tick-based adapters
+ * @param {Object} [fixture.addLiquidity] - `{ token0Amount, token1Amount }` to quote; the quote invariant is skipped without it
+ * @param {number} [fixture.tickSpacing] - Pool tick spacing (defaults to poolData.tickSpacing, then the platform config)
+ * @throws {Error} If the adapter class or fixture is invalid
+ */
+export function runAdapterConformanceSuite(AdapterClass, fixture) {
+  validateFixture(AdapterClass, fixture);
+
+  const { chainId, token0Data, token1Data, poolData, position, addLiquidity } = fixture;
+  const provider = fixture.provider
+    || new ethers.providers.StaticJsonRpcProvider('http://localhost:8545', { chainId, name: 'conformance' });
+
+  const capabilities = AdapterClass.capabilities || {};
+  const tickBased = capabilities.concentratedLiquidity === true;
+  const canQuote = addLiquidity && typeof AdapterClass.prototype.getAddLiquidityQuote === 'function';
+
+  describe(`${AdapterClass.name} - PlatformAdapter conformance`, () => {
+    let adapter;
+
+    beforeAll(() => {
+      adapter = new AdapterClass(chainId, provider);
+    });
+
+    describe('Construction', () => {
+      it('should extend PlatformAdapter and identify its platform', () => {
+        expect(adapter).toBeInstanceOf(PlatformAdapter);
+        expect(adapter.chainId).toBe(chainId);
+        expect(typeof adapter.platformId).toBe('string');
+        expect(adapter.platformId.length).toBeGreaterThan(0);
+        expect(typeof adapter.platformName).toBe('string');
+        expect(adapter.platformName.length).toBeGreaterThan(0);
+      });
+
+      it('should reject invalid chain IDs', () => {
+        for (const invalidChainId of [null, undefined, 0, '42161', NaN]) {
+          expect(() => new AdapterClass(invalidChainId, provider)).toThrow();
+        }
+      });
+
+      it('should expose its ABIs and swap event signature', async () => {
+        expect(Array.isArray(await adapter.getPoolABI())).toBe(true);
+        expect(Array.isArray(await adapter.getPositionManagerABI())).toBe(true);
+        expect(adapter.getSwapEventSignature()).toMatch(/^\w+\([\w,]*\)$/);
+      });
+    });
+
+    describe('Capabilities manifest', () => {
+      it('should declare a manifest that matches the platform config', () => {
+        expect(() => AdapterFactory.validateCapabilities(adapter.platformId, AdapterClass)).not.toThrow();
+      });
+
+      it('should declare exactly one liquidity model', () => {
+        expect(Boolean(capabilities.concentratedLiquidity) !== Boolean(capabilities.fullRange)).toBe(true);
+      });
+    });
+
+    describe('calculateTokenAmounts', () => {
+      it('should validate the position', async () => {
+        await expect(adapter.calculateTokenAmounts(null, poolData, token0Data, token1Data))
+          .rejects.toThrow('position parameter is required');
+        await expect(adapter.calculateTokenAmounts({ ...position, liquidity: 1000 }, poolData, token0Data, token1Data))
+          .rejects.toThrow('position.liquidity must be a string');
+        for (const liquidity of ['-1', '0x10', '1.5', '']) {
+          await expect(adapter.calculateTokenAmounts({ ...position, liquidity }, poolData, token0Data, token1Data))
+            .rejects.toThrow();
+        }
+      });
+
+      it('should return zero amounts for zero liquidity', async () => {
+        expect(await adapter.calculateTokenAmounts({ ...position, liquidity: '0' }, poolData, token0Data, token1Data))
+          .toEqual([0n, 0n]);
+      });
+
+      it('should return two non-negative bigints', async () => {
+        const amounts = await adapter.calculateTokenAmounts(position, poolData, token0Data, token1Data);
+
+        expect(amounts).toHaveLength(2);
+        amounts.forEach(amount => {
+          expect(typeof amount).toBe('bigint');
+          expect(amount >= 0n).toBe(true);
+        });
+      });
+
+      it('should not decrease when liquidity increases', async () => {
+        const [amount0, amount1] = await adapter.calculateTokenAmounts(position, poolData, token0Data, token1Data);
+        const half = (BigInt(position.liquidity) / 2n).toString();
+        const [half0, half1] = await adapter.calculateTokenAmounts({ ...position, liquidity: half }, poolData, token0Data, token1Data);
+
+        expect(half0 <= amount0).toBe(true);
+        expect(half1 <= amount1).toBe(true);
+      });
+    });
+
+    describe.runIf(canQuote)('getAddLiquidityQuote', () => {
+      it('should quote no more than the requested amounts', async () => {
+        const quote = normalizeLiquidityQuote(await adapter.getAddLiquidityQuote({
+          position, ...addLiquidity, provider, poolData, token0Data, token1Data
+        }));
+
+        expect(quote.liquidity > 0n).toBe(true);
+        expect(quote.amount0 <= BigInt(addLiquidity.token0Amount)).toBe(true);
+        expect(quote.amount1 <= BigInt(addLiquidity.token1Amount)).toBe(true);
+      });
+
+      it('should agree with calculateTokenAmounts for the quoted liquidity', async () => {
+        const quote = normalizeLiquidityQuote(await adapter.getAddLiquidityQuote({
+          position, ...addLiquidity, provider, poolData, token0Data, token1Data
+        }));
+        const quotedPosition = { ...position, liquidity: quote.liquidity.toString() };
+
+        const [amount0, amount1] = await adapter.calculateTokenAmounts(quotedPosition, poolData, token0Data, token1Data);
+        // Rounding tolerance: what one unit of liquidity is worth, plus one wei
+        const [unit0, unit1] = await adapter.calculateTokenAmounts({ ...position, liquidity: '1' }, poolData, token0Data, token1Data);
+
+        expect(amount0 <= quote.amount0).toBe(true);
+        expect(amount1 <= quote.amount1).toBe(true);
+        expect(quote.amount0 - amount0 <= unit0 + 1n).toBe(true);
+        expect(quote.amount1 - amount1 <= unit1 + 1n).toBe(true);
+      });
+    });
+
+    describe.runIf(tickBased)('Tick invariants', () => {
+      let tickSpacing;
+
+      beforeAll(() => {
+        tickSpacing = fixture.tickSpacing ?? poolData.tickSpacing ?? getPlatformTickSpacing(adapter.platformId, poolData.fee);
+      });
+
+      it('should validate tick and price inputs', () => {
+        expect(() => adapter.tickToPrice(NaN, token0Data, token1Data)).toThrow('Invalid tick value');
+        expect(() => adapter.tickToPrice(poolData.tick, null, token1Data)).toThrow('Missing required token information');
+        expect(() => adapter.tickToPrice(poolData.tick, token0Data, token0Data)).toThrow('Base and quote token addresses cannot be the same');
+        for (const price of [0, -1, Infinity, NaN]) {
+          expect(() => adapter.priceToTick(price, token0Data, token1Data)).toThrow('Invalid price value');
+        }
+        expect(() => adapter.calculatePriceFromSqrtPrice(1, token0Data, token1Data)).toThrow('sqrtPriceX96 must be a string');
+        expect(() => adapter.calculatePriceFromSqrtPrice('0', token0Data, token1Data)).toThrow('Invalid sqrtPriceX96');
+      });
+
+      it('should invert tickToPrice with priceToTick within one tick spacing', () => {
+        for (const tick of [poolData.tick, position.tickLower, position.tickUpper]) {
+          for (const [base, quote] of [[token0Data, token1Data], [token1Data, token0Data]]) {
+            const price = Number(adapter.tickToPrice(tick, base, quote).toSignificant(15));
+            const roundTrip = adapter.priceToTick(price, base, quote);
+
+            expect(Math.abs(roundTrip - tick)).toBeLessThanOrEqual(tickSpacing);
+          }
+        }
+      });
+
+      it('should price the pool sqrtPriceX96 at the pool tick', () => {
+        const fromSqrtPrice = adapter.calculatePriceFromSqrtPrice(poolData.sqrtPriceX96, token0Data, token1Data);
+        const fromTick = adapter.tickToPrice(poolData.tick, token0Data, token1Data);
+
+        expect(fromSqrtPrice.toSignificant(12)).toBe(fromTick.toSignificant(12));
+      });
+
+      it('should report range membership from the position ticks', () => {
+        const { tickLower, tickUpper } = position;
+
+        expect(adapter.isPositionInRange(poolData.tick, tickLower, tickUpper))
+          .toBe(poolData.tick >= tickLower && poolData.tick <= tickUpper);
+        expect(adapter.isPositionInRange(tickLower - tickSpacing, tickLower, tickUpper)).toBe(false);
+        expect(adapter.isPositionInRange(tickUpper + tickSpacing, tickLower, tickUpper)).toBe(false);
+        expect(() => adapter.isPositionInRange(poolData.tick, tickUpper, tickLower)).toThrow('Invalid tick range');
+      });
+
+      it('should build percentage ranges aligned to tick spacing around the current tick', () => {
+        const { tickLower, tickUpper } = adapter.calculateTickRangeFromPercentages(poolData.tick, 5, 5, poolData.fee, tickSpacing);
+
+        expect(Number.isInteger(tickLower / tickSpacing)).toBe(true);
+        expect(Number.isInteger(tickUpper / tickSpacing)).toBe(true);
+        expect(tickLower).toBeLessThan(poolData.tick);
+        expect(tickUpper).toBeGreaterThan(poolData.tick);
+      });
+
+      it('should hold only token1 below the current price and only token0 above it', async () => {
+        const base = Math.floor(poolData.tick / tickSpacing) * tickSpacing;
+        const belowPrice = { ...position, tickLower: base - 20 * tickSpacing, tickUpper: base - 10 * tickSpacing };
+        const abovePrice = { ...position, tickLower: base + 11 * tickSpacing, tickUpper: base + 21 * tickSpacing };
+
+        const [below0, below1] = await adapter.calculateTokenAmounts(belowPrice, poolData, token0Data, token1Data);
+        const [above0, above1] = await adapter.calculateTokenAmounts(abovePrice, poolData, token0Data, token1Data);
+
+        expect(below0).toBe(0n);
+        expect(below1 > 0n).toBe(true);
+        expect(above0 > 0n).toBe(true);
+        expect(above1).toBe(0n);
+      });
+    });
+
+    describe.runIf(!tickBased)('Full-range invariants', () => {
+      it('should always report positions in range', () => {
+        expect(adapter.isPositionInRange()).toBe(true);
+        expect(adapter.isPositionInRange(position, poolData)).toBe(true);
+      });
+
+      it('should report no separately collectable fees', () => {
+        expect(adapter.calculateUncollectedFees(position, poolData)).toEqual([0n, 0n]);
+      });
+
+      it('should reject tick-based methods with an unsupported capability error', async () => {
+        expect(() => adapter.tickToPrice(0, token0Data, token1Data)).toThrow('Unsupported capability');
+        expect(() => adapter.priceToTick(1, token0Data, token1Data)).toThrow('Unsupported capability');
+        expect(() => adapter.calculatePriceFromSqrtPrice('1', token0Data, token1Data)).toThrow('Unsupported capability');
+        expect(() => adapter.calculateTickRangeFromPercentages(0, 5, 5)).toThrow('Unsupported capability');
+        await expect(adapter.getCurrentTick(ethers.constants.AddressZero, provider)).rejects.toThrow('Unsupported capability');
+        await expect(adapter.generateClaimFeesData({})).rejects.toThrow('Unsupported capability');
+      });
+    });
+  });
+}
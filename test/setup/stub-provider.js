@@ -0,0 +1,112 @@
+/**
+ * Stubbed Provider Reads
+ *
+ * Serves eth_call reads from a stubbed provider.call, so unit tests need no
+ * blockchain connection. Multicall3 aggregate3 batches are unwrapped and each
+ * inner read is served like a single read.
+ */
+
+import { vi } from 'vitest';
+import { ethers } from 'ethers';
+import { MULTICALL3_ADDRESS } from '../../src/blockchain/multicall.js';
+
+/**
+ * Multicall3 functions the library calls: aggregate3 and getEthBalance
+ * @type {ethers.utils.Interface}
+ */
+export const multicall3Interface = new ethers.utils.Interface([
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)",
+  "function getEthBalance(address addr) view returns (uint256 balance)"
+]);
+
+const AGGREGATE3_SELECTOR = multicall3Interface.getSighash('aggregate3');
+
+/**
+ * Latest block number reported by stubbed providers
+ * @type {number}
+ */
+export const BLOCK_NUMBER = 250000000;
+
+/**
+ * Create a provider whose reads are stubbed
+ *
+ * The network is fixed, so the adapters' chain checks make no request.
+ *
+ * @param {number} [chainId=42161] - Chain ID the provider reports
+ * @returns {ethers.providers.StaticJsonRpcProvider} Provider to pass to serveCalls or stubCalls
+ */
+export function createStubProvider(chainId = 42161) {
+  return new ethers.providers.StaticJsonRpcProvider('http://localhost:8545', ethers.providers.getNetwork(chainId));
+}
+
+/**
+ * Get the block tags a stubbed provider was read at
+ * @param {Object} call - Call spy returned by serveCalls or stubCalls
+ * @returns {Set} Distinct block tags of the reads
+ */
+export function readBlockTags(call) {
+  return new Set(call.mock.calls.map(([, blockTag]) => blockTag));
+}
+
+/**
+ * Serve contract reads with a function of the call target and data
+ *
+ * A read inside an aggregate3 batch whose serve function throws is reported as reverted;
+ * a single read rejects with the thrown error.
+ *
+ * @param {Object} provider - Provider whose call() is stubbed
+ * @param {Function} serve - `(target, data, batched) => returnData`
+ * @param {Object} [options] - Stub options
+ * @param {number} [options.blockNumber] - Latest block number to return from getBlockNumber()
+ * @returns {Object} The call spy
+ */
+export function serveCalls(provider, serve, { blockNumber } = {}) {
+  if (blockNumber !== undefined) {
+    vi.spyOn(provider, 'getBlockNumber').mockResolvedValue(blockNumber);
+  }
+
+  return vi.spyOn(provider, 'call').mockImplementation(async (tx) => {
+    if (tx.to === MULTICALL3_ADDRESS && tx.data.startsWith(AGGREGATE3_SELECTOR)) {
+      const [calls] = multicall3Interface.decodeFunctionData('aggregate3', tx.data);
+      return multicall3Interface.encodeFunctionResult('aggregate3', [
+        calls.map(({ target, callData }) => {
+          try {
+            return { success: true, returnData: serve(target, callData, true) };
+          } catch (error) {
+            return { success: false, returnData: '0x' };
+          }
+        })
+      ]);
+    }
+    return serve(ethers.utils.getAddress(tx.to), tx.data, false);
+  });
+}
+
+/**
+ * Serve contract reads from a table of function name -> return values
+ *
+ * A value can be a function of the decoded arguments and the (checksummed) call target;
+ * if it throws, the read reverts.
+ *
+ * @param {Object} provider - Provider whose call() is stubbed
+ * @param {ethers.utils.Interface[]} interfaces - Interfaces used to resolve selectors
+ * @param {Object} results - Return values (or functions of (args, target)) keyed by function name
+ * @param {Object} [options] - Stub options, as for serveCalls
+ * @returns {Object} The call spy
+ */
+export function stubCalls(provider, interfaces, results, options) {
+  return serveCalls(provider, (target, data) => {
+    const selector = data.slice(0, 10);
+    for (const iface of interfaces) {
+      const fragment = Object.values(iface.functions).find(fn => iface.getSighash(fn) === selector);
+      if (fragment) {
+        const value = results[fragment.name];
+        if (value === undefined) {
+          throw new Error(`Unexpected call: ${fragment.name}`);
+        }
+        return iface.encodeFunctionResult(fragment, typeof value === 'function' ? value(iface.decodeFunctionData(fragment, data), target) : value);
+      }
+    }
+    throw new Error(`Unknown selector: ${selector}`);
+  }, options);
+}
@@ -6,8 +6,26 @@
 
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { ethers } from 'ethers';
-import AdapterFactory from '../../../src/adapters/AdapterFactory.js';
+import AdapterFactory, { ADAPTER_CAPABILITIES } from '../../../src/adapters/AdapterFactory.js';
+import PlatformAdapter from '../../../src/adapters/PlatformAdapter.js';
 import UniswapV3Adapter from '../../../src/adapters/UniswapV3Adapter.js';
+import UniswapV4Adapter from '../../../src/adapters/UniswapV4Adapter.js';
+import SushiSwapV3Adapter from '../../../src/adapters/SushiSwapV3Adapter.js';
+import PancakeSwapV3Adapter from '../../../src/adapters/PancakeSwapV3Adapter.js';
+import CamelotV3Adapter from '../../../src/adapters/CamelotV3Adapter.js';
+import UniswapV2Adapter from '../../../src/adapters/UniswapV2Adapter.js';
+import SushiSwapV2Adapter from '../../../src/adapters/SushiSwapV2Adapter.js';
+import CurveAdapter from '../../../src/adapters/CurveAdapter.js';
+
+// Plugin adapter with a capabilities manifest for registerAdapter tests
+class PluginAdapter extends PlatformAdapter {
+  static capabilities = { fullRange: true, exactOutput: true };
+
+  constructor(chainId, provider) {
+    super(chainId, 'plugin', 'Plugin Platform');
+    this.provider = provider;
+  }
+}
 
 // Create a mock provider for testing
 const mockProvider = new ethers.providers.JsonRpcProvider('http://localhost:8545');
@@ -43,22 +61,42 @@ describe('AdapterFactory - Unit Tests', () => {
         expect(result).toHaveProperty('failures');
         expect(Array.isArray(result.adapters)).toBe(true);
         expect(Array.isArray(result.failures)).toBe(true);
-        expect(result.adapters.length).toBe(1);
+        expect(result.adapters.length).toBe(8);
         expect(result.failures.length).toBe(0);
         expect(result.adapters[0]).toBeInstanceOf(UniswapV3Adapter);
         expect(result.adapters[0].chainId).toBe(42161);
         expect(result.adapters[0].platformId).toBe('uniswapV3');
         expect(result.adapters[0].provider).toBe(mockProvider);
+        expect(result.adapters[1]).toBeInstanceOf(UniswapV4Adapter);
+        expect(result.adapters[1].chainId).toBe(42161);
+        expect(result.adapters[1].platformId).toBe('uniswapV4');
+        expect(result.adapters[1].provider).toBe(mockProvider);
+        expect(result.adapters[2]).toBeInstanceOf(SushiSwapV3Adapter);
+        expect(result.adapters[2].platformId).toBe('sushiswapV3');
+        expect(result.adapters[3]).toBeInstanceOf(PancakeSwapV3Adapter);
+        expect(result.adapters[3].platformId).toBe('pancakeswapV3');
+        expect(result.adapters[4]).toBeInstanceOf(CamelotV3Adapter);
+        expect(result.adapters[4].platformId).toBe('camelotV3');
+        expect(result.adapters[5]).toBeInstanceOf(UniswapV2Adapter);
+        expect(result.adapters[5].platformId).toBe('uniswapV2');
+        expect(result.adapters[6]).toBeInstanceOf(SushiSwapV2Adapter);
+        expect(result.adapters[6].platformId).toBe('sushiswapV2');
+        expect(result.adapters[7]).toBeInstanceOf(CurveAdapter);
+        expect(result.adapters[7].platformId).toBe('curve');
       });
 
       it('should return adapters for Ethereum mainnet (1)', () => {
         const result = AdapterFactory.getAdaptersForChain(1, mockProvider);
 
         expect(result).toBeDefined();
-        expect(result.adapters.length).toBe(1);
+        expect(result.adapters.length).toBe(5);
         expect(result.failures.length).toBe(0);
         expect(result.adapters[0]).toBeInstanceOf(UniswapV3Adapter);
         expect(result.adapters[0].chainId).toBe(1);
+        expect(result.adapters[1]).toBeInstanceOf(UniswapV4Adapter);
+        expect(result.adapters[2]).toBeInstanceOf(PancakeSwapV3Adapter);
+        expect(result.adapters[3]).toBeInstanceOf(UniswapV2Adapter);
+        expect(result.adapters[4]).toBeInstanceOf(CurveAdapter);
         expect(result.adapters[0].provider).toBe(mockProvider);
       });
 
@@ -66,10 +104,17 @@ describe('AdapterFactory - Unit Tests', () => {
         const result = AdapterFactory.getAdaptersForChain(1337, mockProvider);
 
         expect(result).toBeDefined();
-        expect(result.adapters.length).toBe(1);
+        expect(result.adapters.length).toBe(8);
         expect(result.failures.length).toBe(0);
         expect(result.adapters[0]).toBeInstanceOf(UniswapV3Adapter);
         expect(result.adapters[0].chainId).toBe(1337);
+        expect(result.adapters[1]).toBeInstanceOf(UniswapV4Adapter);
+        expect(result.adapters[2]).toBeInstanceOf(SushiSwapV3Adapter);
+        expect(result.adapters[3]).toBeInstanceOf(PancakeSwapV3Adapter);
+        expect(result.adapters[4]).toBeInstanceOf(CamelotV3Adapter);
+        expect(result.adapters[5]).toBeInstanceOf(UniswapV2Adapter);
+        expect(result.adapters[6]).toBeInstanceOf(SushiSwapV2Adapter);
+        expect(result.adapters[7]).toBeInstanceOf(CurveAdapter);
         expect(result.adapters[0].provider).toBe(mockProvider);
       });
 
@@ -86,9 +131,10 @@ describe('AdapterFactory - Unit Tests', () => {
         // Test with a chain that has uniswapV3
         const result = AdapterFactory.getAdaptersForChain(42161, mockProvider);
 
-        // Should still get the working uniswapV3 adapter
-        expect(result.adapters.length).toBe(1);
+        // Should still get the working adapters
+        expect(result.adapters.length).toBe(8);
         expect(result.adapters[0]).toBeInstanceOf(UniswapV3Adapter);
+        expect(result.adapters[1]).toBeInstanceOf(UniswapV4Adapter);
 
         // No failures because failing adapter isn't configured for this chain
         expect(result.failures.length).toBe(0);
@@ -432,6 +478,155 @@ describe('AdapterFactory - Unit Tests', () => {
     });
   });
 
+  describe('Capability filtering', () => {
+    it('should only return adapters declaring every required capability', () => {
+      const fullRange = AdapterFactory.getAdaptersForChain(42161, mockProvider, { capabilities: ['fullRange'] });
+      expect(fullRange.adapters.map(adapter => adapter.platformId)).toEqual(['uniswapV2', 'sushiswapV2', 'curve']);
+
+      const stable = AdapterFactory.getAdaptersForChain(42161, mockProvider, { capabilities: ['fullRange', 'dynamicFees'] });
+      expect(stable.adapters.map(adapter => adapter.platformId)).toEqual(['curve']);
+
+      const permit2 = AdapterFactory.getAdaptersForChain(1, mockProvider, { capabilities: ['permit2Swaps'] });
+      expect(permit2.adapters.map(adapter => adapter.platformId)).toEqual(['uniswapV3', 'uniswapV4']);
+    });
+
+    it('should return every adapter when no capabilities are required', () => {
+      expect(AdapterFactory.getAdaptersForChain(42161, mockProvider, { capabilities: [] }).adapters.length).toBe(8);
+      expect(AdapterFactory.getAdaptersForChain(42161, mockProvider, {}).adapters.length).toBe(8);
+    });
+
+    it('should reject unknown or malformed capabilities', () => {
+      expect(() => AdapterFactory.getAdaptersForChain(42161, mockProvider, { capabilities: ['teleport'] }))
+        .toThrow('Unknown capability: teleport');
+      expect(() => AdapterFactory.getAdaptersForChain(42161, mockProvider, { capabilities: 'fullRange' }))
+        .toThrow('capabilities must be an array of capability names');
+    });
+  });
+
+  describe('getAdapterCapabilities', () => {
+    it('should return the full manifest with undeclared capabilities set to false', () => {
+      const capabilities = AdapterFactory.getAdapterCapabilities('curve');
+
+      expect(Object.keys(capabilities)).toEqual([...ADAPTER_CAPABILITIES]);
+      expect(capabilities).toMatchObject({ fullRange: true, stableSwap: true, dynamicFees: true, concentratedLiquidity: false, exactOutput: false });
+      expect(AdapterFactory.getAdapterCapabilities('camelotV3')).toMatchObject({ concentratedLiquidity: true, multipleFeeTiers: false, dynamicFees: true });
+      expect(AdapterFactory.getAdapterCapabilities('uniswapV4')).toMatchObject({ hooks: true, nativeCurrency: true, permit2Swaps: true });
+    });
+
+    it('should throw for a platform without an adapter', () => {
+      expect(() => AdapterFactory.getAdapterCapabilities('nonexistent')).toThrow('No adapter available for platform: nonexistent');
+    });
+  });
+
+  describe('registerAdapter', () => {
+    const builtInAdapters = {
+      uniswapV3: UniswapV3Adapter,
+      uniswapV4: UniswapV4Adapter,
+      sushiswapV3: SushiSwapV3Adapter,
+      pancakeswapV3: PancakeSwapV3Adapter,
+      camelotV3: CamelotV3Adapter,
+      uniswapV2: UniswapV2Adapter,
+      sushiswapV2: SushiSwapV2Adapter,
+      curve: CurveAdapter
+    };
+
+    it('should accept every built-in manifest against the platform config', () => {
+      Object.entries(builtInAdapters).forEach(([platformId, AdapterClass]) => {
+        expect(() => AdapterFactory.registerAdapter(platformId, AdapterClass, { replace: true })).not.toThrow();
+      });
+    });
+
+    it('should register a plugin adapter and make it available', () => {
+      AdapterFactory.registerAdapter('plugin', PluginAdapter);
+
+      expect(AdapterFactory.hasAdapter('plugin')).toBe(true);
+      expect(AdapterFactory.getAdapter('plugin', 42161, mockProvider)).toBeInstanceOf(PluginAdapter);
+      expect(AdapterFactory.getAdapterCapabilities('plugin')).toMatchObject({ fullRange: true, exactOutput: true, hooks: false });
+    });
+
+    it('should return a plugin registered for a chain from a capability query', () => {
+      AdapterFactory.registerAdapter('plugin', PluginAdapter, { replace: true, chainIds: [42161] });
+
+      try {
+        const fullRange = AdapterFactory.getAdaptersForChain(42161, mockProvider, { capabilities: ['fullRange', 'exactOutput'] });
+        expect(fullRange.adapters.some(adapter => adapter instanceof PluginAdapter)).toBe(true);
+
+        const hooks = AdapterFactory.getAdaptersForChain(42161, mockProvider, { capabilities: ['hooks'] });
+        expect(hooks.adapters.some(adapter => adapter instanceof PluginAdapter)).toBe(false);
+
+        const otherChain = AdapterFactory.getAdaptersForChain(1, mockProvider, { capabilities: ['fullRange'] });
+        expect(otherChain.adapters.some(adapter => adapter instanceof PluginAdapter)).toBe(false);
+      } finally {
+        // Re-registering without chains drops the plugin from chain queries
+        AdapterFactory.registerAdapter('plugin', PluginAdapter, { replace: true });
+      }
+
+      const cleared = AdapterFactory.getAdaptersForChain(42161, mockProvider);
+      expect(cleared.adapters.some(adapter => adapter instanceof PluginAdapter)).toBe(false);
+    });
+
+    it('should reject invalid chain lists', () => {
+      expect(() => AdapterFactory.registerAdapter('plugin', PluginAdapter, { replace: true, chainIds: 42161 }))
+        .toThrow('chainIds must be an array of chain IDs');
+      expect(() => AdapterFactory.registerAdapter('plugin', PluginAdapter, { replace: true, chainIds: ['42161'] }))
+        .toThrow('chainIds must be an array of chain IDs');
+    });
+
+    it('should refuse to replace a registered adapter unless asked to', () => {
+      expect(() => AdapterFactory.registerAdapter('curve', PluginAdapter))
+        .toThrow('An adapter is already registered for platform: curve');
+      expect(() => AdapterFactory.registerAdapter('curve', CurveAdapter, { replace: true })).not.toThrow();
+    });
+
+    it('should reject classes that do not extend PlatformAdapter', () => {
+      expect(() => AdapterFactory.registerAdapter('mockPlugin', MockAdapter))
+        .toThrow('Adapter for mockPlugin must be a class extending PlatformAdapter');
+      expect(() => AdapterFactory.registerAdapter('mockPlugin', {}))
+        .toThrow('Adapter for mockPlugin must be a class extending PlatformAdapter');
+    });
+
+    it('should reject invalid platform IDs', () => {
+      expect(() => AdapterFactory.registerAdapter(null, PluginAdapter)).toThrow('Platform ID must be a valid string');
+      expect(() => AdapterFactory.registerAdapter(123, PluginAdapter)).toThrow('Platform ID must be a valid string');
+    });
+
+    it('should reject malformed manifests', () => {
+      class UnknownCapabilityAdapter extends PlatformAdapter {
+        static capabilities = { teleport: true };
+      }
+      class NonBooleanAdapter extends PlatformAdapter {
+        static capabilities = { fullRange: 'yes' };
+      }
+      class NullManifestAdapter extends PlatformAdapter {
+        static capabilities = null;
+      }
+
+      expect(() => AdapterFactory.registerAdapter('badPlugin', UnknownCapabilityAdapter))
+        .toThrow('Unknown capability in badPlugin manifest: teleport');
+      expect(() => AdapterFactory.registerAdapter('badPlugin', NonBooleanAdapter))
+        .toThrow('Capability fullRange in badPlugin manifest must be a boolean');
+      expect(() => AdapterFactory.registerAdapter('badPlugin', NullManifestAdapter))
+        .toThrow('Adapter for badPlugin must declare a static capabilities object');
+      expect(AdapterFactory.hasAdapter('badPlugin')).toBe(false);
+    });
+
+    it('should reject manifests that contradict the platform features', () => {
+      class WrongCurveAdapter extends PlatformAdapter {
+        static capabilities = { concentratedLiquidity: true, fullRange: true, stableSwap: true, dynamicFees: true };
+      }
+      class MissingFeatureAdapter extends PlatformAdapter {
+        static capabilities = { concentratedLiquidity: true };
+      }
+
+      expect(() => AdapterFactory.registerAdapter('curve', WrongCurveAdapter, { replace: true }))
+        .toThrow('Capability concentratedLiquidity in curve manifest does not match platform config (expected false)');
+      expect(() => AdapterFactory.registerAdapter('uniswapV3', MissingFeatureAdapter, { replace: true }))
+        .toThrow('Capability multipleFeeTiers in uniswapV3 manifest does not match platform config (expected true)');
+      expect(AdapterFactory.getAdapter('curve', 42161, mockProvider)).toBeInstanceOf(CurveAdapter);
+      expect(AdapterFactory.getAdapter('uniswapV3', 42161, mockProvider)).toBeInstanceOf(UniswapV3Adapter);
+    });
+  });
+
   describe('getSupportedPlatforms', () => {
     it('should return array of supported platform IDs', () => {
       const platforms = AdapterFactory.getSupportedPlatforms();
@@ -439,6 +634,13 @@ describe('AdapterFactory - Unit Tests', () => {
       expect(platforms).toBeDefined();
       expect(Array.isArray(platforms)).toBe(true);
       expect(platforms).toContain('uniswapV3');
+      expect(platforms).toContain('uniswapV4');
+      expect(platforms).toContain('sushiswapV3');
+      expect(platforms).toContain('pancakeswapV3');
+      expect(platforms).toContain('camelotV3');
+      expect(platforms).toContain('uniswapV2');
+      expect(platforms).toContain('sushiswapV2');
+      expect(platforms).toContain('curve');
       expect(platforms.length).toBeGreaterThan(0);
     });
 
@@ -0,0 +1,319 @@
+/**
+ * CamelotV3Adapter Unit Tests
+ *
+ * Tests for the Algebra (dynamic fee) adapter. Contract reads are served by a
+ * stubbed provider.call, so no blockchain connection is needed.
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import { ethers } from 'ethers';
+import CamelotV3Adapter from '../../../src/adapters/CamelotV3Adapter.js';
+import UniswapV3BaseAdapter from '../../../src/adapters/UniswapV3BaseAdapter.js';
+import chains from '../../../src/configs/chains.js';
+import { clearPoolStateCache } from '../../../src/blockchain/poolStateCache.js';
+import { Position } from '@uniswap/v3-sdk';
+import { Token, Percent } from '@uniswap/sdk-core';
+import { stubCalls } from '../../setup/stub-provider.js';
+
+const CHAIN_ID = 42161;
+const WETH = '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1';
+const USDC = '0xaf88d065e77c8cC2239327C5EDb3A432268e5831';
+const POOL = '0x00000000000000000000000000000000000000A1';
+const WALLET = '0x00000000000000000000000000000000000000B2';
+const SQRT_PRICE_TICK_0 = '79228162514264337593543950336';
+const Q128 = 2n ** 128n;
+
+const BLOCK_NUMBER = 250000000;
+
+describe('CamelotV3Adapter - Unit Tests', () => {
+  let provider;
+  let adapter;
+  let factoryInterface;
+
+  beforeAll(() => {
+    provider = new ethers.providers.StaticJsonRpcProvider('http://localhost:8545', { chainId: CHAIN_ID, name: 'arbitrum' });
+    adapter = new CamelotV3Adapter(CHAIN_ID, provider);
+    factoryInterface = new ethers.utils.Interface([
+      "function poolByPair(address tokenA, address tokenB) view returns (address pool)"
+    ]);
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await clearPoolStateCache();
+  });
+
+  const globalState = [SQRT_PRICE_TICK_0, 0, 350, 420, 7, 0, 0, true];
+
+  describe('Configuration', () => {
+    it('should run on the shared V3 engine with a dynamic fee model', () => {
+      expect(adapter).toBeInstanceOf(UniswapV3BaseAdapter);
+      expect(adapter.platformId).toBe('camelotV3');
+      expect(adapter.platformName).toBe('Camelot V3');
+      expect(adapter.addresses).toEqual(chains[CHAIN_ID].platformAddresses.camelotV3);
+      expect(adapter.feeTiers).toEqual([]);
+      expect(adapter.tickSpacing).toBe(60);
+    });
+
+    it('should keep the V3 Swap event signature', () => {
+      expect(adapter.getSwapEventSignature()).toBe('Swap(address,address,int256,int256,uint160,uint128,int24)');
+    });
+  });
+
+  describe('computePoolAddress', () => {
+    it('should derive pools from the pool deployer with a fee-less salt', () => {
+      const [token0, token1] = WETH.toLowerCase() < USDC.toLowerCase() ? [WETH, USDC] : [USDC, WETH];
+      const salt = ethers.utils.keccak256(
+        ethers.utils.defaultAbiCoder.encode(['address', 'address'], [token0, token1])
+      );
+      const expected = ethers.utils.getCreate2Address(
+        chains[CHAIN_ID].platformAddresses.camelotV3.poolDeployerAddress,
+        salt,
+        adapter.poolInitCodeHash
+      );
+
+      expect(adapter.computePoolAddress(WETH, USDC)).toBe(expected);
+      expect(adapter.computePoolAddress(USDC, WETH)).toBe(expected);
+    });
+
+    it('should validate token addresses', () => {
+      expect(() => adapter.computePoolAddress(null, USDC)).toThrow('Token0 address parameter is required');
+      expect(() => adapter.computePoolAddress(WETH, 'bad')).toThrow('Invalid token1 address: bad');
+    });
+  });
+
+  describe('Pool reads', () => {
+    it('should discover the single pool for a pair with its current dynamic fee', async () => {
+      stubCalls(provider, [factoryInterface, adapter.poolInterface], {
+        poolByPair: [POOL],
+        globalState,
+        liquidity: ['123456789']
+      }, { blockNumber: BLOCK_NUMBER });
+
+      const pools = await adapter.discoverAvailablePools(WETH, USDC, provider);
+
+      expect(pools).toEqual([{
+        address: ethers.utils.getAddress(POOL),
+        fee: 350,
+        liquidity: '123456789',
+        sqrtPriceX96: SQRT_PRICE_TICK_0,
+        tick: 0
+      }]);
+    });
+
+    it('should return no pools when the pair has none', async () => {
+      stubCalls(provider, [factoryInterface], { poolByPair: [ethers.constants.AddressZero] }, { blockNumber: BLOCK_NUMBER });
+
+      expect(await adapter.discoverAvailablePools(WETH, USDC, provider)).toEqual([]);
+    });
+
+    it('should normalize globalState and Algebra fee growth to V3 field names', async () => {
+      stubCalls(provider, [factoryInterface, adapter.poolInterface], {
+        poolByPair: [POOL],
+        globalState,
+        liquidity: ['1000'],
+        totalFeeGrowth0Token: ['111'],
+        totalFeeGrowth1Token: ['222'],
+        tickSpacing: [60]
+      }, { blockNumber: BLOCK_NUMBER });
+
+      const poolData = await adapter.fetchPoolData(WETH, USDC, null, provider);
+
+      expect(poolData.poolAddress).toBe(ethers.utils.getAddress(POOL));
+      expect(poolData.sqrtPriceX96).toBe(SQRT_PRICE_TICK_0);
+      expect(poolData.tick).toBe(0);
+      expect(poolData.fee).toBe(350);
+      expect(poolData.feeZto).toBe(350);
+      expect(poolData.feeOtz).toBe(420);
+      expect(poolData.feeGrowthGlobal0X128).toBe('111');
+      expect(poolData.feeGrowthGlobal1X128).toBe('222');
+      expect(poolData.tickSpacing).toBe(60);
+      expect(poolData.ticks).toEqual({});
+    });
+
+    it('should normalize tick data to V3 field names', async () => {
+      stubCalls(provider, [adapter.poolInterface], {
+        ticks: ([tick]) => [1000, tick < 0 ? 1000 : -1000, tick < 0 ? 5 : 7, tick < 0 ? 6 : 8, 0, 0, 0, true]
+      }, { blockNumber: BLOCK_NUMBER });
+
+      const { tickLower, tickUpper } = await adapter.fetchTickData(POOL, -60, 60, provider);
+
+      expect(tickLower).toMatchObject({ liquidityGross: '1000', liquidityNet: '1000', feeGrowthOutside0X128: '5', feeGrowthOutside1X128: '6', initialized: true });
+      expect(tickUpper).toMatchObject({ liquidityNet: '-1000', feeGrowthOutside0X128: '7', feeGrowthOutside1X128: '8' });
+    });
+
+    it('should read the current fees from globalState', async () => {
+      stubCalls(provider, [adapter.poolInterface], { globalState }, { blockNumber: BLOCK_NUMBER });
+
+      expect(await adapter.getCurrentFee(POOL, provider)).toEqual({ fee: 350, feeZto: 350, feeOtz: 420 });
+      expect(await adapter.getCurrentTick(POOL, provider)).toBe(0);
+    });
+  });
+
+  describe('Swap simulation', () => {
+    const poolData = { sqrtPriceX96: SQRT_PRICE_TICK_0, tick: 0, liquidity: '1000000000000000000', fee: 350, feeZto: 350, feeOtz: 420 };
+
+    it('should charge the fee of the swap direction', () => {
+      const ticks = [{ index: -600, liquidityNet: '1000000000000000000' }, { index: 600, liquidityNet: '-1000000000000000000' }];
+
+      const zeroForOne = adapter.simulateSwap({ poolData, ticks, zeroForOne: true, amountIn: '1000000000000' });
+      const oneForZero = adapter.simulateSwap({ poolData, ticks, zeroForOne: false, amountIn: '1000000000000' });
+
+      expect(zeroForOne.feeAmount).toBe('350000000');
+      expect(oneForZero.feeAmount).toBe('420000000');
+    });
+
+    it('should not load tick data from a tickBitmap', async () => {
+      await expect(adapter.fetchSwapTickData(POOL, provider)).rejects.toThrow('fetchSwapTickData is not supported on Camelot V3');
+    });
+  });
+
+  describe('Positions', () => {
+    it('should report the pool dynamic fee on fee-less Algebra positions', async () => {
+      stubCalls(provider, [factoryInterface, adapter.poolInterface, adapter.positionManagerInterface], {
+        balanceOf: [1],
+        tokenOfOwnerByIndex: [42],
+        positions: [0, ethers.constants.AddressZero, WETH, USDC, -600, 600, '5000', '0', '0', '0', '0'],
+        poolByPair: [POOL],
+        globalState,
+        liquidity: ['1000'],
+        totalFeeGrowth0Token: [(Q128 * 10n).toString()],
+        totalFeeGrowth1Token: [(Q128 * 20n).toString()],
+        tickSpacing: [60],
+        ticks: [1000, 0, 0, 0, 0, 0, 0, true]
+      }, { blockNumber: BLOCK_NUMBER });
+
+      const { positions, poolData } = await adapter.getPositions(WALLET, provider);
+      const position = positions['42'];
+
+      expect(position.fee).toBe(350);
+      expect(position.tickLower).toBe(-600);
+      expect(position.tickUpper).toBe(600);
+      expect(position.liquidity).toBe('5000');
+      expect(position.platform).toBe('camelotV3');
+
+      // Normalized pool data plugs straight into the shared fee math
+      const [fees0, fees1] = adapter.calculateUncollectedFees(position, poolData[position.pool]);
+      expect(fees0).toBe(50000n);
+      expect(fees1).toBe(100000n);
+    });
+  });
+
+  describe('Transaction data', () => {
+    const poolData = { fee: 350, sqrtPriceX96: SQRT_PRICE_TICK_0, liquidity: '1000000000000000000', tick: 0 };
+    const [token0Data, token1Data] = WETH.toLowerCase() < USDC.toLowerCase()
+      ? [{ address: WETH, decimals: 18 }, { address: USDC, decimals: 6 }]
+      : [{ address: USDC, decimals: 6 }, { address: WETH, decimals: 18 }];
+
+    it('should size positions with the fixed tick spacing whatever the dynamic fee', async () => {
+      const [amount0, amount1] = await adapter.calculateTokenAmounts(
+        { liquidity: '1000000000000000000', tickLower: -600, tickUpper: 600 },
+        { ...poolData, fee: 300 }, // 300 has spacing 6 in the Uniswap SDK table
+        token0Data,
+        token1Data
+      );
+
+      expect(amount0).toBeGreaterThan(0n);
+      expect(amount1).toBeGreaterThan(0n);
+    });
+
+    it('should build SDK pools with the tick spacing read from the pool', () => {
+      const [token0, token1] = [token0Data, token1Data].map(({ address, decimals }) => new Token(CHAIN_ID, address, decimals));
+
+      expect(adapter._createPool(token0, token1, poolData).tickSpacing).toBe(60);
+      expect(adapter._createPool(token0, token1, { ...poolData, tickSpacing: 10 }).tickSpacing).toBe(10);
+
+      // 30 is not in the SDK table; ticks on its grid still pass the SDK's checks
+      const pool = adapter._createPool(token0, token1, { ...poolData, tickSpacing: 30 });
+      expect(pool.tickSpacing).toBe(30);
+      const position = new Position({ pool, liquidity: '1000000000000000000', tickLower: -90, tickUpper: 90 });
+      expect(BigInt(position.mintAmountsWithSlippage(new Percent(5, 1000)).amount0.toString())).toBeGreaterThan(0n);
+    });
+
+    it('should encode an Algebra mint without a fee field', async () => {
+      const txData = await adapter.generateCreatePositionData({
+        position: { tickLower: -600, tickUpper: 600 },
+        token0Amount: '1000000',
+        token1Amount: '1000000',
+        provider,
+        walletAddress: WALLET,
+        poolData,
+        token0Data,
+        token1Data,
+        slippageTolerance: 0.5,
+        deadlineMinutes: 20
+      });
+
+      expect(txData.to).toBe(chains[CHAIN_ID].platformAddresses.camelotV3.positionManagerAddress);
+      const decoded = adapter.positionManagerInterface.parseTransaction({ data: txData.data });
+      expect(decoded.name).toBe('mint');
+      expect(decoded.args.params.token0).toBe(ethers.utils.getAddress(token0Data.address));
+      expect(decoded.args.params.tickLower).toBe(-600);
+      expect(decoded.args.params.recipient).toBe(ethers.utils.getAddress(WALLET));
+      expect(decoded.args.params.amount0Min.lte(decoded.args.params.amount0Desired)).toBe(true);
+    });
+
+    it('should encode exactInputSingle with limitSqrtPrice and no fee', async () => {
+      const quoterInterface = adapter.quoterInterface;
+      stubCalls(provider, [quoterInterface], { quoteExactInputSingle: ['1000', 350] }, { blockNumber: BLOCK_NUMBER });
+
+      const txData = await adapter.generateSwapData({
+        tokenIn: WETH,
+        tokenOut: USDC,
+        recipient: WALLET,
+        amountIn: '1000000000000000',
+        slippageTolerance: 1,
+        sqrtPriceLimitX96: '0',
+        deadlineMinutes: 20,
+        provider
+      });
+
+      expect(txData.to).toBe(chains[CHAIN_ID].platformAddresses.camelotV3.routerAddress);
+      const decoded = adapter.swapRouterInterface.parseTransaction({ data: txData.data });
+      expect(decoded.name).toBe('exactInputSingle');
+      expect(decoded.args.params.amountOutMinimum.toString()).toBe('990');
+      expect(decoded.args.params.limitSqrtPrice.toString()).toBe('0');
+    });
+
+    it('should encode exactOutputSingle with limitSqrtPrice and an unused fee', async () => {
+      stubCalls(provider, [adapter.quoterInterface], { quoteExactOutputSingle: ['1000', 350] }, { blockNumber: BLOCK_NUMBER });
+
+      const txData = await adapter.generateSwapData({
+        tokenIn: WETH,
+        tokenOut: USDC,
+        recipient: WALLET,
+        amountOut: '500',
+        slippageTolerance: 1,
+        sqrtPriceLimitX96: '0',
+        deadlineMinutes: 20,
+        provider
+      });
+
+      const decoded = adapter.swapRouterInterface.parseTransaction({ data: txData.data });
+      expect(decoded.name).toBe('exactOutputSingle');
+      expect(decoded.args.params.fee).toBe(0);
+      expect(decoded.args.params.amountOut.toString()).toBe('500');
+      expect(decoded.args.params.amountInMaximum.toString()).toBe('1010');
+      expect(decoded.args.params.limitSqrtPrice.toString()).toBe('0');
+    });
+
+    it('should encode multi-hop paths as addresses only', async () => {
+      const WBTC = '0x2f2a2543B76A4166549F7aaB2e75Bef0aefC5B0f';
+      stubCalls(provider, [adapter.quoterInterface], { quoteExactOutput: ['2000', [350, 420]] }, { blockNumber: BLOCK_NUMBER });
+
+      const txData = await adapter.generateSwapData({
+        path: { tokens: [WBTC, WETH, USDC] },
+        recipient: WALLET,
+        amountOut: '1000000',
+        slippageTolerance: 1,
+        deadlineMinutes: 20,
+        provider
+      });
+
+      const decoded = adapter.swapRouterInterface.parseTransaction({ data: txData.data });
+      expect(decoded.name).toBe('exactOutput');
+      expect(decoded.args.params.path).toBe(ethers.utils.solidityPack(['address', 'address', 'address'], [USDC, WETH, WBTC]).toLowerCase());
+      expect(decoded.args.params.amountInMaximum.toString()).toBe('2020');
+    });
+  });
+});
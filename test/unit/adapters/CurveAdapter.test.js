@@ -0,0 +1,308 @@
+/**
+ * CurveAdapter Unit Tests
+ *
+ * Tests for the Curve StableSwap (plain and NG pool) adapter. Contract reads are
+ * served by a stubbed provider.call, so no blockchain connection is needed.
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import { ethers } from 'ethers';
+import CurveAdapter from '../../../src/adapters/CurveAdapter.js';
+import chains from '../../../src/configs/chains.js';
+import { BLOCK_NUMBER, createStubProvider, readBlockTags, stubCalls } from '../../setup/stub-provider.js';
+
+const CHAIN_ID = 42161;
+const USDC = '0xaf88d065e77c8cC2239327C5EDb3A432268e5831';
+const USDT = '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9';
+const NG_POOL = '0x00000000000000000000000000000000000000A1';
+const PLAIN_POOL = '0x00000000000000000000000000000000000000A2';
+const WALLET = '0x00000000000000000000000000000000000000B2';
+
+const NG_FACTORY = chains[CHAIN_ID].platformAddresses.curve.factoryAddress;
+const PLAIN_FACTORY = chains[CHAIN_ID].platformAddresses.curve.plainFactoryAddress;
+
+const BALANCES = ['1000000000000', '2000000000000']; // 1M USDC, 2M USDT
+const TOTAL_SUPPLY = '3000000000000000000000000';    // 3M LP
+const VIRTUAL_PRICE = '1020000000000000000';         // 1.02
+const LP_BALANCE = '30000000000000000000000';        // 1% of the LP supply
+
+describe('CurveAdapter - Unit Tests', () => {
+  let provider;
+  let adapter;
+  let interfaces;
+
+  // A 2-coin NG pool and a 2-coin plain pool, both USDC/USDT
+  const poolReads = {
+    find_pool_for_coins: ([, , i], to) => [
+      i.isZero() ? (to === NG_FACTORY ? NG_POOL : PLAIN_POOL) : ethers.constants.AddressZero
+    ],
+    is_meta: [false],
+    get_n_coins: ([pool], to) => [
+      (to === NG_FACTORY && pool === ethers.utils.getAddress(NG_POOL)) ||
+      (to === PLAIN_FACTORY && pool === ethers.utils.getAddress(PLAIN_POOL)) ? 2 : 0
+    ],
+    coins: ([i]) => [[USDC, USDT][i.toNumber()]],
+    balances: ([i]) => [BALANCES[i.toNumber()]],
+    get_virtual_price: [VIRTUAL_PRICE],
+    fee: ['1000000'], // 0.01%
+    A: ['200'],
+    totalSupply: [TOTAL_SUPPLY]
+  };
+
+  beforeAll(() => {
+    provider = createStubProvider(CHAIN_ID);
+    adapter = new CurveAdapter(CHAIN_ID, provider);
+    interfaces = [
+      adapter.factoryInterface,
+      adapter.poolInterface,
+      adapter.ngLiquidityInterface,
+      adapter._getLiquidityInterface('plain', 2)
+    ];
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const ngPoolData = {
+    address: NG_POOL,
+    poolType: 'ng',
+    coins: [USDC, USDT],
+    balances: BALANCES,
+    totalSupply: TOTAL_SUPPLY
+  };
+
+  describe('Configuration', () => {
+    it('should configure both stable factories and no fee tiers', () => {
+      expect(adapter.platformId).toBe('curve');
+      expect(adapter.platformName).toBe('Curve');
+      expect(adapter.addresses).toEqual(chains[CHAIN_ID].platformAddresses.curve);
+      expect(adapter.feeTiers).toEqual([]);
+    });
+
+    it('should use the Curve TokenExchange event signature', () => {
+      expect(adapter.getSwapEventSignature()).toBe('TokenExchange(address,int128,uint256,int128,uint256)');
+    });
+  });
+
+  describe('Pool discovery', () => {
+    it('should discover NG pools before plain pools with their fee and virtual price', async () => {
+      stubCalls(provider, interfaces, poolReads);
+
+      const pools = await adapter.discoverAvailablePools(USDC, USDT, provider);
+
+      expect(pools.map(pool => [pool.address, pool.poolType])).toEqual([
+        [ethers.utils.getAddress(NG_POOL), 'ng'],
+        [ethers.utils.getAddress(PLAIN_POOL), 'plain']
+      ]);
+      expect(pools[0]).toMatchObject({
+        coins: [USDC, USDT],
+        balances: BALANCES,
+        virtualPrice: VIRTUAL_PRICE,
+        fee: 100,
+        A: '200',
+        totalSupply: TOTAL_SUPPLY
+      });
+    });
+
+    it('should skip metapools', async () => {
+      stubCalls(provider, interfaces, { ...poolReads, is_meta: (args, to) => [to === PLAIN_FACTORY] });
+
+      const pools = await adapter.discoverAvailablePools(USDC, USDT, provider);
+
+      expect(pools.map(pool => pool.poolType)).toEqual(['ng']);
+    });
+
+    it('should reject pools not deployed by either stable factory', async () => {
+      stubCalls(provider, interfaces, { ...poolReads, get_n_coins: [0] });
+
+      await expect(adapter.getPoolData(NG_POOL, {}, provider))
+        .rejects.toThrow('is not a Curve plain or NG stable pool');
+    });
+  });
+
+  describe('Positions', () => {
+    const stubPositionReads = () => stubCalls(provider, interfaces, {
+      ...poolReads,
+      find_pool_for_coins: ([, , i], to) => [i.isZero() && to === NG_FACTORY ? NG_POOL : ethers.constants.AddressZero],
+      balanceOf: [LP_BALANCE]
+    }, { blockNumber: BLOCK_NUMBER });
+
+    it('should report LP holdings with coin balances and virtual price', async () => {
+      stubPositionReads();
+
+      const { positions, poolData, blockNumber } = await adapter.getPositions(WALLET, provider);
+      const poolAddress = ethers.utils.getAddress(NG_POOL);
+
+      expect(blockNumber).toBe(BLOCK_NUMBER);
+
+      expect(Object.keys(positions)).toEqual([poolAddress]);
+      expect(positions[poolAddress]).toMatchObject({
+        id: poolAddress,
+        pool: poolAddress,
+        poolType: 'ng',
+        tokenPair: 'USDC/USD₮0',
+        liquidity: LP_BALANCE,
+        balances: ['10000000000', '20000000000'], // 10k USDC, 20k USDT
+        virtualPrice: VIRTUAL_PRICE,
+        value: '30600000000000000000000',      // 30.6k at a 1.02 virtual price
+        fullRange: true,
+        platform: 'curve'
+      });
+      expect(poolData[poolAddress].coins.map(coin => coin.decimals)).toEqual([6, 6]);
+    });
+
+    it('should read every pool at the requested block', async () => {
+      const call = stubPositionReads();
+
+      const { positions, blockNumber } = await adapter.getPositions(WALLET, provider, { blockTag: 1234 });
+
+      expect(blockNumber).toBe(1234);
+      expect(Object.keys(positions)).toEqual([ethers.utils.getAddress(NG_POOL)]);
+      expect(readBlockTags(call)).toEqual(new Set([1234]));
+      await expect(adapter.getPositions(WALLET, provider, { blockTag: 'yesterday' })).rejects.toThrow('Invalid block tag: yesterday');
+    });
+
+    it('should return token amounts in the order requested', async () => {
+      const [usdt, usdc] = await adapter.calculateTokenAmounts(
+        { liquidity: LP_BALANCE },
+        ngPoolData,
+        { address: USDT, decimals: 6 },
+        { address: USDC, decimals: 6 }
+      );
+
+      expect(usdt).toBe(20000000000n);
+      expect(usdc).toBe(10000000000n);
+    });
+
+    it('should treat positions as always in range with no collectable fees', async () => {
+      expect(adapter.isPositionInRange()).toBe(true);
+      expect(adapter.calculateUncollectedFees({ id: NG_POOL }, ngPoolData)).toEqual([0n, 0n]);
+      await expect(adapter.generateClaimFeesData({})).rejects.toThrow('Unsupported capability: generateClaimFeesData');
+    });
+
+    it('should reject tick-based methods with an unsupported capability error', async () => {
+      expect(() => adapter.tickToPrice(0)).toThrow('Unsupported capability: tickToPrice is not available on Curve');
+      await expect(adapter.getCurrentTick(NG_POOL, provider)).rejects.toThrow('Unsupported capability: getCurrentTick');
+      await expect(adapter.getPoolData(NG_POOL, { includeTicks: [0] }, provider)).rejects.toThrow('Unsupported capability');
+    });
+  });
+
+  describe('Swaps', () => {
+    it('should quote through the pool with the best get_dy', async () => {
+      stubCalls(provider, interfaces, {
+        ...poolReads,
+        get_dy: (args, to) => [to === ethers.utils.getAddress(NG_POOL) ? '999000' : '999500']
+      });
+
+      const amountOut = await adapter.getSwapQuote({ tokenInAddress: USDC, tokenOutAddress: USDT, amountIn: '1000000', provider });
+
+      expect(amountOut).toBe('999500');
+    });
+
+    it('should encode exchange on the best pool with the coin indices', async () => {
+      stubCalls(provider, interfaces, {
+        ...poolReads,
+        get_dy: (args, to) => [to === ethers.utils.getAddress(NG_POOL) ? '999000' : '998000']
+      });
+
+      const txData = await adapter.generateSwapData({
+        tokenIn: USDT,
+        tokenOut: USDC,
+        recipient: WALLET,
+        amountIn: '1000000',
+        slippageTolerance: 1,
+        provider
+      });
+
+      expect(txData.to).toBe(ethers.utils.getAddress(NG_POOL));
+      const decoded = adapter.poolInterface.parseTransaction({ data: txData.data });
+      expect(decoded.name).toBe('exchange');
+      expect(decoded.args.i.toNumber()).toBe(1);
+      expect(decoded.args.j.toNumber()).toBe(0);
+      expect(decoded.args._min_dy.toString()).toBe('989010');
+      expect(decoded.args._receiver).toBe(ethers.utils.getAddress(WALLET));
+    });
+  });
+
+  describe('Liquidity transactions', () => {
+    it('should encode NG add_liquidity with a dynamic amounts array', async () => {
+      stubCalls(provider, interfaces, { calc_token_amount: ['1000000000000000000000'] });
+
+      const txData = await adapter.generateCreatePositionData({
+        poolData: ngPoolData,
+        token0Amount: '0',
+        token1Amount: '1000000000', // single-sided 1,000 USDT
+        token0Data: { address: USDC, decimals: 6 },
+        token1Data: { address: USDT, decimals: 6 },
+        walletAddress: WALLET,
+        slippageTolerance: 0.5,
+        provider
+      });
+
+      expect(txData.to).toBe(ethers.utils.getAddress(NG_POOL));
+      const decoded = adapter.ngLiquidityInterface.parseTransaction({ data: txData.data });
+      expect(decoded.name).toBe('add_liquidity');
+      expect(decoded.args._amounts.map(String)).toEqual(['0', '1000000000']);
+      expect(decoded.args._min_mint_amount.toString()).toBe('995000000000000000000');
+      expect(decoded.args._receiver).toBe(ethers.utils.getAddress(WALLET));
+    });
+
+    it('should encode plain pool add_liquidity with a fixed-size amounts array', async () => {
+      stubCalls(provider, interfaces, { calc_token_amount: ['2000000000000000000000'] });
+
+      const txData = await adapter.generateAddLiquidityData({
+        poolData: { ...ngPoolData, address: PLAIN_POOL, poolType: 'plain' },
+        token0Amount: '1000000000',
+        token1Amount: '1000000000',
+        token0Data: { address: USDC, decimals: 6 },
+        token1Data: { address: USDT, decimals: 6 },
+        walletAddress: WALLET,
+        slippageTolerance: 1,
+        provider
+      });
+
+      const plainInterface = adapter._getLiquidityInterface('plain', 2);
+      const decoded = plainInterface.parseTransaction({ data: txData.data });
+      expect(txData.data.slice(0, 10)).toBe(plainInterface.getSighash('add_liquidity'));
+      expect(decoded.args._amounts.map(String)).toEqual(['1000000000', '1000000000']);
+      expect(decoded.args._min_mint_amount.toString()).toBe('1980000000000000000000');
+    });
+
+    it('should encode remove_liquidity_one_coin for a share of the live LP balance', async () => {
+      stubCalls(provider, interfaces, {
+        balanceOf: [LP_BALANCE],
+        calc_withdraw_one_coin: ['15300000000']
+      });
+
+      const txData = await adapter.generateRemoveLiquidityData({
+        position: { id: NG_POOL },
+        percentage: 50,
+        tokenOut: USDT,
+        walletAddress: WALLET,
+        poolData: ngPoolData,
+        slippageTolerance: 1,
+        provider
+      });
+
+      const decoded = adapter.poolInterface.parseTransaction({ data: txData.data });
+      expect(decoded.name).toBe('remove_liquidity_one_coin');
+      expect(decoded.args._burn_amount.toString()).toBe('15000000000000000000000');
+      expect(decoded.args.i.toNumber()).toBe(1);
+      expect(decoded.args._min_received.toString()).toBe('15147000000');
+    });
+
+    it('should reject tokens that are not pool coins', async () => {
+      await expect(adapter.generateCreatePositionData({
+        poolData: ngPoolData,
+        token0Amount: '1',
+        token1Amount: '1',
+        token0Data: { address: USDC, decimals: 6 },
+        token1Data: { address: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1', decimals: 18 },
+        walletAddress: WALLET,
+        slippageTolerance: 1,
+        provider
+      })).rejects.toThrow('is not a coin of pool');
+    });
+  });
+});
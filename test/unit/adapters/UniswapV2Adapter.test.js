@@ -0,0 +1,224 @@
+/**
+ * UniswapV2Adapter / SushiSwapV2Adapter Unit Tests
+ *
+ * Tests for the full-range (V2-style) adapters. Contract reads are served by a
+ * stubbed provider.call, so no blockchain connection is needed.
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import { ethers } from 'ethers';
+import UniswapV2Adapter from '../../../src/adapters/UniswapV2Adapter.js';
+import SushiSwapV2Adapter from '../../../src/adapters/SushiSwapV2Adapter.js';
+import UniswapV2BaseAdapter from '../../../src/adapters/UniswapV2BaseAdapter.js';
+import chains from '../../../src/configs/chains.js';
+import { BLOCK_NUMBER, createStubProvider, readBlockTags, stubCalls } from '../../setup/stub-provider.js';
+
+const CHAIN_ID = 42161;
+const WETH = '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1';
+const USDC = '0xaf88d065e77c8cC2239327C5EDb3A432268e5831';
+const PAIR = '0x00000000000000000000000000000000000000A1';
+const WALLET = '0x00000000000000000000000000000000000000B2';
+
+// WETH sorts before USDC on Arbitrum, so reserve0 is WETH and reserve1 is USDC
+const RESERVE_WETH = '1000000000000000000000'; // 1,000 WETH
+const RESERVE_USDC = '3000000000000';          // 3,000,000 USDC
+const TOTAL_SUPPLY = '1000000000000000';
+
+describe('UniswapV2Adapter - Unit Tests', () => {
+  let provider;
+  let adapter;
+
+  const poolData = { reserve0: RESERVE_WETH, reserve1: RESERVE_USDC, totalSupply: TOTAL_SUPPLY };
+  const wethData = { address: WETH, decimals: 18 };
+  const usdcData = { address: USDC, decimals: 6 };
+
+  beforeAll(() => {
+    provider = createStubProvider(CHAIN_ID);
+    adapter = new UniswapV2Adapter(CHAIN_ID, provider);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('Configuration', () => {
+    it('should run on the shared V2 engine with a single fixed fee', () => {
+      expect(adapter).toBeInstanceOf(UniswapV2BaseAdapter);
+      expect(adapter.platformId).toBe('uniswapV2');
+      expect(adapter.platformName).toBe('Uniswap V2');
+      expect(adapter.addresses).toEqual(chains[CHAIN_ID].platformAddresses.uniswapV2);
+      expect(adapter.feeTiers).toEqual([3000]);
+      expect(adapter.fee).toBe(3000);
+    });
+
+    it('should configure SushiSwap V2 with its own addresses and pair init code hash', () => {
+      const sushi = new SushiSwapV2Adapter(CHAIN_ID, provider);
+
+      expect(sushi).toBeInstanceOf(UniswapV2BaseAdapter);
+      expect(sushi.platformId).toBe('sushiswapV2');
+      expect(sushi.addresses).toEqual(chains[CHAIN_ID].platformAddresses.sushiswapV2);
+      expect(sushi.poolInitCodeHash).not.toBe(adapter.poolInitCodeHash);
+    });
+
+    it('should use the V2 Swap event signature', () => {
+      expect(adapter.getSwapEventSignature()).toBe('Swap(address,uint256,uint256,uint256,uint256,address)');
+    });
+  });
+
+  describe('computePoolAddress', () => {
+    it('should match the deployed Uniswap V2 USDC/WETH pair on Ethereum', () => {
+      const mainnet = new UniswapV2Adapter(1, provider);
+      const expected = '0xB4e16d0168e52d35CaCD2c6185b44281Ec28C9Dc';
+
+      expect(mainnet.computePoolAddress('0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2')).toBe(expected);
+      expect(mainnet.computePoolAddress('0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48')).toBe(expected);
+    });
+
+    it('should validate token addresses', () => {
+      expect(() => adapter.computePoolAddress(null, USDC)).toThrow('Token0 address parameter is required');
+      expect(() => adapter.computePoolAddress(WETH, 'bad')).toThrow('Invalid token1 address: bad');
+    });
+  });
+
+  describe('Full-range semantics', () => {
+    it('should always report positions in range', () => {
+      expect(adapter.isPositionInRange()).toBe(true);
+      expect(adapter.isPositionInRange({ id: PAIR }, poolData)).toBe(true);
+    });
+
+    it('should reject tick-based methods with an unsupported capability error', async () => {
+      expect(() => adapter.tickToPrice(0, wethData, usdcData)).toThrow('Unsupported capability: tickToPrice is not available on Uniswap V2');
+      expect(() => adapter.priceToTick('3000', wethData, usdcData)).toThrow('Unsupported capability: priceToTick');
+      expect(() => adapter.calculatePriceFromSqrtPrice('1', wethData, usdcData)).toThrow('Unsupported capability: calculatePriceFromSqrtPrice');
+      expect(() => adapter.calculateTickRangeFromPercentages(0, 5, 5)).toThrow('Unsupported capability: calculateTickRangeFromPercentages');
+      await expect(adapter.getCurrentTick(PAIR, provider)).rejects.toThrow('Unsupported capability: getCurrentTick');
+      await expect(adapter.fetchTickData(PAIR, -60, 60, provider)).rejects.toThrow('Unsupported capability: fetchTickData');
+      await expect(adapter.getPoolData(PAIR, { includeTicks: [0] }, provider)).rejects.toThrow('Unsupported capability');
+    });
+
+    it('should report no separately collectable fees', async () => {
+      expect(adapter.calculateUncollectedFees({ id: PAIR }, poolData)).toEqual([0n, 0n]);
+      await expect(adapter.generateClaimFeesData({})).rejects.toThrow('Unsupported capability: generateClaimFeesData');
+    });
+
+    it('should price the pair from its reserves', () => {
+      expect(adapter.calculatePriceFromReserves(RESERVE_WETH, RESERVE_USDC, wethData, usdcData).toFixed(2)).toBe('3000.00');
+      expect(adapter.calculatePriceFromReserves(RESERVE_WETH, RESERVE_USDC, usdcData, wethData).toSignificant(4)).toBe('0.0003333');
+    });
+  });
+
+  describe('Positions', () => {
+    const stubPairReads = () => stubCalls(provider, [adapter.factoryInterface, adapter.pairInterface], {
+      getPair: ([tokenA, tokenB]) => {
+        const pair = [tokenA, tokenB].map(a => a.toLowerCase()).sort().join();
+        return [pair === [WETH, USDC].map(a => a.toLowerCase()).sort().join() ? PAIR : ethers.constants.AddressZero];
+      },
+      balanceOf: ['10000000000000'], // 1% of the LP supply
+      getReserves: [RESERVE_WETH, RESERVE_USDC, 1700000000],
+      totalSupply: [TOTAL_SUPPLY]
+    }, { blockNumber: BLOCK_NUMBER });
+
+    it('should treat LP token balances as positions', async () => {
+      stubPairReads();
+
+      const { positions, poolData: poolDataMap, blockNumber } = await adapter.getPositions(WALLET, provider);
+      const pairAddress = ethers.utils.getAddress(PAIR);
+
+      expect(blockNumber).toBe(BLOCK_NUMBER);
+
+      expect(Object.keys(positions)).toEqual([pairAddress]);
+      expect(positions[pairAddress]).toMatchObject({
+        id: pairAddress,
+        pool: pairAddress,
+        tokenPair: 'WETH/USDC',
+        fee: 3000,
+        liquidity: '10000000000000',
+        fullRange: true,
+        platform: 'uniswapV2'
+      });
+      expect(poolDataMap[pairAddress]).toMatchObject({ reserve0: RESERVE_WETH, reserve1: RESERVE_USDC, totalSupply: TOTAL_SUPPLY });
+
+      const [amount0, amount1] = await adapter.calculateTokenAmounts(positions[pairAddress], poolDataMap[pairAddress], wethData, usdcData);
+      expect(amount0).toBe(10000000000000000000n); // 10 WETH
+      expect(amount1).toBe(30000000000n);          // 30,000 USDC
+    });
+
+    it('should read every pair at the requested block', async () => {
+      const call = stubPairReads();
+
+      const { positions, blockNumber } = await adapter.getPositions(WALLET, provider, { blockTag: 1234 });
+
+      expect(blockNumber).toBe(1234);
+      expect(Object.keys(positions)).toEqual([ethers.utils.getAddress(PAIR)]);
+      expect(readBlockTags(call)).toEqual(new Set([1234]));
+      await expect(adapter.getPositions(WALLET, provider, { blockTag: -1 })).rejects.toThrow('Invalid block tag: -1');
+    });
+  });
+
+  describe('Transaction data', () => {
+    const txSettings = { slippageTolerance: 1, deadlineMinutes: 20 };
+
+    it('should encode addLiquidity at the pair reserve ratio', async () => {
+      const txData = await adapter.generateCreatePositionData({
+        token0Amount: '5000000000', // 5,000 USDC - more than the WETH side can match
+        token1Amount: '1000000000000000000', // 1 WETH
+        provider,
+        walletAddress: WALLET,
+        poolData,
+        token0Data: usdcData,
+        token1Data: wethData,
+        ...txSettings
+      });
+
+      expect(txData.to).toBe(chains[CHAIN_ID].platformAddresses.uniswapV2.routerAddress);
+      const decoded = adapter.routerInterface.parseTransaction({ data: txData.data });
+      expect(decoded.name).toBe('addLiquidity');
+      expect(decoded.args.tokenA).toBe(WETH);
+      expect(decoded.args.tokenB).toBe(USDC);
+      expect(decoded.args.amountADesired.toString()).toBe('1000000000000000000');
+      expect(decoded.args.amountBDesired.toString()).toBe('3000000000');
+      expect(decoded.args.amountBMin.toString()).toBe('2970000000');
+      expect(decoded.args.to).toBe(ethers.utils.getAddress(WALLET));
+      expect(txData.quote.liquidity).toBe(1000000000000n);
+    });
+
+    it('should encode removeLiquidity for a share of the live LP balance', async () => {
+      stubCalls(provider, [adapter.pairInterface], { balanceOf: ['10000000000000'] });
+
+      const txData = await adapter.generateRemoveLiquidityData({
+        position: { id: PAIR },
+        percentage: 50,
+        provider,
+        walletAddress: WALLET,
+        poolData,
+        token0Data: wethData,
+        token1Data: usdcData,
+        ...txSettings
+      });
+
+      const decoded = adapter.routerInterface.parseTransaction({ data: txData.data });
+      expect(decoded.name).toBe('removeLiquidity');
+      expect(decoded.args.liquidity.toString()).toBe('5000000000000');
+      expect(decoded.args.amountAMin.toString()).toBe('4950000000000000000');
+      expect(decoded.args.amountBMin.toString()).toBe('14850000000');
+    });
+
+    it('should encode a single-hop swapExactTokensForTokens', async () => {
+      stubCalls(provider, [adapter.routerInterface], { getAmountsOut: [['1000000000000000', '2991']] });
+
+      const txData = await adapter.generateSwapData({
+        tokenIn: WETH,
+        tokenOut: USDC,
+        recipient: WALLET,
+        amountIn: '1000000000000000',
+        provider,
+        ...txSettings
+      });
+
+      const decoded = adapter.routerInterface.parseTransaction({ data: txData.data });
+      expect(decoded.name).toBe('swapExactTokensForTokens');
+      expect(decoded.args.path).toEqual([WETH, USDC]);
+      expect(decoded.args.amountOutMin.toString()).toBe('2961');
+    });
+  });
+});
@@ -0,0 +1,1028 @@
+/**
+ * UniswapV3BaseAdapter Unit Tests
+ *
+ * Tests for the shared V3 engine and the fork adapters built on it.
+ * These cover configuration, pure math and batched reads - contract reads are
+ * served by a stubbed provider.call, so no blockchain connection is needed.
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import { ethers } from 'ethers';
+import UniswapV3BaseAdapter from '../../../src/adapters/UniswapV3BaseAdapter.js';
+import UniswapV3Adapter from '../../../src/adapters/UniswapV3Adapter.js';
+import SushiSwapV3Adapter from '../../../src/adapters/SushiSwapV3Adapter.js';
+import PancakeSwapV3Adapter from '../../../src/adapters/PancakeSwapV3Adapter.js';
+import chains from '../../../src/configs/chains.js';
+import { MULTICALL3_ADDRESS } from '../../../src/blockchain/multicall.js';
+import contractData from '../../../src/artifacts/contracts.js';
+import { clearPoolStateCache } from '../../../src/blockchain/poolStateCache.js';
+import { Pool, TickListDataProvider, TickMath } from '@uniswap/v3-sdk';
+import { Token, CurrencyAmount } from '@uniswap/sdk-core';
+import { stubCalls } from '../../setup/stub-provider.js';
+
+const CHAIN_ID = 42161;
+const WETH = '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1';
+const USDC = '0xaf88d065e77c8cC2239327C5EDb3A432268e5831';
+const WALLET = '0x00000000000000000000000000000000000000B2';
+const SQRT_PRICE_TICK_0 = '79228162514264337593543950336';
+
+const BLOCK_NUMBER = 250000000;
+
+describe('UniswapV3BaseAdapter - Unit Tests', () => {
+  let provider;
+
+  beforeAll(() => {
+    provider = new ethers.providers.JsonRpcProvider('http://localhost:8545');
+  });
+
+  describe('Fork configuration', () => {
+    it.each([
+      [UniswapV3Adapter, 'uniswapV3', 'Uniswap V3', [100, 500, 3000, 10000]],
+      [SushiSwapV3Adapter, 'sushiswapV3', 'SushiSwap V3', [100, 500, 3000, 10000]],
+      [PancakeSwapV3Adapter, 'pancakeswapV3', 'PancakeSwap V3', [100, 500, 2500, 10000]]
+    ])('%o should load its own addresses and fee tiers', (AdapterClass, platformId, platformName, feeTiers) => {
+      const adapter = new AdapterClass(CHAIN_ID, provider);
+
+      expect(adapter).toBeInstanceOf(UniswapV3BaseAdapter);
+      expect(adapter.platformId).toBe(platformId);
+      expect(adapter.platformName).toBe(platformName);
+      expect(adapter.addresses).toEqual(chains[CHAIN_ID].platformAddresses[platformId]);
+      expect(adapter.feeTiers).toEqual(feeTiers);
+      expect(adapter.poolInitCodeHash).toMatch(/^0x[0-9a-f]{64}$/);
+    });
+
+    it('should throw for a chain where the fork is not deployed', () => {
+      expect(() => new SushiSwapV3Adapter(1, provider)).toThrow();
+    });
+
+    it('should only give the Uniswap adapter an AlphaRouter', () => {
+      expect(new UniswapV3Adapter(CHAIN_ID, provider).alphaRouter).toBeDefined();
+      expect(new SushiSwapV3Adapter(CHAIN_ID, provider).alphaRouter).toBeUndefined();
+      expect(new PancakeSwapV3Adapter(CHAIN_ID, provider).alphaRouter).toBeUndefined();
+    });
+  });
+
+  describe('computePoolAddress', () => {
+    it('should match the deployed Uniswap V3 WETH/USDC 0.05% pool', () => {
+      const adapter = new UniswapV3Adapter(CHAIN_ID, provider);
+      expect(adapter.computePoolAddress(USDC, WETH, 500)).toBe('0xC6962004f452bE9203591991D15f6b388e09E8D0');
+    });
+
+    it('should derive PancakeSwap pools from the pool deployer', () => {
+      const adapter = new PancakeSwapV3Adapter(CHAIN_ID, provider);
+      const [token0, token1] = WETH.toLowerCase() < USDC.toLowerCase() ? [WETH, USDC] : [USDC, WETH];
+      const salt = ethers.utils.keccak256(
+        ethers.utils.defaultAbiCoder.encode(['address', 'address', 'uint24'], [token0, token1, 2500])
+      );
+      const expected = ethers.utils.getCreate2Address(
+        chains[CHAIN_ID].platformAddresses.pancakeswapV3.poolDeployerAddress,
+        salt,
+        adapter.poolInitCodeHash
+      );
+
+      expect(adapter.computePoolAddress(WETH, USDC, 2500)).toBe(expected);
+    });
+
+    it('should reject fee tiers the platform does not support', () => {
+      expect(() => new UniswapV3Adapter(CHAIN_ID, provider).computePoolAddress(WETH, USDC, 2500))
+        .toThrow('Unsupported fee tier 2500 for Uniswap V3');
+      expect(() => new PancakeSwapV3Adapter(CHAIN_ID, provider).computePoolAddress(WETH, USDC, 3000))
+        .toThrow('Unsupported fee tier 3000 for PancakeSwap V3');
+    });
+  });
+
+  describe('PancakeSwap V3 quirks', () => {
+    let adapter;
+
+    beforeAll(() => {
+      adapter = new PancakeSwapV3Adapter(CHAIN_ID, provider);
+    });
+
+    it('should decode slot0.feeProtocol as uint32', () => {
+      const slot0 = adapter.poolInterface.getFunction('slot0');
+      expect(slot0.outputs.find(output => output.name === 'feeProtocol').type).toBe('uint32');
+    });
+
+    it('should use the PancakeSwap Swap event signature', () => {
+      expect(adapter.getSwapEventSignature()).toBe('Swap(address,address,int256,int256,uint160,uint128,int24,uint128,uint128)');
+    });
+
+    it('should align tick ranges to the 2500 tier spacing', () => {
+      const { tickLower, tickUpper } = adapter.calculateTickRangeFromPercentages(1025, 5, 5, 2500);
+      expect(tickLower % 50).toBe(0);
+      expect(tickUpper % 50).toBe(0);
+    });
+
+    it('should calculate token amounts for the 2500 fee tier', async () => {
+      const [amount0, amount1] = await adapter.calculateTokenAmounts(
+        { liquidity: '1000000000000000000', tickLower: -500, tickUpper: 500 },
+        {
+          fee: 2500,
+          sqrtPriceX96: '79228162514264337593543950336', // tick 0
+          liquidity: '1000000000000000000',
+          tick: 0
+        },
+        { address: WETH, decimals: 18 },
+        { address: USDC, decimals: 6 }
+      );
+
+      expect(amount0).toBeGreaterThan(0n);
+      expect(amount1).toBeGreaterThan(0n);
+    });
+
+    it('should generate mint and remove calldata for a 2500 pool range off the SDK spacings', async () => {
+      // -197300 and -197200 are multiples of 50 but not of Uniswap's 60
+      const stubProvider = new ethers.providers.StaticJsonRpcProvider('http://localhost:8545', { chainId: CHAIN_ID, name: 'arbitrum' });
+      const position = { id: '7', tickLower: -197300, tickUpper: -197200 };
+      const poolData = {
+        fee: 2500,
+        sqrtPriceX96: TickMath.getSqrtRatioAtTick(-197250).toString(),
+        liquidity: '1000000000000000000',
+        tick: -197250
+      };
+      const tokens = {
+        provider: stubProvider,
+        walletAddress: WALLET,
+        poolData,
+        token0Data: { address: WETH, decimals: 18 },
+        token1Data: { address: USDC, decimals: 6 },
+        slippageTolerance: 0.5,
+        deadlineMinutes: 20
+      };
+
+      const mint = await adapter.generateCreatePositionData({
+        ...tokens,
+        position,
+        token0Amount: '1000000000000000000',
+        token1Amount: '3000000000'
+      });
+      const [mintParams] = adapter.positionManagerInterface.decodeFunctionData('mint', mint.data);
+      expect(mintParams).toMatchObject({ token0: WETH, token1: USDC, fee: 2500, tickLower: -197300, tickUpper: -197200 });
+      expect(mintParams.amount0Min.gt(0) || mintParams.amount1Min.gt(0)).toBe(true);
+
+      stubCalls(stubProvider, [adapter.positionManagerInterface], {
+        positions: [0, ethers.constants.AddressZero, WETH, USDC, 2500, -197300, -197200, '5000000000', '0', '0', '0', '0']
+      });
+      try {
+        const remove = await adapter.generateRemoveLiquidityData({ ...tokens, position, percentage: 100 });
+        const [[decrease]] = adapter.positionManagerInterface.decodeFunctionData('multicall', remove.data);
+        const [decreaseParams] = adapter.positionManagerInterface.decodeFunctionData('decreaseLiquidity', decrease);
+        expect(decreaseParams.tokenId.toString()).toBe('7');
+        expect(decreaseParams.liquidity.toString()).toBe('5000000000');
+      } finally {
+        vi.restoreAllMocks();
+      }
+    });
+  });
+
+  describe('Batched reads', () => {
+    let adapter;
+    let stubProvider;
+    let pool500;
+    let pool3000;
+
+    // Three positions: two in the 0.05% pool (sharing a tick), one in the 0.3% pool
+    const POSITIONS = {
+      1: { fee: 500, tickLower: -600, tickUpper: 600 },
+      2: { fee: 500, tickLower: -600, tickUpper: 1200 },
+      3: { fee: 3000, tickLower: -1200, tickUpper: 1200 }
+    };
+
+    const stubPositions = (overrides = {}) => stubCalls(
+      stubProvider,
+      [adapter.positionManagerInterface, adapter.poolInterface],
+      {
+        balanceOf: [3],
+        tokenOfOwnerByIndex: ([, index]) => [Number(index) + 1],
+        positions: ([tokenId]) => {
+          const { fee, tickLower, tickUpper } = POSITIONS[Number(tokenId)];
+          return [0, ethers.constants.AddressZero, WETH, USDC, fee, tickLower, tickUpper, '5000', '0', '0', '0', '0'];
+        },
+        slot0: [SQRT_PRICE_TICK_0, 0, 7, 10, 10, 0, true],
+        liquidity: ['1000'],
+        feeGrowthGlobal0X128: ['111'],
+        feeGrowthGlobal1X128: ['222'],
+        protocolFees: ['0', '0'],
+        tickSpacing: (args, target) => [target === pool500 ? 10 : 60],
+        fee: (args, target) => [target === pool500 ? 500 : 3000],
+        maxLiquidityPerTick: ['1000000'],
+        observations: ([index]) => [1700000000 + Number(index), '0', '0', true],
+        ticks: ([tick]) => ['1000', '0', String(Math.abs(tick)), '0', '0', '0', 0, true],
+        ...overrides
+      },
+      { blockNumber: BLOCK_NUMBER }
+    );
+
+    beforeAll(() => {
+      stubProvider = new ethers.providers.StaticJsonRpcProvider('http://localhost:8545', { chainId: CHAIN_ID, name: 'arbitrum' });
+      adapter = new SushiSwapV3Adapter(CHAIN_ID, stubProvider);
+      pool500 = adapter.computePoolAddress(WETH, USDC, 500);
+      pool3000 = adapter.computePoolAddress(WETH, USDC, 3000);
+    });
+
+    afterEach(async () => {
+      vi.restoreAllMocks();
+      await clearPoolStateCache();
+    });
+
+    it('should read a wallet\'s positions in a fixed number of round-trips', async () => {
+      const call = stubPositions();
+
+      const { positions, poolData } = await adapter.getPositions(WALLET, stubProvider);
+
+      // balanceOf, token IDs, positions, pool state + ticks, last observations
+      expect(call).toHaveBeenCalledTimes(5);
+      expect(Object.keys(positions)).toEqual(['1', '2', '3']);
+      expect(positions['1']).toMatchObject({ pool: pool500, fee: 500, tickLower: -600, tickUpper: 600, liquidity: '5000' });
+      expect(positions['3']).toMatchObject({ pool: pool3000, fee: 3000 });
+
+      expect(Object.keys(poolData)).toEqual([pool500, pool3000]);
+      expect(poolData[pool500]).toMatchObject({
+        poolAddress: pool500,
+        sqrtPriceX96: SQRT_PRICE_TICK_0,
+        tick: 0,
+        fee: 500,
+        tickSpacing: 10,
+        lastObservation: { blockTimestamp: 1700000007, initialized: true }
+      });
+      expect(poolData[pool500].token0).toMatchObject({ address: WETH, symbol: 'WETH', decimals: 18 });
+      expect(Object.keys(poolData[pool500].ticks).map(Number).sort((a, b) => a - b)).toEqual([-600, 600, 1200]);
+      expect(poolData[pool3000].ticks['-1200']).toMatchObject({ liquidityGross: '1000', feeGrowthOutside0X128: '1200' });
+    });
+
+    it('should split batches by batchSize', async () => {
+      const call = stubPositions();
+
+      const batched = await adapter.getPositions(WALLET, stubProvider);
+      call.mockClear();
+      await clearPoolStateCache();
+      const result = await adapter.getPositions(WALLET, stubProvider, { batchSize: 2 });
+
+      // 3 token IDs, 3 positions, 21 pool reads and 2 observations in batches of 2
+      expect(call).toHaveBeenCalledTimes(1 + 2 + 2 + 11 + 1);
+      expect(result).toEqual(batched);
+    });
+
+    it('should serve pool state already read at the same block from the cache', async () => {
+      const call = stubPositions();
+
+      const first = await adapter.getPositions(WALLET, stubProvider);
+      call.mockClear();
+      const second = await adapter.getPositions(WALLET, stubProvider);
+
+      // balanceOf, token IDs and positions only - pool state, ticks and observations are cached
+      expect(call).toHaveBeenCalledTimes(3);
+      expect(second).toEqual(first);
+    });
+
+    it('should fall back to per-call reads', async () => {
+      const call = stubPositions();
+
+      const batched = await adapter.getPositions(WALLET, stubProvider);
+      call.mockClear();
+      const result = await adapter.getPositionsForVDS(WALLET, stubProvider, { multicall: false });
+
+      expect(call.mock.calls.some(([tx]) => tx.to === MULTICALL3_ADDRESS)).toBe(false);
+      expect(Object.keys(result.positions)).toEqual(Object.keys(batched.positions));
+      expect(result.poolData[pool500]).toMatchObject({ fee: 500, token0Symbol: 'WETH', token1Symbol: 'USDC' });
+    });
+
+    it('should report every position whose reads failed', async () => {
+      stubPositions({
+        positions: ([tokenId]) => {
+          if (Number(tokenId) === 2) {
+            throw new Error('revert');
+          }
+          const { fee, tickLower, tickUpper } = POSITIONS[Number(tokenId)];
+          return [0, ethers.constants.AddressZero, WETH, USDC, fee, tickLower, tickUpper, '5000', '0', '0', '0', '0'];
+        },
+        slot0: (args, target) => {
+          if (target === pool3000) {
+            throw new Error('revert');
+          }
+          return [SQRT_PRICE_TICK_0, 0, 7, 10, 10, 0, true];
+        }
+      });
+
+      await expect(adapter.getPositions(WALLET, stubProvider)).rejects.toThrow(
+        `Failed to process 2 position(s): Position 2: positions call to ${adapter.addresses.positionManagerAddress} reverted; ` +
+        `Position 3: Failed to fetch pool data: slot0 call to ${pool3000} reverted`
+      );
+    });
+
+    it('should validate read options', async () => {
+      await expect(adapter.getPositions(WALLET, stubProvider, { multicall: 'yes' })).rejects.toThrow('multicall must be a boolean');
+      await expect(adapter.getPositions(WALLET, stubProvider, { batchSize: 0 })).rejects.toThrow('batchSize must be a positive integer');
+      await expect(adapter.getPoolData(pool500, { batchSize: 1.5 }, stubProvider)).rejects.toThrow('batchSize must be a positive integer');
+    });
+
+    it('should read pool data, ticks and tokens in one round-trip', async () => {
+      const call = stubPositions({ token0: [WETH], token1: [USDC] });
+
+      const poolData = await adapter.getPoolData(pool500, { includeTicks: [-600, 600], includeTokens: true }, stubProvider);
+
+      expect(call).toHaveBeenCalledTimes(1);
+      expect(poolData).toMatchObject({
+        address: pool500,
+        sqrtPriceX96: SQRT_PRICE_TICK_0,
+        liquidity: '1000',
+        feeGrowthGlobal0X128: '111',
+        fee: 500,
+        token0: WETH,
+        token1: USDC
+      });
+      expect(poolData.ticks['-600']).toMatchObject({ liquidityGross: '1000', feeGrowthOutside0X128: '600', initialized: true });
+    });
+
+    describe('blockTag', () => {
+      const blockTags = (call) => call.mock.calls.map(([, blockTag]) => blockTag);
+
+      it('should pin every position read to the latest block', async () => {
+        const call = stubPositions();
+
+        const { positions, poolData, blockNumber } = await adapter.getPositions(WALLET, stubProvider);
+
+        expect(blockNumber).toBe(BLOCK_NUMBER);
+        expect(new Set(blockTags(call))).toEqual(new Set([BLOCK_NUMBER]));
+        expect(positions['1'].blockNumber).toBe(BLOCK_NUMBER);
+        expect(poolData[pool500].blockNumber).toBe(BLOCK_NUMBER);
+      });
+
+      it('should read positions at a historical block, batched or not', async () => {
+        const call = stubPositions();
+
+        const batched = await adapter.getPositions(WALLET, stubProvider, { blockTag: 1234 });
+        const perCall = await adapter.getPositionsForVDS(WALLET, stubProvider, { blockTag: '0x4d2', multicall: false });
+
+        expect(batched.blockNumber).toBe(1234);
+        expect(perCall.blockNumber).toBe(1234);
+        expect(new Set(blockTags(call))).toEqual(new Set([1234]));
+        expect(stubProvider.getBlockNumber).not.toHaveBeenCalled();
+      });
+
+      it('should read pool data and ticks at the requested block', async () => {
+        const call = stubPositions();
+
+        const poolData = await adapter.getPoolData(pool500, { includeTicks: [-600], blockTag: 1234 }, stubProvider);
+        const tickData = await adapter.fetchTickData(pool500, -600, 600, stubProvider, { blockTag: 1234 });
+
+        expect(poolData.blockNumber).toBe(1234);
+        expect(tickData.blockNumber).toBe(1234);
+        expect(tickData.tickUpper).toMatchObject({ feeGrowthOutside0X128: '600' });
+        expect(new Set(blockTags(call))).toEqual(new Set([1234]));
+      });
+
+      it('should reject invalid block tags', async () => {
+        await expect(adapter.getPositions(WALLET, stubProvider, { blockTag: -1 })).rejects.toThrow('Invalid block tag: -1');
+        await expect(adapter.getPoolData(pool500, { blockTag: 'yesterday' }, stubProvider)).rejects.toThrow('Invalid block tag: yesterday');
+        await expect(adapter.fetchTickData(pool500, -600, 600, stubProvider, { blockTag: 1.5 })).rejects.toThrow('Invalid block tag: 1.5');
+      });
+
+      it('should refuse to calculate fees from positions and pools read at different blocks', async () => {
+        stubPositions();
+
+        const { positions, poolData } = await adapter.getPositions(WALLET, stubProvider);
+        const [fees0] = adapter.calculateUncollectedFees(positions['1'], poolData[pool500]);
+        expect(typeof fees0).toBe('bigint');
+
+        expect(() => adapter.calculateUncollectedFees(positions['1'], { ...poolData[pool500], blockNumber: 1234 }))
+          .toThrow(`position (block ${BLOCK_NUMBER}) and poolData (block 1234) must be read at the same block`);
+      });
+    });
+  });
+
+  describe('Swap simulation', () => {
+    let adapter;
+
+    // Two positions around tick 0: 1e18 over [-600, 600] and 5e17 over [-1200, 1200]
+    const TICKS = [
+      { index: -1200, liquidityNet: '500000000000000000', liquidityGross: '500000000000000000' },
+      { index: -600, liquidityNet: '1000000000000000000', liquidityGross: '1000000000000000000' },
+      { index: 600, liquidityNet: '-1000000000000000000', liquidityGross: '1000000000000000000' },
+      { index: 1200, liquidityNet: '-500000000000000000', liquidityGross: '500000000000000000' }
+    ];
+    const POOL_DATA = { sqrtPriceX96: SQRT_PRICE_TICK_0, tick: 0, liquidity: '1500000000000000000', fee: 500 };
+
+    /**
+     * Quote the same swap with the V3 SDK's own swap loop
+     * @param {boolean} zeroForOne - Swap direction
+     * @param {string} amountIn - Input amount
+     * @returns {Promise<Object>} SDK output amount and pool after the swap
+     */
+    const sdkQuote = async (zeroForOne, amountIn) => {
+      const token0 = new Token(CHAIN_ID, WETH, 18);
+      const token1 = new Token(CHAIN_ID, USDC, 18);
+      const [sorted0, sorted1] = token0.sortsBefore(token1) ? [token0, token1] : [token1, token0];
+      const pool = new Pool(sorted0, sorted1, 500, SQRT_PRICE_TICK_0, POOL_DATA.liquidity, 0, new TickListDataProvider(TICKS, 10));
+      const [amountOut, poolAfter] = await pool.getOutputAmount(
+        CurrencyAmount.fromRawAmount(zeroForOne ? sorted0 : sorted1, amountIn)
+      );
+      return { amountOut: amountOut.quotient.toString(), poolAfter };
+    };
+
+    beforeAll(() => {
+      adapter = new UniswapV3Adapter(CHAIN_ID, provider);
+    });
+
+    it.each([
+      ['token0 for token1 across tick -600', true, '50000000000000000', [-600]],
+      ['token1 for token0 within one range', false, '10000000000000000', []],
+      ['token1 for token0 across tick 600', false, '50000000000000000', [600]]
+    ])('should match the SDK swap loop for %s', async (_, zeroForOne, amountIn, ticksCrossed) => {
+      const result = adapter.simulateSwap({ poolData: POOL_DATA, ticks: TICKS, zeroForOne, amountIn });
+      const { amountOut, poolAfter } = await sdkQuote(zeroForOne, amountIn);
+
+      expect(result.amountIn).toBe(amountIn);
+      expect(result.amountOut).toBe(amountOut);
+      expect(result.sqrtPriceX96After).toBe(poolAfter.sqrtRatioX96.toString());
+      expect(result.tickAfter).toBe(poolAfter.tickCurrent);
+      expect(result.liquidityAfter).toBe(poolAfter.liquidity.toString());
+      expect(result.ticksCrossed).toEqual(ticksCrossed);
+
+      // The fee is taken from the input of every step
+      const expectedFee = BigInt(amountIn) * 500n / 1000000n;
+      expect(BigInt(result.feeAmount) - expectedFee).toBeLessThanOrEqual(2n);
+      expect(BigInt(result.feeAmount) - expectedFee).toBeGreaterThanOrEqual(0n);
+    });
+
+    it('should stop at tick bitmap word boundaries like the SDK swap loop', async () => {
+      // WETH/USDC-like 0.05% pool at tick -197250: buying WETH moves up through the word boundary after -197130
+      const ticks = [
+        { index: -198000, liquidityNet: '2000000000000000', liquidityGross: '2000000000000000' },
+        { index: -196000, liquidityNet: '-2000000000000000', liquidityGross: '2000000000000000' }
+      ];
+      const poolData = {
+        sqrtPriceX96: TickMath.getSqrtRatioAtTick(-197250).toString(),
+        tick: -197250,
+        liquidity: '2000000000000000',
+        fee: 500
+      };
+      const [weth, usdc] = [new Token(CHAIN_ID, WETH, 18), new Token(CHAIN_ID, USDC, 6)];
+      const pool = new Pool(weth, usdc, 500, poolData.sqrtPriceX96, poolData.liquidity, poolData.tick, new TickListDataProvider(ticks, 10));
+      const [amountOut, poolAfter] = await pool.getOutputAmount(CurrencyAmount.fromRawAmount(usdc, '2000000000'));
+
+      const result = adapter.simulateSwap({ poolData, ticks, zeroForOne: false, amountIn: '2000000000' });
+
+      expect(result.tickAfter).toBeGreaterThan(-197130);
+      expect(result.amountOut).toBe(amountOut.quotient.toString());
+      expect(result.sqrtPriceX96After).toBe(poolAfter.sqrtRatioX96.toString());
+      expect(result.ticksCrossed).toEqual([]);
+    });
+
+    it('should stop at the price limit and report the input it used', () => {
+      const sqrtPriceLimitX96 = TickMath.getSqrtRatioAtTick(1300).toString();
+
+      const result = adapter.simulateSwap({
+        poolData: POOL_DATA,
+        ticks: TICKS,
+        zeroForOne: false,
+        amountIn: '1000000000000000000',
+        sqrtPriceLimitX96
+      });
+
+      expect(result.sqrtPriceX96After).toBe(sqrtPriceLimitX96);
+      expect(result.tickAfter).toBe(1300);
+      expect(result.ticksCrossed).toEqual([600, 1200]);
+      expect(result.liquidityAfter).toBe('0');
+      expect(BigInt(result.amountIn)).toBeLessThan(10n ** 18n);
+    });
+
+    it('should refuse to guess past the loaded tick range', () => {
+      const params = { poolData: POOL_DATA, ticks: TICKS.slice(1, 3), zeroForOne: true, tickRange: { lower: -1000, upper: 1000 } };
+
+      expect(adapter.simulateSwap({ ...params, amountIn: '10000000000000000' }).ticksCrossed).toEqual([]);
+      expect(() => adapter.simulateSwap({ ...params, amountIn: '100000000000000000' }))
+        .toThrow('Swap moves past the loaded tick range [-1000, 1000]; load more tick data');
+    });
+
+    it('should validate its parameters', () => {
+      const params = { poolData: POOL_DATA, ticks: TICKS, zeroForOne: true, amountIn: '1000' };
+
+      expect(() => adapter.simulateSwap({ ...params, poolData: null })).toThrow('poolData parameter is required');
+      expect(() => adapter.simulateSwap({ ...params, poolData: { ...POOL_DATA, liquidity: 5 } })).toThrow('poolData.liquidity must be a numeric string');
+      expect(() => adapter.simulateSwap({ ...params, poolData: { ...POOL_DATA, fee: undefined } })).toThrow('poolData.fee must be a valid fee');
+      expect(() => adapter.simulateSwap({ ...params, ticks: [{ index: 0.5, liquidityNet: '1' }] })).toThrow('Tick 0 must have an integer index');
+      expect(() => adapter.simulateSwap({ ...params, zeroForOne: 'yes' })).toThrow('zeroForOne must be a boolean');
+      expect(() => adapter.simulateSwap({ ...params, amountIn: '0' })).toThrow('AmountIn cannot be zero');
+      expect(() => adapter.simulateSwap({ ...params, sqrtPriceLimitX96: TickMath.getSqrtRatioAtTick(10).toString() }))
+        .toThrow('sqrtPriceLimitX96 must be below the current price');
+      expect(() => adapter.simulateSwap({ ...params, tickRange: { lower: 10, upper: 20 } })).toThrow('tickRange must have integer lower and upper bounds');
+    });
+
+    describe('fetchSwapTickData', () => {
+      let stubProvider;
+      let pool;
+
+      beforeAll(() => {
+        stubProvider = new ethers.providers.StaticJsonRpcProvider('http://localhost:8545', { chainId: CHAIN_ID, name: 'arbitrum' });
+        pool = adapter.computePoolAddress(WETH, USDC, 500);
+      });
+
+      afterEach(async () => {
+        vi.restoreAllMocks();
+        await clearPoolStateCache();
+      });
+
+      it('should load the initialized ticks around the current tick from the bitmap', async () => {
+        // Compressed ticks -60 and 60 (ticks -600 and 600), plus compressed tick 256 (2560) in the next word
+        const words = { '-1': 1n << 196n, 0: 1n << 60n, 1: 1n };
+        const call = stubCalls(stubProvider, [adapter.poolInterface], {
+          slot0: [SQRT_PRICE_TICK_0, 0, 0, 1, 1, 0, true],
+          tickSpacing: [10],
+          tickBitmap: ([wordPosition]) => [(words[wordPosition] ?? 0n).toString()],
+          ticks: ([tick]) => ['7', String(-tick), '0', '0', '0', '0', 0, true]
+        }, { blockNumber: BLOCK_NUMBER });
+
+        const result = await adapter.fetchSwapTickData(pool, stubProvider, { words: 1 });
+
+        expect(result.ticks).toEqual([
+          { index: -600, liquidityNet: '600', liquidityGross: '7' },
+          { index: 600, liquidityNet: '-600', liquidityGross: '7' },
+          { index: 2560, liquidityNet: '-2560', liquidityGross: '7' }
+        ]);
+        expect(result.tickRange).toEqual({ lower: -2560, upper: 5110 });
+        expect(result.tick).toBe(0);
+        expect(result.blockNumber).toBe(BLOCK_NUMBER);
+        expect(call).toHaveBeenCalledTimes(3);
+      });
+
+      it('should validate its parameters', async () => {
+        await expect(adapter.fetchSwapTickData('bad', stubProvider)).rejects.toThrow('Invalid pool address: bad');
+        await expect(adapter.fetchSwapTickData(pool, stubProvider, { words: 0 })).rejects.toThrow('words must be a positive integer');
+        await expect(adapter.fetchSwapTickData(pool, stubProvider, { blockTag: 'soon' })).rejects.toThrow('Invalid block tag: soon');
+      });
+    });
+
+    describe('planZapIn', () => {
+      // WETH sorts before USDC, so WETH is token0
+      const token0Data = { address: WETH, decimals: 18 };
+      const token1Data = { address: USDC, decimals: 18 };
+      const zapProvider = new ethers.providers.StaticJsonRpcProvider('http://localhost:8545', { chainId: CHAIN_ID, name: 'arbitrum' });
+      const zap = (overrides) => adapter.planZapIn({
+        tokenIn: WETH,
+        amountIn: '100000000000000000',
+        position: { tickLower: -600, tickUpper: 600 },
+        poolData: POOL_DATA,
+        ticks: TICKS,
+        token0Data,
+        token1Data,
+        walletAddress: WALLET,
+        slippageTolerance: 0,
+        deadlineMinutes: 20,
+        provider: zapProvider,
+        ...overrides
+      });
+      const decode = (iface, tx) => iface.parseTransaction({ data: tx.data });
+
+      it('should swap just enough of the input for the range to take both tokens', async () => {
+        const result = await zap();
+        const [approveRouter, swap, approve0, approve1, mint] = result.transactions;
+
+        expect(result.transactions).toHaveLength(5);
+        expect(approveRouter.target).toBe(WETH);
+        expect(decode(adapter.erc20Interface, approveRouter).args.map(String)).toEqual([adapter.addresses.routerAddress, result.swapAmount]);
+
+        const swapParams = decode(adapter.swapRouterInterface, swap).args[0];
+        expect(swap.target).toBe(adapter.addresses.routerAddress);
+        expect(swapParams.tokenIn).toBe(WETH);
+        expect(swapParams.tokenOut).toBe(USDC);
+        expect(swapParams.recipient).toBe(ethers.utils.getAddress(WALLET));
+        expect(swapParams.amountIn.toString()).toBe(result.swapAmount);
+        expect(swapParams.amountOutMinimum.toString()).toBe(result.swap.amountOut);
+
+        // The mint takes what is left of the input and the swap output, up to rounding
+        const { amount0, amount1 } = result.quote.position.mintAmounts;
+        expect(result.token0Amount).toBe((10n ** 17n - BigInt(result.swapAmount)).toString());
+        expect(result.token1Amount).toBe(result.swap.amountOut);
+        expect(BigInt(result.token0Amount) - BigInt(amount0.toString())).toBeLessThan(10n ** 8n);
+        expect(BigInt(result.token1Amount) - BigInt(amount1.toString())).toBeLessThan(10n ** 8n);
+
+        expect([approve0.target, approve1.target]).toEqual([WETH, USDC]);
+        expect(decode(adapter.erc20Interface, approve0).args[1].toString()).toBe(amount0.toString());
+        expect(mint.target).toBe(adapter.addresses.positionManagerAddress);
+        expect(decode(adapter.positionManagerInterface, mint).name).toBe('mint');
+      });
+
+      it('should only promise the minimum swap output to the mint', async () => {
+        const result = await zap({ slippageTolerance: 1 });
+
+        expect(result.amountOutMinimum).toBe((BigInt(result.swap.amountOut) * 9900n / 10000n).toString());
+        expect(result.token1Amount).toBe(result.amountOutMinimum);
+      });
+
+      it('should not swap when the range takes only the input token', async () => {
+        const result = await zap({ position: { tickLower: 600, tickUpper: 1200 } });
+
+        expect(result.swapAmount).toBe('0');
+        expect(result.swap).toBeNull();
+        expect(result.transactions.map(({ target }) => target)).toEqual([WETH, adapter.addresses.positionManagerAddress]);
+      });
+
+      it('should swap all of the input when the range takes only the other token', async () => {
+        const result = await zap({ tokenIn: USDC, amountIn: '10000000000000000', position: { tickLower: 600, tickUpper: 1200 } });
+
+        expect(result.swapAmount).toBe('10000000000000000');
+        expect(result.token1Amount).toBe('0');
+        expect(result.transactions.map(({ target }) => target)).toEqual([
+          USDC, adapter.addresses.routerAddress, WETH, adapter.addresses.positionManagerAddress
+        ]);
+      });
+
+      it('should validate its parameters', async () => {
+        await expect(zap({ tokenIn: WALLET })).rejects.toThrow(`TokenIn ${WALLET} is not one of the pool tokens`);
+        await expect(zap({ amountIn: '0' })).rejects.toThrow('AmountIn cannot be zero');
+        await expect(zap({ position: { tickLower: 600, tickUpper: -600 } })).rejects.toThrow('Position tickLower must be less than tickUpper');
+        await expect(zap({ walletAddress: 'bad' })).rejects.toThrow('Invalid wallet address: bad');
+        await expect(zap({ slippageTolerance: 101 })).rejects.toThrow('Slippage tolerance must be between 0 and 100');
+        await expect(zap({ ticks: null })).rejects.toThrow('Failed to plan zap in: Ticks must be an array');
+      });
+    });
+
+    describe('buildRebalancePlan', () => {
+      const VAULT = '0x00000000000000000000000000000000000000A1';
+      const BOB = contractData.bob.addresses['42161'];
+      const vaultInterface = new ethers.utils.Interface(contractData.PositionVault.abi);
+      const bobInterface = new ethers.utils.Interface(contractData.bob.abi);
+
+      // The vault owns the whole 1e18 position over [-600, 600], with 1000 / 2000 wei of fees owed
+      const LIQUIDITY = '1000000000000000000';
+      let stubProvider;
+      let position;
+
+      /**
+       * Serve the pool, position manager, vault and strategy reads of a rebalance
+       * @returns {Object} The call spy
+       */
+      const stubRebalanceReads = () => stubCalls(stubProvider, [adapter.poolInterface, adapter.positionManagerInterface, vaultInterface, bobInterface], {
+        slot0: [SQRT_PRICE_TICK_0, 0, 0, 1, 1, 0, true],
+        liquidity: [POOL_DATA.liquidity],
+        feeGrowthGlobal0X128: ['0'],
+        feeGrowthGlobal1X128: ['0'],
+        fee: [500],
+        token0: [WETH],
+        token1: [USDC],
+        ticks: ([tick]) => [LIQUIDITY, String(tick < 0 ? LIQUIDITY : -LIQUIDITY), '0', '0', '0', '0', 0, true],
+        positions: [0, ethers.constants.AddressZero, WETH, USDC, 500, -600, 600, LIQUIDITY, '0', '0', '1000', '2000'],
+        strategy: [BOB],
+        // bob's getAllParameters outputs are unnamed, so its parameters are read from its get<Field>(vault) views
+        getTargetRangeUpper: [500],
+        getTargetRangeLower: [500],
+        getRebalanceThresholdUpper: [150],
+        getRebalanceThresholdLower: [150],
+        getFeeReinvestment: [true],
+        getReinvestmentTrigger: [2500],
+        getReinvestmentRatio: [8000],
+        getMaxSlippage: [50],
+        getEmergencyExitTrigger: [1500],
+        getMaxUtilization: [2000]
+      }, { blockNumber: BLOCK_NUMBER });
+
+      beforeAll(() => {
+        stubProvider = new ethers.providers.StaticJsonRpcProvider('http://localhost:8545', { chainId: CHAIN_ID, name: 'arbitrum' });
+        position = {
+          id: '7',
+          pool: adapter.computePoolAddress(WETH, USDC, 500),
+          tickLower: -600,
+          tickUpper: 600,
+          liquidity: LIQUIDITY,
+          feeGrowthInside0LastX128: '0',
+          feeGrowthInside1LastX128: '0',
+          tokensOwed0: '1000',
+          tokensOwed1: '2000'
+        };
+      });
+
+      afterEach(async () => {
+        vi.restoreAllMocks();
+        await clearPoolStateCache();
+      });
+
+      it('should close the position, swap to the new range ratio and mint in one batch', async () => {
+        stubRebalanceReads();
+
+        const plan = await adapter.buildRebalancePlan(VAULT, position, { tickLower: -300, tickUpper: 900 }, {
+          provider: stubProvider,
+          ticks: TICKS,
+          slippageTolerance: 0
+        });
+
+        // At tick 0 the symmetric position withdraws as much token0 as token1; fees are the tokens owed
+        expect(plan.blockNumber).toBe(BLOCK_NUMBER);
+        expect(Math.abs(Number(BigInt(plan.withdrawn.amount0) - BigInt(plan.withdrawn.amount1)))).toBeLessThanOrEqual(2);
+        expect(plan.fees).toEqual({ amount0: '1000', amount1: '2000' });
+
+        // The new range sits mostly above the price, so token1 is swapped for token0 in the pool without the position
+        expect(plan.swap).toMatchObject({ tokenIn: USDC, tokenOut: WETH, amountOutMinimum: plan.swap.amountOut });
+        const alone = adapter.simulateSwap({
+          poolData: { ...POOL_DATA, liquidity: '500000000000000000' },
+          ticks: [TICKS[0], TICKS[3]],
+          zeroForOne: false,
+          amountIn: plan.swap.amountIn
+        });
+        expect(plan.swap.sqrtPriceX96After).toBe(alone.sqrtPriceX96After);
+
+        // Everything withdrawn ends up in the new position, up to rounding
+        expect(BigInt(plan.idle.amount0)).toBeLessThan(10n ** 8n);
+        expect(BigInt(plan.idle.amount1)).toBeLessThan(10n ** 8n);
+
+        expect(plan.transactions.map(({ target }) => target)).toEqual([
+          adapter.addresses.positionManagerAddress,
+          USDC,
+          adapter.addresses.routerAddress,
+          WETH,
+          USDC,
+          adapter.addresses.positionManagerAddress
+        ]);
+        const remove = adapter.positionManagerInterface.parseTransaction({ data: plan.transactions[0].data });
+        const [decrease] = remove.args[0].map(data => adapter.positionManagerInterface.parseTransaction({ data }));
+        expect(decrease.name).toBe('decreaseLiquidity');
+        expect(decrease.args[0].liquidity.toString()).toBe(LIQUIDITY);
+
+        const swapParams = adapter.swapRouterInterface.parseTransaction({ data: plan.transactions[2].data }).args[0];
+        expect(swapParams.recipient).toBe(ethers.utils.getAddress(VAULT));
+        expect(swapParams.amountIn.toString()).toBe(plan.swap.amountIn);
+
+        const mint = adapter.positionManagerInterface.parseTransaction({ data: plan.transactions[5].data }).args[0];
+        expect([mint.tickLower, mint.tickUpper]).toEqual([-300, 900]);
+        expect(mint.amount0Desired.toString()).toBe(plan.newPosition.amount0);
+        expect(mint.recipient).toBe(ethers.utils.getAddress(VAULT));
+      });
+
+      it('should bound every step by the strategy maxSlippage', async () => {
+        stubRebalanceReads();
+
+        const plan = await adapter.buildRebalancePlan(VAULT, position, { tickLower: -300, tickUpper: 900 }, {
+          provider: stubProvider,
+          ticks: TICKS
+        });
+
+        // Bob's maxSlippage parameter is 50 basis points
+        expect(plan.slippageTolerance).toBe(0.5);
+        expect(plan.swap.amountOutMinimum).toBe((BigInt(plan.swap.amountOut) * 9950n / 10000n).toString());
+
+        // The mint is sized from the guaranteed amounts, so the slippage margin stays idle
+        expect(BigInt(plan.idle.amount0)).toBeGreaterThan(0n);
+        const remove = adapter.positionManagerInterface.parseTransaction({ data: plan.transactions[0].data });
+        const [decrease] = remove.args[0].map(data => adapter.positionManagerInterface.parseTransaction({ data }));
+        expect(BigInt(decrease.args[0].amount0Min.toString())).toBeLessThan(BigInt(plan.withdrawn.amount0));
+      });
+
+      it('should read at the block the position was read at', async () => {
+        const call = stubRebalanceReads();
+
+        const plan = await adapter.buildRebalancePlan(VAULT, { ...position, blockNumber: 1234 }, { tickLower: -600, tickUpper: 600 }, {
+          provider: stubProvider,
+          ticks: TICKS
+        });
+
+        expect(plan.blockNumber).toBe(1234);
+        expect(call.mock.calls.filter(([tx]) => tx.to === MULTICALL3_ADDRESS).every(([, blockTag]) => blockTag === 1234)).toBe(true);
+      });
+
+      it('should validate its parameters', async () => {
+        const options = { provider: stubProvider, ticks: TICKS };
+        const range = { tickLower: -300, tickUpper: 900 };
+
+        await expect(adapter.buildRebalancePlan('bad', position, range, options)).rejects.toThrow('Invalid vault address: bad');
+        await expect(adapter.buildRebalancePlan(VAULT, { ...position, id: 7 }, range, options)).rejects.toThrow('Position ID must be a numeric string');
+        await expect(adapter.buildRebalancePlan(VAULT, { ...position, liquidity: '0' }, range, options)).rejects.toThrow('Position has no liquidity to rebalance');
+        await expect(adapter.buildRebalancePlan(VAULT, position, { tickLower: 900, tickUpper: -300 }, options)).rejects.toThrow('New range tickLower must be less than tickUpper');
+        await expect(adapter.buildRebalancePlan(VAULT, position, range, { ...options, slippageTolerance: -1 })).rejects.toThrow('Slippage tolerance must be between 0 and 100');
+        await expect(adapter.buildRebalancePlan(VAULT, position, range, { ...options, blockTag: 'soon' })).rejects.toThrow('Invalid block tag: soon');
+      });
+    });
+  });
+
+  describe('Router swaps', () => {
+    const WBTC = '0x2f2a2543B76A4166549F7aaB2e75Bef0aefC5B0f';
+    const PATH = { tokens: [WBTC, WETH, USDC], fees: [500, 3000] };
+    const pathProvider = new ethers.providers.StaticJsonRpcProvider('http://localhost:8545', { chainId: CHAIN_ID, name: 'arbitrum' });
+    let adapter;
+
+    beforeAll(() => {
+      adapter = new UniswapV3Adapter(CHAIN_ID, pathProvider);
+    });
+
+    /**
+     * Quote 2000 out per unit in for exact input, and 2x the output for exact output
+     * @returns {Object} The call spy
+     */
+    const stubQuoter = () => stubCalls(pathProvider, [adapter.quoterInterface], {
+      quoteExactInput: ([, amountIn]) => [amountIn.mul(2000), [], [], 0],
+      quoteExactOutput: ([, amountOut]) => [amountOut.mul(2), [], [], 0],
+      quoteExactInputSingle: ([{ amountIn }]) => [amountIn.mul(2000), 0, 0, 0],
+      quoteExactOutputSingle: ([{ amount }]) => [amount.mul(2), 0, 0, 0]
+    }, { blockNumber: BLOCK_NUMBER });
+    const pack = (types, values) => ethers.utils.solidityPack(types, values).toLowerCase();
+    const singleSwap = (overrides) => adapter.generateSwapData({
+      tokenIn: WETH,
+      tokenOut: USDC,
+      fee: 500,
+      recipient: WALLET,
+      amountIn: '100000',
+      slippageTolerance: 0.5,
+      sqrtPriceLimitX96: '0',
+      deadlineMinutes: 20,
+      provider: pathProvider,
+      ...overrides
+    });
+    const swap = (overrides) => adapter.generateSwapData({
+      path: PATH,
+      recipient: WALLET,
+      amountIn: '100000',
+      slippageTolerance: 0.5,
+      deadlineMinutes: 20,
+      provider: pathProvider,
+      ...overrides
+    });
+
+    it('should quote a single-pool exact output with quoteExactOutputSingle', async () => {
+      const call = stubQuoter();
+
+      const amountIn = await adapter.getSwapQuote({ tokenInAddress: WETH, tokenOutAddress: USDC, fee: 500, amountOut: '1000', provider: pathProvider });
+
+      const request = adapter.quoterInterface.parseTransaction({ data: call.mock.calls[0][0].data });
+      expect(amountIn).toBe('2000');
+      expect(request.name).toBe('quoteExactOutputSingle');
+      expect(request.args[0].amount.toString()).toBe('1000');
+      expect(request.args[0].fee).toBe(500);
+    });
+
+    it('should encode exactOutputSingle with a maximum input rounded up', async () => {
+      stubQuoter();
+
+      const txData = await singleSwap({ amountIn: undefined, amountOut: '333', slippageTolerance: 1 });
+      const decoded = adapter.swapRouterInterface.parseTransaction({ data: txData.data });
+
+      expect(txData.to).toBe(adapter.addresses.routerAddress);
+      expect(decoded.name).toBe('exactOutputSingle');
+      expect(decoded.args.params.tokenIn).toBe(WETH);
+      expect(decoded.args.params.fee).toBe(500);
+      expect(decoded.args.params.amountOut.toString()).toBe('333');
+      expect(decoded.args.params.amountInMaximum.toString()).toBe('673');
+      expect(decoded.args.params.sqrtPriceLimitX96.toString()).toBe('0');
+    });
+
+    it('should keep exact input swaps on exactInputSingle', async () => {
+      stubQuoter();
+
+      const decoded = adapter.swapRouterInterface.parseTransaction({ data: (await singleSwap()).data });
+
+      expect(decoded.name).toBe('exactInputSingle');
+      expect(decoded.args.params.amountOutMinimum.toString()).toBe('199000000');
+    });
+
+    it('should validate exact input and exact output amounts alike', async () => {
+      await expect(singleSwap({ amountOut: '1' })).rejects.toThrow('Exactly one of amountIn or amountOut is required');
+      await expect(singleSwap({ amountIn: undefined })).rejects.toThrow('AmountIn parameter is required (or amountOut for an exact-output swap)');
+      await expect(singleSwap({ amountIn: undefined, amountOut: 5 })).rejects.toThrow('AmountOut must be a string');
+      await expect(singleSwap({ amountIn: undefined, amountOut: '1.5' })).rejects.toThrow('AmountOut must be a positive numeric string');
+      await expect(singleSwap({ amountIn: undefined, amountOut: '0' })).rejects.toThrow('AmountOut cannot be zero');
+      await expect(adapter.getSwapQuote({ tokenInAddress: WETH, tokenOutAddress: USDC, fee: 500, amountIn: '1', amountOut: '1', provider: pathProvider }))
+        .rejects.toThrow('Exactly one of amountIn or amountOut is required');
+    });
+
+    it('should encode paths token by token, reversed for exact output', () => {
+      expect(adapter._encodeSwapPath(PATH, false)).toBe(pack(['address', 'uint24', 'address', 'uint24', 'address'], [WBTC, 500, WETH, 3000, USDC]));
+      expect(adapter._encodeSwapPath(PATH, true)).toBe(pack(['address', 'uint24', 'address', 'uint24', 'address'], [USDC, 3000, WETH, 500, WBTC]));
+    });
+
+    it('should quote exact input and exact output along the path', async () => {
+      const call = stubQuoter();
+
+      expect(await adapter.getSwapQuote({ path: PATH, amountIn: '100000', provider: pathProvider })).toBe('200000000');
+      expect(await adapter.getSwapQuote({ path: PATH, amountOut: '1000000', provider: pathProvider })).toBe('2000000');
+
+      const [exactIn, exactOut] = call.mock.calls.map(([tx]) => adapter.quoterInterface.parseTransaction({ data: tx.data }));
+      expect(call.mock.calls[0][0].to).toBe(adapter.addresses.quoterAddress);
+      expect(exactIn.name).toBe('quoteExactInput');
+      expect(exactIn.args.path).toBe(adapter._encodeSwapPath(PATH, false));
+      expect(exactOut.name).toBe('quoteExactOutput');
+      expect(exactOut.args.path).toBe(adapter._encodeSwapPath(PATH, true));
+    });
+
+    it('should encode exactInput with a minimum output', async () => {
+      stubQuoter();
+
+      const txData = await swap();
+      const decoded = adapter.swapRouterInterface.parseTransaction({ data: txData.data });
+
+      expect(txData).toMatchObject({ to: adapter.addresses.routerAddress, value: '0x00' });
+      expect(decoded.name).toBe('exactInput');
+      expect(decoded.args.params.path).toBe(adapter._encodeSwapPath(PATH, false));
+      expect(decoded.args.params.recipient).toBe(ethers.utils.getAddress(WALLET));
+      expect(decoded.args.params.amountIn.toString()).toBe('100000');
+      expect(decoded.args.params.amountOutMinimum.toString()).toBe('199000000');
+    });
+
+    it('should encode exactOutput with a maximum input rounded up', async () => {
+      stubQuoter();
+
+      const txData = await swap({ amountIn: undefined, amountOut: '333', slippageTolerance: 1 });
+      const decoded = adapter.swapRouterInterface.parseTransaction({ data: txData.data });
+
+      expect(decoded.name).toBe('exactOutput');
+      expect(decoded.args.params.path).toBe(adapter._encodeSwapPath(PATH, true));
+      expect(decoded.args.params.amountOut.toString()).toBe('333');
+      // 666 * 1.01 = 672.66
+      expect(decoded.args.params.amountInMaximum.toString()).toBe('673');
+    });
+
+    it('should validate path swaps', async () => {
+      await expect(swap({ tokenIn: WBTC })).rejects.toThrow('Path swaps take their tokens and fees from path; remove tokenIn');
+      await expect(swap({ path: [WBTC, USDC] })).rejects.toThrow('Path must be an object with tokens and fees');
+      await expect(swap({ path: { tokens: [WBTC], fees: [] } })).rejects.toThrow('Path tokens must be an array of at least 2 addresses');
+      await expect(swap({ path: { tokens: [WBTC, 'bad'], fees: [500] } })).rejects.toThrow('Invalid path token address: bad');
+      await expect(swap({ path: { tokens: [WBTC, WBTC], fees: [500] } })).rejects.toThrow(`Path hop 0 swaps ${WBTC} for itself`);
+      await expect(swap({ path: { tokens: [WBTC, WETH, USDC], fees: [500] } })).rejects.toThrow('Path fees must be an array with one fee per hop (2)');
+      await expect(swap({ path: { tokens: [WBTC, WETH], fees: [2500] } })).rejects.toThrow('Invalid fee tier: 2500');
+      await expect(swap({ amountOut: '1' })).rejects.toThrow('Exactly one of amountIn or amountOut is required');
+      await expect(swap({ amountIn: undefined, amountOut: '0' })).rejects.toThrow('AmountOut cannot be zero');
+      await expect(swap({ sqrtPriceLimitX96: '1' })).rejects.toThrow('sqrtPriceLimitX96 is not supported for path swaps');
+      await expect(swap({ slippageTolerance: 101 })).rejects.toThrow('Slippage tolerance must be between 0 and 100');
+      await expect(adapter.getSwapQuote({ path: PATH, provider: pathProvider })).rejects.toThrow('AmountIn parameter is required');
+    });
+
+    describe('generateUniversalRouterSwapData', () => {
+      const universalRouterInterface = new ethers.utils.Interface([
+        "function execute(bytes commands, bytes[] inputs, uint256 deadline) payable"
+      ]);
+      const urSwap = (overrides) => adapter.generateUniversalRouterSwapData({
+        path: PATH,
+        amountIn: '100000',
+        amountOutMinimum: '199000000',
+        recipient: WALLET,
+        deadlineMinutes: 20,
+        ...overrides
+      });
+
+      it('should encode a V3_SWAP_EXACT_IN without any RPC calls', async () => {
+        const call = vi.spyOn(pathProvider, 'call');
+
+        const txData = await urSwap();
+        const { commands, inputs } = universalRouterInterface.decodeFunctionData('execute', txData.data);
+        const [recipient, amountIn, amountOutMin, path, payerIsUser] = ethers.utils.defaultAbiCoder.decode(
+          ['address', 'uint256', 'uint256', 'bytes', 'bool'], inputs[0]
+        );
+
+        expect(call).not.toHaveBeenCalled();
+        expect(txData).toMatchObject({ to: adapter.addresses.universalRouterAddress, value: '0x00' });
+        expect(commands).toBe('0x00');
+        expect(recipient).toBe(ethers.utils.getAddress(WALLET));
+        expect(amountIn.toString()).toBe('100000');
+        expect(amountOutMin.toString()).toBe('199000000');
+        expect(path).toBe(adapter._encodeSwapPath(PATH, false));
+        expect(payerIsUser).toBe(true);
+      });
+
+      it('should prepend a PERMIT2_PERMIT covering the maximum input of an exact-output swap', async () => {
+        const permit2Deadline = Math.floor(Date.now() / 1000) + 3600;
+
+        const txData = await urSwap({
+          amountIn: undefined,
+          amountOut: '333',
+          amountInMaximum: '673',
+          permit2Signature: '0x' + '11'.repeat(65),
+          permit2Nonce: 4,
+          permit2Deadline
+        });
+        const { commands, inputs } = universalRouterInterface.decodeFunctionData('execute', txData.data);
+        const [permitSingle] = ethers.utils.defaultAbiCoder.decode(
+          ['tuple(tuple(address token, uint160 amount, uint48 expiration, uint48 nonce) details, address spender, uint256 sigDeadline)', 'bytes'],
+          inputs[0]
+        );
+        const [, amountOut, amountInMax, path] = ethers.utils.defaultAbiCoder.decode(
+          ['address', 'uint256', 'uint256', 'bytes', 'bool'], inputs[1]
+        );
+
+        expect(commands).toBe('0x0a01');
+        expect(permitSingle.details.token).toBe(WBTC);
+        expect(permitSingle.details.amount.toString()).toBe('673');
+        expect(permitSingle.details.nonce).toBe(4);
+        expect(permitSingle.spender).toBe(adapter.addresses.universalRouterAddress);
+        expect(amountOut.toString()).toBe('333');
+        expect(amountInMax.toString()).toBe('673');
+        expect(path).toBe(adapter._encodeSwapPath(PATH, true));
+      });
+
+      it('should validate its parameters', async () => {
+        await expect(urSwap({ tokenIn: WBTC })).rejects.toThrow('Path swaps take their tokens and fees from path; remove tokenIn');
+        await expect(urSwap({ amountOutMinimum: undefined })).rejects.toThrow('AmountOutMinimum parameter is required');
+        await expect(urSwap({ amountIn: undefined, amountOut: '1' })).rejects.toThrow('AmountInMaximum parameter is required');
+        await expect(urSwap({ amountOutMinimum: 5 })).rejects.toThrow('AmountOutMinimum must be a non-negative numeric string');
+        await expect(urSwap({ recipient: 'bad' })).rejects.toThrow('Invalid recipient address: bad');
+        await expect(urSwap({ deadlineMinutes: undefined })).rejects.toThrow('Deadline minutes is required');
+        await expect(urSwap({ permit2Signature: 'xyz' })).rejects.toThrow('Permit2 signature must be a valid hex string');
+        await expect(urSwap({ permit2Signature: '0x11' })).rejects.toThrow('Permit2 nonce must be a non-negative integer');
+        await expect(urSwap({ permit2Signature: '0x11', permit2Nonce: 0, permit2Deadline: 1 })).rejects.toThrow('Permit2 deadline has already passed');
+      });
+
+      it('should not create the AlphaRouter until it is used', () => {
+        const fresh = new UniswapV3Adapter(CHAIN_ID, pathProvider);
+
+        expect(fresh._alphaRouter).toBeNull();
+        expect(fresh.alphaRouter).toBe(fresh.alphaRouter);
+      });
+    });
+  });
+});
@@ -0,0 +1,488 @@
+/**
+ * UniswapV4Adapter Unit Tests
+ *
+ * Tests for the pure (no RPC) parts of the adapter: PoolKey handling, position
+ * info decoding, fee math, and V4 action plan encoding. Position discovery reads
+ * are served by a stubbed provider.
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import { ethers } from 'ethers';
+import { Pool, V4PositionManager, V4BaseActionsParser } from '@uniswap/v4-sdk';
+import { Token } from '@uniswap/sdk-core';
+import UniswapV4Adapter from '../../../src/adapters/UniswapV4Adapter.js';
+import chains from '../../../src/configs/chains.js';
+import { getTokenBySymbol } from '../../../src/helpers/tokenHelpers.js';
+import { BLOCK_NUMBER, createStubProvider, readBlockTags, stubCalls } from '../../setup/stub-provider.js';
+
+const CHAIN_ID = 42161;
+
+describe('UniswapV4Adapter - Unit Tests', () => {
+  let adapter;
+  let provider;
+  let weth;
+  let usdc;
+
+  beforeAll(() => {
+    provider = new ethers.providers.JsonRpcProvider('http://localhost:8545');
+    adapter = new UniswapV4Adapter(CHAIN_ID, provider);
+    weth = getTokenBySymbol('WETH');
+    usdc = getTokenBySymbol('USDC');
+  });
+
+  describe('Constructor', () => {
+    it('should cache platform configuration', () => {
+      expect(adapter.chainId).toBe(CHAIN_ID);
+      expect(adapter.platformId).toBe('uniswapV4');
+      expect(adapter.platformName).toBe('Uniswap V4');
+      expect(adapter.provider).toBe(provider);
+      expect(adapter.addresses).toEqual(chains[CHAIN_ID].platformAddresses.uniswapV4);
+      expect(adapter.feeTiers).toEqual([100, 500, 3000, 10000]);
+    });
+
+    it('should throw for a chain without Uniswap V4 addresses', () => {
+      expect(() => new UniswapV4Adapter(999999, provider)).toThrow();
+    });
+  });
+
+  describe('buildPoolKey / getPoolId', () => {
+    it('should sort currencies and default tickSpacing and hooks', () => {
+      const wethAddress = weth.addresses[CHAIN_ID];
+      const usdcAddress = usdc.addresses[CHAIN_ID];
+      const poolKey = adapter.buildPoolKey(usdcAddress, wethAddress, 500);
+
+      const [lower, higher] = [wethAddress, usdcAddress].sort((a, b) => a.toLowerCase() < b.toLowerCase() ? -1 : 1);
+      expect(poolKey).toEqual({
+        currency0: ethers.utils.getAddress(lower),
+        currency1: ethers.utils.getAddress(higher),
+        fee: 500,
+        tickSpacing: 10,
+        hooks: ethers.constants.AddressZero
+      });
+    });
+
+    it('should place native ETH first', () => {
+      const poolKey = adapter.buildPoolKey(usdc.addresses[CHAIN_ID], ethers.constants.AddressZero, 3000);
+      expect(poolKey.currency0).toBe(ethers.constants.AddressZero);
+      expect(poolKey.tickSpacing).toBe(60);
+    });
+
+    it('should compute the same poolId as the SDK', () => {
+      const poolKey = adapter.buildPoolKey(weth.addresses[CHAIN_ID], usdc.addresses[CHAIN_ID], 500);
+      const expected = Pool.getPoolId(
+        new Token(CHAIN_ID, poolKey.currency0, 18),
+        new Token(CHAIN_ID, poolKey.currency1, 6),
+        poolKey.fee,
+        poolKey.tickSpacing,
+        poolKey.hooks
+      );
+      expect(adapter.getPoolId(poolKey)).toBe(expected);
+    });
+
+    it('should reject invalid parameters', () => {
+      expect(() => adapter.buildPoolKey(null, usdc.addresses[CHAIN_ID], 500)).toThrow('Token0 address parameter is required');
+      expect(() => adapter.buildPoolKey('0xinvalid', usdc.addresses[CHAIN_ID], 500)).toThrow('Invalid token0 address');
+      expect(() => adapter.buildPoolKey(usdc.addresses[CHAIN_ID], usdc.addresses[CHAIN_ID], 500)).toThrow('cannot be the same');
+      expect(() => adapter.buildPoolKey(weth.addresses[CHAIN_ID], usdc.addresses[CHAIN_ID], 1.5)).toThrow('Fee must be a non-negative integer');
+      expect(() => adapter.buildPoolKey(weth.addresses[CHAIN_ID], usdc.addresses[CHAIN_ID], 500, 0)).toThrow('Tick spacing must be a positive integer');
+      expect(() => adapter.buildPoolKey(weth.addresses[CHAIN_ID], usdc.addresses[CHAIN_ID], 500, 10, '0x123')).toThrow('Invalid hooks address');
+    });
+
+    it('should reject unsorted PoolKeys', () => {
+      const poolKey = adapter.buildPoolKey(weth.addresses[CHAIN_ID], usdc.addresses[CHAIN_ID], 500);
+      expect(() => adapter.getPoolId({ ...poolKey, currency0: poolKey.currency1, currency1: poolKey.currency0 }))
+        .toThrow('PoolKey currency0 must sort before currency1');
+    });
+  });
+
+  describe('decodePositionInfo', () => {
+    it('should decode packed ticks, subscriber flag and poolId prefix', () => {
+      const poolId = '0x' + 'ab'.repeat(32);
+      const prefix = BigInt(poolId) >> 56n;
+      const toUint24 = (tick) => BigInt(tick < 0 ? tick + 0x1000000 : tick);
+      const packed = (prefix << 56n) | (toUint24(-887220) << 32n) | (toUint24(-200) << 8n) | 1n;
+
+      const decoded = adapter.decodePositionInfo(packed.toString());
+      expect(decoded.tickLower).toBe(-200);
+      expect(decoded.tickUpper).toBe(-887220);
+      expect(decoded.hasSubscriber).toBe(true);
+      expect(decoded.poolIdPrefix).toBe(ethers.utils.hexDataSlice(poolId, 0, 25));
+    });
+
+    it('should reject missing input', () => {
+      expect(() => adapter.decodePositionInfo(undefined)).toThrow('Position info parameter is required');
+      expect(() => adapter.decodePositionInfo('not-a-number')).toThrow('Invalid position info');
+    });
+  });
+
+  describe('isPositionInRange', () => {
+    it('should report range membership', () => {
+      expect(adapter.isPositionInRange(0, -10, 10)).toBe(true);
+      expect(adapter.isPositionInRange(20, -10, 10)).toBe(false);
+      expect(() => adapter.isPositionInRange(0, 10, -10)).toThrow('tickLower must be less than tickUpper');
+    });
+  });
+
+  describe('calculateTickRangeFromPercentages', () => {
+    it('should align ticks to the fee tier spacing', () => {
+      const { tickLower, tickUpper } = adapter.calculateTickRangeFromPercentages(1005, 5, 5, 3000);
+      expect(tickLower % 60).toBe(0);
+      expect(tickUpper % 60).toBe(0);
+      expect(tickLower).toBeLessThan(1005);
+      expect(tickUpper).toBeGreaterThan(1005);
+    });
+
+    it('should honour an explicit tick spacing', () => {
+      const { tickLower, tickUpper } = adapter.calculateTickRangeFromPercentages(0, 1, 1, 3000, 7);
+      expect(Math.abs(tickLower % 7)).toBe(0);
+      expect(tickUpper % 7).toBe(0);
+    });
+  });
+
+  describe('calculateUncollectedFees', () => {
+    const Q128 = 2n ** 128n;
+
+    it('should compute fees for an in-range position without tokensOwed', () => {
+      const position = {
+        liquidity: '1000',
+        feeGrowthInside0LastX128: '0',
+        feeGrowthInside1LastX128: '0',
+        tickLower: -100,
+        tickUpper: 100
+      };
+      const poolData = {
+        tick: 0,
+        feeGrowthGlobal0X128: (5n * Q128).toString(),
+        feeGrowthGlobal1X128: (7n * Q128).toString(),
+        ticks: {
+          '-100': { feeGrowthOutside0X128: (1n * Q128).toString(), feeGrowthOutside1X128: '0' },
+          '100': { feeGrowthOutside0X128: (1n * Q128).toString(), feeGrowthOutside1X128: (2n * Q128).toString() }
+        }
+      };
+
+      const [fees0, fees1] = adapter.calculateUncollectedFees(position, poolData);
+      expect(fees0).toBe(3000n);
+      expect(fees1).toBe(5000n);
+    });
+
+    it('should handle fee growth wrap-around', () => {
+      const position = {
+        liquidity: '1',
+        feeGrowthInside0LastX128: (2n ** 256n - Q128).toString(),
+        feeGrowthInside1LastX128: '0',
+        tickLower: -100,
+        tickUpper: 100
+      };
+      const poolData = {
+        tick: 0,
+        feeGrowthGlobal0X128: Q128.toString(),
+        feeGrowthGlobal1X128: '0',
+        ticks: {
+          '-100': { feeGrowthOutside0X128: '0', feeGrowthOutside1X128: '0' },
+          '100': { feeGrowthOutside0X128: '0', feeGrowthOutside1X128: '0' }
+        }
+      };
+
+      const [fees0, fees1] = adapter.calculateUncollectedFees(position, poolData);
+      expect(fees0).toBe(2n);
+      expect(fees1).toBe(0n);
+    });
+
+    it('should require tick data', () => {
+      expect(() => adapter.calculateUncollectedFees(
+        { liquidity: '1', feeGrowthInside0LastX128: '0', feeGrowthInside1LastX128: '0', tickLower: -10, tickUpper: 10 },
+        { tick: 0, feeGrowthGlobal0X128: '0', feeGrowthGlobal1X128: '0', ticks: {} }
+      )).toThrow('Missing tick data for tickLower -10');
+    });
+  });
+
+  describe('calculateTokenAmounts', () => {
+    const poolData = {
+      fee: 500,
+      tickSpacing: 10,
+      hooks: ethers.constants.AddressZero,
+      sqrtPriceX96: '79228162514264337593543950336', // tick 0
+      liquidity: '1000000000000000000',
+      tick: 0
+    };
+
+    it('should return zero amounts for empty positions', async () => {
+      const amounts = await adapter.calculateTokenAmounts(
+        { liquidity: '0', tickLower: -100, tickUpper: 100 },
+        poolData,
+        { address: weth.addresses[CHAIN_ID], decimals: 18 },
+        { address: usdc.addresses[CHAIN_ID], decimals: 6 }
+      );
+      expect(amounts).toEqual([0n, 0n]);
+    });
+
+    it('should return both token amounts for an in-range position', async () => {
+      const [amount0, amount1] = await adapter.calculateTokenAmounts(
+        { liquidity: '1000000000000000000', tickLower: -100, tickUpper: 100 },
+        poolData,
+        { address: ethers.constants.AddressZero, decimals: 18 },
+        { address: usdc.addresses[CHAIN_ID], decimals: 6 }
+      );
+      expect(amount0).toBeGreaterThan(0n);
+      expect(amount1).toBeGreaterThan(0n);
+    });
+  });
+
+  describe('_fetchUserPositionIds', () => {
+    const OWNER = '0x00000000000000000000000000000000000000B2';
+    const OTHER = '0x00000000000000000000000000000000000000C3';
+    const START_BLOCK = chains[CHAIN_ID].platformAddresses.uniswapV4.positionManagerStartBlock;
+    const LATEST_BLOCK = START_BLOCK + 25000;
+
+    let stubProvider;
+    let positionManager;
+
+    /**
+     * Build a Transfer log of a position NFT
+     * @param {string} from - Previous owner
+     * @param {string} to - New owner
+     * @param {number} tokenId - Position token ID
+     * @returns {Object} Log
+     */
+    const transferLog = (from, to, tokenId) => ({
+      address: adapter.addresses.positionManagerAddress,
+      ...V4PositionManager.INTERFACE.encodeEventLog(V4PositionManager.INTERFACE.getEvent('Transfer'), [from, to, tokenId])
+    });
+
+    beforeAll(() => {
+      stubProvider = createStubProvider(CHAIN_ID);
+      positionManager = adapter._getPositionManager(stubProvider);
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('should read Transfer logs in growing ranges and keep the tokens still owned', async () => {
+      const getLogs = vi.spyOn(stubProvider, 'getLogs').mockImplementation(async ({ fromBlock }) => (
+        fromBlock === START_BLOCK
+          ? [transferLog(ethers.constants.AddressZero, OWNER, 5), transferLog(ethers.constants.AddressZero, OWNER, 7)]
+          : [transferLog(OTHER, OWNER, 5), transferLog(ethers.constants.AddressZero, OWNER, 9)]
+      ));
+      const call = stubCalls(stubProvider, [V4PositionManager.INTERFACE], {
+        ownerOf: ([tokenId]) => {
+          if (tokenId.eq(9)) {
+            throw new Error('NOT_MINTED'); // burned
+          }
+          return [tokenId.eq(7) ? OTHER : OWNER];
+        }
+      }, { blockNumber: LATEST_BLOCK });
+
+      const tokenIds = await adapter._fetchUserPositionIds(OWNER, positionManager);
+
+      expect(tokenIds).toEqual(['5']);
+      expect(getLogs.mock.calls.map(([filter]) => [filter.fromBlock, filter.toBlock])).toEqual([
+        [START_BLOCK, START_BLOCK + 9999],
+        [START_BLOCK + 10000, LATEST_BLOCK]
+      ]);
+      expect(getLogs.mock.calls[0][0].topics[2]).toBe(ethers.utils.hexZeroPad(OWNER, 32).toLowerCase());
+      // Every ownerOf read in one Multicall3 batch at the scanned block
+      expect(call).toHaveBeenCalledTimes(1);
+      expect(call.mock.calls[0][1]).toBe(LATEST_BLOCK);
+    });
+
+    it('should return no tokens without reading owners when there are no transfers', async () => {
+      vi.spyOn(stubProvider, 'getLogs').mockResolvedValue([]);
+      const call = stubCalls(stubProvider, [V4PositionManager.INTERFACE], {}, { blockNumber: LATEST_BLOCK });
+
+      expect(await adapter._fetchUserPositionIds(OWNER, positionManager)).toEqual([]);
+      expect(call).not.toHaveBeenCalled();
+    });
+
+    it('should scan only from the given block and keep the given token IDs as candidates', async () => {
+      const getLogs = vi.spyOn(stubProvider, 'getLogs').mockResolvedValue([transferLog(OTHER, OWNER, 9)]);
+      stubCalls(stubProvider, [V4PositionManager.INTERFACE], { ownerOf: [OWNER] });
+
+      const tokenIds = await adapter._fetchUserPositionIds(OWNER, positionManager, LATEST_BLOCK, {
+        tokenIds: ['5'],
+        fromBlock: LATEST_BLOCK - 100
+      });
+
+      expect(tokenIds).toEqual(['5', '9']);
+      expect(getLogs.mock.calls.map(([filter]) => [filter.fromBlock, filter.toBlock])).toEqual([[LATEST_BLOCK - 100, LATEST_BLOCK]]);
+    });
+
+    it('should not scan logs for token IDs from an indexer', async () => {
+      const getLogs = vi.spyOn(stubProvider, 'getLogs');
+      stubCalls(stubProvider, [V4PositionManager.INTERFACE], { ownerOf: ([tokenId]) => [tokenId.eq(7) ? OTHER : OWNER] });
+
+      expect(await adapter._fetchUserPositionIds(OWNER, positionManager, LATEST_BLOCK, { tokenIds: ['5', '7'] })).toEqual(['5']);
+      expect(getLogs).not.toHaveBeenCalled();
+    });
+
+    it('should shrink refused log ranges before reporting the block range of a failed request', async () => {
+      vi.spyOn(stubProvider, 'getBlockNumber').mockResolvedValue(LATEST_BLOCK);
+      const getLogs = vi.spyOn(stubProvider, 'getLogs').mockRejectedValue(new Error('block range too large'));
+
+      await expect(adapter._fetchUserPositionIds(OWNER, positionManager))
+        .rejects.toThrow(`logs for blocks ${START_BLOCK}-${START_BLOCK + 499}: block range too large`);
+      expect(getLogs.mock.calls.map(([filter]) => filter.toBlock - filter.fromBlock + 1)).toEqual([10000, 5000, 2500, 1250, 625, 500]);
+    });
+
+    it('should validate parameters', async () => {
+      await expect(adapter._fetchUserPositionIds(null, positionManager)).rejects.toThrow('Address parameter is required');
+      await expect(adapter._fetchUserPositionIds('0xbad', positionManager)).rejects.toThrow('Invalid Ethereum address');
+      await expect(adapter._fetchUserPositionIds(OWNER, null)).rejects.toThrow('Position manager parameter is required');
+      await expect(adapter._fetchUserPositionIds(OWNER, {})).rejects.toThrow('Invalid position manager contract - missing required methods');
+      await expect(adapter._fetchUserPositionIds(OWNER, positionManager.connect(ethers.Wallet.createRandom())))
+        .rejects.toThrow('Position manager must be connected to a provider');
+    });
+  });
+
+  describe('getPositions', () => {
+    const OWNER = '0x00000000000000000000000000000000000000B2';
+    const TICK_LOWER = -200220;
+    const TICK_UPPER = -191220;
+
+    let stubProvider;
+    let poolKey;
+
+    beforeAll(() => {
+      stubProvider = createStubProvider(CHAIN_ID);
+      poolKey = adapter.buildPoolKey(weth.addresses[CHAIN_ID], usdc.addresses[CHAIN_ID], 500);
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    /**
+     * Serve one position in the WETH/USDC pool
+     * @returns {Object} The call spy
+     */
+    const stubPositionReads = () => {
+      const toUint24 = (tick) => BigInt(tick < 0 ? tick + 0x1000000 : tick);
+      const info = (toUint24(TICK_UPPER) << 32n) | (toUint24(TICK_LOWER) << 8n);
+      const tickInfo = ['1000', '1000', '0', '0'];
+
+      return stubCalls(stubProvider, [V4PositionManager.INTERFACE, adapter.stateViewInterface], {
+        getPoolAndPositionInfo: [poolKey, info.toString()],
+        getSlot0: ['4339505179874779489431521', -197250, 0, 500],
+        getLiquidity: ['1000000000000000000'],
+        getFeeGrowthGlobals: ['0', '0'],
+        getTickInfo: tickInfo,
+        getPositionInfo: ['500000000000000', '0', '0']
+      }, { blockNumber: BLOCK_NUMBER });
+    };
+
+    it('should read every position and pool at one block in two Multicall3 batches', async () => {
+      const fetchIds = vi.spyOn(adapter, '_fetchUserPositionIds').mockResolvedValue(['5']);
+      const call = stubPositionReads();
+
+      const { positions, poolData, blockNumber, cursor } = await adapter.getPositions(OWNER, stubProvider);
+      const poolId = adapter.getPoolId(poolKey);
+
+      expect(blockNumber).toBe(BLOCK_NUMBER);
+      expect(call).toHaveBeenCalledTimes(2);
+      expect(cursor).toEqual({ tokenIds: ['5'], fromBlock: BLOCK_NUMBER + 1 });
+      expect(fetchIds.mock.calls[0][2]).toBe(BLOCK_NUMBER);
+      expect(positions['5']).toMatchObject({ id: '5', poolId, tickLower: TICK_LOWER, tickUpper: TICK_UPPER, liquidity: '500000000000000' });
+      expect(Object.keys(poolData[poolId].ticks).map(Number).sort((a, b) => a - b)).toEqual([TICK_LOWER, TICK_UPPER]);
+      expect(readBlockTags(call)).toEqual(new Set([BLOCK_NUMBER]));
+    });
+
+    it('should read at the requested block', async () => {
+      const fetchIds = vi.spyOn(adapter, '_fetchUserPositionIds').mockResolvedValue(['5']);
+      const call = stubPositionReads();
+
+      const { blockNumber } = await adapter.getPositions(OWNER, stubProvider, { blockTag: 1234 });
+
+      expect(blockNumber).toBe(1234);
+      expect(fetchIds.mock.calls[0][2]).toBe(1234);
+      expect(readBlockTags(call)).toEqual(new Set([1234]));
+      await expect(adapter.getPositions(OWNER, stubProvider, { blockTag: -1 })).rejects.toThrow('Invalid block tag: -1');
+    });
+
+    it('should take its token ID source from the options, such as an earlier cursor', async () => {
+      const fetchIds = vi.spyOn(adapter, '_fetchUserPositionIds').mockResolvedValue([]);
+      stubPositionReads();
+
+      const { cursor } = await adapter.getPositions(OWNER, stubProvider, { tokenIds: ['5'], fromBlock: 1000 });
+
+      expect(fetchIds.mock.calls[0][3]).toEqual({ tokenIds: ['5'], fromBlock: 1000 });
+      expect(cursor).toEqual({ tokenIds: [], fromBlock: BLOCK_NUMBER + 1 });
+      await expect(adapter.getPositions(OWNER, stubProvider, { tokenIds: ['abc'] }))
+        .rejects.toThrow('tokenIds must be an array of position token IDs');
+      await expect(adapter.getPositions(OWNER, stubProvider, { fromBlock: -1 })).rejects.toThrow('Invalid fromBlock: -1');
+    });
+  });
+
+  describe('Calldata generation validation', () => {
+    it('should validate claim fee parameters before touching the provider', async () => {
+      await expect(adapter.generateClaimFeesData({ positionId: 12, provider }))
+        .rejects.toThrow('positionId must be a string');
+      await expect(adapter.generateClaimFeesData({ positionId: '12', provider, walletAddress: '0xbad' }))
+        .rejects.toThrow('Invalid wallet address');
+    });
+
+    it('should validate remove liquidity percentage', async () => {
+      await expect(adapter.generateRemoveLiquidityData({
+        position: { id: '1', tickLower: -10, tickUpper: 10 },
+        percentage: 0,
+        provider
+      })).rejects.toThrow('Percentage must be between 1 and 100');
+    });
+  });
+
+  describe('Action plan encoding', () => {
+    // Static network provider - passes the chain check without any RPC
+    const staticProvider = createStubProvider(CHAIN_ID);
+
+    it('should encode fee claims as DECREASE_LIQUIDITY(0) + TAKE_PAIR', async () => {
+      const walletAddress = '0x' + '11'.repeat(20);
+      const txData = await adapter.generateClaimFeesData({
+        positionId: '42',
+        provider: staticProvider,
+        walletAddress,
+        token0Address: usdc.addresses[CHAIN_ID],
+        token1Address: ethers.constants.AddressZero,
+        token0Decimals: 6,
+        token1Decimals: 18
+      });
+
+      expect(txData.to).toBe(adapter.addresses.positionManagerAddress);
+      expect(txData.value).toBe('0x00');
+
+      const { args } = V4PositionManager.INTERFACE.parseTransaction({ data: txData.data });
+      const { actions } = V4BaseActionsParser.parseCalldata(args.unlockData);
+      expect(actions.map(action => action.actionName)).toEqual(['DECREASE_LIQUIDITY', 'TAKE_PAIR']);
+      expect(actions[0].params.find(p => p.name === 'tokenId').value.toString()).toBe('42');
+      expect(actions[0].params.find(p => p.name === 'liquidity').value.toString()).toBe('0');
+      expect(actions[1].params.find(p => p.name === 'currency0').value).toBe(ethers.constants.AddressZero);
+      expect(actions[1].params.find(p => p.name === 'recipient').value.toLowerCase()).toBe(walletAddress);
+    });
+
+    it('should encode position creation as MINT_POSITION + SETTLE_PAIR', async () => {
+      const txData = await adapter.generateCreatePositionData({
+        position: { tickLower: -600, tickUpper: 600 },
+        token0Amount: '1000000000000000000',
+        token1Amount: '1000000',
+        provider: staticProvider,
+        walletAddress: '0x' + '22'.repeat(20),
+        poolData: {
+          fee: 3000,
+          tickSpacing: 60,
+          hooks: ethers.constants.AddressZero,
+          sqrtPriceX96: '79228162514264337593543950336',
+          liquidity: '0',
+          tick: 0
+        },
+        token0Data: { address: weth.addresses[CHAIN_ID], decimals: 18 },
+        token1Data: { address: usdc.addresses[CHAIN_ID], decimals: 6 },
+        slippageTolerance: 0.5,
+        deadlineMinutes: 20
+      });
+
+      expect(txData.to).toBe(adapter.addresses.positionManagerAddress);
+      const { name, args } = V4PositionManager.INTERFACE.parseTransaction({ data: txData.data });
+      expect(name).toBe('modifyLiquidities');
+      const { actions } = V4BaseActionsParser.parseCalldata(args.unlockData);
+      expect(actions.map(action => action.actionName)).toEqual(['MINT_POSITION', 'SETTLE_PAIR']);
+    });
+  });
+});
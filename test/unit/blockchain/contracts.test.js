@@ -4,7 +4,7 @@
  * Tests using Ganache fork of Arbitrum - no mocks, real blockchain interactions.
  */
 
-import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
 import { ethers } from 'ethers';
 import { setupTestEnvironment } from '../../test-env.js';
 import UniswapV3Adapter from '../../../src/adapters/UniswapV3Adapter.js';
@@ -20,6 +20,19 @@ import {
   getContractInfoByAddress,
   executeVaultTransactions
 } from 'fum_library';
+import contractData from '../../../src/artifacts/contracts.js';
+import {
+  getVaultInfo as getVaultInfoAtBlock,
+  getVaultStrategyParameters,
+  readStrategyParameters,
+  buildStrategyParameterTransactions,
+  simulateVaultTransactions,
+  executeVaultTransactions as executeVaultTransactionsDirect
+} from '../../../src/blockchain/contracts.js';
+import { ContractError } from '../../../src/blockchain/errors.js';
+import { MULTICALL3_ADDRESS } from '../../../src/blockchain/multicall.js';
+import { mapStrategyParameters } from '../../../src/helpers/strategyHelpers.js';
+import { serveCalls } from '../../setup/stub-provider.js';
 
 describe('contracts.js - Unit Tests', () => {
   let env;
@@ -1431,3 +1444,537 @@ describe('contracts.js - Unit Tests', () => {
     });
   });
 });
+
+describe('contracts.js - Block-pinned reads', () => {
+  const VAULT = '0x00000000000000000000000000000000000000A1';
+  const OWNER = ethers.utils.getAddress('0x00000000000000000000000000000000000000b2');
+  const BOB = contractData.bob.addresses['42161'];
+  const FACTORY = contractData.VaultFactory.addresses['42161'];
+  const BLOCK_NUMBER = 250000000;
+  // bob's getAllParameters outputs are unnamed, so its fields are read from its get<Field>(vault) views
+  const BOB_FIELDS = {
+    getTargetRangeUpper: 500,
+    getTargetRangeLower: 500,
+    getRebalanceThresholdUpper: 150,
+    getRebalanceThresholdLower: 150,
+    getFeeReinvestment: true,
+    getReinvestmentTrigger: 2500,
+    getReinvestmentRatio: 8000,
+    getMaxSlippage: 50,
+    getEmergencyExitTrigger: 1500,
+    getMaxUtilization: 2000
+  };
+
+  const factoryInterface = new ethers.utils.Interface(contractData.VaultFactory.abi);
+  const vaultInterface = new ethers.utils.Interface(contractData.PositionVault.abi);
+  const bobInterface = new ethers.utils.Interface(contractData.bob.abi);
+
+  let provider;
+
+  /**
+   * Serve the factory, vault and bob strategy reads from a stubbed provider.call
+   * @param {string} strategyAddress - Address the vault's strategy() returns
+   * @returns {Object} The call spy
+   */
+  function stubVaultReads(strategyAddress = BOB) {
+    return serveCalls(provider, (target, data, batched) => {
+      if (!batched && target === FACTORY) {
+        return factoryInterface.encodeFunctionResult('getVaultInfo', [OWNER, 'Main Vault', 1700000000]);
+      }
+      if (!batched && target === VAULT) {
+        return vaultInterface.encodeFunctionResult('strategy', [strategyAddress]);
+      }
+      if (batched && target === BOB) {
+        const { name } = bobInterface.parseTransaction({ data });
+        return bobInterface.encodeFunctionResult(name, [BOB_FIELDS[name]]);
+      }
+      throw new Error(`Unexpected call to ${target}`);
+    }, { blockNumber: BLOCK_NUMBER });
+  }
+
+  beforeAll(() => {
+    provider = new ethers.providers.StaticJsonRpcProvider('http://localhost:8545', { chainId: 42161, name: 'arbitrum' });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('getVaultInfo', () => {
+    it('should read at the requested block', async () => {
+      const call = stubVaultReads();
+
+      const info = await getVaultInfoAtBlock(VAULT, provider, { blockTag: 1234 });
+
+      expect(info).toEqual({ owner: OWNER, name: 'Main Vault', creationTime: 1700000000 });
+      expect(call.mock.calls[0][1]).toBe(1234);
+    });
+
+    it('should read at the latest block by default', async () => {
+      const call = stubVaultReads();
+
+      await getVaultInfoAtBlock(VAULT, provider);
+
+      expect(call.mock.calls[0][1]).toBe('latest');
+    });
+
+    it('should validate options', async () => {
+      await expect(getVaultInfoAtBlock(VAULT, provider, null)).rejects.toThrow('Options parameter must be an object');
+      await expect(getVaultInfoAtBlock(VAULT, provider, { blockTag: 'soon' })).rejects.toThrow('Invalid block tag: soon');
+    });
+  });
+
+  describe('getVaultStrategyParameters', () => {
+    it('should read the strategy and its parameters at one block', async () => {
+      const call = stubVaultReads();
+
+      const result = await getVaultStrategyParameters(VAULT, provider);
+
+      expect(result.strategyAddress).toBe(BOB);
+      expect(result.strategyId).toBe('bob');
+      expect(result.blockNumber).toBe(BLOCK_NUMBER);
+      expect(result.parameters).toMatchObject({
+        targetRangeUpper: 5,
+        targetRangeLower: 5,
+        feeReinvestment: true,
+        reinvestmentTrigger: '25.0',
+        reinvestmentRatio: 80
+      });
+      expect(call.mock.calls.map(([, blockTag]) => blockTag)).toEqual([BLOCK_NUMBER, BLOCK_NUMBER]);
+    });
+
+    it('should read at the requested block', async () => {
+      const call = stubVaultReads();
+
+      const result = await getVaultStrategyParameters(VAULT, provider, { blockTag: '0x4d2' });
+
+      expect(result.blockNumber).toBe(1234);
+      expect(provider.getBlockNumber).not.toHaveBeenCalled();
+      expect(call.mock.calls.map(([, blockTag]) => blockTag)).toEqual([1234, 1234]);
+    });
+
+    it('should return nulls for a vault without a strategy', async () => {
+      stubVaultReads(ethers.constants.AddressZero);
+
+      expect(await getVaultStrategyParameters(VAULT, provider)).toEqual({
+        strategyAddress: null,
+        strategyId: null,
+        parameters: null,
+        blockNumber: BLOCK_NUMBER
+      });
+    });
+
+    it('should throw for a strategy that is not in the contract data', async () => {
+      stubVaultReads('0x00000000000000000000000000000000000000C3');
+
+      await expect(getVaultStrategyParameters(VAULT, provider)).rejects.toThrow('Failed to get vault strategy parameters:');
+    });
+
+    it('should validate parameters', async () => {
+      await expect(getVaultStrategyParameters('bad', provider)).rejects.toThrow('Invalid vault address');
+      await expect(getVaultStrategyParameters(VAULT, {})).rejects.toThrow('Invalid provider');
+      await expect(getVaultStrategyParameters(VAULT, provider, [])).rejects.toThrow('Options parameter must be an object');
+      await expect(getVaultStrategyParameters(VAULT, provider, { blockTag: -1 })).rejects.toThrow('Invalid block tag: -1');
+    });
+  });
+
+  describe('readStrategyParameters', () => {
+    it('should map the fields of the strategy views by name', async () => {
+      const call = stubVaultReads();
+
+      const result = await readStrategyParameters('bob', VAULT, provider, { blockTag: 1234 });
+
+      expect(result).toEqual({
+        strategyId: 'bob',
+        strategyAddress: BOB,
+        blockNumber: 1234,
+        parameters: {
+          targetRangeUpper: 5,
+          targetRangeLower: 5,
+          rebalanceThresholdUpper: 1.5,
+          rebalanceThresholdLower: 1.5,
+          feeReinvestment: true,
+          reinvestmentTrigger: '25.0',
+          reinvestmentRatio: 80,
+          maxSlippage: 0.5,
+          emergencyExitTrigger: 15,
+          maxUtilization: 20
+        },
+        onChainOnly: {},
+        configOnly: []
+      });
+      expect(call).toHaveBeenCalledTimes(1);
+      expect(call.mock.calls[0][1]).toBe(1234);
+    });
+
+    it('should decode named getAllParameters outputs and report unmatched fields', async () => {
+      const abi = contractData.bob.abi;
+      // An upgraded strategy: outputs named, maxUtilization removed and cooldownBlocks added
+      const outputs = [
+        ['targetRangeUpper', 'uint16'], ['cooldownBlocks', 'uint32'], ['targetRangeLower', 'uint16'],
+        ['rebalanceThresholdUpper', 'uint16'], ['rebalanceThresholdLower', 'uint16'], ['feeReinvestment', 'bool'],
+        ['reinvestmentTrigger', 'uint256'], ['reinvestmentRatio', 'uint16'], ['maxSlippage', 'uint16'],
+        ['emergencyExitTrigger', 'uint16']
+      ].map(([name, type]) => ({ internalType: type, name, type }));
+      contractData.bob.abi = abi.map(fragment => fragment.name === 'getAllParameters' ? { ...fragment, outputs } : fragment);
+
+      try {
+        const upgradedInterface = new ethers.utils.Interface(contractData.bob.abi);
+        vi.spyOn(provider, 'getBlockNumber').mockResolvedValue(BLOCK_NUMBER);
+        vi.spyOn(provider, 'call').mockImplementation(async (tx) => {
+          expect(tx.to).toBe(BOB);
+          return upgradedInterface.encodeFunctionResult('getAllParameters', [500, 20, 400, 150, 150, true, 2500, 8000, 50, 1500]);
+        });
+
+        const result = await readStrategyParameters('bob', VAULT, provider);
+
+        expect(result.blockNumber).toBe(BLOCK_NUMBER);
+        expect(result.parameters).toMatchObject({ targetRangeUpper: 5, targetRangeLower: 4, emergencyExitTrigger: 15 });
+        expect(result.onChainOnly).toEqual({ cooldownBlocks: 20 });
+        expect(result.configOnly).toEqual(['maxUtilization']);
+      } finally {
+        contractData.bob.abi = abi;
+      }
+    });
+
+    it('should validate parameters', async () => {
+      await expect(readStrategyParameters(null, VAULT, provider)).rejects.toThrow('Strategy ID must be a valid string');
+      await expect(readStrategyParameters('bob', 'bad', provider)).rejects.toThrow('Invalid vault address: bad');
+      await expect(readStrategyParameters('bob', VAULT, {})).rejects.toThrow('Invalid provider');
+      await expect(readStrategyParameters('bob', VAULT, provider, [])).rejects.toThrow('Options parameter must be an object');
+      await expect(readStrategyParameters('fed', VAULT, provider)).rejects.toThrow('Contract fed not found in contract data');
+    });
+  });
+});
+
+describe('contracts.js - Batch simulation', () => {
+  const VAULT = '0x00000000000000000000000000000000000000A1';
+  const EXECUTOR = ethers.utils.getAddress('0x00000000000000000000000000000000000000e1');
+  const USDC = '0xaf88d065e77c8cC2239327C5EDb3A432268e5831';
+  const WETH = '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1';
+  const ROUTER = '0xE592427A0AEce92De3Edee1F18E0157C05861564';
+  const BLOCK_NUMBER = 250000000;
+
+  const vaultInterface = new ethers.utils.Interface(contractData.PositionVault.abi);
+  const erc20Interface = new ethers.utils.Interface(["function approve(address spender, uint256 amount) returns (bool)"]);
+  const routerInterface = new ethers.utils.Interface([
+    "function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) payable returns (uint256 amountOut)"
+  ]);
+  const TRANSACTIONS = [
+    { target: USDC, data: erc20Interface.encodeFunctionData('approve', [ROUTER, '600000']) },
+    {
+      target: ROUTER,
+      data: routerInterface.encodeFunctionData('exactInputSingle', [{
+        tokenIn: USDC, tokenOut: WETH, fee: 500, recipient: VAULT, deadline: 1900000000,
+        amountIn: '600000', amountOutMinimum: 0, sqrtPriceLimitX96: 0
+      }])
+    },
+    { target: USDC, data: erc20Interface.encodeFunctionData('approve', [ROUTER, '0']) }
+  ];
+
+  let provider;
+
+  /**
+   * Serve the vault's executor and execute() from a stubbed provider.call
+   *
+   * execute() reverts with `revertData` once the batch reaches `failAt`, or rejects with it if it is an Error.
+   *
+   * @param {number|null} [failAt=null] - Index of the transaction that reverts
+   * @param {string|Error} [revertData] - Revert data, SafeERC20FailedOperation(USDC) by default
+   * @returns {Object} The call spy
+   */
+  function stubVault(failAt = null, revertData = vaultInterface.encodeErrorResult('SafeERC20FailedOperation', [USDC])) {
+    vi.spyOn(provider, 'getBlockNumber').mockResolvedValue(BLOCK_NUMBER);
+
+    return vi.spyOn(provider, 'call').mockImplementation(async (tx) => {
+      const { name, args } = vaultInterface.parseTransaction({ data: tx.data });
+      if (name === 'executor') {
+        return vaultInterface.encodeFunctionResult('executor', [EXECUTOR]);
+      }
+      if (name === 'execute') {
+        if (failAt !== null && args.targets.length > failAt) {
+          if (revertData instanceof Error) {
+            throw revertData;
+          }
+          return revertData;
+        }
+        return vaultInterface.encodeFunctionResult('execute', [args.targets.map(() => true)]);
+      }
+      throw new Error(`Unexpected call to ${name}`);
+    });
+  }
+
+  /**
+   * Serve eth_simulateV1 with 1 USDC before and 0.4 USDC after the batch, and eth_estimateGas
+   * @param {boolean} [supported=true] - Whether the node supports eth_simulateV1
+   * @returns {Object} The send spy
+   */
+  function stubSend(supported = true) {
+    return vi.spyOn(provider, 'send').mockImplementation(async (method, params) => {
+      if (method === 'eth_estimateGas') {
+        return '0x30d40';
+      }
+      if (method !== 'eth_simulateV1' || !supported) {
+        throw new Error(`the method ${method} does not exist/is not available`);
+      }
+      const calls = params[0].blockStateCalls[0].calls;
+      const count = (calls.length - 1) / 2;
+      const balance = (call, after) => ethers.utils.defaultAbiCoder.encode(['uint256'], [
+        call.to === USDC ? (after ? 400000 : 1000000) : 0
+      ]);
+      return [{
+        calls: calls.map((call, index) => ({
+          status: '0x1',
+          gasUsed: index === count ? '0x1e8480' : '0x5208',
+          returnData: index === count ? '0x' : balance(call, index > count)
+        }))
+      }];
+    });
+  }
+
+  beforeAll(() => {
+    provider = new ethers.providers.StaticJsonRpcProvider('http://localhost:8545', { chainId: 42161, name: 'arbitrum' });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('simulateVaultTransactions', () => {
+    it('should simulate the batch from the executor with gas and balance deltas', async () => {
+      const call = stubVault();
+      const send = stubSend();
+
+      const result = await simulateVaultTransactions(VAULT, TRANSACTIONS, provider);
+
+      expect(result).toMatchObject({ success: true, from: EXECUTOR, blockNumber: BLOCK_NUMBER, revert: null, gasUsed: '2000000' });
+      expect(result.calls.map(c => c.success)).toEqual([true, true, true]);
+      const execute = call.mock.calls.find(([tx]) => vaultInterface.parseTransaction({ data: tx.data }).name === 'execute');
+      expect(execute[0].from).toBe(EXECUTOR);
+      expect(execute[1]).toBe(BLOCK_NUMBER);
+      expect(send.mock.calls[0][1][1]).toBe(ethers.utils.hexValue(BLOCK_NUMBER));
+      // Tokens the batch touches, then native ETH
+      expect(result.balanceDeltas).toEqual([
+        { token: USDC, symbol: 'USDC', decimals: 6, before: '1000000', after: '400000', delta: '-600000', formatted: '-0.6' },
+        { token: WETH, symbol: 'WETH', decimals: 18, before: '0', after: '0', delta: '0', formatted: '0.0' },
+        { token: null, symbol: 'ETH', decimals: 18, before: '0', after: '0', delta: '0', formatted: '0.0' }
+      ]);
+    });
+
+    it('should find and decode the failing call', async () => {
+      stubVault(1);
+
+      const result = await simulateVaultTransactions(VAULT, TRANSACTIONS, provider, { from: VAULT });
+
+      expect(result.success).toBe(false);
+      expect(result.from).toBe(VAULT);
+      expect(result.calls.map(c => c.success)).toEqual([true, false, null]);
+      expect(result.revert).toMatchObject({
+        name: 'SafeERC20FailedOperation',
+        args: { token: USDC },
+        contract: 'PositionVault',
+        message: `SafeERC20FailedOperation(${USDC})`
+      });
+      expect(result.calls[1].revert).toBe(result.revert);
+      expect(result.gasUsed).toBeNull();
+      expect(result.balanceDeltas).toBeNull();
+    });
+
+    it('should decode Error(string) reverts', async () => {
+      stubVault(0, '0x08c379a0' + ethers.utils.defaultAbiCoder.encode(['string'], ['Not authorized']).slice(2));
+
+      const result = await simulateVaultTransactions(VAULT, TRANSACTIONS, provider);
+
+      expect(result.calls.map(c => c.success)).toEqual([false, null, null]);
+      expect(result.revert).toMatchObject({ name: 'Error', args: { message: 'Not authorized' }, contract: null, message: 'Not authorized' });
+    });
+
+    it('should estimate gas without balance deltas when eth_simulateV1 is not supported', async () => {
+      stubVault();
+      const send = stubSend(false);
+
+      const result = await simulateVaultTransactions(VAULT, TRANSACTIONS, provider, { tokens: [USDC] });
+
+      expect(result.success).toBe(true);
+      expect(result.gasUsed).toBe('200000');
+      expect(result.balanceDeltas).toBeNull();
+      // Estimated at the simulated block
+      const [, [tx, blockTag]] = send.mock.calls.find(([method]) => method === 'eth_estimateGas');
+      expect(tx.from).toBe(EXECUTOR.toLowerCase());
+      expect(blockTag).toBe(ethers.utils.hexValue(BLOCK_NUMBER));
+    });
+
+    it('should validate parameters', async () => {
+      await expect(simulateVaultTransactions('bad', TRANSACTIONS, provider)).rejects.toThrow('Invalid vault address: bad');
+      await expect(simulateVaultTransactions(VAULT, [], provider)).rejects.toThrow('Transactions array cannot be empty');
+      await expect(simulateVaultTransactions(VAULT, TRANSACTIONS, {})).rejects.toThrow('Invalid provider');
+      await expect(simulateVaultTransactions(VAULT, TRANSACTIONS, provider, { from: 'bad' })).rejects.toThrow('Invalid from address: bad');
+      await expect(simulateVaultTransactions(VAULT, TRANSACTIONS, provider, { tokens: ['bad'] })).rejects.toThrow('Invalid token address: bad');
+    });
+  });
+
+  describe('executeVaultTransactions', () => {
+    it('should refuse to send a batch whose simulation fails', async () => {
+      stubVault(2);
+      const sendTransaction = vi.spyOn(provider, 'sendTransaction');
+      const signer = new ethers.Wallet(ethers.utils.id('simulation test signer'), provider);
+
+      await expect(executeVaultTransactionsDirect(VAULT, TRANSACTIONS, signer, { simulate: true })).rejects.toThrow(
+        `Failed to execute vault transactions: simulation failed at transaction 2 (${USDC}): SafeERC20FailedOperation(${USDC})`
+      );
+      expect(sendTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should throw the node\'s reason for a simulated revert without data', async () => {
+      stubVault(1, Object.assign(new Error('missing revert data in call exception'), {
+        code: 'CALL_EXCEPTION',
+        reason: 'execution reverted',
+        data: '0x'
+      }));
+      const signer = new ethers.Wallet(ethers.utils.id('simulation test signer'), provider);
+
+      const error = await executeVaultTransactionsDirect(VAULT, TRANSACTIONS, signer, { simulate: true }).catch(e => e);
+
+      expect(error).not.toBeInstanceOf(ContractError);
+      expect(error.message).toBe(
+        `Failed to execute vault transactions: simulation failed at transaction 1 (${ROUTER}): execution reverted`
+      );
+    });
+
+    it('should throw the node\'s reason when the batch reverts without data', async () => {
+      const signer = new ethers.Wallet(ethers.utils.id('simulation test signer'), provider);
+      vi.spyOn(signer, 'sendTransaction').mockRejectedValue(Object.assign(new Error('cannot estimate gas; transaction may fail'), {
+        code: 'UNPREDICTABLE_GAS_LIMIT',
+        reason: 'execution reverted',
+        error: { code: -32000, message: 'execution reverted' }
+      }));
+
+      const error = await executeVaultTransactionsDirect(VAULT, TRANSACTIONS, signer).catch(e => e);
+
+      expect(error).not.toBeInstanceOf(ContractError);
+      expect(error.message).toBe('Failed to execute vault transactions: execution reverted');
+    });
+
+    it('should throw a ContractError when the batch reverts', async () => {
+      const signer = new ethers.Wallet(ethers.utils.id('simulation test signer'), provider);
+      const data = vaultInterface.encodeErrorResult('SafeERC20FailedOperation', [USDC]);
+      vi.spyOn(signer, 'sendTransaction').mockRejectedValue(
+        Object.assign(new Error('cannot estimate gas'), { code: 'UNPREDICTABLE_GAS_LIMIT', error: { code: 3, data } })
+      );
+
+      const error = await executeVaultTransactionsDirect(VAULT, TRANSACTIONS, signer).catch(e => e);
+
+      expect(error).toBeInstanceOf(ContractError);
+      expect(error.message).toBe(`Failed to execute vault transactions: SafeERC20FailedOperation(${USDC})`);
+      expect(error).toMatchObject({ errorName: 'SafeERC20FailedOperation', args: { token: USDC }, contract: 'PositionVault' });
+    });
+
+    it('should validate options', async () => {
+      const signer = new ethers.Wallet(ethers.utils.id('simulation test signer'), provider);
+
+      await expect(executeVaultTransactionsDirect(VAULT, TRANSACTIONS, signer, { simulate: 'yes' })).rejects.toThrow('Simulate option must be a boolean');
+    });
+  });
+});
+
+describe('contracts.js - Strategy parameter transactions', () => {
+  const VAULT = '0x00000000000000000000000000000000000000A1';
+  const BOB = contractData.bob.addresses['42161'];
+  const MODERATE = {
+    targetRangeUpper: 5,
+    targetRangeLower: 5,
+    rebalanceThresholdUpper: 4,
+    rebalanceThresholdLower: 4,
+    feeReinvestment: true,
+    reinvestmentTrigger: 50,
+    reinvestmentRatio: 50,
+    maxSlippage: 0.5,
+    emergencyExitTrigger: 10,
+    maxUtilization: 90
+  };
+
+  const bobInterface = new ethers.utils.Interface(contractData.bob.abi);
+  const options = { chainId: 42161 };
+
+  /**
+   * Decode built transactions into setter names and arguments
+   * @param {Array<{target: string, data: string}>} transactions - Built transactions
+   * @returns {Array<Array>} [name, args] per transaction
+   */
+  function decode(transactions) {
+    return transactions.map(({ target, data }) => {
+      expect(target).toBe(BOB);
+      const { name, args } = bobInterface.parseTransaction({ data });
+      return [name, args.map(arg => ethers.BigNumber.isBigNumber(arg) ? arg.toString() : arg)];
+    });
+  }
+
+  describe('buildStrategyParameterTransactions', () => {
+    it('should set every contract group in contract units', () => {
+      const transactions = buildStrategyParameterTransactions('bob', VAULT, MODERATE, options);
+
+      expect(decode(transactions)).toEqual([
+        ['setRangeParameters', [500, 500, 400, 400]],
+        ['setFeeParameters', [true, '5000', 5000]],
+        ['setRiskParameters', [50, 1000, 9000]]
+      ]);
+    });
+
+    it('should be the inverse of mapStrategyParameters', () => {
+      const params = { ...MODERATE, targetRangeUpper: 7.3, reinvestmentTrigger: 12.35, maxSlippage: 0.15 };
+
+      const transactions = buildStrategyParameterTransactions('bob', VAULT, params, options);
+      const raw = decode(transactions).flatMap(([, args]) => args);
+
+      expect(mapStrategyParameters('bob', raw)).toEqual({ ...params, reinvestmentTrigger: '12.35' });
+    });
+
+    it('should select a template and set only the groups that differ from it', () => {
+      const transactions = buildStrategyParameterTransactions('bob', VAULT, { ...MODERATE, maxSlippage: 1 }, {
+        ...options,
+        template: 'moderate'
+      });
+
+      expect(decode(transactions)).toEqual([
+        ['selectTemplate', [2]],
+        ['resetToTemplate', []],
+        ['setRiskParameters', [100, 1000, 9000]]
+      ]);
+    });
+
+    it('should select the custom template without a reset', () => {
+      const transactions = buildStrategyParameterTransactions('bob', VAULT, MODERATE, { ...options, template: 'custom' });
+
+      expect(decode(transactions).map(([name]) => name)).toEqual([
+        'selectTemplate', 'setRangeParameters', 'setFeeParameters', 'setRiskParameters'
+      ]);
+      expect(decode(transactions)[0]).toEqual(['selectTemplate', [0]]);
+    });
+
+    it('should use defaults for parameters that are off by condition', () => {
+      const { reinvestmentTrigger, reinvestmentRatio, ...params } = MODERATE;
+
+      const transactions = buildStrategyParameterTransactions('bob', VAULT, { ...params, feeReinvestment: false }, options);
+
+      expect(decode(transactions)[1]).toEqual(['setFeeParameters', [false, '5000', 8000]]);
+    });
+
+    it('should reject a chain without a deployment of the strategy', () => {
+      expect(() => buildStrategyParameterTransactions('bob', VAULT, MODERATE, { chainId: 10 }))
+        .toThrow('No bob deployment found for network 10');
+    });
+
+    it('should validate parameters', () => {
+      expect(() => buildStrategyParameterTransactions('bob', VAULT, { ...MODERATE, targetRangeLower: 30 }, options))
+        .toThrow('Invalid bob parameters: Lower Range must be at most 20%');
+      expect(() => buildStrategyParameterTransactions('bob', VAULT, null, options)).toThrow('Parameters object is required');
+      expect(() => buildStrategyParameterTransactions('bob', VAULT, MODERATE, { ...options, template: 'yolo' }))
+        .toThrow('Template yolo not found in strategy bob');
+      expect(() => buildStrategyParameterTransactions('bob', VAULT, MODERATE, { ...options, template: 1 }))
+        .toThrow('Template option must be a non-empty string');
+      expect(() => buildStrategyParameterTransactions('bob', VAULT, MODERATE, [])).toThrow('Options parameter must be an object');
+      expect(() => buildStrategyParameterTransactions('bob', VAULT, MODERATE)).toThrow('chainId must be a number');
+      expect(() => buildStrategyParameterTransactions('bob', 'bad', MODERATE, options)).toThrow('Invalid vault address');
+    });
+  });
+});
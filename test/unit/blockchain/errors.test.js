@@ -0,0 +1,127 @@
+/**
+ * errors.js Unit Tests
+ *
+ * Revert data is encoded locally from the artifact ABIs, so no blockchain connection is needed.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ethers } from 'ethers';
+import contractData from '../../../src/artifacts/contracts.js';
+import { ContractError, getRevertData, decodeContractError } from '../../../src/blockchain/errors.js';
+
+const USDC = '0xaf88d065e77c8cC2239327C5EDb3A432268e5831';
+const ACCOUNT = '0x00000000000000000000000000000000000000B2';
+
+const vaultInterface = new ethers.utils.Interface(contractData.PositionVault.abi);
+const factoryInterface = new ethers.utils.Interface(contractData.VaultFactory.abi);
+const routerInterface = new ethers.utils.Interface([
+  "error ExecutionFailed(uint256 commandIndex, bytes message)",
+  "error V3TooLittleReceived()"
+]);
+const permit2Interface = new ethers.utils.Interface(["error AllowanceExpired(uint256 deadline)"]);
+
+/**
+ * Encode an Error(string) revert
+ * @param {string} reason - Revert reason
+ * @returns {string} Revert data
+ */
+const errorString = (reason) => '0x08c379a0' + ethers.utils.defaultAbiCoder.encode(['string'], [reason]).slice(2);
+
+describe('errors.js - Unit Tests', () => {
+  describe('decodeContractError', () => {
+    it('should decode FUM artifact errors with their arguments and contract', () => {
+      const data = vaultInterface.encodeErrorResult('SafeERC20FailedOperation', [USDC]);
+
+      expect(decodeContractError(data)).toEqual({
+        name: 'SafeERC20FailedOperation',
+        args: { token: USDC },
+        contract: 'PositionVault',
+        data,
+        message: `SafeERC20FailedOperation(${USDC})`
+      });
+    });
+
+    it('should prefer the contract called when several declare the error', () => {
+      const data = factoryInterface.encodeErrorResult('OwnableUnauthorizedAccount', [ACCOUNT]);
+
+      expect(decodeContractError(data, { contract: 'VaultFactory' })).toMatchObject({
+        name: 'OwnableUnauthorizedAccount',
+        args: { account: ethers.utils.getAddress(ACCOUNT) },
+        contract: 'VaultFactory'
+      });
+      expect(decodeContractError(data).contract).toBe('bob');
+    });
+
+    it('should decode Universal Router and Permit2 errors, with the inner revert of ExecutionFailed', () => {
+      const inner = routerInterface.encodeErrorResult('V3TooLittleReceived', []);
+      const data = routerInterface.encodeErrorResult('ExecutionFailed', [1, inner]);
+
+      const revert = decodeContractError(data);
+
+      expect(revert).toMatchObject({
+        name: 'ExecutionFailed',
+        args: { commandIndex: '1', message: inner },
+        contract: 'Universal Router',
+        message: 'ExecutionFailed(command 1: V3TooLittleReceived())'
+      });
+      expect(revert.inner).toMatchObject({ name: 'V3TooLittleReceived', contract: 'Universal Router' });
+      expect(decodeContractError(permit2Interface.encodeErrorResult('AllowanceExpired', [1700000000]))).toMatchObject({
+        name: 'AllowanceExpired', args: { deadline: '1700000000' }, contract: 'Permit2'
+      });
+    });
+
+    it('should name V3 periphery Error(string) codes and decode other built-in reverts', () => {
+      expect(decodeContractError(errorString('Too little received'))).toMatchObject({
+        name: 'TooLittleReceived',
+        args: { message: 'Too little received' },
+        contract: 'Uniswap V3 Periphery',
+        message: 'TooLittleReceived (Too little received)'
+      });
+      expect(decodeContractError(errorString('STF')).name).toBe('TransferFromFailed');
+      expect(decodeContractError(errorString('Not the owner'))).toMatchObject({
+        name: 'Error', args: { message: 'Not the owner' }, contract: null, message: 'Not the owner'
+      });
+      expect(decodeContractError('0x4e487b71' + ethers.utils.defaultAbiCoder.encode(['uint256'], [0x11]).slice(2))).toMatchObject({
+        name: 'Panic', args: { code: '17' }, message: 'Panic(0x11)'
+      });
+    });
+
+    it('should find revert data inside ethers errors', () => {
+      const data = vaultInterface.encodeErrorResult('ReentrancyGuardReentrantCall', []);
+      const nested = { code: 'UNPREDICTABLE_GAS_LIMIT', error: { code: -32603, error: { code: 3, data } } };
+      const body = { error: { body: JSON.stringify({ jsonrpc: '2.0', id: 1, error: { code: 3, data } }) } };
+
+      expect(getRevertData(nested)).toBe(data);
+      expect(getRevertData(body)).toBe(data);
+      expect(decodeContractError(nested).name).toBe('ReentrancyGuardReentrantCall');
+    });
+
+    it('should return null without revert data and an unnamed revert for unknown data', () => {
+      expect(decodeContractError(new Error('network down'))).toBeNull();
+      expect(decodeContractError('0x')).toBeNull();
+      expect(decodeContractError('0xdeadbeef')).toEqual({
+        name: null, args: {}, contract: null, data: '0xdeadbeef', message: 'Unrecognised revert data 0xdeadbeef'
+      });
+    });
+
+    it('should validate options', () => {
+      expect(() => decodeContractError('0x', null)).toThrow('Options parameter must be an object');
+      expect(() => decodeContractError('0x', { contract: 1 })).toThrow('Contract option must be a string');
+    });
+  });
+
+  describe('ContractError', () => {
+    it('should carry the decoded revert and the original error', () => {
+      const cause = new Error('call revert exception');
+      const revert = decodeContractError(vaultInterface.encodeErrorResult('SafeERC20FailedOperation', [USDC]));
+
+      const error = new ContractError(`Failed to execute vault transactions: ${revert.message}`, revert, cause);
+
+      expect(error).toBeInstanceOf(Error);
+      expect(error.name).toBe('ContractError');
+      expect(error.message).toBe(`Failed to execute vault transactions: SafeERC20FailedOperation(${USDC})`);
+      expect(error).toMatchObject({ errorName: 'SafeERC20FailedOperation', args: { token: USDC }, contract: 'PositionVault', inner: null });
+      expect(error.cause).toBe(cause);
+    });
+  });
+});
@@ -0,0 +1,321 @@
+/**
+ * multicall.js Unit Tests
+ *
+ * Reads are served by a stubbed provider.call, so no blockchain connection is needed.
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import { ethers } from 'ethers';
+import {
+  MULTICALL3_ADDRESS,
+  multicall,
+  configureMulticall,
+  getMulticallConfig,
+  validateBlockTag,
+  resolveBlockTag,
+  getLogsInChunks
+} from '../../../src/blockchain/multicall.js';
+import { initFumLibrary } from '../../../src/init.js';
+import { multicall3Interface, serveCalls } from '../../setup/stub-provider.js';
+
+const TOKEN = '0xaf88d065e77c8cC2239327C5EDb3A432268e5831';
+const HOLDER = '0x00000000000000000000000000000000000000B2';
+const BLOCK_NUMBER = 5000;
+
+const erc20Interface = new ethers.utils.Interface([
+  "function balanceOf(address owner) view returns (uint256)",
+  "function decimals() view returns (uint8)"
+]);
+
+/**
+ * Serve aggregate3 batches and single reads: balanceOf(owner) returns the owner's last byte,
+ * decimals() returns 6, and reads of `revertTarget` revert. The latest block is BLOCK_NUMBER
+ * @param {Object} provider - Provider whose call() is stubbed
+ * @param {string} [revertTarget] - Target whose reads revert
+ * @returns {Object} The call spy
+ */
+function stubReads(provider, revertTarget) {
+  return serveCalls(provider, (target, data) => {
+    if (target === revertTarget) {
+      throw new Error('execution reverted');
+    }
+    const { name, args } = erc20Interface.parseTransaction({ data });
+    return erc20Interface.encodeFunctionResult(name, name === 'balanceOf' ? [parseInt(args[0].slice(-2), 16)] : [6]);
+  }, { blockNumber: BLOCK_NUMBER });
+}
+
+const balanceCall = (index) => ({
+  target: TOKEN,
+  iface: erc20Interface,
+  method: 'balanceOf',
+  args: [ethers.utils.hexZeroPad(ethers.utils.hexlify(index), 20)]
+});
+
+describe('multicall.js - Unit Tests', () => {
+  let provider;
+
+  beforeAll(() => {
+    provider = new ethers.providers.StaticJsonRpcProvider('http://localhost:8545', { chainId: 42161, name: 'arbitrum' });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    configureMulticall({ enabled: true, batchSize: 100 });
+  });
+
+  describe('multicall', () => {
+    it('should batch reads through aggregate3 and return results in call order', async () => {
+      const call = stubReads(provider);
+
+      const results = await multicall([balanceCall(1), balanceCall(2), { target: TOKEN, iface: erc20Interface, method: 'decimals' }], provider);
+
+      expect(call).toHaveBeenCalledTimes(1);
+      expect(call.mock.calls[0][0].to).toBe(MULTICALL3_ADDRESS);
+      expect(results.map(({ success }) => success)).toEqual([true, true, true]);
+      expect(results.map(({ result }) => Number(result[0]))).toEqual([1, 2, 6]);
+    });
+
+    it('should split reads into batches of batchSize', async () => {
+      const call = stubReads(provider);
+      const calls = Array.from({ length: 7 }, (_, i) => balanceCall(i + 1));
+
+      const results = await multicall(calls, provider, { batchSize: 3 });
+
+      expect(call).toHaveBeenCalledTimes(3);
+      expect(results.map(({ result }) => Number(result[0]))).toEqual([1, 2, 3, 4, 5, 6, 7]);
+    });
+
+    it('should use the configured batch size by default', async () => {
+      const call = stubReads(provider);
+      configureMulticall({ batchSize: 2 });
+
+      await multicall([balanceCall(1), balanceCall(2), balanceCall(3)], provider);
+
+      expect(call).toHaveBeenCalledTimes(2);
+    });
+
+    it('should fail reverted reads without failing the batch', async () => {
+      const other = '0x0000000000000000000000000000000000000C01';
+      stubReads(provider, other);
+
+      const results = await multicall([balanceCall(1), { ...balanceCall(2), target: other }], provider);
+
+      expect(results[0]).toMatchObject({ success: true });
+      expect(results[1].success).toBe(false);
+      expect(results[1].error.message).toBe(`balanceOf call to ${other} reverted`);
+    });
+
+    it('should report return data that does not decode as a failed read', async () => {
+      vi.spyOn(provider, 'call').mockResolvedValue(
+        multicall3Interface.encodeFunctionResult('aggregate3', [[{ success: true, returnData: '0x' }]])
+      );
+
+      const [result] = await multicall([balanceCall(1)], provider);
+
+      expect(result.success).toBe(false);
+      expect(result.error.message).toMatch(`Failed to decode balanceOf result from ${TOKEN}`);
+    });
+
+    it('should send one call per read when batching is disabled', async () => {
+      const other = '0x0000000000000000000000000000000000000C01';
+      const call = stubReads(provider, other);
+
+      const results = await multicall([balanceCall(1), balanceCall(2), { ...balanceCall(3), target: other }], provider, { enabled: false });
+
+      expect(call).toHaveBeenCalledTimes(3);
+      expect(call.mock.calls.every(([tx]) => tx.to !== MULTICALL3_ADDRESS)).toBe(true);
+      expect(results.slice(0, 2).map(({ result }) => Number(result[0]))).toEqual([1, 2]);
+      expect(results[2].success).toBe(false);
+      expect(results[2].error.message).toBe(`balanceOf call to ${other} failed: execution reverted`);
+    });
+
+    it('should throw when a batch cannot be executed', async () => {
+      vi.spyOn(provider, 'call').mockRejectedValue(new Error('network down'));
+
+      await expect(multicall([balanceCall(1)], provider)).rejects.toThrow('Failed to execute multicall batch: network down');
+    });
+
+    it('should return no results for no reads', async () => {
+      const call = stubReads(provider);
+
+      expect(await multicall([], provider)).toEqual([]);
+      expect(call).not.toHaveBeenCalled();
+    });
+
+    it('should read at the requested block', async () => {
+      const call = stubReads(provider);
+
+      await multicall([balanceCall(1), balanceCall(2)], provider, { blockTag: 1234 });
+
+      expect(call.mock.calls.map(([, blockTag]) => blockTag)).toEqual([1234]);
+    });
+
+    it('should pin reads spread over several calls to one block', async () => {
+      const call = stubReads(provider);
+      await multicall([balanceCall(1), balanceCall(2), balanceCall(3)], provider, { batchSize: 1 });
+      await multicall([balanceCall(1), balanceCall(2)], provider, { enabled: false, blockTag: '0x10' });
+
+      expect(provider.getBlockNumber).toHaveBeenCalledTimes(1);
+      expect(call.mock.calls.map(([, blockTag]) => blockTag)).toEqual([BLOCK_NUMBER, BLOCK_NUMBER, BLOCK_NUMBER, 16, 16]);
+    });
+
+    it('should not resolve the latest block for a single call', async () => {
+      const call = stubReads(provider);
+
+      await multicall([balanceCall(1), balanceCall(2)], provider);
+
+      expect(provider.getBlockNumber).not.toHaveBeenCalled();
+      expect(call.mock.calls[0][1]).toBe('latest');
+    });
+
+    it('should validate its parameters', async () => {
+      await expect(multicall(null, provider)).rejects.toThrow('Calls must be an array');
+      await expect(multicall([null], provider)).rejects.toThrow('Call 0 must be an object');
+      await expect(multicall([{ ...balanceCall(1), target: 'bad' }], provider)).rejects.toThrow('Call 0 has an invalid target address: bad');
+      await expect(multicall([{ ...balanceCall(1), iface: [] }], provider)).rejects.toThrow('Call 0 must include an ethers Interface');
+      await expect(multicall([{ ...balanceCall(1), args: 'x' }], provider)).rejects.toThrow('Call 0 args must be an array');
+      await expect(multicall([{ ...balanceCall(1), method: 'transfer' }], provider)).rejects.toThrow('Call 0 could not be encoded');
+      await expect(multicall([balanceCall(1)], {})).rejects.toThrow('Invalid provider. Must be an ethers provider instance.');
+      await expect(multicall([balanceCall(1)], provider, null)).rejects.toThrow('Options parameter must be an object');
+      await expect(multicall([balanceCall(1)], provider, { enabled: 'no' })).rejects.toThrow('enabled must be a boolean');
+      await expect(multicall([balanceCall(1)], provider, { batchSize: 0 })).rejects.toThrow('batchSize must be a positive integer');
+      await expect(multicall([balanceCall(1)], provider, { blockTag: 'soon' })).rejects.toThrow('Invalid block tag: soon');
+    });
+  });
+
+  describe('block tags', () => {
+    it('should accept block numbers, hex block numbers and named tags', () => {
+      for (const blockTag of [0, 1234, '0x4d2', 'latest', 'earliest', 'pending', 'safe', 'finalized']) {
+        expect(() => validateBlockTag(blockTag)).not.toThrow();
+      }
+      for (const blockTag of [-1, 1.5, '1234', 'head', null, {}]) {
+        expect(() => validateBlockTag(blockTag)).toThrow('Invalid block tag');
+      }
+    });
+
+    it('should resolve block tags to block numbers', async () => {
+      vi.spyOn(provider, 'getBlockNumber').mockResolvedValue(5000);
+      vi.spyOn(provider, 'getBlock').mockResolvedValue({ number: 4990 });
+
+      expect(await resolveBlockTag(provider)).toBe(5000);
+      expect(await resolveBlockTag(provider, 'latest')).toBe(5000);
+      expect(await resolveBlockTag(provider, 'finalized')).toBe(4990);
+      expect(await resolveBlockTag(provider, 'earliest')).toBe(0);
+      expect(await resolveBlockTag(provider, '0x4d2')).toBe(1234);
+      expect(await resolveBlockTag(provider, 1234)).toBe(1234);
+      expect(provider.getBlock).toHaveBeenCalledWith('finalized');
+    });
+
+    it('should report blocks that cannot be resolved', async () => {
+      vi.spyOn(provider, 'getBlock').mockResolvedValue(null);
+
+      await expect(resolveBlockTag(provider, 'safe')).rejects.toThrow('Failed to resolve block tag safe: block not found');
+      await expect(resolveBlockTag({}, 'latest')).rejects.toThrow('Invalid provider. Must be an ethers provider instance.');
+    });
+  });
+
+  describe('getLogsInChunks', () => {
+    const filter = { address: TOKEN, topics: [ethers.utils.id('Transfer(address,address,uint256)')] };
+
+    it('should split the block range into chunkSize-block requests', async () => {
+      const getLogs = vi.spyOn(provider, 'getLogs').mockImplementation(async ({ fromBlock }) => [{ blockNumber: fromBlock }]);
+
+      const logs = await getLogsInChunks(provider, filter, 100, 350, 100);
+
+      expect(getLogs.mock.calls.map(([request]) => request)).toEqual([
+        { ...filter, fromBlock: 100, toBlock: 199 },
+        { ...filter, fromBlock: 200, toBlock: 299 },
+        { ...filter, fromBlock: 300, toBlock: 350 }
+      ]);
+      expect(logs.map(log => log.blockNumber)).toEqual([100, 200, 300]);
+    });
+
+    it('should make a single request for a range within one chunk', async () => {
+      const getLogs = vi.spyOn(provider, 'getLogs').mockResolvedValue([]);
+
+      expect(await getLogsInChunks(provider, filter, 100, 100)).toEqual([]);
+      expect(getLogs).toHaveBeenCalledTimes(1);
+    });
+
+    it('should name the block range of a failed request', async () => {
+      vi.spyOn(provider, 'getLogs').mockRejectedValue(new Error('query returned more than 10000 results'));
+
+      await expect(getLogsInChunks(provider, filter, 0, 50, 20))
+        .rejects.toThrow(`Failed to fetch ${TOKEN} logs for blocks 0-19: query returned more than 10000 results`);
+    });
+
+    it('should grow ranges while requests succeed and halve them when one fails', async () => {
+      // The provider refuses ranges over 300 blocks
+      const getLogs = vi.spyOn(provider, 'getLogs').mockImplementation(async ({ fromBlock, toBlock }) => {
+        if (toBlock - fromBlock + 1 > 300) {
+          throw new Error('block range too large');
+        }
+        return [];
+      });
+
+      await getLogsInChunks(provider, filter, 0, 1299, 100, { maxChunkSize: 1000, minChunkSize: 50 });
+
+      expect(getLogs.mock.calls.map(([{ fromBlock, toBlock }]) => [fromBlock, toBlock])).toEqual([
+        [0, 99],
+        [100, 299],
+        [300, 699],   // refused: 400 blocks
+        [300, 499],
+        [500, 699],   // no longer grows past half the refused size
+        [700, 899],
+        [900, 1099],
+        [1100, 1299]
+      ]);
+    });
+
+    it('should fail once a range at minChunkSize fails', async () => {
+      const getLogs = vi.spyOn(provider, 'getLogs').mockRejectedValue(new Error('block range too large'));
+
+      await expect(getLogsInChunks(provider, filter, 0, 1000, 400, { minChunkSize: 100 }))
+        .rejects.toThrow(`Failed to fetch ${TOKEN} logs for blocks 0-99: block range too large`);
+      expect(getLogs).toHaveBeenCalledTimes(3);
+    });
+
+    it('should validate parameters', async () => {
+      await expect(getLogsInChunks({}, filter, 0, 1)).rejects.toThrow('Invalid provider. Must be an ethers provider instance.');
+      await expect(getLogsInChunks(provider, null, 0, 1)).rejects.toThrow('Filter must be an object');
+      await expect(getLogsInChunks(provider, filter, -1, 1)).rejects.toThrow('Invalid fromBlock: -1');
+      await expect(getLogsInChunks(provider, filter, 0, 'latest')).rejects.toThrow('Invalid toBlock: latest');
+      await expect(getLogsInChunks(provider, filter, 0, 1, 0)).rejects.toThrow('Chunk size must be a positive integer. Got: 0');
+      await expect(getLogsInChunks(provider, filter, 0, 1, 100, [])).rejects.toThrow('Options parameter must be an object');
+      await expect(getLogsInChunks(provider, filter, 0, 1, 100, { maxChunkSize: 50 }))
+        .rejects.toThrow('maxChunkSize must be an integer of at least the chunk size. Got: 50');
+      await expect(getLogsInChunks(provider, filter, 0, 1, 100, { minChunkSize: 0 }))
+        .rejects.toThrow('minChunkSize must be a positive integer of at most the chunk size. Got: 0');
+    });
+  });
+
+  describe('configureMulticall', () => {
+    it('should default to batches of 100', () => {
+      expect(getMulticallConfig()).toEqual({ enabled: true, batchSize: 100 });
+    });
+
+    it('should update only the options given', () => {
+      configureMulticall({ batchSize: 25 });
+      expect(getMulticallConfig()).toEqual({ enabled: true, batchSize: 25 });
+
+      configureMulticall({ enabled: false });
+      expect(getMulticallConfig()).toEqual({ enabled: false, batchSize: 25 });
+    });
+
+    it('should return a copy of the configuration', () => {
+      getMulticallConfig().batchSize = 1;
+      expect(getMulticallConfig().batchSize).toBe(100);
+    });
+
+    it('should validate options', () => {
+      expect(() => configureMulticall({ enabled: 1 })).toThrow('enabled must be a boolean');
+      expect(() => configureMulticall({ batchSize: -1 })).toThrow('batchSize must be a positive integer');
+      expect(getMulticallConfig()).toEqual({ enabled: true, batchSize: 100 });
+    });
+
+    it('should be configurable through initFumLibrary', () => {
+      initFumLibrary({ multicall: { enabled: false, batchSize: 10 } });
+      expect(getMulticallConfig()).toEqual({ enabled: false, batchSize: 10 });
+    });
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * permit2.js Unit Tests
+ *
+ * Signatures are made with a local wallet and contract reads are served by a stubbed
+ * provider.call, so no blockchain connection is needed.
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import { ethers } from 'ethers';
+import {
+  PERMIT2_ADDRESS,
+  getPermit2Allowance,
+  buildPermit2TypedData,
+  signPermit2,
+  signVaultPermit2
+} from '../../../src/blockchain/permit2.js';
+import chains from '../../../src/configs/chains.js';
+import contractData from '../../../src/artifacts/contracts.js';
+
+const CHAIN_ID = 42161;
+const USDC = '0xaf88d065e77c8cC2239327C5EDb3A432268e5831';
+const VAULT = '0x00000000000000000000000000000000000000A1';
+const SPENDER = '0x00000000000000000000000000000000000000C1';
+const UNIVERSAL_ROUTER = chains[CHAIN_ID].platformAddresses.uniswapV3.universalRouterAddress;
+const EXPIRATION = 1900000000;
+
+const permit2Interface = new ethers.utils.Interface([
+  "function allowance(address owner, address token, address spender) view returns (uint160 amount, uint48 expiration, uint48 nonce)"
+]);
+const vaultInterface = new ethers.utils.Interface(contractData.PositionVault.abi);
+
+describe('permit2.js - Unit Tests', () => {
+  let provider;
+  let wallet;
+
+  beforeAll(() => {
+    provider = new ethers.providers.StaticJsonRpcProvider('http://localhost:8545', { chainId: CHAIN_ID, name: 'arbitrum' });
+    wallet = new ethers.Wallet(ethers.utils.id('permit2 test signer'));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const typedData = (overrides) => buildPermit2TypedData({
+    chainId: CHAIN_ID,
+    token: USDC,
+    amount: '1000000',
+    nonce: 3,
+    expiration: EXPIRATION,
+    ...overrides
+  });
+
+  describe('getPermit2Allowance', () => {
+    it('should read the allowance from Permit2 at the requested block', async () => {
+      const call = vi.spyOn(provider, 'call').mockResolvedValue(
+        permit2Interface.encodeFunctionResult('allowance', ['5000', EXPIRATION, 7])
+      );
+
+      const allowance = await getPermit2Allowance(VAULT, USDC, SPENDER, provider, { blockTag: 1234 });
+
+      expect(allowance).toEqual({ amount: '5000', expiration: EXPIRATION, nonce: 7 });
+      const [tx, blockTag] = call.mock.calls[0];
+      expect(tx.to).toBe(PERMIT2_ADDRESS);
+      expect(blockTag).toBe(1234);
+      expect(permit2Interface.decodeFunctionData('allowance', tx.data).map(String))
+        .toEqual([VAULT, USDC, SPENDER].map(ethers.utils.getAddress));
+    });
+
+    it('should validate its parameters', async () => {
+      await expect(getPermit2Allowance(null, USDC, SPENDER, provider)).rejects.toThrow('Owner address parameter is required');
+      await expect(getPermit2Allowance(VAULT, 'bad', SPENDER, provider)).rejects.toThrow('Invalid token address: bad');
+      await expect(getPermit2Allowance(VAULT, USDC, SPENDER, {})).rejects.toThrow('Invalid provider. Must be an ethers provider instance.');
+      await expect(getPermit2Allowance(VAULT, USDC, SPENDER, provider, { blockTag: 'soon' })).rejects.toThrow('Invalid block tag: soon');
+    });
+
+    it('should report failed reads', async () => {
+      vi.spyOn(provider, 'call').mockRejectedValue(new Error('network down'));
+
+      await expect(getPermit2Allowance(VAULT, USDC, SPENDER, provider)).rejects.toThrow('Failed to read Permit2 allowance');
+    });
+  });
+
+  describe('buildPermit2TypedData', () => {
+    it('should build a PermitSingle for the Universal Router', () => {
+      const { domain, types, values } = typedData();
+
+      expect(domain).toEqual({ name: 'Permit2', chainId: CHAIN_ID, verifyingContract: PERMIT2_ADDRESS });
+      expect(values).toEqual({
+        details: { token: USDC, amount: '1000000', expiration: EXPIRATION, nonce: 3 },
+        spender: UNIVERSAL_ROUTER,
+        sigDeadline: EXPIRATION
+      });
+      // Must match the type string Permit2 hashes
+      expect(ethers.utils._TypedDataEncoder.from(types).encodeType('PermitSingle')).toBe(
+        'PermitSingle(PermitDetails details,address spender,uint256 sigDeadline)' +
+        'PermitDetails(address token,uint160 amount,uint48 expiration,uint48 nonce)'
+      );
+    });
+
+    it('should take an explicit spender and signature deadline', () => {
+      const { values } = typedData({ spender: SPENDER, sigDeadline: EXPIRATION - 60 });
+
+      expect(values.spender).toBe(SPENDER);
+      expect(values.sigDeadline).toBe(EXPIRATION - 60);
+    });
+
+    it('should validate its parameters', () => {
+      expect(() => buildPermit2TypedData(null)).toThrow('Params must be an object');
+      expect(() => typedData({ chainId: 0 })).toThrow();
+      expect(() => typedData({ token: 'bad' })).toThrow('Invalid token address: bad');
+      expect(() => typedData({ amount: 1000 })).toThrow('Amount must be a non-negative numeric string');
+      expect(() => typedData({ amount: (2n ** 160n).toString() })).toThrow('Amount exceeds uint160 maximum value');
+      expect(() => typedData({ nonce: -1 })).toThrow('Nonce must be a non-negative integer below 2^48');
+      expect(() => typedData({ expiration: 2 ** 48 })).toThrow('Expiration must be a non-negative integer below 2^48');
+      expect(() => typedData({ spender: 'bad' })).toThrow('Invalid spender address: bad');
+    });
+  });
+
+  describe('signPermit2', () => {
+    it('should sign the typed data with the wallet', async () => {
+      const data = typedData();
+
+      const signature = await signPermit2(data, wallet);
+
+      expect(ethers.utils.verifyTypedData(data.domain, data.types, data.values, signature)).toBe(wallet.address);
+    });
+
+    it('should validate its parameters', async () => {
+      await expect(signPermit2({}, wallet)).rejects.toThrow('Typed data must come from buildPermit2TypedData');
+      await expect(signPermit2(typedData(), {})).rejects.toThrow('Invalid signer. Must be an ethers signer that supports _signTypedData.');
+    });
+  });
+
+  describe('signVaultPermit2', () => {
+    /**
+     * Serve isValidSignature like a vault that accepts signatures from `accepted`
+     * @param {string} accepted - Address the vault accepts signatures from
+     * @returns {Object} The call spy
+     */
+    const stubVault = (accepted) => vi.spyOn(provider, 'call').mockImplementation(async (tx) => {
+      const [hash, signature] = vaultInterface.decodeFunctionData('isValidSignature', tx.data);
+      const signer = ethers.utils.recoverAddress(hash, signature);
+      return vaultInterface.encodeFunctionResult('isValidSignature', [signer === accepted ? '0x1626ba7e' : '0xffffffff']);
+    });
+
+    it('should return a signature the vault accepts through ERC-1271', async () => {
+      const call = stubVault(wallet.address);
+      const data = typedData();
+
+      const { signature, hash } = await signVaultPermit2(VAULT, data, wallet, provider);
+
+      expect(hash).toBe(ethers.utils._TypedDataEncoder.hash(data.domain, data.types, data.values));
+      expect(ethers.utils.recoverAddress(hash, signature)).toBe(wallet.address);
+      expect(call.mock.calls[0][0].to).toBe(VAULT);
+    });
+
+    it('should throw when the vault rejects the signer', async () => {
+      stubVault(SPENDER);
+
+      await expect(signVaultPermit2(VAULT, typedData(), wallet, provider)).rejects.toThrow(
+        `Failed to sign Permit2 permit for vault: vault ${VAULT} does not accept signatures from ${wallet.address}`
+      );
+    });
+
+    it('should validate its parameters', async () => {
+      await expect(signVaultPermit2('bad', typedData(), wallet, provider)).rejects.toThrow('Invalid vault address: bad');
+      await expect(signVaultPermit2(VAULT, typedData(), wallet, {})).rejects.toThrow('Invalid provider. Must be an ethers provider instance.');
+      await expect(signVaultPermit2(VAULT, null, wallet, provider)).rejects.toThrow('Typed data must come from buildPermit2TypedData');
+    });
+  });
+});
@@ -0,0 +1,312 @@
+/**
+ * poolStateCache.js Unit Tests
+ *
+ * Reads are served by a stubbed provider.call, so no blockchain connection is needed.
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import { ethers } from 'ethers';
+import {
+  configurePoolStateCache,
+  getPoolStateCacheConfig,
+  clearPoolStateCache,
+  invalidatePoolState,
+  invalidatePoolStateBefore,
+  resolvePoolStateBlock,
+  readPoolState,
+  watchPoolStateCache
+} from '../../../src/blockchain/poolStateCache.js';
+import { initFumLibrary } from '../../../src/init.js';
+import { multicall3Interface, serveCalls } from '../../setup/stub-provider.js';
+
+const CHAIN_ID = 42161;
+const POOL = '0xC6962004f452bE9203591991D15f6b388e09E8D0';
+const OTHER_POOL = '0xC31E54c7a869B9FcBEcc14363CF510d1c41fa443';
+const SWAP_EVENT = 'Swap(address,address,int256,int256,uint160,uint128,int24)';
+
+const poolInterface = new ethers.utils.Interface([
+  "function liquidity() view returns (uint128)",
+  "function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)"
+]);
+
+const liquidityCall = (target = POOL) => ({ target, iface: poolInterface, method: 'liquidity' });
+const slot0Call = (target = POOL) => ({ target, iface: poolInterface, method: 'slot0' });
+
+/**
+ * Serve aggregate3 batches of pool reads: liquidity() returns `liquidity`, slot0() returns tick -100,
+ * and reads of `revertTarget` revert
+ * @param {Object} provider - Provider whose call() is stubbed
+ * @param {Object} [options] - Stub options
+ * @param {number} [options.liquidity=1000] - Liquidity to return
+ * @param {string} [options.revertTarget] - Target whose reads revert
+ * @returns {Object} The call spy
+ */
+function stubPoolReads(provider, { liquidity = 1000, revertTarget } = {}) {
+  return serveCalls(provider, (target, data, batched) => {
+    if (!batched) {
+      throw new Error(`Unexpected call to ${target}`);
+    }
+    if (target === revertTarget) {
+      throw new Error('execution reverted');
+    }
+    const { name } = poolInterface.parseTransaction({ data });
+    return poolInterface.encodeFunctionResult(name, name === 'liquidity'
+      ? [liquidity]
+      : ['79228162514264337593543950336', -100, 1, 10, 10, 0, true]);
+  });
+}
+
+describe('poolStateCache.js - Unit Tests', () => {
+  let provider;
+
+  beforeAll(() => {
+    provider = new ethers.providers.StaticJsonRpcProvider('http://localhost:8545', { chainId: CHAIN_ID, name: 'arbitrum' });
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    configurePoolStateCache({ enabled: true, ttlMs: 60000, storage: new Map() });
+    await clearPoolStateCache();
+  });
+
+  describe('readPoolState', () => {
+    it('should serve repeated reads of a pool at the same block from the cache', async () => {
+      const call = stubPoolReads(provider);
+
+      const first = await readPoolState(CHAIN_ID, [liquidityCall(), slot0Call()], provider, { blockTag: 100 });
+      const second = await readPoolState(CHAIN_ID, [liquidityCall(), slot0Call()], provider, { blockTag: 100 });
+
+      expect(call).toHaveBeenCalledTimes(1);
+      expect(second).toEqual(first);
+      expect(first[0].result[0]).toBe('1000');
+      expect(first[1].result.tick).toBe(-100);
+      expect(first[1].result.sqrtPriceX96).toBe('79228162514264337593543950336');
+    });
+
+    it('should only read what is not cached yet', async () => {
+      const call = stubPoolReads(provider);
+
+      await readPoolState(CHAIN_ID, [liquidityCall()], provider, { blockTag: 100 });
+      const results = await readPoolState(CHAIN_ID, [liquidityCall(), slot0Call(), liquidityCall(OTHER_POOL)], provider, { blockTag: 100 });
+
+      expect(call).toHaveBeenCalledTimes(2);
+      const [calls] = multicall3Interface.decodeFunctionData('aggregate3', call.mock.calls[1][0].data);
+      expect(calls.map(({ target }) => target)).toEqual([POOL, OTHER_POOL]);
+      expect(results.map(({ success }) => success)).toEqual([true, true, true]);
+    });
+
+    it('should key state by chain, pool and block', async () => {
+      const call = stubPoolReads(provider);
+
+      await readPoolState(CHAIN_ID, [liquidityCall()], provider, { blockTag: 100 });
+      await readPoolState(1, [liquidityCall()], provider, { blockTag: 100 });
+      await readPoolState(CHAIN_ID, [liquidityCall()], provider, { blockTag: 101 });
+      await readPoolState(CHAIN_ID, [liquidityCall(OTHER_POOL)], provider, { blockTag: 101 });
+
+      expect(call).toHaveBeenCalledTimes(4);
+    });
+
+    it('should not cache failed reads', async () => {
+      const call = stubPoolReads(provider, { revertTarget: OTHER_POOL });
+
+      const [ok, failed] = await readPoolState(CHAIN_ID, [liquidityCall(), liquidityCall(OTHER_POOL)], provider, { blockTag: 100 });
+      await readPoolState(CHAIN_ID, [liquidityCall(), liquidityCall(OTHER_POOL)], provider, { blockTag: 100 });
+
+      expect(ok.success).toBe(true);
+      expect(failed.success).toBe(false);
+      expect(call).toHaveBeenCalledTimes(2);
+    });
+
+    it('should only cache reads pinned to a block number', async () => {
+      const call = stubPoolReads(provider);
+
+      await readPoolState(CHAIN_ID, [liquidityCall()], provider, { blockTag: 'latest' });
+      const [read] = await readPoolState(CHAIN_ID, [liquidityCall()], provider);
+
+      expect(call).toHaveBeenCalledTimes(2);
+      expect(read.result[0]).toBe('1000');
+    });
+
+    it('should read every time when disabled', async () => {
+      const call = stubPoolReads(provider);
+      configurePoolStateCache({ enabled: false });
+
+      await readPoolState(CHAIN_ID, [liquidityCall()], provider, { blockTag: 100 });
+      await readPoolState(CHAIN_ID, [liquidityCall()], provider, { blockTag: 100 });
+
+      expect(call).toHaveBeenCalledTimes(2);
+    });
+
+    it('should expire entries after ttlMs', async () => {
+      const call = stubPoolReads(provider);
+      const now = vi.spyOn(Date, 'now').mockReturnValue(1000000);
+      configurePoolStateCache({ ttlMs: 5000 });
+
+      await readPoolState(CHAIN_ID, [liquidityCall()], provider, { blockTag: 100 });
+      now.mockReturnValue(1004999);
+      await readPoolState(CHAIN_ID, [liquidityCall()], provider, { blockTag: 100 });
+      now.mockReturnValue(1005000);
+      await readPoolState(CHAIN_ID, [liquidityCall()], provider, { blockTag: 100 });
+
+      expect(call).toHaveBeenCalledTimes(2);
+    });
+
+    it('should evict state at older blocks once a newer block is read', async () => {
+      stubPoolReads(provider);
+      const storage = new Map();
+      configurePoolStateCache({ storage });
+
+      await readPoolState(CHAIN_ID, [liquidityCall()], provider, { blockTag: 100 });
+      await readPoolState(1, [liquidityCall()], provider, { blockTag: 50 });
+      await readPoolState(CHAIN_ID, [liquidityCall(OTHER_POOL)], provider, { blockTag: 101 });
+
+      expect([...storage.keys()]).toEqual([
+        `1:${POOL.toLowerCase()}:50`,
+        `${CHAIN_ID}:${OTHER_POOL.toLowerCase()}:101`
+      ]);
+    });
+
+    it('should use pluggable async storage', async () => {
+      const call = stubPoolReads(provider);
+      const map = new Map();
+      const storage = {
+        get: vi.fn(async (key) => map.get(key)),
+        set: vi.fn(async (key, value) => { map.set(key, JSON.parse(JSON.stringify(value))); }),
+        delete: vi.fn(async (key) => map.delete(key)),
+        keys: vi.fn(async () => [...map.keys()])
+      };
+      configurePoolStateCache({ storage });
+
+      const first = await readPoolState(CHAIN_ID, [slot0Call()], provider, { blockTag: 100 });
+      const second = await readPoolState(CHAIN_ID, [slot0Call()], provider, { blockTag: 100 });
+
+      expect(call).toHaveBeenCalledTimes(1);
+      expect(storage.set).toHaveBeenCalledTimes(1);
+      expect(second).toEqual(first);
+    });
+  });
+
+  describe('invalidation', () => {
+    it('should remove a pool\'s state at every block', async () => {
+      stubPoolReads(provider);
+      const storage = new Map();
+      configurePoolStateCache({ storage });
+
+      await readPoolState(CHAIN_ID, [liquidityCall(), liquidityCall(OTHER_POOL)], provider, { blockTag: 100 });
+      await invalidatePoolState(CHAIN_ID, POOL);
+
+      expect([...storage.keys()]).toEqual([`${CHAIN_ID}:${OTHER_POOL.toLowerCase()}:100`]);
+    });
+
+    it('should only remove a pool\'s state from the given block on', async () => {
+      stubPoolReads(provider);
+      const storage = new Map();
+      configurePoolStateCache({ storage });
+
+      await readPoolState(CHAIN_ID, [liquidityCall()], provider, { blockTag: 101 });
+      await readPoolState(CHAIN_ID, [liquidityCall(), liquidityCall(OTHER_POOL)], provider, { blockTag: 100 });
+      await invalidatePoolState(CHAIN_ID, POOL, 101);
+
+      expect([...storage.keys()]).toEqual([
+        `${CHAIN_ID}:${POOL.toLowerCase()}:100`,
+        `${CHAIN_ID}:${OTHER_POOL.toLowerCase()}:100`
+      ]);
+    });
+
+    it('should not walk the whole storage on every new block', async () => {
+      stubPoolReads(provider);
+      const map = new Map();
+      const storage = {
+        get: vi.fn(async (key) => map.get(key)),
+        set: vi.fn(async (key, value) => { map.set(key, value); }),
+        delete: vi.fn(async (key) => map.delete(key)),
+        keys: vi.fn(async () => [...map.keys()])
+      };
+      const now = vi.spyOn(Date, 'now').mockReturnValue(1000000);
+      configurePoolStateCache({ storage, ttlMs: 5000 });
+
+      await readPoolState(CHAIN_ID, [liquidityCall()], provider, { blockTag: 100 });
+      for (const blockNumber of [101, 102, 103]) {
+        await invalidatePoolStateBefore(CHAIN_ID, blockNumber);
+      }
+      expect(map.size).toBe(0);
+      expect(storage.keys).toHaveBeenCalledTimes(1);
+
+      // Entries stored elsewhere are swept once the TTL has passed
+      map.set(`1:${POOL.toLowerCase()}:50`, { storedAt: 1000000, reads: {} });
+      now.mockReturnValue(1005000);
+      await invalidatePoolStateBefore(CHAIN_ID, 104);
+      expect(storage.keys).toHaveBeenCalledTimes(2);
+      expect(map.size).toBe(0);
+    });
+
+    it('should remove state at blocks before a new block', async () => {
+      stubPoolReads(provider);
+      const storage = new Map();
+      configurePoolStateCache({ storage });
+
+      await readPoolState(CHAIN_ID, [liquidityCall()], provider, { blockTag: 100 });
+      await invalidatePoolStateBefore(CHAIN_ID, 100);
+      expect(storage.size).toBe(1);
+
+      await invalidatePoolStateBefore(CHAIN_ID, 101);
+      expect(storage.size).toBe(0);
+    });
+
+    it('should follow new blocks and Swap events while watched', async () => {
+      const call = stubPoolReads(provider);
+      const listeners = new Map();
+      vi.spyOn(provider, 'on').mockImplementation((event, listener) => listeners.set(JSON.stringify(event), listener));
+      const off = vi.spyOn(provider, 'off').mockImplementation(() => provider);
+      vi.spyOn(provider, 'getBlockNumber').mockResolvedValue(100);
+
+      const stop = await watchPoolStateCache(provider, [{ address: POOL, swapEventSignature: SWAP_EVENT }]);
+      const onBlock = listeners.get('"block"');
+      const onSwap = listeners.get(JSON.stringify({ address: POOL, topics: [ethers.utils.id(SWAP_EVENT)] }));
+
+      // Latest resolves to the watched block without a request
+      onBlock(200);
+      expect(await resolvePoolStateBlock(CHAIN_ID, provider)).toBe(200);
+      expect(provider.getBlockNumber).not.toHaveBeenCalled();
+
+      await readPoolState(CHAIN_ID, [liquidityCall()], provider, { blockTag: 200 });
+      onSwap({ blockNumber: 200 });
+      await vi.waitFor(async () => {
+        await readPoolState(CHAIN_ID, [liquidityCall()], provider, { blockTag: 200 });
+        expect(call).toHaveBeenCalledTimes(2);
+      });
+
+      stop();
+      expect(off).toHaveBeenCalledTimes(2);
+      expect(await resolvePoolStateBlock(CHAIN_ID, provider)).toBe(100);
+    });
+
+    it('should validate watched pools', async () => {
+      await expect(watchPoolStateCache({}, [])).rejects.toThrow('Invalid provider. Must be an ethers provider instance.');
+      await expect(watchPoolStateCache(provider, {})).rejects.toThrow('Pools must be an array');
+      await expect(watchPoolStateCache(provider, [{ address: 'bad', swapEventSignature: SWAP_EVENT }])).rejects.toThrow('Pool 0 has an invalid address: bad');
+      await expect(watchPoolStateCache(provider, [{ address: POOL }])).rejects.toThrow('Pool 0 must include a swapEventSignature');
+    });
+  });
+
+  describe('configurePoolStateCache', () => {
+    it('should default to an in-memory cache with a one minute TTL', () => {
+      const { enabled, ttlMs, storage } = getPoolStateCacheConfig();
+      expect(enabled).toBe(true);
+      expect(ttlMs).toBe(60000);
+      expect(storage).toBeInstanceOf(Map);
+    });
+
+    it('should validate options', () => {
+      expect(() => configurePoolStateCache({ enabled: 'yes' })).toThrow('enabled must be a boolean');
+      expect(() => configurePoolStateCache({ ttlMs: -1 })).toThrow('ttlMs must be a non-negative number');
+      expect(() => configurePoolStateCache({ storage: {} })).toThrow('storage must implement get, set, delete and keys');
+      expect(getPoolStateCacheConfig().ttlMs).toBe(60000);
+    });
+
+    it('should be configurable through initFumLibrary', () => {
+      initFumLibrary({ poolStateCache: { ttlMs: 12000 } });
+      expect(getPoolStateCacheConfig().ttlMs).toBe(12000);
+    });
+  });
+});
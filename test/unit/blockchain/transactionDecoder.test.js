@@ -0,0 +1,188 @@
+/**
+ * transactionDecoder.js Unit Tests
+ *
+ * Batches are built with the adapters' own interfaces and the Universal Router encoder and
+ * decoded offline, so no blockchain connection is needed.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ethers } from 'ethers';
+import { decodeVaultTransactions } from '../../../src/blockchain/transactionDecoder.js';
+import { encodeUniversalRouterExecute, UNIVERSAL_ROUTER_RECIPIENTS } from '../../../src/blockchain/universalRouter.js';
+import chains from '../../../src/configs/chains.js';
+
+const CHAIN_ID = 42161;
+const WBTC = '0x2f2a2543B76A4166549F7aaB2e75Bef0aefC5B0f';
+const WETH = '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1';
+const USDC = '0xaf88d065e77c8cC2239327C5EDb3A432268e5831';
+const VAULT = '0x00000000000000000000000000000000000000A1';
+const UNKNOWN_TOKEN = '0x00000000000000000000000000000000000000E1';
+const { positionManagerAddress, routerAddress, universalRouterAddress } = chains[CHAIN_ID].platformAddresses.uniswapV3;
+const CAMELOT_ROUTER = chains[CHAIN_ID].platformAddresses.camelotV3.routerAddress;
+const MAX_UINT128 = ethers.BigNumber.from(2).pow(128).sub(1);
+
+const erc20Interface = new ethers.utils.Interface([
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function transfer(address to, uint256 amount) returns (bool)"
+]);
+const positionManagerInterface = new ethers.utils.Interface([
+  "function mint((address token0, address token1, uint24 fee, int24 tickLower, int24 tickUpper, uint256 amount0Desired, uint256 amount1Desired, uint256 amount0Min, uint256 amount1Min, address recipient, uint256 deadline) params) payable returns (uint256 tokenId, uint128 liquidity, uint256 amount0, uint256 amount1)",
+  "function increaseLiquidity((uint256 tokenId, uint256 amount0Desired, uint256 amount1Desired, uint256 amount0Min, uint256 amount1Min, uint256 deadline) params) payable returns (uint128 liquidity, uint256 amount0, uint256 amount1)",
+  "function decreaseLiquidity((uint256 tokenId, uint128 liquidity, uint256 amount0Min, uint256 amount1Min, uint256 deadline) params) payable returns (uint256 amount0, uint256 amount1)",
+  "function collect((uint256 tokenId, address recipient, uint128 amount0Max, uint128 amount1Max) params) payable returns (uint256 amount0, uint256 amount1)",
+  "function multicall(bytes[] data) payable returns (bytes[] results)"
+]);
+const swapRouterInterface = new ethers.utils.Interface([
+  "function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) payable returns (uint256 amountOut)",
+  "function exactOutput((bytes path, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum) params) payable returns (uint256 amountIn)"
+]);
+
+const descriptions = (steps) => steps.flatMap(step => step.actions.map(action => action.description));
+
+describe('transactionDecoder.js - Unit Tests', () => {
+  describe('decodeVaultTransactions', () => {
+    it('should decode ERC20 approvals and transfers with symbols and decimals', () => {
+      const steps = decodeVaultTransactions([
+        { target: USDC, data: erc20Interface.encodeFunctionData('approve', [routerAddress, '1500000']) },
+        { target: WETH, data: erc20Interface.encodeFunctionData('approve', [positionManagerAddress, ethers.constants.MaxUint256]) },
+        { target: UNKNOWN_TOKEN, data: erc20Interface.encodeFunctionData('transfer', [VAULT, '42']) }
+      ], CHAIN_ID, { vaultAddress: VAULT });
+
+      expect(steps.map(({ kind, contract }) => ({ kind, contract }))).toEqual([
+        { kind: 'erc20', contract: `USDC (${USDC})` },
+        { kind: 'erc20', contract: `WETH (${WETH})` },
+        { kind: 'erc20', contract: UNKNOWN_TOKEN }
+      ]);
+      expect(steps[0].actions[0]).toMatchObject({
+        type: 'approve',
+        params: { spender: routerAddress, amount: '1500000' },
+        amounts: { amount: { address: USDC, symbol: 'USDC', decimals: 6, amount: '1500000', formatted: '1.5' } }
+      });
+      expect(descriptions(steps)).toEqual([
+        'Approve Uniswap V3 SwapRouter to spend 1.5 USDC',
+        'Approve Uniswap V3 PositionManager to spend unlimited WETH',
+        `Transfer 42 (raw) of ${UNKNOWN_TOKEN} to the vault`
+      ]);
+    });
+
+    it('should decode position manager multicalls', () => {
+      const steps = decodeVaultTransactions([
+        {
+          target: positionManagerAddress,
+          data: positionManagerInterface.encodeFunctionData('mint', [{
+            token0: WETH, token1: USDC, fee: 500, tickLower: -200000, tickUpper: -190000,
+            amount0Desired: ethers.utils.parseEther('1'), amount1Desired: '3000000000', amount0Min: 0, amount1Min: 0,
+            recipient: VAULT, deadline: 1900000000
+          }])
+        },
+        {
+          target: positionManagerAddress,
+          data: positionManagerInterface.encodeFunctionData('multicall', [[
+            positionManagerInterface.encodeFunctionData('decreaseLiquidity', [{ tokenId: 7, liquidity: 1000, amount0Min: ethers.utils.parseEther('0.5'), amount1Min: '1000000', deadline: 1900000000 }]),
+            positionManagerInterface.encodeFunctionData('collect', [{ tokenId: 7, recipient: VAULT, amount0Max: MAX_UINT128, amount1Max: MAX_UINT128 }])
+          ]])
+        },
+        {
+          target: positionManagerAddress,
+          data: positionManagerInterface.encodeFunctionData('increaseLiquidity', [{ tokenId: 9, amount0Desired: 5, amount1Desired: 6, amount0Min: 0, amount1Min: 0, deadline: 1900000000 }])
+        }
+      ], CHAIN_ID, { vaultAddress: VAULT, positions: { 7: { token0: WETH, token1: USDC } } });
+
+      expect(steps.map(step => step.kind)).toEqual(['positionManager', 'positionManager', 'positionManager']);
+      expect(steps[1].actions.map(action => action.type)).toEqual(['decreaseLiquidity', 'collect']);
+      expect(steps[1].actions[0].amounts.amount0Min.formatted).toBe('0.5');
+      expect(descriptions(steps)).toEqual([
+        'Mint Uniswap V3 WETH/USDC 0.05% position in ticks [-200000, -190000] with up to 1.0 WETH and 3000.0 USDC ' +
+          '(min 0.0 WETH and 0.0 USDC), to the vault',
+        'Remove 1000 liquidity from position #7 (min 0.5 WETH and 1.0 USDC)',
+        'Collect all fees and withdrawn tokens from position #7, to the vault',
+        // Position 9's tokens were not given
+        'Add up to 5 (raw) and 6 (raw) (min 0 (raw) and 0 (raw)) to position #9'
+      ]);
+    });
+
+    it('should decode swap router calls and paths', () => {
+      const steps = decodeVaultTransactions([
+        {
+          target: routerAddress,
+          data: swapRouterInterface.encodeFunctionData('exactInputSingle', [{
+            tokenIn: USDC, tokenOut: WETH, fee: 500, recipient: VAULT, deadline: 1900000000,
+            amountIn: '1000000000', amountOutMinimum: ethers.utils.parseEther('0.3'), sqrtPriceLimitX96: 0
+          }])
+        },
+        {
+          target: routerAddress,
+          data: swapRouterInterface.encodeFunctionData('exactOutput', [{
+            // Exact-output paths are packed output to input
+            path: ethers.utils.solidityPack(['address', 'uint24', 'address', 'uint24', 'address'], [USDC, 3000, WETH, 500, WBTC]),
+            recipient: VAULT, deadline: 1900000000, amountOut: '2000000000', amountInMaximum: '10000000'
+          }])
+        },
+        {
+          target: CAMELOT_ROUTER,
+          data: swapRouterInterface.encodeFunctionData('exactOutput', [{
+            path: ethers.utils.solidityPack(['address', 'address'], [USDC, WETH]),
+            recipient: VAULT, deadline: 1900000000, amountOut: '1000000', amountInMaximum: ethers.utils.parseEther('0.001')
+          }])
+        }
+      ], CHAIN_ID, { vaultAddress: VAULT });
+
+      expect(steps[1].actions[0].params.route).toEqual({ tokens: [WBTC, WETH, USDC], fees: [500, 3000] });
+      expect(steps[2].contract).toBe('Camelot V3 SwapRouter');
+      expect(descriptions(steps)).toEqual([
+        'Swap 1000.0 USDC for at least 0.3 WETH (0.05% pool), to the vault',
+        'Swap at most 0.1 WBTC for 2000.0 USDC via WBTC -> WETH (0.05%) -> USDC (0.3%), to the vault',
+        'Swap at most 0.001 WETH for 1.0 USDC via WETH -> USDC, to the vault'
+      ]);
+    });
+
+    it('should decode Universal Router command streams', () => {
+      const { ADDRESS_THIS, MSG_SENDER } = UNIVERSAL_ROUTER_RECIPIENTS;
+      const steps = decodeVaultTransactions([{
+        target: universalRouterAddress,
+        data: encodeUniversalRouterExecute([
+          {
+            type: 'PERMIT2_PERMIT',
+            params: {
+              permitSingle: { details: { token: USDC, amount: '5000000', expiration: 1900000000, nonce: 0 }, spender: universalRouterAddress, sigDeadline: 1900000000 },
+              signature: '0x' + '11'.repeat(65)
+            }
+          },
+          {
+            type: 'V3_SWAP_EXACT_IN',
+            params: { recipient: ADDRESS_THIS, amountIn: '5000000', amountOutMin: '1000000000000000', path: { tokens: [USDC, WETH], fees: [500] }, payerIsUser: true }
+          },
+          { type: 'PAY_PORTION', params: { token: WETH, recipient: VAULT, bips: '25' } },
+          { type: 'UNWRAP_WETH', params: { recipient: MSG_SENDER, amountMin: '0' }, allowRevert: true }
+        ], 1900000000)
+      }], CHAIN_ID, { vaultAddress: VAULT });
+
+      expect(steps[0]).toMatchObject({ kind: 'universalRouter', contract: 'Uniswap V3 Universal Router' });
+      expect(steps[0].actions.map(action => action.type)).toEqual(['PERMIT2_PERMIT', 'V3_SWAP_EXACT_IN', 'PAY_PORTION', 'UNWRAP_WETH']);
+      expect(steps[0].actions[1].amounts.amountOutMin.formatted).toBe('0.001');
+      expect(descriptions(steps)).toEqual([
+        'Permit Uniswap V3 Universal Router to pull up to 5.0 USDC through Permit2 until 2030-03-17T17:46:40.000Z',
+        'Swap 5.0 USDC for at least 0.001 WETH via USDC -> WETH (0.05%), to the Universal Router, paid by the caller through Permit2',
+        "Pay 0.25% of the router's WETH (" + WETH + ') to the vault',
+        "Unwrap the router's WETH (at least 0.0 ETH), to the caller (allowed to fail)"
+      ]);
+    });
+
+    it('should keep unrecognised calls', () => {
+      const [step] = decodeVaultTransactions([{ target: VAULT, data: '0xdeadbeef00' }], CHAIN_ID);
+
+      expect(step.kind).toBe('unknown');
+      expect(step.actions[0]).toMatchObject({ type: 'unknown', description: `Unrecognised call 0xdeadbeef to ${VAULT}` });
+    });
+
+    it('should validate its parameters', () => {
+      const approve = { target: USDC, data: erc20Interface.encodeFunctionData('approve', [routerAddress, '1']) };
+
+      expect(() => decodeVaultTransactions([approve], null)).toThrow('chainId parameter is required');
+      expect(() => decodeVaultTransactions([], CHAIN_ID)).toThrow('Transactions array cannot be empty');
+      expect(() => decodeVaultTransactions([{ target: 'bad', data: '0x' }], CHAIN_ID)).toThrow('Invalid target address at index 0: bad');
+      expect(() => decodeVaultTransactions([{ target: USDC, data: 'abc' }], CHAIN_ID)).toThrow('Transaction data at index 0 must be a hex string');
+      expect(() => decodeVaultTransactions([approve], CHAIN_ID, { vaultAddress: 'bad' })).toThrow('Invalid vault address: bad');
+    });
+  });
+});
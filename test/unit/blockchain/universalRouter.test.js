@@ -0,0 +1,188 @@
+/**
+ * universalRouter.js Unit Tests
+ *
+ * Commands are encoded locally and checked by decoding them again, so no blockchain
+ * connection is needed.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ethers } from 'ethers';
+import {
+  UNIVERSAL_ROUTER_COMMANDS,
+  UNIVERSAL_ROUTER_RECIPIENTS,
+  CONTRACT_BALANCE,
+  encodeV3Path,
+  decodeV3Path,
+  encodeUniversalRouterCommand,
+  encodeUniversalRouterExecute,
+  decodeUniversalRouterExecute
+} from '../../../src/blockchain/universalRouter.js';
+import { buildPermit2TypedData } from '../../../src/blockchain/permit2.js';
+
+const WBTC = '0x2f2a2543B76A4166549F7aaB2e75Bef0aefC5B0f';
+const WETH = '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1';
+const USDC = '0xaf88d065e77c8cC2239327C5EDb3A432268e5831';
+const WALLET = '0x00000000000000000000000000000000000000B2';
+const PATH = { tokens: [WBTC, WETH, USDC], fees: [500, 3000] };
+const DEADLINE = 1900000000;
+
+const universalRouterInterface = new ethers.utils.Interface([
+  "function execute(bytes commands, bytes[] inputs, uint256 deadline) payable"
+]);
+const SWAP_TYPES = ['address', 'uint256', 'uint256', 'bytes', 'bool'];
+
+describe('universalRouter.js - Unit Tests', () => {
+  describe('encodeV3Path', () => {
+    it('should pack tokens and fees, reversed for exact output', () => {
+      expect(encodeV3Path(PATH)).toBe(
+        ethers.utils.solidityPack(['address', 'uint24', 'address', 'uint24', 'address'], [WBTC, 500, WETH, 3000, USDC])
+      );
+      expect(encodeV3Path(PATH, true)).toBe(
+        ethers.utils.solidityPack(['address', 'uint24', 'address', 'uint24', 'address'], [USDC, 3000, WETH, 500, WBTC])
+      );
+    });
+
+    it('should validate the path', () => {
+      expect(() => encodeV3Path({ tokens: [WBTC], fees: [] })).toThrow('Path tokens must be an array of at least 2 addresses');
+      expect(() => encodeV3Path({ tokens: [WBTC, WETH], fees: [] })).toThrow('Path fees must be an array with one fee per hop (1)');
+      expect(() => encodeV3Path({ tokens: [WBTC, 'bad'], fees: [500] })).toThrow('Invalid path');
+    });
+  });
+
+  describe('decodeV3Path', () => {
+    it('should unpack a packed path in packed order', () => {
+      expect(decodeV3Path(encodeV3Path(PATH))).toEqual(PATH);
+      expect(decodeV3Path(encodeV3Path(PATH, true))).toEqual({ tokens: [USDC, WETH, WBTC], fees: [3000, 500] });
+      expect(() => decodeV3Path('0x1234')).toThrow('Invalid packed V3 path: 0x1234');
+    });
+  });
+
+  describe('encodeUniversalRouterCommand', () => {
+    it('should encode a swap with a { tokens, fees } path', () => {
+      const { command, input } = encodeUniversalRouterCommand({
+        type: 'V3_SWAP_EXACT_OUT',
+        params: { recipient: WALLET, amountOut: '333', amountInMax: '673', path: PATH, payerIsUser: false }
+      });
+      const [recipient, amountOut, amountInMax, path, payerIsUser] = ethers.utils.defaultAbiCoder.decode(SWAP_TYPES, input);
+
+      expect(command).toBe(UNIVERSAL_ROUTER_COMMANDS.V3_SWAP_EXACT_OUT);
+      expect(recipient).toBe(ethers.utils.getAddress(WALLET));
+      expect(amountOut.toString()).toBe('333');
+      expect(amountInMax.toString()).toBe('673');
+      expect(path).toBe(encodeV3Path(PATH, true));
+      expect(payerIsUser).toBe(false);
+    });
+
+    it('should encode a PERMIT2_PERMIT from buildPermit2TypedData values', () => {
+      const { values } = buildPermit2TypedData({ chainId: 42161, token: WBTC, amount: '100000', nonce: 2, expiration: DEADLINE });
+      const signature = '0x' + '22'.repeat(65);
+
+      const { command, input } = encodeUniversalRouterCommand({ type: 'PERMIT2_PERMIT', params: { permitSingle: values, signature } });
+      const [permitSingle, decodedSignature] = ethers.utils.defaultAbiCoder.decode(
+        ['tuple(tuple(address token, uint160 amount, uint48 expiration, uint48 nonce) details, address spender, uint256 sigDeadline)', 'bytes'],
+        input
+      );
+
+      expect(command).toBe(0x0a);
+      expect(permitSingle.details.token).toBe(WBTC);
+      expect(permitSingle.details.amount.toString()).toBe('100000');
+      expect(permitSingle.spender).toBe(values.spender);
+      expect(decodedSignature).toBe(signature);
+    });
+
+    it('should set the allow-revert flag', () => {
+      const { command } = encodeUniversalRouterCommand({
+        type: 'SWEEP',
+        params: { token: USDC, recipient: WALLET, amountMin: '0' },
+        allowRevert: true
+      });
+
+      expect(command).toBe(0x84);
+    });
+
+    it('should validate the command', () => {
+      const sweep = (params) => encodeUniversalRouterCommand({ type: 'SWEEP', params: { token: USDC, recipient: WALLET, amountMin: '0', ...params } });
+
+      expect(() => encodeUniversalRouterCommand(null)).toThrow('Command must be an object');
+      expect(() => encodeUniversalRouterCommand({ type: 'V2_SWAP_EXACT_IN', params: {} })).toThrow('Unknown Universal Router command: V2_SWAP_EXACT_IN');
+      expect(() => encodeUniversalRouterCommand({ type: 'SWEEP' })).toThrow('SWEEP params must be an object');
+      expect(() => sweep({ token: undefined })).toThrow('SWEEP token parameter is required');
+      expect(() => sweep({ recipient: 'bad' })).toThrow('Invalid SWEEP recipient address: bad');
+      expect(() => sweep({ amountMin: 1 })).toThrow('SWEEP amountMin must be a uint256 numeric string');
+      expect(() => encodeUniversalRouterCommand({
+        type: 'PAY_PORTION', params: { token: USDC, recipient: WALLET, bips: '10001' }
+      })).toThrow('PAY_PORTION bips must be at most 10000');
+      expect(() => encodeUniversalRouterCommand({
+        type: 'V3_SWAP_EXACT_IN', params: { recipient: WALLET, amountIn: '1', amountOutMin: '0', path: '0x1234', payerIsUser: true }
+      })).toThrow('V3_SWAP_EXACT_IN path must be a packed V3 path or { tokens, fees }');
+    });
+  });
+
+  describe('encodeUniversalRouterExecute', () => {
+    it('should encode the commands in order with the deadline', () => {
+      const { ADDRESS_THIS, MSG_SENDER } = UNIVERSAL_ROUTER_RECIPIENTS;
+
+      const data = encodeUniversalRouterExecute([
+        { type: 'WRAP_ETH', params: { recipient: ADDRESS_THIS, amount: '1000' } },
+        {
+          type: 'V3_SWAP_EXACT_IN',
+          params: { recipient: ADDRESS_THIS, amountIn: CONTRACT_BALANCE, amountOutMin: '1', path: { tokens: [WETH, USDC], fees: [500] }, payerIsUser: false }
+        },
+        { type: 'PAY_PORTION', params: { token: USDC, recipient: WALLET, bips: '25' } },
+        { type: 'SWEEP', params: { token: USDC, recipient: MSG_SENDER, amountMin: '0' } },
+        { type: 'UNWRAP_WETH', params: { recipient: MSG_SENDER, amountMin: '0' } }
+      ], DEADLINE);
+      const { commands, inputs, deadline } = universalRouterInterface.decodeFunctionData('execute', data);
+
+      expect(commands).toBe('0x0b0006040c');
+      expect(inputs).toHaveLength(5);
+      expect(deadline.toNumber()).toBe(DEADLINE);
+      expect(ethers.utils.defaultAbiCoder.decode(SWAP_TYPES, inputs[1])[1].toString()).toBe(CONTRACT_BALANCE);
+      expect(ethers.utils.defaultAbiCoder.decode(['address', 'address', 'uint256'], inputs[2])[2].toString()).toBe('25');
+    });
+
+    it('should validate its parameters', () => {
+      const unwrap = { type: 'UNWRAP_WETH', params: { recipient: WALLET, amountMin: '0' } };
+
+      expect(() => encodeUniversalRouterExecute([], DEADLINE)).toThrow('Commands must be a non-empty array');
+      expect(() => encodeUniversalRouterExecute([unwrap], 0)).toThrow('Deadline must be a positive integer timestamp');
+      expect(() => encodeUniversalRouterExecute([unwrap, { type: 'WRAP_ETH', params: {} }], DEADLINE)).toThrow('WRAP_ETH recipient parameter is required');
+    });
+  });
+
+  describe('decodeUniversalRouterExecute', () => {
+    it('should decode the commands encodeUniversalRouterExecute encoded', () => {
+      const data = encodeUniversalRouterExecute([
+        { type: 'WRAP_ETH', params: { recipient: UNIVERSAL_ROUTER_RECIPIENTS.ADDRESS_THIS, amount: '1000' } },
+        {
+          type: 'V3_SWAP_EXACT_OUT',
+          params: { recipient: WALLET, amountOut: '333', amountInMax: '673', path: PATH, payerIsUser: false },
+          allowRevert: true
+        }
+      ], DEADLINE);
+
+      expect(decodeUniversalRouterExecute(data)).toEqual({
+        commands: [
+          { type: 'WRAP_ETH', allowRevert: false, params: { recipient: UNIVERSAL_ROUTER_RECIPIENTS.ADDRESS_THIS, amount: '1000' } },
+          {
+            type: 'V3_SWAP_EXACT_OUT',
+            allowRevert: true,
+            params: { recipient: ethers.utils.getAddress(WALLET), amountOut: '333', amountInMax: '673', path: encodeV3Path(PATH, true), payerIsUser: false }
+          }
+        ],
+        deadline: DEADLINE
+      });
+    });
+
+    it('should decode deadline-less calls and keep unknown commands raw', () => {
+      const data = new ethers.utils.Interface(["function execute(bytes commands, bytes[] inputs) payable"])
+        .encodeFunctionData('execute', ['0x10', ['0xabcd']]);
+
+      expect(decodeUniversalRouterExecute(data)).toEqual({
+        commands: [{ type: 'UNKNOWN_0x10', allowRevert: false, params: { input: '0xabcd' } }],
+        deadline: null
+      });
+      expect(() => decodeUniversalRouterExecute('0x12345678')).toThrow('Failed to decode Universal Router call');
+    });
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * vaultHistory.js Unit Tests
+ *
+ * Logs, blocks and the VaultFactory read are served from a stubbed provider, so no blockchain connection is needed.
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import { ethers } from 'ethers';
+import contractData from '../../../src/artifacts/contracts.js';
+import { getVaultHistory } from '../../../src/blockchain/vaultHistory.js';
+
+const VAULT = '0x00000000000000000000000000000000000000A1';
+const OWNER = ethers.utils.getAddress('0x00000000000000000000000000000000000000b2');
+const EXECUTOR = ethers.utils.getAddress('0x00000000000000000000000000000000000000e1');
+const BOB = contractData.bob.addresses['42161'];
+const FACTORY = contractData.VaultFactory.addresses['42161'];
+const USDC = '0xaf88d065e77c8cC2239327C5EDb3A432268e5831';
+const CREATION_TIME = 1700000000;
+
+const factoryInterface = new ethers.utils.Interface(contractData.VaultFactory.abi);
+const vaultInterface = new ethers.utils.Interface(contractData.PositionVault.abi);
+const bobInterface = new ethers.utils.Interface(contractData.bob.abi);
+
+/**
+ * Build a raw log
+ * @param {ethers.utils.Interface} iface - Interface of the emitting contract
+ * @param {string} address - Emitting contract
+ * @param {string} event - Event name
+ * @param {Array} values - Event arguments
+ * @param {number} blockNumber - Block of the log
+ * @param {number} logIndex - Index of the log in its block
+ * @returns {Object} Log
+ */
+function makeLog(iface, address, event, values, blockNumber, logIndex) {
+  return {
+    ...iface.encodeEventLog(iface.getEvent(event), values),
+    address,
+    blockNumber,
+    logIndex,
+    transactionHash: ethers.utils.hexZeroPad(ethers.utils.hexlify(blockNumber), 32)
+  };
+}
+
+describe('vaultHistory.js - Unit Tests', () => {
+  let provider;
+
+  beforeAll(() => {
+    provider = new ethers.providers.StaticJsonRpcProvider('http://localhost:8545', { chainId: 42161, name: 'arbitrum' });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  /**
+   * Serve logs by emitting contract, and blocks that are one second apart with block 1000 at the creation time
+   * @param {Object} logsByAddress - Logs by emitting contract
+   * @returns {{getLogs: Object, getBlock: Object}} The spies
+   */
+  function stubProvider(logsByAddress) {
+    vi.spyOn(provider, 'getBlockNumber').mockResolvedValue(5000);
+    vi.spyOn(provider, 'call').mockImplementation(async (tx) => {
+      if (tx.to === FACTORY) {
+        return factoryInterface.encodeFunctionResult('getVaultInfo', [OWNER, 'Main Vault', CREATION_TIME]);
+      }
+      throw new Error(`Unexpected call to ${tx.to}`);
+    });
+    const getLogs = vi.spyOn(provider, 'getLogs').mockImplementation(async ({ address, fromBlock, toBlock }) =>
+      (logsByAddress[address] || []).filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock));
+    const getBlock = vi.spyOn(provider, 'getBlock').mockImplementation(async (number) =>
+      ({ number, timestamp: CREATION_TIME - 1000 + number }));
+    return { getLogs, getBlock };
+  }
+
+  describe('getVaultHistory', () => {
+    it('should merge vault and strategy events into one timeline', async () => {
+      const { getLogs, getBlock } = stubProvider({
+        [ethers.utils.getAddress(VAULT)]: [
+          makeLog(vaultInterface, VAULT, 'ExecutorChanged', [EXECUTOR, true], 1200, 0),
+          makeLog(vaultInterface, VAULT, 'StrategyChanged', [BOB], 1500, 2),
+          makeLog(vaultInterface, VAULT, 'TargetTokensUpdated', [['USDC', 'WETH']], 1500, 3),
+          makeLog(vaultInterface, VAULT, 'TokensWithdrawn', [USDC, OWNER, 1250000], 3400, 1)
+        ],
+        [BOB]: [
+          makeLog(bobInterface, BOB, 'TemplateSelected', [VAULT, 2], 1500, 4),
+          makeLog(bobInterface, BOB, 'ParameterUpdated', [VAULT, 'maxSlippage'], 2600, 0)
+        ]
+      });
+
+      const history = await getVaultHistory(VAULT, provider, { fromBlock: 1000, chunkSize: 1000 });
+
+      expect(history.fromBlock).toBe(1000);
+      expect(history.toBlock).toBe(5000);
+      expect(history.entries.map(entry => entry.event)).toEqual([
+        'ExecutorChanged', 'StrategyChanged', 'TargetTokensUpdated', 'TemplateSelected', 'ParameterUpdated', 'TokensWithdrawn'
+      ]);
+      expect(history.entries.map(entry => entry.description)).toEqual([
+        `Authorized executor ${EXECUTOR}`,
+        'Changed the strategy to bob',
+        'Set target tokens to USDC, WETH',
+        'Selected bob template moderate',
+        'Updated bob parameter maxSlippage',
+        `Withdrew 1.25 USDC to ${OWNER}`
+      ]);
+      expect(history.entries[3]).toMatchObject({
+        blockNumber: 1500,
+        timestamp: CREATION_TIME + 500,
+        transactionHash: ethers.utils.hexZeroPad(ethers.utils.hexlify(1500), 32),
+        logIndex: 4,
+        contract: 'bob',
+        address: BOB,
+        args: { vault: ethers.utils.getAddress(VAULT), template: 2 }
+      });
+      expect(history.entries[5].args.amount).toBe('1250000');
+
+      // Blocks 1000-5000 in 1000-block chunks for the vault and bob
+      expect(getLogs).toHaveBeenCalledTimes(10);
+      expect(getLogs).toHaveBeenCalledWith({ address: BOB, topics: [null, ethers.utils.hexZeroPad(VAULT, 32)], fromBlock: 5000, toBlock: 5000 });
+      expect(getBlock).toHaveBeenCalledTimes(4);
+    });
+
+    it('should start from the vault creation block by default', async () => {
+      const { getLogs } = stubProvider({});
+
+      const history = await getVaultHistory(VAULT, provider);
+
+      expect(history).toEqual({ vaultAddress: ethers.utils.getAddress(VAULT), fromBlock: 1000, toBlock: 5000, entries: [] });
+      expect(getLogs).toHaveBeenCalledWith({ address: ethers.utils.getAddress(VAULT), fromBlock: 1000, toBlock: 5000 });
+    });
+
+    it('should report the block range of a failed log request', async () => {
+      stubProvider({});
+      provider.getLogs.mockRejectedValueOnce(new Error('query exceeds max results'));
+
+      await expect(getVaultHistory(VAULT, provider, { fromBlock: 0, toBlock: 1999, chunkSize: 1000 }))
+        .rejects.toThrow(`Failed to get vault history: Failed to fetch ${ethers.utils.getAddress(VAULT)} logs for blocks 0-999: query exceeds max results`);
+    });
+
+    it('should validate parameters', async () => {
+      await expect(getVaultHistory(null, provider)).rejects.toThrow('Vault address parameter is required');
+      await expect(getVaultHistory('0x123', provider)).rejects.toThrow('Invalid vault address: 0x123');
+      await expect(getVaultHistory(VAULT, {})).rejects.toThrow('Invalid provider. Must be an ethers provider instance.');
+      await expect(getVaultHistory(VAULT, provider, [])).rejects.toThrow('Options parameter must be an object');
+      await expect(getVaultHistory(VAULT, provider, { fromBlock: -1 })).rejects.toThrow('Invalid fromBlock: -1');
+      await expect(getVaultHistory(VAULT, provider, { toBlock: 'soon' })).rejects.toThrow('Invalid block tag: soon');
+      await expect(getVaultHistory(VAULT, provider, { chunkSize: 0 })).rejects.toThrow('Chunk size must be a positive integer. Got: 0');
+    });
+  });
+});
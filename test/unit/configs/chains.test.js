@@ -86,8 +86,14 @@ function validateNativeCurrency(chainId, nativeCurrency) {
  */
 const REQUIRED_PLATFORM_ADDRESSES = {
   uniswapV3: ['factoryAddress', 'positionManagerAddress', 'routerAddress', 'universalRouterAddress', 'quoterAddress'],
-  // Add more platforms as they are implemented:
-  // sushiswap: ['factoryAddress', 'positionManagerAddress', 'routerAddress'],
+  uniswapV4: ['poolManagerAddress', 'positionManagerAddress', 'stateViewAddress', 'quoterAddress', 'universalRouterAddress', 'permit2Address'],
+  sushiswapV3: ['factoryAddress', 'positionManagerAddress', 'routerAddress', 'quoterAddress'],
+  pancakeswapV3: ['factoryAddress', 'poolDeployerAddress', 'positionManagerAddress', 'routerAddress', 'quoterAddress'],
+  camelotV3: ['factoryAddress', 'poolDeployerAddress', 'positionManagerAddress', 'routerAddress', 'quoterAddress'],
+  uniswapV2: ['factoryAddress', 'routerAddress'],
+  sushiswapV2: ['factoryAddress', 'routerAddress'],
+  curve: ['factoryAddress', 'plainFactoryAddress'],
+  // Add more platforms as they are implemented
 };
 
 /**
@@ -58,6 +58,51 @@ function validateFeeTiers(platformId, feeTiers) {
   });
 }
 
+/**
+ * Validate the dynamic fee model (no fee tiers, one fixed tick spacing)
+ * @param {string} platformId - Platform ID for error reporting
+ * @param {Object} platform - Platform config to validate
+ * @throws {Error} If the dynamic fee model is invalid
+ */
+function validateDynamicFeeModel(platformId, platform) {
+  if (!Number.isInteger(platform.tickSpacing) || platform.tickSpacing <= 0) {
+    throw new Error(`Platform ${platformId} with feeModel 'dynamic' must have a positive integer tickSpacing`);
+  }
+
+  if (platform.feeTiers !== undefined) {
+    throw new Error(`Platform ${platformId} with feeModel 'dynamic' must not define feeTiers`);
+  }
+}
+
+/**
+ * Validate the full-range liquidity model (no ticks; V2-style pairs have one fixed fee,
+ * dynamic-fee pools such as Curve set their own)
+ * @param {string} platformId - Platform ID for error reporting
+ * @param {Object} platform - Platform config to validate
+ * @throws {Error} If the full-range liquidity model is invalid
+ */
+function validateFullRangeModel(platformId, platform) {
+  if (platform.feeModel === 'dynamic') {
+    if (platform.fee !== undefined) {
+      throw new Error(`Platform ${platformId} with liquidityModel 'fullRange' and feeModel 'dynamic' must not define fee`);
+    }
+  } else if (platform.feeModel !== undefined) {
+    throw new Error(`Platform ${platformId} with liquidityModel 'fullRange' has invalid feeModel: ${platform.feeModel}`);
+  } else if (!Number.isInteger(platform.fee) || platform.fee <= 0) {
+    throw new Error(`Platform ${platformId} with liquidityModel 'fullRange' must have a positive integer fee`);
+  }
+
+  ['feeTiers', 'tickSpacing', 'minTick', 'maxTick'].forEach(prop => {
+    if (platform[prop] !== undefined) {
+      throw new Error(`Platform ${platformId} with liquidityModel 'fullRange' must not define ${prop}`);
+    }
+  });
+
+  if (platform.features?.concentratedLiquidity !== false) {
+    throw new Error(`Platform ${platformId} with liquidityModel 'fullRange' must set features.concentratedLiquidity to false`);
+  }
+}
+
 /**
  * Validate features object
  * @param {string} platformId - Platform ID for error reporting
@@ -110,6 +155,11 @@ function validateSubgraphs(platformId, subgraphs, chains) {
     throw new Error(`Platform ${platformId} subgraphs must be an object`);
   }
 
+  // Platforms without a subgraph leave subgraphs empty
+  if (Object.keys(subgraphs).length === 0) {
+    return;
+  }
+
   // Get chains that have this platform configured
   const configuredChainIds = [];
   Object.entries(chains).forEach(([chainId, chain]) => {
@@ -162,8 +212,10 @@ function validateSubgraphs(platformId, subgraphs, chains) {
 describe('Platform Configuration Validation', () => {
   it('should have all required properties for every platform', () => {
     const requiredStringProperties = ['id', 'name', 'logo', 'color', 'description'];
-    const requiredObjectProperties = ['features', 'subgraphs', 'feeTiers'];
-    const requiredNumberProperties = ['minTick', 'maxTick', 'minLiquidityAmount'];
+    const requiredObjectProperties = ['features', 'subgraphs'];
+    const requiredNumberProperties = ['minLiquidityAmount'];
+    // Tick bounds only exist on tick-based (concentrated liquidity) platforms
+    const requiredTickProperties = ['minTick', 'maxTick'];
 
     const errors = [];
 
@@ -196,6 +248,18 @@ describe('Platform Configuration Validation', () => {
         }
       });
 
+      if (platform.liquidityModel !== undefined && platform.liquidityModel !== 'fullRange') {
+        platformErrors.push(`liquidityModel must be 'fullRange' when set, got: ${platform.liquidityModel}`);
+      }
+
+      if (platform.liquidityModel !== 'fullRange') {
+        requiredTickProperties.forEach(prop => {
+          if (!Number.isFinite(platform[prop])) {
+            platformErrors.push(`Missing or invalid number property: ${prop}`);
+          }
+        });
+      }
+
       // Validate tick bounds relationship
       if (Number.isFinite(platform.minTick) && Number.isFinite(platform.maxTick)) {
         if (platform.minTick >= platform.maxTick) {
@@ -217,11 +281,28 @@ describe('Platform Configuration Validation', () => {
         platformErrors.push(`Property logo must be a valid path format, got: ${platform.logo}`);
       }
 
-      // Validate fee tiers structure
-      try {
-        validateFeeTiers(platformKey, platform.feeTiers);
-      } catch (error) {
-        platformErrors.push(`feeTiers validation failed: ${error.message}`);
+      // Validate fee tiers structure (dynamic-fee platforms use a fixed tick spacing instead,
+      // full-range platforms a single fee)
+      if (platform.liquidityModel === 'fullRange') {
+        try {
+          validateFullRangeModel(platformKey, platform);
+        } catch (error) {
+          platformErrors.push(`liquidityModel validation failed: ${error.message}`);
+        }
+      } else if (platform.feeModel !== undefined && platform.feeModel !== 'dynamic') {
+        platformErrors.push(`feeModel must be 'dynamic' when set, got: ${platform.feeModel}`);
+      } else if (platform.feeModel === 'dynamic') {
+        try {
+          validateDynamicFeeModel(platformKey, platform);
+        } catch (error) {
+          platformErrors.push(`feeModel validation failed: ${error.message}`);
+        }
+      } else {
+        try {
+          validateFeeTiers(platformKey, platform.feeTiers);
+        } catch (error) {
+          platformErrors.push(`feeTiers validation failed: ${error.message}`);
+        }
       }
 
       // Validate features structure
@@ -103,6 +103,15 @@ function validateParameterBase(paramId, paramConfig, parameterGroups, contractPa
     throw new Error(`Parameter ${paramId} missing valid contractGroup`);
   }
 
+  // Validate contractUnit (optional: values without a unit are stored on-chain as they are)
+  if (paramConfig.contractUnit !== undefined && !['basisPoints', 'cents'].includes(paramConfig.contractUnit)) {
+    throw new Error(`Parameter ${paramId} has unknown contractUnit '${paramConfig.contractUnit}'`);
+  }
+  if ((paramConfig.type === 'percent' && paramConfig.contractUnit !== 'basisPoints') ||
+      (paramConfig.type === 'fiat-currency' && paramConfig.contractUnit !== 'cents')) {
+    throw new Error(`Parameter ${paramId} of type ${paramConfig.type} missing valid contractUnit`);
+  }
+
   // Validate group dependencies if groups are provided
   if (parameterGroups && contractParametersGroups) {
     const validGroupIds = Object.keys(parameterGroups);
@@ -17,6 +17,8 @@ import {
   getPlatformFeeTiers,
   getPlatformTickSpacing,
   getPlatformTickBounds,
+  isDynamicFeePlatform,
+  isFullRangePlatform,
   lookupSupportedPlatformIds,
   getMinLiquidityAmount
 } from '../../../src/helpers/platformHelpers.js';
@@ -364,6 +366,16 @@ describe('Platform Helpers', () => {
           expect(tier).toBeGreaterThan(0);
         });
       });
+
+      it('should return an empty array for dynamic-fee platforms', () => {
+        expect(getPlatformFeeTiers('camelotV3')).toEqual([]);
+        expect(getPlatformFeeTiers('curve')).toEqual([]);
+      });
+
+      it('should return the single pair fee for full-range platforms', () => {
+        expect(getPlatformFeeTiers('uniswapV2')).toEqual([3000]);
+        expect(getPlatformFeeTiers('sushiswapV2')).toEqual([3000]);
+      });
     });
 
     describe('Error Cases', () => {
@@ -1049,6 +1061,12 @@ describe('Platform Helpers', () => {
         expect(getPlatformTickSpacing('uniswapV3', 3000)).toBe(60);
         expect(getPlatformTickSpacing('uniswapV3', 10000)).toBe(200);
       });
+
+      it('should return the fixed tick spacing for dynamic-fee platforms regardless of fee', () => {
+        expect(getPlatformTickSpacing('camelotV3')).toBe(60);
+        expect(getPlatformTickSpacing('camelotV3', 500)).toBe(60);
+        expect(getPlatformTickSpacing('camelotV3', 12345)).toBe(60);
+      });
     });
 
     describe('Error Cases', () => {
@@ -1068,6 +1086,11 @@ describe('Platform Helpers', () => {
         expect(() => getPlatformTickSpacing('uniswapV3', 'string')).toThrow('Invalid fee: string. Must be a finite number.');
       });
 
+      it('should throw error for full-range platforms', () => {
+        expect(() => getPlatformTickSpacing('uniswapV2', 3000)).toThrow('Platform uniswapV2 has no ticks (full-range liquidity)');
+        expect(() => getPlatformTickSpacing('curve')).toThrow('Platform curve has no ticks (full-range liquidity)');
+      });
+
       it('should throw error for invalid platformId parameter types', () => {
         expect(() => getPlatformTickSpacing(null, 500)).toThrow('platformId parameter is required');
         expect(() => getPlatformTickSpacing('', 500)).toThrow('platformId cannot be empty');
@@ -1076,6 +1099,50 @@ describe('Platform Helpers', () => {
     });
   });
 
+  describe('isDynamicFeePlatform', () => {
+    describe('Success Cases', () => {
+      it('should identify dynamic-fee platforms', () => {
+        expect(isDynamicFeePlatform('camelotV3')).toBe(true);
+        expect(isDynamicFeePlatform('uniswapV3')).toBe(false);
+        expect(isDynamicFeePlatform('pancakeswapV3')).toBe(false);
+      });
+    });
+
+    describe('Error Cases', () => {
+      it('should throw error for unknown platforms', () => {
+        expect(() => isDynamicFeePlatform('unknownPlatform')).toThrow('Platform unknownPlatform is not supported');
+      });
+
+      it('should validate platformId parameter', () => {
+        expect(() => isDynamicFeePlatform(null)).toThrow('platformId parameter is required');
+        expect(() => isDynamicFeePlatform('')).toThrow('platformId cannot be empty');
+      });
+    });
+  });
+
+  describe('isFullRangePlatform', () => {
+    describe('Success Cases', () => {
+      it('should identify full-range platforms', () => {
+        expect(isFullRangePlatform('uniswapV2')).toBe(true);
+        expect(isFullRangePlatform('sushiswapV2')).toBe(true);
+        expect(isFullRangePlatform('curve')).toBe(true);
+        expect(isFullRangePlatform('uniswapV3')).toBe(false);
+        expect(isFullRangePlatform('camelotV3')).toBe(false);
+      });
+    });
+
+    describe('Error Cases', () => {
+      it('should throw error for unknown platforms', () => {
+        expect(() => isFullRangePlatform('unknownPlatform')).toThrow('Platform unknownPlatform is not supported');
+      });
+
+      it('should validate platformId parameter', () => {
+        expect(() => isFullRangePlatform(null)).toThrow('platformId parameter is required');
+        expect(() => isFullRangePlatform('')).toThrow('platformId cannot be empty');
+      });
+    });
+  });
+
   describe('getPlatformTickBounds', () => {
     describe('Success Cases', () => {
       it('should return correct tick bounds for Uniswap V3', () => {
@@ -1095,6 +1162,10 @@ describe('Platform Helpers', () => {
         expect(() => getPlatformTickBounds('unknownPlatform')).toThrow('Platform unknownPlatform is not supported');
       });
 
+      it('should throw error for full-range platforms', () => {
+        expect(() => getPlatformTickBounds('sushiswapV2')).toThrow('Platform sushiswapV2 has no ticks (full-range liquidity)');
+      });
+
       it('should throw error for invalid platformId parameter types', () => {
         expect(() => getPlatformTickBounds(null)).toThrow('platformId parameter is required');
         expect(() => getPlatformTickBounds('')).toThrow('platformId cannot be empty');
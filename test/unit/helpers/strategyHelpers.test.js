@@ -5,6 +5,7 @@
  */
 
 import { describe, it, expect } from 'vitest';
+import { ethers } from 'ethers';
 import {
   validateIdString,
   lookupAllStrategyIds,
@@ -25,6 +26,8 @@ import {
   validateTokensForStrategy,
   validatePositionsForStrategy,
   mapStrategyParameters,
+  mapStrategyFields,
+  toContractParameterValue,
   getMinDeploymentMultiplier
 } from '../../../src/helpers/strategyHelpers.js';
 import { getAllTokens } from '../../../src/helpers/tokenHelpers.js';
@@ -3331,6 +3334,89 @@ describe('Strategy Helpers', () => {
     });
   });
 
+  describe('mapStrategyFields', () => {
+    describe('Success Cases', () => {
+      it('should map Bob fields by name with the config units', () => {
+        const result = mapStrategyFields('bob', {
+          maxUtilization: 9500,
+          feeReinvestment: true,
+          targetRangeUpper: 10200,
+          targetRangeLower: '9800',
+          rebalanceThresholdUpper: 200,
+          rebalanceThresholdLower: 200,
+          reinvestmentTrigger: ethers.BigNumber.from(10000),
+          reinvestmentRatio: 8000,
+          maxSlippage: 50,
+          emergencyExitTrigger: 100
+        });
+
+        expect(result).toEqual({
+          parameters: {
+            targetRangeUpper: 102,
+            targetRangeLower: 98,
+            rebalanceThresholdUpper: 2,
+            rebalanceThresholdLower: 2,
+            feeReinvestment: true,
+            reinvestmentTrigger: '100.0',
+            reinvestmentRatio: 80,
+            maxSlippage: 0.5,
+            emergencyExitTrigger: 1,
+            maxUtilization: 95
+          },
+          onChainOnly: {},
+          configOnly: []
+        });
+      });
+
+      it('should convert numbers without a unit to numbers', () => {
+        const { parameters } = mapStrategyFields('parris', { rebalanceCountThresholdHigh: '3', oracleSource: ethers.BigNumber.from(1) });
+
+        expect(parameters).toEqual({ rebalanceCountThresholdHigh: 3, oracleSource: 1 });
+      });
+
+      it('should report fields only on-chain and parameters only in the config', () => {
+        const result = mapStrategyFields('fed', {
+          targetRange: 500,
+          rebalanceThreshold: 100,
+          feeReinvestment: false,
+          cooldownBlocks: ethers.BigNumber.from(20)
+        });
+
+        expect(result).toEqual({
+          parameters: { targetRange: 5, rebalanceThreshold: 1, feeReinvestment: false },
+          onChainOnly: { cooldownBlocks: '20' },
+          configOnly: ['maxSlippage']
+        });
+      });
+    });
+
+    describe('Error Cases', () => {
+      it('should throw error for invalid parameters', () => {
+        expect(() => mapStrategyFields(null, {})).toThrow('ID parameter is required');
+        expect(() => mapStrategyFields('bob', [])).toThrow('Fields must be an object');
+        expect(() => mapStrategyFields('bob', null)).toThrow('Fields must be an object');
+        expect(() => mapStrategyFields('unknown', {})).toThrow('Strategy unknown not found');
+      });
+    });
+  });
+
+  describe('toContractParameterValue', () => {
+    it('should convert values to the declared contract unit', () => {
+      const { parameters } = strategies.bob;
+
+      expect(toContractParameterValue(5.25, parameters.targetRangeUpper)).toBe(525);
+      expect(toContractParameterValue(0.1, parameters.maxSlippage)).toBe(10);
+      expect(toContractParameterValue(12.35, parameters.reinvestmentTrigger).toString()).toBe('1235');
+      expect(toContractParameterValue(true, parameters.feeReinvestment)).toBe(true);
+      expect(toContractParameterValue(3, strategies.parris.parameters.rebalanceCountThresholdHigh)).toBe(3);
+    });
+
+    it('should throw error for an invalid config', () => {
+      expect(() => toContractParameterValue(1, null)).toThrow('Parameter config must be an object');
+      expect(() => toContractParameterValue(1, { contractUnit: 'wei' })).toThrow('Unknown contract unit: wei');
+    });
+  });
+
   describe('getMinDeploymentMultiplier', () => {
     describe('Success Cases', () => {
       it('should return correct multiplier for Baby Steps strategy', () => {
@@ -0,0 +1,272 @@
+/**
+ * vaultHelpers.js Unit Tests
+ *
+ * Vault, token and Multicall3 reads are served from a stubbed provider and the platform adapters
+ * are replaced with stubs, so no blockchain connection is needed.
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import { ethers } from 'ethers';
+import contractData from '../../../src/artifacts/contracts.js';
+import AdapterFactory from '../../../src/adapters/AdapterFactory.js';
+import { MULTICALL3_ADDRESS } from '../../../src/blockchain/multicall.js';
+import { clearPriceCache } from '../../../src/services/coingecko.js';
+import { getVaultState, getVaultValuation } from '../../../src/helpers/vaultHelpers.js';
+import { multicall3Interface, serveCalls } from '../../setup/stub-provider.js';
+
+const VAULT = '0x00000000000000000000000000000000000000A1';
+const OWNER = ethers.utils.getAddress('0x00000000000000000000000000000000000000b2');
+const EXECUTOR = ethers.utils.getAddress('0x00000000000000000000000000000000000000e1');
+const BOB = contractData.bob.addresses['42161'];
+const FACTORY = contractData.VaultFactory.addresses['42161'];
+const USDC = '0xaf88d065e77c8cC2239327C5EDb3A432268e5831';
+const WETH = '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1';
+const USDT = '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9';
+const POOL = '0x0000000000000000000000000000000000000Cc1';
+const CURVE_POOL = '0x0000000000000000000000000000000000000Cc2';
+const BLOCK_NUMBER = 250000000;
+
+const factoryInterface = new ethers.utils.Interface(contractData.VaultFactory.abi);
+const vaultInterface = new ethers.utils.Interface(contractData.PositionVault.abi);
+const erc20Interface = new ethers.utils.Interface(["function balanceOf(address account) view returns (uint256)"]);
+describe('vaultHelpers.js - Unit Tests', () => {
+  let provider;
+
+  /**
+   * Serve the factory, vault and balance reads from a stubbed provider.call
+   * @returns {Object} The call spy
+   */
+  function stubReads() {
+    return serveCalls(provider, (target, data, batched) => {
+      if (!batched) {
+        if (target === FACTORY) {
+          return factoryInterface.encodeFunctionResult('getVaultInfo', [OWNER, 'Main Vault', 1700000000]);
+        }
+        throw new Error(`Unexpected call to ${target}`);
+      }
+      if (target === VAULT) {
+        const { name } = vaultInterface.parseTransaction({ data });
+        const values = {
+          executor: [EXECUTOR],
+          strategy: [BOB],
+          getTargetTokens: [['USDC', 'WETH']],
+          getTargetPlatforms: [['uniswapV3']]
+        };
+        return vaultInterface.encodeFunctionResult(name, values[name]);
+      }
+      if (target === MULTICALL3_ADDRESS) {
+        return multicall3Interface.encodeFunctionResult('getEthBalance', [ethers.utils.parseEther('0.5')]);
+      }
+      return erc20Interface.encodeFunctionResult('balanceOf', [target === USDC ? 1250000 : 0]);
+    }, { blockNumber: BLOCK_NUMBER });
+  }
+
+  /**
+   * Replace the chain's adapters with stubs
+   * @param {Array<Object>} adapters - Stub adapters
+   * @param {Array<Object>} [failures=[]] - Adapter creation failures
+   * @returns {Object} The getAdaptersForChain spy
+   */
+  function stubAdapters(adapters, failures = []) {
+    return vi.spyOn(AdapterFactory, 'getAdaptersForChain').mockReturnValue({ adapters, failures });
+  }
+
+  beforeAll(() => {
+    provider = new ethers.providers.StaticJsonRpcProvider('http://localhost:8545', { chainId: 42161, name: 'arbitrum' });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    clearPriceCache();
+  });
+
+  describe('getVaultState', () => {
+    it('should return the vault info, configuration, balances and positions at one block', async () => {
+      const call = stubReads();
+      const uniswap = {
+        platformId: 'uniswapV3',
+        getPositions: vi.fn().mockResolvedValue({
+          positions: { '12': { id: '12', platform: 'uniswapV3', liquidity: '1000' } },
+          poolData: { '0xpool': { fee: 500 } }
+        })
+      };
+      const sushi = { platformId: 'sushiswapV3', getPositions: vi.fn().mockResolvedValue({ positions: {}, poolData: {} }) };
+      stubAdapters([uniswap, sushi]);
+
+      const state = await getVaultState(VAULT, provider);
+
+      expect(state).toMatchObject({
+        address: ethers.utils.getAddress(VAULT),
+        chainId: 42161,
+        blockNumber: BLOCK_NUMBER,
+        owner: OWNER,
+        name: 'Main Vault',
+        creationTime: 1700000000,
+        executor: EXECUTOR,
+        strategyAddress: BOB,
+        strategyId: 'bob',
+        targetTokens: ['USDC', 'WETH'],
+        targetPlatforms: ['uniswapV3'],
+        nativeBalance: { balance: '500000000000000000', formatted: '0.5' },
+        positions: [{ id: '12', platform: 'uniswapV3', liquidity: '1000' }],
+        poolData: { uniswapV3: { '0xpool': { fee: 500 } }, sushiswapV3: {} },
+        failures: []
+      });
+      expect(state.tokenBalances.USDC).toEqual({ address: USDC, decimals: 6, balance: '1250000', formatted: '1.25' });
+      expect(state.tokenBalances.WETH.balance).toBe('0');
+      expect(call.mock.calls.every(([, blockTag]) => blockTag === BLOCK_NUMBER)).toBe(true);
+      expect(uniswap.getPositions).toHaveBeenCalledWith(ethers.utils.getAddress(VAULT), provider, { blockTag: BLOCK_NUMBER });
+    });
+
+    it('should report platforms whose positions cannot be read', async () => {
+      stubReads();
+      stubAdapters(
+        [{ platformId: 'uniswapV3', getPositions: vi.fn().mockRejectedValue(new Error('Failed to fetch Uniswap V3 positions: timeout')) }],
+        [{ platformId: 'curve', error: 'No Curve addresses', errorDetails: new Error('No Curve addresses') }]
+      );
+
+      const state = await getVaultState(VAULT, provider);
+
+      expect(state.positions).toEqual([]);
+      expect(state.failures).toEqual([
+        { platformId: 'curve', error: 'No Curve addresses' },
+        { platformId: 'uniswapV3', error: 'Failed to fetch Uniswap V3 positions: timeout' }
+      ]);
+    });
+
+    it('should validate parameters', async () => {
+      await expect(getVaultState(undefined, provider)).rejects.toThrow('Vault address parameter is required');
+      await expect(getVaultState('bad', provider)).rejects.toThrow('Invalid vault address: bad');
+      await expect(getVaultState(VAULT, {})).rejects.toThrow('Invalid provider. Must be an ethers provider instance.');
+    });
+
+    it('should wrap read failures', async () => {
+      vi.spyOn(provider, 'getBlockNumber').mockResolvedValue(BLOCK_NUMBER);
+      vi.spyOn(provider, 'call').mockRejectedValue(new Error('missing revert data'));
+      stubAdapters([]);
+
+      await expect(getVaultState(VAULT, provider)).rejects.toThrow('Failed to get vault state: ');
+    });
+  });
+
+  describe('getVaultValuation', () => {
+    /**
+     * A getVaultState result with idle USDC and ETH, a Uniswap V3 position and a Curve position
+     * @returns {Object} Vault state
+     */
+    const buildState = () => ({
+      address: ethers.utils.getAddress(VAULT),
+      chainId: 42161,
+      blockNumber: BLOCK_NUMBER,
+      tokenBalances: {
+        USDC: { address: USDC, decimals: 6, balance: '1000000', formatted: '1.0' },
+        WETH: { address: WETH, decimals: 18, balance: '0', formatted: '0.0' }
+      },
+      nativeBalance: { balance: ethers.utils.parseEther('0.5').toString(), formatted: '0.5' },
+      positions: [
+        { id: '12', platform: 'uniswapV3', pool: POOL, tokenPair: 'WETH/USDC', liquidity: '1000' },
+        { id: CURVE_POOL, platform: 'curve', pool: CURVE_POOL, tokenPair: 'USDC/USD₮0', liquidity: '5', balances: ['2000000', '3000000'] }
+      ],
+      poolData: {
+        uniswapV3: { [POOL]: { token0: { address: WETH, symbol: 'WETH', decimals: 18 }, token1: { address: USDC, symbol: 'USDC', decimals: 6 } } },
+        curve: { [CURVE_POOL]: { coins: [{ address: USDC, symbol: 'USDC', decimals: 6 }, { address: USDT, symbol: 'USD₮0', decimals: 6 }] } }
+      },
+      failures: []
+    });
+
+    /**
+     * Serve CoinGecko prices and stub the Uniswap V3 adapter's amount calculations
+     * @returns {{fetch: Object, adapter: Object}} The fetch spy and the stub adapter
+     */
+    function stubPricing() {
+      const fetch = vi.spyOn(global, 'fetch').mockResolvedValue({
+        ok: true,
+        json: async () => ({ ethereum: { usd: 2000 }, 'usd-coin': { usd: 1 }, tether: { usd: 1 } })
+      });
+      const adapter = {
+        calculateTokenAmounts: vi.fn().mockResolvedValue([10n ** 18n, 2000000000n]),
+        calculateUncollectedFees: vi.fn().mockReturnValue([10n ** 16n, 5000000n])
+      };
+      vi.spyOn(AdapterFactory, 'getAdapter').mockReturnValue(adapter);
+      return { fetch, adapter };
+    }
+
+    it('should value idle balances, position principal and fees in USD', async () => {
+      const { fetch, adapter } = stubPricing();
+      const state = buildState();
+
+      const valuation = await getVaultValuation(VAULT, provider, { cacheDurationMs: 0, state });
+
+      expect(valuation).toMatchObject({
+        address: state.address,
+        chainId: 42161,
+        blockNumber: BLOCK_NUMBER,
+        priceSource: 'coingecko',
+        prices: { USDC: 1, ETH: 2000, WETH: 2000, 'USD₮0': 1 },
+        totalUsd: 5031,
+        idleUsd: 1001,
+        principalUsd: 4005,
+        feesUsd: 25,
+        failures: []
+      });
+      expect(valuation.byToken).toEqual({
+        USDC: { idle: '1.0', principal: '2002.0', fees: '5.0', total: '2008.0', usd: 2008 },
+        ETH: { idle: '0.5', principal: '0.0', fees: '0.0', total: '0.5', usd: 1000 },
+        WETH: { idle: '0.0', principal: '1.0', fees: '0.01', total: '1.01', usd: 2020 },
+        'USD₮0': { idle: '0.0', principal: '3.0', fees: '0.0', total: '3.0', usd: 3 }
+      });
+      expect(valuation.byPosition[0]).toMatchObject({ id: '12', platform: 'uniswapV3', pool: POOL, principalUsd: 4000, feesUsd: 25, usd: 4025 });
+      expect(valuation.byPosition[0].tokens[0]).toEqual({ symbol: 'WETH', principal: '1.0', fees: '0.01', principalUsd: 2000, feesUsd: 20 });
+      expect(valuation.byPosition[1]).toMatchObject({ platform: 'curve', principalUsd: 5, feesUsd: 0, usd: 5 });
+      expect(valuation.byPlatform).toEqual({
+        uniswapV3: { positions: 1, principalUsd: 4000, feesUsd: 25, usd: 4025 },
+        curve: { positions: 1, principalUsd: 5, feesUsd: 0, usd: 5 }
+      });
+      expect(AdapterFactory.getAdapter).toHaveBeenCalledWith('uniswapV3', 42161, provider);
+      expect(adapter.calculateTokenAmounts).toHaveBeenCalledWith(
+        state.positions[0], state.poolData.uniswapV3[POOL], state.poolData.uniswapV3[POOL].token0, state.poolData.uniswapV3[POOL].token1, 42161
+      );
+      // One price request for every held token
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should read the vault state when none is passed', async () => {
+      stubReads();
+      stubAdapters([]);
+      stubPricing();
+
+      const valuation = await getVaultValuation(VAULT, provider, { cacheDurationMs: 0 });
+
+      // 1.25 USDC and 0.5 ETH idle
+      expect(valuation.totalUsd).toBe(1001.25);
+      expect(valuation.byPosition).toEqual([]);
+    });
+
+    it('should validate parameters', async () => {
+      await expect(getVaultValuation(VAULT, provider, null)).rejects.toThrow('Options parameter must be an object');
+      await expect(getVaultValuation(VAULT, provider, { cacheDurationMs: 0, state: { ...buildState(), address: USDC } }))
+        .rejects.toThrow('State option must be a getVaultState result for this vault');
+      await expect(getVaultValuation(VAULT, provider, { state: buildState() })).rejects.toThrow('cacheDurationMs option is required');
+    });
+
+    it('should name the tokens it cannot price', async () => {
+      const { fetch } = stubPricing();
+      const state = buildState();
+      // A Curve coin read on-chain, missing from the token config
+      state.poolData.curve[CURVE_POOL].coins[1] = { address: USDT, symbol: 'crvFOO', decimals: 6 };
+
+      await expect(getVaultValuation(VAULT, provider, { cacheDurationMs: 0, state }))
+        .rejects.toThrow('Failed to value vault: No USD price for crvFOO');
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('should fail when a position cannot be valued', async () => {
+      const { adapter } = stubPricing();
+      adapter.calculateTokenAmounts.mockRejectedValue(new Error('poolData.sqrtPriceX96 is required'));
+
+      await expect(getVaultValuation(VAULT, provider, { cacheDurationMs: 0, state: buildState() })).rejects.toThrow(
+        'Failed to value vault: Position 12 on uniswapV3: poolData.sqrtPriceX96 is required'
+      );
+    });
+  });
+});
@@ -505,6 +505,27 @@ describe('The Graph Service - Real API Tests', () => {
           validParams.apiKey
         )).rejects.toThrow('Incomplete data: requested 7 days, got 3 valid days');
       });
+
+      it('should average pair reserveUSD with the Uniswap V2 schema', async () => {
+        global.fetch = vi.fn().mockResolvedValue({
+          ok: true,
+          json: async () => ({
+            data: {
+              pairDayDatas: [
+                { date: '1641081600', reserveUSD: '3000000' },
+                { date: '1640995200', reserveUSD: '1000000' }
+              ]
+            }
+          })
+        });
+
+        const averageTVL = await getPoolTVLAverage(validParams.poolAddress, 1, 'uniswapV2', 2, validParams.apiKey);
+
+        expect(averageTVL).toBe(2000000);
+        const { query, variables } = JSON.parse(global.fetch.mock.calls[0][1].body);
+        expect(query).toContain('pairDayDatas');
+        expect(variables.poolId).toBe(validParams.poolAddress.toLowerCase());
+      });
     });
   });
 
@@ -865,6 +886,44 @@ describe('The Graph Service - Real API Tests', () => {
         )).rejects.toThrow(`Pool ${validParams.poolAddress} not found`);
       });
 
+      it('should throw error when pool not found (Uniswap V2 schema)', async () => {
+        global.fetch = vi.fn().mockResolvedValue({
+          ok: true,
+          json: async () => ({
+            data: {
+              pair: null
+            }
+          })
+        });
+
+        await expect(getPoolAge(
+          validParams.poolAddress,
+          1,
+          'uniswapV2',
+          validParams.apiKey
+        )).rejects.toThrow(`Pool ${validParams.poolAddress} not found`);
+      });
+
+      it('should read pair creation timestamp with the Uniswap V2 schema', async () => {
+        global.fetch = vi.fn().mockResolvedValue({
+          ok: true,
+          json: async () => ({
+            data: {
+              pair: {
+                createdAtTimestamp: '1589747086'
+              }
+            }
+          })
+        });
+
+        await expect(getPoolAge(
+          validParams.poolAddress,
+          1,
+          'uniswapV2',
+          validParams.apiKey
+        )).resolves.toBe(1589747086);
+      });
+
       it('should throw error when pool not found (Messari schema)', async () => {
         global.fetch = vi.fn().mockResolvedValue({
           ok: true,
@@ -0,0 +1,98 @@
+/**
+ * Adapter Conformance Unit Tests
+ *
+ * Runs the exported PlatformAdapter conformance suite against every built-in
+ * adapter, using fixture pools on Arbitrum.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { TickMath } from '@uniswap/v3-sdk';
+import { ethers } from 'ethers';
+import { runAdapterConformanceSuite } from '../../../src/testing/adapterConformance.js';
+import UniswapV3Adapter from '../../../src/adapters/UniswapV3Adapter.js';
+import UniswapV4Adapter from '../../../src/adapters/UniswapV4Adapter.js';
+import SushiSwapV3Adapter from '../../../src/adapters/SushiSwapV3Adapter.js';
+import PancakeSwapV3Adapter from '../../../src/adapters/PancakeSwapV3Adapter.js';
+import CamelotV3Adapter from '../../../src/adapters/CamelotV3Adapter.js';
+import UniswapV2Adapter from '../../../src/adapters/UniswapV2Adapter.js';
+import SushiSwapV2Adapter from '../../../src/adapters/SushiSwapV2Adapter.js';
+import CurveAdapter from '../../../src/adapters/CurveAdapter.js';
+
+const CHAIN_ID = 42161;
+const WETH = { address: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1', decimals: 18 };
+const USDC = { address: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831', decimals: 6 };
+const USDT = { address: '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9', decimals: 6 };
+
+// WETH/USDC at ~3,000 USDC per WETH
+const POOL_TICK = -196250;
+const POOL_STATE = {
+  sqrtPriceX96: TickMath.getSqrtRatioAtTick(POOL_TICK).toString(),
+  liquidity: '5000000000000000000',
+  tick: POOL_TICK
+};
+const ADD_WETH_USDC = { token0Amount: '1000000000000000000', token1Amount: '3000000000' };
+
+const tickFixture = (poolData, tickLower, tickUpper) => ({
+  chainId: CHAIN_ID,
+  token0Data: WETH,
+  token1Data: USDC,
+  poolData: { ...POOL_STATE, ...poolData },
+  position: { liquidity: '1000000000000000', tickLower, tickUpper },
+  addLiquidity: ADD_WETH_USDC
+});
+
+const v2Fixture = {
+  chainId: CHAIN_ID,
+  token0Data: WETH,
+  token1Data: USDC,
+  poolData: { reserve0: '1000000000000000000000', reserve1: '3000000000000', totalSupply: '1000000000000000' },
+  position: { liquidity: '10000000000000' },
+  addLiquidity: ADD_WETH_USDC
+};
+
+runAdapterConformanceSuite(UniswapV3Adapter, tickFixture({ fee: 500 }, -197250, -195250));
+runAdapterConformanceSuite(SushiSwapV3Adapter, tickFixture({ fee: 500 }, -197250, -195250));
+runAdapterConformanceSuite(PancakeSwapV3Adapter, tickFixture({ fee: 500 }, -197250, -195250));
+runAdapterConformanceSuite(CamelotV3Adapter, tickFixture({ fee: 500 }, -197280, -195240));
+runAdapterConformanceSuite(
+  UniswapV4Adapter,
+  tickFixture({ fee: 500, tickSpacing: 10, hooks: ethers.constants.AddressZero }, -197250, -195250)
+);
+runAdapterConformanceSuite(UniswapV2Adapter, v2Fixture);
+runAdapterConformanceSuite(SushiSwapV2Adapter, v2Fixture);
+runAdapterConformanceSuite(CurveAdapter, {
+  chainId: CHAIN_ID,
+  token0Data: USDC,
+  token1Data: USDT,
+  poolData: {
+    address: '0x00000000000000000000000000000000000000C1',
+    poolType: 'ng',
+    coins: [USDC.address, USDT.address],
+    balances: ['5000000000000', '5000000000000'],
+    totalSupply: '10000000000000000000000000'
+  },
+  position: { liquidity: '1000000000000000000000' }
+});
+
+describe('runAdapterConformanceSuite - fixture validation', () => {
+  it('should reject a missing adapter class or fixture', () => {
+    expect(() => runAdapterConformanceSuite(null, v2Fixture)).toThrow('AdapterClass must be an adapter class');
+    expect(() => runAdapterConformanceSuite(UniswapV2Adapter)).toThrow('Conformance fixture is required');
+  });
+
+  it('should reject incomplete fixtures', () => {
+    expect(() => runAdapterConformanceSuite(UniswapV2Adapter, { ...v2Fixture, chainId: '42161' }))
+      .toThrow('fixture.chainId must be a positive integer');
+    expect(() => runAdapterConformanceSuite(UniswapV2Adapter, { ...v2Fixture, token0Data: { address: 'bad', decimals: 18 } }))
+      .toThrow('fixture.token0Data must have an address and integer decimals');
+    expect(() => runAdapterConformanceSuite(UniswapV2Adapter, { ...v2Fixture, poolData: null }))
+      .toThrow('fixture.poolData is required');
+    expect(() => runAdapterConformanceSuite(UniswapV2Adapter, { ...v2Fixture, position: { liquidity: 1 } }))
+      .toThrow('fixture.position must have a string liquidity');
+  });
+
+  it('should require tokens in pool order', () => {
+    expect(() => runAdapterConformanceSuite(UniswapV2Adapter, { ...v2Fixture, token0Data: USDC, token1Data: WETH }))
+      .toThrow('fixture.token0Data must sort before fixture.token1Data (pool token order)');
+  });
+});